@@ -8,26 +8,49 @@ import { fileURLToPath } from 'url';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import { PrismaClient } from '@prisma/client';
-import { MercadoPagoConfig, Preference, Payment } from 'mercadopago';
 
 // Importar servicios y middlewares de seguridad
 import { hashPassword } from './src/services/auth.service.js';
 import { driverAuthService } from './src/services/auth.service.js';
 import { balanceService } from './src/services/balance.service.js';
 import { deliveryCodeService } from './src/services/delivery-code.service.js';
+import { pickupService } from './src/services/pickup.service.js';
+import { orderCapacityService } from './src/services/order-capacity.service.js';
+import { deliveryTimeEstimatorService } from './src/services/delivery-time-estimator.service.js';
+import { prepTimeService } from './src/services/prep-time.service.js';
+import { wsService } from './src/services/websocket.service.js';
 import { auditService } from './src/services/audit.service.js';
-import { authenticateDriver, authorizeDriver, authenticateAdmin, authorize, validateApiKey } from './src/middlewares/auth.middleware.js';
+import { authenticateDriver, authorizeDriver, authenticateAdmin, authorize, authorizeStoreAccess, authorizeOrderAccess, canAccessStore, validateApiKey } from './src/middlewares/auth.middleware.js';
 import { validate } from './src/middlewares/validation.middleware.js';
 import { securityHeaders, corsMiddleware, generalRateLimit, systemRateLimit, loginRateLimit, deliveryCodeRateLimit, deliveryLocationRateLimit, deliveryPollingRateLimit } from './src/middlewares/security.middleware.js';
 import { userRateLimit, ipRateLimit, endpointRateLimit, criticalActionRateLimit, createResourceRateLimit } from './src/middlewares/rate-limit-advanced.middleware.js';
 import { verifyWebhookSignature, validateWebhookApiKey } from './src/middlewares/webhook-auth.middleware.js';
 import { idempotencyMiddleware, webhookIdempotencyMiddleware } from './src/middlewares/idempotency.middleware.js';
-import { errorHandler } from './src/middlewares/error-handler.middleware.js';
+import { errorHandler, AppError } from './src/middlewares/error-handler.middleware.js';
 import { inputSanitization, ddosDetection, csrfProtection, requestTimeout, validateRawQuery, safeRawQuery } from './src/middlewares/advanced-security.middleware.js';
 import { createDeliveryPersonSchema, loginDriverSchema, locationUpdateSchema, deliverOrderSchema, registerPaymentSchema, cancelDeliverySchema } from './src/validators/index.js';
 import { sendWebhookWithApiKey, sendWebhookWithIdempotency } from './src/utils/webhook-client.utils.js';
 import { orderStateValidator } from './src/services/order-state-validator.service.js';
+import { orderPricingService } from './src/services/order-pricing.service.js';
+import { orderNumberService } from './src/services/order-number.service.js';
+import { orderHistoryService, ORDER_CHANNELS } from './src/services/order-history.service.js';
+import { orderEditService } from './src/services/order-edit.service.js';
+import { orderPaymentsService } from './src/services/order-payments.service.js';
+import { orderSearchService } from './src/services/order-search.service.js';
+import { orderCancellationService } from './src/services/order-cancellation.service.js';
+import { cancellationPolicyService, DRIVER_REASON_CODES } from './src/services/cancellation-policy.service.js';
+import { orderRiskService } from './src/services/order-risk.service.js';
+import { tipsService } from './src/services/tips.service.js';
+import { refundsService } from './src/services/refunds.service.js';
+import { storeCreditService } from './src/services/store-credit.service.js';
+import { giftCardsService, GIFT_CARD_JOB_INTERVAL_MINUTES } from './src/services/gift-cards.service.js';
+import { reorderService } from './src/services/reorder.service.js';
+import { scheduledOrdersService, RELEASED_ORDER_FILTER } from './src/services/scheduled-orders.service.js';
 import { spamDetectorService } from './src/services/spam-detector.service.js';
+import { paymentReconciliationService, RECONCILIATION_INTERVAL_MINUTES } from './src/services/payment-reconciliation.service.js';
+import { pendingTransfersService } from './src/services/pending-transfers.service.js';
+import { transferProofsService } from './src/services/transfer-proofs.service.js';
+import { bankStatementsService } from './src/services/bank-statements.service.js';
 import adminRoutes from './src/routes/admin.routes.js';
 import deliveryRoutes from './src/routes/delivery.routes.js';
 import monitoringRoutes from './src/routes/monitoring.routes.js';
@@ -39,7 +62,7 @@ import usersRoutes from './src/routes/users.routes.js';
 import stockIssuesRoutes from './src/routes/stock-issues.routes.js';
 import whatsappRoutes from './src/routes/whatsapp.routes.js';
 import whatsappService from './src/services/whatsapp-multi.service.js';
-import mercadoPagoService from './src/services/mercadopago.service.js';
+import paymentGatewayService from './src/services/payment-gateway.service.js';
 import reviewsRoutes from './src/routes/reviews.routes.js';
 import couponsRoutes from './src/routes/coupons.routes.js';
 import referralsRoutes from './src/routes/referrals.routes.js';
@@ -48,6 +71,9 @@ import posRoutes from './src/routes/pos.routes.js';
 import savedCardsRoutes from './src/routes/saved-cards.routes.js';
 import inventoryRoutes from './src/routes/inventory.routes.js';
 import paymentsRoutes from './src/routes/payments.routes.js';
+import tablesRoutes from './src/routes/tables.routes.js';
+import kdsRoutes from './src/routes/kds.routes.js';
+import groupOrdersRoutes from './src/routes/group-orders.routes.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -63,64 +89,13 @@ const prisma = new PrismaClient();
 const PORT = process.env.PORT || 5000;
 
 // ========== MERCADO PAGO CONFIGURATION ==========
-let mercadoPagoAccessToken = process.env.MERCADOPAGO_ACCESS_TOKEN;
-let mercadoPagoPublicKey = process.env.MERCADOPAGO_PUBLIC_KEY;
-let mercadoPagoConfigured = false;
-let mercadoPagoConfig = null; // Instancia de MercadoPagoConfig
-let preferenceClient = null; // Cliente de Preference
-
-// Función para cargar configuración de Mercado Pago desde la base de datos
-async function loadMercadoPagoConfig() {
-  try {
-    // Primero intentar desde variables de entorno (prioridad)
-    if (process.env.MERCADOPAGO_ACCESS_TOKEN) {
-      mercadoPagoAccessToken = process.env.MERCADOPAGO_ACCESS_TOKEN;
-      mercadoPagoPublicKey = process.env.MERCADOPAGO_PUBLIC_KEY;
-    } else {
-      // Intentar cargar desde la base de datos
-      try {
-        const setting = await prisma.setting.findUnique({
-          where: { key: 'payment_config' }
-        });
-        
-        if (setting && setting.value) {
-          const config = JSON.parse(setting.value);
-          if (config.mercadoPago && config.mercadoPago.accessToken) {
-            mercadoPagoAccessToken = config.mercadoPago.accessToken;
-            mercadoPagoPublicKey = config.mercadoPago.publicKey || null;
-            console.log('✅ Configuración de Mercado Pago cargada desde la base de datos');
-          }
-        }
-      } catch (dbError) {
-        // Si no existe la tabla settings aún, continuar sin configuración
-        console.warn('⚠️ No se pudo cargar configuración de la base de datos (puede ser que la tabla settings no exista aún):', dbError.message);
-      }
-    }
-    
-    // Configurar Mercado Pago si tenemos el token
-    if (mercadoPagoAccessToken) {
-      try {
-        mercadoPagoConfig = new MercadoPagoConfig({
-          accessToken: mercadoPagoAccessToken
-        });
-        preferenceClient = new Preference(mercadoPagoConfig);
-        mercadoPagoConfigured = true;
-        console.log('✅ Mercado Pago configurado correctamente');
-      } catch (error) {
-        console.error('⚠️ Error al configurar Mercado Pago:', error.message);
-        console.log('⚠️ Los links de Mercado Pago usarán el fallback estático');
-      }
-    } else {
-      console.warn('⚠️ MERCADOPAGO_ACCESS_TOKEN no está configurado. Los links de Mercado Pago usarán el fallback estático.');
-    }
-  } catch (error) {
-    console.warn('⚠️ Error al cargar configuración de Mercado Pago:', error.message);
+// Las credenciales (de cada local o de la cuenta global) y el proveedor de pagos los resuelve payment-gateway.service
+paymentGatewayService.verifyStoreConfig(null).then((config) => {
+  if (config.configured) {
+    console.log(`✅ Pagos online configurados (${config.provider})`);
+  } else {
+    console.warn(`⚠️ Pagos online sin configurar (${config.error}). Los links de Mercado Pago usarán el fallback estático.`);
   }
-}
-
-// Cargar configuración al iniciar el servidor (sin bloquear el inicio)
-loadMercadoPagoConfig().catch((error) => {
-  console.warn('⚠️ Error al cargar configuración de Mercado Pago al iniciar:', error.message);
 });
 
 // ========== FUNCIONES IUC (IDENTIFICADOR ÚNICO DE CLIENTE) ==========
@@ -335,6 +310,9 @@ app.use('/api/pos', posRoutes); // Rutas del sistema POS
 app.use('/api/saved-cards', savedCardsRoutes); // Rutas de tarjetas guardadas
 app.use('/api/inventory', inventoryRoutes); // Rutas de inventario y Kardex
 app.use('/api/payments', paymentsRoutes); // Rutas de procesamiento de pagos
+app.use('/api/tables', tablesRoutes); // Rutas de mesas (QR, cuentas de mesa)
+app.use('/api/kds', kdsRoutes); // Pantalla de cocina (estaciones, comandas y bumps)
+app.use('/api/group-orders', groupOrdersRoutes); // Pedidos grupales (código compartido, partes y links de pago)
 
 // ========== HELPER: Convertir camelCase a snake_case ==========
 function toSnakeCase(str) {
@@ -789,6 +767,12 @@ app.get('/api/products', corsMiddleware, async (req, res) => {
   }
 });
 
+// Minutos de cocina por unidad (vacío o inválido = sin dato)
+function parsePrepTimeMinutes(value) {
+  const minutes = parseInt(value, 10);
+  return Number.isInteger(minutes) && minutes > 0 ? minutes : null;
+}
+
 app.post('/api/products', corsMiddleware, async (req, res) => {
   try {
     // Construir productData solo con campos que existen en la BD
@@ -801,7 +785,8 @@ app.post('/api/products', corsMiddleware, async (req, res) => {
       price: parseFloat(req.body.price),
       imageUrl: req.body.image_url || req.body.imageUrl || null,
       isAvailable: req.body.is_available !== undefined ? req.body.is_available : (req.body.isAvailable !== undefined ? req.body.isAvailable : true),
-      displayOrder: req.body.display_order || req.body.displayOrder || 0
+      displayOrder: req.body.display_order || req.body.displayOrder || 0,
+      prepTimeMinutes: parsePrepTimeMinutes(req.body.prep_time_minutes ?? req.body.prepTimeMinutes)
     };
     
     // Solo agregar campos nuevos si vienen en el request Y si la migración está aplicada
@@ -908,6 +893,9 @@ app.put('/api/products/:id', corsMiddleware, async (req, res) => {
     if (req.body.display_order !== undefined || req.body.displayOrder !== undefined) {
       productData.displayOrder = req.body.display_order || req.body.displayOrder;
     }
+    if (req.body.prep_time_minutes !== undefined || req.body.prepTimeMinutes !== undefined) {
+      productData.prepTimeMinutes = parsePrepTimeMinutes(req.body.prep_time_minutes ?? req.body.prepTimeMinutes);
+    }
     const product = await prisma.product.update({
       where: { id: req.params.id },
       data: productData
@@ -1189,145 +1177,41 @@ app.delete('/api/extras/:id', async (req, res) => {
 });
 
 // ========== PEDIDOS ==========
+// Filtros (snake_case o camelCase): storeId, status, delivery_status, payment_method,
+// payment_status, driver_id ('none' = sin repartidor), from/to, min_total/max_total y q
+// (número, nombre, teléfono o dirección). Valores múltiples separados por coma.
+// Los pedidos programados se ocultan hasta liberarse (scheduled=only / scheduled=include).
+// Con cursor o paginate=true responde { orders, next_cursor, has_more, counts };
+// sin ellos mantiene la respuesta como array para el bot y pantallas existentes.
 app.get('/api/orders', systemRateLimit, async (req, res) => {
   try {
-    // Si viene el parámetro 'all=true', mostrar todos los pedidos (para el bot)
-    const showAll = req.query.all === 'true';
-    const storeId = req.query.storeId;
-    
-    let whereClause = {};
-    
-    // Si hay storeId, SIEMPRE filtrar por store (IMPORTANTE: cada tienda es independiente)
-    if (storeId) {
-      whereClause.storeId = storeId;
-    }
+    const paginated = req.query.cursor !== undefined || req.query.paginate === 'true';
     
-    if (!showAll) {
-      // Solo mostrar pedidos que:
-      // 1. Tienen customer_phone (confirmados en WhatsApp), O
-      // 2. Tienen payment_status != 'pending' (pagos aprobados)
-      // Y si tienen payment_status = 'pending', NO deben tener transferencias pendientes
-      // Esto evita que aparezcan pedidos de la web que aún no fueron confirmados en WhatsApp
-      // Y también evita que aparezcan pedidos por transferencia antes de aprobar la transferencia
-      // PERO si el payment_status != 'pending' (ya aprobado), el pedido aparece sin importar las transferencias
-      const filterConditions = {
-        AND: [
-          {
-            OR: [
-              { customerPhone: { not: null } }, // Tiene teléfono (confirmado en WhatsApp)
-              { paymentStatus: { not: 'pending' } } // Pago aprobado (aunque no tenga teléfono aún)
-            ]
-          },
-          {
-            // Si payment_status = 'pending', excluir si tiene transferencias pendientes
-            // Si payment_status != 'pending', incluir siempre (ya está aprobado)
-            OR: [
-              { paymentStatus: { not: 'pending' } }, // Ya aprobado, mostrar siempre
-              {
-                // Si está pendiente, solo mostrar si NO tiene transferencias pendientes
-                AND: [
-                  { paymentStatus: 'pending' },
-                  {
-                    NOT: {
-                      pendingTransfers: {
-                        some: {
-                          status: 'pending'
-                        }
-                      }
-                    }
-                  }
-                ]
-              }
-            ]
-          }
-        ]
-      };
-      
-      // Si hay storeId, combinarlo con las condiciones de filtro
-      if (storeId) {
-        whereClause = {
-          AND: [
-            { storeId: storeId }, // Filtrar por tienda (IMPORTANTE)
-            ...filterConditions.AND
-          ]
-        };
-      } else {
-        whereClause = filterConditions;
-      }
+    if (paginated) {
+      const result = await orderSearchService.search(req.query);
+      return res.json(objectToSnakeCase(result));
     }
     
     const orders = await prisma.order.findMany({
-      where: whereClause,
+      where: orderSearchService.buildWhere(req.query),
       include: {
         items: true
       },
-      orderBy: { createdAt: 'desc' }
+      orderBy: { createdAt: 'desc' },
+      ...(req.query.limit && { take: orderSearchService.parseLimit(req.query.limit) })
     });
     res.json(objectToSnakeCase(orders));
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.details?.message || error.message });
+    }
+    
     // Si el error es por unique_code no existir, usar select explícito
     if (error.code === 'P2022' && error.meta?.column?.includes('unique_code')) {
       console.warn('⚠️ unique_code no existe, obteniendo pedidos sin unique_code...');
       try {
-        // En el fallback también aplicar el filtro si no es 'all=true'
-        const showAll = req.query.all === 'true';
-        const storeId = req.query.storeId;
-        let whereClause = {};
-        
-        // Si hay storeId, SIEMPRE filtrar por store (IMPORTANTE: cada tienda es independiente)
-        if (storeId) {
-          whereClause.storeId = storeId;
-        }
-        
-        if (!showAll) {
-          const filterConditions = {
-            AND: [
-              {
-                OR: [
-                  { customerPhone: { not: null } },
-                  { paymentStatus: { not: 'pending' } }
-                ]
-              },
-              {
-                // Si payment_status = 'pending', excluir si tiene transferencias pendientes
-                // Si payment_status != 'pending', incluir siempre (ya está aprobado)
-                OR: [
-                  { paymentStatus: { not: 'pending' } }, // Ya aprobado, mostrar siempre
-                  {
-                    // Si está pendiente, solo mostrar si NO tiene transferencias pendientes
-                    AND: [
-                      { paymentStatus: 'pending' },
-                      {
-                        NOT: {
-                          pendingTransfers: {
-                            some: {
-                              status: 'pending'
-                            }
-                          }
-                        }
-                      }
-                    ]
-                  }
-                ]
-              }
-            ]
-          };
-          
-          // Si hay storeId, combinarlo con las condiciones de filtro
-          if (storeId) {
-            whereClause = {
-              AND: [
-                { storeId: storeId }, // Filtrar por tienda (IMPORTANTE)
-                ...filterConditions.AND
-              ]
-            };
-          } else {
-            whereClause = filterConditions;
-          }
-        }
-        
         const orders = await prisma.order.findMany({
-          where: whereClause,
+          where: orderSearchService.buildWhere(req.query),
           select: {
             id: true,
             orderNumber: true,
@@ -1420,82 +1304,168 @@ app.post('/api/orders', corsMiddleware, async (req, res) => {
     if (!req.body.customer_name && !req.body.customerName) {
       return res.status(400).json({ error: 'customer_name es requerido' });
     }
-    if (req.body.subtotal === undefined && req.body.subtotal === null) {
-      return res.status(400).json({ error: 'subtotal es requerido' });
-    }
-    if (req.body.total === undefined && req.body.total === null) {
-      return res.status(400).json({ error: 'total es requerido' });
-    }
     if (!req.body.items || !Array.isArray(req.body.items) || req.body.items.length === 0) {
       return res.status(400).json({ error: 'items es requerido y debe tener al menos un item' });
     }
-    
-    // Generar número de pedido único
-    // Usar select para evitar problemas con unique_code si la migración no está aplicada
-    let orderNumber = '#0001';
-    let attempts = 0;
-    const maxOrderNumberAttempts = 10;
-    
-    while (attempts < maxOrderNumberAttempts) {
-      try {
-        // Usar select para obtener solo orderNumber y createdAt, evitando unique_code
-        const lastOrder = await prisma.order.findFirst({
-          select: {
-            orderNumber: true,
-            createdAt: true
-          },
-          orderBy: { createdAt: 'desc' }
-        });
-        
-        if (lastOrder && lastOrder.orderNumber) {
-          const lastNum = parseInt(lastOrder.orderNumber.replace('#', ''));
-          orderNumber = `#${String(lastNum + 1).padStart(4, '0')}`;
+
+    // ========== RECALCULAR PRECIOS EN EL SERVIDOR ==========
+    // Los montos del cliente solo se usan para detectar diferencias, nunca se guardan tal cual
+    const customerAddressInput = req.body.customer_address || req.body.customerAddress;
+    let pricing;
+    try {
+      pricing = await orderPricingService.priceOrder({
+        storeId: req.body.store_id || req.body.storeId || null,
+        items: req.body.items,
+        fulfillmentType: req.body.fulfillment_type || req.body.fulfillmentType || (customerAddressInput ? 'delivery' : 'pickup'),
+        discountCode: req.body.coupon_code || req.body.couponCode || req.body.promo_code || req.body.promoCode || null,
+        // Propina del checkout: porcentaje del subtotal o monto fijo
+        tip: {
+          percent: req.body.tip_percent ?? req.body.tipPercent ?? null,
+          amount: req.body.tip_amount ?? req.body.tipAmount ?? null
+        },
+        // Cliente que usa el código (límites por cliente del cupón / código promocional)
+        customer: {
+          customerId: req.body.customer_phone || req.body.customerPhone || null,
+          userId: req.body.user_id || req.body.userId || null
         }
-        
-        // Verificar que el orderNumber no exista (usando select para evitar unique_code)
-        const existingOrder = await prisma.order.findFirst({
-          where: { orderNumber },
-          select: { id: true } // Solo necesitamos saber si existe
+      });
+    } catch (pricingError) {
+      if (pricingError instanceof AppError) {
+        console.warn(`⚠️ [CREATE ORDER] Pedido rechazado al recalcular precios: ${pricingError.details?.message || pricingError.message}`);
+        return res.status(pricingError.status).json({
+          error: pricingError.details?.message || pricingError.message,
+          details: pricingError.details
         });
-        
-        if (!existingOrder) {
-          break; // El orderNumber es único, continuar
+      }
+      throw pricingError;
+    }
+
+    const priceMismatches = orderPricingService.findMismatches(pricing, {
+      subtotal: req.body.subtotal,
+      deliveryFee: req.body.delivery_fee ?? req.body.deliveryFee,
+      tipAmount: req.body.tip_amount ?? req.body.tipAmount,
+      total: req.body.total
+    }, req.body.items);
+    const priceBreakdown = orderPricingService.buildBreakdown(pricing, priceMismatches);
+
+    if (priceMismatches.length > 0) {
+      console.warn('⚠️ [CREATE ORDER] Diferencias de precio detectadas:', JSON.stringify(priceMismatches));
+      if (orderPricingService.getMode() === 'reject') {
+        return res.status(409).json({
+          error: 'Los precios del pedido no coinciden con los del local',
+          mismatches: priceMismatches,
+          price_breakdown: objectToSnakeCase(priceBreakdown)
+        });
+      }
+      console.warn(`⚠️ [CREATE ORDER] Usando montos del servidor (total: $${pricing.total})`);
+    }
+
+    // ========== PEDIDO PROGRAMADO ==========
+    // El horario se valida contra el horario del local y la capacidad del slot
+    const scheduledForInput = req.body.scheduled_for || req.body.scheduledFor;
+    let scheduledFor = null;
+    if (scheduledForInput) {
+      try {
+        scheduledFor = await scheduledOrdersService.validateSlot(req.body.store_id || req.body.storeId || null, scheduledForInput);
+      } catch (scheduleError) {
+        if (scheduleError instanceof AppError) {
+          console.warn(`⚠️ [CREATE ORDER] Horario programado rechazado: ${scheduleError.details?.message || scheduleError.message}`);
+          return res.status(scheduleError.status).json({ error: scheduleError.details?.message || scheduleError.message });
         }
-        
-        // Si existe, generar uno nuevo
-        const currentNum = parseInt(orderNumber.replace('#', ''));
-        orderNumber = `#${String(currentNum + 1).padStart(4, '0')}`;
-        attempts++;
-        console.log(`⚠️ [CREATE ORDER] Order Number ${orderNumber} ya existe, intentando siguiente...`);
-      } catch (error) {
-        console.error('❌ [CREATE ORDER] Error al generar orderNumber:', error.message);
-        // Si falla, usar timestamp como fallback
-        const timestampNum = String(Date.now()).slice(-4);
-        orderNumber = `#${timestampNum}`;
-        console.warn(`⚠️ [CREATE ORDER] Usando orderNumber de fallback: ${orderNumber}`);
-        break;
+        throw scheduleError;
+      }
+    }
+
+    // ========== RETIRO EN EL LOCAL ==========
+    // Límite de pedidos para retirar por hora (maxPickupOrdersPerHour en StoreSettings)
+    if (pricing.fulfillmentType === 'pickup') {
+      try {
+        await pickupService.checkCapacity(req.body.store_id || req.body.storeId || null);
+      } catch (capacityError) {
+        if (capacityError instanceof AppError) {
+          console.warn(`⚠️ [CREATE ORDER] Pedido para retirar rechazado: ${capacityError.details?.message || capacityError.message}`);
+          return res.status(capacityError.status).json({ error: capacityError.details?.message || capacityError.message });
+        }
+        throw capacityError;
       }
     }
+
+    // ========== CAPACIDAD DE COCINA POR HORA ==========
+    // Con el local lleno se rechaza el pedido (con la próxima hora disponible) o se programa
+    // para el próximo horario con lugar. Los programados ya tienen su propio cupo por horario.
+    // (dine_in no llega acá: priceOrder lo rechaza fuera de una sesión de mesa)
+    let capacityDeferred = false;
+    if (!scheduledFor) {
+      try {
+        const { deferTo } = await orderCapacityService.admit(req.body.store_id || req.body.storeId || null, { items: pricing.items });
+        if (deferTo) {
+          scheduledFor = deferTo;
+          capacityDeferred = true;
+          console.log(`⏳ [CREATE ORDER] Local lleno: pedido programado para ${deferTo.toISOString()}`);
+        }
+      } catch (capacityError) {
+        if (capacityError instanceof AppError) {
+          console.warn(`⚠️ [CREATE ORDER] Pedido rechazado por capacidad: ${capacityError.details?.message || capacityError.message}`);
+          return res.status(capacityError.status).json({
+            error: capacityError.details?.message || capacityError.message,
+            code: capacityError.details?.code,
+            next_available_at: capacityError.details?.nextAvailableAt,
+            next_available_label: capacityError.details?.nextAvailableLabel
+          });
+        }
+        throw capacityError;
+      }
+    }
+
+    // Generar número de pedido con el contador atómico del local (prefijo/formato en StoreSettings)
+    let orderNumber, sequenceNumber, sequenceScope;
+    try {
+      ({ orderNumber, sequenceNumber, sequenceScope } = await orderNumberService.generate(
+        req.body.store_id || req.body.storeId || null
+      ));
+    } catch (numberError) {
+      if (numberError instanceof AppError) {
+        console.error(`❌ [CREATE ORDER] Sin número de pedido: ${numberError.details?.message || numberError.message}`);
+        return res.status(numberError.status).json({ error: numberError.details?.message || numberError.message });
+      }
+      throw numberError;
+    }
     
     console.log(`✅ [CREATE ORDER] Order Number generado: ${orderNumber}`);
 
+    // Coordenadas de la dirección (mapa de la web): se usan para validar las zonas de envío
+    const parseCoordinate = (value) => (value === undefined || value === null || value === '' || !Number.isFinite(Number(value)) ? null : Number(value));
+
     // Convertir snake_case a camelCase para Prisma
     const orderData = {
       customerName: req.body.customer_name || req.body.customerName,
       customerPhone: req.body.customer_phone || req.body.customerPhone,
       customerAddress: req.body.customer_address || req.body.customerAddress,
+      customerLat: parseCoordinate(req.body.customer_lat ?? req.body.customerLat),
+      customerLng: parseCoordinate(req.body.customer_lng ?? req.body.customerLng),
       status: req.body.status || 'pending',
       paymentMethod: req.body.payment_method !== undefined ? req.body.payment_method : (req.body.paymentMethod !== undefined ? req.body.paymentMethod : null),
       paymentStatus: req.body.payment_status || req.body.paymentStatus || 'pending',
-      subtotal: req.body.subtotal,
-      deliveryFee: req.body.delivery_fee || req.body.deliveryFee || 0,
-      total: req.body.total,
+      fulfillmentType: pricing.fulfillmentType,
+      subtotal: pricing.subtotal,
+      deliveryFee: pricing.deliveryFee,
+      total: pricing.total,
+      discount: pricing.discount,
+      tipAmount: pricing.tipAmount,
+      tipType: pricing.tipType,
+      tipPercent: pricing.tipPercent,
+      couponCode: pricing.appliedDiscount?.code || null,
+      priceBreakdown: JSON.stringify(priceBreakdown),
       notes: req.body.notes,
+      scheduledFor,
       orderNumber,
+      sequenceNumber,
+      sequenceScope,
       storeId: req.body.store_id || req.body.storeId || null, // Agregar storeId si viene en el request
       userId: req.body.user_id || req.body.userId || null, // Agregar userId si el usuario está autenticado
       items: {
-        create: (req.body.items || []).map(item => {
+        create: (req.body.items || []).map((item, index) => {
+          const pricedItem = pricing.items[index];
           // Asegurar que selectedOptions se guarde como string JSON
           let selectedOptionsValue = '{}';
           
@@ -1525,11 +1495,11 @@ app.post('/api/orders', corsMiddleware, async (req, res) => {
           });
           
           return {
-            productId: item.product_id || item.productId,
-            productName: item.product_name || item.productName,
-            quantity: item.quantity,
-            unitPrice: item.unit_price || item.unitPrice,
-            subtotal: item.subtotal,
+            productId: pricedItem.productId,
+            productName: pricedItem.productName,
+            quantity: pricedItem.quantity,
+            unitPrice: pricedItem.unitPrice,
+            subtotal: pricedItem.subtotal,
             selectedOptions: selectedOptionsValue
           };
         })
@@ -1544,6 +1514,11 @@ app.post('/api/orders', corsMiddleware, async (req, res) => {
     } else {
       console.warn('⚠️ [CREATE ORDER] No se pudo generar uniqueCode (migración no aplicada), creando pedido sin código único');
     }
+
+    // Los pedidos para retirar tienen su código desde el inicio (se verifica en el mostrador)
+    if (orderData.fulfillmentType === 'pickup') {
+      orderData.deliveryCode = deliveryCodeService.generateDeliveryCode();
+    }
     
     console.log('📦 [CREATE ORDER] Datos del pedido a crear:', JSON.stringify({
       customerName: orderData.customerName,
@@ -1561,12 +1536,21 @@ app.post('/api/orders', corsMiddleware, async (req, res) => {
       console.log('🔄 [CREATE ORDER] orderData keys:', Object.keys(orderData));
       console.log('🔄 [CREATE ORDER] items count:', orderData.items?.create?.length || 0);
       
-      // Crear el pedido (el include puede fallar si unique_code no existe, pero el pedido se crea igual)
-      order = await prisma.order.create({
-        data: orderData,
-        include: {
-          items: true
-        }
+      // Crear el pedido y reservar el uso del cupón / código en la misma transacción
+      // (el include puede fallar si unique_code no existe, pero el pedido se crea igual)
+      order = await prisma.$transaction(async (tx) => {
+        const created = await tx.order.create({
+          data: orderData,
+          include: {
+            items: true
+          }
+        });
+        await orderPricingService.claimDiscountUsage(tx, pricing.appliedDiscount, {
+          orderId: created.id,
+          customerId: created.customerPhone,
+          userId: orderData.userId
+        });
+        return created;
       });
       console.log('✅ [CREATE ORDER] Pedido creado exitosamente:', order.id);
       
@@ -1587,6 +1571,10 @@ app.post('/api/orders', corsMiddleware, async (req, res) => {
         console.log(`✅ [CREATE ORDER] ${order.items.length} items incluidos en la respuesta`);
       }
     } catch (createError) {
+      if (createError instanceof AppError) {
+        console.warn(`⚠️ [CREATE ORDER] Pedido rechazado al reservar el descuento: ${createError.details?.message || createError.message}`);
+        return res.status(createError.status).json({ error: createError.details?.message || createError.message });
+      }
       console.error('❌ [CREATE ORDER] Error al crear pedido:', createError.message);
       console.error('❌ [CREATE ORDER] Error code:', createError.code);
       console.error('❌ [CREATE ORDER] Error meta:', createError.meta);
@@ -1682,6 +1670,17 @@ app.post('/api/orders', corsMiddleware, async (req, res) => {
           };
           
           console.warn('✅ [CREATE ORDER] Pedido creado sin uniqueCode usando raw SQL. Ejecuta: npx prisma migrate deploy');
+
+          // El raw SQL no corre dentro de la transacción: reservar el descuento aparte
+          try {
+            await prisma.$transaction((tx) => orderPricingService.claimDiscountUsage(tx, pricing.appliedDiscount, {
+              orderId,
+              customerId: orderData.customerPhone,
+              userId: orderData.userId
+            }));
+          } catch (claimError) {
+            console.error('❌ [CREATE ORDER] No se pudo registrar el uso del descuento:', claimError.details?.message || claimError.message);
+          }
         } catch (rawError) {
           console.error('❌ [CREATE ORDER] Error al crear pedido con raw SQL:', rawError.message);
           console.error('❌ [CREATE ORDER] Raw SQL error:', rawError);
@@ -1740,7 +1739,46 @@ app.post('/api/orders', corsMiddleware, async (req, res) => {
         // No fallar la creación del pedido si hay error en referidos
       }
     }
-    
+
+    // Historial del pedido
+    const creationActor = {
+      id: orderData.userId || null,
+      name: order.customerName,
+      role: 'customer',
+      channel: ORDER_CHANNELS.WEB
+    };
+    await orderHistoryService.logOrderCreated(order, creationActor);
+    if (pricing.appliedDiscount) {
+      await orderHistoryService.logCouponApplied(order.id, creationActor, orderData.couponCode, orderData.discount);
+    }
+
+    // ETA inicial del pedido (se recalcula en cada cambio de estado)
+    try {
+      const withEta = await deliveryTimeEstimatorService.refreshOrderEta(order.id);
+      if (withEta) {
+        order.estimatedReadyAt = withEta.estimatedReadyAt;
+        order.estimatedDeliveryAt = withEta.estimatedDeliveryAt;
+        order.etaUpdatedAt = withEta.etaUpdatedAt;
+      }
+    } catch (etaError) {
+      console.error('⚠️ [CREATE ORDER] No se pudo calcular la ETA:', etaError.message);
+    }
+
+    // ========== PUNTAJE DE RIESGO ==========
+    // Los pedidos de riesgo alto quedan retenidos hasta que el local los apruebe o rechace
+    try {
+      const risk = await orderRiskService.evaluateOrder(order.id);
+      if (risk) {
+        // Al cliente solo se le informa la retención (el puntaje y los motivos son para el local)
+        order.heldForReview = risk.hold;
+        if (risk.hold) {
+          console.warn(`🔎 [CREATE ORDER] Pedido ${order.orderNumber} retenido para revisión (riesgo ${risk.score})`);
+        }
+      }
+    } catch (riskError) {
+      console.error('⚠️ [CREATE ORDER] No se pudo calcular el riesgo:', riskError.message);
+    }
+
     // NOTA: No enviar notificación automática al crear pedido
     // El cliente envía el mensaje por WhatsApp manualmente
     // Las notificaciones del bot solo se envían cuando el admin confirma/actualiza el pedido
@@ -1748,6 +1786,8 @@ app.post('/api/orders', corsMiddleware, async (req, res) => {
     // Verificar que el uniqueCode se haya guardado correctamente
     console.log('📦 [CREATE ORDER] Preparando respuesta...');
     const responseOrder = objectToSnakeCase(order);
+    responseOrder.price_breakdown = objectToSnakeCase(priceBreakdown);
+    responseOrder.capacity_deferred = capacityDeferred;
     console.log(`📦 [CREATE ORDER] Pedido creado - Order Number: ${responseOrder.order_number}, Unique Code: ${responseOrder.unique_code || 'NO ASIGNADO'}`);
     console.log(`📦 [CREATE ORDER] Items en respuesta: ${responseOrder.items?.length || 0}`);
     
@@ -1794,7 +1834,7 @@ app.post('/api/orders', corsMiddleware, async (req, res) => {
   }
 });
 
-app.put('/api/orders/:id', async (req, res) => {
+app.put('/api/orders/:id', authenticateAdmin, async (req, res) => {
   try {
     const orderData = {};
     if (req.body.customer_name !== undefined || req.body.customerName !== undefined) {
@@ -1807,6 +1847,9 @@ app.put('/api/orders/:id', async (req, res) => {
       orderData.customerAddress = req.body.customer_address || req.body.customerAddress;
     }
     if (req.body.status !== undefined) orderData.status = req.body.status;
+    if (req.body.delivery_status !== undefined || req.body.deliveryStatus !== undefined) {
+      orderData.deliveryStatus = req.body.delivery_status !== undefined ? req.body.delivery_status : req.body.deliveryStatus;
+    }
     if (req.body.payment_method !== undefined || req.body.paymentMethod !== undefined) {
       orderData.paymentMethod = req.body.payment_method || req.body.paymentMethod;
     }
@@ -1854,6 +1897,7 @@ app.put('/api/orders/:id', async (req, res) => {
             deliveryCode: true,
             trackingToken: true,
             deliveryPersonId: true,
+            deliveryStatus: true,
             createdAt: true,
             updatedAt: true,
             items: true
@@ -1868,108 +1912,13 @@ app.put('/api/orders/:id', async (req, res) => {
       return res.status(404).json({ error: 'Pedido no encontrado' });
     }
     
-    // Descontar insumos si el pedido pasa de 'pending' o 'confirmed' a 'ready' o 'confirmed'
-    const previousStatus = previousOrder.status;
-    const newStatus = orderData.status;
-    const shouldDeductIngredients = (
-      (previousStatus === 'pending' || previousStatus === 'confirmed') &&
-      (newStatus === 'ready' || newStatus === 'confirmed') &&
-      previousStatus !== newStatus
-    );
-    
-    if (shouldDeductIngredients) {
-      try {
-        console.log(`📦 [UPDATE ORDER] Descontando insumos para pedido ${previousOrder.orderNumber} (${previousStatus} → ${newStatus})`);
-        
-        // Obtener todos los items del pedido
-        const orderItems = await prisma.orderItem.findMany({
-          where: { orderId: previousOrder.id },
-          select: {
-            productId: true,
-            quantity: true
-          }
-        });
-
-        // Acumular los insumos a descontar
-        const ingredientsToDeduct = new Map(); // Map<ingredientId, totalQuantity>
-
-        for (const item of orderItems) {
-          if (!item.productId) continue;
-
-          // Buscar la receta del producto
-          const recipe = await prisma.recipe.findUnique({
-            where: { productId: item.productId }
-          });
-
-          if (!recipe || !recipe.ingredients) continue;
-
-          // Parsear los ingredientes (puede ser JSON string o objeto)
-          let ingredients;
-          try {
-            ingredients = typeof recipe.ingredients === 'string' 
-              ? JSON.parse(recipe.ingredients) 
-              : recipe.ingredients;
-          } catch (e) {
-            console.error(`❌ [UPDATE ORDER] Error parseando ingredientes de receta ${recipe.id}:`, e);
-            continue;
-          }
-
-          if (!Array.isArray(ingredients)) continue;
-
-          // Para cada ingrediente en la receta, calcular la cantidad a descontar
-          for (const ingredient of ingredients) {
-            const ingredientId = ingredient.ingredient_id || ingredient.ingredientId;
-            const quantityPerUnit = parseFloat(ingredient.quantity || 0);
-            
-            if (!ingredientId || isNaN(quantityPerUnit) || quantityPerUnit <= 0) continue;
-
-            // Calcular cantidad total: cantidad por unidad * cantidad del item
-            const totalQuantity = quantityPerUnit * item.quantity;
-
-            // Acumular en el Map
-            if (ingredientsToDeduct.has(ingredientId)) {
-              ingredientsToDeduct.set(ingredientId, ingredientsToDeduct.get(ingredientId) + totalQuantity);
-            } else {
-              ingredientsToDeduct.set(ingredientId, totalQuantity);
-            }
-          }
-        }
-
-        // Descontar los insumos acumulados
-        for (const [ingredientId, totalQuantity] of ingredientsToDeduct.entries()) {
-          try {
-            const ingredient = await prisma.ingredient.findUnique({
-              where: { id: ingredientId }
-            });
-
-            if (!ingredient) {
-              console.warn(`⚠️ [UPDATE ORDER] Insumo ${ingredientId} no encontrado`);
-              continue;
-            }
-
-            const newStock = Math.max(0, (ingredient.currentStock || 0) - totalQuantity);
-
-            await prisma.ingredient.update({
-              where: { id: ingredientId },
-              data: { currentStock: newStock }
-            });
-
-            console.log(`✅ [UPDATE ORDER] Descontado ${totalQuantity} ${ingredient.unit} de ${ingredient.name} (stock: ${ingredient.currentStock} → ${newStock})`);
-          } catch (error) {
-            console.error(`❌ [UPDATE ORDER] Error descontando insumo ${ingredientId}:`, error);
-          }
-        }
-
-        if (ingredientsToDeduct.size > 0) {
-          console.log(`✅ [UPDATE ORDER] Insumos descontados correctamente para pedido ${previousOrder.orderNumber}`);
-        } else {
-          console.log(`ℹ️ [UPDATE ORDER] No se encontraron recetas para los productos del pedido ${previousOrder.orderNumber}`);
-        }
-      } catch (error) {
-        console.error('❌ [UPDATE ORDER] Error al descontar insumos:', error);
-        // No fallar la actualización del pedido si hay error al descontar insumos, solo loguear
-      }
+    // Validar el cambio contra el ciclo de vida del pedido (status + deliveryStatus)
+    const transition = orderStateValidator.validateChange(previousOrder, orderData, req.user.role);
+    if (!transition.valid) {
+      console.warn(`⚠️ [UPDATE ORDER] Cambio rechazado para pedido ${previousOrder.orderNumber}: ${transition.error}`);
+      return res.status(transition.forbidden ? 403 : 400).json({ error: transition.error });
     }
+    Object.assign(orderData, transition.sync);
     
     // Actualizar el pedido
     let order;
@@ -2033,6 +1982,10 @@ app.put('/api/orders/:id', async (req, res) => {
           setClauses.push(`delivery_code = $${paramIndex++}`);
           values.push(orderData.deliveryCode);
         }
+        if (orderData.deliveryStatus !== undefined) {
+          setClauses.push(`delivery_status = $${paramIndex++}`);
+          values.push(orderData.deliveryStatus);
+        }
         
         setClauses.push(`updated_at = $${paramIndex++}`);
         values.push(new Date().toISOString());
@@ -2113,6 +2066,12 @@ app.put('/api/orders/:id', async (req, res) => {
       payment_status: order.paymentStatus
     });
     
+    // Historial: registrar cada campo modificado con su autor
+    await orderHistoryService.recordUpdate(order.id, previousOrder, orderData, orderHistoryService.actorFromRequest(req));
+    
+    // Efectos de la transición (descuento de insumos, liberar repartidor, notificaciones, saldo)
+    await orderStateValidator.runEffects(order.id, transition.effects);
+    
     // ========== ASIGNAR IUC AL CLIENTE SI EL PEDIDO ES APROBADO/PAGADO ==========
     // Asignar IUC cuando el pedido es aprobado o pagado (primer pedido válido)
     if (order.customerPhone && (order.paymentStatus === 'approved' || order.paymentStatus === 'paid')) {
@@ -2612,10 +2571,17 @@ app.post('/api/pending-transfers', async (req, res) => {
       }
     }
     
+    const orderId = req.body.order_id || req.body.orderId;
+    const transferOrder = orderId
+      ? await prisma.order.findUnique({ where: { id: orderId }, select: { storeId: true } })
+      : null;
+
+    // La transferencia siempre nace pendiente: se aprueba desde el panel (PUT), después de revisar el comprobante
     const transferData = {
-      orderId: req.body.order_id || req.body.orderId,
+      orderId,
+      storeId: transferOrder?.storeId || null,
       amount: req.body.amount,
-      status: req.body.status || 'pending',
+      status: 'pending',
       transferReference: req.body.transfer_reference || req.body.transferReference || null,
       proofImageUrl: proofImageUrl
     };
@@ -2652,10 +2618,11 @@ app.post('/api/pending-transfers', async (req, res) => {
           const now = new Date().toISOString();
           const transferResult = await prisma.$queryRawUnsafe(`
             INSERT INTO pending_transfers (
-              id, order_id, transfer_reference, amount, status, proof_image_url, verified_at, created_at, updated_at
+              id, order_id, store_id, transfer_reference, amount, status, proof_image_url, verified_at, created_at, updated_at
             ) VALUES (
               '${transferId}',
               '${transferData.orderId}',
+              ${transferData.storeId ? `'${transferData.storeId}'` : 'NULL'},
               ${transferData.transferReference ? `'${transferData.transferReference.replace(/'/g, "''")}'` : 'NULL'},
               ${transferData.amount || 0},
               '${transferData.status}',
@@ -2689,6 +2656,7 @@ app.post('/api/pending-transfers', async (req, res) => {
           transfer = {
             id: insertedTransfer.id,
             orderId: insertedTransfer.order_id,
+            storeId: insertedTransfer.store_id,
             transferReference: insertedTransfer.transfer_reference,
             amount: parseFloat(insertedTransfer.amount),
             status: insertedTransfer.status,
@@ -2724,6 +2692,22 @@ app.post('/api/pending-transfers', async (req, res) => {
         throw createError;
       }
     }
+    
+    // Registrar la transferencia en el libro de pagos del pedido
+    await orderPaymentsService.syncPendingTransfer(transfer, orderHistoryService.actorFromRequest(req, ORDER_CHANNELS.BOT));
+    
+    // Comparar el comprobante (guardado por el bot en /proofs) con los anteriores del local
+    if (proofImageUrl && transfer.storeId) {
+      const proofPath = path.join(__dirname, '../whatsapp-bot/proofs', path.basename(proofImageUrl.split('?')[0]));
+      try {
+        const proofBuffer = await fs.promises.readFile(proofPath);
+        const fingerprinted = await transferProofsService.fingerprint(transfer, proofBuffer);
+        transfer = { ...transfer, ...fingerprinted, order: transfer.order };
+      } catch (proofError) {
+        console.warn(`⚠️ [PENDING TRANSFERS] No se pudo comparar el comprobante ${proofImageUrl}:`, proofError.message);
+      }
+    }
+    
     res.json(objectToSnakeCase(transfer));
   } catch (error) {
     console.error('Error creating pending transfer:', error);
@@ -2750,17 +2734,45 @@ app.put('/api/pending-transfers/:id', async (req, res) => {
       transferData.verifiedAt = req.body.verified_at ? new Date(req.body.verified_at) : new Date(req.body.verifiedAt);
     }
     
-    const transfer = await prisma.pendingTransfer.update({
-      where: { id: req.params.id },
-      data: transferData
-    });
+    // Aprobar / rechazar la transferencia actualiza el pago correspondiente del pedido
+    const transfer = await pendingTransfersService.update(req.params.id, transferData, orderHistoryService.actorFromRequest(req));
+    
     res.json(objectToSnakeCase(transfer));
   } catch (error) {
+    // Comprobante repetido sin autorizar (ver transfer-proofs.service)
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.details?.message || error.message });
+    }
     console.error('Error updating transfer:', error);
     res.status(500).json({ error: 'Error al actualizar transferencia' });
   }
 });
 
+// Autorizar una transferencia con comprobante repetido (queda registrado quién y el motivo)
+app.post('/api/pending-transfers/:id/duplicate-override',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin'),
+  async (req, res) => {
+  try {
+    const existing = await prisma.pendingTransfer.findUnique({ where: { id: req.params.id }, select: { storeId: true } });
+    if (!existing) return res.status(404).json({ error: 'Transferencia no encontrada' });
+    if (!canAccessStore(req.user, existing.storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
+
+    const transfer = await transferProofsService.override(req.params.id, req.body?.note, orderHistoryService.actorFromRequest(req));
+    console.log(`⚠️ [PENDING TRANSFERS] Comprobante repetido autorizado en ${transfer.id} por ${transfer.duplicateOverrideBy}`);
+    res.json(objectToSnakeCase(transfer));
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.details?.message || error.message });
+    }
+    console.error('Error overriding duplicate proof:', error);
+    res.status(500).json({ error: 'Error al autorizar el comprobante' });
+  }
+});
+
 // ========== REPARTIDORES ==========
 app.get('/api/delivery-persons', systemRateLimit, async (req, res) => {
   try {
@@ -3107,6 +3119,25 @@ app.post('/api/delivery-persons/:id/accept-order', async (req, res) => {
       return res.status(400).json({ error: 'El repartidor ya tiene un pedido asignado' });
     }
     
+    const currentOrder = await prisma.order.findUnique({
+      where: { id: order_id },
+      select: { status: true, deliveryStatus: true, deliveryPersonId: true, scheduledFor: true, releasedAt: true, fulfillmentType: true }
+    });
+    
+    if (!currentOrder) {
+      return res.status(404).json({ error: 'Pedido no encontrado' });
+    }
+    
+    // Validar transición de estado
+    const transition = orderStateValidator.validateChange(
+      currentOrder,
+      { status: 'assigned', deliveryPersonId: req.params.id },
+      'driver'
+    );
+    if (!transition.valid) {
+      return res.status(transition.forbidden ? 403 : 400).json({ error: transition.error });
+    }
+    
     // Generar código de entrega y tracking token
     const deliveryCode = Math.floor(1000 + Math.random() * 9000).toString();
     const trackingToken = `${Date.now()}-${Math.random().toString(36).substring(2, 15)}`;
@@ -3116,6 +3147,7 @@ app.post('/api/delivery-persons/:id/accept-order', async (req, res) => {
       where: { id: order_id },
       data: {
         status: 'assigned',
+        ...transition.sync,
         deliveryPersonId: req.params.id,
         deliveryCode: deliveryCode,
         trackingToken: trackingToken
@@ -3134,6 +3166,15 @@ app.post('/api/delivery-persons/:id/accept-order', async (req, res) => {
       }
     });
     
+    const driverActor = { id: deliveryPerson.id, name: deliveryPerson.name, role: 'driver', channel: ORDER_CHANNELS.DRIVER_APP };
+    await orderHistoryService.recordUpdate(order.id, currentOrder, {
+      status: 'assigned',
+      ...transition.sync,
+      deliveryPersonId: req.params.id
+    }, driverActor);
+    
+    await orderStateValidator.runEffects(order.id, transition.effects);
+    
     // Notificar al cliente
     if (order.customerPhone && order.customerPhone.trim() !== '') {
       try {
@@ -3194,6 +3235,12 @@ app.post('/api/delivery-persons/:id/deliver-order', async (req, res) => {
       return res.status(404).json({ error: 'Pedido no encontrado' });
     }
     
+    // Validar transición de estado
+    const transition = orderStateValidator.validateChange(order, { status: 'delivered' }, 'driver');
+    if (!transition.valid) {
+      return res.status(transition.forbidden ? 403 : 400).json({ error: transition.error });
+    }
+    
     if (order.deliveryCode !== delivery_code) {
       // Código incorrecto - deshabilitar efectivo para este cliente
       if (order.customerPhone) {
@@ -3239,7 +3286,8 @@ app.post('/api/delivery-persons/:id/deliver-order', async (req, res) => {
     const updatedOrder = await prisma.order.update({
       where: { id: order_id },
       data: {
-        status: 'delivered'
+        status: 'delivered',
+        ...transition.sync
       }
     });
     
@@ -3271,6 +3319,17 @@ app.post('/api/delivery-persons/:id/deliver-order', async (req, res) => {
       }
     });
     
+    await orderHistoryService.recordUpdate(order_id, order, { status: 'delivered', ...transition.sync }, {
+      id: deliveryPerson.id,
+      name: deliveryPerson.name,
+      role: 'driver',
+      channel: ORDER_CHANNELS.DRIVER_APP
+    });
+    
+    await orderStateValidator.runEffects(order_id, transition.effects, {
+      handled: ['release_driver', 'credit_driver', 'notify_customer']
+    });
+    
     // Notificar al cliente
     if (order.customerPhone && order.customerPhone.trim() !== '') {
       try {
@@ -3386,371 +3445,1530 @@ app.put('/api/customers/:id', async (req, res) => {
   }
 });
 
-// ========== APROBAR PEDIDO (REQUIERE AUTENTICACIÓN ADMIN) ==========
-app.post('/api/orders/:id/approve',
-  authenticateAdmin, // Requiere JWT de admin
-  authorize('admin', 'super_admin', 'operator'), // Admin, super_admin o operator
-  endpointRateLimit('approve_order', 20, 15 * 60 * 1000), // 20 aprobaciones por 15 min
-  async (req, res, next) => {
+// ========== HISTORIAL DEL PEDIDO (REQUIERE AUTENTICACIÓN ADMIN) ==========
+app.get('/api/orders/:id/timeline',
+  authenticateAdmin,
+  authorize('admin', 'super_admin', 'operator'),
+  authorizeOrderAccess,
+  async (req, res) => {
   try {
     const order = await prisma.order.findUnique({
       where: { id: req.params.id },
-      include: { items: true }
+      select: { id: true, orderNumber: true, status: true, deliveryStatus: true }
     });
     
     if (!order) {
       return res.status(404).json({ error: 'Pedido no encontrado' });
     }
+    
+    const timeline = await orderHistoryService.getOrderTimeline(order.id);
+    
+    res.json(objectToSnakeCase({ ...order, timeline }));
+  } catch (error) {
+    console.error('Error fetching order timeline:', error);
+    res.status(500).json({ error: 'Error al obtener historial del pedido' });
+  }
+});
 
-    // Validar transición de estado
-    const stateValidation = await orderStateValidator.validateOrderStatusChange(
-      order.id,
-      'confirmed',
-      req.user.role
-    );
+// ========== EDICIÓN DE PEDIDOS (REQUIERE AUTENTICACIÓN ADMIN) ==========
+// El local modifica items / dirección de un pedido pending o confirmed; el servidor
+// recalcula montos y el cliente confirma por WhatsApp antes de aplicar los cambios
+const sendOrderEditError = (res, error, fallbackMessage) => {
+  if (error instanceof AppError) {
+    return res.status(error.status).json({
+      error: error.details?.message || error.message,
+      details: error.details
+    });
+  }
+  console.error(`❌ [ORDER EDIT] ${fallbackMessage}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+};
 
-    if (!stateValidation.valid) {
-      return res.status(400).json({ error: stateValidation.error });
-    }
-    
-    // Descontar insumos según las recetas de los productos
-    try {
-      console.log(`📦 [APPROVE ORDER] Descontando insumos para pedido ${order.orderNumber}`);
-      
-      // Obtener todos los items del pedido con sus productos
-      const orderItems = await prisma.orderItem.findMany({
-        where: { orderId: order.id },
-        select: {
-          productId: true,
-          quantity: true
+app.get('/api/orders/:id/edits',
+  authenticateAdmin,
+  authorize('admin', 'super_admin', 'operator'),
+  authorizeOrderAccess,
+  async (req, res) => {
+  try {
+    const edits = await orderEditService.getOrderEdits(req.params.id);
+    res.json(objectToSnakeCase(edits));
+  } catch (error) {
+    sendOrderEditError(res, error, 'Error al obtener modificaciones del pedido');
+  }
+});
+
+app.post('/api/orders/:id/edits',
+  authenticateAdmin,
+  authorize('admin', 'super_admin', 'operator'),
+  authorizeOrderAccess,
+  async (req, res) => {
+  try {
+    const body = req.body || {};
+    const edit = await orderEditService.requestEdit(req.params.id, {
+      items: body.items,
+      customerAddress: body.customer_address ?? body.customerAddress,
+      customerLat: body.customer_lat ?? body.customerLat,
+      customerLng: body.customer_lng ?? body.customerLng,
+      reason: body.reason,
+      customerConfirmed: Boolean(body.customer_confirmed ?? body.customerConfirmed)
+    }, orderHistoryService.actorFromRequest(req));
+
+    console.log(`✏️ [ORDER EDIT] Pedido ${req.params.id}: edición ${edit.id} (${edit.status}, diferencia $${edit.difference})`);
+    res.status(201).json(objectToSnakeCase(edit));
+  } catch (error) {
+    sendOrderEditError(res, error, 'Error al modificar pedido');
+  }
+});
+
+app.post('/api/orders/:id/edits/:editId/cancel',
+  authenticateAdmin,
+  authorize('admin', 'super_admin', 'operator'),
+  authorizeOrderAccess,
+  async (req, res) => {
+  try {
+    const edit = await orderEditService.cancelEdit(req.params.id, req.params.editId, orderHistoryService.actorFromRequest(req));
+    res.json(objectToSnakeCase(edit));
+  } catch (error) {
+    sendOrderEditError(res, error, 'Error al cancelar modificación del pedido');
+  }
+});
+
+// ========== CAPACIDAD DE COCINA ==========
+// ¿El local está tomando pedidos ahora? (público: el checkout web lo consulta antes de confirmar)
+app.get('/api/stores/:storeId/capacity', corsMiddleware, systemRateLimit, async (req, res) => {
+  try {
+    const result = await orderCapacityService.check(req.params.storeId);
+    res.json({
+      accepting: result.allowed,
+      limited: result.limited,
+      limit: result.limit ?? null,
+      load: result.load ?? null,
+      overflow_action: result.overflowAction ?? null,
+      next_available_at: result.nextAvailableAt ? result.nextAvailableAt.toISOString() : null,
+      next_available_label: result.nextAvailableAt ? orderCapacityService.formatTime(result.nextAvailableAt) : null
+    });
+  } catch (error) {
+    console.error('Error fetching store capacity:', error);
+    res.status(500).json({ error: 'Error al obtener la capacidad del local' });
+  }
+});
+
+// ========== TIEMPO ESTIMADO (ETA) ==========
+// Tiempo estimado actual del local para mostrar en la tienda (público)
+app.get('/api/stores/:storeId/eta', corsMiddleware, systemRateLimit, async (req, res) => {
+  try {
+    const estimate = await deliveryTimeEstimatorService.getCurrentEstimate(req.params.storeId);
+    res.json(objectToSnakeCase(estimate));
+  } catch (error) {
+    console.error('Error fetching store ETA:', error);
+    res.status(500).json({ error: 'Error al obtener el tiempo estimado' });
+  }
+});
+
+// Precisión de las ETAs y tiempos reales aprendidos del local (panel)
+app.get('/api/stores/:storeId/eta-stats', corsMiddleware, authenticateAdmin, async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
+
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+    const [accuracy, timings] = await Promise.all([
+      deliveryTimeEstimatorService.getAccuracyStats(storeId, days),
+      prepTimeService.getTimeStats(storeId, days)
+    ]);
+    res.json(objectToSnakeCase({ accuracy, ...timings }));
+  } catch (error) {
+    console.error('Error fetching ETA stats:', error);
+    res.status(500).json({ error: 'Error al obtener las estadísticas de tiempos' });
+  }
+});
+
+// ========== POLÍTICA DE CANCELACIÓN ==========
+// Motivos, quién puede cancelar en cada estado y cargos (público: la web y el bot muestran motivos y cargos)
+app.get('/api/stores/:storeId/cancellation-policy', corsMiddleware, systemRateLimit, async (req, res) => {
+  try {
+    const policy = await cancellationPolicyService.getPolicy(req.params.storeId);
+    if (req.query.actor) {
+      return res.json(objectToSnakeCase({ ...policy, reasons: cancellationPolicyService.reasonsFor(policy, req.query.actor) }));
+    }
+    res.json(objectToSnakeCase(policy));
+  } catch (error) {
+    console.error('Error fetching cancellation policy:', error);
+    res.status(500).json({ error: 'Error al obtener la política de cancelación' });
+  }
+});
+
+// Configurar la política (acepta cambios parciales: reasons, stages, refund_method)
+app.put('/api/stores/:storeId/cancellation-policy',
+  authenticateAdmin,
+  authorize('admin', 'super_admin'),
+  async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
+
+    const policy = await cancellationPolicyService.updatePolicy(storeId, req.body || {});
+    console.log(`✅ [CANCEL] Política de cancelación actualizada para el local ${storeId}`);
+    res.json(objectToSnakeCase(policy));
+  } catch (error) {
+    sendCancellationError(res, error, 'Error al guardar la política de cancelación');
+  }
+});
+
+// Cancelaciones por motivo, actor y estado; cargos y reintegros (panel)
+app.get('/api/stores/:storeId/cancellation-stats', corsMiddleware, authenticateAdmin, async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
+
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+    const stats = await orderCancellationService.getStats(storeId, {
+      since: new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+    });
+    res.json(objectToSnakeCase(stats));
+  } catch (error) {
+    console.error('Error fetching cancellation stats:', error);
+    res.status(500).json({ error: 'Error al obtener las estadísticas de cancelaciones' });
+  }
+});
+
+// ========== PROPINAS ==========
+// Opciones de propina para el checkout (público: web y bot)
+app.get('/api/stores/:storeId/tip-options', corsMiddleware, systemRateLimit, async (req, res) => {
+  try {
+    const subtotal = Math.max(parseFloat(req.query.subtotal) || 0, 0);
+    const options = await tipsService.getCheckoutOptions(req.params.storeId, subtotal);
+    res.json(objectToSnakeCase(options));
+  } catch (error) {
+    console.error('Error fetching tip options:', error);
+    res.status(500).json({ error: 'Error al obtener las opciones de propina' });
+  }
+});
+
+// Política de propinas: porcentajes sugeridos y a quién van (repartidor, cocina o dividida)
+app.get('/api/stores/:storeId/tip-policy', corsMiddleware, authenticateAdmin, async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
+
+    const policy = await tipsService.getTipPolicy(storeId);
+    res.json(objectToSnakeCase(policy));
+  } catch (error) {
+    console.error('Error fetching tip policy:', error);
+    res.status(500).json({ error: 'Error al obtener la política de propinas' });
+  }
+});
+
+app.put('/api/stores/:storeId/tip-policy',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin'),
+  async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
+
+    const policy = await tipsService.updateTipPolicy(storeId, req.body || {});
+    console.log(`✅ [TIPS] Política de propinas actualizada para el local ${storeId}`);
+    res.json(objectToSnakeCase(policy));
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.details?.message || error.message });
+    }
+    console.error('Error updating tip policy:', error);
+    res.status(500).json({ error: 'Error al guardar la política de propinas' });
+  }
+});
+
+// Propinas cobradas, acreditadas a repartidores y pozo de cocina
+app.get('/api/stores/:storeId/tips-report', corsMiddleware, authenticateAdmin, async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
+
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 90);
+    const report = await tipsService.getStoreTipReport(storeId, {
+      since: new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+    });
+    res.json(objectToSnakeCase(report));
+  } catch (error) {
+    console.error('Error fetching tips report:', error);
+    res.status(500).json({ error: 'Error al obtener el reporte de propinas' });
+  }
+});
+
+// ========== CONCILIACIÓN DE PAGOS ==========
+// Reporte del conciliador de MercadoPago: última corrida, pagos huérfanos, cobros dobles y diferencias
+app.get('/api/stores/:storeId/payment-reconciliation',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin'),
+  async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
+
+    const status = ['open', 'resolved', 'ignored', 'all'].includes(req.query.status) ? req.query.status : 'open';
+    const report = await paymentReconciliationService.getReport(storeId, { status });
+    res.json(objectToSnakeCase(report));
+  } catch (error) {
+    console.error('Error fetching payment reconciliation:', error);
+    res.status(500).json({ error: 'Error al obtener la conciliación de pagos' });
+  }
+});
+
+// Correr la conciliación ahora (ventana en horas, por defecto la del job programado)
+app.post('/api/stores/:storeId/payment-reconciliation/run',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin'),
+  async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
+
+    const run = await paymentReconciliationService.reconcileStore(storeId, {
+      hours: req.body?.hours,
+      trigger: 'manual'
+    });
+    console.log(`✅ [RECONCILIATION] Conciliación manual del local ${storeId}: ${run.paymentsChecked} pagos, ${run.fixedCount} corregidos, ${run.issuesCount} problemas`);
+    res.json(objectToSnakeCase(run));
+  } catch (error) {
+    console.error('Error running payment reconciliation:', error);
+    res.status(500).json({ error: 'Error al conciliar los pagos', details: error.message });
+  }
+});
+
+// Cerrar un problema de conciliación (resuelto a mano o ignorado)
+app.patch('/api/stores/:storeId/payment-reconciliation/issues/:issueId',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin'),
+  async (req, res) => {
+  try {
+    const { storeId, issueId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
+
+    const issue = await paymentReconciliationService.resolveIssue(storeId, issueId, {
+      status: req.body?.status,
+      note: req.body?.note || null
+    }, req.user);
+    res.json(objectToSnakeCase(issue));
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.details?.message || error.message });
+    }
+    console.error('Error resolving reconciliation issue:', error);
+    res.status(500).json({ error: 'Error al actualizar el problema de conciliación' });
+  }
+});
+
+// ========== CONCILIACIÓN BANCARIA ==========
+// Extractos de bancos / billeteras (CSV u OFX) cruzados contra las transferencias pendientes del local
+const sendBankStatementError = (res, error, fallbackMessage) => {
+  if (error instanceof AppError) {
+    return res.status(error.status).json({ error: error.details?.message || error.message });
+  }
+  console.error(`❌ [BANK STATEMENTS] ${fallbackMessage}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+};
+
+// Formatos de extracto soportados (bancos y Mercado Pago)
+app.get('/api/stores/:storeId/bank-statements/presets',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin'),
+  (req, res) => {
+  res.json(objectToSnakeCase(bankStatementsService.getPresets()));
+});
+
+// Importaciones del local
+app.get('/api/stores/:storeId/bank-statements',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin'),
+  async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
+
+    const imports = await bankStatementsService.getImports(storeId);
+    res.json(objectToSnakeCase(imports));
+  } catch (error) {
+    sendBankStatementError(res, error, 'Error al obtener los extractos');
+  }
+});
+
+// Subir un extracto: { content (texto del archivo), file_name, preset, mapping: { date, amount, credit, ... } }
+app.post('/api/stores/:storeId/bank-statements',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin'),
+  async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
+
+    const statementImport = await bankStatementsService.importStatement(storeId, {
+      content: req.body?.content,
+      fileName: req.body?.file_name || req.body?.fileName || null,
+      preset: req.body?.preset || null,
+      mapping: req.body?.mapping || null
+    }, orderHistoryService.actorFromRequest(req));
+    console.log(`🏦 [BANK STATEMENTS] Extracto importado: ${statementImport.creditLines} acreditaciones, ${statementImport.autoApproved} aprobadas, ${statementImport.needsReview} para revisar`);
+    res.status(201).json(objectToSnakeCase(statementImport));
+  } catch (error) {
+    sendBankStatementError(res, error, 'Error al importar el extracto');
+  }
+});
+
+// Acreditaciones para revisar (?status=needs_review|unmatched|ignored)
+app.get('/api/stores/:storeId/bank-statements/review',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin'),
+  async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
+
+    const lines = await bankStatementsService.getReviewQueue(storeId, { status: req.query.status || null });
+    res.json(objectToSnakeCase(lines));
+  } catch (error) {
+    sendBankStatementError(res, error, 'Error al obtener los movimientos para revisar');
+  }
+});
+
+// Volver a cruzar lo pendiente (comprobantes que llegaron después de importar)
+app.post('/api/stores/:storeId/bank-statements/rematch',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin'),
+  async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
+
+    const counts = await bankStatementsService.rematch(storeId, orderHistoryService.actorFromRequest(req));
+    res.json(objectToSnakeCase(counts));
+  } catch (error) {
+    sendBankStatementError(res, error, 'Error al volver a cruzar los movimientos');
+  }
+});
+
+// Detalle de una importación con sus movimientos
+app.get('/api/stores/:storeId/bank-statements/:importId',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin'),
+  async (req, res) => {
+  try {
+    const { storeId, importId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
+
+    const statementImport = await bankStatementsService.getImport(storeId, importId);
+    res.json(objectToSnakeCase(statementImport));
+  } catch (error) {
+    sendBankStatementError(res, error, 'Error al obtener el extracto');
+  }
+});
+
+// Resolver un movimiento: { action: 'approve' | 'ignore' | 'reopen', pending_transfer_id }
+app.post('/api/stores/:storeId/bank-statement-lines/:lineId/resolve',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin'),
+  async (req, res) => {
+  try {
+    const { storeId, lineId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
+
+    const line = await bankStatementsService.resolveLine(storeId, lineId, {
+      action: req.body?.action,
+      pendingTransferId: req.body?.pending_transfer_id || req.body?.pendingTransferId || null
+    }, orderHistoryService.actorFromRequest(req));
+    res.json(objectToSnakeCase(line));
+  } catch (error) {
+    sendBankStatementError(res, error, 'Error al resolver el movimiento');
+  }
+});
+
+// ========== REVISIÓN DE RIESGO ==========
+// Pedidos retenidos por puntaje de riesgo con sus motivos (se resuelven con /approve o /reject)
+app.get('/api/stores/:storeId/orders-on-hold',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin', 'operator'),
+  async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
+
+    const orders = await orderRiskService.getReviewQueue(storeId);
+    res.json(orders.map(order => objectToSnakeCase(order)));
+  } catch (error) {
+    console.error('Error fetching orders on hold:', error);
+    res.status(500).json({ error: 'Error al obtener los pedidos en revisión' });
+  }
+});
+
+// ========== PEDIDOS PROGRAMADOS ==========
+// Horarios disponibles para programar (público: checkout web y bot)
+app.get('/api/stores/:storeId/scheduled-slots', corsMiddleware, systemRateLimit, async (req, res) => {
+  try {
+    const date = req.query.date || scheduledOrdersService.getLocalParts().date;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'date debe tener formato YYYY-MM-DD' });
+    }
+    
+    const result = await scheduledOrdersService.getAvailableSlots(req.params.storeId, date);
+    res.json(objectToSnakeCase(result));
+  } catch (error) {
+    console.error('Error fetching scheduled slots:', error);
+    res.status(500).json({ error: 'Error al obtener horarios disponibles' });
+  }
+});
+
+// Pedidos programados que todavía no se liberaron a cocina
+app.get('/api/stores/:storeId/scheduled-orders',
+  authenticateAdmin,
+  authorize('admin', 'super_admin', 'operator'),
+  authorizeStoreAccess,
+  async (req, res) => {
+  try {
+    const orders = await scheduledOrdersService.getStoreScheduledOrders(req.params.storeId);
+    res.json(objectToSnakeCase(orders));
+  } catch (error) {
+    console.error('Error fetching scheduled orders:', error);
+    res.status(500).json({ error: 'Error al obtener pedidos programados' });
+  }
+});
+
+// Programar / reprogramar un pedido
+app.put('/api/orders/:id/schedule',
+  authenticateAdmin,
+  authorize('admin', 'super_admin', 'operator'),
+  authorizeOrderAccess,
+  async (req, res) => {
+  try {
+    const scheduledFor = req.body?.scheduled_for || req.body?.scheduledFor;
+    if (!scheduledFor) {
+      return res.status(400).json({ error: 'scheduled_for es requerido' });
+    }
+    
+    const order = await scheduledOrdersService.scheduleOrder(req.params.id, scheduledFor, orderHistoryService.actorFromRequest(req));
+    console.log(`📅 [SCHEDULED] Pedido ${order.orderNumber} programado para ${order.scheduledFor.toISOString()}`);
+    res.json(objectToSnakeCase(order));
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.details?.message || error.message });
+    }
+    console.error('Error scheduling order:', error);
+    res.status(500).json({ error: 'Error al programar pedido' });
+  }
+});
+
+// Liberar a cocina antes de tiempo
+app.post('/api/orders/:id/release',
+  authenticateAdmin,
+  authorize('admin', 'super_admin', 'operator'),
+  authorizeOrderAccess,
+  async (req, res) => {
+  try {
+    const order = await prisma.order.findUnique({ where: { id: req.params.id } });
+    if (!order) {
+      return res.status(404).json({ error: 'Pedido no encontrado' });
+    }
+    if (!scheduledOrdersService.isParked(order)) {
+      return res.status(400).json({ error: 'El pedido no está esperando su horario programado' });
+    }
+    
+    await scheduledOrdersService.releaseOrder(order, orderHistoryService.actorFromRequest(req));
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error releasing scheduled order:', error);
+    res.status(500).json({ error: 'Error al liberar pedido programado' });
+  }
+});
+
+// ========== RETIRO EN EL LOCAL ==========
+// Reenviar al cliente el aviso de "listo para retirar" con su código
+app.post('/api/orders/:id/pickup-ready-notice',
+  authenticateAdmin,
+  authorize('admin', 'super_admin', 'operator'),
+  authorizeOrderAccess,
+  async (req, res) => {
+  try {
+    const result = await pickupService.notifyReady(req.params.id);
+    if (!result?.success) {
+      return res.status(502).json({ error: result?.error || 'No se pudo enviar el aviso por WhatsApp' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.details?.message || error.message });
+    }
+    console.error('Error sending pickup ready notice:', error);
+    res.status(500).json({ error: 'Error al avisar que el pedido está listo' });
+  }
+});
+
+// Entregar en el mostrador verificando el código de retiro del cliente
+app.post('/api/orders/:id/pickup',
+  authenticateAdmin,
+  authorize('admin', 'super_admin', 'operator'),
+  authorizeOrderAccess,
+  async (req, res) => {
+  try {
+    const code = req.body?.pickup_code || req.body?.pickupCode || req.body?.code;
+    const { order, attempts } = await pickupService.verifyAndHandOver(
+      req.params.id,
+      code,
+      orderHistoryService.actorFromRequest(req)
+    );
+    console.log(`🏪 [PICKUP] Pedido ${order.orderNumber} retirado en el local (intentos: ${attempts})`);
+    res.json(objectToSnakeCase({ success: true, order }));
+  } catch (error) {
+    if (error instanceof AppError) {
+      const { message, ...details } = error.details || {};
+      return res.status(error.status).json({ error: message || error.message, ...objectToSnakeCase(details) });
+    }
+    console.error('Error handing over pickup order:', error);
+    res.status(500).json({ error: 'Error al entregar pedido en el local' });
+  }
+});
+
+// ========== APROBAR PEDIDO (REQUIERE AUTENTICACIÓN ADMIN) ==========
+app.post('/api/orders/:id/approve',
+  authenticateAdmin, // Requiere JWT de admin
+  authorize('admin', 'super_admin', 'operator'), // Admin, super_admin o operator
+  endpointRateLimit('approve_order', 20, 15 * 60 * 1000), // 20 aprobaciones por 15 min
+  async (req, res, next) => {
+  try {
+    const order = await prisma.order.findUnique({
+      where: { id: req.params.id },
+      include: { items: true }
+    });
+    
+    if (!order) {
+      return res.status(404).json({ error: 'Pedido no encontrado' });
+    }
+
+    // Validar transición de estado
+    const stateValidation = await orderStateValidator.validateOrderStatusChange(
+      order.id,
+      'confirmed',
+      req.user.role
+    );
+
+    if (!stateValidation.valid) {
+      return res.status(400).json({ error: stateValidation.error });
+    }
+    
+    // Aprobar pedido - cambiar a confirmed y luego a preparing
+    const approvedOrder = await prisma.order.update({
+      where: { id: req.params.id },
+      data: { 
+        status: 'confirmed',
+        paymentStatus: 'confirmed'
+      }
+    });
+
+    await orderHistoryService.recordUpdate(order.id, order, {
+      status: 'confirmed',
+      paymentStatus: 'confirmed'
+    }, orderHistoryService.actorFromRequest(req));
+
+    // Pedido retenido por riesgo: el local lo revisó y lo aprueba
+    const releasedFromReview = await orderRiskService.markReviewed(order.id, orderHistoryService.actorFromRequest(req), true);
+
+    // Efectos de la transición (descuento de insumos según recetas); un pedido retenido
+    // no recibió la confirmación del bot, así que se le avisa al cliente al aprobarlo
+    await orderStateValidator.runEffects(
+      order.id,
+      releasedFromReview ? [...stateValidation.effects, 'notify_customer'] : stateValidation.effects
+    );
+
+    // Log auditoría
+    await auditService.logOrderApproval(
+      order.id,
+      true,
+      req.user.id,
+      req.user.role
+    );
+
+    // Log cambio de estado
+    await auditService.logOrderStatusChange(
+      order.id,
+      order.status,
+      'confirmed',
+      req.user.id,
+      req.user.role
+    );
+    
+    // NO notificar al cliente cuando el admin aprueba (salvo pedidos retenidos para revisión)
+    // Solo se notifica cuando:
+    // 1. El pago se aprueba automáticamente (PAGO RECIBIDO/PREPARANDO)
+    // 2. El repartidor marca "en camino" (PEDIDO EN CAMINO)
+    
+    res.json(objectToSnakeCase(approvedOrder));
+  } catch (error) {
+    console.error('Error approving order:', error);
+    res.status(500).json({ error: 'Error al aprobar pedido' });
+  }
+});
+
+// ========== RECHAZAR PEDIDO (REQUIERE AUTENTICACIÓN ADMIN) ==========
+app.post('/api/orders/:id/reject',
+  authenticateAdmin, // Requiere JWT de admin
+  authorize('admin', 'super_admin', 'operator'), // Admin, super_admin o operator
+  endpointRateLimit('reject_order', 20, 15 * 60 * 1000), // 20 rechazos por 15 min
+  async (req, res, next) => {
+  try {
+    const { reason } = req.body; // Razón opcional del rechazo
+    const order = await prisma.order.findUnique({
+      where: { id: req.params.id },
+      include: { deliveryPerson: true }
+    });
+    
+    if (!order) {
+      return res.status(404).json({ error: 'Pedido no encontrado' });
+    }
+
+    // Rechazar/Cancelar pedido con la política de cancelación (reintegro y stock);
+    // el aviso al cliente con el motivo lo envía este endpoint
+    let rejectedOrder;
+    try {
+      ({ order: rejectedOrder } = await orderCancellationService.cancelOrder(order.id, {
+        reasonCode: req.body.reason_code || req.body.reasonCode || 'store_rejected',
+        note: reason || null,
+        role: req.user.role,
+        actor: orderHistoryService.actorFromRequest(req),
+        handled: ['notify_customer']
+      }));
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ error: error.details?.message || error.message });
+      }
+      throw error;
+    }
+
+    // Si estaba retenido por riesgo queda como revisado (el motivo del rechazo ya está en la cancelación)
+    await orderRiskService.markReviewed(order.id, orderHistoryService.actorFromRequest(req), false);
+
+    // Log auditoría
+    await auditService.logOrderApproval(
+      order.id,
+      false,
+      req.user.id,
+      req.user.role,
+      reason
+    );
+
+    // Log cambio de estado
+    await auditService.logOrderStatusChange(
+      order.id,
+      order.status,
+      'cancelled',
+      req.user.id,
+      req.user.role
+    );
+    
+    // Notificar al cliente
+    if (order.customerPhone && order.customerPhone.trim() !== '') {
+      try {
+        const webhookUrl = process.env.BOT_WEBHOOK_URL || 'https://elbuenmenu.site';
+        const rejectionMessage = reason 
+          ? `❌ Lamentamos informarte que tu pedido ${order.orderNumber} ha sido rechazado.\n\n📝 Motivo: ${reason}\n\n💬 Si tenés alguna consulta o necesitás ayuda, no dudés en contactarnos.\n\nEstamos aquí para ayudarte. ❤️`
+          : `❌ Lamentamos informarte que tu pedido ${order.orderNumber} ha sido rechazado.\n\n💬 Si tenés alguna consulta o necesitás ayuda, no dudés en contactarnos.\n\nEstamos aquí para ayudarte. ❤️`;
+        
+        const response = await fetch(`${webhookUrl}/notify-order`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            orderId: order.id,
+            orderNumber: order.orderNumber,
+            customerPhone: order.customerPhone,
+            status: 'cancelled',
+            message: rejectionMessage
+          })
+        });
+        
+        if (!response.ok) {
+          const errorText = await response.text();
+          console.error(`❌ Error en webhook (${response.status}):`, errorText);
+        } else {
+          console.log(`✅ Notificación de rechazo enviada exitosamente`);
         }
+      } catch (error) {
+        console.error('❌ Error notifying customer:', error);
+      }
+    }
+    
+    res.json(objectToSnakeCase(rejectedOrder));
+  } catch (error) {
+    console.error('Error rejecting order:', error);
+    res.status(500).json({ error: 'Error al rechazar pedido' });
+  }
+});
+
+// ========== REPETIR PEDIDO ==========
+// Arma el carrito recotizado de un pedido anterior (productos, precios y opciones revalidados).
+// No crea el pedido: el cliente confirma el carrito enviando `items` a POST /api/orders.
+app.options('/api/orders/:id/reorder', corsMiddleware, (req, res) => {
+  res.sendStatus(200);
+});
+
+app.post('/api/orders/:id/reorder', corsMiddleware, async (req, res) => {
+  try {
+    const owner = {
+      customerPhone: req.body.customer_phone || req.body.customerPhone || null,
+      userId: req.body.user_id || req.body.userId || null,
+      trackingToken: req.body.tracking_token || req.body.trackingToken || null
+    };
+    if (!owner.customerPhone && !owner.userId && !owner.trackingToken) {
+      return res.status(400).json({ error: 'customer_phone, user_id o tracking_token es requerido' });
+    }
+
+    const reorder = await reorderService.buildReorder(req.params.id, owner);
+    console.log(`🔁 [REORDER] Pedido ${reorder.sourceOrder.orderNumber}: ${reorder.items.length} items, ${reorder.unavailable.length} no disponibles`);
+    res.json(objectToSnakeCase(reorder));
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.details?.message || error.message });
+    }
+    console.error('❌ [REORDER] Error al repetir pedido:', error);
+    res.status(500).json({ error: 'Error al repetir pedido' });
+  }
+});
+
+// Endpoint para cancelar pedido (mantener compatibilidad)
+// Endpoint para notificar al cliente desde el frontend
+app.post('/api/orders/:id/notify', corsMiddleware, async (req, res) => {
+  try {
+    const orderId = req.params.id;
+    const { customerPhone, orderNumber, message } = req.body;
+    
+    if (!customerPhone) {
+      return res.status(400).json({ error: 'customerPhone es requerido' });
+    }
+    
+    if (!message) {
+      return res.status(400).json({ error: 'message es requerido' });
+    }
+    
+    // Obtener el pedido para obtener el storeId
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { storeId: true }
+    });
+    
+    if (!order || !order.storeId) {
+      console.error(`❌ [NOTIFY] Pedido ${orderId} no encontrado o sin storeId`);
+      return res.status(404).json({ error: 'Pedido no encontrado o sin tienda asignada' });
+    }
+    
+    const storeId = order.storeId;
+    console.log(`📤 [NOTIFY] Enviando notificación desde frontend a ${customerPhone} para pedido ${orderNumber || orderId} (storeId: ${storeId})`);
+    
+    // Usar el servicio de WhatsApp integrado en lugar de webhook externo
+    const result = await whatsappService.sendMessageToClient(storeId, customerPhone, message);
+    
+    if (!result.success) {
+      console.error(`❌ [NOTIFY] Error enviando mensaje:`, result.error);
+      return res.status(500).json({ 
+        error: 'Error al enviar notificación', 
+        details: result.error || 'No se pudo enviar el mensaje' 
       });
+    }
+    
+    console.log(`✅ [NOTIFY] Notificación enviada exitosamente a ${customerPhone}`);
+    res.json({ success: true, message: 'Notificación enviada' });
+  } catch (error) {
+    console.error('❌ [NOTIFY] Error al enviar notificación:', error);
+    res.status(500).json({ error: 'Error al enviar notificación', details: error.message });
+  }
+});
 
-      // Acumular los insumos a descontar
-      const ingredientsToDeduct = new Map(); // Map<ingredientId, totalQuantity>
+// ========== CANCELAR PEDIDO ==========
+// Aplica la política de cancelación del local (motivo, quién cancela en cada estado y cargo),
+// reintegra lo cobrado y devuelve el stock. El panel cancela con su JWT; el cliente (web o bot)
+// sin JWT, identificándose con customer_phone, user_id o tracking_token.
+const sendCancellationError = (res, error, fallbackMessage) => {
+  if (error instanceof AppError) {
+    return res.status(error.status).json({ error: error.details?.message || error.message });
+  }
+  console.error(`❌ [CANCEL] ${fallbackMessage}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+};
 
-      for (const item of orderItems) {
-        if (!item.productId) continue;
+const cancellationOwnerFromRequest = (req) => ({
+  customerPhone: req.body?.customer_phone || req.body?.customerPhone || null,
+  userId: req.body?.user_id || req.body?.userId || null,
+  trackingToken: req.body?.tracking_token || req.body?.trackingToken || null
+});
 
-        // Buscar la receta del producto
-        const recipe = await prisma.recipe.findUnique({
-          where: { productId: item.productId }
-        });
+const isCustomerCancellation = (req) => {
+  if (req.headers.authorization) return false;
+  const owner = cancellationOwnerFromRequest(req);
+  return !!(owner.customerPhone || owner.userId || owner.trackingToken);
+};
 
-        if (!recipe || !recipe.ingredients) continue;
+app.post('/api/orders/:id/cancel',
+  (req, res, next) => (isCustomerCancellation(req) ? next() : authenticateAdmin(req, res, next)),
+  async (req, res) => {
+  try {
+    const reasonCode = req.body?.reason_code || req.body?.reasonCode || null;
+    const note = req.body?.note || req.body?.reason || null;
+
+    let options;
+    if (req.user) {
+      options = {
+        role: req.user.role,
+        actor: orderHistoryService.actorFromRequest(req, ORDER_CHANNELS.ADMIN_PANEL)
+      };
+    } else {
+      const order = await prisma.order.findUnique({
+        where: { id: req.params.id },
+        select: { id: true, customerName: true, customerPhone: true, userId: true, trackingToken: true }
+      });
+      if (!order || !reorderService.isOwner(order, cancellationOwnerFromRequest(req))) {
+        return res.status(404).json({ error: 'Pedido no encontrado' });
+      }
 
-        // Parsear los ingredientes (puede ser JSON string o objeto)
-        let ingredients;
-        try {
-          ingredients = typeof recipe.ingredients === 'string' 
-            ? JSON.parse(recipe.ingredients) 
-            : recipe.ingredients;
-        } catch (e) {
-          console.error(`❌ [APPROVE ORDER] Error parseando ingredientes de receta ${recipe.id}:`, e);
-          continue;
+      // El cliente no tiene rol en el ciclo de vida: qué puede cancelar lo decide la política
+      options = {
+        role: null,
+        actorType: 'customer',
+        actor: {
+          id: null,
+          name: order.customerName || null,
+          role: 'customer',
+          channel: req.body.channel === 'bot' ? ORDER_CHANNELS.BOT : ORDER_CHANNELS.WEB
         }
+      };
+    }
 
-        if (!Array.isArray(ingredients)) continue;
+    const { order, cancellation } = await orderCancellationService.cancelOrder(req.params.id, {
+      reasonCode,
+      note,
+      ...options
+    });
 
-        // Para cada ingrediente en la receta, calcular la cantidad a descontar
-        for (const ingredient of ingredients) {
-          const ingredientId = ingredient.ingredient_id || ingredient.ingredientId;
-          const quantityPerUnit = parseFloat(ingredient.quantity || 0);
-          
-          if (!ingredientId || isNaN(quantityPerUnit) || quantityPerUnit <= 0) continue;
+    console.log(`❌ [CANCEL] Pedido ${order.orderNumber} cancelado por ${cancellation.actorType} (${cancellation.reasonCode}) - cargo: $${cancellation.fee}, reintegro: $${cancellation.refundAmount} ${cancellation.refundMethod}/${cancellation.refundStatus}`);
+    res.json(objectToSnakeCase({ ...order, cancellation }));
+  } catch (error) {
+    sendCancellationError(res, error, 'Error al cancelar pedido');
+  }
+});
 
-          // Calcular cantidad total: cantidad por unidad * cantidad del item
-          const totalQuantity = quantityPerUnit * item.quantity;
+// ========== REEMBOLSOS ==========
+// Reembolsos totales o por ítems; los de operadores esperan aprobación de un administrador
+const sendRefundError = (res, error, fallbackMessage) => {
+  if (error instanceof AppError) {
+    return res.status(error.status).json({ error: error.details?.message || error.message });
+  }
+  console.error(`❌ [REFUNDS] ${fallbackMessage}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+};
 
-          // Acumular en el Map
-          if (ingredientsToDeduct.has(ingredientId)) {
-            ingredientsToDeduct.set(ingredientId, ingredientsToDeduct.get(ingredientId) + totalQuantity);
-          } else {
-            ingredientsToDeduct.set(ingredientId, totalQuantity);
-          }
-        }
-      }
+// El personal de un local solo opera reembolsos de su local (ver canAccessStore)
+const canAccessRefund = async (req, refundId) => {
+  const refund = await prisma.refund.findUnique({ where: { id: refundId }, select: { storeId: true } });
+  if (!refund) return { found: false };
+  const allowed = canAccessStore(req.user, refund.storeId);
+  return { found: true, allowed };
+};
 
-      // Descontar los insumos acumulados
-      for (const [ingredientId, totalQuantity] of ingredientsToDeduct.entries()) {
-        try {
-          const ingredient = await prisma.ingredient.findUnique({
-            where: { id: ingredientId }
-          });
+// El personal de un local solo ve y pide reembolsos de los pedidos de su local
+const canAccessOrderRefunds = async (req, orderId) => {
+  const order = await prisma.order.findUnique({ where: { id: orderId }, select: { storeId: true } });
+  if (!order) return { found: false };
+  const allowed = canAccessStore(req.user, order.storeId);
+  return { found: true, allowed };
+};
 
-          if (!ingredient) {
-            console.warn(`⚠️ [APPROVE ORDER] Insumo ${ingredientId} no encontrado`);
-            continue;
-          }
+app.get('/api/orders/:id/refunds',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin', 'operator'),
+  async (req, res) => {
+  try {
+    const access = await canAccessOrderRefunds(req, req.params.id);
+    if (!access.found) return res.status(404).json({ error: 'Pedido no encontrado' });
+    if (!access.allowed) return res.status(403).json({ error: 'No tenés acceso a este local' });
 
-          const newStock = Math.max(0, (ingredient.currentStock || 0) - totalQuantity);
+    const refunds = await refundsService.getOrderRefunds(req.params.id);
+    res.json(objectToSnakeCase(refunds));
+  } catch (error) {
+    sendRefundError(res, error, 'Error al obtener los reembolsos del pedido');
+  }
+});
 
-          await prisma.ingredient.update({
-            where: { id: ingredientId },
-            data: { currentStock: newStock }
-          });
+app.post('/api/orders/:id/refunds',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin', 'operator'),
+  async (req, res) => {
+  try {
+    const access = await canAccessOrderRefunds(req, req.params.id);
+    if (!access.found) return res.status(404).json({ error: 'Pedido no encontrado' });
+    if (!access.allowed) return res.status(403).json({ error: 'No tenés acceso a este local' });
+
+    const body = req.body || {};
+    const refund = await refundsService.requestRefund(req.params.id, {
+      items: Array.isArray(body.items)
+        ? body.items.map(item => ({ orderItemId: item.order_item_id ?? item.orderItemId, quantity: item.quantity }))
+        : null,
+      amount: body.amount != null ? parseFloat(body.amount) : null,
+      reason: body.reason,
+      method: body.method || null,
+      notes: body.notes || null
+    }, orderHistoryService.actorFromRequest(req));
+
+    console.log(`💸 [REFUNDS] Pedido ${req.params.id}: reembolso ${refund.id} de $${refund.amount} por ${refund.method} (${refund.status})`);
+    res.status(201).json(objectToSnakeCase(refund));
+  } catch (error) {
+    sendRefundError(res, error, 'Error al solicitar el reembolso');
+  }
+});
 
-          console.log(`✅ [APPROVE ORDER] Descontado ${totalQuantity} ${ingredient.unit} de ${ingredient.name} (stock: ${ingredient.currentStock} → ${newStock})`);
-        } catch (error) {
-          console.error(`❌ [APPROVE ORDER] Error descontando insumo ${ingredientId}:`, error);
-        }
-      }
+app.post('/api/refunds/:refundId/approve',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin'),
+  async (req, res) => {
+  try {
+    const access = await canAccessRefund(req, req.params.refundId);
+    if (!access.found) return res.status(404).json({ error: 'Reembolso no encontrado' });
+    if (!access.allowed) return res.status(403).json({ error: 'No tenés acceso a este local' });
 
-      if (ingredientsToDeduct.size > 0) {
-        console.log(`✅ [APPROVE ORDER] Insumos descontados correctamente para pedido ${order.orderNumber}`);
-      } else {
-        console.log(`ℹ️ [APPROVE ORDER] No se encontraron recetas para los productos del pedido ${order.orderNumber}`);
-      }
-    } catch (error) {
-      console.error('❌ [APPROVE ORDER] Error al descontar insumos:', error);
-      // No fallar la aprobación si hay error al descontar insumos, solo loguear
+    const refund = await refundsService.approveRefund(req.params.refundId, orderHistoryService.actorFromRequest(req), req.body?.notes || null);
+    console.log(`✅ [REFUNDS] Reembolso ${refund.id} aprobado (${refund.status})`);
+    res.json(objectToSnakeCase(refund));
+  } catch (error) {
+    sendRefundError(res, error, 'Error al aprobar el reembolso');
+  }
+});
+
+app.post('/api/refunds/:refundId/reject',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin'),
+  async (req, res) => {
+  try {
+    const access = await canAccessRefund(req, req.params.refundId);
+    if (!access.found) return res.status(404).json({ error: 'Reembolso no encontrado' });
+    if (!access.allowed) return res.status(403).json({ error: 'No tenés acceso a este local' });
+
+    const refund = await refundsService.rejectRefund(req.params.refundId, orderHistoryService.actorFromRequest(req), req.body?.reason || null);
+    console.log(`❌ [REFUNDS] Reembolso ${refund.id} rechazado`);
+    res.json(objectToSnakeCase(refund));
+  } catch (error) {
+    sendRefundError(res, error, 'Error al rechazar el reembolso');
+  }
+});
+
+// Ejecutar un reembolso aprobado: confirma la devolución en efectivo o reintenta uno fallido
+app.post('/api/refunds/:refundId/process',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin', 'operator'),
+  async (req, res) => {
+  try {
+    const access = await canAccessRefund(req, req.params.refundId);
+    if (!access.found) return res.status(404).json({ error: 'Reembolso no encontrado' });
+    if (!access.allowed) return res.status(403).json({ error: 'No tenés acceso a este local' });
+
+    const refund = await refundsService.processRefund(req.params.refundId, orderHistoryService.actorFromRequest(req));
+    console.log(`💸 [REFUNDS] Reembolso ${refund.id} ejecutado: ${refund.status}`);
+    res.json(objectToSnakeCase(refund));
+  } catch (error) {
+    sendRefundError(res, error, 'Error al ejecutar el reembolso');
+  }
+});
+
+// Reembolsos del local (por defecto, los que esperan aprobación)
+app.get('/api/stores/:storeId/refunds',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin', 'operator'),
+  async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
     }
 
-    // Aprobar pedido - cambiar a confirmed y luego a preparing
-    const approvedOrder = await prisma.order.update({
-      where: { id: req.params.id },
-      data: { 
-        status: 'confirmed',
-        paymentStatus: 'confirmed'
-      }
+    const refunds = await refundsService.getStoreRefunds(storeId, { status: req.query.status || 'pending' });
+    res.json(refunds.map(refund => objectToSnakeCase(refund)));
+  } catch (error) {
+    sendRefundError(res, error, 'Error al obtener los reembolsos');
+  }
+});
+
+// Reporte de reembolsos por período (?from=YYYY-MM-DD&to=YYYY-MM-DD, por defecto últimos 30 días)
+app.get('/api/stores/:storeId/refunds-report',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin'),
+  async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
+
+    const to = req.query.to ? new Date(`${req.query.to}T23:59:59`) : new Date();
+    const from = req.query.from ? new Date(`${req.query.from}T00:00:00`) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({ error: 'Período inválido (from y to con formato YYYY-MM-DD)' });
+    }
+
+    const report = await refundsService.getReport(storeId, { from, to });
+    res.json(objectToSnakeCase(report));
+  } catch (error) {
+    sendRefundError(res, error, 'Error al obtener el reporte de reembolsos');
+  }
+});
+
+// ========== SALDO A FAVOR ==========
+// Billeteras de los clientes por local: saldo, movimientos, ajustes manuales y pago de pedidos desde el panel
+const sendStoreCreditError = (res, error, fallbackMessage) => {
+  if (error instanceof AppError) {
+    return res.status(error.status).json({ error: error.details?.message || error.message });
+  }
+  console.error(`❌ [STORE CREDIT] ${fallbackMessage}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+};
+
+// Clientes con saldo a favor en el local y total adeudado
+app.get('/api/stores/:storeId/store-credit',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin', 'operator'),
+  async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
+
+    const wallets = await storeCreditService.getStoreWallets(storeId);
+    res.json(objectToSnakeCase(wallets));
+  } catch (error) {
+    sendStoreCreditError(res, error, 'Error al obtener los saldos a favor');
+  }
+});
+
+// Saldo y movimientos de un cliente (?limit=&offset=)
+app.get('/api/stores/:storeId/store-credit/:phone',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin', 'operator'),
+  async (req, res) => {
+  try {
+    const { storeId, phone } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
+
+    const history = await storeCreditService.getHistory(storeId, phone, {
+      limit: parseInt(req.query.limit || '50', 10),
+      offset: parseInt(req.query.offset || '0', 10)
     });
+    res.json(objectToSnakeCase(history));
+  } catch (error) {
+    sendStoreCreditError(res, error, 'Error al obtener el saldo a favor del cliente');
+  }
+});
 
-    // Log auditoría
-    await auditService.logOrderApproval(
-      order.id,
-      true,
-      req.user.id,
-      req.user.role
-    );
+// Ajuste manual (positivo acredita, negativo descuenta) con motivo obligatorio
+app.post('/api/stores/:storeId/store-credit/:phone/adjust',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin'),
+  async (req, res) => {
+  try {
+    const { storeId, phone } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
 
-    // Log cambio de estado
-    await auditService.logOrderStatusChange(
-      order.id,
-      order.status,
-      'confirmed',
-      req.user.id,
-      req.user.role
+    const transaction = await storeCreditService.adjust(
+      storeId,
+      phone,
+      parseFloat(req.body?.amount),
+      req.body?.note || null,
+      orderHistoryService.actorFromRequest(req)
     );
-    
-    // NO notificar al cliente cuando el admin aprueba
-    // Solo se notifica cuando:
-    // 1. El pago se aprueba automáticamente (PAGO RECIBIDO/PREPARANDO)
-    // 2. El repartidor marca "en camino" (PEDIDO EN CAMINO)
-    
-    res.json(objectToSnakeCase(approvedOrder));
+    console.log(`💰 [STORE CREDIT] Ajuste de $${transaction.amount} para ${transaction.customerPhone} (saldo: $${transaction.balanceAfter})`);
+    res.status(201).json(objectToSnakeCase(transaction));
+  } catch (error) {
+    sendStoreCreditError(res, error, 'Error al ajustar el saldo a favor');
+  }
+});
+
+// Pagar (parte de) un pedido con el saldo a favor del cliente (panel / mostrador)
+app.post('/api/orders/:id/store-credit',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin', 'operator'),
+  async (req, res) => {
+  try {
+    const order = await prisma.order.findUnique({ where: { id: req.params.id }, select: { storeId: true } });
+    if (!order) return res.status(404).json({ error: 'Pedido no encontrado' });
+    if (!canAccessStore(req.user, order.storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
+
+    const amount = req.body?.amount != null ? parseFloat(req.body.amount) : null;
+    const result = await storeCreditService.payOrder(req.params.id, amount, orderHistoryService.actorFromRequest(req));
+    console.log(`💰 [STORE CREDIT] Pedido ${req.params.id}: $${result.amount} pagados con saldo a favor (resta $${result.remaining})`);
+    res.json(objectToSnakeCase({ amount: result.amount, remaining: result.remaining, balance: result.balance, payment: result.payment }));
+  } catch (error) {
+    sendStoreCreditError(res, error, 'Error al pagar con saldo a favor');
+  }
+});
+
+// ========== GIFT CARDS ==========
+// Venta (web con MercadoPago o mostrador), recargas, pago de pedidos con el código y reporte de saldo pendiente
+const sendGiftCardError = (res, error, fallbackMessage) => {
+  if (error instanceof AppError) {
+    return res.status(error.status).json({ error: error.details?.message || error.message });
+  }
+  console.error(`❌ [GIFT CARDS] ${fallbackMessage}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+};
+
+// Datos de la gift card desde el body (snake_case o camelCase)
+const giftCardBody = (body = {}) => ({
+  amount: parseFloat(body.amount),
+  designId: body.design_id || body.designId || null,
+  purchaserName: body.purchaser_name || body.purchaserName || null,
+  purchaserPhone: body.purchaser_phone || body.purchaserPhone || null,
+  purchaserEmail: body.purchaser_email || body.purchaserEmail || null,
+  recipientName: body.recipient_name || body.recipientName || null,
+  recipientPhone: body.recipient_phone || body.recipientPhone || null,
+  recipientEmail: body.recipient_email || body.recipientEmail || null,
+  message: body.message || null,
+  deliveryChannel: body.delivery_channel || body.deliveryChannel || undefined,
+  deliveryDate: body.delivery_date || body.deliveryDate || null
+});
+
+// Diseños disponibles para comprar (público)
+app.get('/api/stores/:storeId/gift-cards/designs', corsMiddleware, async (req, res) => {
+  try {
+    const designs = await giftCardsService.getDesigns(req.params.storeId);
+    res.json(objectToSnakeCase(designs));
+  } catch (error) {
+    sendGiftCardError(res, error, 'Error al obtener los diseños de gift cards');
+  }
+});
+
+// Comprar una gift card desde la web: devuelve el link de pago de MercadoPago
+app.post('/api/stores/:storeId/gift-cards/purchase',
+  corsMiddleware,
+  endpointRateLimit('gift_card_purchase', 10, 15 * 60 * 1000),
+  async (req, res) => {
+  try {
+    const data = giftCardBody(req.body);
+    if (!data.purchaserName || (!data.purchaserPhone && !data.purchaserEmail)) {
+      return res.status(400).json({ error: 'Indicá tu nombre y un teléfono o email de contacto' });
+    }
+
+    const result = await giftCardsService.purchaseOnline(req.params.storeId, data);
+    console.log(`🎁 [GIFT CARDS] Compra web iniciada: $${result.amount} (${result.giftCardId})`);
+    res.status(201).json(objectToSnakeCase(result));
+  } catch (error) {
+    sendGiftCardError(res, error, 'Error al iniciar la compra de la gift card');
+  }
+});
+
+// Recargar una gift card desde la web (link de pago de MercadoPago)
+app.post('/api/stores/:storeId/gift-cards/reload',
+  corsMiddleware,
+  endpointRateLimit('gift_card_reload', 10, 15 * 60 * 1000),
+  async (req, res) => {
+  try {
+    const { code, amount } = req.body || {};
+    if (!code) return res.status(400).json({ error: 'Código requerido' });
+
+    const result = await giftCardsService.requestOnlineReload(req.params.storeId, code, parseFloat(amount), {
+      name: req.body.payer_name || req.body.payerName,
+      email: req.body.payer_email || req.body.payerEmail,
+      phone: req.body.payer_phone || req.body.payerPhone
+    });
+    res.status(201).json(objectToSnakeCase(result));
+  } catch (error) {
+    sendGiftCardError(res, error, 'Error al iniciar la recarga de la gift card');
+  }
+});
+
+// Consultar saldo de una gift card (público, limitado para evitar probar códigos)
+app.post('/api/stores/:storeId/gift-cards/verify',
+  corsMiddleware,
+  endpointRateLimit('gift_card_verify', 20, 15 * 60 * 1000),
+  async (req, res) => {
+  try {
+    const result = await giftCardsService.verifyGiftCard(req.params.storeId, req.body?.code);
+    res.json(objectToSnakeCase(result));
   } catch (error) {
-    console.error('Error approving order:', error);
-    res.status(500).json({ error: 'Error al aprobar pedido' });
+    sendGiftCardError(res, error, 'Error al verificar la gift card');
   }
 });
 
-// ========== RECHAZAR PEDIDO (REQUIERE AUTENTICACIÓN ADMIN) ==========
-app.post('/api/orders/:id/reject',
-  authenticateAdmin, // Requiere JWT de admin
-  authorize('admin', 'super_admin', 'operator'), // Admin, super_admin o operator
-  endpointRateLimit('reject_order', 20, 15 * 60 * 1000), // 20 rechazos por 15 min
-  async (req, res, next) => {
+// Pagar (parte de) un pedido con una gift card: web (checkout) y panel
+app.post('/api/orders/:id/gift-card',
+  corsMiddleware,
+  endpointRateLimit('gift_card_redeem', 20, 15 * 60 * 1000),
+  async (req, res) => {
   try {
-    const { reason } = req.body; // Razón opcional del rechazo
-    const order = await prisma.order.findUnique({
-      where: { id: req.params.id },
-      include: { deliveryPerson: true }
-    });
-    
-    if (!order) {
-      return res.status(404).json({ error: 'Pedido no encontrado' });
-    }
+    const { code } = req.body || {};
+    if (!code) return res.status(400).json({ error: 'Código requerido' });
 
-    // Validar transición de estado
-    const stateValidation = await orderStateValidator.validateOrderStatusChange(
-      order.id,
-      'cancelled',
-      req.user.role
-    );
+    const amount = req.body.amount != null ? parseFloat(req.body.amount) : null;
+    const result = await giftCardsService.payOrder(req.params.id, code, amount, orderHistoryService.actorFromRequest(req));
+    console.log(`🎁 [GIFT CARDS] Pedido ${req.params.id}: $${result.amount} pagados con gift card (resta $${result.remaining})`);
+    res.json(objectToSnakeCase({ amount: result.amount, remaining: result.remaining, balance: result.balance, payment: result.payment }));
+  } catch (error) {
+    sendGiftCardError(res, error, 'Error al pagar con la gift card');
+  }
+});
 
-    if (!stateValidation.valid) {
-      return res.status(400).json({ error: stateValidation.error });
-    }
-    
-    // Liberar repartidor si tiene uno asignado
-    if (order.deliveryPersonId) {
-      await prisma.deliveryPerson.update({
-        where: { id: order.deliveryPersonId },
-        data: { currentOrderId: null }
-      });
+// Gift cards del local (?status=&start_date=&end_date=)
+app.get('/api/stores/:storeId/gift-cards',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin', 'operator'),
+  async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
     }
-    
-    // Rechazar/Cancelar pedido
-    const rejectedOrder = await prisma.order.update({
-      where: { id: req.params.id },
-      data: { status: 'cancelled' }
-    });
 
-    // Log auditoría
-    await auditService.logOrderApproval(
-      order.id,
-      false,
-      req.user.id,
-      req.user.role,
-      reason
-    );
+    const giftCards = await giftCardsService.getStoreGiftCards(storeId, {
+      status: req.query.status,
+      startDate: req.query.start_date || req.query.startDate,
+      endDate: req.query.end_date || req.query.endDate
+    });
+    res.json(objectToSnakeCase(giftCards));
+  } catch (error) {
+    sendGiftCardError(res, error, 'Error al obtener las gift cards');
+  }
+});
 
-    // Log cambio de estado
-    await auditService.logOrderStatusChange(
-      order.id,
-      order.status,
-      'cancelled',
-      req.user.id,
-      req.user.role
-    );
-    
-    // Notificar al cliente
-    if (order.customerPhone && order.customerPhone.trim() !== '') {
-      try {
-        const webhookUrl = process.env.BOT_WEBHOOK_URL || 'https://elbuenmenu.site';
-        const rejectionMessage = reason 
-          ? `❌ Lamentamos informarte que tu pedido ${order.orderNumber} ha sido rechazado.\n\n📝 Motivo: ${reason}\n\n💬 Si tenés alguna consulta o necesitás ayuda, no dudés en contactarnos.\n\nEstamos aquí para ayudarte. ❤️`
-          : `❌ Lamentamos informarte que tu pedido ${order.orderNumber} ha sido rechazado.\n\n💬 Si tenés alguna consulta o necesitás ayuda, no dudés en contactarnos.\n\nEstamos aquí para ayudarte. ❤️`;
-        
-        const response = await fetch(`${webhookUrl}/notify-order`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            orderId: order.id,
-            orderNumber: order.orderNumber,
-            customerPhone: order.customerPhone,
-            status: 'cancelled',
-            message: rejectionMessage
-          })
-        });
-        
-        if (!response.ok) {
-          const errorText = await response.text();
-          console.error(`❌ Error en webhook (${response.status}):`, errorText);
-        } else {
-          console.log(`✅ Notificación de rechazo enviada exitosamente`);
-        }
-      } catch (error) {
-        console.error('❌ Error notifying customer:', error);
-      }
-    }
-    
-    res.json(objectToSnakeCase(rejectedOrder));
+// Vender una gift card en el mostrador (cobrada en el momento)
+app.post('/api/stores/:storeId/gift-cards',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin', 'operator'),
+  async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
+
+    const giftCard = await giftCardsService.createGiftCard(storeId, {
+      ...giftCardBody(req.body),
+      saleChannel: 'pos',
+      paymentMethod: req.body?.payment_method || req.body?.paymentMethod || 'cash',
+      paymentReference: req.body?.payment_reference || req.body?.paymentReference || null,
+      paid: true
+    }, orderHistoryService.actorFromRequest(req));
+    console.log(`🎁 [GIFT CARDS] Gift card vendida en mostrador: $${giftCard.initialAmount} (${giftCard.code.slice(-4)})`);
+    res.status(201).json(objectToSnakeCase(giftCard));
   } catch (error) {
-    console.error('Error rejecting order:', error);
-    res.status(500).json({ error: 'Error al rechazar pedido' });
+    sendGiftCardError(res, error, 'Error al vender la gift card');
   }
 });
 
-// Endpoint para cancelar pedido (mantener compatibilidad)
-// Endpoint para notificar al cliente desde el frontend
-app.post('/api/orders/:id/notify', corsMiddleware, async (req, res) => {
+// Reporte contable: saldo pendiente y movimientos del período (?from=&to=, por defecto el mes en curso)
+app.get('/api/stores/:storeId/gift-cards/liability',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin'),
+  async (req, res) => {
   try {
-    const orderId = req.params.id;
-    const { customerPhone, orderNumber, message } = req.body;
-    
-    if (!customerPhone) {
-      return res.status(400).json({ error: 'customerPhone es requerido' });
+    const { storeId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
     }
-    
-    if (!message) {
-      return res.status(400).json({ error: 'message es requerido' });
+
+    const now = new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(now.getFullYear(), now.getMonth(), 1);
+    const to = req.query.to ? new Date(req.query.to) : now;
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({ error: 'Fechas inválidas' });
     }
-    
-    // Obtener el pedido para obtener el storeId
-    const order = await prisma.order.findUnique({
-      where: { id: orderId },
-      select: { storeId: true }
-    });
-    
-    if (!order || !order.storeId) {
-      console.error(`❌ [NOTIFY] Pedido ${orderId} no encontrado o sin storeId`);
-      return res.status(404).json({ error: 'Pedido no encontrado o sin tienda asignada' });
+
+    const report = await giftCardsService.getLiabilityReport(storeId, { from, to });
+    res.json(objectToSnakeCase(report));
+  } catch (error) {
+    sendGiftCardError(res, error, 'Error al generar el reporte de gift cards');
+  }
+});
+
+// Diseños del local (incluye inactivos)
+app.get('/api/stores/:storeId/gift-cards/designs/all',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin'),
+  async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
     }
-    
-    const storeId = order.storeId;
-    console.log(`📤 [NOTIFY] Enviando notificación desde frontend a ${customerPhone} para pedido ${orderNumber || orderId} (storeId: ${storeId})`);
-    
-    // Usar el servicio de WhatsApp integrado en lugar de webhook externo
-    const result = await whatsappService.sendMessageToClient(storeId, customerPhone, message);
-    
-    if (!result.success) {
-      console.error(`❌ [NOTIFY] Error enviando mensaje:`, result.error);
-      return res.status(500).json({ 
-        error: 'Error al enviar notificación', 
-        details: result.error || 'No se pudo enviar el mensaje' 
-      });
+
+    const designs = await giftCardsService.getDesigns(storeId, { includeInactive: true });
+    res.json(objectToSnakeCase(designs));
+  } catch (error) {
+    sendGiftCardError(res, error, 'Error al obtener los diseños de gift cards');
+  }
+});
+
+// Crear / editar diseño
+const saveGiftCardDesign = async (req, res) => {
+  try {
+    const { storeId, designId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
+    }
+
+    const body = req.body || {};
+    const design = await giftCardsService.saveDesign(storeId, {
+      name: body.name,
+      imageUrl: body.image_url ?? body.imageUrl,
+      backgroundColor: body.background_color ?? body.backgroundColor,
+      defaultMessage: body.default_message ?? body.defaultMessage,
+      isActive: body.is_active ?? body.isActive
+    }, designId || null);
+    res.status(designId ? 200 : 201).json(objectToSnakeCase(design));
+  } catch (error) {
+    sendGiftCardError(res, error, 'Error al guardar el diseño de gift card');
+  }
+};
+app.post('/api/stores/:storeId/gift-cards/designs', corsMiddleware, authenticateAdmin, authorize('admin', 'super_admin'), saveGiftCardDesign);
+app.put('/api/stores/:storeId/gift-cards/designs/:designId', corsMiddleware, authenticateAdmin, authorize('admin', 'super_admin'), saveGiftCardDesign);
+
+// Saldo y movimientos de una gift card
+app.get('/api/stores/:storeId/gift-cards/:code/history',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin', 'operator'),
+  async (req, res) => {
+  try {
+    const { storeId, code } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
     }
-    
-    console.log(`✅ [NOTIFY] Notificación enviada exitosamente a ${customerPhone}`);
-    res.json({ success: true, message: 'Notificación enviada' });
+
+    const history = await giftCardsService.getTransactionHistory(storeId, code);
+    res.json(objectToSnakeCase(history));
   } catch (error) {
-    console.error('❌ [NOTIFY] Error al enviar notificación:', error);
-    res.status(500).json({ error: 'Error al enviar notificación', details: error.message });
+    sendGiftCardError(res, error, 'Error al obtener los movimientos de la gift card');
   }
 });
 
-app.post('/api/orders/:id/cancel', async (req, res) => {
+// Recargar en el mostrador
+app.post('/api/stores/:storeId/gift-cards/:code/reload',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin', 'operator'),
+  async (req, res) => {
   try {
-    const order = await prisma.order.findUnique({
-      where: { id: req.params.id },
-      include: { deliveryPerson: true }
-    });
-    
-    if (!order) {
-      return res.status(404).json({ error: 'Pedido no encontrado' });
+    const { storeId, code } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
     }
-    
-    // Liberar repartidor si tiene uno asignado
-    if (order.deliveryPersonId) {
-      await prisma.deliveryPerson.update({
-        where: { id: order.deliveryPersonId },
-        data: { currentOrderId: null }
-      });
+
+    const result = await giftCardsService.reloadGiftCard(storeId, code, parseFloat(req.body?.amount), {
+      paymentMethod: req.body?.payment_method || req.body?.paymentMethod || 'cash',
+      reference: req.body?.reference || null
+    }, orderHistoryService.actorFromRequest(req));
+    console.log(`🎁 [GIFT CARDS] Recarga en mostrador de ${code}: saldo $${result.newBalance}`);
+    res.json(objectToSnakeCase(result));
+  } catch (error) {
+    sendGiftCardError(res, error, 'Error al recargar la gift card');
+  }
+});
+
+// Reenviar una gift card (entrega fallida o el cliente no la encuentra)
+app.post('/api/stores/:storeId/gift-cards/:giftCardId/resend',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin', 'operator'),
+  async (req, res) => {
+  try {
+    const { storeId, giftCardId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
     }
-    
-    // Cancelar pedido
-    const cancelledOrder = await prisma.order.update({
-      where: { id: req.params.id },
-      data: { status: 'cancelled' }
-    });
-    
-    // Notificar al cliente
-    if (order.customerPhone && order.customerPhone.trim() !== '') {
-      try {
-        const webhookUrl = process.env.BOT_WEBHOOK_URL || 'https://elbuenmenu.site';
-        console.log(`📤 Enviando notificación a ${order.customerPhone} para pedido ${order.orderNumber}`);
-        const response = await fetch(`${webhookUrl}/notify-order`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            orderId: order.id,
-            orderNumber: order.orderNumber,
-            customerPhone: order.customerPhone,
-            status: 'cancelled',
-            message: '❌ Lamentamos informarte que tu pedido ha sido cancelado.\n\n💬 Si tenés alguna consulta o necesitás ayuda, no dudés en contactarnos.\n\nEstamos aquí para ayudarte. ❤️'
-          })
-        });
-        
-        if (!response.ok) {
-          const errorText = await response.text();
-          console.error(`❌ Error en webhook (${response.status}):`, errorText);
-        } else {
-          const result = await response.json();
-          console.log(`✅ Notificación enviada exitosamente:`, result);
-        }
-      } catch (error) {
-        console.error('❌ Error notifying customer:', error);
-        console.error('❌ Stack:', error.stack);
-      }
-    } else {
-      console.warn(`⚠️ No se puede notificar: customerPhone está vacío o no existe para pedido ${order.orderNumber}`);
+
+    const giftCard = await prisma.giftCard.findFirst({ where: { id: giftCardId, storeId } });
+    if (!giftCard) return res.status(404).json({ error: 'Gift card no encontrada' });
+
+    const delivered = await giftCardsService.deliver(giftCard.id);
+    res.json(objectToSnakeCase({ deliveryStatus: delivered.deliveryStatus, deliveryError: delivered.deliveryError }));
+  } catch (error) {
+    sendGiftCardError(res, error, 'Error al reenviar la gift card');
+  }
+});
+
+// Cancelar una gift card (con customer_phone el saldo pasa a saldo a favor)
+app.post('/api/stores/:storeId/gift-cards/:giftCardId/cancel',
+  corsMiddleware,
+  authenticateAdmin,
+  authorize('admin', 'super_admin'),
+  async (req, res) => {
+  try {
+    const { storeId, giftCardId } = req.params;
+    if (!canAccessStore(req.user, storeId)) {
+      return res.status(403).json({ error: 'No tenés acceso a este local' });
     }
-    
-    res.json(objectToSnakeCase(cancelledOrder));
+
+    const result = await giftCardsService.cancelGiftCard(storeId, giftCardId, req.body?.reason, {
+      customerPhone: req.body?.customer_phone || req.body?.customerPhone || null
+    }, orderHistoryService.actorFromRequest(req));
+    console.log(`🎁 [GIFT CARDS] Gift card ${giftCardId} cancelada (saldo $${result.refundAmount}, ${result.refundMethod})`);
+    res.json(objectToSnakeCase(result));
   } catch (error) {
-    console.error('Error cancelling order:', error);
-    res.status(500).json({ error: 'Error al cancelar pedido' });
+    sendGiftCardError(res, error, 'Error al cancelar la gift card');
   }
 });
 
@@ -3862,8 +5080,14 @@ app.get('/api/track/:token', async (req, res) => {
         multi_route_order: order.multiRouteOrder,
         multi_route_total_orders: multiRouteInfo?.totalOrders,
         created_at: order.createdAt,
-        store_name: order.store?.name
+        store_name: order.store?.name,
+        fulfillment_type: order.fulfillmentType,
+        scheduled_for: order.scheduledFor,
+        ready_at: order.readyAt,
+        delivered_at: order.deliveredAt
       },
+      // ETA vigente (null si el pedido ya terminó o todavía no se calculó)
+      eta: deliveryTimeEstimatorService.describeEta(order),
       driver: order.deliveryPerson ? {
         id: order.deliveryPerson.id,
         name: order.deliveryPerson.name,
@@ -3871,7 +5095,9 @@ app.get('/api/track/:token', async (req, res) => {
         last_lng: order.deliveryPerson.lastLng,
         last_seen_at: order.deliveryPerson.lastSeenAt
       } : null,
-      multi_route: multiRouteInfo
+      multi_route: multiRouteInfo,
+      // Historial apto para el cliente (sin autores ni datos internos)
+      timeline: await orderHistoryService.getCustomerTimeline(order.id)
     };
     
     res.json(objectToSnakeCase(trackingData));
@@ -3893,8 +5119,10 @@ app.get('/api/delivery/available-orders',
         // Incluir pedidos confirmados, preparando y listos (approved se convierte en confirmed)
         status: { in: ['confirmed', 'preparing', 'ready'] },
         deliveryPersonId: null,
-        // Excluir pedidos de retiro (solo pedidos a domicilio: deliveryFee > 0)
-        deliveryFee: { gt: 0 }
+        // Excluir pedidos de retiro en el local
+        fulfillmentType: 'delivery',
+        // Los pedidos programados aparecen recién cuando se liberan a cocina
+        ...RELEASED_ORDER_FILTER
       },
       select: {
         id: true,
@@ -3958,6 +5186,30 @@ app.post('/api/delivery/accept-order',
         return res.status(400).json({ error: 'Ya tienes un pedido activo' });
       }
       
+      const targetOrder = await prisma.order.findUnique({
+        where: { id: order_id },
+        select: { id: true, status: true, deliveryStatus: true, deliveryPersonId: true, scheduledFor: true, releasedAt: true, fulfillmentType: true }
+      });
+      
+      if (!targetOrder) {
+        return res.status(404).json({ error: 'Pedido no encontrado' });
+      }
+      
+      if (targetOrder.deliveryPersonId && targetOrder.deliveryPersonId !== driver_id) {
+        return res.status(409).json({ error: 'El pedido ya fue tomado por otro repartidor' });
+      }
+      
+      // Validar transición de estado
+      const transition = orderStateValidator.validateChange(
+        targetOrder,
+        { status: 'assigned', deliveryPersonId: driver_id },
+        'driver'
+      );
+      
+      if (!transition.valid) {
+        return res.status(transition.forbidden ? 403 : 400).json({ error: transition.error });
+      }
+      
       // Verificar si hay otro pedido con este deliveryPersonId (por si hay inconsistencias)
       const existingOrderWithDriver = await prisma.order.findUnique({
         where: { deliveryPersonId: driver_id },
@@ -3992,6 +5244,7 @@ app.post('/api/delivery/accept-order',
           where: { id: order_id },
           data: {
             status: 'assigned',
+            ...transition.sync,
             deliveryPersonId: driver_id,
             deliveryCode: deliveryCode,
             trackingToken: trackingToken
@@ -4040,11 +5293,18 @@ app.post('/api/delivery/accept-order',
         return updatedOrder;
       });
       
-      // Verificar si es pago en efectivo y envío a domicilio para notificar al repartidor
-      const paymentMethod = (order.paymentMethod || '').toLowerCase();
-      const isCashPayment = paymentMethod.includes('efectivo') || paymentMethod === 'cash' || paymentMethod === 'efectivo';
+      await orderHistoryService.recordUpdate(order.id, targetOrder, {
+        status: 'assigned',
+        ...transition.sync,
+        deliveryPersonId: driver_id
+      }, orderHistoryService.actorFromRequest(req));
+      
+      await orderStateValidator.runEffects(order.id, transition.effects);
+      
+      // Verificar si hay efectivo a cobrar (total o parte en pagos divididos) y envío a domicilio para notificar al repartidor
+      const cashDue = await orderPaymentsService.getCashDue(order);
       const isDelivery = order.deliveryFee && order.deliveryFee > 0;
-      const needsCashCollection = isCashPayment && isDelivery;
+      const needsCashCollection = cashDue > 0 && isDelivery;
 
       // Notificar al cliente vía WhatsApp
       if (order.customerPhone && order.customerPhone.trim() !== '') {
@@ -4078,7 +5338,7 @@ app.post('/api/delivery/accept-order',
             currency: 'ARS',
             minimumFractionDigits: 2,
             maximumFractionDigits: 2
-          }).format(order.total);
+          }).format(cashDue);
           
           await fetch(`${webhookUrl}/notify-order`, {
             method: 'POST',
@@ -4102,7 +5362,7 @@ app.post('/api/delivery/accept-order',
       const responseOrder = objectToSnakeCase(order);
       responseOrder.needs_cash_collection = needsCashCollection;
       if (needsCashCollection) {
-        responseOrder.cash_collection_amount = order.total;
+        responseOrder.cash_collection_amount = cashDue;
       }
       
       res.json(responseOrder);
@@ -4137,6 +5397,7 @@ app.post('/api/delivery/update-order-status',
         select: {
           id: true,
           status: true,
+          deliveryStatus: true,
           deliveryPersonId: true
         }
       });
@@ -4145,22 +5406,23 @@ app.post('/api/delivery/update-order-status',
         return res.status(403).json({ error: 'No tienes permiso para actualizar este pedido' });
       }
 
+      // La entrega solo se registra validando el código (deliver-order)
+      if (status === 'delivered') {
+        return res.status(400).json({ error: 'Para entregar el pedido usá el código de entrega' });
+      }
+
       // Validar transición de estado
-      const stateValidation = await orderStateValidator.validateOrderStatusChange(
-        order_id,
-        status,
-        'driver'
-      );
+      const stateValidation = orderStateValidator.validateChange(order, { status }, 'driver');
 
       if (!stateValidation.valid) {
-        return res.status(400).json({ error: stateValidation.error });
+        return res.status(stateValidation.forbidden ? 403 : 400).json({ error: stateValidation.error });
       }
       
       // Actualizar estado del pedido
       // Usar select explícito para evitar problemas con unique_code
       const updatedOrder = await prisma.order.update({
         where: { id: order_id },
-        data: { status: status },
+        data: { status: status, ...stateValidation.sync },
         select: {
           id: true,
           orderNumber: true,
@@ -4194,39 +5456,11 @@ app.post('/api/delivery/update-order-status',
         'driver'
       );
       
-      // Enviar notificación al cliente cuando el repartidor marca "voy en camino" (in_transit)
-      if (status === 'in_transit' && updatedOrder.customerPhone && updatedOrder.customerPhone.trim() !== '') {
-        try {
-          // Obtener storeId del pedido
-          const orderWithStore = await prisma.order.findUnique({
-            where: { id: order_id },
-            select: { storeId: true }
-          });
-          
-          if (orderWithStore?.storeId) {
-          const trackingUrl = `${process.env.FRONTEND_URL || 'https://elbuenmenu.site'}/track/${updatedOrder.trackingToken}`;
-            
-            // Usar el servicio de WhatsApp multi-tenant
-            const notifyResult = await whatsappService.notifyOrderStatus(
-              orderWithStore.storeId,
-              order_id,
-              'in_transit',
-              { trackingUrl }
-            );
-            
-            if (notifyResult.success) {
-              console.log(`✅ [UPDATE ORDER STATUS] Notificación enviada al cliente ${updatedOrder.customerPhone} para pedido ${updatedOrder.orderNumber}`);
-            } else {
-              console.warn(`⚠️ [UPDATE ORDER STATUS] No se pudo enviar notificación: ${notifyResult.error || 'Error desconocido'}`);
-            }
-          } else {
-            console.warn(`⚠️ [UPDATE ORDER STATUS] Pedido sin storeId, no se puede enviar notificación`);
-          }
-        } catch (error) {
-          console.error('⚠️ [UPDATE ORDER STATUS] Error notificando cliente:', error.message);
-          // No fallar la actualización del estado si falla la notificación
-        }
-      }
+      await orderHistoryService.recordUpdate(order_id, order, { status, ...stateValidation.sync }, orderHistoryService.actorFromRequest(req));
+      
+      // Efectos de la transición (notificación "en camino" con link de seguimiento, liberar repartidor)
+      const trackingUrl = `${process.env.FRONTEND_URL || 'https://elbuenmenu.site'}/track/${updatedOrder.trackingToken}`;
+      await orderStateValidator.runEffects(order_id, stateValidation.effects, { notify: { trackingUrl } });
       
       res.json(objectToSnakeCase(updatedOrder));
     } catch (error) {
@@ -4266,6 +5500,7 @@ app.post('/api/delivery/deliver-order',
           deliveryFee: true,
           total: true,
           deliveryCode: true,
+          deliveryStatus: true,
           deliveryPersonId: true
         }
       });
@@ -4278,6 +5513,12 @@ app.post('/api/delivery/deliver-order',
         return res.status(403).json({ error: 'No tienes permiso para entregar este pedido' });
       }
       
+      // Validar transición de estado
+      const transition = orderStateValidator.validateChange(order, { status: 'delivered' }, 'driver');
+      if (!transition.valid) {
+        return res.status(transition.forbidden ? 403 : 400).json({ error: transition.error });
+      }
+      
       if (!order.deliveryCode) {
         return res.status(400).json({ error: 'Este pedido no tiene código de entrega asignado' });
       }
@@ -4338,11 +5579,10 @@ app.post('/api/delivery/deliver-order',
         });
       }
       
-      // 3. Verificar si es pago en efectivo y envío a domicilio
-      const paymentMethod = (order.paymentMethod || '').toLowerCase();
-      const isCashPayment = paymentMethod.includes('efectivo') || paymentMethod === 'cash' || paymentMethod === 'efectivo';
+      // 3. Verificar si hay efectivo a cobrar (total o parte en pagos divididos) y envío a domicilio
+      const cashDue = await orderPaymentsService.getCashDue(order);
       const isDelivery = order.deliveryFee && order.deliveryFee > 0;
-      const needsCashCollection = isCashPayment && isDelivery;
+      const needsCashCollection = cashDue > 0 && isDelivery;
 
       // 4. Obtener storeId del pedido
       const orderWithStore = await prisma.order.findUnique({
@@ -4359,7 +5599,7 @@ app.post('/api/delivery/deliver-order',
         // Actualizar pedido
         await tx.order.update({
           where: { id: order_id },
-          data: { status: 'delivered', deliveryCode: null } // Eliminar código después de usar
+          data: { status: 'delivered', deliveryCode: null, ...transition.sync } // Eliminar código después de usar
         });
         
         // Liberar repartidor
@@ -4377,11 +5617,11 @@ app.post('/api/delivery/deliver-order',
             await balanceService.addCashCollectionForDelivery(
               driver_id,
               order_id,
-              order.total,
+              cashDue,
               order.customerAddress,
               tx
             );
-            console.log(`✅ Cobro en efectivo registrado: $${order.total} para pedido ${order.orderNumber}`);
+            console.log(`✅ Cobro en efectivo registrado: $${cashDue} para pedido ${order.orderNumber}`);
           } catch (error) {
             console.error('Error registrando cobro en efectivo:', error);
             // No fallar la entrega si hay un error al registrar el cobro
@@ -4426,6 +5666,16 @@ app.post('/api/delivery/deliver-order',
         }
       });
       
+      await orderHistoryService.recordUpdate(order_id, order, {
+        status: 'delivered',
+        ...transition.sync
+      }, orderHistoryService.actorFromRequest(req));
+      
+      // Liberación, pago al repartidor (DriverPayment) y notificación se resuelven en este endpoint
+      await orderStateValidator.runEffects(order_id, transition.effects, {
+        handled: ['release_driver', 'credit_driver', 'notify_customer']
+      });
+      
       // 4. Notificar al cliente
       if (order.customerPhone && order.customerPhone.trim() !== '') {
         try {
@@ -4452,7 +5702,7 @@ app.post('/api/delivery/deliver-order',
           currency: 'ARS',
           minimumFractionDigits: 2,
           maximumFractionDigits: 2
-        }).format(order.total);
+        }).format(cashDue);
         successMessage = `Entrega registrada.\n\n💰 Cobro en efectivo: ${formattedAmount}\n✅ Entrega: +$4000 (pendiente de pago)\n\n⚠️ IMPORTANTE: Recordá cobrar el dinero al cliente. El pago se procesará cuando el administrador lo apruebe.`;
       } else {
         successMessage = `Entrega registrada.\n\n✅ Entrega: +$4000 (pendiente de pago)\n\nEl pago se procesará cuando el administrador lo apruebe.`;
@@ -4461,9 +5711,9 @@ app.post('/api/delivery/deliver-order',
       res.json({ 
         success: true,
         message: successMessage,
-        cash_collected: needsCashCollection ? order.total : 0,
+        cash_collected: needsCashCollection ? cashDue : 0,
         delivery_fee: 4000,
-        total_added: needsCashCollection ? (order.total + 4000) : 4000,
+        total_added: needsCashCollection ? (cashDue + 4000) : 4000,
         payment_pending: true // Indica que el pago está pendiente
       });
     } catch (error) {
@@ -4497,10 +5747,14 @@ app.post('/api/delivery/cancel-delivery',
           customerName: true,
           customerPhone: true,
           customerAddress: true,
+          storeId: true,
           status: true,
           paymentMethod: true,
+          paymentStatus: true,
           deliveryFee: true,
+          tipAmount: true,
           total: true,
+          deliveryStatus: true,
           deliveryPersonId: true
         }
       });
@@ -4517,6 +5771,31 @@ app.post('/api/delivery/cancel-delivery',
         return res.status(400).json({ error: 'Este pedido ya fue entregado o cancelado' });
       }
       
+      // Validar transición de estado
+      const transition = orderStateValidator.validateChange(order, { status: 'cancelled' }, 'driver');
+      if (!transition.valid) {
+        return res.status(transition.forbidden ? 403 : 400).json({ error: transition.error });
+      }
+      
+      // Política de cancelación del local: si el repartidor puede cancelar en este estado y el cargo
+      const cancellationPolicy = await cancellationPolicyService.getPolicy(order.storeId);
+      const { paid, payments } = await orderCancellationService.getPaidAmount(order);
+      let cancellationDecision;
+      try {
+        cancellationDecision = cancellationPolicyService.evaluate(
+          cancellationPolicy,
+          order,
+          'driver',
+          DRIVER_REASON_CODES[reason] || 'other',
+          paid
+        );
+      } catch (error) {
+        if (error instanceof AppError) {
+          return res.status(error.status).json({ error: error.details?.message || error.message });
+        }
+        throw error;
+      }
+      
       // Verificar si es pago en efectivo
       const paymentMethod = (order.paymentMethod || '').toLowerCase();
       const isCashPayment = paymentMethod.includes('efectivo') || paymentMethod === 'cash' || paymentMethod === 'efectivo';
@@ -4583,6 +5862,33 @@ app.post('/api/delivery/cancel-delivery',
         }
       });
       
+      await orderHistoryService.logStatusChange(
+        order_id,
+        orderHistoryService.actorFromRequest(req),
+        order.status,
+        'cancelled',
+        notes ? `${reason}: ${notes}` : reason
+      );
+      
+      // Registrar la cancelación (cargo, reintegro y stock); el pedido ya quedó cancelado
+      try {
+        await orderCancellationService.settle(order, cancellationDecision, {
+          note: notes || null,
+          actor: orderHistoryService.actorFromRequest(req),
+          actorType: 'driver',
+          paid,
+          payments,
+          policy: cancellationPolicy
+        });
+      } catch (error) {
+        console.error('❌ [CANCEL] Error registrando cancelación del repartidor:', error);
+      }
+      
+      // La liberación del repartidor y el aviso al cliente (con motivo) se resuelven en este endpoint
+      await orderStateValidator.runEffects(order_id, transition.effects, {
+        handled: ['release_driver', 'notify_customer']
+      });
+      
       // Notificar al cliente
       if (order.customerPhone && order.customerPhone.trim() !== '') {
         try {
@@ -4881,7 +6187,7 @@ app.get('/api/admin/driver-payments',
       };
       
       // Si es admin normal, solo ver pagos de su store
-      if (req.user.role === 'admin' && req.user.storeId) {
+      if (req.user.role !== 'super_admin' && req.user.storeId) {
         whereClause.storeId = req.user.storeId;
       } else if (storeId) {
         // Si es super_admin y especifica storeId, filtrar por ese
@@ -4942,6 +6248,7 @@ app.get('/api/admin/driver-payments',
             },
             payments: [],
             total_amount: 0,
+            total_tips: 0, // Propinas incluidas en total_amount
             total_deliveries: 0
           };
         }
@@ -4951,9 +6258,11 @@ app.get('/api/admin/driver-payments',
           id: payment.id,
           order_ids: orderIds,
           delivery_count: payment.deliveryCount,
-          amount: parseFloat(payment.amount.toString())
+          amount: parseFloat(payment.amount.toString()),
+          tip_amount: parseFloat(payment.tipAmount.toString())
         });
         acc[storeKey].drivers[driverKey].total_amount += parseFloat(payment.amount.toString());
+        acc[storeKey].drivers[driverKey].total_tips += parseFloat(payment.tipAmount.toString());
         acc[storeKey].drivers[driverKey].total_deliveries += payment.deliveryCount;
         
         return acc;
@@ -4964,7 +6273,8 @@ app.get('/api/admin/driver-payments',
         store: storeGroup.store,
         drivers: Object.values(storeGroup.drivers).map((driverGroup) => ({
           ...driverGroup,
-          total_amount: Math.round(driverGroup.total_amount * 100) / 100 // Redondear a 2 decimales
+          total_amount: Math.round(driverGroup.total_amount * 100) / 100, // Redondear a 2 decimales
+          total_tips: Math.round(driverGroup.total_tips * 100) / 100
         }))
       }));
       
@@ -4998,7 +6308,7 @@ app.post('/api/admin/driver-payments/:id/mark-paid',
       }
       
       // Verificar que el admin tenga acceso a este store
-      if (req.user.role === 'admin' && req.user.storeId !== payment.storeId) {
+      if (!canAccessStore(req.user, payment.storeId)) {
         return res.status(403).json({ error: 'No tienes permiso para marcar este pago' });
       }
       
@@ -5323,44 +6633,6 @@ app.post('/api/admin/clear-all',
 
 // ========== MERCADO PAGO ENDPOINTS ==========
 // Endpoint público para generar preferencias de pago (llamado desde el bot)
-// Función para obtener configuración de Mercado Pago desde la base de datos
-async function getMercadoPagoConfig() {
-  try {
-    // Primero intentar desde variables de entorno o memoria (prioridad)
-    if (mercadoPagoAccessToken) {
-      return {
-        accessToken: mercadoPagoAccessToken,
-        publicKey: mercadoPagoPublicKey || null
-      };
-    }
-    
-    // Si no hay en memoria, intentar leer desde la base de datos
-    try {
-      const setting = await prisma.setting.findUnique({
-        where: { key: 'payment_config' }
-      });
-      
-      if (setting && setting.value) {
-        const config = JSON.parse(setting.value);
-        if (config.mercadoPago && config.mercadoPago.accessToken) {
-          return {
-            accessToken: config.mercadoPago.accessToken,
-            publicKey: config.mercadoPago.publicKey || null
-          };
-        }
-      }
-    } catch (dbError) {
-      // Si no existe la tabla, continuar sin configuración
-      console.warn('⚠️ No se pudo leer configuración de la base de datos:', dbError.message);
-    }
-    
-    return null;
-  } catch (error) {
-    console.warn('⚠️ Error al obtener configuración de Mercado Pago:', error.message);
-    return null;
-  }
-}
-
 // Endpoint para actualizar configuración de Mercado Pago
 app.post('/api/admin/payment-config', corsMiddleware, async (req, res) => {
   try {
@@ -5395,23 +6667,15 @@ app.post('/api/admin/payment-config', corsMiddleware, async (req, res) => {
         }
       });
 
-      // Configurar Mercado Pago dinámicamente con el token proporcionado
-      mercadoPagoConfig = new MercadoPagoConfig({
-        accessToken: mercadoPago.accessToken
-      });
-      preferenceClient = new Preference(mercadoPagoConfig);
-      
-      // Actualizar estado de configuración
-      mercadoPagoConfigured = true;
-      mercadoPagoAccessToken = mercadoPago.accessToken;
-      mercadoPagoPublicKey = mercadoPago.publicKey || null;
-      
-      // También actualizar variables de entorno en memoria para uso inmediato
+      // Actualizar variables de entorno en memoria para uso inmediato
       process.env.MERCADOPAGO_ACCESS_TOKEN = mercadoPago.accessToken;
       if (mercadoPago.publicKey) {
         process.env.MERCADOPAGO_PUBLIC_KEY = mercadoPago.publicKey;
       }
       
+      // El próximo pago de la cuenta global usa el token nuevo
+      paymentGatewayService.clearClientCache();
+      
       console.log('✅ Mercado Pago configurado y guardado en la base de datos');
       
       res.json({ 
@@ -5442,6 +6706,7 @@ app.post('/api/admin/payment-config', corsMiddleware, async (req, res) => {
 app.post('/api/payments/mercadopago/create-preference', corsMiddleware, async (req, res) => {
   try {
     const { amount, orderNumber, description } = req.body;
+    const storeId = req.body.storeId || req.body.store_id || null;
 
     // Validar y normalizar el monto
     const normalizedAmount = parseFloat(amount);
@@ -5459,138 +6724,110 @@ app.post('/api/payments/mercadopago/create-preference', corsMiddleware, async (r
       return res.status(400).json({ error: 'El monto es requerido y debe ser mayor a 0' });
     }
 
-    // Verificar si Mercado Pago está configurado (puede haber sido configurado dinámicamente)
-    // Si no está configurado, intentar obtener la configuración de la base de datos
-    if (!mercadoPagoConfigured || !mercadoPagoAccessToken) {
-      const mpConfig = await getMercadoPagoConfig();
-      
-      if (mpConfig && mpConfig.accessToken) {
-        try {
-          mercadoPagoConfig = new MercadoPagoConfig({
-            accessToken: mpConfig.accessToken
-          });
-          preferenceClient = new Preference(mercadoPagoConfig);
-          mercadoPagoConfigured = true;
-          mercadoPagoAccessToken = mpConfig.accessToken;
-          mercadoPagoPublicKey = mpConfig.publicKey || null;
-          console.log('✅ Mercado Pago configurado dinámicamente desde la base de datos');
-        } catch (configError) {
-          console.error('⚠️ Error al configurar Mercado Pago dinámicamente:', configError.message);
-          return res.status(503).json({ 
-            error: 'Error al configurar Mercado Pago',
-            fallback: true,
-            message: 'Usando link estático de Mercado Pago'
-          });
-        }
-      } else {
-        // Si no hay configuración disponible, usar fallback
-        console.warn('⚠️ MERCADOPAGO_ACCESS_TOKEN no está configurado. Los links de Mercado Pago usarán el fallback estático.');
-        return res.status(503).json({ 
-          error: 'Mercado Pago no está configurado',
-          fallback: true,
-          message: 'Usando link estático de Mercado Pago'
-        });
+    // Pedido del link: el número de pedido es único por local (sin local, solo si no se repite)
+    let order = null;
+    if (orderNumber) {
+      try {
+        order = await paymentGatewayService.findOrderByReference(orderNumber, storeId);
+      } catch (lookupError) {
+        console.warn(`⚠️ [Mercado Pago] No se pudo buscar el pedido ${orderNumber}: ${lookupError.message}`);
+      }
+      if (!order) {
+        console.warn(`⚠️ [Mercado Pago] No se encontró pedido con orderNumber: ${orderNumber}`);
       }
     }
 
-    // Asegurarse de que tenemos el cliente de Preference configurado
-    if (!preferenceClient) {
-      return res.status(503).json({ 
-        error: 'Mercado Pago no está configurado correctamente',
-        fallback: true,
-        message: 'Usando link estático de Mercado Pago'
-      });
-    }
-
-    // Crear preferencia de pago
+    // Crear el link de pago con la cuenta global (external_reference = id del pedido)
     // Asegurar que el monto esté en el formato correcto (número decimal con 2 decimales)
     const finalAmount = parseFloat(normalizedAmount.toFixed(2));
     
     console.log('💰 [Mercado Pago] Creando preferencia con monto:', finalAmount);
     
-    const preferenceData = {
-      items: [
-        {
-          title: description || `Pedido ${orderNumber || 'N/A'} - El Buen Menú`,
-          quantity: 1,
-          unit_price: finalAmount,
-          currency_id: 'ARS'
-        }
-      ],
-      back_urls: {
-        success: process.env.MERCADOPAGO_SUCCESS_URL || 'https://elbuenmenu.site/success',
-        failure: process.env.MERCADOPAGO_FAILURE_URL || 'https://elbuenmenu.site/failure',
-        pending: process.env.MERCADOPAGO_PENDING_URL || 'https://elbuenmenu.site/pending'
-      },
-      auto_return: 'approved',
-      external_reference: orderNumber || `ORDER-${Date.now()}`,
-      notification_url: process.env.MERCADOPAGO_WEBHOOK_URL || `${process.env.API_URL || 'https://api.elbuenmenu.site'}/api/payments/mercadopago/webhook`,
-      statement_descriptor: 'EL BUEN MENU'
-    };
-
-    console.log('📋 [Mercado Pago] Preference data:', JSON.stringify(preferenceData, null, 2));
-    
-    const preference = await preferenceClient.create({ body: preferenceData });
+    let preference;
+    try {
+      preference = await paymentGatewayService.createCheckout(null, {
+        items: [
+          {
+            title: description || `Pedido ${orderNumber || 'N/A'} - El Buen Menú`,
+            quantity: 1,
+            unitPrice: finalAmount
+          }
+        ],
+        backUrls: {
+          success: process.env.MERCADOPAGO_SUCCESS_URL || 'https://elbuenmenu.site/success',
+          failure: process.env.MERCADOPAGO_FAILURE_URL || 'https://elbuenmenu.site/failure',
+          pending: process.env.MERCADOPAGO_PENDING_URL || 'https://elbuenmenu.site/pending'
+        },
+        externalReference: order?.id || orderNumber || `ORDER-${Date.now()}`,
+        statementDescriptor: 'EL BUEN MENU'
+      });
+    } catch (providerError) {
+      // Sin credenciales: el bot usa el link estático de Mercado Pago
+      if (providerError instanceof AppError && providerError.status === 503) {
+        console.warn(`⚠️ [Mercado Pago] ${providerError.details?.message || providerError.message}. Los links de Mercado Pago usarán el fallback estático.`);
+        return res.status(503).json({ 
+          error: 'Mercado Pago no está configurado',
+          fallback: true,
+          message: 'Usando link estático de Mercado Pago'
+        });
+      }
+      throw providerError;
+    }
 
     console.log('✅ [Mercado Pago] Preferencia creada:', {
-      id: preference.id,
-      init_point: preference.init_point,
-      hasInitPoint: !!preference.init_point
+      provider: preference.provider,
+      id: preference.checkoutId,
+      init_point: preference.checkoutUrl
     });
 
-    // Guardar preference_id en el pedido si existe orderNumber
-    if (preference && preference.id && orderNumber) {
+    // Guardar preference_id en el pedido
+    if (order) {
       try {
-        // Buscar el pedido por orderNumber
-        const order = await prisma.order.findUnique({
-          where: { orderNumber: orderNumber }
-        });
-        
-        if (order) {
-          // Actualizar el campo notes con el preference_id en formato JSON
-          let notesData = {};
-          if (order.notes) {
-            try {
-              notesData = JSON.parse(order.notes);
-            } catch (e) {
-              // Si notes no es JSON válido, mantener el texto original
-              notesData = { originalNotes: order.notes };
-            }
+        // Actualizar el campo notes con el preference_id en formato JSON
+        let notesData = {};
+        if (order.notes) {
+          try {
+            notesData = JSON.parse(order.notes);
+          } catch (e) {
+            // Si notes no es JSON válido, mantener el texto original
+            notesData = { originalNotes: order.notes };
           }
-          
-          // Agregar el preference_id
-          notesData.mpPreferenceId = preference.id;
-          notesData.preference_id = preference.id; // También guardar con este nombre para compatibilidad
-          
-          // Actualizar el pedido
-          await prisma.order.update({
-            where: { id: order.id },
-            data: {
-              notes: JSON.stringify(notesData)
-            }
-          });
-          
-          console.log(`✅ [Mercado Pago] Preference ID ${preference.id} guardado en pedido ${orderNumber}`);
-        } else {
-          console.warn(`⚠️ [Mercado Pago] No se encontró pedido con orderNumber: ${orderNumber}`);
         }
+        
+        // Agregar el preference_id
+        notesData.mpPreferenceId = preference.checkoutId;
+        notesData.preference_id = preference.checkoutId; // También guardar con este nombre para compatibilidad
+        
+        // Actualizar el pedido
+        await prisma.order.update({
+          where: { id: order.id },
+          data: {
+            notes: JSON.stringify(notesData)
+          }
+        });
+        
+        console.log(`✅ [Mercado Pago] Preference ID ${preference.checkoutId} guardado en pedido ${orderNumber}`);
+        
+        // Pago pendiente por el monto de la preferencia (puede ser solo una parte del total)
+        await orderPaymentsService.openTender(order.id, {
+          tenderType: 'mercadopago',
+          amount: finalAmount,
+          reference: preference.checkoutId
+        }).catch(ledgerError => {
+          console.warn(`⚠️ [Mercado Pago] No se pudo registrar el pago pendiente del pedido ${orderNumber}: ${ledgerError.details?.message || ledgerError.message}`);
+        });
       } catch (updateError) {
         console.warn(`⚠️ [Mercado Pago] No se pudo guardar preference_id en el pedido: ${updateError.message}`);
         // No fallar la creación de la preferencia si no se puede guardar el preference_id
       }
     }
 
-    if (preference && preference.init_point) {
-      res.json({
-        id: preference.id,
-        init_point: preference.init_point,
-        sandbox_init_point: preference.sandbox_init_point,
-        external_reference: preference.external_reference
-      });
-    } else {
-      console.error('❌ [Mercado Pago] Preferencia creada pero sin init_point:', preference);
-      throw new Error('No se pudo generar la preferencia de pago');
-    }
+    res.json({
+      id: preference.checkoutId,
+      init_point: preference.checkoutUrl,
+      external_reference: preference.externalReference,
+      provider: preference.provider
+    });
   } catch (error) {
     // Logging detallado del error
     console.error('❌ Error al crear preferencia de Mercado Pago:');
@@ -5647,28 +6884,20 @@ app.get('/api/payments/mercadopago/check-payment/:preferenceId', corsMiddleware,
       return res.status(400).json({ error: 'preference_id es requerido' });
     }
 
-    // Cargar configuración de Mercado Pago
-    if (!mercadoPagoConfig) {
-      const mpConfig = await getMercadoPagoConfig();
-      if (mpConfig && mpConfig.accessToken) {
-        mercadoPagoConfig = new MercadoPagoConfig({
-          accessToken: mpConfig.accessToken
+    // Obtener información de la preferencia (con el proveedor que la creó)
+    let preference;
+    try {
+      preference = await paymentGatewayService.getCheckout(null, preferenceId);
+    } catch (providerError) {
+      if (providerError instanceof AppError && providerError.status === 503) {
+        return res.status(503).json({ 
+          error: 'Mercado Pago no está configurado',
+          status: 'unknown'
         });
-        preferenceClient = new Preference(mercadoPagoConfig);
-        mercadoPagoConfigured = true;
       }
+      throw providerError;
     }
 
-    if (!mercadoPagoConfig || !preferenceClient) {
-      return res.status(503).json({ 
-        error: 'Mercado Pago no está configurado',
-        status: 'unknown'
-      });
-    }
-
-    // Obtener información de la preferencia
-    const preference = await preferenceClient.get({ preferenceId });
-
     if (!preference) {
       return res.status(404).json({ 
         error: 'Preferencia no encontrada',
@@ -5680,15 +6909,14 @@ app.get('/api/payments/mercadopago/check-payment/:preferenceId', corsMiddleware,
     let paymentStatus = 'pending';
     let paymentId = null;
 
-    if (preference.external_reference) {
-      const externalRef = preference.external_reference;
+    if (preference.externalReference) {
+      const externalRef = preference.externalReference;
       console.log(`🔍 [Mercado Pago Check] Buscando pedido con external_reference: ${externalRef}`);
       
-      // Buscar el pedido por order_number (external_reference)
+      // Buscar el pedido por external_reference (id del pedido o, en links anteriores, número de pedido)
       let order = null;
       try {
-        order = await prisma.order.findUnique({
-          where: { orderNumber: externalRef },
+        order = await paymentGatewayService.findOrderByReference(externalRef, null, {
           select: {
             id: true,
             orderNumber: true,
@@ -5703,28 +6931,16 @@ app.get('/api/payments/mercadopago/check-payment/:preferenceId', corsMiddleware,
       if (order) {
         console.log(`✅ [Mercado Pago Check] Pedido encontrado: ${order.orderNumber}, status: ${order.status}, paymentStatus: ${order.paymentStatus}`);
         
-        if (order.paymentStatus === 'approved') {
-          // El pago ya fue aprobado (procesado por el webhook)
+        if (['approved', 'paid'].includes(order.paymentStatus)) {
+          // El pago ya fue aprobado (procesado por el webhook o por la redirección)
           paymentStatus = 'approved';
           console.log(`✅ [Mercado Pago Check] Pago ya aprobado en BD para preference_id: ${preferenceId}, order: ${order.orderNumber}`);
         } else {
           // El pedido existe pero el pago no está aprobado aún
-          // Intentar buscar pagos directamente en Mercado Pago
-          try {
-            const paymentClient = new Payment(mercadoPagoConfig);
-            
-            // Buscar pagos recientes asociados a esta preferencia
-            // Nota: La API de Mercado Pago no tiene un endpoint directo para buscar por preference_id
-            // Pero podemos verificar si hay pagos en la preferencia misma
-            // Si el webhook aún no procesó el pago, el pedido seguirá pendiente
-            // En este caso, retornamos 'pending' y el cliente deberá esperar o el webhook procesará el pago
-            
-            paymentStatus = 'pending';
-            console.log(`⏳ [Mercado Pago Check] Pago pendiente para preference_id: ${preferenceId}, order: ${order.orderNumber}`);
-          } catch (paymentError) {
-            console.warn('⚠️ [Mercado Pago Check] No se pudo verificar pagos directamente:', paymentError.message);
-            paymentStatus = 'pending';
-          }
+          // Si el webhook aún no procesó el pago, el pedido seguirá pendiente
+          // En este caso, retornamos 'pending' y el cliente deberá esperar o el webhook procesará el pago
+          paymentStatus = 'pending';
+          console.log(`⏳ [Mercado Pago Check] Pago pendiente para preference_id: ${preferenceId}, order: ${order.orderNumber}`);
         }
       } else {
         // El pedido no existe aún, el pago está pendiente
@@ -5742,7 +6958,7 @@ app.get('/api/payments/mercadopago/check-payment/:preferenceId', corsMiddleware,
       preference_id: preferenceId,
       status: paymentStatus,
       payment_id: paymentId,
-      external_reference: preference.external_reference,
+      external_reference: preference.externalReference,
       preference_status: preference.status || 'active'
     });
   } catch (error) {
@@ -5759,21 +6975,13 @@ app.get('/api/payments/mercadopago/check-payment/:preferenceId', corsMiddleware,
 app.post('/api/payments/mercadopago/verify-pending', corsMiddleware, async (req, res) => {
   try {
     const { orderNumber } = req.body;
+    const storeId = req.body.storeId || req.body.store_id || null;
     
     console.log('🔍 [Mercado Pago Verify] Verificando pagos pendientes...');
     
-    // Cargar configuración de Mercado Pago
-    if (!mercadoPagoConfig) {
-      const mpConfig = await getMercadoPagoConfig();
-      if (mpConfig && mpConfig.accessToken) {
-        mercadoPagoConfig = new MercadoPagoConfig({
-          accessToken: mpConfig.accessToken
-        });
-        mercadoPagoConfigured = true;
-      }
-    }
-    
-    if (!mercadoPagoConfig) {
+    // Los pagos se buscan en la cuenta global
+    const paymentsConfig = await paymentGatewayService.verifyStoreConfig(null);
+    if (!paymentsConfig.configured) {
       return res.status(503).json({ 
         error: 'Mercado Pago no está configurado',
         status: 'error'
@@ -5787,6 +6995,10 @@ app.post('/api/payments/mercadopago/verify-pending', corsMiddleware, async (req,
       status: 'pending'
     };
     
+    // El número de pedido es único por local
+    if (storeId) {
+      whereClause.storeId = storeId;
+    }
     if (orderNumber) {
       whereClause.orderNumber = orderNumber;
     }
@@ -5798,9 +7010,16 @@ app.post('/api/payments/mercadopago/verify-pending', corsMiddleware, async (req,
         orderNumber: true,
         status: true,
         paymentStatus: true,
+        heldForReview: true,
         customerPhone: true,
         total: true,
-        createdAt: true
+        notes: true,
+        createdAt: true,
+        deliveryStatus: true,
+        deliveryPersonId: true,
+        scheduledFor: true,
+        releasedAt: true,
+        fulfillmentType: true
       },
       orderBy: {
         createdAt: 'desc'
@@ -5818,7 +7037,6 @@ app.post('/api/payments/mercadopago/verify-pending', corsMiddleware, async (req,
       });
     }
     
-    const paymentClient = new Payment(mercadoPagoConfig);
     let approvedCount = 0;
     let pendingCount = 0;
     const results = [];
@@ -5829,17 +7047,6 @@ app.post('/api/payments/mercadopago/verify-pending', corsMiddleware, async (req,
       console.log(`   💰 Total: $${order.total}`);
       
       try {
-        // Obtener el access token
-        let accessToken = mercadoPagoAccessToken;
-        if (!accessToken) {
-          const mpConfig = await getMercadoPagoConfig();
-          accessToken = mpConfig?.accessToken;
-        }
-        
-        if (!accessToken) {
-          throw new Error('Mercado Pago access token no disponible');
-        }
-        
         // Intentar obtener preference_id del campo notes (formato JSON)
         let preferenceId = null;
         if (order.notes) {
@@ -5865,51 +7072,30 @@ app.post('/api/payments/mercadopago/verify-pending', corsMiddleware, async (req,
         if (preferenceId) {
           console.log(`   🔍 Buscando pagos asociados a la preferencia: ${preferenceId}`);
           
-          const controller = new AbortController();
-          const timeoutId = setTimeout(() => controller.abort(), 10000);
-          
           try {
             // Buscar pagos por preference_id
-            const searchUrl = `https://api.mercadopago.com/v1/payments/search?preference_id=${encodeURIComponent(preferenceId)}`;
-            
-            const searchResponse = await fetch(searchUrl, {
-              method: 'GET',
-              headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'Content-Type': 'application/json'
-              },
-              signal: controller.signal
-            });
+            const results = await paymentGatewayService.findPayments(null, { checkoutId: preferenceId });
             
-            clearTimeout(timeoutId);
+            console.log(`   📊 Pagos encontrados para preference_id: ${results.length}`);
             
-            if (searchResponse.ok) {
-              const searchResult = await searchResponse.json();
-              
-              console.log(`   📊 Pagos encontrados para preference_id: ${searchResult.results?.length || 0}`);
+            if (results.length > 0) {
+              // Buscar el primer pago aprobado
+              const approvedPayment = results.find(p => p.status === 'approved');
               
-              if (searchResult.results && searchResult.results.length > 0) {
-                // Buscar el primer pago aprobado
-                const approvedPayment = searchResult.results.find(p => p.status === 'approved');
-                
-                if (approvedPayment) {
-                  foundPayment = approvedPayment;
-                  console.log(`   ✅ Pago aprobado encontrado para preference_id: ${preferenceId}`);
-                } else {
-                  // Hay pagos pero ninguno está aprobado
-                  foundPayment = { 
-                    ...searchResult.results[0], 
-                    allPayments: searchResult.results 
-                  };
-                  console.log(`   ⏳ Pagos encontrados pero no aprobados para preference_id: ${preferenceId}`);
-                }
+              if (approvedPayment) {
+                foundPayment = approvedPayment;
+                console.log(`   ✅ Pago aprobado encontrado para preference_id: ${preferenceId}`);
+              } else {
+                // Hay pagos pero ninguno está aprobado
+                foundPayment = { 
+                  ...results[0], 
+                  allPayments: results 
+                };
+                console.log(`   ⏳ Pagos encontrados pero no aprobados para preference_id: ${preferenceId}`);
               }
-            } else {
-              const errorText = await searchResponse.text();
-              console.log(`   ⚠️ Error buscando por preference_id: ${searchResponse.status} - ${errorText}`);
             }
-          } catch (fetchError) {
-            console.log(`   ⚠️ Error buscando por preference_id: ${fetchError.message}`);
+          } catch (searchError) {
+            console.log(`   ⚠️ Error buscando por preference_id: ${searchError.message}`);
           }
         }
         
@@ -5918,60 +7104,42 @@ app.post('/api/payments/mercadopago/verify-pending', corsMiddleware, async (req,
           console.log(`   🔍 No se encontró pago aprobado por preference_id, buscando por external_reference...`);
           
           const searchTerms = [
+            order.id, // Links nuevos: id del pedido
             order.orderNumber, // #0005
             order.orderNumber.replace('#', ''), // 0005
             `#${order.orderNumber.replace('#', '').padStart(4, '0')}`, // #0005 (normalizado)
           ];
           
           for (const searchTerm of searchTerms) {
-            const searchUrl = `https://api.mercadopago.com/v1/payments/search?external_reference=${encodeURIComponent(searchTerm)}`;
-            
             console.log(`   🔍 Buscando en Mercado Pago con external_reference: "${searchTerm}"`);
             
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 10000);
-            
             try {
-              const searchResponse = await fetch(searchUrl, {
-                method: 'GET',
-                headers: {
-                  'Authorization': `Bearer ${accessToken}`,
-                  'Content-Type': 'application/json'
-                },
-                signal: controller.signal
-              });
+              // El número de pedido se repite entre locales y días: solo sirven pagos posteriores al pedido
+              const results = (await paymentGatewayService.findPayments(null, { externalReference: searchTerm }))
+                .filter(p => searchTerm === order.id || !p.date_created || new Date(p.date_created) >= order.createdAt);
               
-              clearTimeout(timeoutId);
+              console.log(`   📊 Resultados con "${searchTerm}": ${results.length} pagos encontrados`);
               
-              if (searchResponse.ok) {
-                const searchResult = await searchResponse.json();
-                
-                console.log(`   📊 Resultados con "${searchTerm}": ${searchResult.results?.length || 0} pagos encontrados`);
+              if (results.length > 0) {
+                // Buscar el primer pago aprobado
+                const approvedPayment = results.find(p => p.status === 'approved');
                 
-                if (searchResult.results && searchResult.results.length > 0) {
-                  // Buscar el primer pago aprobado
-                  const approvedPayment = searchResult.results.find(p => p.status === 'approved');
-                  
-                  if (approvedPayment) {
-                    foundPayment = approvedPayment;
-                    console.log(`   ✅ Pago aprobado encontrado con external_reference "${searchTerm}"`);
-                    break; // Salir del loop si encontramos un pago aprobado
-                  } else {
-                    // Guardar todos los pagos encontrados para mostrar en el resultado
-                    if (!foundPayment && searchResult.results.length > 0) {
-                      foundPayment = { 
-                        ...searchResult.results[0], 
-                        allPayments: searchResult.results 
-                      };
-                    }
+                if (approvedPayment) {
+                  foundPayment = approvedPayment;
+                  console.log(`   ✅ Pago aprobado encontrado con external_reference "${searchTerm}"`);
+                  break; // Salir del loop si encontramos un pago aprobado
+                } else {
+                  // Guardar todos los pagos encontrados para mostrar en el resultado
+                  if (!foundPayment) {
+                    foundPayment = { 
+                      ...results[0], 
+                      allPayments: results 
+                    };
                   }
                 }
-              } else {
-                const errorText = await searchResponse.text();
-                console.log(`   ⚠️ Error con "${searchTerm}": ${searchResponse.status}`);
               }
-            } catch (fetchError) {
-              console.log(`   ⚠️ Error buscando por external_reference "${searchTerm}": ${fetchError.message}`);
+            } catch (searchError) {
+              console.log(`   ⚠️ Error buscando por external_reference "${searchTerm}": ${searchError.message}`);
             }
           }
         }
@@ -5984,14 +7152,16 @@ app.post('/api/payments/mercadopago/verify-pending', corsMiddleware, async (req,
             console.log(`   Payment ID: ${payment.id}`);
             console.log(`   Amount: $${payment.transaction_amount}`);
             
-            // Actualizar el pedido: pago aprobado, pedido en preparación
-            await prisma.order.update({
-              where: { id: order.id },
-              data: {
-                status: 'confirmed', // Pago aprobado = pedido confirmado/en preparación
-                paymentStatus: 'approved' // El pago está aprobado
-              }
-            });
+            // Actualizar el pedido: pago aprobado = pedido confirmado (salvo retenido para revisión)
+            // El aviso al cliente es el mensaje de pago recibido de abajo
+            await paymentGatewayService.markOrderPaid(order, { paymentStatus: 'approved' }, {
+              id: null, name: 'Mercado Pago', role: 'system', channel: ORDER_CHANNELS.SYSTEM
+            }, null, { handled: ['notify_customer'] });
+            await orderPaymentsService.recordProviderPayment(order.id, {
+              tenderType: 'mercadopago',
+              amount: payment.transaction_amount,
+              reference: String(payment.id)
+            }, { id: null, name: 'Mercado Pago', role: 'system', channel: ORDER_CHANNELS.SYSTEM });
             
             console.log(`✅ [Mercado Pago Verify] Pedido ${order.orderNumber} - Pago aprobado, pedido en preparación`);
             
@@ -6082,86 +7252,58 @@ app.post('/api/payments/mercadopago/verify-pending', corsMiddleware, async (req,
 // Endpoint para procesar pago desde redirección (backup del webhook)
 app.post('/api/payments/mercadopago/process-payment', corsMiddleware, async (req, res) => {
   try {
-    const { external_reference, payment_id, status } = req.body;
+    const { external_reference, payment_id } = req.body;
 
     console.log('💰 [Mercado Pago Process] Procesando pago desde redirección:', {
       external_reference,
-      payment_id,
-      status
+      payment_id
     });
 
-    if (!external_reference) {
-      return res.status(400).json({ error: 'external_reference es requerido' });
+    if (!payment_id) {
+      return res.status(400).json({ error: 'payment_id es requerido' });
     }
 
-    // Si el pago está aprobado, procesarlo
-    if (status === 'approved') {
-      // Buscar el pedido por order_number
-      const order = await prisma.order.findUnique({
-        where: { orderNumber: external_reference },
-        select: {
-          id: true,
-          orderNumber: true,
-          status: true,
-          paymentStatus: true,
-          customerPhone: true
-        }
-      });
-
-      if (order) {
-        // Solo actualizar si el pago aún no está aprobado (evitar duplicados)
-        if (order.paymentStatus !== 'approved') {
-          await prisma.order.update({
-            where: { id: order.id },
-            data: {
-              status: 'confirmed', // Pago aprobado = pedido confirmado/en preparación
-              paymentStatus: 'approved' // El pago está aprobado
-            }
-          });
+    // La redirección solo avisa que hay un pago: el estado, el monto y el pedido salen del proveedor
+    let payment;
+    try {
+      payment = await paymentGatewayService.getPayment(null, payment_id);
+    } catch (globalError) {
+      // Links de los locales con cuenta propia: el pago está en la cuenta del local del pedido
+      const hintOrder = external_reference
+        ? await paymentGatewayService.findOrderByReference(external_reference, null, { select: { storeId: true } })
+        : null;
+      if (!hintOrder?.storeId) throw globalError;
+      payment = await paymentGatewayService.getPayment(hintOrder.storeId, payment_id);
+    }
 
-          console.log(`✅ [Mercado Pago Process] Pedido ${external_reference} - Pago aprobado, pedido en preparación`);
+    const order = await paymentGatewayService.findOrderByReference(payment.external_reference);
+    if (!order) {
+      console.warn(`⚠️ [Mercado Pago Process] Pago ${payment.id}: pedido ${payment.external_reference} no encontrado`);
+      return res.json({ success: true, processed: false, status: payment.status });
+    }
 
-          // Notificar al cliente vía WhatsApp
-          if (order.customerPhone) {
-            try {
-              const botWebhookUrl = process.env.BOT_WEBHOOK_URL || 'http://localhost:3001';
-              const notifyUrl = botWebhookUrl.endsWith('/') 
-                ? `${botWebhookUrl}notify-payment` 
-                : `${botWebhookUrl}/notify-payment`;
-              
-              await fetch(notifyUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  phone: order.customerPhone,
-                  message: `✅ *PAGO APROBADO*\n\n💰 Tu pago de Mercado Pago fue aprobado correctamente.\n\n🍳 Tu pedido está en preparación.\n\n⏱️ Tiempo estimado: 30-45 minutos\n\n¡Te avisamos cuando esté listo! 🚚`
-                })
-              });
-            } catch (notifyError) {
-              console.warn('⚠️ [Mercado Pago Process] No se pudo notificar al cliente:', notifyError.message);
-            }
-          }
-        } else {
-          console.log(`ℹ️ [Mercado Pago Process] Pedido ${external_reference} ya estaba aprobado`);
-        }
-      } else {
-        console.warn(`⚠️ [Mercado Pago Process] Pedido ${external_reference} no encontrado`);
-      }
+    // Ya aplicado por el webhook o el conciliador (evitar duplicados)
+    if (['approved', 'paid'].includes(order.paymentStatus)) {
+      console.log(`ℹ️ [Mercado Pago Process] Pedido ${order.orderNumber} ya estaba aprobado`);
+      return res.json({ success: true, processed: false, status: payment.status });
     }
 
-    res.json({ success: true, processed: true });
+    const result = await paymentGatewayService.applyPaymentStatus(order.storeId, order, payment);
+    console.log(`✅ [Mercado Pago Process] Pedido ${order.orderNumber} - Pago ${payment.id} ${payment.status}`);
+
+    res.json({ success: true, processed: result.processed, status: payment.status });
   } catch (error) {
     console.error('❌ [Mercado Pago Process] Error:', error);
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.details?.message || error.message });
+    }
     res.status(500).json({ error: 'Error al procesar pago', details: error.message });
   }
 });
 
-// Webhook de Mercado Pago (para recibir notificaciones de pago)
-// Mercado Pago puede enviar notificaciones en diferentes formatos:
-// 1. { type: 'payment', data: { id: '...' } }
-// 2. { action: 'payment.created', data: { id: '...' } }
-// 3. Query string: ?id=123456789
-app.post('/api/payments/mercadopago/webhook', async (req, res) => {
+// Webhook de la cuenta global (para recibir notificaciones de pago): /api/payments/mercadopago/webhook, /api/payments/sandbox/webhook
+// Cada proveedor valida la firma y extrae el id del pago (Mercado Pago lo manda en varios formatos)
+app.post('/api/payments/:provider/webhook', async (req, res) => {
   try {
     // Log completo de la notificación recibida
     console.log('📦 [Mercado Pago Webhook] Notificación recibida:');
@@ -6169,28 +7311,13 @@ app.post('/api/payments/mercadopago/webhook', async (req, res) => {
     console.log('📦 Query params:', JSON.stringify(req.query, null, 2));
     console.log('📦 Headers:', JSON.stringify(req.headers, null, 2));
 
-    // Obtener ID del pago de diferentes formatos posibles
+    // Obtener ID del pago (y validar la firma del aviso)
     let paymentId = null;
-    
-    // Formato 1: { type: 'payment', data: { id: '...' } }
-    if (req.body.type === 'payment' && req.body.data?.id) {
-      paymentId = req.body.data.id;
-    }
-    // Formato 2: { action: 'payment.created', data: { id: '...' } }
-    else if (req.body.action && req.body.data?.id) {
-      paymentId = req.body.data.id;
-    }
-    // Formato 3: Query string ?id=123456789
-    else if (req.query.id) {
-      paymentId = req.query.id;
-    }
-    // Formato 4: Body directo con id
-    else if (req.body.id) {
-      paymentId = req.body.id;
-    }
-    // Formato 5: data.id directo
-    else if (req.body.data?.id) {
-      paymentId = req.body.data.id;
+    try {
+      paymentId = paymentGatewayService.parseWebhook(req.params.provider, req);
+    } catch (verifyError) {
+      console.warn(`⚠️ [Mercado Pago Webhook] Aviso rechazado: ${verifyError.details?.message || verifyError.message}`);
+      return res.status(verifyError.status || 400).json({ received: false, error: verifyError.details?.message || verifyError.message });
     }
 
     if (!paymentId) {
@@ -6201,23 +7328,8 @@ app.post('/api/payments/mercadopago/webhook', async (req, res) => {
     console.log(`💰 [Mercado Pago Webhook] Procesando pago: ${paymentId}`);
     
     try {
-      // Obtener información del pago desde Mercado Pago
-      if (!mercadoPagoConfig) {
-        const mpConfig = await getMercadoPagoConfig();
-        if (mpConfig && mpConfig.accessToken) {
-          mercadoPagoConfig = new MercadoPagoConfig({
-            accessToken: mpConfig.accessToken
-          });
-        }
-      }
-
-      if (!mercadoPagoConfig) {
-        console.error('❌ [Mercado Pago Webhook] Mercado Pago no está configurado');
-        return res.status(200).json({ received: true, error: 'Mercado Pago not configured' });
-      }
-
-      const paymentClient = new Payment(mercadoPagoConfig);
-      const payment = await paymentClient.get({ id: paymentId });
+      // Obtener información del pago desde el proveedor que lo cobró (cuenta global)
+      const payment = await paymentGatewayService.getPayment(null, paymentId);
 
       console.log('💰 [Mercado Pago Webhook] Información del pago:', {
         id: payment.id,
@@ -6232,32 +7344,39 @@ app.post('/api/payments/mercadopago/webhook', async (req, res) => {
       if (payment.status === 'approved' && payment.external_reference) {
         const orderNumber = payment.external_reference;
         
-        console.log(`🔍 [Mercado Pago Webhook] Buscando pedido con orderNumber: ${orderNumber}`);
+        console.log(`🔍 [Mercado Pago Webhook] Buscando pedido con external_reference: ${orderNumber}`);
         
-        // Buscar el pedido por order_number
-        const order = await prisma.order.findUnique({
-          where: { orderNumber: orderNumber },
+        // Buscar el pedido por external_reference (id del pedido o número de pedido)
+        const order = await paymentGatewayService.findOrderByReference(orderNumber, null, {
           select: {
             id: true,
             orderNumber: true,
             status: true,
             paymentStatus: true,
+            heldForReview: true,
             customerPhone: true,
-            total: true
+            total: true,
+            deliveryStatus: true,
+            deliveryPersonId: true,
+            scheduledFor: true,
+            releasedAt: true,
+            fulfillmentType: true
           }
         });
 
         if (order) {
           // Solo actualizar si el pago aún no está aprobado (evitar duplicados)
           if (order.paymentStatus !== 'approved') {
-            // Actualizar: pago aprobado = pedido confirmado/en preparación
-            await prisma.order.update({
-              where: { id: order.id },
-              data: {
-                status: 'confirmed', // Pago aprobado = pedido confirmado/en preparación
-                paymentStatus: 'approved' // El pago está aprobado
-              }
-            });
+            // Pago aprobado = pedido confirmado (salvo retenido para revisión), si el ciclo de vida lo permite
+            // El aviso al cliente es el mensaje de pago recibido de abajo
+            await paymentGatewayService.markOrderPaid(order, { paymentStatus: 'approved' }, {
+              id: null, name: 'Mercado Pago', role: 'system', channel: ORDER_CHANNELS.WEBHOOK
+            }, null, { handled: ['notify_customer'] });
+            await orderPaymentsService.recordProviderPayment(order.id, {
+              tenderType: 'mercadopago',
+              amount: payment.transaction_amount,
+              reference: String(payment.id)
+            }, { id: null, name: 'Mercado Pago', role: 'system', channel: ORDER_CHANNELS.WEBHOOK });
 
             console.log(`✅ [Mercado Pago Webhook] Pedido ${orderNumber} - Pago aprobado, pedido en preparación`);
 
@@ -6320,45 +7439,41 @@ app.post('/api/payments/mercadopago/webhook', async (req, res) => {
   }
 });
 
-// Webhook de Mercado Pago multi-tenant (con storeId en la URL)
-app.post('/api/webhooks/mercadopago/:storeId', async (req, res) => {
+// Webhook multi-tenant de los proveedores de pago (con storeId en la URL): /api/webhooks/mercadopago/:storeId, /api/webhooks/sandbox/:storeId
+app.post('/api/webhooks/:provider/:storeId', async (req, res) => {
   try {
-    const { storeId } = req.params;
-    const { type, data } = req.body;
+    const { provider, storeId } = req.params;
 
-    console.log(`📦 [Mercado Pago Webhook Multi-Tenant] Notificación recibida para tienda ${storeId}:`, {
-      type,
-      paymentId: data?.id
+    console.log(`📦 [Mercado Pago Webhook Multi-Tenant] Notificación de ${provider} recibida para tienda ${storeId}:`, {
+      type: req.body?.type,
+      paymentId: req.body?.data?.id
     });
 
-    // Verificar que es una notificación de pago
-    if (type === 'payment' && data?.id) {
-      const paymentId = data.id;
+    try {
+      // Procesar el webhook usando el servicio de pagos (valida la firma del proveedor)
+      const result = await paymentGatewayService.processWebhook(provider, storeId, req);
       
-      try {
-        // Procesar el webhook usando el servicio multi-tenant
-        const result = await mercadoPagoService.processPaymentWebhook(storeId, paymentId);
-        
-        console.log(`✅ [Mercado Pago Webhook Multi-Tenant] Webhook procesado:`, result);
-        
-        return res.status(200).json({ 
-          received: true, 
-          processed: result.processed,
-          status: result.status 
-        });
-      } catch (processError) {
-        console.error(`❌ [Mercado Pago Webhook Multi-Tenant] Error procesando webhook:`, processError);
-        // Responder 200 para que Mercado Pago no reintente infinitamente
-        return res.status(200).json({ 
-          received: true, 
-          processed: false,
-          error: processError.message 
-        });
-      }
+      console.log(`✅ [Mercado Pago Webhook Multi-Tenant] Webhook procesado:`, result);
+      
+      return res.status(200).json({ 
+        received: true, 
+        processed: result.processed,
+        status: result.status 
+      });
+    } catch (processError) {
+      // Aviso con firma inválida o de un proveedor desconocido: no se procesa
+      if (processError instanceof AppError && [400, 401].includes(processError.status)) {
+        console.warn(`⚠️ [Mercado Pago Webhook Multi-Tenant] Aviso rechazado: ${processError.details?.message || processError.message}`);
+        return res.status(processError.status).json({ received: false, error: processError.details?.message || processError.message });
+      }
+      console.error(`❌ [Mercado Pago Webhook Multi-Tenant] Error procesando webhook:`, processError);
+      // Responder 200 para que el proveedor no reintente infinitamente
+      return res.status(200).json({ 
+        received: true, 
+        processed: false,
+        error: processError.details?.message || processError.message 
+      });
     }
-
-    // Si no es una notificación de pago, responder OK de todas formas
-    return res.status(200).json({ received: true, processed: false, reason: 'Not a payment notification' });
   } catch (error) {
     console.error('❌ [Mercado Pago Webhook Multi-Tenant] Error general:', error);
     return res.status(200).json({ received: true, error: error.message });
@@ -8724,7 +9839,7 @@ process.on('unhandledRejection', (reason, promise) => {
 });
 
 // ========== INICIAR SERVIDOR ==========
-app.listen(PORT, async () => {
+const server = app.listen(PORT, async () => {
   console.log(`🚀 Servidor corriendo en https://elbuenmenu.site`);
   console.log(`🔒 Seguridad habilitada: JWT, bcrypt, rate limiting, validación`);
   
@@ -8736,5 +9851,30 @@ app.listen(PORT, async () => {
   } catch (error) {
     console.error(`❌ Error inicializando bots de WhatsApp:`, error);
   }
+  
+  // Jobs periódicos: cada servicio saltea la corrida si la anterior sigue en curso (flag running)
+  // Liberar pedidos programados a cocina (cada minuto)
+  setInterval(() => {
+    scheduledOrdersService.processScheduledOrders().catch(error => {
+      console.error('❌ [SCHEDULED] Error liberando pedidos programados:', error.message);
+    });
+  }, 60 * 1000);
+
+  // Conciliar pagos de MercadoPago contra pedidos (webhooks perdidos, cobros dobles, diferencias)
+  setInterval(() => {
+    paymentReconciliationService.reconcileAllStores().catch(error => {
+      console.error('❌ [RECONCILIATION] Error conciliando pagos:', error.message);
+    });
+  }, RECONCILIATION_INTERVAL_MINUTES * 60 * 1000);
+
+  // Gift cards: entregas programadas, avisos de vencimiento y vencimientos
+  setInterval(() => {
+    giftCardsService.runScheduledJobs().catch(error => {
+      console.error('❌ [GIFT CARDS] Error en el job de gift cards:', error.message);
+    });
+  }, GIFT_CARD_JOB_INTERVAL_MINUTES * 60 * 1000);
 });
 
+// WebSocket en /ws (pantallas de cocina y notificaciones del panel)
+wsService.init(server);
+
@@ -0,0 +1,53 @@
+-- Migración: libro de pagos del pedido (order_payments) con referencia única por medio
+-- recordProviderPayment registra cada pago de MercadoPago / tarjeta una sola vez: el índice
+-- único (order_id, tender_type, reference) hace que dos notificaciones simultáneas del mismo
+-- pago choquen en vez de sumar el cobro dos veces. Las referencias NULL no chocan entre sí.
+-- Ejecutar este SQL en Supabase SQL Editor
+
+-- 1. Tabla (si todavía no se creó)
+CREATE TABLE IF NOT EXISTS order_payments (
+  id TEXT PRIMARY KEY,
+  order_id TEXT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  store_id TEXT,
+  tender_type TEXT NOT NULL,
+  amount DOUBLE PRECISION NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  reference TEXT,
+  proof_image_url TEXT,
+  pending_transfer_id TEXT UNIQUE REFERENCES pending_transfers(id) ON DELETE SET NULL,
+  collected_by_id TEXT,
+  paid_at TIMESTAMP(3),
+  created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS order_payments_order_id_idx ON order_payments(order_id);
+CREATE INDEX IF NOT EXISTS order_payments_store_id_status_idx ON order_payments(store_id, status);
+
+-- 2. Pagos ya duplicados: se conserva el primero y se anulan los repetidos
+WITH ranked AS (
+  SELECT id,
+         ROW_NUMBER() OVER (
+           PARTITION BY order_id, tender_type, reference
+           ORDER BY (status = 'paid') DESC, created_at
+         ) AS position
+  FROM order_payments
+  WHERE reference IS NOT NULL
+)
+UPDATE order_payments p
+SET status = 'cancelled',
+    reference = NULL,
+    updated_at = NOW()
+FROM ranked r
+WHERE p.id = r.id
+  AND r.position > 1;
+
+-- 3. Índice único
+CREATE UNIQUE INDEX IF NOT EXISTS order_payments_order_id_tender_type_reference_key
+  ON order_payments(order_id, tender_type, reference);
+
+-- Verificar (no debería devolver filas)
+SELECT order_id, tender_type, reference, COUNT(*)
+FROM order_payments
+WHERE reference IS NOT NULL
+GROUP BY order_id, tender_type, reference
+HAVING COUNT(*) > 1;
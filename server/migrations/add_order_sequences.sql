@@ -0,0 +1,73 @@
+-- Migración: numeración de pedidos por local (order_sequences)
+-- order_number deja de ser único global: ahora es único por local y período
+-- (store_id, sequence_scope, sequence_number) y el contador vive en order_sequences,
+-- que order-number.service incrementa con INSERT ... ON CONFLICT.
+-- Los pedidos existentes toman su sequence_number de los dígitos finales de order_number
+-- antes de crear el índice único; los números repetidos o sin dígitos quedan en NULL.
+-- Ejecutar este SQL en Supabase SQL Editor
+
+-- 1. Columnas nuevas
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS sequence_number INTEGER;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS sequence_scope TEXT;
+
+ALTER TABLE store_settings ADD COLUMN IF NOT EXISTS order_number_prefix TEXT;
+ALTER TABLE store_settings ADD COLUMN IF NOT EXISTS order_number_format TEXT;
+ALTER TABLE store_settings ADD COLUMN IF NOT EXISTS order_number_daily_reset BOOLEAN NOT NULL DEFAULT false;
+
+-- 2. Contador por local
+CREATE TABLE IF NOT EXISTS order_sequences (
+  id TEXT PRIMARY KEY,
+  store_id TEXT NOT NULL,
+  scope TEXT NOT NULL DEFAULT 'all',
+  last_value INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+CREATE UNIQUE INDEX IF NOT EXISTS order_sequences_store_id_scope_key ON order_sequences(store_id, scope);
+
+-- 3. order_number ya no es único global (el mismo número puede repetirse entre locales)
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_order_number_key;
+DROP INDEX IF EXISTS orders_order_number_key;
+CREATE INDEX IF NOT EXISTS orders_order_number_idx ON orders(order_number);
+
+-- 4. Backfill de sequence_number de los pedidos existentes (el primero de cada número por local)
+WITH parsed AS (
+  SELECT id, store_id, created_at,
+         NULLIF(substring(order_number FROM '(\d+)\D*$'), '')::BIGINT AS seq
+  FROM orders
+  WHERE sequence_number IS NULL
+), ranked AS (
+  SELECT id, store_id, seq,
+         ROW_NUMBER() OVER (PARTITION BY store_id, seq ORDER BY created_at) AS position
+  FROM parsed
+  WHERE seq BETWEEN 1 AND 2147483647
+)
+UPDATE orders o
+SET sequence_number = r.seq,
+    sequence_scope = 'all'
+FROM ranked r
+WHERE o.id = r.id
+  AND r.position = 1
+  AND NOT EXISTS (
+    SELECT 1 FROM orders taken
+    WHERE taken.store_id IS NOT DISTINCT FROM r.store_id
+      AND taken.sequence_scope = 'all'
+      AND taken.sequence_number = r.seq
+  );
+
+-- 5. Los contadores continúan desde el número más alto de cada local
+INSERT INTO order_sequences (id, store_id, scope, last_value, created_at, updated_at)
+SELECT gen_random_uuid()::TEXT, COALESCE(store_id, 'global'), 'all', MAX(sequence_number), NOW(), NOW()
+FROM orders
+WHERE sequence_scope = 'all' AND sequence_number IS NOT NULL
+GROUP BY COALESCE(store_id, 'global')
+ON CONFLICT (store_id, scope)
+DO UPDATE SET last_value = GREATEST(order_sequences.last_value, EXCLUDED.last_value), updated_at = NOW();
+
+-- 6. Número único por local y período
+CREATE UNIQUE INDEX IF NOT EXISTS orders_store_id_sequence_scope_sequence_number_key
+  ON orders(store_id, sequence_scope, sequence_number);
+
+-- Verificar
+SELECT store_id, scope, last_value FROM order_sequences ORDER BY store_id;
+SELECT COUNT(*) AS sin_secuencia FROM orders WHERE sequence_number IS NULL;
@@ -0,0 +1,7 @@
+-- Migración: Agregar columna whatsapp_lid a customers
+-- WhatsApp identifica a algunos clientes con un JID @lid en lugar del teléfono: la columna guarda
+-- a qué teléfono corresponde para que el saldo a favor quede en una sola billetera
+-- Ejecutar este SQL en Supabase SQL Editor
+
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS whatsapp_lid TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS customers_whatsapp_lid_key ON customers(whatsapp_lid);
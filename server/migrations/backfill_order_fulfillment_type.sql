@@ -0,0 +1,23 @@
+-- Backfill: marcar como retiro en el local los pedidos anteriores a fulfillment_type
+-- La columna se creó con default 'delivery', así que los retiros viejos quedaron como envíos
+-- y aparecían en la lista de pedidos disponibles de los repartidores.
+-- Ejecutar este SQL en Supabase SQL Editor
+
+-- Pedidos sin costo de envío y sin dirección (el bot y la web no cargan dirección en los retiros)
+UPDATE orders
+SET fulfillment_type = 'pickup'
+WHERE fulfillment_type = 'delivery'
+  AND delivery_fee = 0
+  AND (customer_address IS NULL OR TRIM(customer_address) = '')
+  AND table_session_id IS NULL;
+
+-- Pedidos del bot que marcaban el retiro en las notas
+UPDATE orders
+SET fulfillment_type = 'pickup'
+WHERE fulfillment_type = 'delivery'
+  AND delivery_fee = 0
+  AND notes ILIKE '%RETIRO%'
+  AND table_session_id IS NULL;
+
+-- Verificar
+SELECT fulfillment_type, COUNT(*) FROM orders GROUP BY fulfillment_type;
@@ -0,0 +1,13 @@
+-- Migración: pedidos con el estado viejo 'picked_up' pasan a 'in_transit'
+-- 'picked_up' ya no es un Order.status (solo existe como delivery_status), así que esos
+-- pedidos no se podían entregar ni cancelar desde el validador de estados.
+-- Ejecutar este SQL en Supabase SQL Editor
+
+UPDATE orders
+SET status = 'in_transit',
+    delivery_status = COALESCE(delivery_status, 'picked_up'),
+    updated_at = NOW()
+WHERE status = 'picked_up';
+
+-- Verificar
+SELECT status, COUNT(*) FROM orders WHERE status IN ('picked_up', 'in_transit') GROUP BY status;
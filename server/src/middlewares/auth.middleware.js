@@ -1,4 +1,5 @@
 import { adminAuthService, driverAuthService } from '../services/auth.service.js';
+import prisma from '../utils/prisma.js';
 
 // ========== MIDDLEWARE DE AUTENTICACIÓN ADMIN ==========
 export const authenticateAdmin = async (req, res, next) => {
@@ -75,44 +76,69 @@ export const authorize = (...allowedRoles) => {
   };
 };
 
+// ========== ACCESO A UN STORE ==========
+// Solo el superadmin (y el usuario mock de desarrollo) opera sobre cualquier store;
+// cualquier otro rol con store asignado (admin, operator, ...) queda limitado al suyo
+export const canAccessStore = (user, storeId) => {
+  if (!user) return false;
+  if (user.id === 'admin-dev' || user.role === 'super_admin') return true;
+  if (!user.storeId) return true;
+  return user.storeId === storeId;
+};
+
+const denyStoreAccess = (req, res, storeId) => {
+  console.warn('Intento de acceso a store no autorizado', {
+    userId: req.user.id,
+    role: req.user.role,
+    userStoreId: req.user.storeId,
+    requestedStoreId: storeId,
+    path: req.path
+  });
+  return res.status(403).json({ error: 'No tienes permiso para acceder a este store' });
+};
+
 // ========== MIDDLEWARE PARA VERIFICAR ACCESO AL STORE ==========
 export const authorizeStoreAccess = (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({ error: 'No autenticado' });
   }
 
-  // Si es usuario mock de desarrollo, permitir acceso
-  if (req.user.id === 'admin-dev') {
-    return next();
-  }
-
-  // Superadmin puede acceder a cualquier store
-  if (req.user.role === 'super_admin') {
-    return next();
-  }
-
   // Obtener storeId del request (query, params o body)
-  const storeId = req.query.storeId || req.params.storeId || req.body.storeId || req.body.store_id;
+  const storeId = req.query.storeId || req.params.storeId || req.body?.storeId || req.body?.store_id;
 
   // Si no hay storeId en el request, permitir (puede ser endpoint global)
   if (!storeId) {
     return next();
   }
 
-  // Admin de tienda solo puede acceder a su propio store
-  if (req.user.storeId && req.user.storeId !== storeId) {
-    console.warn('Intento de acceso a store no autorizado', {
-      userId: req.user.id,
-      userStoreId: req.user.storeId,
-      requestedStoreId: storeId,
-      path: req.path
-    });
-    return res.status(403).json({ error: 'No tienes permiso para acceder a este store' });
+  if (!canAccessStore(req.user, storeId)) {
+    return denyStoreAccess(req, res, storeId);
   }
 
   next();
 };
 
+// ========== MIDDLEWARE PARA VERIFICAR ACCESO AL PEDIDO (/:id) ==========
+// El pedido tiene que pertenecer a un store del usuario
+export const authorizeOrderAccess = async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'No autenticado' });
+  }
+
+  try {
+    const order = await prisma.order.findUnique({ where: { id: req.params.id }, select: { storeId: true } });
+    if (!order) {
+      return res.status(404).json({ error: 'Pedido no encontrado' });
+    }
+    if (!canAccessStore(req.user, order.storeId)) {
+      return denyStoreAccess(req, res, order.storeId);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // ========== MIDDLEWARE DE AUTENTICACIÓN REPARTIDOR ==========
 export const authenticateDriver = async (req, res, next) => {
   try {
@@ -6,6 +6,9 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { authenticateDriver } from '../middlewares/auth.middleware.js';
+import { orderStateValidator } from '../services/order-state-validator.service.js';
+import { orderHistoryService } from '../services/order-history.service.js';
+import { RELEASED_ORDER_FILTER } from '../services/scheduled-orders.service.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -20,11 +23,12 @@ router.get('/available', authenticateDriver, async (req, res) => {
     const tasks = await prisma.order.findMany({
       where: {
         status: { in: ['confirmed', 'preparing', 'ready'] }, // Pedidos en proceso o listos
-        deliveryFee: { gt: 0 }, // Solo delivery (no retiro en local)
+        fulfillmentType: 'delivery', // Solo envíos (no retiro en local)
         OR: [
           { deliveryStatus: null },
           { deliveryStatus: 'available' }
         ],
+        AND: [RELEASED_ORDER_FILTER], // Programados: recién cuando se liberan a cocina
         deliveryPersonId: null // No asignados
       },
       include: {
@@ -96,6 +100,15 @@ router.post('/:orderId/accept', authenticateDriver, async (req, res) => {
       return res.status(400).json({ error: 'Este pedido ya fue aceptado por otro repartidor' });
     }
 
+    const transition = orderStateValidator.validateChange(
+      order,
+      { status: 'assigned', deliveryStatus: 'accepted', deliveryPersonId: driverId },
+      'driver'
+    );
+    if (!transition.valid) {
+      return res.status(transition.forbidden ? 403 : 400).json({ error: transition.error });
+    }
+
     // Asignar al repartidor
     const updated = await prisma.order.update({
       where: { id: orderId },
@@ -110,6 +123,14 @@ router.post('/:orderId/accept', authenticateDriver, async (req, res) => {
       }
     });
 
+    await orderHistoryService.recordUpdate(orderId, order, {
+      deliveryPersonId: driverId,
+      deliveryStatus: 'accepted',
+      status: 'assigned'
+    }, orderHistoryService.actorFromRequest(req));
+
+    await orderStateValidator.runEffects(orderId, transition.effects);
+
     res.json({
       success: true,
       message: 'Tarea aceptada',
@@ -212,6 +233,16 @@ router.post('/:orderId/pickup', authenticateDriver, async (req, res) => {
       return res.status(403).json({ error: 'No tienes asignado este pedido' });
     }
 
+    // Retirar del local pone el pedido en camino
+    const transition = orderStateValidator.validateChange(
+      order,
+      { status: 'in_transit', deliveryStatus: 'picked_up' },
+      'driver'
+    );
+    if (!transition.valid) {
+      return res.status(transition.forbidden ? 403 : 400).json({ error: transition.error });
+    }
+
     // Generar código de entrega si no existe
     let deliveryCode = order.deliveryCode;
     if (!deliveryCode) {
@@ -221,13 +252,21 @@ router.post('/:orderId/pickup', authenticateDriver, async (req, res) => {
     const updated = await prisma.order.update({
       where: { id: orderId },
       data: {
+        status: 'in_transit',
         deliveryStatus: 'picked_up',
         pickedUpAt: new Date(),
         deliveryCode
       }
     });
 
+    await orderHistoryService.recordUpdate(orderId, order, {
+      status: 'in_transit',
+      deliveryStatus: 'picked_up',
+      deliveryCode
+    }, orderHistoryService.actorFromRequest(req));
+
     // NO enviar mensaje WhatsApp aquí - el mensaje del código ya existe en el flujo actual
+    await orderStateValidator.runEffects(orderId, transition.effects, { handled: ['notify_customer'] });
 
     res.json({
       success: true,
@@ -236,7 +275,8 @@ router.post('/:orderId/pickup', authenticateDriver, async (req, res) => {
       order: {
         id: updated.id,
         orderNumber: updated.orderNumber,
-        status: 'picked_up'
+        status: updated.status,
+        deliveryStatus: updated.deliveryStatus
       }
     });
   } catch (error) {
@@ -275,6 +315,22 @@ router.post('/start-multi-route', authenticateDriver, async (req, res) => {
       });
     }
 
+    // Validar la transición de cada pedido antes de crear la ruta
+    const ordersById = new Map(orders.map(order => [order.id, order]));
+    for (const [index, orderId] of orderIds.entries()) {
+      const transition = orderStateValidator.validateChange(
+        ordersById.get(orderId),
+        { status: 'in_transit', deliveryStatus: index === 0 ? 'delivering' : 'in_multi_route' },
+        'driver'
+      );
+      if (!transition.valid) {
+        return res.status(transition.forbidden ? 403 : 400).json({
+          error: transition.error,
+          orderNumber: ordersById.get(orderId).orderNumber
+        });
+      }
+    }
+
     // Crear ruta múltiple
     const route = await prisma.multiDeliveryRoute.create({
       data: {
@@ -298,6 +354,14 @@ router.post('/start-multi-route', authenticateDriver, async (req, res) => {
       })
     ));
 
+    const actor = orderHistoryService.actorFromRequest(req);
+    await Promise.all(orderIds.map((orderId, index) =>
+      orderHistoryService.recordUpdate(orderId, ordersById.get(orderId), {
+        deliveryStatus: index === 0 ? 'delivering' : 'in_multi_route',
+        status: 'in_transit'
+      }, actor)
+    ));
+
     // Actualizar repartidor
     await prisma.deliveryPerson.update({
       where: { id: driverId },
@@ -410,6 +474,15 @@ router.post('/:orderId/deliver', authenticateDriver, async (req, res) => {
       return res.status(400).json({ error: 'Código de entrega incorrecto' });
     }
 
+    const transition = orderStateValidator.validateChange(
+      order,
+      { status: 'delivered', deliveryStatus: 'delivered' },
+      'driver'
+    );
+    if (!transition.valid) {
+      return res.status(transition.forbidden ? 403 : 400).json({ error: transition.error });
+    }
+
     // Actualizar pedido como entregado
     await prisma.order.update({
       where: { id: orderId },
@@ -466,8 +539,14 @@ router.post('/:orderId/deliver', authenticateDriver, async (req, res) => {
       data: { totalDeliveries: { increment: 1 } }
     });
 
+    await orderHistoryService.recordUpdate(orderId, order, {
+      status: 'delivered',
+      deliveryStatus: 'delivered'
+    }, orderHistoryService.actorFromRequest(req));
+
     // El mensaje de WhatsApp de agradecimiento se envía desde el flujo existente
     // NO agregar lógica de WhatsApp aquí
+    await orderStateValidator.runEffects(orderId, transition.effects, { handled: ['notify_customer'] });
 
     res.json({
       success: true,
@@ -507,6 +586,15 @@ router.post('/:orderId/cancel', authenticateDriver, async (req, res) => {
       return res.status(400).json({ error: 'No se puede cancelar un pedido en ruta' });
     }
 
+    const transition = orderStateValidator.validateChange(
+      order,
+      { status: 'ready', deliveryStatus: 'available', deliveryPersonId: null },
+      'driver'
+    );
+    if (!transition.valid) {
+      return res.status(transition.forbidden ? 403 : 400).json({ error: transition.error });
+    }
+
     // Liberar el pedido
     await prisma.order.update({
       where: { id: orderId },
@@ -519,6 +607,14 @@ router.post('/:orderId/cancel', authenticateDriver, async (req, res) => {
       }
     });
 
+    await orderHistoryService.recordUpdate(orderId, order, {
+      deliveryPersonId: null,
+      deliveryStatus: 'available',
+      status: 'ready'
+    }, orderHistoryService.actorFromRequest(req), reason || 'Tarea liberada por el repartidor');
+
+    await orderStateValidator.runEffects(orderId, transition.effects);
+
     res.json({
       success: true,
       message: 'Tarea liberada',
@@ -0,0 +1,195 @@
+/**
+ * Rutas de pedidos grupales
+ * Públicas: el organizador abre el grupo y comparte el código; cada participante se une,
+ * carga sus ítems y el organizador envía un único pedido al local.
+ * El organizador se identifica con host_token y cada participante con su token.
+ */
+
+import express from 'express';
+import { AppError } from '../middlewares/error-handler.middleware.js';
+import { groupOrdersService } from '../services/group-orders.service.js';
+
+const router = express.Router();
+
+const handleError = (res, error, message) => {
+  if (error instanceof AppError) {
+    return res.status(error.status).json({ error: error.details?.message || error.message });
+  }
+  console.error(`❌ [GROUP ORDERS] ${message}:`, error);
+  return res.status(500).json({ error: message });
+};
+
+const parseInteger = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) ? number : NaN;
+};
+
+const participantTokenFrom = (req) => req.body?.token || req.query.token || null;
+const hostTokenFrom = (req) => req.body?.host_token || req.body?.hostToken || req.query.host_token || null;
+
+/**
+ * POST /api/group-orders
+ * Abrir un pedido grupal: { store_id, host_name, host_phone?, name?, deadline?, max_participants?,
+ * fulfillment_type?, delivery_address?, delivery_fee_split?, notes? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const storeId = req.body.store_id || req.body.storeId;
+    if (!storeId) {
+      return res.status(400).json({ error: 'storeId es requerido' });
+    }
+
+    const maxParticipants = parseInteger(req.body.max_participants ?? req.body.maxParticipants);
+    if (Number.isNaN(maxParticipants)) {
+      return res.status(400).json({ error: 'El máximo de participantes debe ser un número entero' });
+    }
+
+    const result = await groupOrdersService.createGroupOrder(storeId, {
+      hostName: req.body.host_name || req.body.hostName,
+      hostPhone: req.body.host_phone || req.body.hostPhone || null,
+      name: req.body.name || null,
+      maxParticipants: maxParticipants ?? 10,
+      deadline: req.body.deadline || null,
+      fulfillmentType: req.body.fulfillment_type || req.body.fulfillmentType || 'delivery',
+      deliveryAddress: req.body.delivery_address || req.body.deliveryAddress || null,
+      deliveryFeeSplit: req.body.delivery_fee_split || req.body.deliveryFeeSplit || 'equal',
+      notes: req.body.notes || null
+    });
+
+    console.log(`🛒 [GROUP ORDERS] Grupo ${result.groupOrder.joinCode} abierto por ${result.groupOrder.hostName}`);
+    res.status(201).json({
+      joinCode: result.groupOrder.joinCode,
+      hostToken: result.hostToken,
+      token: result.participantToken,
+      shareLink: result.shareLink,
+      whatsappShareUrl: result.whatsappShareUrl,
+      deadline: result.groupOrder.deadline
+    });
+  } catch (error) {
+    handleError(res, error, 'Error al crear el pedido grupal');
+  }
+});
+
+/**
+ * GET /api/group-orders/active?phone=
+ * Grupos abiertos en los que participa un teléfono
+ */
+router.get('/active', async (req, res) => {
+  try {
+    if (!req.query.phone) {
+      return res.status(400).json({ error: 'phone es requerido' });
+    }
+    res.json(await groupOrdersService.getActiveGroupOrders(req.query.phone));
+  } catch (error) {
+    handleError(res, error, 'Error al obtener los pedidos grupales');
+  }
+});
+
+/**
+ * GET /api/group-orders/:code?token=&host_token=
+ * Estado del grupo: participantes, ítems, partes y pedido enviado
+ */
+router.get('/:code', async (req, res) => {
+  try {
+    res.json(await groupOrdersService.getGroupOrderStatus(req.params.code, {
+      participantToken: req.query.token || null,
+      hostToken: req.query.host_token || null
+    }));
+  } catch (error) {
+    handleError(res, error, 'Error al obtener el pedido grupal');
+  }
+});
+
+/**
+ * POST /api/group-orders/:code/join
+ * Unirse con el código: { name, phone? } (con el mismo teléfono se recupera la participación)
+ */
+router.post('/:code/join', async (req, res) => {
+  try {
+    const { participant, rejoined } = await groupOrdersService.joinByCode(req.params.code, {
+      name: req.body.name,
+      phone: req.body.phone || null
+    });
+    res.status(rejoined ? 200 : 201).json({
+      rejoined,
+      token: participant.token,
+      participantId: participant.id,
+      name: participant.name
+    });
+  } catch (error) {
+    handleError(res, error, 'Error al unirse al pedido grupal');
+  }
+});
+
+/**
+ * PUT /api/group-orders/:code/items
+ * Reemplazar los ítems del participante: { token, items }
+ */
+router.put('/:code/items', async (req, res) => {
+  try {
+    const token = participantTokenFrom(req);
+    if (!token) {
+      return res.status(400).json({ error: 'token es requerido' });
+    }
+    res.json(await groupOrdersService.setItems(req.params.code, token, req.body.items));
+  } catch (error) {
+    handleError(res, error, 'Error al guardar tus productos');
+  }
+});
+
+/**
+ * POST /api/group-orders/:code/leave
+ * Salir del grupo: { token }
+ */
+router.post('/:code/leave', async (req, res) => {
+  try {
+    const token = participantTokenFrom(req);
+    if (!token) {
+      return res.status(400).json({ error: 'token es requerido' });
+    }
+    res.json(await groupOrdersService.leave(req.params.code, token));
+  } catch (error) {
+    handleError(res, error, 'Error al salir del pedido grupal');
+  }
+});
+
+/**
+ * POST /api/group-orders/:code/submit
+ * Enviar el pedido al local (organizador): { host_token, payment_links?, payment_method? }
+ */
+router.post('/:code/submit', async (req, res) => {
+  try {
+    const paymentLinks = req.body.payment_links ?? req.body.paymentLinks;
+    const result = await groupOrdersService.finalizeGroupOrder(req.params.code, hostTokenFrom(req), {
+      paymentLinks: paymentLinks === true || paymentLinks === 'true',
+      paymentMethod: req.body.payment_method || req.body.paymentMethod || null
+    });
+
+    console.log(`🛒 [GROUP ORDERS] Grupo ${req.params.code} enviado como pedido ${result.order.orderNumber}`);
+    res.status(201).json({
+      orderId: result.order.id,
+      orderNumber: result.order.orderNumber,
+      total: result.order.total,
+      deferredTo: result.deferredTo,
+      shares: result.shares,
+      group: result.status
+    });
+  } catch (error) {
+    handleError(res, error, 'Error al enviar el pedido grupal');
+  }
+});
+
+/**
+ * POST /api/group-orders/:code/cancel
+ * Cancelar el grupo antes de enviarlo (organizador): { host_token, reason? }
+ */
+router.post('/:code/cancel', async (req, res) => {
+  try {
+    res.json(await groupOrdersService.cancelGroupOrder(req.params.code, hostTokenFrom(req), req.body.reason || null));
+  } catch (error) {
+    handleError(res, error, 'Error al cancelar el pedido grupal');
+  }
+});
+
+export default router;
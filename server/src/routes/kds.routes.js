@@ -0,0 +1,215 @@
+/**
+ * Rutas de la pantalla de cocina (KDS)
+ * Estaciones de cocina, comandas por estación y bumps de ítems.
+ * Las pantallas reciben los cambios por WebSocket: /ws?storeId=...&channel=kds
+ */
+
+import express from 'express';
+import prisma from '../utils/prisma.js';
+import { authenticateAdmin, authorize, authorizeStoreAccess, canAccessStore } from '../middlewares/auth.middleware.js';
+import { AppError } from '../middlewares/error-handler.middleware.js';
+import { kdsService } from '../services/kds.service.js';
+import { orderHistoryService, ORDER_CHANNELS } from '../services/order-history.service.js';
+
+const router = express.Router();
+
+const STAFF_ROLES = ['admin', 'super_admin', 'operator'];
+
+const handleError = (res, error, message) => {
+  if (error instanceof AppError) {
+    return res.status(error.status).json({ error: error.details?.message || error.message });
+  }
+  console.error(`❌ [KDS] ${message}:`, error);
+  return res.status(500).json({ error: message });
+};
+
+const parseInteger = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) ? number : NaN;
+};
+
+const parseBoolean = (value) => (value === undefined ? undefined : value === true || value === 'true');
+
+router.use(authenticateAdmin);
+
+// ============================================
+// ESTACIONES
+// ============================================
+
+/**
+ * GET /api/kds/stations?storeId=
+ * Estaciones del local y categorías con su estación asignada
+ */
+router.get('/stations', authorizeStoreAccess, async (req, res) => {
+  try {
+    const storeId = req.query.storeId || req.user.storeId;
+    if (!storeId) {
+      return res.status(400).json({ error: 'storeId es requerido' });
+    }
+    res.json(await kdsService.getStations(storeId));
+  } catch (error) {
+    handleError(res, error, 'Error al obtener las estaciones');
+  }
+});
+
+/**
+ * POST /api/kds/stations
+ * Crear estación: { name, color?, display_order?, is_default? }
+ */
+router.post('/stations', authorize('admin', 'super_admin'), authorizeStoreAccess, async (req, res) => {
+  try {
+    const storeId = req.body.store_id || req.body.storeId || req.user.storeId;
+    if (!storeId) {
+      return res.status(400).json({ error: 'storeId es requerido' });
+    }
+
+    const displayOrder = parseInteger(req.body.display_order ?? req.body.displayOrder);
+    if (Number.isNaN(displayOrder)) {
+      return res.status(400).json({ error: 'El orden debe ser un número entero' });
+    }
+
+    const station = await kdsService.createStation(storeId, {
+      name: req.body.name,
+      color: req.body.color || null,
+      displayOrder: displayOrder ?? 0,
+      isDefault: !!parseBoolean(req.body.is_default ?? req.body.isDefault)
+    });
+    res.status(201).json(station);
+  } catch (error) {
+    handleError(res, error, 'Error al crear la estación');
+  }
+});
+
+/**
+ * PUT /api/kds/stations/:id
+ * Editar estación (nombre, color, orden, por defecto, activa)
+ */
+router.put('/stations/:id', authorize('admin', 'super_admin'), async (req, res) => {
+  try {
+    const station = await prisma.kitchenStation.findUnique({ where: { id: req.params.id } });
+    if (!station || !canAccessStore(req.user, station.storeId)) {
+      return res.status(404).json({ error: 'Estación no encontrada' });
+    }
+
+    const displayOrder = parseInteger(req.body.display_order ?? req.body.displayOrder);
+    if (Number.isNaN(displayOrder)) {
+      return res.status(400).json({ error: 'El orden debe ser un número entero' });
+    }
+
+    const updated = await kdsService.updateStation(station.id, {
+      name: req.body.name,
+      color: req.body.color,
+      displayOrder,
+      isDefault: parseBoolean(req.body.is_default ?? req.body.isDefault),
+      isActive: parseBoolean(req.body.is_active ?? req.body.isActive)
+    });
+    res.json(updated);
+  } catch (error) {
+    handleError(res, error, 'Error al actualizar la estación');
+  }
+});
+
+/**
+ * DELETE /api/kds/stations/:id
+ * Eliminar estación (sus categorías pasan a la estación por defecto)
+ */
+router.delete('/stations/:id', authorize('admin', 'super_admin'), async (req, res) => {
+  try {
+    const station = await prisma.kitchenStation.findUnique({ where: { id: req.params.id } });
+    if (!station || !canAccessStore(req.user, station.storeId)) {
+      return res.status(404).json({ error: 'Estación no encontrada' });
+    }
+
+    await kdsService.deleteStation(station.id);
+    res.json({ success: true });
+  } catch (error) {
+    handleError(res, error, 'Error al eliminar la estación');
+  }
+});
+
+/**
+ * PUT /api/kds/categories/:categoryId/station
+ * Asignar la estación de una categoría: { station_id } (null = estación por defecto)
+ */
+router.put('/categories/:categoryId/station', authorize('admin', 'super_admin'), async (req, res) => {
+  try {
+    const category = await prisma.category.findUnique({ where: { id: req.params.categoryId } });
+    if (!category || !canAccessStore(req.user, category.storeId)) {
+      return res.status(404).json({ error: 'Categoría no encontrada' });
+    }
+
+    const stationId = req.body.station_id ?? req.body.stationId ?? null;
+    res.json(await kdsService.assignCategory(category.id, stationId));
+  } catch (error) {
+    handleError(res, error, 'Error al asignar la estación');
+  }
+});
+
+// ============================================
+// COMANDAS
+// ============================================
+
+/**
+ * GET /api/kds/tickets?storeId=&stationId=
+ * Comandas en cocina (sin stationId = vista general con todos los ítems)
+ */
+router.get('/tickets', authorize(...STAFF_ROLES), authorizeStoreAccess, async (req, res) => {
+  try {
+    const storeId = req.query.storeId || req.user.storeId;
+    if (!storeId) {
+      return res.status(400).json({ error: 'storeId es requerido' });
+    }
+
+    const stationId = req.query.stationId || req.query.station_id || null;
+    const tickets = await kdsService.getTickets(storeId, { stationId });
+    res.json({ tickets, serverTime: new Date().toISOString() });
+  } catch (error) {
+    handleError(res, error, 'Error al obtener las comandas');
+  }
+});
+
+/**
+ * POST /api/kds/items/:itemId/bump
+ * Marcar un ítem como terminado ({ done: false } lo vuelve a pendiente)
+ */
+router.post('/items/:itemId/bump', authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const item = await prisma.orderItem.findUnique({
+      where: { id: req.params.itemId },
+      select: { order: { select: { storeId: true } } }
+    });
+    if (!item || !canAccessStore(req.user, item.order.storeId)) {
+      return res.status(404).json({ error: 'Ítem no encontrado' });
+    }
+
+    const actor = orderHistoryService.actorFromRequest(req, ORDER_CHANNELS.ADMIN_PANEL);
+    const result = await kdsService.bumpItem(req.params.itemId, req.body.done !== false, actor);
+    res.json(result);
+  } catch (error) {
+    handleError(res, error, 'Error al marcar el ítem');
+  }
+});
+
+/**
+ * POST /api/kds/orders/:orderId/bump
+ * Terminar la comanda completa, o solo los ítems de una estación: { station_id? }
+ */
+router.post('/orders/:orderId/bump', authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const order = await prisma.order.findUnique({ where: { id: req.params.orderId }, select: { storeId: true } });
+    if (!order || !canAccessStore(req.user, order.storeId)) {
+      return res.status(404).json({ error: 'Pedido no encontrado' });
+    }
+
+    const actor = orderHistoryService.actorFromRequest(req, ORDER_CHANNELS.ADMIN_PANEL);
+    const result = await kdsService.bumpOrder(req.params.orderId, {
+      stationId: req.body.station_id || req.body.stationId || null
+    }, actor);
+    res.json(result);
+  } catch (error) {
+    handleError(res, error, 'Error al terminar la comanda');
+  }
+});
+
+export default router;
@@ -1,11 +1,31 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
-import { MercadoPagoConfig, Payment } from 'mercadopago';
 import { generalRateLimit } from '../middlewares/security.middleware.js';
+import { AppError } from '../middlewares/error-handler.middleware.js';
+import { ORDER_CHANNELS } from '../services/order-history.service.js';
+import { orderPaymentsService } from '../services/order-payments.service.js';
+import { paymentGatewayService } from '../services/payment-gateway.service.js';
+import { sandboxProvider, SANDBOX_OUTCOMES } from '../services/payment-providers/sandbox.provider.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// El cliente paga desde la web; el cambio lo confirma el proveedor de pagos
+const paymentActor = (payment) => ({
+  id: null,
+  name: paymentGatewayService.webhookActor(payment.provider).name,
+  role: 'system',
+  channel: ORDER_CHANNELS.WEB
+});
+
+// Errores del proveedor (sin configurar, pago inexistente) con su estado; el resto es 500
+const sendPaymentError = (res, error, fallback) => {
+  if (error instanceof AppError) {
+    return res.status(error.status === 503 ? 400 : error.status).json({ error: error.details?.message || error.message });
+  }
+  res.status(500).json({ error: fallback, details: error.message });
+};
+
 // Procesar pago con tarjeta guardada
 router.post('/process', generalRateLimit, async (req, res) => {
   try {
@@ -34,46 +54,28 @@ router.post('/process', generalRateLimit, async (req, res) => {
       return res.status(404).json({ error: 'Tarjeta no encontrada' });
     }
 
-    // Obtener configuración de Mercado Pago del store
-    const storeSettings = await prisma.storeSettings.findUnique({
-      where: { storeId: order.storeId || storeId }
-    });
-
-    if (!storeSettings?.mercadoPagoToken) {
-      return res.status(400).json({ error: 'Mercado Pago no configurado para esta tienda' });
-    }
-
-    // Crear cliente de Mercado Pago
-    const client = new MercadoPagoConfig({
-      accessToken: storeSettings.mercadoPagoToken
-    });
-    const payment = new Payment(client);
-
-    // Crear pago con tarjeta guardada
-    const paymentData = {
-      transaction_amount: order.total,
+    // Crear pago con tarjeta guardada (con el proveedor de pagos del local)
+    const mpPayment = await paymentGatewayService.capture(order.storeId || storeId, {
+      amount: order.total,
       token: card.cardToken,
       description: `Pedido ${order.orderNumber}`,
       installments: 1,
-      payment_method_id: card.cardType || 'visa',
-      payer: {
-        email: order.customerPhone ? `${order.customerPhone}@temp.com` : 'customer@temp.com'
-      },
-      external_reference: orderId
-    };
-
-    const mpPayment = await payment.create({ body: paymentData });
+      paymentMethodId: card.cardType || 'visa',
+      payerEmail: order.customerPhone ? `${order.customerPhone}@temp.com` : 'customer@temp.com',
+      externalReference: orderId
+    });
 
     if (mpPayment.status === 'approved') {
-      // Actualizar pedido
-      await prisma.order.update({
-        where: { id: orderId },
-        data: {
-          paymentStatus: 'paid',
-          paymentMethod: 'card',
-          status: 'confirmed'
-        }
-      });
+      // Actualizar pedido (se confirma si sigue pendiente)
+      await paymentGatewayService.markOrderPaid(order, {
+        paymentStatus: 'paid',
+        paymentMethod: 'card'
+      }, paymentActor(mpPayment), paymentGatewayService.paymentLabel(mpPayment));
+      await orderPaymentsService.recordProviderPayment(orderId, {
+        tenderType: 'card',
+        amount: mpPayment.transaction_amount,
+        reference: String(mpPayment.id)
+      }, paymentActor(mpPayment));
 
       res.json({ success: true, paymentId: mpPayment.id, status: 'approved' });
     } else {
@@ -85,7 +87,7 @@ router.post('/process', generalRateLimit, async (req, res) => {
     }
   } catch (error) {
     console.error('Error processing payment:', error);
-    res.status(500).json({ error: 'Error al procesar pago', details: error.message });
+    sendPaymentError(res, error, 'Error al procesar pago');
   }
 });
 
@@ -107,32 +109,20 @@ router.post('/process-wallet', generalRateLimit, async (req, res) => {
       return res.status(404).json({ error: 'Pedido no encontrado' });
     }
 
-    // Obtener configuración de Mercado Pago
-    const storeSettings = await prisma.storeSettings.findUnique({
-      where: { storeId: order.storeId || storeId }
-    });
-
-    if (!storeSettings?.mercadoPagoToken) {
-      return res.status(400).json({ error: 'Mercado Pago no configurado' });
-    }
-
-    // Verificar estado del pago en Mercado Pago
-    const client = new MercadoPagoConfig({
-      accessToken: storeSettings.mercadoPagoToken
-    });
-    const payment = new Payment(client);
-    const mpPayment = await payment.get({ id: mpPaymentId });
+    // Verificar estado del pago con el proveedor que lo cobró
+    const mpPayment = await paymentGatewayService.getPayment(order.storeId || storeId, mpPaymentId);
 
     if (mpPayment.status === 'approved') {
-      // Actualizar pedido
-      await prisma.order.update({
-        where: { id: orderId },
-        data: {
-          paymentStatus: 'paid',
-          paymentMethod: 'mercado_pago',
-          status: 'confirmed'
-        }
-      });
+      // Actualizar pedido (se confirma si sigue pendiente)
+      await paymentGatewayService.markOrderPaid(order, {
+        paymentStatus: 'paid',
+        paymentMethod: 'mercado_pago'
+      }, paymentActor(mpPayment), paymentGatewayService.paymentLabel(mpPayment));
+      await orderPaymentsService.recordProviderPayment(orderId, {
+        tenderType: 'mercadopago',
+        amount: mpPayment.transaction_amount,
+        reference: String(mpPayment.id)
+      }, paymentActor(mpPayment));
 
       res.json({ success: true, paymentId: mpPayment.id, status: 'approved' });
     } else {
@@ -143,7 +133,78 @@ router.post('/process-wallet', generalRateLimit, async (req, res) => {
     }
   } catch (error) {
     console.error('Error processing wallet payment:', error);
-    res.status(500).json({ error: 'Error al procesar pago', details: error.message });
+    sendPaymentError(res, error, 'Error al procesar pago');
+  }
+});
+
+// ========== SANDBOX DE PAGOS ==========
+// Página del link de pago del proveedor sandbox: se elige el resultado y el aviso llega al webhook con demora
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+const SANDBOX_OUTCOME_LABELS = {
+  approved: 'Aprobar',
+  rejected: 'Rechazar',
+  pending: 'Dejar pendiente',
+  delayed: 'Aprobar con demora'
+};
+
+router.use('/sandbox', (req, res, next) => {
+  if (!sandboxProvider.isAvailable()) {
+    return res.status(404).json({ error: 'El sandbox de pagos no está habilitado' });
+  }
+  next();
+});
+
+router.get('/sandbox/checkout/:checkoutId', (req, res) => {
+  try {
+    const checkout = sandboxProvider.getCheckoutForSimulation(req.params.checkoutId);
+    const buttons = Object.values(SANDBOX_OUTCOMES).map(outcome => `
+      <form method="post" action="?outcome=${outcome}">
+        <button type="submit">${SANDBOX_OUTCOME_LABELS[outcome]}</button>
+      </form>`).join('');
+
+    res.type('html').send(`<!doctype html>
+<html lang="es">
+  <head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Pago de prueba</title></head>
+  <body style="font-family: sans-serif; max-width: 420px; margin: 40px auto;">
+    <h1>Pago de prueba (sandbox)</h1>
+    <p>${escapeHtml(checkout.title)}</p>
+    <p><strong>$${checkout.amount.toLocaleString('es-AR')}</strong></p>
+    <p>Referencia: ${escapeHtml(checkout.externalReference)}</p>
+    ${buttons}
+  </body>
+</html>`);
+  } catch (error) {
+    sendPaymentError(res, error, 'Error al abrir el checkout de prueba');
+  }
+});
+
+// Body/query: { outcome: approved | rejected | pending | delayed, delay_seconds, skip_webhook }
+router.post('/sandbox/checkout/:checkoutId', generalRateLimit, async (req, res) => {
+  try {
+    const options = { ...req.query, ...req.body };
+    const delaySeconds = options.delaySeconds ?? options.delay_seconds;
+    const skipWebhook = options.skipWebhook ?? options.skip_webhook;
+
+    const { payment, redirectUrl } = await sandboxProvider.simulateCheckout(req.params.checkoutId, {
+      outcome: options.outcome,
+      ...(delaySeconds !== undefined && { delaySeconds }),
+      skipWebhook: skipWebhook === true || skipWebhook === 'true'
+    });
+
+    console.log(`🧪 [SANDBOX PAGOS] Checkout ${req.params.checkoutId}: pago ${payment.id} ${payment.status}`);
+
+    // Desde la página de prueba se vuelve a la web como con el auto_return del proveedor
+    if (redirectUrl && req.accepts(['json', 'html']) === 'html') {
+      return res.redirect(303, redirectUrl);
+    }
+    res.json({ payment, redirect_url: redirectUrl });
+  } catch (error) {
+    console.error('Error simulating sandbox payment:', error);
+    sendPaymentError(res, error, 'Error al simular el pago');
   }
 });
 
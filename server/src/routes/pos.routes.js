@@ -2,6 +2,9 @@ import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { authenticateAdmin } from '../middlewares/auth.middleware.js';
 import { generalRateLimit } from '../middlewares/security.middleware.js';
+import { AppError } from '../middlewares/error-handler.middleware.js';
+import storeCreditService, { STORE_CREDIT_TYPES } from '../services/store-credit.service.js';
+import giftCardsService from '../services/gift-cards.service.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -30,14 +33,70 @@ router.post('/sales', authenticateAdmin, generalRateLimit, async (req, res) => {
   try {
     const { storeId, items, subtotal, total, discount, paymentMethod, paymentStatus, cashReceived, change, mpPaymentId, customerName, customerPhone, notes } = req.body;
     const userId = req.user?.id;
+    const storeCreditAmount = parseFloat(req.body.storeCreditAmount ?? req.body.store_credit_amount) || 0;
+    const giftCardAmount = parseFloat(req.body.giftCardAmount ?? req.body.gift_card_amount) || 0;
+    const giftCardCode = req.body.giftCardCode || req.body.gift_card_code || null;
 
     if (!storeId || !items || items.length === 0) {
       return res.status(400).json({ error: 'storeId e items son obligatorios' });
     }
+    if (storeCreditAmount < 0 || storeCreditAmount > (parseFloat(total) || 0)) {
+      return res.status(400).json({ error: 'El saldo a favor a usar debe estar entre 0 y el total de la venta' });
+    }
+    if (storeCreditAmount > 0 && !customerPhone) {
+      return res.status(400).json({ error: 'Para usar saldo a favor indicá el teléfono del cliente' });
+    }
+    if (giftCardAmount < 0 || storeCreditAmount + giftCardAmount > (parseFloat(total) || 0)) {
+      return res.status(400).json({ error: 'Lo pagado con gift card y saldo a favor no puede superar el total de la venta' });
+    }
+    if (giftCardAmount > 0 && !giftCardCode) {
+      return res.status(400).json({ error: 'Indicá el código de la gift card' });
+    }
 
     // Generar número de venta
     const saleNumber = await generateSaleNumber(storeId);
 
+    // Parte pagada con saldo a favor: se descuenta de la billetera antes de registrar la venta
+    const actor = { id: userId || null, name: req.user?.email || null };
+    if (storeCreditAmount > 0) {
+      try {
+        await storeCreditService.spend(storeId, customerPhone, storeCreditAmount, {
+          reference: saleNumber,
+          note: `Venta POS ${saleNumber}`,
+          actor
+        });
+      } catch (creditError) {
+        if (creditError instanceof AppError) {
+          return res.status(creditError.status).json({ error: creditError.details?.message || creditError.message });
+        }
+        throw creditError;
+      }
+    }
+
+    // Parte pagada con gift card (si falla, el saldo a favor ya descontado vuelve a la billetera)
+    let giftCardRedemption = null;
+    if (giftCardAmount > 0) {
+      try {
+        giftCardRedemption = await giftCardsService.debit(storeId, giftCardCode, giftCardAmount, {
+          reference: saleNumber,
+          actor
+        });
+      } catch (giftCardError) {
+        if (storeCreditAmount > 0) {
+          await storeCreditService.grant(storeId, customerPhone, storeCreditAmount, {
+            type: STORE_CREDIT_TYPES.PAYMENT_REVERSAL,
+            reference: saleNumber,
+            note: `Venta POS ${saleNumber} no registrada`,
+            actor
+          });
+        }
+        if (giftCardError instanceof AppError) {
+          return res.status(giftCardError.status).json({ error: giftCardError.details?.message || giftCardError.message });
+        }
+        throw giftCardError;
+      }
+    }
+
     // Crear venta
     const sale = await prisma.pOSSale.create({
       data: {
@@ -54,6 +113,9 @@ router.post('/sales', authenticateAdmin, generalRateLimit, async (req, res) => {
         userId: userId || null,
         customerName: customerName || null,
         customerPhone: customerPhone || null,
+        storeCreditAmount,
+        giftCardAmount,
+        giftCardCode: giftCardRedemption ? giftCardsService.normalizeCode(giftCardCode) : null,
         notes: notes || null,
         items: {
           create: items.map(item => ({
@@ -68,6 +130,20 @@ router.post('/sales', authenticateAdmin, generalRateLimit, async (req, res) => {
       include: {
         items: true
       }
+    }).catch(async (saleError) => {
+      // Sin venta no hay consumo: el saldo vuelve a la billetera y a la gift card
+      if (giftCardRedemption) {
+        await giftCardsService.reverseRedemption(giftCardRedemption, { actor });
+      }
+      if (storeCreditAmount > 0) {
+        await storeCreditService.grant(storeId, customerPhone, storeCreditAmount, {
+          type: STORE_CREDIT_TYPES.PAYMENT_REVERSAL,
+          reference: saleNumber,
+          note: `Venta POS ${saleNumber} no registrada`,
+          actor
+        });
+      }
+      throw saleError;
     });
 
     // Registrar movimientos de Kardex para cada item
@@ -5,6 +5,7 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import crypto from 'crypto';
+import storeCreditService, { STORE_CREDIT_TYPES } from '../services/store-credit.service.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -186,11 +187,13 @@ router.get('/:storeId/stats', async (req, res) => {
       pending: referrals.filter(r => r.status === 'pending').length,
       validated: referrals.filter(r => r.status === 'validated').length,
       pointsEarned: referrals.reduce((sum, r) => sum + (r.pointsAwarded || 0), 0),
+      creditEarned: referrals.reduce((sum, r) => sum + (r.creditAwarded || 0), 0),
       referrals: referrals.map(r => ({
         id: r.id,
         referredPhone: r.referredPhone ? `${r.referredPhone.slice(0, 4)}****${r.referredPhone.slice(-2)}` : 'Anónimo',
         status: r.status,
         pointsAwarded: r.pointsAwarded,
+        creditAwarded: r.creditAwarded,
         createdAt: r.createdAt,
         validatedAt: r.validatedAt
       }))
@@ -248,9 +251,30 @@ router.post('/:storeId/validate', async (req, res) => {
       }
     });
 
+    // Saldo a favor para quien invitó (referralCreditReward en StoreSettings)
+    let creditAwarded = 0;
+    if (settings?.referralCreditReward > 0) {
+      try {
+        await storeCreditService.grant(storeId, pendingReferral.referrerId, settings.referralCreditReward, {
+          type: STORE_CREDIT_TYPES.REFERRAL_REWARD,
+          reference: pendingReferral.id,
+          note: 'Tu invitado hizo su primer pedido'
+        });
+        creditAwarded = settings.referralCreditReward;
+        await prisma.referral.update({
+          where: { id: pendingReferral.id },
+          data: { creditAwarded }
+        });
+      } catch (creditError) {
+        // El referido queda validado aunque no se pueda acreditar el saldo
+        console.error('Error acreditando saldo por referido:', creditError);
+      }
+    }
+
     res.json({
       validated: true,
       pointsAwarded: pointsPerReferral,
+      creditAwarded,
       referrerId: pendingReferral.referrerId
     });
 
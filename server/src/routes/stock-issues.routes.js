@@ -1,11 +1,31 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import crypto from 'crypto';
+import { orderHistoryService, ORDER_CHANNELS } from '../services/order-history.service.js';
+import { refundsService } from '../services/refunds.service.js';
 
 const router = express.Router();
 
 const prisma = new PrismaClient();
 
+// El cliente responde desde el link público del token
+const customerActor = (order) => ({
+  id: null,
+  name: order.customerName || null,
+  role: 'customer',
+  channel: ORDER_CHANNELS.WEB
+});
+
+// Pedido con algo cobrado: el faltante genera un reembolso pendiente de aprobación del local
+const requestStockRefund = async (stockIssue, amount, reason, actor) => {
+  try {
+    return await refundsService.requestStockIssueRefund(stockIssue, amount, reason, actor);
+  } catch (error) {
+    console.error('Error creando reembolso por faltante de stock:', error.details?.message || error.message);
+    return null;
+  }
+};
+
 // Generar token único
 const generateToken = () => crypto.randomBytes(32).toString('hex');
 
@@ -71,6 +91,13 @@ router.post('/', authenticateAdmin, async (req, res) => {
       where: { id: orderId },
       data: { status: 'stock_issue' }
     });
+    await orderHistoryService.logStatusChange(
+      orderId,
+      orderHistoryService.actorFromRequest(req, ORDER_CHANNELS.ADMIN_PANEL),
+      order.status,
+      'stock_issue',
+      `Sin stock: ${missingItems.map(item => item.productName).join(', ')}`
+    );
 
     // Marcar los items como sin stock
     await prisma.orderItem.updateMany({
@@ -302,22 +329,31 @@ router.post('/resolve/:token', async (req, res) => {
         where: { id: stockIssue.orderId },
         data: { status: 'cancelled' }
       });
-
-      const refundRequired = stockIssue.order.paymentMethod !== 'efectivo' && 
-                            stockIssue.order.paymentStatus === 'paid';
+      await orderHistoryService.logStatusChange(
+        stockIssue.orderId,
+        customerActor(stockIssue.order),
+        stockIssue.order.status,
+        'cancelled',
+        'El cliente canceló el pedido por falta de stock'
+      );
 
       await prisma.stockIssue.update({
         where: { id: stockIssue.id },
         data: {
           status: 'resolved',
           customerChoices: JSON.stringify(choices),
-          resolvedAt: new Date(),
-          refundRequired,
-          refundAmount: refundRequired ? stockIssue.order.total : null,
-          refundStatus: refundRequired ? 'pending' : null
+          resolvedAt: new Date()
         }
       });
 
+      const refund = await requestStockRefund(
+        stockIssue,
+        stockIssue.order.total,
+        'Pedido cancelado por falta de stock',
+        customerActor(stockIssue.order)
+      );
+      const refundRequired = !!refund;
+
       return res.json({
         success: true,
         action: 'cancelled',
@@ -369,6 +405,20 @@ router.post('/resolve/:token', async (req, res) => {
         status: 'confirmed' // Volver a estado confirmado
       }
     });
+    await orderHistoryService.recordUpdate(
+      stockIssue.orderId,
+      stockIssue.order,
+      { total: Math.max(0, newTotal), status: 'confirmed' },
+      customerActor(stockIssue.order),
+      'Faltante de stock resuelto por el cliente'
+    );
+    await orderHistoryService.logItemsChange(
+      stockIssue.orderId,
+      customerActor(stockIssue.order),
+      missingItems,
+      choices.filter(c => c.action !== 'cancel_all'),
+      'Faltante de stock resuelto por el cliente'
+    );
 
     // Marcar issue como resuelto
     await prisma.stockIssue.update({
@@ -380,6 +430,16 @@ router.post('/resolve/:token', async (req, res) => {
       }
     });
 
+    // Ítems quitados de un pedido ya pagado: se reembolsa la diferencia
+    if (newTotal < stockIssue.order.total) {
+      await requestStockRefund(
+        stockIssue,
+        stockIssue.order.total - Math.max(0, newTotal),
+        'Ítems sin stock quitados del pedido',
+        customerActor(stockIssue.order)
+      );
+    }
+
     res.json({
       success: true,
       action: 'modified',
@@ -403,18 +463,12 @@ async function handleTimeout(stockIssueId) {
 
     if (!stockIssue || stockIssue.status !== 'pending') return;
 
-    const refundRequired = stockIssue.order.paymentMethod !== 'efectivo' && 
-                          stockIssue.order.paymentStatus === 'paid';
-
     // Actualizar stock issue
     await prisma.stockIssue.update({
       where: { id: stockIssueId },
       data: {
         status: 'timeout',
-        resolvedAt: new Date(),
-        refundRequired,
-        refundAmount: refundRequired ? stockIssue.order.total : null,
-        refundStatus: refundRequired ? 'pending' : null
+        resolvedAt: new Date()
       }
     });
 
@@ -423,6 +477,20 @@ async function handleTimeout(stockIssueId) {
       where: { id: stockIssue.orderId },
       data: { status: 'stock_timeout' }
     });
+    await orderHistoryService.logStatusChange(
+      stockIssue.orderId,
+      orderHistoryService.actorFromRequest(null, ORDER_CHANNELS.SYSTEM),
+      stockIssue.order.status,
+      'stock_timeout',
+      'El cliente no respondió a tiempo'
+    );
+
+    await requestStockRefund(
+      stockIssue,
+      stockIssue.order.total,
+      'Pedido cancelado por falta de stock (sin respuesta del cliente)',
+      orderHistoryService.actorFromRequest(null, ORDER_CHANNELS.SYSTEM)
+    );
 
     // TODO: Enviar notificaciones
     // await sendWhatsAppTimeoutNotification(stockIssue.order.customerPhone, stockIssue.order.orderNumber);
@@ -2,6 +2,8 @@ import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { authenticateAdmin, authorizeStoreAccess } from '../middlewares/auth.middleware.js';
 import { corsMiddleware } from '../middlewares/security.middleware.js';
+import { OVERFLOW_ACTIONS } from '../services/order-capacity.service.js';
+import { paymentGatewayService } from '../services/payment-gateway.service.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -68,12 +70,17 @@ router.get('/:storeId/public', corsMiddleware, async (req, res) => {
       deliveryTimeMax: settings.deliveryTimeMax,
       deliveryZoneInfo: settings.deliveryZoneInfo,
       deliveryTempDisabled: settings.deliveryTempDisabled,
+      pickupTimeMin: settings.pickupTimeMin,
+      pickupTimeMax: settings.pickupTimeMax,
       cashEnabled: settings.cashEnabled,
       transferEnabled: settings.transferEnabled,
       transferAlias: settings.transferAlias,
       mercadoPagoEnabled: settings.mercadoPagoEnabled,
       minOrderAmount: settings.minOrderAmount,
-      promotionsEnabled: settings.promotionsEnabled
+      promotionsEnabled: settings.promotionsEnabled,
+      acceptScheduledOrders: settings.acceptScheduledOrders,
+      scheduledSlotMinutes: settings.scheduledSlotMinutes,
+      scheduledMaxDaysAhead: settings.scheduledMaxDaysAhead
     });
   } catch (error) {
     console.error('Error fetching public store settings:', error);
@@ -171,6 +178,9 @@ router.put('/:storeId', corsMiddleware, authenticateAdmin, async (req, res) => {
       deliveryTimeMax: data.deliveryTimeMax !== undefined ? data.deliveryTimeMax : 45,
       deliveryZoneInfo: data.deliveryZoneInfo || null,
       deliveryTempDisabled: data.deliveryTempDisabled !== undefined ? data.deliveryTempDisabled : false,
+      pickupTimeMin: data.pickupTimeMin !== undefined ? parseInt(data.pickupTimeMin) : 15,
+      pickupTimeMax: data.pickupTimeMax !== undefined ? parseInt(data.pickupTimeMax) : 25,
+      maxPickupOrdersPerHour: data.maxPickupOrdersPerHour ? parseInt(data.maxPickupOrdersPerHour) : null,
       
       // Pagos
       cashEnabled: data.cashEnabled !== undefined ? data.cashEnabled : true,
@@ -183,6 +193,7 @@ router.put('/:storeId', corsMiddleware, authenticateAdmin, async (req, res) => {
       mercadoPagoToken: data.mercadoPagoToken || null,
       mercadoPagoKey: data.mercadoPagoKey || null,
       mercadoPagoLink: data.mercadoPagoLink || null,
+      paymentProvider: data.paymentProvider || 'mercadopago',
       paymentNotes: data.paymentNotes || null,
       
       // Bot WhatsApp
@@ -194,11 +205,71 @@ router.put('/:storeId', corsMiddleware, authenticateAdmin, async (req, res) => {
       
       // Otros
       acceptScheduledOrders: data.acceptScheduledOrders !== undefined ? data.acceptScheduledOrders : false,
+      scheduledSlotMinutes: data.scheduledSlotMinutes !== undefined ? parseInt(data.scheduledSlotMinutes) : 30,
+      scheduledSlotCapacity: data.scheduledSlotCapacity !== undefined ? parseInt(data.scheduledSlotCapacity) : 5,
+      scheduledLeadMinutes: data.scheduledLeadMinutes !== undefined ? parseInt(data.scheduledLeadMinutes) : 45,
+      scheduledMinAdvanceMinutes: data.scheduledMinAdvanceMinutes !== undefined ? parseInt(data.scheduledMinAdvanceMinutes) : 60,
+      scheduledMaxDaysAhead: data.scheduledMaxDaysAhead !== undefined ? parseInt(data.scheduledMaxDaysAhead) : 7,
       promotionsEnabled: data.promotionsEnabled !== undefined ? data.promotionsEnabled : true,
       minOrderAmount: data.minOrderAmount !== undefined ? data.minOrderAmount : null,
       maxOrdersPerHour: data.maxOrdersPerHour !== undefined ? data.maxOrdersPerHour : null,
+      capacityOverflowAction: data.capacityOverflowAction || 'reject',
+      capacityWeightByPrepTime: data.capacityWeightByPrepTime !== undefined ? data.capacityWeightByPrepTime : false,
+      capacityStandardPrepMinutes: data.capacityStandardPrepMinutes !== undefined ? parseInt(data.capacityStandardPrepMinutes) : 15,
+      referralCreditReward: data.referralCreditReward !== undefined ? parseFloat(data.referralCreditReward) : 0,
+      
+      // Numeración de pedidos
+      orderNumberPrefix: data.orderNumberPrefix ? String(data.orderNumberPrefix).trim().toUpperCase() : null,
+      orderNumberFormat: data.orderNumberFormat || null,
+      orderNumberDailyReset: data.orderNumberDailyReset !== undefined ? data.orderNumberDailyReset : false,
     };
 
+    // Pedidos programados: valores enteros positivos y anticipación de liberación acotada a un día
+    const scheduledFields = ['scheduledSlotMinutes', 'scheduledSlotCapacity', 'scheduledMaxDaysAhead'];
+    if (scheduledFields.some(field => !Number.isInteger(settingsData[field]) || settingsData[field] < 1) ||
+        !Number.isInteger(settingsData.scheduledLeadMinutes) || settingsData.scheduledLeadMinutes < 0 || settingsData.scheduledLeadMinutes > 1440 ||
+        !Number.isInteger(settingsData.scheduledMinAdvanceMinutes) || settingsData.scheduledMinAdvanceMinutes < 0) {
+      return res.status(400).json({ error: 'Configuración de pedidos programados inválida' });
+    }
+
+    // Retiro en el local: rango de tiempo coherente y límite por hora positivo
+    if (!Number.isInteger(settingsData.pickupTimeMin) || !Number.isInteger(settingsData.pickupTimeMax) ||
+        settingsData.pickupTimeMin < 0 || settingsData.pickupTimeMax < settingsData.pickupTimeMin ||
+        (settingsData.maxPickupOrdersPerHour !== null && (!Number.isInteger(settingsData.maxPickupOrdersPerHour) || settingsData.maxPickupOrdersPerHour < 1))) {
+      return res.status(400).json({ error: 'Configuración de retiro en el local inválida' });
+    }
+
+    // Capacidad por hora: qué hacer con el local lleno y minutos de un pedido estándar
+    if (!OVERFLOW_ACTIONS.includes(settingsData.capacityOverflowAction) ||
+        !Number.isInteger(settingsData.capacityStandardPrepMinutes) || settingsData.capacityStandardPrepMinutes < 1) {
+      return res.status(400).json({ error: 'Configuración de capacidad por hora inválida' });
+    }
+
+    // Proveedor de pagos online: uno registrado y habilitado en este servidor (el sandbox no se habilita en producción)
+    if (!paymentGatewayService.listProviders().some(p => p.name === settingsData.paymentProvider && p.available)) {
+      return res.status(400).json({ error: `Proveedor de pagos no disponible: ${settingsData.paymentProvider}` });
+    }
+
+    // Saldo a favor por referido: monto en pesos, 0 lo desactiva
+    if (!Number.isFinite(settingsData.referralCreditReward) || settingsData.referralCreditReward < 0) {
+      return res.status(400).json({ error: 'El saldo a favor por referido debe ser un monto mayor o igual a 0' });
+    }
+
+    // Zonas de envío (polígonos de al menos 3 puntos [lat, lng]); se usan para el puntaje de riesgo de los pedidos
+    if (data.deliveryZones !== undefined) {
+      const zones = Array.isArray(data.deliveryZones) ? data.deliveryZones : null;
+      const validPoint = (point) => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite);
+      if (!zones || zones.some(zone => !Array.isArray(zone?.polygon) || zone.polygon.length < 3 || !zone.polygon.every(validPoint))) {
+        return res.status(400).json({ error: 'Zonas de envío inválidas: cada zona necesita un polígono de al menos 3 puntos [lat, lng]' });
+      }
+      settingsData.deliveryZones = zones.map(zone => ({ name: zone.name || null, polygon: zone.polygon }));
+    }
+
+    // El formato debe incluir el contador para que los números no se repitan
+    if (settingsData.orderNumberFormat && !/\{SEQ(:\d+)?\}/.test(settingsData.orderNumberFormat)) {
+      return res.status(400).json({ error: 'El formato de número de pedido debe incluir {SEQ} o {SEQ:n}' });
+    }
+
     // Upsert: actualizar si existe, crear si no existe
     const settings = await prisma.storeSettings.upsert({
       where: { storeId: resolvedStoreId },
@@ -206,6 +277,9 @@ router.put('/:storeId', corsMiddleware, authenticateAdmin, async (req, res) => {
       create: { storeId: resolvedStoreId, ...settingsData }
     });
 
+    // El próximo pago del local usa las credenciales nuevas
+    paymentGatewayService.clearClientCache(resolvedStoreId);
+
     res.json(settings);
   } catch (error) {
     console.error('Error updating store settings:', error);
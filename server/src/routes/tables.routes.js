@@ -0,0 +1,339 @@
+/**
+ * Rutas de mesas (consumo en el local)
+ * Públicas: el comensal escanea el QR de la mesa, suma rondas y pide la cuenta.
+ * Admin: ABM de mesas, mapa en vivo, pasar/unir cuentas y cerrar la cuenta.
+ */
+
+import express from 'express';
+import prisma from '../utils/prisma.js';
+import { authenticateAdmin, authorize, authorizeStoreAccess, canAccessStore } from '../middlewares/auth.middleware.js';
+import { AppError } from '../middlewares/error-handler.middleware.js';
+import { tablesService } from '../services/tables.service.js';
+import { qrGeneratorService } from '../services/qr-generator.service.js';
+import { orderHistoryService, ORDER_CHANNELS } from '../services/order-history.service.js';
+
+const router = express.Router();
+
+const STAFF_ROLES = ['admin', 'super_admin', 'operator'];
+
+const handleError = (res, error, message) => {
+  if (error instanceof AppError) {
+    return res.status(error.status).json({ error: error.details?.message || error.message });
+  }
+  console.error(`❌ [TABLES] ${message}:`, error);
+  return res.status(500).json({ error: message });
+};
+
+const findTableForUser = async (req, res) => {
+  const table = await prisma.table.findUnique({ where: { id: req.params.id } });
+  if (!table || !canAccessStore(req.user, table.storeId)) {
+    res.status(404).json({ error: 'Mesa no encontrada' });
+    return null;
+  }
+  return table;
+};
+
+const findSessionForUser = async (req, res, sessionId) => {
+  const session = await prisma.tableSession.findUnique({ where: { id: sessionId } });
+  if (!session || !canAccessStore(req.user, session.storeId)) {
+    res.status(404).json({ error: 'Cuenta de mesa no encontrada' });
+    return null;
+  }
+  return session;
+};
+
+const parseInteger = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) ? number : NaN;
+};
+
+// ============================================
+// ENDPOINTS PÚBLICOS (QR DE LA MESA)
+// ============================================
+
+/**
+ * POST /api/tables/qr/:qrCode/session
+ * Abrir la cuenta de la mesa (o unirse a la que ya está abierta)
+ */
+router.post('/qr/:qrCode/session', async (req, res) => {
+  try {
+    const guests = parseInteger(req.body.guests);
+    const { table, session, joined } = await tablesService.openSession(req.params.qrCode, {
+      guests: Number.isInteger(guests) ? guests : null
+    });
+
+    res.status(joined ? 200 : 201).json({
+      joined,
+      joinToken: session.joinToken,
+      status: session.status,
+      table: { number: table.number, name: table.name },
+      store: table.store
+    });
+  } catch (error) {
+    handleError(res, error, 'Error al abrir la cuenta de la mesa');
+  }
+});
+
+/**
+ * GET /api/tables/sessions/:token
+ * Cuenta de la mesa para los comensales (rondas, total, saldo)
+ */
+router.get('/sessions/:token', async (req, res) => {
+  try {
+    const session = await tablesService.getSessionByToken(req.params.token);
+    res.json(await tablesService.getBill(session));
+  } catch (error) {
+    handleError(res, error, 'Error al obtener la cuenta de la mesa');
+  }
+});
+
+/**
+ * POST /api/tables/sessions/:token/rounds
+ * Sumar una ronda de pedidos a la cuenta (va directo a cocina)
+ */
+router.post('/sessions/:token/rounds', async (req, res) => {
+  try {
+    const items = req.body.items;
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'El pedido debe tener al menos un producto' });
+    }
+
+    const order = await tablesService.addRound(req.params.token, {
+      dinerName: (req.body.diner_name || req.body.dinerName || '').trim() || null,
+      items,
+      notes: req.body.notes || null
+    });
+
+    console.log(`🍽️ [TABLES] Ronda ${order.orderNumber} agregada a la mesa ${order.tableNumber}`);
+    res.status(201).json(order);
+  } catch (error) {
+    handleError(res, error, 'Error al agregar el pedido a la mesa');
+  }
+});
+
+/**
+ * POST /api/tables/sessions/:token/bill
+ * Pedir la cuenta (single | equal | by_diner)
+ */
+router.post('/sessions/:token/bill', async (req, res) => {
+  try {
+    const parts = parseInteger(req.body.parts);
+    const bill = await tablesService.requestBill(req.params.token, {
+      mode: req.body.mode || req.body.split_mode || req.body.splitMode || 'single',
+      parts: Number.isInteger(parts) ? parts : null
+    });
+    res.json(bill);
+  } catch (error) {
+    handleError(res, error, 'Error al pedir la cuenta');
+  }
+});
+
+// ============================================
+// ENDPOINTS PARA EL PANEL DEL LOCAL
+// ============================================
+
+/**
+ * GET /api/tables?storeId=
+ * Mapa de mesas por zona con la cuenta abierta de cada una (el panel lo consulta periódicamente)
+ */
+router.get('/', authenticateAdmin, authorizeStoreAccess, async (req, res) => {
+  try {
+    const storeId = req.query.storeId || req.user.storeId;
+    if (!storeId) {
+      return res.status(400).json({ error: 'storeId es requerido' });
+    }
+
+    const [zones, stats] = await Promise.all([
+      tablesService.getTableMap(storeId),
+      tablesService.getTableStats(storeId)
+    ]);
+    res.json({ zones, stats });
+  } catch (error) {
+    handleError(res, error, 'Error al obtener las mesas');
+  }
+});
+
+/**
+ * POST /api/tables
+ * Crear mesa
+ */
+router.post('/', authenticateAdmin, authorize('admin', 'super_admin'), authorizeStoreAccess, async (req, res) => {
+  try {
+    const storeId = req.body.store_id || req.body.storeId || req.user.storeId;
+    if (!storeId) {
+      return res.status(400).json({ error: 'storeId es requerido' });
+    }
+
+    const capacity = parseInteger(req.body.capacity);
+    if (Number.isNaN(capacity) || capacity < 1) {
+      return res.status(400).json({ error: 'La capacidad debe ser un entero positivo' });
+    }
+
+    const table = await tablesService.createTable(storeId, {
+      number: parseInteger(req.body.number),
+      name: req.body.name || null,
+      capacity: capacity ?? 4,
+      zone: req.body.zone || 'main',
+      position: req.body.position || null
+    });
+    res.status(201).json(table);
+  } catch (error) {
+    handleError(res, error, 'Error al crear la mesa');
+  }
+});
+
+/**
+ * PUT /api/tables/:id
+ * Editar mesa (nombre, capacidad, zona, posición) o cambiar su estado
+ */
+router.put('/:id', authenticateAdmin, authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const table = await findTableForUser(req, res);
+    if (!table) return;
+
+    const capacity = parseInteger(req.body.capacity);
+    if (Number.isNaN(capacity) || capacity < 1) {
+      return res.status(400).json({ error: 'La capacidad debe ser un entero positivo' });
+    }
+
+    let updated = await tablesService.updateTable(table.id, {
+      name: req.body.name,
+      capacity,
+      zone: req.body.zone,
+      position: req.body.position
+    });
+    if (req.body.status && req.body.status !== table.status) {
+      updated = await tablesService.updateTableStatus(table.id, req.body.status);
+    }
+    res.json(updated);
+  } catch (error) {
+    handleError(res, error, 'Error al actualizar la mesa');
+  }
+});
+
+/**
+ * DELETE /api/tables/:id
+ * Eliminar mesa (sin cuenta abierta)
+ */
+router.delete('/:id', authenticateAdmin, authorize('admin', 'super_admin'), async (req, res) => {
+  try {
+    const table = await findTableForUser(req, res);
+    if (!table) return;
+
+    await tablesService.deleteTable(table.id);
+    res.json({ success: true });
+  } catch (error) {
+    handleError(res, error, 'Error al eliminar la mesa');
+  }
+});
+
+/**
+ * GET /api/tables/:id/qr
+ * QR para imprimir (?regenerate=true invalida el anterior)
+ */
+router.get('/:id/qr', authenticateAdmin, authorize('admin', 'super_admin'), async (req, res) => {
+  try {
+    let table = await findTableForUser(req, res);
+    if (!table) return;
+
+    if (req.query.regenerate === 'true') {
+      table = await tablesService.regenerateQRCode(table.id);
+    }
+
+    const qr = await qrGeneratorService.generateTableQR(table.storeId, table.id, table.number, {
+      qrCode: table.qrCode,
+      format: req.query.format === 'svg' ? 'svg' : 'dataURL'
+    });
+    res.json(qr);
+  } catch (error) {
+    handleError(res, error, 'Error al generar el QR de la mesa');
+  }
+});
+
+/**
+ * GET /api/tables/sessions/:sessionId/detail
+ * Cuenta de la mesa para el panel
+ */
+router.get('/sessions/:sessionId/detail', authenticateAdmin, async (req, res) => {
+  try {
+    const session = await findSessionForUser(req, res, req.params.sessionId);
+    if (!session) return;
+
+    res.json(await tablesService.getBill(await tablesService.getSession(session.id)));
+  } catch (error) {
+    handleError(res, error, 'Error al obtener la cuenta de la mesa');
+  }
+});
+
+/**
+ * POST /api/tables/sessions/:sessionId/transfer
+ * Pasar la cuenta a otra mesa libre
+ */
+router.post('/sessions/:sessionId/transfer', authenticateAdmin, authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const session = await findSessionForUser(req, res, req.params.sessionId);
+    if (!session) return;
+
+    const targetTableId = req.body.target_table_id || req.body.targetTableId;
+    if (!targetTableId) {
+      return res.status(400).json({ error: 'La mesa de destino es requerida' });
+    }
+
+    const actor = orderHistoryService.actorFromRequest(req, ORDER_CHANNELS.ADMIN_PANEL);
+    const updated = await tablesService.transferSession(session.id, targetTableId, actor);
+    res.json(await tablesService.getBill(updated));
+  } catch (error) {
+    handleError(res, error, 'Error al pasar la cuenta de mesa');
+  }
+});
+
+/**
+ * POST /api/tables/sessions/:sessionId/merge
+ * Unir esta cuenta a la de otra mesa
+ */
+router.post('/sessions/:sessionId/merge', authenticateAdmin, authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const session = await findSessionForUser(req, res, req.params.sessionId);
+    if (!session) return;
+
+    const targetSessionId = req.body.target_session_id || req.body.targetSessionId;
+    if (!targetSessionId) {
+      return res.status(400).json({ error: 'La cuenta de destino es requerida' });
+    }
+    if (!(await findSessionForUser(req, res, targetSessionId))) return;
+
+    const actor = orderHistoryService.actorFromRequest(req, ORDER_CHANNELS.ADMIN_PANEL);
+    const merged = await tablesService.mergeSessions(session.id, targetSessionId, actor);
+    res.json(await tablesService.getBill(merged));
+  } catch (error) {
+    handleError(res, error, 'Error al unir las cuentas');
+  }
+});
+
+/**
+ * POST /api/tables/sessions/:sessionId/close
+ * Cerrar la cuenta con los pagos cobrados: { tenders: [{ tender_type, amount, reference? }] }
+ */
+router.post('/sessions/:sessionId/close', authenticateAdmin, authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const session = await findSessionForUser(req, res, req.params.sessionId);
+    if (!session) return;
+
+    const tenders = (Array.isArray(req.body.tenders) ? req.body.tenders : []).map(tender => ({
+      tenderType: tender.tender_type || tender.tenderType || tender.method,
+      amount: Number(tender.amount),
+      reference: tender.reference || null
+    }));
+
+    const actor = orderHistoryService.actorFromRequest(req, ORDER_CHANNELS.ADMIN_PANEL);
+    const bill = await tablesService.closeSession(session.id, tenders, actor);
+
+    console.log(`✅ [TABLES] Cuenta ${session.id} cerrada ($${bill.total})`);
+    res.json(bill);
+  } catch (error) {
+    handleError(res, error, 'Error al cerrar la cuenta');
+  }
+});
+
+export default router;
@@ -7,6 +7,9 @@ import jwt from 'jsonwebtoken';
 import { OAuth2Client } from 'google-auth-library';
 import { PrismaClient } from '@prisma/client';
 import dotenv from 'dotenv';
+import { AppError } from '../middlewares/error-handler.middleware.js';
+import storeCreditService from '../services/store-credit.service.js';
+import { ORDER_CHANNELS } from '../services/order-history.service.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -273,6 +276,68 @@ router.get('/me/points', authenticateUser, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/users/me/store-credit/:storeId
+ * Saldo a favor del usuario en un local y sus movimientos
+ */
+router.get('/me/store-credit/:storeId', authenticateUser, async (req, res) => {
+  try {
+    if (!req.user.phone) {
+      return res.json({ balance: 0, total: 0, transactions: [] });
+    }
+
+    const history = await storeCreditService.getHistory(req.params.storeId, req.user.phone, {
+      limit: parseInt(req.query.limit || '50', 10),
+      offset: parseInt(req.query.offset || '0', 10)
+    });
+    res.json(history);
+  } catch (error) {
+    console.error('Error obteniendo saldo a favor:', error);
+    res.status(500).json({ error: 'Error obteniendo saldo a favor' });
+  }
+});
+
+/**
+ * POST /api/users/me/store-credit/:storeId/apply
+ * Pagar (parte de) un pedido propio con el saldo a favor (checkout web)
+ * Sin amount usa todo el saldo que alcance; el resto se paga con otro medio
+ */
+router.post('/me/store-credit/:storeId/apply', authenticateUser, async (req, res) => {
+  try {
+    const orderId = req.body.orderId || req.body.order_id;
+    const amount = req.body.amount != null ? parseFloat(req.body.amount) : null;
+
+    const order = orderId ? await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { id: true, storeId: true, userId: true, customerPhone: true }
+    }) : null;
+
+    // El saldo es de la billetera del teléfono del pedido: tiene que ser el del usuario
+    if (!order || order.storeId !== req.params.storeId || order.userId !== req.user.id ||
+        !req.user.phone || storeCreditService.normalizePhone(order.customerPhone) !== storeCreditService.normalizePhone(req.user.phone)) {
+      return res.status(404).json({ error: 'Pedido no encontrado' });
+    }
+
+    const result = await storeCreditService.payOrder(order.id, amount, {
+      id: req.user.id,
+      name: req.user.name,
+      role: 'customer',
+      channel: ORDER_CHANNELS.WEB
+    });
+    res.json({
+      amount: result.amount,
+      remaining: result.remaining,
+      balance: result.balance
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.details?.message || error.message });
+    }
+    console.error('Error aplicando saldo a favor:', error);
+    res.status(500).json({ error: 'Error aplicando saldo a favor' });
+  }
+});
+
 /**
  * POST /api/users/me/addresses
  * Agregar dirección
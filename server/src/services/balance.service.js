@@ -1,4 +1,5 @@
 import { PrismaClient } from '@prisma/client';
+import { orderPaymentsService } from './order-payments.service.js';
 
 const prisma = new PrismaClient();
 
@@ -89,6 +90,76 @@ class BalanceService {
     });
   }
 
+  // Acreditar la propina del cliente (SOLO desde tipsService.settleOrderTip, una vez por pedido)
+  // Suma al saldo y a la liquidación pendiente del local (DriverPayment) para que figure en el resumen
+  async addTipForDelivery(driverId, orderId, amount, storeId) {
+    const existingTransaction = await prisma.driverBalanceTransaction.findFirst({
+      where: { orderId, type: 'tip' }
+    });
+
+    if (existingTransaction) {
+      throw new Error('La propina ya fue acreditada para este pedido');
+    }
+
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { orderNumber: true }
+    });
+
+    return await prisma.$transaction(async (tx) => {
+      // 1. Crear transacción
+      const transaction = await tx.driverBalanceTransaction.create({
+        data: {
+          driverId,
+          orderId,
+          type: 'tip',
+          amount,
+          reference: `Propina pedido ${order?.orderNumber || orderId}`
+        }
+      });
+
+      // 2. Actualizar saldo
+      await tx.deliveryPerson.update({
+        where: { id: driverId },
+        data: { balance: { increment: amount } }
+      });
+
+      // 3. Sumar a la liquidación pendiente del local
+      if (storeId) {
+        const pendingPayment = await tx.driverPayment.findFirst({
+          where: { deliveryPersonId: driverId, storeId, status: 'pending' }
+        });
+
+        if (pendingPayment) {
+          await tx.driverPayment.update({
+            where: { id: pendingPayment.id },
+            data: {
+              amount: { increment: amount },
+              tipAmount: { increment: amount }
+            }
+          });
+        } else {
+          await tx.driverPayment.create({
+            data: {
+              deliveryPersonId: driverId,
+              storeId,
+              orderIds: JSON.stringify([]),
+              deliveryCount: 0,
+              amount,
+              tipAmount: amount,
+              status: 'pending'
+            }
+          });
+        }
+      }
+
+      // 4. Log auditoría (async, no bloquea)
+      this.logBalanceChange('tip', driverId, amount, orderId).catch(console.error);
+
+      return transaction;
+    });
+  }
+
   // Registrar pago del admin (SOLO admin puede llamar esto)
   async registerAdminPayment(driverId, amount, adminId, reference) {
     // Validar que el saldo no se vuelva negativo
@@ -184,6 +255,9 @@ class BalanceService {
         data: { balance: { increment: amount } }
       });
 
+      // Marcar como cobrado el efectivo en los pagos del pedido
+      await orderPaymentsService.collectCash(orderId, driverId, amount, txClient);
+
       // Log auditoría (async, no bloquea)
       this.logBalanceChange('cash_collection', driverId, amount, orderId).catch(console.error);
 
@@ -209,6 +283,9 @@ class BalanceService {
         data: { balance: { increment: amount } }
       });
 
+      // Marcar como cobrado el efectivo en los pagos del pedido
+      await orderPaymentsService.collectCash(orderId, driverId, amount, tx);
+
       // Log auditoría (async, no bloquea)
       this.logBalanceChange('cash_collection', driverId, amount, orderId).catch(console.error);
 
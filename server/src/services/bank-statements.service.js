@@ -0,0 +1,846 @@
+/**
+ * Conciliación bancaria de transferencias
+ * El local sube el extracto de su banco o billetera (CSV u OFX) y cada acreditación se cruza con las
+ * transferencias pendientes del local por monto, ventana de tiempo y nombre del pagador / referencia.
+ * Los cruces seguros se aprueban por el mismo camino que el panel (pendingTransfersService.update,
+ * PUT /api/pending-transfers/:id); los dudosos quedan para revisar con sus candidatos.
+ */
+
+import crypto from 'crypto';
+import prisma from '../utils/prisma.js';
+import logger from '../utils/logger.js';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+import { ORDER_CHANNELS } from './order-history.service.js';
+import { orderNumberService } from './order-number.service.js';
+import { pendingTransfersService } from './pending-transfers.service.js';
+import { transferProofsService } from './transfer-proofs.service.js';
+
+export const STATEMENT_LINE_STATUSES = {
+  AUTO_APPROVED: 'auto_approved', // Cruce seguro, transferencia aprobada sola
+  NEEDS_REVIEW: 'needs_review', // Hay candidatos pero ninguno seguro
+  UNMATCHED: 'unmatched', // Ninguna transferencia pendiente coincide
+  APPROVED: 'approved', // Cruce confirmado a mano
+  IGNORED: 'ignored' // Acreditación ajena a pedidos (la descartó el local)
+};
+
+// Columnas habituales de cada banco / billetera. Los encabezados se comparan sin mayúsculas ni tildes;
+// si un banco cambia su exportación se puede mandar el mapeo de columnas en la importación
+const GENERIC_COLUMNS = {
+  date: ['fecha', 'date', 'fecha operacion', 'fecha de operacion', 'fecha movimiento', 'fecha valor'],
+  description: ['descripcion', 'concepto', 'detalle', 'description', 'movimiento', 'leyenda'],
+  credit: ['credito', 'creditos', 'haber', 'ingreso', 'ingresos', 'acreditacion', 'credit'],
+  debit: ['debito', 'debitos', 'debe', 'egreso', 'egresos', 'debit'],
+  amount: ['importe', 'monto', 'amount', 'valor', 'importe en pesos'],
+  reference: ['referencia', 'comprobante', 'nro comprobante', 'numero de comprobante', 'numero de operacion', 'nro operacion', 'id operacion', 'reference'],
+  payerName: ['nombre', 'ordenante', 'originante', 'nombre originante', 'titular', 'remitente', 'nombre del ordenante'],
+  payerTaxId: ['cuit', 'cuil', 'cuit cuil', 'cuit originante', 'cuit ordenante', 'documento']
+};
+
+const withColumns = (extra = {}) => Object.fromEntries(
+  Object.entries(GENERIC_COLUMNS).map(([field, aliases]) => [field, [...(extra[field] || []), ...aliases]])
+);
+
+export const STATEMENT_PRESETS = {
+  generic: { label: 'Genérico (detecta columnas)', decimal: null, columns: withColumns() },
+  galicia: {
+    label: 'Banco Galicia',
+    decimal: ',',
+    columns: withColumns({ description: ['descripcion', 'leyendas adicionales'], payerName: ['leyendas adicionales 1'], reference: ['numero de comprobante'] })
+  },
+  santander: {
+    label: 'Santander',
+    decimal: ',',
+    columns: withColumns({ description: ['descripcion', 'concepto'], reference: ['referencia', 'nro de comprobante'] })
+  },
+  bbva: {
+    label: 'BBVA',
+    decimal: ',',
+    columns: withColumns({ description: ['concepto'], reference: ['numero documento', 'nro documento'] })
+  },
+  macro: {
+    label: 'Banco Macro',
+    decimal: ',',
+    columns: withColumns({ description: ['descripcion'], reference: ['nro de comprobante'] })
+  },
+  nacion: {
+    label: 'Banco Nación',
+    decimal: ',',
+    columns: withColumns({ description: ['concepto'], reference: ['comprobante'] })
+  },
+  brubank: {
+    label: 'Brubank',
+    decimal: ',',
+    columns: withColumns({ description: ['descripcion'], payerName: ['contraparte'], reference: ['id de transaccion'] })
+  },
+  uala: {
+    label: 'Ualá',
+    decimal: ',',
+    columns: withColumns({ description: ['descripcion'], payerName: ['contraparte', 'origen'], reference: ['id de la transaccion'] })
+  },
+  mercadopago: {
+    // Reporte de "Dinero en cuenta" / liquidaciones de la cuenta de MercadoPago
+    label: 'Mercado Pago (reporte de cuenta)',
+    decimal: '.',
+    columns: withColumns({
+      date: ['date', 'release_date', 'transaction_date', 'fecha de liberacion', 'fecha de aprobacion'],
+      credit: ['net_credit_amount', 'credito neto'],
+      debit: ['net_debit_amount', 'debito neto'],
+      amount: ['transaction_net_amount', 'settlement_net_amount', 'transaction_amount', 'monto neto', 'valor neto'],
+      reference: ['source_id', 'reference_id', 'operation_id', 'id de operacion', 'numero de operacion de mercado pago'],
+      description: ['description', 'record_type', 'transaction_type', 'tipo de operacion'],
+      payerName: ['payer_name', 'counterpart_name', 'contraparte', 'nombre de la contraparte'],
+      payerTaxId: ['payer_id_number', 'identificacion de la contraparte']
+    })
+  }
+};
+
+// Ventana entre la acreditación y el comprobante que se considera el mismo pago
+const MATCH_WINDOW_HOURS = parseInt(process.env.BANK_STATEMENT_MATCH_WINDOW_HOURS || '48', 10);
+// Zona horaria de las fechas del extracto cuando el banco no la informa
+const STATEMENT_TZ_OFFSET = process.env.BANK_STATEMENT_TZ_OFFSET || '-03:00';
+
+// Diferencia máxima (en pesos) que se tolera por redondeos
+const AMOUNT_TOLERANCE = 1;
+// Puntaje mínimo para aprobar solo y diferencia mínima con el segundo candidato
+const AUTO_APPROVE_SCORE = 0.75;
+const MIN_MARGIN = 0.15;
+
+const MAX_CONTENT_LENGTH = 5 * 1024 * 1024;
+const MAX_CANDIDATES = 5;
+
+const STATEMENT_ACTOR = { id: null, name: 'Conciliación bancaria', role: 'system', channel: ORDER_CHANNELS.SYSTEM };
+
+const REVIEWABLE_STATUSES = [STATEMENT_LINE_STATUSES.NEEDS_REVIEW, STATEMENT_LINE_STATUSES.UNMATCHED];
+
+const round = (value) => Math.round(Number(value || 0) * 100) / 100;
+const money = (value) => `$${round(value).toLocaleString('es-AR')}`;
+
+// Minúsculas, sin tildes ni signos
+const normalizeText = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+class BankStatementsService {
+  /**
+   * Presets disponibles para el selector del panel
+   */
+  getPresets() {
+    return Object.entries(STATEMENT_PRESETS).map(([key, preset]) => ({ key, label: preset.label }));
+  }
+
+  // ---------------------------------------------------------------------------
+  // IMPORTACIÓN
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Importar un extracto y cruzar sus acreditaciones con las transferencias pendientes
+   * @param {string} storeId
+   * @param {object} data - { content, fileName, preset, mapping } (mapping: { date: 'Fecha', amount: 'Importe', ... })
+   * @param {object} actor - { id, name } de quien lo sube
+   */
+  async importStatement(storeId, { content, fileName = null, preset = null, mapping = null }, actor = null) {
+    if (!content || typeof content !== 'string') {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El extracto está vacío' });
+    }
+    if (content.length > MAX_CONTENT_LENGTH) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El extracto es demasiado grande (máximo 5 MB)' });
+    }
+    if (preset && preset !== 'auto' && !STATEMENT_PRESETS[preset]) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: `Formato de extracto desconocido: ${preset}` });
+    }
+
+    const format = this.detectFormat(content, fileName);
+    const parsed = format === 'ofx'
+      ? { ...this.parseOfx(content), preset: 'ofx' }
+      : this.parseCsv(content, { preset, mapping });
+
+    if (parsed.lines.length === 0 && parsed.total === 0) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+        message: 'No se encontraron movimientos en el extracto. Revisá el formato o indicá las columnas de fecha e importe'
+      });
+    }
+
+    const dates = parsed.lines.map(line => line.date.getTime());
+    const statementImport = await prisma.bankStatementImport.create({
+      data: {
+        storeId,
+        preset: parsed.preset,
+        format,
+        fileName,
+        totalLines: parsed.total,
+        periodStart: dates.length > 0 ? new Date(Math.min(...dates)) : null,
+        periodEnd: dates.length > 0 ? new Date(Math.max(...dates)) : null,
+        uploadedById: actor?.id || null,
+        uploadedBy: actor?.name || null
+      }
+    });
+
+    try {
+      const created = await this.saveLines(storeId, statementImport.id, parsed.lines);
+      const counts = await this.matchLines(storeId, created, actor);
+
+      const finished = await prisma.bankStatementImport.update({
+        where: { id: statementImport.id },
+        data: {
+          status: 'completed',
+          creditLines: created.length,
+          duplicateLines: parsed.lines.length - created.length,
+          autoApproved: counts.autoApproved,
+          needsReview: counts.needsReview,
+          unmatched: counts.unmatched,
+          finishedAt: new Date()
+        }
+      });
+
+      if (counts.needsReview > 0) {
+        await this.alertStore(storeId, finished);
+      }
+      logger.info({ storeId, importId: finished.id, lines: created.length, ...counts }, 'Extracto bancario importado');
+
+      return finished;
+    } catch (error) {
+      await prisma.bankStatementImport.update({
+        where: { id: statementImport.id },
+        data: { status: 'failed', error: error.message, finishedAt: new Date() }
+      });
+      throw error;
+    }
+  }
+
+  detectFormat(content, fileName = null) {
+    if (/\.(ofx|qfx)$/i.test(fileName || '') || /<OFX>|OFXHEADER/i.test(content.slice(0, 2000))) {
+      return 'ofx';
+    }
+    return 'csv';
+  }
+
+  /**
+   * Guardar las acreditaciones nuevas (las ya importadas en otro extracto se saltean por su huella)
+   */
+  async saveLines(storeId, importId, lines) {
+    const occurrences = new Map();
+    const withFingerprint = lines.map(line => {
+      // Dos acreditaciones idénticas en el mismo extracto son movimientos distintos
+      const base = `${line.date.toISOString()}|${line.amount}|${line.reference || normalizeText(line.description)}`;
+      const index = occurrences.get(base) || 0;
+      occurrences.set(base, index + 1);
+      return { ...line, fingerprint: crypto.createHash('sha256').update(`${storeId}|${base}|${index}`).digest('hex') };
+    });
+
+    const existing = new Set((await prisma.bankStatementLine.findMany({
+      where: { storeId, fingerprint: { in: withFingerprint.map(line => line.fingerprint) } },
+      select: { fingerprint: true }
+    })).map(line => line.fingerprint));
+
+    const created = [];
+    for (const line of withFingerprint) {
+      if (existing.has(line.fingerprint)) continue;
+      try {
+        created.push(await prisma.bankStatementLine.create({
+          data: {
+            importId,
+            storeId,
+            fingerprint: line.fingerprint,
+            date: line.date,
+            hasTime: line.hasTime,
+            amount: line.amount,
+            description: line.description || null,
+            payerName: line.payerName || null,
+            payerTaxId: line.payerTaxId || null,
+            reference: line.reference || null
+          }
+        }));
+      } catch (error) {
+        // Otra importación simultánea ya la guardó
+        if (error.code !== 'P2002') throw error;
+      }
+    }
+    return created;
+  }
+
+  // ---------------------------------------------------------------------------
+  // CSV
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Leer un CSV de banco: detecta separador, fila de encabezados (los bancos suelen poner datos
+   * de la cuenta arriba) y columnas según el preset o el mapeo recibido
+   * @returns {{ lines: object[], total: number, preset: string }} solo acreditaciones; total cuenta también los débitos
+   */
+  parseCsv(content, { preset = null, mapping = null } = {}) {
+    const text = content.replace(/^\uFEFF/, '');
+    const firstLines = text.split(/\r?\n/).slice(0, 20).join('\n');
+    const delimiter = [';', ',', '\t']
+      .map(candidate => ({ candidate, count: firstLines.split(candidate).length }))
+      .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const rows = this.splitCsv(text, delimiter).filter(row => row.some(cell => cell.trim() !== ''));
+
+    const presetKey = preset && preset !== 'auto' ? preset : this.detectPreset(rows);
+    const config = STATEMENT_PRESETS[presetKey] || STATEMENT_PRESETS.generic;
+
+    const headerIndex = rows.slice(0, 20).findIndex(row => {
+      const columns = this.resolveColumns(row, config, mapping);
+      return columns.date !== -1 && (columns.amount !== -1 || columns.credit !== -1);
+    });
+    if (headerIndex === -1) {
+      return { lines: [], total: 0, preset: presetKey };
+    }
+
+    const columns = this.resolveColumns(rows[headerIndex], config, mapping);
+    const cell = (row, field) => (columns[field] !== -1 ? (row[columns[field]] || '').trim() : '');
+
+    const lines = [];
+    let total = 0;
+    for (const row of rows.slice(headerIndex + 1)) {
+      const parsedDate = this.parseDate(cell(row, 'date'));
+      if (!parsedDate) continue; // Totales, saldos y filas de pie
+
+      const credit = this.parseAmount(cell(row, 'credit'), config.decimal);
+      const debit = this.parseAmount(cell(row, 'debit'), config.decimal);
+      const amount = credit ?? this.parseAmount(cell(row, 'amount'), config.decimal);
+      if (amount == null && debit == null) continue;
+      total++;
+
+      // Solo acreditaciones: los débitos (columna propia o importes negativos) no son cobros
+      if (amount == null || amount <= 0) continue;
+
+      lines.push({
+        ...parsedDate,
+        amount: round(amount),
+        description: cell(row, 'description') || null,
+        payerName: cell(row, 'payerName') || null,
+        payerTaxId: cell(row, 'payerTaxId').replace(/\D/g, '') || null,
+        reference: cell(row, 'reference') || null
+      });
+    }
+
+    return { lines, total, preset: presetKey };
+  }
+
+  /**
+   * Separar un CSV respetando comillas (campos con separadores o saltos de línea)
+   */
+  splitCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * Preset cuyos encabezados más coinciden con las primeras filas del archivo
+   */
+  detectPreset(rows) {
+    const headers = rows.slice(0, 20).map(row => row.map(normalizeText));
+    let best = { key: 'generic', score: 0 };
+
+    for (const [key, preset] of Object.entries(STATEMENT_PRESETS)) {
+      if (key === 'generic') continue;
+      for (const header of headers) {
+        // Solo cuentan los alias propios del preset (los genéricos los comparten todos)
+        const score = Object.entries(preset.columns).reduce((sum, [field, aliases]) => {
+          const own = aliases.filter(alias => !GENERIC_COLUMNS[field].includes(alias));
+          return sum + (own.some(alias => header.includes(normalizeText(alias))) ? 1 : 0);
+        }, 0);
+        if (score > best.score) best = { key, score };
+      }
+    }
+    return best.score >= 2 ? best.key : 'generic';
+  }
+
+  /**
+   * Índice de cada campo en la fila de encabezados (-1 si no está)
+   */
+  resolveColumns(headerRow, config, mapping = null) {
+    const headers = headerRow.map(normalizeText);
+    const columns = {};
+
+    for (const field of Object.keys(GENERIC_COLUMNS)) {
+      const custom = mapping?.[field] ?? mapping?.[field.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`)];
+      const aliases = custom ? [custom] : config.columns[field];
+      columns[field] = -1;
+      for (const alias of aliases) {
+        const index = headers.indexOf(normalizeText(alias));
+        if (index !== -1) {
+          columns[field] = index;
+          break;
+        }
+      }
+    }
+    return columns;
+  }
+
+  // ---------------------------------------------------------------------------
+  // OFX
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Leer un OFX (SGML o XML): un movimiento por cada <STMTTRN>
+   */
+  parseOfx(content) {
+    const blocks = content.split(/<STMTTRN>/i).slice(1)
+      .map(block => block.split(/<\/STMTTRN>|<\/BANKTRANLIST>/i)[0]);
+
+    const tag = (block, name) => {
+      const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+      return match ? match[1].trim() : '';
+    };
+
+    const lines = [];
+    for (const block of blocks) {
+      const amount = this.parseAmount(tag(block, 'TRNAMT'), '.');
+      const parsedDate = this.parseOfxDate(tag(block, 'DTPOSTED'));
+      if (amount == null || !parsedDate) continue;
+      if (amount <= 0) continue;
+
+      lines.push({
+        ...parsedDate,
+        amount: round(amount),
+        description: tag(block, 'MEMO') || tag(block, 'NAME') || null,
+        payerName: tag(block, 'NAME') || null,
+        payerTaxId: tag(block, 'PAYEEID').replace(/\D/g, '') || null,
+        reference: tag(block, 'FITID') || tag(block, 'CHECKNUM') || null
+      });
+    }
+
+    return { lines, total: blocks.length };
+  }
+
+  // AAAAMMDD[HHMMSS[.XXX]][[-3:ART]]
+  parseOfxDate(value) {
+    const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?(?:\.\d+)?(?:\[([+-]?\d+(?:\.\d+)?)(?::\w+)?\])?/);
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second, offset] = match;
+    let tz = STATEMENT_TZ_OFFSET;
+    if (offset !== undefined) {
+      const hours = parseFloat(offset);
+      const sign = hours < 0 ? '-' : '+';
+      const abs = Math.abs(hours);
+      tz = `${sign}${String(Math.floor(abs)).padStart(2, '0')}:${String(Math.round((abs % 1) * 60)).padStart(2, '0')}`;
+    }
+
+    const hasTime = hour !== undefined;
+    const date = new Date(`${year}-${month}-${day}T${hasTime ? `${hour}:${minute}:${second || '00'}` : '12:00:00'}${tz}`);
+    return isNaN(date.getTime()) ? null : { date, hasTime };
+  }
+
+  // ---------------------------------------------------------------------------
+  // VALORES
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Fecha del extracto: DD/MM/AAAA [HH:mm[:ss]] (bancos argentinos) o ISO (MercadoPago)
+   * Sin hora se toma el mediodía del día (la comparación usa el día completo)
+   * @returns {{ date: Date, hasTime: boolean } | null}
+   */
+  parseDate(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+
+    let match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?)?$/);
+    if (match) {
+      const [, year, month, day, hour, minute, second, tz] = match;
+      const hasTime = hour !== undefined;
+      const offset = tz ? (tz === 'Z' ? 'Z' : tz.replace(/^([+-]\d{2})(\d{2})$/, '$1:$2')) : STATEMENT_TZ_OFFSET;
+      const date = new Date(`${year}-${month}-${day}T${hasTime ? `${hour}:${minute}:${second || '00'}` : '12:00:00'}${offset}`);
+      return isNaN(date.getTime()) ? null : { date, hasTime };
+    }
+
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (match) {
+      const [, day, month, yearValue, hour, minute, second] = match;
+      const year = yearValue.length === 2 ? `20${yearValue}` : yearValue;
+      const hasTime = hour !== undefined;
+      const pad = (n) => String(n).padStart(2, '0');
+      const date = new Date(`${year}-${pad(month)}-${pad(day)}T${hasTime ? `${pad(hour)}:${minute}:${second || '00'}` : '12:00:00'}${STATEMENT_TZ_OFFSET}`);
+      return isNaN(date.getTime()) ? null : { date, hasTime };
+    }
+
+    return null;
+  }
+
+  /**
+   * Importe con formato argentino ($ 1.234,56), inglés (1,234.56) o negativo (-1234 / (1.234,56))
+   * @param {string|null} decimal - separador decimal del banco; sin él se deduce del valor
+   */
+  parseAmount(value, decimal = null) {
+    let text = String(value ?? '').trim();
+    if (!text) return null;
+
+    const negative = /^-|-$|^\(.*\)$/.test(text.replace(/[$\s]|ARS/gi, ''));
+    text = text.replace(/[^\d.,]/g, '');
+    if (!/\d/.test(text)) return null;
+
+    let separator = decimal;
+    if (!separator) {
+      const lastComma = text.lastIndexOf(',');
+      const lastDot = text.lastIndexOf('.');
+      if (lastComma !== -1 && lastDot !== -1) {
+        separator = lastComma > lastDot ? ',' : '.';
+      } else {
+        const only = lastComma !== -1 ? ',' : lastDot !== -1 ? '.' : null;
+        // Un solo separador seguido de 1 o 2 dígitos es decimal; si no, es de miles
+        separator = only && text.split(only).length === 2 && /^\d{1,2}$/.test(text.split(only)[1]) ? only : null;
+      }
+    }
+
+    const thousands = separator === ',' ? '.' : ',';
+    let normalized = text.split(thousands).join('');
+    if (separator) {
+      normalized = normalized.replace(separator, '.');
+    } else {
+      normalized = normalized.replace(/[.,]/g, '');
+    }
+
+    const amount = parseFloat(normalized);
+    if (!Number.isFinite(amount)) return null;
+    return negative ? -amount : amount;
+  }
+
+  // ---------------------------------------------------------------------------
+  // CRUCE CON TRANSFERENCIAS PENDIENTES
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Cruzar acreditaciones con las transferencias pendientes del local
+   * @returns {Promise<{ autoApproved: number, needsReview: number, unmatched: number }>}
+   */
+  async matchLines(storeId, lines, actor = null) {
+    const counts = { autoApproved: 0, needsReview: 0, unmatched: 0 };
+    if (lines.length === 0) return counts;
+
+    const windowMs = MATCH_WINDOW_HOURS * 60 * 60 * 1000;
+    const times = lines.map(line => new Date(line.date).getTime());
+    const transfers = await prisma.pendingTransfer.findMany({
+      where: {
+        storeId,
+        status: 'pending',
+        bankStatementLine: null,
+        createdAt: {
+          gte: new Date(Math.min(...times) - windowMs - 12 * 60 * 60 * 1000),
+          lte: new Date(Math.max(...times) + windowMs + 12 * 60 * 60 * 1000)
+        }
+      },
+      include: {
+        order: { select: { id: true, orderNumber: true, customerName: true, customerPhone: true, status: true } }
+      }
+    });
+    const open = transfers.filter(transfer => transfer.order && !['cancelled', 'stock_timeout'].includes(transfer.order.status));
+
+    const claimed = new Set();
+    const sorted = [...lines].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    for (const line of sorted) {
+      const scored = open
+        .filter(transfer => !claimed.has(transfer.id))
+        .map(transfer => ({ transfer, ...this.scoreCandidate(line, transfer) }))
+        .filter(candidate => candidate.score > 0)
+        .sort((a, b) => b.score - a.score);
+
+      const [best, second] = scored;
+      const confident = best
+        && best.score >= AUTO_APPROVE_SCORE
+        && best.identified
+        && (!second || best.score - second.score >= MIN_MARGIN)
+        && !transferProofsService.isBlocked(best.transfer); // Comprobante repetido: siempre a revisión
+
+      if (confident) {
+        const approved = await this.approveMatch(line, best.transfer, {
+          status: STATEMENT_LINE_STATUSES.AUTO_APPROVED,
+          score: best.score,
+          actor: STATEMENT_ACTOR,
+          resolvedBy: actor?.name || STATEMENT_ACTOR.name
+        });
+        if (approved) {
+          claimed.add(best.transfer.id);
+          counts.autoApproved++;
+          continue;
+        }
+      }
+
+      const status = scored.length > 0 ? STATEMENT_LINE_STATUSES.NEEDS_REVIEW : STATEMENT_LINE_STATUSES.UNMATCHED;
+      await prisma.bankStatementLine.update({
+        where: { id: line.id },
+        data: {
+          status,
+          score: best ? best.score : null,
+          ...(scored.length > 0 && {
+            candidates: scored.slice(0, MAX_CANDIDATES).map(candidate => ({
+              pendingTransferId: candidate.transfer.id,
+              orderId: candidate.transfer.orderId,
+              orderNumber: orderNumberService.display(candidate.transfer.order.orderNumber),
+              customerName: candidate.transfer.order.customerName || null,
+              amount: candidate.transfer.amount,
+              createdAt: candidate.transfer.createdAt,
+              score: candidate.score,
+              reasons: candidate.reasons,
+              duplicateProof: transferProofsService.isBlocked(candidate.transfer)
+            }))
+          })
+        }
+      });
+      counts[status === STATEMENT_LINE_STATUSES.NEEDS_REVIEW ? 'needsReview' : 'unmatched']++;
+    }
+
+    return counts;
+  }
+
+  /**
+   * Puntaje de una transferencia para una acreditación (0 si no puede ser)
+   * Monto (0,4) + cercanía en el tiempo (0,2) + nombre del pagador (0,25) + referencia o número de pedido (0,35)
+   * identified: coincidió algo más que monto y fecha (sin eso nunca se aprueba solo)
+   */
+  scoreCandidate(line, transfer) {
+    const reasons = [];
+
+    const amountDiff = Math.abs(line.amount - (transfer.amount || 0));
+    if (amountDiff > AMOUNT_TOLERANCE) return { score: 0, reasons, identified: false };
+    let score = amountDiff < 0.01 ? 0.4 : 0.3;
+    reasons.push(amountDiff < 0.01 ? 'monto exacto' : 'monto similar');
+
+    // Sin hora en el extracto, cualquier momento del mismo día cuenta como cercano
+    let hours = Math.abs(new Date(line.date).getTime() - new Date(transfer.createdAt).getTime()) / (60 * 60 * 1000);
+    if (!line.hasTime) hours = Math.max(hours - 12, 0);
+    if (hours > MATCH_WINDOW_HOURS) return { score: 0, reasons, identified: false };
+    score += 0.2 * (1 - hours / MATCH_WINDOW_HOURS);
+    reasons.push(hours < 1 && line.hasTime ? 'misma hora' : hours < 24 ? 'mismo día' : `${Math.round(hours)} h de diferencia`);
+
+    let identified = false;
+
+    const customerTokens = normalizeText(transfer.order?.customerName).split(' ').filter(token => token.length >= 3);
+    const payerTokens = new Set(normalizeText(`${line.payerName || ''} ${line.description || ''}`).split(' '));
+    if (customerTokens.length > 0) {
+      const matches = customerTokens.filter(token => payerTokens.has(token)).length;
+      if (matches > 0) {
+        score += 0.25 * (matches / customerTokens.length);
+        reasons.push(matches === customerTokens.length ? 'nombre del pagador' : 'nombre parecido');
+        identified = true;
+      }
+    }
+
+    const haystack = normalizeText(`${line.reference || ''} ${line.description || ''}`).replace(/ /g, '');
+    const reference = normalizeText(transfer.transferReference).replace(/ /g, '');
+    const orderNumber = normalizeText(orderNumberService.display(transfer.order?.orderNumber)).replace(/ /g, '');
+    if (reference.length >= 4 && haystack.includes(reference)) {
+      score += 0.35;
+      reasons.push('referencia');
+      identified = true;
+    } else if (orderNumber.length >= 3 && haystack.includes(orderNumber)) {
+      score += 0.35;
+      reasons.push('número de pedido en el concepto');
+      identified = true;
+    }
+
+    return { score: round(Math.min(score, 1)), reasons, identified };
+  }
+
+  /**
+   * Vincular la acreditación con la transferencia y aprobarla por el camino del panel
+   * @returns {Promise<object|null>} la transferencia aprobada (null si alguna de las dos ya estaba tomada)
+   */
+  async approveMatch(line, transfer, { status, score = null, actor = STATEMENT_ACTOR, resolvedBy = null }) {
+    const current = await prisma.pendingTransfer.findUnique({
+      where: { id: transfer.id },
+      include: { order: { select: { orderNumber: true, customerPhone: true } } }
+    });
+    if (!current || current.status !== 'pending') return null;
+    if (transferProofsService.isBlocked(current)) {
+      throw new AppError(ErrorCodes.CONFLICT, { message: 'La transferencia tiene un comprobante repetido sin autorizar' });
+    }
+
+    try {
+      const { count } = await prisma.bankStatementLine.updateMany({
+        where: { id: line.id, pendingTransferId: null, status: { notIn: [STATEMENT_LINE_STATUSES.IGNORED] } },
+        data: {
+          status,
+          pendingTransferId: transfer.id,
+          score,
+          resolvedBy,
+          resolvedAt: new Date()
+        }
+      });
+      if (count === 0) return null;
+    } catch (error) {
+      // La transferencia ya quedó vinculada con otra acreditación
+      if (error.code === 'P2002') return null;
+      throw error;
+    }
+
+    const approved = await pendingTransfersService.update(transfer.id, {
+      status: 'approved',
+      verifiedAt: new Date(),
+      ...(!current.transferReference && line.reference && { transferReference: line.reference })
+    }, actor);
+
+    logger.info({ storeId: line.storeId, lineId: line.id, transferId: transfer.id, orderId: current.orderId, status }, 'Transferencia aprobada por extracto bancario');
+
+    if (current.order?.customerPhone) {
+      const { sendMessageToClient } = await import('./whatsapp-multi.service.js');
+      await sendMessageToClient(
+        line.storeId,
+        current.order.customerPhone,
+        `✅ *TRANSFERENCIA CONFIRMADA*\n\nRecibimos tu pago de ${money(line.amount)} del pedido ${orderNumberService.display(current.order.orderNumber)}.\n\n👨‍🍳 Ya lo estamos preparando. ¡Gracias!`
+      ).catch(error => logger.warn({ transferId: transfer.id, error: error.message }, 'No se pudo avisar al cliente'));
+    }
+
+    return approved;
+  }
+
+  /**
+   * Volver a cruzar las acreditaciones sin resolver (llegaron comprobantes después de importar)
+   */
+  async rematch(storeId, actor = null) {
+    const lines = await prisma.bankStatementLine.findMany({
+      where: { storeId, status: { in: REVIEWABLE_STATUSES }, pendingTransferId: null },
+      orderBy: { date: 'asc' },
+      take: 500
+    });
+    return this.matchLines(storeId, lines, actor);
+  }
+
+  // ---------------------------------------------------------------------------
+  // REVISIÓN
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Resolver una acreditación dudosa o sin cruce
+   * @param {object} data - { action: 'approve' | 'ignore' | 'reopen', pendingTransferId }
+   */
+  async resolveLine(storeId, lineId, { action, pendingTransferId = null }, actor = null) {
+    const line = await prisma.bankStatementLine.findFirst({ where: { id: lineId, storeId } });
+    if (!line) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Movimiento del extracto no encontrado' });
+    }
+
+    if (action === 'approve') {
+      if (!REVIEWABLE_STATUSES.includes(line.status)) {
+        throw new AppError(ErrorCodes.CONFLICT, { message: 'El movimiento ya está resuelto' });
+      }
+      if (!pendingTransferId) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Indicá la transferencia a aprobar' });
+      }
+      const transfer = await prisma.pendingTransfer.findFirst({ where: { id: pendingTransferId, storeId } });
+      if (!transfer) {
+        throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Transferencia pendiente no encontrada' });
+      }
+
+      const approved = await this.approveMatch(line, transfer, {
+        status: STATEMENT_LINE_STATUSES.APPROVED,
+        score: line.score,
+        actor,
+        resolvedBy: actor?.name || null
+      });
+      if (!approved) {
+        throw new AppError(ErrorCodes.CONFLICT, { message: 'La transferencia ya no está pendiente o ya se cruzó con otro movimiento' });
+      }
+    } else if (action === 'ignore' || action === 'reopen') {
+      if (line.pendingTransferId) {
+        throw new AppError(ErrorCodes.CONFLICT, { message: 'El movimiento ya aprobó una transferencia' });
+      }
+      await prisma.bankStatementLine.update({
+        where: { id: lineId },
+        data: action === 'ignore'
+          ? { status: STATEMENT_LINE_STATUSES.IGNORED, resolvedBy: actor?.name || null, resolvedAt: new Date() }
+          : { status: line.candidates ? STATEMENT_LINE_STATUSES.NEEDS_REVIEW : STATEMENT_LINE_STATUSES.UNMATCHED, resolvedBy: null, resolvedAt: null }
+      });
+    } else {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'action debe ser approve, ignore o reopen' });
+    }
+
+    return prisma.bankStatementLine.findUnique({ where: { id: lineId } });
+  }
+
+  /**
+   * Cola de revisión: acreditaciones dudosas y sin cruce
+   */
+  async getReviewQueue(storeId, { status = null } = {}) {
+    return prisma.bankStatementLine.findMany({
+      where: { storeId, status: status || { in: REVIEWABLE_STATUSES } },
+      orderBy: { date: 'desc' },
+      take: 200
+    });
+  }
+
+  /**
+   * Importaciones del local (las más recientes primero)
+   */
+  async getImports(storeId) {
+    return prisma.bankStatementImport.findMany({
+      where: { storeId },
+      orderBy: { createdAt: 'desc' },
+      take: 50
+    });
+  }
+
+  async getImport(storeId, importId) {
+    const statementImport = await prisma.bankStatementImport.findFirst({
+      where: { id: importId, storeId },
+      include: {
+        lines: {
+          orderBy: { date: 'asc' },
+          include: { pendingTransfer: { select: { id: true, orderId: true, amount: true, status: true } } }
+        }
+      }
+    });
+    if (!statementImport) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Importación no encontrada' });
+    }
+    return statementImport;
+  }
+
+  /**
+   * Avisar al local que hay acreditaciones para revisar (notificación del panel)
+   */
+  async alertStore(storeId, statementImport) {
+    await prisma.systemNotification.create({
+      data: {
+        storeId,
+        type: 'bank_statement',
+        title: 'Transferencias para revisar',
+        message: `${statementImport.fileName ? `Extracto ${statementImport.fileName}` : 'Extracto bancario'}: ${statementImport.autoApproved} aprobadas solas, ${statementImport.needsReview} para revisar y ${statementImport.unmatched} sin transferencia.`,
+        severity: 'warning',
+        metadata: JSON.stringify({ importId: statementImport.id })
+      }
+    }).catch(error => logger.warn({ storeId, error: error.message }, 'No se pudo avisar al local'));
+  }
+}
+
+export const bankStatementsService = new BankStatementsService();
+export default bankStatementsService;
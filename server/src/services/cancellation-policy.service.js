@@ -0,0 +1,266 @@
+/**
+ * Política de cancelación por local
+ * Motivos estructurados, quién puede cancelar en cada estado del pedido, cargo de
+ * cancelación (desde que el pedido entra a cocina) y cómo se reintegra lo cobrado.
+ * Se guarda en StoreSettings.cancellationPolicy; lo que no se configure toma DEFAULT_POLICY.
+ */
+
+import prisma from '../utils/prisma.js';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+
+// Quién cancela (independiente del rol técnico que valida el ciclo de vida)
+export const CANCELLATION_ACTORS = {
+  CUSTOMER: 'customer',
+  STAFF: 'staff',
+  DRIVER: 'driver',
+  SYSTEM: 'system'
+};
+
+// Cómo se reintegra lo cobrado: por el mismo medio (MercadoPago) o siempre como saldo a favor
+export const REFUND_METHODS = {
+  ORIGINAL: 'original',
+  STORE_CREDIT: 'store_credit'
+};
+
+const { CUSTOMER, STAFF, DRIVER, SYSTEM } = CANCELLATION_ACTORS;
+
+// Roles del sistema → quién cancela
+const ROLE_ACTORS = {
+  admin: STAFF,
+  super_admin: STAFF,
+  operator: STAFF,
+  driver: DRIVER,
+  system: SYSTEM,
+  bot: CUSTOMER
+};
+
+// chargesFee: el motivo es atribuible al cliente y aplica el cargo del estado
+export const DEFAULT_POLICY = {
+  reasons: [
+    { code: 'customer_request', label: 'El cliente ya no lo quiere', actors: [CUSTOMER, STAFF], chargesFee: true },
+    { code: 'long_wait', label: 'Demora en la preparación o el envío', actors: [CUSTOMER, STAFF], chargesFee: false },
+    { code: 'order_mistake', label: 'Error al hacer el pedido', actors: [CUSTOMER, STAFF], chargesFee: true },
+    { code: 'payment_issue', label: 'Problema con el pago', actors: [STAFF, SYSTEM], chargesFee: false },
+    { code: 'out_of_stock', label: 'Sin stock', actors: [STAFF, SYSTEM], chargesFee: false },
+    { code: 'store_rejected', label: 'Rechazado por el local', actors: [STAFF], chargesFee: false },
+    { code: 'store_unavailable', label: 'Local cerrado o sin capacidad', actors: [STAFF, SYSTEM], chargesFee: false },
+    { code: 'suspected_fraud', label: 'Pedido sospechoso (revisión de riesgo)', actors: [STAFF, SYSTEM], chargesFee: false },
+    { code: 'customer_absent', label: 'El cliente no estaba', actors: [DRIVER, STAFF], chargesFee: true },
+    { code: 'wrong_address', label: 'Dirección incorrecta', actors: [DRIVER, STAFF], chargesFee: true },
+    { code: 'customer_refused', label: 'El cliente rechazó el pedido', actors: [DRIVER, STAFF], chargesFee: true },
+    { code: 'delivery_code_missing', label: 'No entregó el código de entrega', actors: [DRIVER, STAFF], chargesFee: true },
+    { code: 'timeout', label: 'Vencido sin confirmar', actors: [SYSTEM], chargesFee: false },
+    { code: 'other', label: 'Otro motivo', actors: [CUSTOMER, STAFF, DRIVER, SYSTEM], chargesFee: false }
+  ],
+  // Por estado: quién puede cancelar, % del total que se retiene y si se devuelve el stock
+  stages: {
+    pending: { actors: [CUSTOMER, STAFF, SYSTEM], feePercent: 0, restock: true },
+    confirmed: { actors: [CUSTOMER, STAFF, SYSTEM], feePercent: 0, restock: true },
+    stock_issue: { actors: [CUSTOMER, STAFF, SYSTEM], feePercent: 0, restock: true },
+    stock_timeout: { actors: [STAFF, SYSTEM], feePercent: 0, restock: true },
+    preparing: { actors: [STAFF], feePercent: 50, restock: false },
+    ready: { actors: [STAFF], feePercent: 100, restock: false },
+    assigned: { actors: [STAFF, DRIVER], feePercent: 100, restock: false },
+    in_transit: { actors: [STAFF, DRIVER], feePercent: 100, restock: false }
+  },
+  refundMethod: REFUND_METHODS.ORIGINAL
+};
+
+// Motivos del repartidor (cancel-delivery) → motivo de la política
+export const DRIVER_REASON_CODES = {
+  NO_ENTREGO_EL_CODIGO: 'delivery_code_missing',
+  NO_ESTABA: 'customer_absent',
+  DIRECCION_INCORRECTA: 'wrong_address',
+  CLIENTE_RECHAZO: 'customer_refused',
+  OTRO: 'other'
+};
+
+const VALID_ACTORS = Object.values(CANCELLATION_ACTORS);
+
+const round = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const parsePolicy = (rawValue) => {
+  if (!rawValue) return {};
+  if (typeof rawValue === 'object') return rawValue;
+  try {
+    return JSON.parse(rawValue);
+  } catch (error) {
+    console.warn('⚠️ [CANCELLATION POLICY] Política inválida, se usa la predeterminada:', error.message);
+    return {};
+  }
+};
+
+class CancellationPolicyService {
+  /**
+   * Quién cancela según el rol del sistema (admin, driver, bot, system...)
+   */
+  actorTypeForRole(role) {
+    return ROLE_ACTORS[role] || STAFF;
+  }
+
+  /**
+   * Política efectiva del local: la configurada combinada con la predeterminada
+   */
+  async getPolicy(storeId) {
+    const settings = storeId
+      ? await prisma.storeSettings.findUnique({
+        where: { storeId },
+        select: { cancellationPolicy: true }
+      })
+      : null;
+
+    return this.merge(parsePolicy(settings?.cancellationPolicy));
+  }
+
+  merge(custom = {}) {
+    const stages = { ...DEFAULT_POLICY.stages };
+    for (const [status, rule] of Object.entries(custom.stages || {})) {
+      stages[status] = { ...(stages[status] || {}), ...rule };
+    }
+
+    return {
+      reasons: Array.isArray(custom.reasons) && custom.reasons.length > 0 ? custom.reasons : DEFAULT_POLICY.reasons,
+      stages,
+      refundMethod: custom.refundMethod || DEFAULT_POLICY.refundMethod
+    };
+  }
+
+  /**
+   * Validar y guardar la política de un local (acepta cambios parciales)
+   */
+  async updatePolicy(storeId, input = {}) {
+    const current = await this.getPolicy(storeId);
+    const changes = this.normalizeInput(input);
+    const policy = this.merge({
+      reasons: changes.reasons || current.reasons,
+      stages: Object.fromEntries(
+        [...new Set([...Object.keys(current.stages), ...Object.keys(changes.stages || {})])]
+          .map(status => [status, { ...current.stages[status], ...changes.stages?.[status] }])
+      ),
+      refundMethod: changes.refundMethod || current.refundMethod
+    });
+
+    if (!Object.values(REFUND_METHODS).includes(policy.refundMethod)) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+        message: `refundMethod inválido. Valores permitidos: ${Object.values(REFUND_METHODS).join(', ')}`
+      });
+    }
+
+    const codes = new Set();
+    for (const reason of policy.reasons) {
+      if (!reason?.code || !reason.label) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Cada motivo necesita code y label' });
+      }
+      if (codes.has(reason.code)) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: `Motivo duplicado: ${reason.code}` });
+      }
+      codes.add(reason.code);
+      this.assertActors(reason.actors, `motivo ${reason.code}`);
+    }
+
+    for (const [status, rule] of Object.entries(policy.stages)) {
+      this.assertActors(rule.actors, `estado ${status}`);
+      const feePercent = Number(rule.feePercent ?? 0);
+      if (!Number.isFinite(feePercent) || feePercent < 0 || feePercent > 100) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: `feePercent de ${status} debe estar entre 0 y 100` });
+      }
+      policy.stages[status] = { actors: rule.actors, feePercent, restock: rule.restock !== false };
+    }
+
+    await prisma.storeSettings.upsert({
+      where: { storeId },
+      update: { cancellationPolicy: policy },
+      create: { storeId, cancellationPolicy: policy }
+    });
+
+    return policy;
+  }
+
+  // El panel envía snake_case (charges_fee, fee_percent, refund_method)
+  normalizeInput(input) {
+    const normalized = {};
+    if (Array.isArray(input.reasons)) {
+      normalized.reasons = input.reasons.map(reason => ({
+        code: reason.code,
+        label: reason.label,
+        actors: reason.actors,
+        chargesFee: !!(reason.chargesFee ?? reason.charges_fee)
+      }));
+    }
+    if (input.stages && typeof input.stages === 'object') {
+      normalized.stages = Object.fromEntries(Object.entries(input.stages).map(([status, rule]) => [status, {
+        ...(rule.actors !== undefined && { actors: rule.actors }),
+        ...((rule.feePercent ?? rule.fee_percent) !== undefined && { feePercent: rule.feePercent ?? rule.fee_percent }),
+        ...(rule.restock !== undefined && { restock: rule.restock })
+      }]));
+    }
+    normalized.refundMethod = input.refundMethod || input.refund_method;
+    return normalized;
+  }
+
+  assertActors(actors, label) {
+    if (!Array.isArray(actors) || actors.some(actor => !VALID_ACTORS.includes(actor))) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+        message: `Actores inválidos en ${label}. Valores permitidos: ${VALID_ACTORS.join(', ')}`
+      });
+    }
+  }
+
+  /**
+   * Decidir si un actor puede cancelar el pedido en su estado actual y con qué cargo
+   * @param {object} policy - Política efectiva (getPolicy)
+   * @param {object} order - { status, total, tipAmount? }
+   * @param {string} actorType - customer, staff, driver, system
+   * @param {string} reasonCode - Código del motivo (sin motivo = 'other')
+   * @param {number} paidAmount - Cobrado hasta ahora (el cargo nunca supera lo cobrado)
+   * @returns {{ reason: object, statusAtCancel: string, feePercent: number, fee: number, restock: boolean }}
+   */
+  evaluate(policy, order, actorType, reasonCode, paidAmount = 0) {
+    const stage = policy.stages[order.status];
+    if (!stage) {
+      throw new AppError(ErrorCodes.CONFLICT, { message: `Un pedido en estado '${order.status}' ya no se puede cancelar` });
+    }
+
+    if (!stage.actors.includes(actorType)) {
+      throw new AppError(ErrorCodes.FORBIDDEN, {
+        message: stage.actors.length > 0
+          ? `En estado '${order.status}' solo pueden cancelar: ${stage.actors.join(', ')}`
+          : `En estado '${order.status}' el pedido no se puede cancelar`
+      });
+    }
+
+    const code = reasonCode || 'other';
+    const reason = policy.reasons.find(r => r.code === code);
+    if (!reason || !reason.actors.includes(actorType)) {
+      const allowed = policy.reasons.filter(r => r.actors.includes(actorType)).map(r => r.code);
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+        message: `Motivo de cancelación inválido: ${code}. Motivos permitidos: ${allowed.join(', ')}`
+      });
+    }
+
+    // El cargo se calcula sin la propina: si el pedido no se entrega, la propina se devuelve entera
+    const feePercent = reason.chargesFee ? Number(stage.feePercent || 0) : 0;
+    const chargeable = order.total - (order.tipAmount || 0);
+    const fee = round(Math.min(round(chargeable * feePercent / 100), Math.max(paidAmount, 0)));
+
+    return {
+      reason: { code: reason.code, label: reason.label },
+      statusAtCancel: order.status,
+      feePercent,
+      fee,
+      restock: stage.restock !== false
+    };
+  }
+
+  /**
+   * Motivos que puede elegir un actor (para el bot, la web y el panel)
+   */
+  reasonsFor(policy, actorType) {
+    return policy.reasons
+      .filter(reason => reason.actors.includes(actorType))
+      .map(({ code, label, chargesFee }) => ({ code, label, chargesFee: !!chargesFee }));
+  }
+}
+
+export const cancellationPolicyService = new CancellationPolicyService();
+export default cancellationPolicyService;
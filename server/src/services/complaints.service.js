@@ -4,6 +4,7 @@
 
 import prisma from '../utils/prisma.js';
 import logger from '../utils/logger.js';
+import storeCreditService, { STORE_CREDIT_TYPES } from './store-credit.service.js';
 
 class ComplaintsService {
   CATEGORIES = {
@@ -143,6 +144,21 @@ class ComplaintsService {
       case 'free_delivery':
         compensation = { type: 'free_delivery', count: compensationValue };
         break;
+      case 'store_credit': {
+        // Saldo a favor en la billetera del cliente (teléfono del pedido reclamado o el cliente de la queja)
+        const order = complaint.orderId
+          ? await prisma.order.findUnique({ where: { id: complaint.orderId }, select: { customerPhone: true } })
+          : null;
+        const credit = await storeCreditService.grant(complaint.storeId, order?.customerPhone || complaint.customerId, compensationValue, {
+          type: STORE_CREDIT_TYPES.COMPLAINT_COMPENSATION,
+          orderId: complaint.orderId || null,
+          reference: complaint.id,
+          note: `Compensación del reclamo ${complaint.ticketNumber}`,
+          actor: agentId ? { id: agentId } : null
+        });
+        compensation = { type: 'store_credit', amount: compensationValue, transactionId: credit.id };
+        break;
+      }
       case 'points':
         await prisma.customerLoyalty.upsert({
           where: { customerId: complaint.customerId },
@@ -115,15 +115,18 @@ class FavoritesService {
   }
 
   /**
-   * Obtener productos frecuentes (basado en pedidos)
+   * Obtener productos frecuentes (basado en pedidos entregados)
+   * customerId es el teléfono/JID con el que se guardan los pedidos (customerPhone)
    */
-  async getFrequentProducts(customerId, limit = 10) {
+  async getFrequentProducts(customerId, limit = 10, storeId = null) {
     const orderItems = await prisma.orderItem.groupBy({
       by: ['productId'],
       where: {
+        productId: { not: null },
         order: {
-          customerId,
+          customerPhone: customerId,
           status: 'delivered',
+          ...(storeId && { storeId }),
         },
       },
       _count: { productId: true },
@@ -147,7 +150,7 @@ class FavoritesService {
           id: product.id,
           name: product.name,
           price: product.price,
-          image: product.image,
+          image: product.imageUrl,
           category: product.category?.name,
         },
         orderCount: item._count.productId,
@@ -1,84 +1,354 @@
 /**
  * Sistema de Gift Cards / Tarjetas de Regalo
+ * Venta (web con MercadoPago o mostrador), entrega por WhatsApp/email (al momento o programada),
+ * uso parcial como medio de pago del pedido, recargas, vencimiento y reporte de saldo pendiente
+ * (pasivo del local con los compradores).
  */
 
 import prisma from '../utils/prisma.js';
 import logger from '../utils/logger.js';
 import crypto from 'crypto';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+import storeCreditService, { STORE_CREDIT_TYPES } from './store-credit.service.js';
+import orderPaymentsService, { TENDER_TYPES } from './order-payments.service.js';
+import orderNumberService from './order-number.service.js';
+import { paymentGatewayService, GIFT_CARD_REFERENCE_PREFIX } from './payment-gateway.service.js';
+import emailService from './email.service.js';
+
+export const GIFT_CARD_STATUSES = {
+  PENDING_PAYMENT: 'pending_payment',
+  ACTIVE: 'active',
+  DEPLETED: 'depleted',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled'
+};
+
+export const GIFT_CARD_TRANSACTION_TYPES = {
+  PURCHASE: 'purchase',
+  RELOAD: 'reload',
+  REDEMPTION: 'redemption',
+  REVERSAL: 'reversal',
+  TO_STORE_CREDIT: 'to_store_credit',
+  EXPIRATION: 'expiration',
+  CANCELLATION: 'cancellation'
+};
+
+export const DELIVERY_CHANNELS = ['whatsapp', 'email', 'none'];
+
+// Cada cuánto corre el job de entregas programadas, recordatorios y vencimientos (ver index.js)
+export const GIFT_CARD_JOB_INTERVAL_MINUTES = parseInt(process.env.GIFT_CARD_JOB_INTERVAL_MINUTES || '15', 10);
+
+const VALIDITY_DAYS = parseInt(process.env.GIFT_CARD_VALIDITY_DAYS || '365', 10);
+const MIN_AMOUNT = parseFloat(process.env.GIFT_CARD_MIN_AMOUNT || '1000');
+const MAX_AMOUNT = parseFloat(process.env.GIFT_CARD_MAX_AMOUNT || '500000');
+const EXPIRY_REMINDER_DAYS = 7;
+
+const round = (value) => Math.round(Number(value || 0) * 100) / 100;
+const formatAmount = (value) => `$${round(value).toLocaleString('es-AR')}`;
 
 class GiftCardsService {
+  constructor() {
+    this.running = false;
+  }
+
+  /**
+   * Código normalizado (mayúsculas, con guiones cada 4 caracteres)
+   */
+  normalizeCode(code) {
+    const raw = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return raw.match(/.{1,4}/g)?.join('-') || '';
+  }
+
+  generateCode() {
+    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    let code = '';
+    for (let i = 0; i < 16; i++) {
+      if (i > 0 && i % 4 === 0) code += '-';
+      code += chars[crypto.randomInt(chars.length)];
+    }
+    return code;
+  }
+
+  validateAmount(amount) {
+    if (!Number.isFinite(amount) || amount < MIN_AMOUNT || amount > MAX_AMOUNT) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+        message: `El monto de la gift card debe estar entre ${formatAmount(MIN_AMOUNT)} y ${formatAmount(MAX_AMOUNT)}`
+      });
+    }
+  }
+
   /**
    * Crear gift card
+   * Vendida en el mostrador (paid) queda activa y se entrega; vendida en la web espera el pago de MercadoPago
+   * @param {object} data - { amount, designId, purchaserId, purchaserName, purchaserPhone, purchaserEmail,
+   *   recipientName, recipientPhone, recipientEmail, message, deliveryChannel, deliveryDate,
+   *   saleChannel, paymentMethod, paymentReference, paid }
+   * @param {object} actor - { id, name } del panel / POS
+   */
+  async createGiftCard(storeId, data, actor = null) {
+    const amount = round(data.amount);
+    this.validateAmount(amount);
+
+    const deliveryChannel = data.deliveryChannel || (data.recipientPhone ? 'whatsapp' : data.recipientEmail ? 'email' : 'none');
+    if (!DELIVERY_CHANNELS.includes(deliveryChannel)) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: `Canal de entrega inválido: ${deliveryChannel}` });
+    }
+    if (deliveryChannel === 'whatsapp' && !data.recipientPhone) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Para enviarla por WhatsApp indicá el teléfono de quien la recibe' });
+    }
+    if (deliveryChannel === 'email' && !data.recipientEmail) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Para enviarla por email indicá el email de quien la recibe' });
+    }
+
+    const deliveryDate = data.deliveryDate ? new Date(data.deliveryDate) : null;
+    if (deliveryDate && isNaN(deliveryDate.getTime())) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Fecha de entrega inválida' });
+    }
+
+    if (data.designId) {
+      const design = await prisma.giftCardDesign.findFirst({ where: { id: data.designId, storeId, isActive: true } });
+      if (!design) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Diseño de gift card no disponible' });
+      }
+    }
+
+    const paid = !!data.paid;
+    const now = new Date();
+    let giftCard = null;
+
+    // El código es único: ante una colisión se genera otro
+    for (let attempt = 0; attempt < 5 && !giftCard; attempt++) {
+      try {
+        giftCard = await prisma.giftCard.create({
+          data: {
+            storeId,
+            code: this.generateCode(),
+            initialAmount: amount,
+            currentBalance: paid ? amount : 0,
+            status: paid ? GIFT_CARD_STATUSES.ACTIVE : GIFT_CARD_STATUSES.PENDING_PAYMENT,
+            designId: data.designId || null,
+            purchaserId: data.purchaserId || null,
+            purchaserName: data.purchaserName || null,
+            purchaserPhone: data.purchaserPhone ? storeCreditService.normalizePhone(data.purchaserPhone) : null,
+            purchaserEmail: data.purchaserEmail || null,
+            recipientName: data.recipientName || null,
+            recipientPhone: data.recipientPhone ? storeCreditService.normalizePhone(data.recipientPhone) : null,
+            recipientEmail: data.recipientEmail || null,
+            message: data.message || null,
+            saleChannel: data.saleChannel || 'web',
+            paymentMethod: data.paymentMethod || null,
+            paymentReference: data.paymentReference || null,
+            paidAt: paid ? now : null,
+            soldById: actor?.id || null,
+            deliveryChannel,
+            deliveryDate,
+            expiresAt: new Date(now.getTime() + VALIDITY_DAYS * 24 * 60 * 60 * 1000),
+            transactions: {
+              create: {
+                storeId,
+                type: GIFT_CARD_TRANSACTION_TYPES.PURCHASE,
+                status: paid ? 'completed' : 'pending',
+                amount,
+                balanceAfter: paid ? amount : null,
+                reference: data.paymentReference || null,
+                paymentMethod: data.paymentMethod || null,
+                actorId: actor?.id || null,
+                actorName: actor?.name || null
+              }
+            }
+          },
+          include: { transactions: true }
+        });
+      } catch (error) {
+        if (error.code !== 'P2002') throw error;
+      }
+    }
+    if (!giftCard) {
+      throw new AppError(ErrorCodes.INTERNAL_ERROR, { message: 'No se pudo generar un código de gift card' });
+    }
+
+    logger.info({ giftCardId: giftCard.id, storeId, amount, paid, saleChannel: giftCard.saleChannel }, 'Gift card created');
+
+    if (paid) {
+      giftCard = await this.scheduleDelivery(giftCard);
+    }
+    return giftCard;
+  }
+
+  /**
+   * Compra desde la web: crea la gift card pendiente y el link de pago de MercadoPago
+   * El código recién se entrega cuando el pago se aprueba
    */
-  async createGiftCard(storeId, giftCardData) {
-    const {
-      amount, purchaserId, recipientEmail, recipientName,
-      message, designId, deliveryDate,
-    } = giftCardData;
+  async purchaseOnline(storeId, data) {
+    const giftCard = await this.createGiftCard(storeId, { ...data, saleChannel: 'web', paymentMethod: 'mercadopago', paid: false });
+    const [purchase] = giftCard.transactions;
+
+    const checkout = await paymentGatewayService.createGiftCardCheckout(storeId, {
+      externalReference: `${GIFT_CARD_REFERENCE_PREFIX}${purchase.id}`,
+      amount: giftCard.initialAmount,
+      title: `Gift card ${formatAmount(giftCard.initialAmount)}`,
+      payerName: data.purchaserName,
+      payerEmail: data.purchaserEmail,
+      payerPhone: data.purchaserPhone
+    });
+
+    return {
+      giftCardId: giftCard.id,
+      amount: giftCard.initialAmount,
+      status: giftCard.status,
+      preferenceId: checkout.checkoutId,
+      initPoint: checkout.checkoutUrl
+    };
+  }
 
-    const code = this.generateCode();
+  /**
+   * Recarga desde la web: movimiento pendiente y link de pago
+   */
+  async requestOnlineReload(storeId, code, amount, payer = {}) {
+    const giftCard = await this.findByCode(storeId, code);
+    if (![GIFT_CARD_STATUSES.ACTIVE, GIFT_CARD_STATUSES.DEPLETED].includes(giftCard.status) || giftCard.expiresAt < new Date()) {
+      throw new AppError(ErrorCodes.CONFLICT, { message: 'La gift card no se puede recargar' });
+    }
+    const value = round(amount);
+    this.validateAmount(value);
 
-    const giftCard = await prisma.giftCard.create({
+    const reload = await prisma.giftCardTransaction.create({
       data: {
+        giftCardId: giftCard.id,
         storeId,
-        code,
-        initialAmount: amount,
-        currentBalance: amount,
-        purchaserId,
-        recipientEmail,
-        recipientName,
-        message,
-        designId,
-        deliveryDate: deliveryDate ? new Date(deliveryDate) : new Date(),
-        status: 'active',
-        expiresAt: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000), // 1 año
-      },
+        type: GIFT_CARD_TRANSACTION_TYPES.RELOAD,
+        status: 'pending',
+        amount: value,
+        paymentMethod: 'mercadopago'
+      }
     });
 
-    // Programar envío si tiene fecha futura
-    if (deliveryDate && new Date(deliveryDate) > new Date()) {
-      await prisma.scheduledTask.create({
-        data: {
-          type: 'send_gift_card',
-          referenceId: giftCard.id,
-          scheduledFor: new Date(deliveryDate),
-        },
-      });
-    } else {
-      await this.sendGiftCardEmail(giftCard);
+    const checkout = await paymentGatewayService.createGiftCardCheckout(storeId, {
+      externalReference: `${GIFT_CARD_REFERENCE_PREFIX}${reload.id}`,
+      amount: value,
+      title: `Recarga gift card ${giftCard.code.slice(-4)}`,
+      payerName: payer.name,
+      payerEmail: payer.email,
+      payerPhone: payer.phone
+    });
+
+    return { transactionId: reload.id, amount: value, preferenceId: checkout.checkoutId, initPoint: checkout.checkoutUrl };
+  }
+
+  /**
+   * Recargar gift card cobrada en el mostrador
+   */
+  async reloadGiftCard(storeId, code, amount, { paymentMethod = 'cash', reference = null } = {}, actor = null) {
+    const giftCard = await this.findByCode(storeId, code);
+    if (![GIFT_CARD_STATUSES.ACTIVE, GIFT_CARD_STATUSES.DEPLETED].includes(giftCard.status) || giftCard.expiresAt < new Date()) {
+      throw new AppError(ErrorCodes.CONFLICT, { message: 'La gift card no se puede recargar' });
     }
+    const value = round(amount);
+    this.validateAmount(value);
 
-    logger.info({ giftCardId: giftCard.id, amount }, 'Gift card created');
-    return giftCard;
+    const transaction = await prisma.giftCardTransaction.create({
+      data: {
+        giftCardId: giftCard.id,
+        storeId,
+        type: GIFT_CARD_TRANSACTION_TYPES.RELOAD,
+        status: 'pending',
+        amount: value,
+        reference,
+        paymentMethod,
+        actorId: actor?.id || null,
+        actorName: actor?.name || null
+      }
+    });
+
+    const completed = await this.completeTransaction(transaction.id, { reference });
+    logger.info({ giftCardId: giftCard.id, amount: value, newBalance: completed.balanceAfter }, 'Gift card reloaded');
+    return { success: true, newBalance: completed.balanceAfter };
   }
 
-  generateCode() {
-    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-    let code = '';
-    for (let i = 0; i < 16; i++) {
-      if (i > 0 && i % 4 === 0) code += '-';
-      code += chars[crypto.randomInt(chars.length)];
+  /**
+   * Aplicar un pago de MercadoPago de una compra o recarga (webhook y conciliador)
+   * Idempotente: el movimiento pendiente se reclama con un update condicionado
+   */
+  async applyProviderPayment(storeId, paymentInfo) {
+    const transactionId = String(paymentInfo.external_reference || '').slice(GIFT_CARD_REFERENCE_PREFIX.length);
+    const transaction = await prisma.giftCardTransaction.findUnique({ where: { id: transactionId } });
+
+    if (!transaction || transaction.storeId !== storeId) {
+      logger.error({ storeId, paymentId: paymentInfo.id, transactionId }, 'Gift card transaction not found for payment');
+      return { processed: false, applied: false, reason: 'Gift card transaction not found' };
     }
-    return code;
+    if (paymentInfo.status !== 'approved' || transaction.status !== 'pending') {
+      return { processed: true, applied: false, status: paymentInfo.status };
+    }
+    if (round(paymentInfo.transaction_amount) < transaction.amount - 1) {
+      logger.warn({ storeId, paymentId: paymentInfo.id, transactionId, paid: paymentInfo.transaction_amount, expected: transaction.amount }, 'Gift card payment amount mismatch');
+      return { processed: false, applied: false, reason: 'Amount mismatch' };
+    }
+
+    const completed = await this.completeTransaction(transaction.id, { reference: String(paymentInfo.id) });
+    if (!completed) {
+      return { processed: true, applied: false, status: paymentInfo.status };
+    }
+
+    if (transaction.type === GIFT_CARD_TRANSACTION_TYPES.PURCHASE) {
+      const giftCard = await prisma.giftCard.findUnique({ where: { id: transaction.giftCardId } });
+      await this.scheduleDelivery(giftCard);
+    }
+
+    logger.info({ storeId, paymentId: paymentInfo.id, giftCardId: transaction.giftCardId, type: transaction.type }, 'Gift card payment applied');
+    return { processed: true, applied: true, status: paymentInfo.status };
+  }
+
+  /**
+   * Completar una compra o recarga pendiente: suma el saldo y activa la gift card
+   * @returns {Promise<object|null>} el movimiento completado (null si ya se había aplicado)
+   */
+  async completeTransaction(transactionId, { reference = null } = {}) {
+    return prisma.$transaction(async (tx) => {
+      const { count } = await tx.giftCardTransaction.updateMany({
+        where: { id: transactionId, status: 'pending' },
+        data: { status: 'completed', ...(reference && { reference }) }
+      });
+      if (count === 0) return null;
+
+      const transaction = await tx.giftCardTransaction.findUnique({ where: { id: transactionId } });
+      const isPurchase = transaction.type === GIFT_CARD_TRANSACTION_TYPES.PURCHASE;
+      const giftCard = await tx.giftCard.update({
+        where: { id: transaction.giftCardId },
+        data: {
+          currentBalance: { increment: transaction.amount },
+          status: GIFT_CARD_STATUSES.ACTIVE,
+          ...(isPurchase && { paidAt: new Date(), paymentReference: reference })
+        }
+      });
+
+      return tx.giftCardTransaction.update({
+        where: { id: transactionId },
+        data: { balanceAfter: round(giftCard.currentBalance) }
+      });
+    });
   }
 
-  async sendGiftCardEmail(giftCard) {
-    // Integrar con servicio de email
-    logger.info({ giftCardId: giftCard.id, email: giftCard.recipientEmail }, 'Gift card email sent');
+  async findByCode(storeId, code) {
+    const giftCard = await prisma.giftCard.findUnique({ where: { code: this.normalizeCode(code) } });
+    if (!giftCard || giftCard.storeId !== storeId) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Gift card no encontrada' });
+    }
+    return giftCard;
   }
 
   /**
    * Verificar gift card
    */
-  async verifyGiftCard(code) {
-    const giftCard = await prisma.giftCard.findUnique({ where: { code } });
+  async verifyGiftCard(storeId, code) {
+    const giftCard = await prisma.giftCard.findUnique({ where: { code: this.normalizeCode(code) } });
 
-    if (!giftCard) {
+    if (!giftCard || giftCard.storeId !== storeId) {
       return { valid: false, error: 'Código inválido' };
     }
 
-    if (giftCard.status !== 'active') {
-      return { valid: false, error: 'Gift card inactiva' };
+    if (giftCard.status !== GIFT_CARD_STATUSES.ACTIVE) {
+      return { valid: false, error: giftCard.status === GIFT_CARD_STATUSES.EXPIRED ? 'Gift card expirada' : 'Gift card inactiva' };
     }
 
     if (giftCard.expiresAt < new Date()) {
@@ -97,94 +367,408 @@ class GiftCardsService {
   }
 
   /**
-   * Usar gift card en pedido
+   * Descontar saldo de una gift card activa y vigente (sin carreras: el saldo se valida en el update)
+   * @param {object} [tx] - Transacción en curso del llamador (ej: payOrder); sin ella se abre una
    */
-  async redeemGiftCard(code, orderId, amount) {
-    const giftCard = await prisma.giftCard.findUnique({ where: { code } });
-
-    if (!giftCard || giftCard.status !== 'active') {
-      throw new Error('Gift card inválida');
+  async debit(storeId, code, amount, { type = GIFT_CARD_TRANSACTION_TYPES.REDEMPTION, orderId = null, reference = null, actor = null, tx: outerTx = null } = {}) {
+    const value = round(amount);
+    if (!(value > 0)) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El monto a usar debe ser mayor a 0' });
     }
 
-    if (giftCard.currentBalance < amount) {
-      throw new Error('Saldo insuficiente');
+    const giftCard = await this.findByCode(storeId, code);
+    const verification = await this.verifyGiftCard(storeId, giftCard.code);
+    if (!verification.valid) {
+      throw new AppError(ErrorCodes.CONFLICT, { message: verification.error });
     }
 
-    const newBalance = giftCard.currentBalance - amount;
-
-    await prisma.$transaction([
-      prisma.giftCard.update({
-        where: { id: giftCard.id },
-        data: {
-          currentBalance: newBalance,
-          status: newBalance === 0 ? 'depleted' : 'active',
-          lastUsedAt: new Date(),
+    const run = async (tx) => {
+      const { count } = await tx.giftCard.updateMany({
+        where: {
+          id: giftCard.id,
+          status: GIFT_CARD_STATUSES.ACTIVE,
+          currentBalance: { gte: value - 0.001 },
+          expiresAt: { gt: new Date() }
         },
-      }),
-      prisma.giftCardTransaction.create({
+        data: { currentBalance: { decrement: value }, lastUsedAt: new Date() }
+      });
+      if (count === 0) {
+        throw new AppError(ErrorCodes.CONFLICT, { message: `Saldo insuficiente en la gift card (disponible: ${formatAmount(giftCard.currentBalance)})` });
+      }
+
+      const updated = await tx.giftCard.findUnique({ where: { id: giftCard.id } });
+      if (updated.currentBalance <= 0.001) {
+        await tx.giftCard.update({ where: { id: giftCard.id }, data: { status: GIFT_CARD_STATUSES.DEPLETED, currentBalance: 0 } });
+      }
+
+      return tx.giftCardTransaction.create({
         data: {
           giftCardId: giftCard.id,
+          storeId,
+          type,
+          amount: -value,
+          balanceAfter: round(Math.max(updated.currentBalance, 0)),
           orderId,
-          amount: -amount,
-          balanceAfter: newBalance,
-          type: 'redemption',
-        },
-      }),
-    ]);
+          reference,
+          actorId: actor?.id || null,
+          actorName: actor?.name || null
+        }
+      });
+    };
+    return outerTx ? run(outerTx) : prisma.$transaction(run);
+  }
+
+  /**
+   * Pagar (parte de) un pedido con una gift card
+   * Sin monto usa todo el saldo que alcance para lo que falta pagar
+   */
+  async payOrder(orderId, code, amount = null, actor = null) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { id: true, storeId: true, orderNumber: true, total: true, status: true }
+    });
+    if (!order) {
+      throw new AppError(ErrorCodes.ORDER_NOT_FOUND);
+    }
+    if (['cancelled', 'delivered'].includes(order.status)) {
+      throw new AppError(ErrorCodes.CONFLICT, { message: 'El pedido ya está cerrado' });
+    }
+
+    const verification = await this.verifyGiftCard(order.storeId, code);
+    if (!verification.valid) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: verification.error });
+    }
+
+    // Saldo pendiente, débito de la gift card y pago del pedido en una sola transacción
+    const { payment, transaction, value, due } = await prisma.$transaction(async (tx) => {
+      await orderPaymentsService.lockOrder(orderId, tx);
+
+      const payments = await orderPaymentsService.getPayments(orderId, tx);
+      const due = orderPaymentsService.summarize(order, payments).balance;
+      const value = round(amount ?? Math.min(verification.balance, due));
+      if (!(value > 0)) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El pedido no tiene saldo pendiente de pago' });
+      }
+      if (value > due) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+          message: `El monto (${formatAmount(value)}) supera lo que falta pagar del pedido (${formatAmount(due)})`
+        });
+      }
+
+      const transaction = await this.debit(order.storeId, code, value, { orderId, actor, tx });
+      const payment = await tx.orderPayment.create({
+        data: {
+          orderId,
+          storeId: order.storeId,
+          tenderType: TENDER_TYPES.GIFT_CARD,
+          amount: value,
+          status: 'paid',
+          reference: transaction.id,
+          paidAt: new Date()
+        }
+      });
+
+      return { payment, transaction, value, due };
+    });
 
-    logger.info({ giftCardId: giftCard.id, amount, newBalance }, 'Gift card redeemed');
-    return { success: true, amountUsed: amount, remainingBalance: newBalance };
+    await orderPaymentsService.rollup(orderId, actor);
+
+    logger.info({ orderId, orderNumber: orderNumberService.display(order.orderNumber), amount: value, giftCardId: transaction.giftCardId }, 'Gift card redeemed');
+    return { payment, transaction, amount: value, remaining: round(due - value), balance: transaction.balanceAfter };
   }
 
   /**
-   * Recargar gift card
+   * Devolver a sus gift cards lo pagado en un pedido que no siguió (ej: el cliente abandonó el pago)
    */
-  async reloadGiftCard(code, amount, purchaserId) {
-    const giftCard = await prisma.giftCard.findUnique({ where: { code } });
+  async releaseOrderPayments(orderId, actor = null) {
+    const payments = await prisma.orderPayment.findMany({
+      where: { orderId, tenderType: TENDER_TYPES.GIFT_CARD, status: 'paid' }
+    });
 
-    if (!giftCard) throw new Error('Gift card no encontrada');
-    if (giftCard.status === 'cancelled') throw new Error('Gift card cancelada');
+    let released = 0;
+    for (const payment of payments) {
+      const { count } = await prisma.orderPayment.updateMany({
+        where: { id: payment.id, status: 'paid' },
+        data: { status: 'cancelled' }
+      });
+      if (count === 0) continue;
 
-    const newBalance = giftCard.currentBalance + amount;
+      const redemption = payment.reference
+        ? await prisma.giftCardTransaction.findUnique({ where: { id: payment.reference } })
+        : null;
+      if (!redemption) continue;
 
-    await prisma.$transaction([
-      prisma.giftCard.update({
-        where: { id: giftCard.id },
-        data: {
-          currentBalance: newBalance,
-          status: 'active',
-        },
-      }),
-      prisma.giftCardTransaction.create({
+      await this.reverseRedemption(redemption, { orderId, actor });
+      released = round(released + payment.amount);
+    }
+
+    if (released > 0) {
+      await orderPaymentsService.rollup(orderId, actor);
+    }
+    return released;
+  }
+
+  /**
+   * Devolver a la gift card un consumo (pedido que no siguió o venta POS que no se registró)
+   */
+  async reverseRedemption(redemption, { orderId = null, actor = null } = {}) {
+    const amount = round(Math.abs(redemption.amount));
+
+    return prisma.$transaction(async (tx) => {
+      const giftCard = await tx.giftCard.update({
+        where: { id: redemption.giftCardId },
+        data: { currentBalance: { increment: amount } }
+      });
+      // Una gift card agotada vuelve a estar activa (si no venció)
+      if (giftCard.status === GIFT_CARD_STATUSES.DEPLETED && giftCard.expiresAt > new Date()) {
+        await tx.giftCard.update({ where: { id: giftCard.id }, data: { status: GIFT_CARD_STATUSES.ACTIVE } });
+      }
+      return tx.giftCardTransaction.create({
         data: {
           giftCardId: giftCard.id,
+          storeId: giftCard.storeId,
+          type: GIFT_CARD_TRANSACTION_TYPES.REVERSAL,
           amount,
-          balanceAfter: newBalance,
-          type: 'reload',
-          purchaserId,
-        },
-      }),
-    ]);
+          balanceAfter: round(giftCard.currentBalance),
+          orderId,
+          reference: redemption.id,
+          actorId: actor?.id || null,
+          actorName: actor?.name || null
+        }
+      });
+    });
+  }
+
+  /**
+   * Pasar el saldo de una gift card al saldo a favor del cliente en el local
+   */
+  async redeemToStoreCredit(code, storeId, customerPhone, actor = null) {
+    const verification = await this.verifyGiftCard(storeId, code);
+    if (!verification.valid) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: verification.error });
+    }
+
+    const transaction = await this.debit(storeId, code, verification.balance, {
+      type: GIFT_CARD_TRANSACTION_TYPES.TO_STORE_CREDIT,
+      actor
+    });
+    const credit = await storeCreditService.grant(storeId, customerPhone, verification.balance, {
+      type: STORE_CREDIT_TYPES.GIFT_CARD,
+      reference: transaction.giftCardId,
+      note: `Gift card ${this.normalizeCode(code).slice(-4)}`,
+      actor
+    });
+    await prisma.giftCardTransaction.update({ where: { id: transaction.id }, data: { reference: credit.id } });
+
+    return { success: true, amount: verification.balance, balance: credit.balanceAfter };
+  }
+
+  // ---------------------------------------------------------------------------
+  // ENTREGA
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Entregar ahora o dejar programada para su fecha
+   */
+  async scheduleDelivery(giftCard) {
+    if (giftCard.deliveryChannel === 'none') {
+      return prisma.giftCard.update({
+        where: { id: giftCard.id },
+        data: { deliveryStatus: 'sent', deliveredAt: new Date() }
+      });
+    }
+    if (giftCard.deliveryDate && giftCard.deliveryDate > new Date()) {
+      return prisma.giftCard.update({ where: { id: giftCard.id }, data: { deliveryStatus: 'scheduled' } });
+    }
+    return this.deliver(giftCard.id);
+  }
+
+  /**
+   * Enviar la gift card a quien la recibe (WhatsApp o email) y avisar al comprador
+   */
+  async deliver(giftCardId) {
+    const giftCard = await prisma.giftCard.findUnique({
+      where: { id: giftCardId },
+      include: { store: { select: { name: true } }, design: true }
+    });
+    if (!giftCard || giftCard.status !== GIFT_CARD_STATUSES.ACTIVE) return giftCard;
+
+    const storeName = giftCard.store?.name || 'el local';
+    const greeting = giftCard.recipientName ? `¡Hola ${giftCard.recipientName}!` : '¡Hola!';
+    const from = giftCard.purchaserName ? `${giftCard.purchaserName} te regaló` : 'Te regalaron';
+    const message = giftCard.message || giftCard.design?.defaultMessage;
+    const expires = giftCard.expiresAt.toLocaleDateString('es-AR');
+
+    let result;
+    try {
+      if (giftCard.deliveryChannel === 'whatsapp') {
+        const { sendMessageToClient } = await import('./whatsapp-multi.service.js');
+        result = await sendMessageToClient(
+          giftCard.storeId,
+          giftCard.recipientPhone,
+          `🎁 *GIFT CARD DE ${storeName.toUpperCase()}*\n\n${greeting} ${from} una gift card de *${formatAmount(giftCard.currentBalance)}*.${message ? `\n\n💌 "${message}"` : ''}\n\n🔑 Código: *${giftCard.code}*\n📅 Vence el ${expires}\n\nUsala al pagar tu pedido (web, WhatsApp o en el local).`
+        );
+      } else {
+        result = await emailService.send(
+          giftCard.recipientEmail,
+          `🎁 ${from} una gift card de ${storeName}`,
+          `<h2>${greeting}</h2>
+          <p>${from} una gift card de <strong>${formatAmount(giftCard.currentBalance)}</strong> para usar en ${storeName}.</p>
+          ${giftCard.design?.imageUrl ? `<p><img src="${giftCard.design.imageUrl}" alt="Gift card" style="max-width: 100%;" /></p>` : ''}
+          ${message ? `<p><em>"${message}"</em></p>` : ''}
+          <p>Código: <strong style="font-size: 20px; letter-spacing: 2px;">${giftCard.code}</strong></p>
+          <p>Vence el ${expires}. Usala al pagar tu pedido.</p>`,
+          { storeId: giftCard.storeId }
+        );
+      }
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    const updated = await prisma.giftCard.update({
+      where: { id: giftCard.id },
+      data: result?.success
+        ? { deliveryStatus: 'sent', deliveredAt: new Date(), deliveryError: null }
+        : { deliveryStatus: 'failed', deliveryError: result?.error || 'Error desconocido' }
+    });
+
+    if (result?.success && giftCard.purchaserPhone && giftCard.purchaserPhone !== giftCard.recipientPhone) {
+      const { sendMessageToClient } = await import('./whatsapp-multi.service.js');
+      await sendMessageToClient(
+        giftCard.storeId,
+        giftCard.purchaserPhone,
+        `🎁 Tu gift card de ${formatAmount(giftCard.initialAmount)} para ${giftCard.recipientName || 'tu regalo'} ya fue entregada. ¡Gracias por tu compra!`
+      ).catch(() => null);
+    }
+
+    if (!result?.success) {
+      logger.warn({ giftCardId: giftCard.id, channel: giftCard.deliveryChannel, error: result?.error }, 'Gift card delivery failed');
+    } else {
+      logger.info({ giftCardId: giftCard.id, channel: giftCard.deliveryChannel }, 'Gift card delivered');
+    }
+    return updated;
+  }
 
-    logger.info({ giftCardId: giftCard.id, amount, newBalance }, 'Gift card reloaded');
-    return { success: true, newBalance };
+  // ---------------------------------------------------------------------------
+  // JOB PROGRAMADO: entregas programadas, recordatorios y vencimientos
+  // ---------------------------------------------------------------------------
+
+  async runScheduledJobs() {
+    if (this.running) return null;
+    this.running = true;
+
+    try {
+      const now = new Date();
+
+      const due = await prisma.giftCard.findMany({
+        where: { status: GIFT_CARD_STATUSES.ACTIVE, deliveryStatus: 'scheduled', deliveryDate: { lte: now } },
+        select: { id: true },
+        take: 100
+      });
+      for (const { id } of due) {
+        await this.deliver(id).catch(error => logger.error({ giftCardId: id, error: error.message }, 'Error delivering scheduled gift card'));
+      }
+
+      const reminders = await this.sendExpiryReminders(now);
+      const expired = await this.expireCards(now);
+
+      return { delivered: due.length, reminders, expired };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Aviso por WhatsApp a quien tiene una gift card con saldo que vence pronto (una sola vez)
+   */
+  async sendExpiryReminders(now = new Date()) {
+    const threshold = new Date(now.getTime() + EXPIRY_REMINDER_DAYS * 24 * 60 * 60 * 1000);
+    const expiring = await prisma.giftCard.findMany({
+      where: {
+        status: GIFT_CARD_STATUSES.ACTIVE,
+        currentBalance: { gt: 0 },
+        expiresAt: { gt: now, lte: threshold },
+        expiryReminderSentAt: null,
+        recipientPhone: { not: null }
+      },
+      take: 100
+    });
+    if (expiring.length === 0) return 0;
+
+    const { sendMessageToClient } = await import('./whatsapp-multi.service.js');
+    for (const giftCard of expiring) {
+      await sendMessageToClient(
+        giftCard.storeId,
+        giftCard.recipientPhone,
+        `⏰ Tu gift card terminada en *${giftCard.code.slice(-4)}* tiene ${formatAmount(giftCard.currentBalance)} y vence el ${giftCard.expiresAt.toLocaleDateString('es-AR')}. ¡Usala antes!`
+      ).catch(() => null);
+      await prisma.giftCard.update({ where: { id: giftCard.id }, data: { expiryReminderSentAt: now } });
+    }
+    return expiring.length;
   }
 
+  /**
+   * Vencer gift cards: el saldo sin usar sale del pasivo como vencido
+   */
+  async expireCards(now = new Date()) {
+    const expiring = await prisma.giftCard.findMany({
+      where: {
+        status: { in: [GIFT_CARD_STATUSES.ACTIVE, GIFT_CARD_STATUSES.DEPLETED] },
+        expiresAt: { lte: now }
+      },
+      take: 500
+    });
+
+    let count = 0;
+    for (const giftCard of expiring) {
+      await prisma.$transaction(async (tx) => {
+        const { count: claimed } = await tx.giftCard.updateMany({
+          where: { id: giftCard.id, status: giftCard.status },
+          data: { status: GIFT_CARD_STATUSES.EXPIRED, currentBalance: 0 }
+        });
+        if (claimed === 0 || !(giftCard.currentBalance > 0)) return;
+
+        await tx.giftCardTransaction.create({
+          data: {
+            giftCardId: giftCard.id,
+            storeId: giftCard.storeId,
+            type: GIFT_CARD_TRANSACTION_TYPES.EXPIRATION,
+            amount: -giftCard.currentBalance,
+            balanceAfter: 0
+          }
+        });
+      });
+      count++;
+    }
+
+    if (count > 0) {
+      logger.info({ count }, 'Gift cards expired');
+    }
+    return count;
+  }
+
+  // ---------------------------------------------------------------------------
+  // CONSULTAS Y ADMINISTRACIÓN
+  // ---------------------------------------------------------------------------
+
   /**
    * Obtener historial de transacciones
    */
-  async getTransactionHistory(code) {
+  async getTransactionHistory(storeId, code) {
     const giftCard = await prisma.giftCard.findUnique({
-      where: { code },
+      where: { code: this.normalizeCode(code) },
       include: {
         transactions: {
+          where: { status: 'completed' },
           orderBy: { createdAt: 'desc' },
           include: { order: { select: { orderNumber: true } } },
         },
       },
     });
 
-    if (!giftCard) throw new Error('Gift card no encontrada');
+    if (!giftCard || giftCard.storeId !== storeId) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Gift card no encontrada' });
+    }
 
     return {
       code: giftCard.code,
@@ -197,34 +781,69 @@ class GiftCardsService {
         type: t.type,
         amount: t.amount,
         balanceAfter: t.balanceAfter,
-        orderNumber: t.order?.orderNumber,
+        orderNumber: t.order ? orderNumberService.display(t.order.orderNumber) : null,
       })),
     };
   }
 
   /**
-   * Cancelar gift card
+   * Cancelar gift card: el saldo restante sale del pasivo
+   * Con customerPhone el saldo se pasa al saldo a favor del cliente; si no, lo devuelve el local a mano
    */
-  async cancelGiftCard(giftCardId, reason) {
+  async cancelGiftCard(storeId, giftCardId, reason, { customerPhone = null } = {}, actor = null) {
     const giftCard = await prisma.giftCard.findUnique({ where: { id: giftCardId } });
-    if (!giftCard) throw new Error('Gift card no encontrada');
+    if (!giftCard || giftCard.storeId !== storeId) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Gift card no encontrada' });
+    }
+    if ([GIFT_CARD_STATUSES.CANCELLED, GIFT_CARD_STATUSES.EXPIRED].includes(giftCard.status)) {
+      throw new AppError(ErrorCodes.CONFLICT, { message: 'La gift card ya está cerrada' });
+    }
 
-    await prisma.giftCard.update({
-      where: { id: giftCardId },
+    const { count } = await prisma.giftCard.updateMany({
+      where: { id: giftCardId, status: giftCard.status },
       data: {
-        status: 'cancelled',
+        status: GIFT_CARD_STATUSES.CANCELLED,
+        currentBalance: 0,
         cancelledAt: new Date(),
-        cancelReason: reason,
+        cancelReason: reason || null,
       },
     });
+    if (count === 0) {
+      throw new AppError(ErrorCodes.CONFLICT, { message: 'La gift card cambió, volvé a intentarlo' });
+    }
+
+    // Compras o recargas que seguían esperando el pago ya no se aplican
+    await prisma.giftCardTransaction.updateMany({
+      where: { giftCardId, status: 'pending' },
+      data: { status: 'failed' }
+    });
 
-    // Procesar reembolso si corresponde
+    let credit = null;
     if (giftCard.currentBalance > 0) {
-      // Integrar con sistema de pagos para reembolso
+      if (customerPhone) {
+        credit = await storeCreditService.grant(storeId, customerPhone, giftCard.currentBalance, {
+          type: STORE_CREDIT_TYPES.GIFT_CARD,
+          reference: giftCard.id,
+          note: `Gift card ${giftCard.code.slice(-4)} cancelada`,
+          actor
+        });
+      }
+      await prisma.giftCardTransaction.create({
+        data: {
+          giftCardId,
+          storeId,
+          type: GIFT_CARD_TRANSACTION_TYPES.CANCELLATION,
+          amount: -giftCard.currentBalance,
+          balanceAfter: 0,
+          reference: credit?.id || null,
+          actorId: actor?.id || null,
+          actorName: actor?.name || null
+        }
+      });
     }
 
-    logger.info({ giftCardId, reason }, 'Gift card cancelled');
-    return { success: true, refundAmount: giftCard.currentBalance };
+    logger.info({ giftCardId, reason, refundAmount: giftCard.currentBalance }, 'Gift card cancelled');
+    return { success: true, refundAmount: giftCard.currentBalance, refundMethod: credit ? 'store_credit' : 'manual' };
   }
 
   /**
@@ -242,7 +861,9 @@ class GiftCardsService {
           lte: endDate ? new Date(endDate) : undefined,
         },
       },
+      include: { design: { select: { name: true } } },
       orderBy: { createdAt: 'desc' },
+      take: 500,
     });
   }
 
@@ -254,11 +875,11 @@ class GiftCardsService {
     const endDate = new Date(year, 11, 31, 23, 59, 59);
 
     const giftCards = await prisma.giftCard.findMany({
-      where: { storeId, createdAt: { gte: startDate, lte: endDate } },
+      where: { storeId, createdAt: { gte: startDate, lte: endDate }, status: { not: GIFT_CARD_STATUSES.PENDING_PAYMENT } },
     });
 
     const totalSold = giftCards.reduce((sum, gc) => sum + gc.initialAmount, 0);
-    const totalRedeemed = giftCards.reduce((sum, gc) => sum + (gc.initialAmount - gc.currentBalance), 0);
+    const totalRedeemed = giftCards.reduce((sum, gc) => sum + Math.max(gc.initialAmount - gc.currentBalance, 0), 0);
     const unredeemed = totalSold - totalRedeemed;
 
     return {
@@ -278,16 +899,88 @@ class GiftCardsService {
     };
   }
 
+  /**
+   * Reporte contable: saldo pendiente (pasivo) al día de hoy y movimientos del período
+   * Vendido + recargado = consumido + vencido + cancelado + pasado a saldo a favor + saldo pendiente
+   */
+  async getLiabilityReport(storeId, { from, to }) {
+    const now = new Date();
+    const [outstandingCards, transactions] = await Promise.all([
+      prisma.giftCard.findMany({
+        where: { storeId, status: GIFT_CARD_STATUSES.ACTIVE, currentBalance: { gt: 0 } },
+        select: { currentBalance: true, expiresAt: true }
+      }),
+      prisma.giftCardTransaction.findMany({
+        where: { storeId, status: 'completed', createdAt: { gte: from, lte: to } },
+        select: { type: true, amount: true }
+      })
+    ]);
+
+    const sumType = (type) => round(Math.abs(transactions.filter(t => t.type === type).reduce((sum, t) => sum + t.amount, 0)));
+    const dayMs = 24 * 60 * 60 * 1000;
+    const aging = { within30Days: 0, within90Days: 0, later: 0 };
+    for (const card of outstandingCards) {
+      const days = (card.expiresAt - now) / dayMs;
+      const bucket = days <= 30 ? 'within30Days' : days <= 90 ? 'within90Days' : 'later';
+      aging[bucket] = round(aging[bucket] + card.currentBalance);
+    }
+
+    return {
+      from,
+      to,
+      outstanding: {
+        cards: outstandingCards.length,
+        balance: round(outstandingCards.reduce((sum, c) => sum + c.currentBalance, 0)),
+        expiring: aging
+      },
+      period: {
+        sold: sumType(GIFT_CARD_TRANSACTION_TYPES.PURCHASE),
+        soldCount: transactions.filter(t => t.type === GIFT_CARD_TRANSACTION_TYPES.PURCHASE).length,
+        reloaded: sumType(GIFT_CARD_TRANSACTION_TYPES.RELOAD),
+        redeemed: round(sumType(GIFT_CARD_TRANSACTION_TYPES.REDEMPTION) - sumType(GIFT_CARD_TRANSACTION_TYPES.REVERSAL)),
+        toStoreCredit: sumType(GIFT_CARD_TRANSACTION_TYPES.TO_STORE_CREDIT),
+        expired: sumType(GIFT_CARD_TRANSACTION_TYPES.EXPIRATION),
+        cancelled: sumType(GIFT_CARD_TRANSACTION_TYPES.CANCELLATION)
+      }
+    };
+  }
+
   /**
    * Obtener diseños disponibles
    */
-  async getDesigns(storeId) {
+  async getDesigns(storeId, { includeInactive = false } = {}) {
     return prisma.giftCardDesign.findMany({
-      where: { storeId, isActive: true },
+      where: { storeId, ...(!includeInactive && { isActive: true }) },
       orderBy: { name: 'asc' },
     });
   }
 
+  /**
+   * Crear o actualizar un diseño
+   */
+  async saveDesign(storeId, data, designId = null) {
+    if (!designId && !data.name) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El diseño necesita un nombre' });
+    }
+    const fields = {
+      ...(data.name !== undefined && { name: data.name }),
+      ...(data.imageUrl !== undefined && { imageUrl: data.imageUrl || null }),
+      ...(data.backgroundColor !== undefined && { backgroundColor: data.backgroundColor || null }),
+      ...(data.defaultMessage !== undefined && { defaultMessage: data.defaultMessage || null }),
+      ...(data.isActive !== undefined && { isActive: !!data.isActive })
+    };
+
+    if (!designId) {
+      return prisma.giftCardDesign.create({ data: { storeId, ...fields } });
+    }
+
+    const design = await prisma.giftCardDesign.findFirst({ where: { id: designId, storeId } });
+    if (!design) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Diseño no encontrado' });
+    }
+    return prisma.giftCardDesign.update({ where: { id: designId }, data: fields });
+  }
+
   /**
    * Verificar gift cards por expirar
    */
@@ -298,7 +991,7 @@ class GiftCardsService {
     return prisma.giftCard.findMany({
       where: {
         storeId,
-        status: 'active',
+        status: GIFT_CARD_STATUSES.ACTIVE,
         currentBalance: { gt: 0 },
         expiresAt: { lte: threshold, gte: new Date() },
       },
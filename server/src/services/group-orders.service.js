@@ -1,269 +1,641 @@
 /**
  * Sistema de Pedidos Grupales
+ * El organizador abre un carrito compartido y pasa el código (o el link) por WhatsApp.
+ * Cada participante suma sus ítems antes del cierre; después el organizador envía un
+ * único pedido al local y a cada uno se le calcula su parte (ítems + parte del envío),
+ * con un link de MercadoPago opcional para pagarla.
  */
 
+import crypto from 'crypto';
 import prisma from '../utils/prisma.js';
 import logger from '../utils/logger.js';
-import crypto from 'crypto';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+import { orderHistoryService, ORDER_CHANNELS } from './order-history.service.js';
+import { orderNumberService } from './order-number.service.js';
+import { orderPricingService } from './order-pricing.service.js';
+import { orderPaymentsService } from './order-payments.service.js';
+import { orderStateValidator } from './order-state-validator.service.js';
+import { orderCapacityService } from './order-capacity.service.js';
+import { pickupService } from './pickup.service.js';
+import { deliveryCodeService } from './delivery-code.service.js';
+import paymentGatewayService from './payment-gateway.service.js';
+
+export const GROUP_STATUS = {
+  COLLECTING: 'collecting',
+  ORDERED: 'ordered',
+  CANCELLED: 'cancelled',
+};
+
+// Los grupos se piden para envío o para retirar (las mesas tienen su propia cuenta compartida)
+const GROUP_FULFILLMENT_TYPES = ['delivery', 'pickup'];
+
+const DELIVERY_FEE_SPLITS = ['equal', 'host'];
+
+const DEFAULT_DEADLINE_MINUTES = 120;
+const MAX_DEADLINE_HOURS = 24;
+const MAX_PARTICIPANTS = 50;
+
+const round = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const generateJoinCode = () => crypto.randomBytes(4).toString('hex').toUpperCase();
+
+const generateToken = () => crypto.randomBytes(16).toString('hex');
+
+// JID de WhatsApp tal cual; teléfonos escritos a mano, solo dígitos
+const normalizePhone = (phone) => {
+  if (!phone) return null;
+  const value = String(phone).trim();
+  if (value.includes('@')) return value;
+  const digits = value.replace(/\D/g, '');
+  return digits.length >= 8 ? digits : null;
+};
+
+const parseItems = (raw) => {
+  if (!raw) return [];
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return [];
+  }
+};
+
+const money = (value) => `$${round(value).toLocaleString('es-AR')}`;
 
 class GroupOrdersService {
   /**
-   * Crear pedido grupal
+   * Link para compartir el grupo
+   */
+  getShareLink(joinCode) {
+    return `${process.env.FRONTEND_URL || 'https://elbuenmenu.site'}/group/${joinCode}`;
+  }
+
+  /**
+   * Link de WhatsApp con el mensaje de invitación listo para reenviar
    */
-  async createGroupOrder(storeId, hostId, config) {
-    const { name, maxParticipants, deadline, deliveryAddress, notes } = config;
+  getWhatsAppShareUrl(groupOrder, storeName) {
+    const text = `🛒 ¡Sumate a "${groupOrder.name}"${storeName ? ` en ${storeName}` : ''}!\n\n` +
+      `Elegí lo tuyo antes de las ${new Date(groupOrder.deadline).toLocaleTimeString('es-AR', { hour: '2-digit', minute: '2-digit' })}.\n\n` +
+      `🔑 Código: ${groupOrder.joinCode}\n🔗 ${this.getShareLink(groupOrder.joinCode)}`;
+    return `https://wa.me/?text=${encodeURIComponent(text)}`;
+  }
+
+  /**
+   * Crear pedido grupal (el organizador queda como primer participante)
+   */
+  async createGroupOrder(storeId, config) {
+    const {
+      hostName,
+      hostPhone = null,
+      name = null,
+      maxParticipants = 10,
+      deadline = null,
+      fulfillmentType = 'delivery',
+      deliveryAddress = null,
+      deliveryFeeSplit = 'equal',
+      notes = null,
+    } = config;
+
+    if (!hostName || !String(hostName).trim()) {
+      throw new AppError(ErrorCodes.MISSING_FIELD, { message: 'El nombre del organizador es requerido' });
+    }
+    if (!GROUP_FULFILLMENT_TYPES.includes(fulfillmentType)) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'fulfillment_type debe ser delivery o pickup' });
+    }
+    if (fulfillmentType === 'delivery' && !deliveryAddress) {
+      throw new AppError(ErrorCodes.MISSING_FIELD, { message: 'La dirección de entrega es requerida para envíos' });
+    }
+    if (!DELIVERY_FEE_SPLITS.includes(deliveryFeeSplit)) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: `División del envío inválida. Opciones: ${DELIVERY_FEE_SPLITS.join(', ')}` });
+    }
+    if (!Number.isInteger(maxParticipants) || maxParticipants < 2 || maxParticipants > MAX_PARTICIPANTS) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: `El grupo debe admitir entre 2 y ${MAX_PARTICIPANTS} participantes` });
+    }
+
+    const now = Date.now();
+    const cutoff = deadline ? new Date(deadline) : new Date(now + DEFAULT_DEADLINE_MINUTES * 60 * 1000);
+    if (Number.isNaN(cutoff.getTime()) || cutoff.getTime() <= now) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El horario de cierre debe ser futuro' });
+    }
+    if (cutoff.getTime() > now + MAX_DEADLINE_HOURS * 60 * 60 * 1000) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: `El cierre no puede ser dentro de más de ${MAX_DEADLINE_HOURS} horas` });
+    }
 
-    const joinCode = this.generateJoinCode();
+    const store = await prisma.store.findUnique({ where: { id: storeId }, select: { id: true, name: true } });
+    if (!store) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Local no encontrado' });
+    }
 
+    const participantToken = generateToken();
     const groupOrder = await prisma.groupOrder.create({
       data: {
         storeId,
-        hostId,
-        name: name || 'Pedido grupal',
-        joinCode,
-        maxParticipants: maxParticipants || 10,
-        deadline: deadline ? new Date(deadline) : new Date(Date.now() + 2 * 60 * 60 * 1000),
-        deliveryAddress,
+        name: name?.trim() || 'Pedido grupal',
+        joinCode: generateJoinCode(),
+        hostToken: generateToken(),
+        hostName: String(hostName).trim(),
+        hostPhone: normalizePhone(hostPhone),
+        maxParticipants,
+        deadline: cutoff,
+        fulfillmentType,
+        deliveryAddress: fulfillmentType === 'delivery' ? deliveryAddress : null,
+        deliveryFeeSplit,
         notes,
-        status: 'collecting',
+        participants: {
+          create: {
+            token: participantToken,
+            name: String(hostName).trim(),
+            phone: normalizePhone(hostPhone),
+            isHost: true,
+          },
+        },
       },
     });
 
-    // Agregar host como participante
-    await this.joinGroupOrder(groupOrder.id, hostId, true);
+    logger.info({ groupOrderId: groupOrder.id, storeId }, 'Group order created');
+    return {
+      groupOrder,
+      hostToken: groupOrder.hostToken,
+      participantToken,
+      shareLink: this.getShareLink(groupOrder.joinCode),
+      whatsappShareUrl: this.getWhatsAppShareUrl(groupOrder, store.name),
+    };
+  }
 
-    logger.info({ groupOrderId: groupOrder.id, hostId }, 'Group order created');
-    return { ...groupOrder, shareLink: `${process.env.CLIENT_URL}/group/${joinCode}` };
+  async getByCode(joinCode) {
+    const groupOrder = await prisma.groupOrder.findUnique({
+      where: { joinCode: String(joinCode || '').toUpperCase().trim() },
+      include: {
+        participants: { orderBy: { createdAt: 'asc' } },
+        store: { select: { id: true, name: true } },
+        order: { select: { id: true, orderNumber: true, status: true, total: true, paymentStatus: true } },
+      },
+    });
+    if (!groupOrder) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Pedido grupal no encontrado' });
+    }
+    return groupOrder;
   }
 
-  generateJoinCode() {
-    return crypto.randomBytes(4).toString('hex').toUpperCase();
+  assertHost(groupOrder, hostToken) {
+    if (!hostToken || groupOrder.hostToken !== hostToken) {
+      throw new AppError(ErrorCodes.FORBIDDEN, { message: 'Solo el organizador puede hacer esto' });
+    }
+  }
+
+  assertCollecting(groupOrder, { checkDeadline = true } = {}) {
+    if (groupOrder.status !== GROUP_STATUS.COLLECTING) {
+      throw new AppError(ErrorCodes.CONFLICT, {
+        message: groupOrder.status === GROUP_STATUS.ORDERED ? 'El pedido grupal ya fue enviado' : 'El pedido grupal fue cancelado',
+      });
+    }
+    if (checkDeadline && new Date() > new Date(groupOrder.deadline)) {
+      throw new AppError(ErrorCodes.CONFLICT, { message: 'El pedido grupal ya cerró' });
+    }
+  }
+
+  findParticipant(groupOrder, participantToken) {
+    const participant = groupOrder.participants.find(p => p.token === participantToken);
+    if (!participant) {
+      throw new AppError(ErrorCodes.FORBIDDEN, { message: 'No sos participante de este pedido grupal' });
+    }
+    return participant;
   }
 
   /**
-   * Unirse a pedido grupal
+   * Unirse por código (con el mismo teléfono se recupera la participación anterior)
    */
-  async joinGroupOrder(groupOrderId, customerId, isHost = false) {
-    const groupOrder = await prisma.groupOrder.findUnique({ where: { id: groupOrderId } });
-
-    if (!groupOrder) throw new Error('Pedido grupal no encontrado');
-    if (groupOrder.status !== 'collecting') throw new Error('El pedido ya no acepta participantes');
-    if (new Date() > groupOrder.deadline) throw new Error('El tiempo para unirse ha expirado');
+  async joinByCode(joinCode, { name, phone = null }) {
+    if (!name || !String(name).trim()) {
+      throw new AppError(ErrorCodes.MISSING_FIELD, { message: 'Tu nombre es requerido' });
+    }
 
-    const participantCount = await prisma.groupOrderParticipant.count({
-      where: { groupOrderId },
-    });
+    const groupOrder = await this.getByCode(joinCode);
+    this.assertCollecting(groupOrder);
 
-    if (participantCount >= groupOrder.maxParticipants) {
-      throw new Error('El pedido ha alcanzado el máximo de participantes');
+    const normalizedPhone = normalizePhone(phone);
+    const existing = normalizedPhone && groupOrder.participants.find(p => p.phone === normalizedPhone);
+    if (existing) {
+      return { participant: existing, rejoined: true };
     }
 
-    const existing = await prisma.groupOrderParticipant.findFirst({
-      where: { groupOrderId, customerId },
-    });
-
-    if (existing) throw new Error('Ya estás en este pedido grupal');
+    if (groupOrder.participants.length >= groupOrder.maxParticipants) {
+      throw new AppError(ErrorCodes.CONFLICT, { message: 'El pedido grupal alcanzó el máximo de participantes' });
+    }
 
     const participant = await prisma.groupOrderParticipant.create({
       data: {
-        groupOrderId,
-        customerId,
-        isHost,
-        status: 'selecting',
+        groupOrderId: groupOrder.id,
+        token: generateToken(),
+        name: String(name).trim(),
+        phone: normalizedPhone,
       },
     });
 
-    logger.info({ groupOrderId, customerId }, 'Joined group order');
-    return participant;
-  }
-
-  /**
-   * Unirse por código
-   */
-  async joinByCode(joinCode, customerId) {
-    const groupOrder = await prisma.groupOrder.findFirst({
-      where: { joinCode: joinCode.toUpperCase() },
-    });
-
-    if (!groupOrder) throw new Error('Código inválido');
-
-    return this.joinGroupOrder(groupOrder.id, customerId);
+    logger.info({ groupOrderId: groupOrder.id, participantId: participant.id }, 'Joined group order');
+    return { participant, rejoined: false };
   }
 
   /**
-   * Agregar items al pedido individual
+   * Reemplazar los ítems del participante (precios calculados por el servidor)
+   * Con la lista vacía vuelve a "eligiendo"
    */
-  async addItems(groupOrderId, customerId, items) {
-    const participant = await prisma.groupOrderParticipant.findFirst({
-      where: { groupOrderId, customerId },
-    });
-
-    if (!participant) throw new Error('No eres participante de este pedido');
+  async setItems(joinCode, participantToken, items) {
+    if (!Array.isArray(items)) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'items debe ser una lista' });
+    }
 
-    const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    const groupOrder = await this.getByCode(joinCode);
+    this.assertCollecting(groupOrder);
+    const participant = this.findParticipant(groupOrder, participantToken);
+
+    const priced = [];
+    for (let i = 0; i < items.length; i++) {
+      const item = await orderPricingService.priceItem(groupOrder.storeId, items[i], i);
+      priced.push({
+        productId: item.productId,
+        productName: item.productName,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        subtotal: item.subtotal,
+        selectedOptions: items[i].selected_options ?? items[i].selectedOptions ?? {},
+        options: item.options,
+      });
+    }
 
-    await prisma.groupOrderParticipant.update({
+    const subtotal = round(priced.reduce((sum, item) => sum + item.subtotal, 0));
+    const updated = await prisma.groupOrderParticipant.update({
       where: { id: participant.id },
       data: {
-        items: JSON.stringify(items),
+        items: JSON.stringify(priced),
         subtotal,
-        status: 'ready',
+        status: priced.length > 0 ? 'ready' : 'selecting',
       },
     });
 
-    return { success: true, subtotal };
+    return { participantId: updated.id, status: updated.status, items: priced, subtotal };
   }
 
   /**
-   * Obtener estado del pedido grupal
+   * Salir del grupo (el organizador no puede salir, puede cancelar)
    */
-  async getGroupOrderStatus(groupOrderId) {
-    const groupOrder = await prisma.groupOrder.findUnique({
-      where: { id: groupOrderId },
-      include: {
-        participants: {
-          include: {
-            customer: { select: { id: true, name: true, avatar: true } },
-          },
-        },
-        store: { select: { name: true, logo: true } },
-      },
-    });
+  async leave(joinCode, participantToken) {
+    const groupOrder = await this.getByCode(joinCode);
+    this.assertCollecting(groupOrder, { checkDeadline: false });
+    const participant = this.findParticipant(groupOrder, participantToken);
+    if (participant.isHost) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El organizador no puede salir del grupo. Podés cancelarlo.' });
+    }
+
+    await prisma.groupOrderParticipant.delete({ where: { id: participant.id } });
+    return { success: true };
+  }
+
+  /**
+   * Parte de cada participante: sus ítems más su parte del envío
+   * El envío se divide en partes iguales entre quienes pidieron (los centavos van al último)
+   * o lo paga completo el organizador
+   */
+  computeShares(participants, deliveryFee, deliveryFeeSplit) {
+    const fee = round(deliveryFee);
+    const payers = participants.filter(p => p.subtotal > 0);
+    const host = payers.find(p => p.isHost);
+
+    const feeShares = new Map();
+    if (fee > 0 && payers.length > 0) {
+      if (deliveryFeeSplit === 'host' && host) {
+        feeShares.set(host.id, fee);
+      } else {
+        const share = Math.floor((fee / payers.length) * 100) / 100;
+        payers.forEach((p, index) => {
+          feeShares.set(p.id, index === payers.length - 1 ? round(fee - share * (payers.length - 1)) : share);
+        });
+      }
+    }
+
+    return payers.map(p => ({
+      participantId: p.id,
+      name: p.name,
+      itemsSubtotal: round(p.subtotal),
+      deliveryFeeShare: feeShares.get(p.id) || 0,
+      shareAmount: round(p.subtotal + (feeShares.get(p.id) || 0)),
+    }));
+  }
 
-    if (!groupOrder) throw new Error('Pedido grupal no encontrado');
+  /**
+   * Estado del grupo (el token del participante agrega su link de pago; el del organizador, el control del grupo)
+   */
+  async getGroupOrderStatus(joinCode, { participantToken = null, hostToken = null } = {}) {
+    const groupOrder = await this.getByCode(joinCode);
+    const isHost = !!hostToken && hostToken === groupOrder.hostToken;
 
     const participants = groupOrder.participants.map(p => ({
       id: p.id,
-      customerId: p.customerId,
-      name: p.customer?.name || 'Anónimo',
-      avatar: p.customer?.avatar,
+      name: p.name,
       isHost: p.isHost,
+      isMe: !!participantToken && p.token === participantToken,
       status: p.status,
-      items: p.items ? JSON.parse(p.items) : [],
+      items: parseItems(p.items),
       subtotal: p.subtotal,
+      shareAmount: p.shareAmount,
+      paymentStatus: p.paymentStatus,
+      ...((isHost || p.token === participantToken) && { paymentLink: p.paymentLink }),
     }));
 
     const readyCount = participants.filter(p => p.status === 'ready').length;
-    const total = participants.reduce((sum, p) => sum + (p.subtotal || 0), 0);
+    const itemsSubtotal = round(participants.reduce((sum, p) => sum + (p.subtotal || 0), 0));
 
     return {
-      ...groupOrder,
+      id: groupOrder.id,
+      name: groupOrder.name,
+      joinCode: groupOrder.joinCode,
+      status: groupOrder.status,
+      store: groupOrder.store,
+      hostName: groupOrder.hostName,
+      fulfillmentType: groupOrder.fulfillmentType,
+      deliveryAddress: groupOrder.deliveryAddress,
+      deliveryFeeSplit: groupOrder.deliveryFeeSplit,
+      deadline: groupOrder.deadline,
+      timeRemaining: Math.max(0, new Date(groupOrder.deadline) - new Date()),
+      maxParticipants: groupOrder.maxParticipants,
+      isHost,
+      shareLink: this.getShareLink(groupOrder.joinCode),
       participants,
       summary: {
         participantCount: participants.length,
         readyCount,
-        total,
+        itemsSubtotal,
         allReady: readyCount === participants.length && participants.length > 0,
       },
-      timeRemaining: Math.max(0, new Date(groupOrder.deadline) - new Date()),
+      order: groupOrder.order,
+      finalizedAt: groupOrder.finalizedAt,
+      cancelReason: groupOrder.cancelReason,
     };
   }
 
   /**
-   * Finalizar pedido grupal (solo host)
+   * Enviar el pedido grupal al local (solo el organizador)
+   * Se crea un único pedido con los ítems de todos y se fija la parte de cada participante
+   * @param {{ paymentLinks?: boolean, paymentMethod?: string }} options
    */
-  async finalizeGroupOrder(groupOrderId, hostId) {
-    const groupOrder = await prisma.groupOrder.findUnique({
-      where: { id: groupOrderId },
-      include: { participants: true },
+  async finalizeGroupOrder(joinCode, hostToken, { paymentLinks = false, paymentMethod = null } = {}) {
+    const groupOrder = await this.getByCode(joinCode);
+    this.assertHost(groupOrder, hostToken);
+    // El organizador puede enviar después del cierre (el cierre solo frena a los participantes)
+    this.assertCollecting(groupOrder, { checkDeadline: false });
+
+    const withItems = groupOrder.participants.filter(p => parseItems(p.items).length > 0);
+    if (withItems.length === 0) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Nadie agregó productos al pedido grupal' });
+    }
+
+    // Recotizar todo al enviar: los precios pueden haber cambiado mientras se armaba el grupo
+    const lines = withItems.flatMap(p => parseItems(p.items).map(item => ({ participant: p, item })));
+    const pricing = await orderPricingService.priceOrder({
+      storeId: groupOrder.storeId,
+      items: lines.map(({ item }) => ({
+        product_id: item.productId,
+        product_name: item.productName,
+        quantity: item.quantity,
+        selected_options: item.selectedOptions,
+      })),
+      fulfillmentType: groupOrder.fulfillmentType,
+      discountCode: null,
     });
 
-    if (!groupOrder) throw new Error('Pedido grupal no encontrado');
-    if (groupOrder.hostId !== hostId) throw new Error('Solo el organizador puede finalizar');
-    if (groupOrder.status !== 'collecting') throw new Error('El pedido ya fue finalizado');
+    if (groupOrder.fulfillmentType === 'pickup') {
+      await pickupService.checkCapacity(groupOrder.storeId);
+    }
+    const { deferTo } = await orderCapacityService.admit(groupOrder.storeId, { items: pricing.items });
 
-    // Verificar que haya al menos un participante con items
-    const withItems = groupOrder.participants.filter(p => p.subtotal > 0);
-    if (withItems.length === 0) throw new Error('No hay items en el pedido');
+    // Tomar el grupo antes de crear el pedido (dos envíos simultáneos no crean dos pedidos)
+    const { count } = await prisma.groupOrder.updateMany({
+      where: { id: groupOrder.id, status: GROUP_STATUS.COLLECTING },
+      data: { status: GROUP_STATUS.ORDERED, finalizedAt: new Date() },
+    });
+    if (count === 0) {
+      throw new AppError(ErrorCodes.CONFLICT, { message: 'El pedido grupal ya fue enviado' });
+    }
 
-    // Consolidar todos los items
-    const allItems = [];
-    let total = 0;
+    const subtotals = new Map();
+    lines.forEach(({ participant }, index) => {
+      subtotals.set(participant.id, round((subtotals.get(participant.id) || 0) + pricing.items[index].subtotal));
+    });
+    const shares = this.computeShares(
+      withItems.map(p => ({ ...p, subtotal: subtotals.get(p.id) || 0 })),
+      pricing.deliveryFee,
+      groupOrder.deliveryFeeSplit
+    );
+
+    let order;
+    try {
+      const { orderNumber, sequenceNumber, sequenceScope } = await orderNumberService.generate(groupOrder.storeId);
+      const participantsNote = withItems
+        .map(p => `${p.name}: ${parseItems(p.items).map(item => `${item.quantity}x ${item.productName}`).join(', ')}`)
+        .join('\n');
+
+      order = await prisma.order.create({
+        data: {
+          storeId: groupOrder.storeId,
+          orderNumber,
+          sequenceNumber,
+          sequenceScope,
+          customerName: `${groupOrder.hostName} (${groupOrder.name})`,
+          customerPhone: groupOrder.hostPhone,
+          customerAddress: groupOrder.deliveryAddress,
+          status: 'pending',
+          paymentMethod: paymentLinks ? 'mercadopago' : paymentMethod,
+          paymentStatus: 'pending',
+          fulfillmentType: pricing.fulfillmentType,
+          subtotal: pricing.subtotal,
+          deliveryFee: pricing.deliveryFee,
+          discount: pricing.discount,
+          total: pricing.total,
+          priceBreakdown: JSON.stringify(orderPricingService.buildBreakdown(pricing)),
+          notes: [`Pedido grupal: ${groupOrder.name}`, participantsNote, groupOrder.notes].filter(Boolean).join('\n'),
+          scheduledFor: deferTo || null,
+          deliveryCode: pricing.fulfillmentType === 'pickup' ? deliveryCodeService.generateDeliveryCode() : null,
+          items: {
+            create: lines.map(({ item }, index) => ({
+              productId: pricing.items[index].productId,
+              productName: pricing.items[index].productName,
+              quantity: pricing.items[index].quantity,
+              unitPrice: pricing.items[index].unitPrice,
+              subtotal: pricing.items[index].subtotal,
+              selectedOptions: typeof item.selectedOptions === 'string'
+                ? item.selectedOptions
+                : JSON.stringify(item.selectedOptions || {}),
+            })),
+          },
+        },
+        include: { items: true },
+      });
+    } catch (error) {
+      // Sin pedido, el grupo vuelve a estar abierto
+      await prisma.groupOrder.update({
+        where: { id: groupOrder.id },
+        data: { status: GROUP_STATUS.COLLECTING, finalizedAt: null },
+      });
+      throw error;
+    }
 
-    for (const p of withItems) {
-      const items = JSON.parse(p.items || '[]');
-      items.forEach(item => {
-        item.participantId = p.id;
-        item.participantName = p.customer?.name;
-        allItems.push(item);
+    await prisma.groupOrder.update({ where: { id: groupOrder.id }, data: { orderId: order.id } });
+    for (const share of shares) {
+      await prisma.groupOrderParticipant.update({
+        where: { id: share.participantId },
+        data: { subtotal: share.itemsSubtotal, shareAmount: share.shareAmount },
       });
-      total += p.subtotal;
     }
 
-    // Crear pedido real
-    const order = await prisma.order.create({
-      data: {
-        storeId: groupOrder.storeId,
-        customerId: hostId,
-        customerName: 'Pedido Grupal',
-        deliveryAddress: groupOrder.deliveryAddress,
-        subtotal: total,
-        total,
-        status: 'pending',
-        isGroupOrder: true,
-        groupOrderId,
-        notes: `Pedido grupal: ${groupOrder.name}\nParticipantes: ${withItems.length}`,
-        items: {
-          create: allItems.map(item => ({
-            productId: item.productId,
-            productName: item.name,
-            quantity: item.quantity,
-            unitPrice: item.price,
-            subtotal: item.price * item.quantity,
-            notes: `Para: ${item.participantName}`,
-          })),
-        },
-      },
+    await orderHistoryService.logOrderCreated(order, {
+      id: null,
+      name: groupOrder.hostName,
+      role: 'customer',
+      channel: ORDER_CHANNELS.WEB,
     });
+    await orderStateValidator.runEffects(order.id, ['refresh_eta']);
 
-    await prisma.groupOrder.update({
-      where: { id: groupOrderId },
-      data: {
-        status: 'ordered',
-        orderId: order.id,
-        finalizedAt: new Date(),
-      },
-    });
+    if (paymentLinks) {
+      await this.createPaymentLinks(order, withItems, shares);
+    }
+    await this.notifyParticipants(groupOrder, order, withItems);
 
-    logger.info({ groupOrderId, orderId: order.id }, 'Group order finalized');
-    return order;
+    logger.info({ groupOrderId: groupOrder.id, orderId: order.id, participants: withItems.length }, 'Group order finalized');
+    return {
+      order,
+      shares,
+      deferredTo: deferTo || null,
+      status: await this.getGroupOrderStatus(groupOrder.joinCode, { hostToken }),
+    };
   }
 
   /**
-   * Cancelar pedido grupal
+   * Un link de MercadoPago por la parte de cada participante
+   * El webhook identifica la parte pagada por metadata.group_participant_id
    */
-  async cancelGroupOrder(groupOrderId, hostId, reason) {
-    const groupOrder = await prisma.groupOrder.findUnique({ where: { id: groupOrderId } });
+  async createPaymentLinks(order, participants, shares) {
+    const orderLabel = orderNumberService.display(order.orderNumber);
+    let linkedTotal = 0;
+
+    for (const share of shares) {
+      const participant = participants.find(p => p.id === share.participantId);
+      try {
+        const checkout = await paymentGatewayService.createOrderCheckout(order.storeId, {
+          orderId: order.id,
+          orderNumber: order.orderNumber,
+          amount: share.shareAmount,
+          title: `Tu parte del pedido grupal ${orderLabel}`,
+          customerName: participant.name,
+          customerEmail: null,
+          customerPhone: participant.phone ? participant.phone.split('@')[0] : null,
+          total: share.shareAmount,
+          deliveryFee: 0,
+          metadata: { group_participant_id: participant.id },
+        });
+        await prisma.groupOrderParticipant.update({
+          where: { id: participant.id },
+          data: { paymentLink: checkout.checkoutUrl },
+        });
+        linkedTotal = round(linkedTotal + share.shareAmount);
+      } catch (error) {
+        // Sin MercadoPago configurado el pedido sigue: cada uno le paga al organizador
+        logger.warn({ orderId: order.id, participantId: participant.id, error: error.message }, 'No se pudo crear el link de pago del participante');
+      }
+    }
 
-    if (!groupOrder) throw new Error('Pedido grupal no encontrado');
-    if (groupOrder.hostId !== hostId) throw new Error('Solo el organizador puede cancelar');
+    // Un solo pago pendiente de MercadoPago por la suma de las partes con link
+    if (linkedTotal > 0) {
+      await orderPaymentsService.openTender(order.id, { tenderType: 'mercadopago', amount: linkedTotal })
+        .catch(error => logger.warn({ orderId: order.id, error: error.details?.message || error.message }, 'Could not register pending group payments'));
+    }
+  }
+
+  /**
+   * Avisar por WhatsApp a cada participante su parte (y su link de pago si tiene)
+   */
+  async notifyParticipants(groupOrder, order, participants) {
+    const updated = await prisma.groupOrderParticipant.findMany({
+      where: { id: { in: participants.map(p => p.id) }, phone: { not: null } },
+    });
+    if (updated.length === 0) return;
+
+    try {
+      const { sendMessageToClient } = await import('./whatsapp-multi.service.js');
+      const orderLabel = orderNumberService.display(order.orderNumber);
+
+      for (const participant of updated) {
+        const items = parseItems(participant.items).map(item => `• ${item.quantity}x ${item.productName}`).join('\n');
+        let message = `🛒 *${groupOrder.name}* fue enviado al local (pedido ${orderLabel}).\n\n` +
+          `📋 *Lo tuyo:*\n${items}\n\n💰 *Tu parte:* ${money(participant.shareAmount)}`;
+        if (participant.paymentLink) {
+          message += `\n\n💳 Pagá tu parte acá:\n${participant.paymentLink}`;
+        } else if (!participant.isHost) {
+          message += `\n\n💵 Coordiná el pago de tu parte con ${groupOrder.hostName}.`;
+        }
+        await sendMessageToClient(groupOrder.storeId, participant.phone, message);
+      }
+    } catch (error) {
+      // No fallar el envío del grupo si no se pudo avisar
+      logger.error({ groupOrderId: groupOrder.id, error: error.message }, 'Error avisando a los participantes del pedido grupal');
+    }
+  }
+
+  /**
+   * Marcar pagada la parte de un participante (webhook de MercadoPago)
+   */
+  async markParticipantPaid(participantId, { reference = null } = {}) {
+    const participant = await prisma.groupOrderParticipant.findUnique({ where: { id: participantId } });
+    if (!participant || participant.paymentStatus === 'paid') return participant;
+
+    const updated = await prisma.groupOrderParticipant.update({
+      where: { id: participantId },
+      data: { paymentStatus: 'paid', paymentReference: reference, paidAt: new Date() },
+    });
+    logger.info({ participantId, groupOrderId: participant.groupOrderId, reference }, 'Group order share paid');
+    return updated;
+  }
+
+  /**
+   * Cancelar pedido grupal (solo el organizador, antes de enviarlo)
+   */
+  async cancelGroupOrder(joinCode, hostToken, reason = null) {
+    const groupOrder = await this.getByCode(joinCode);
+    this.assertHost(groupOrder, hostToken);
+    this.assertCollecting(groupOrder, { checkDeadline: false });
 
     await prisma.groupOrder.update({
-      where: { id: groupOrderId },
-      data: { status: 'cancelled', cancelReason: reason },
+      where: { id: groupOrder.id },
+      data: { status: GROUP_STATUS.CANCELLED, cancelReason: reason },
     });
 
-    logger.info({ groupOrderId, reason }, 'Group order cancelled');
+    logger.info({ groupOrderId: groupOrder.id, reason }, 'Group order cancelled');
     return { success: true };
   }
 
   /**
-   * Obtener pedidos grupales activos
+   * Pedidos grupales abiertos de un teléfono (como organizador o participante)
    */
-  async getActiveGroupOrders(customerId) {
+  async getActiveGroupOrders(phone) {
+    const normalizedPhone = normalizePhone(phone);
+    if (!normalizedPhone) return [];
+
     return prisma.groupOrder.findMany({
       where: {
-        status: 'collecting',
-        participants: { some: { customerId } },
+        status: GROUP_STATUS.COLLECTING,
+        participants: { some: { phone: normalizedPhone } },
       },
-      include: {
-        store: { select: { name: true, logo: true } },
+      select: {
+        id: true,
+        name: true,
+        joinCode: true,
+        deadline: true,
+        hostName: true,
+        store: { select: { name: true } },
         _count: { select: { participants: true } },
       },
+      orderBy: { deadline: 'asc' },
     });
   }
 }
 
 export const groupOrdersService = new GroupOrdersService();
 export default groupOrdersService;
-
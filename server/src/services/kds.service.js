@@ -0,0 +1,361 @@
+/**
+ * Pantalla de cocina (KDS)
+ * Reparte los ítems de cada pedido entre las estaciones de cocina según la categoría
+ * del producto, arma las comandas con su cronómetro (clientes prioritarios primero) y
+ * registra los ítems terminados: el primer ítem pasa el pedido a 'preparing' y el
+ * último a 'ready'. Los cambios se publican por WebSocket en el canal 'kds' del local.
+ */
+
+import prisma from '../utils/prisma.js';
+import logger from '../utils/logger.js';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+import { orderStateValidator } from './order-state-validator.service.js';
+import { orderHistoryService } from './order-history.service.js';
+import { orderSearchService } from './order-search.service.js';
+import { RELEASED_ORDER_FILTER } from './scheduled-orders.service.js';
+import { wsService } from './websocket.service.js';
+
+export const KDS_CHANNEL = 'kds';
+
+// Estados en los que el pedido está en la cocina
+const KITCHEN_STATUSES = ['confirmed', 'preparing'];
+
+// Ítems que ya no se preparan (quitados por falta de stock)
+const SKIPPED_ITEM_STATUSES = ['removed'];
+
+const SYSTEM_ACTOR = { id: null, name: 'Cocina', role: 'system', channel: 'system' };
+
+class KdsService {
+  // ========== ESTACIONES ==========
+
+  async getStations(storeId) {
+    const [stations, categories] = await Promise.all([
+      prisma.kitchenStation.findMany({
+        where: { storeId },
+        orderBy: [{ displayOrder: 'asc' }, { name: 'asc' }]
+      }),
+      prisma.category.findMany({
+        where: { storeId },
+        select: { id: true, name: true, stationId: true },
+        orderBy: { displayOrder: 'asc' }
+      })
+    ]);
+    return { stations, categories };
+  }
+
+  async createStation(storeId, { name, color = null, displayOrder = 0, isDefault = false }) {
+    if (!name?.trim()) {
+      throw new AppError(ErrorCodes.MISSING_FIELD, { message: 'El nombre de la estación es requerido' });
+    }
+
+    const existing = await prisma.kitchenStation.findUnique({
+      where: { storeId_name: { storeId, name: name.trim() } }
+    });
+    if (existing) {
+      throw new AppError(ErrorCodes.DUPLICATE_ENTRY, { message: `Ya existe la estación ${name.trim()}` });
+    }
+
+    const station = await prisma.$transaction(async (tx) => {
+      // Una sola estación por defecto por local
+      if (isDefault) {
+        await tx.kitchenStation.updateMany({ where: { storeId, isDefault: true }, data: { isDefault: false } });
+      }
+      return tx.kitchenStation.create({
+        data: { storeId, name: name.trim(), color, displayOrder, isDefault }
+      });
+    });
+
+    logger.info({ storeId, stationId: station.id, name: station.name }, 'Kitchen station created');
+    return station;
+  }
+
+  async updateStation(stationId, data) {
+    const station = await prisma.kitchenStation.findUnique({ where: { id: stationId } });
+    if (!station) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Estación no encontrada' });
+    }
+
+    const updates = Object.fromEntries(
+      Object.entries({
+        name: data.name?.trim() || undefined,
+        color: data.color,
+        displayOrder: data.displayOrder,
+        isDefault: data.isDefault,
+        isActive: data.isActive
+      }).filter(([, value]) => value !== undefined)
+    );
+
+    if (updates.name && updates.name !== station.name) {
+      const duplicate = await prisma.kitchenStation.findUnique({
+        where: { storeId_name: { storeId: station.storeId, name: updates.name } }
+      });
+      if (duplicate) {
+        throw new AppError(ErrorCodes.DUPLICATE_ENTRY, { message: `Ya existe la estación ${updates.name}` });
+      }
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      if (updates.isDefault) {
+        await tx.kitchenStation.updateMany({
+          where: { storeId: station.storeId, isDefault: true, id: { not: stationId } },
+          data: { isDefault: false }
+        });
+      }
+      return tx.kitchenStation.update({ where: { id: stationId }, data: updates });
+    });
+
+    this.publish(station.storeId, 'KDS_STATIONS_UPDATED', { stationId });
+    return updated;
+  }
+
+  async deleteStation(stationId) {
+    const station = await prisma.kitchenStation.findUnique({ where: { id: stationId } });
+    if (!station) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Estación no encontrada' });
+    }
+
+    // Sus categorías quedan sin estación (van a la estación por defecto)
+    await prisma.kitchenStation.delete({ where: { id: stationId } });
+    this.publish(station.storeId, 'KDS_STATIONS_UPDATED', { stationId });
+    return station;
+  }
+
+  /**
+   * Asignar la estación que prepara una categoría (null = estación por defecto)
+   */
+  async assignCategory(categoryId, stationId) {
+    const category = await prisma.category.findUnique({ where: { id: categoryId } });
+    if (!category) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Categoría no encontrada' });
+    }
+
+    if (stationId) {
+      const station = await prisma.kitchenStation.findUnique({ where: { id: stationId } });
+      if (!station || station.storeId !== category.storeId) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'La estación no pertenece al local de la categoría' });
+      }
+    }
+
+    const updated = await prisma.category.update({
+      where: { id: categoryId },
+      data: { stationId: stationId || null },
+      select: { id: true, name: true, stationId: true, storeId: true }
+    });
+
+    if (updated.storeId) this.publish(updated.storeId, 'KDS_STATIONS_UPDATED', { categoryId });
+    return updated;
+  }
+
+  // ========== COMANDAS ==========
+
+  /**
+   * Estación de un ítem: la de la categoría del producto o la estación por defecto
+   */
+  resolveStationId(item, defaultStationId) {
+    const station = item.product?.category?.station;
+    return station?.isActive ? station.id : defaultStationId;
+  }
+
+  /**
+   * Comandas en cocina del local (stationId = solo los ítems de esa estación; sin estación = vista general)
+   */
+  async getTickets(storeId, { stationId = null } = {}) {
+    const defaultStation = await prisma.kitchenStation.findFirst({
+      where: { storeId, isDefault: true, isActive: true },
+      select: { id: true }
+    });
+
+    const orders = await prisma.order.findMany({
+      where: {
+        storeId,
+        status: { in: KITCHEN_STATUSES },
+        AND: [...orderSearchService.visibilityFilter().AND, RELEASED_ORDER_FILTER]
+      },
+      include: {
+        items: {
+          include: {
+            product: {
+              select: { category: { select: { station: { select: { id: true, isActive: true } } } } }
+            }
+          },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    const priorityCustomers = await this.getPriorityCustomers(orders.map(order => order.customerPhone));
+
+    const tickets = orders
+      .map(order => this.buildTicket(order, defaultStation?.id || null, priorityCustomers))
+      .map(ticket => stationId
+        ? { ...ticket, items: ticket.items.filter(item => item.stationId === stationId) }
+        : ticket)
+      .filter(ticket => ticket.items.length > 0);
+
+    // Clientes prioritarios primero, después por antigüedad en cocina
+    return tickets.sort((a, b) =>
+      (b.priority - a.priority) || (new Date(a.enteredAt) - new Date(b.enteredAt))
+    );
+  }
+
+  async getPriorityCustomers(customerIds) {
+    const ids = [...new Set(customerIds.filter(Boolean))];
+    if (ids.length === 0) return new Set();
+
+    const loyalties = await prisma.customerLoyalty.findMany({
+      where: { customerId: { in: ids }, priority: true, isActive: true },
+      select: { customerId: true }
+    });
+    return new Set(loyalties.map(loyalty => loyalty.customerId));
+  }
+
+  buildTicket(order, defaultStationId, priorityCustomers) {
+    const items = order.items
+      .filter(item => !SKIPPED_ITEM_STATUSES.includes(item.stockStatus))
+      .map(item => ({
+        id: item.id,
+        productName: item.replacedWithName || item.productName,
+        quantity: item.quantity,
+        selectedOptions: item.selectedOptions,
+        stationId: this.resolveStationId(item, defaultStationId),
+        doneAt: item.kitchenDoneAt
+      }));
+
+    return {
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      fulfillmentType: order.fulfillmentType,
+      tableNumber: order.tableNumber,
+      customerName: order.customerName,
+      notes: order.notes,
+      priority: priorityCustomers.has(order.customerPhone),
+      scheduledFor: order.scheduledFor,
+      // El cronómetro corre desde que el pedido entró a la cocina
+      enteredAt: order.releasedAt || order.confirmedAt || order.createdAt,
+      estimatedReadyAt: order.estimatedReadyAt,
+      items
+    };
+  }
+
+  // ========== BUMPS ==========
+
+  /**
+   * Marcar (o desmarcar) un ítem como terminado
+   */
+  async bumpItem(itemId, done = true, actor = SYSTEM_ACTOR) {
+    const item = await prisma.orderItem.findUnique({
+      where: { id: itemId },
+      select: { id: true, orderId: true, kitchenDoneAt: true }
+    });
+    if (!item) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Ítem no encontrado' });
+    }
+
+    const order = await this.getKitchenOrder(item.orderId);
+
+    await prisma.orderItem.update({
+      where: { id: itemId },
+      data: { kitchenDoneAt: done ? (item.kitchenDoneAt || new Date()) : null }
+    });
+
+    return this.rollUp(order, actor, { itemId, done });
+  }
+
+  /**
+   * Terminar todos los ítems del pedido (o solo los de una estación)
+   */
+  async bumpOrder(orderId, { stationId = null } = {}, actor = SYSTEM_ACTOR) {
+    const order = await this.getKitchenOrder(orderId);
+
+    let itemIds = order.items.map(item => item.id);
+    if (stationId) {
+      const ticket = (await this.getTickets(order.storeId, { stationId })).find(t => t.orderId === orderId);
+      itemIds = ticket ? ticket.items.map(item => item.id) : [];
+    }
+
+    if (itemIds.length > 0) {
+      await prisma.orderItem.updateMany({
+        where: { id: { in: itemIds }, kitchenDoneAt: null },
+        data: { kitchenDoneAt: new Date() }
+      });
+    }
+
+    return this.rollUp(order, actor, { stationId });
+  }
+
+  async getKitchenOrder(orderId) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: { items: { select: { id: true, stockStatus: true } } }
+    });
+    if (!order) throw new AppError(ErrorCodes.ORDER_NOT_FOUND);
+
+    if (!KITCHEN_STATUSES.includes(order.status)) {
+      throw new AppError(ErrorCodes.CONFLICT, { message: `El pedido ya no está en cocina (estado: ${order.status})` });
+    }
+    return order;
+  }
+
+  /**
+   * Avanzar el pedido según sus ítems: alguno terminado -> preparing, todos -> ready
+   */
+  async rollUp(order, actor, detail = {}) {
+    const items = await prisma.orderItem.findMany({
+      where: { orderId: order.id },
+      select: { stockStatus: true, kitchenDoneAt: true }
+    });
+    const pending = items.filter(item => !SKIPPED_ITEM_STATUSES.includes(item.stockStatus));
+    const doneCount = pending.filter(item => item.kitchenDoneAt).length;
+
+    let nextStatus = null;
+    if (pending.length > 0 && doneCount === pending.length) {
+      nextStatus = 'ready';
+    } else if (doneCount > 0 && order.status === 'confirmed') {
+      nextStatus = 'preparing';
+    }
+
+    let status = order.status;
+    if (nextStatus) {
+      const transition = orderStateValidator.validateChange(order, { status: nextStatus }, actor?.role || null);
+      if (!transition.valid) {
+        throw new AppError(transition.forbidden ? ErrorCodes.FORBIDDEN : ErrorCodes.CONFLICT, { message: transition.error });
+      }
+
+      const data = { status: nextStatus, ...transition.sync };
+      await prisma.order.update({ where: { id: order.id }, data });
+      await orderHistoryService.recordUpdate(order.id, order, data, actor);
+      // kds_update publica el cambio a las pantallas
+      await orderStateValidator.runEffects(order.id, transition.effects);
+      status = nextStatus;
+
+      logger.info({ orderId: order.id, status: nextStatus }, 'Order advanced from kitchen display');
+    } else {
+      this.publish(order.storeId, 'KDS_UPDATE', { orderId: order.id, orderNumber: order.orderNumber, status, ...detail });
+    }
+
+    return { orderId: order.id, status, itemsDone: doneCount, itemsTotal: pending.length };
+  }
+
+  // ========== TIEMPO REAL ==========
+
+  /**
+   * Avisar a las pantallas de cocina que cambió un pedido (se llama en cada cambio de estado)
+   */
+  async publishOrder(orderId) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { id: true, orderNumber: true, status: true, storeId: true }
+    });
+    if (!order?.storeId) return;
+
+    this.publish(order.storeId, 'KDS_UPDATE', { orderId: order.id, orderNumber: order.orderNumber, status: order.status });
+  }
+
+  publish(storeId, event, data) {
+    wsService.sendToChannel(storeId, KDS_CHANNEL, event, data);
+  }
+}
+
+export const kdsService = new KdsService();
+export default kdsService;
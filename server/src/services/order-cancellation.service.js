@@ -0,0 +1,284 @@
+/**
+ * Cancelación de pedidos
+ * Aplica la política del local (quién cancela, con qué motivo y qué cargo se retiene),
+ * cambia el estado validando el ciclo de vida, devuelve el stock por el Kardex y reintegra
+ * lo cobrado: por MercadoPago si se pagó por ahí o como saldo a favor del cliente.
+ * Cada cancelación queda registrada en OrderCancellation (analíticas por motivo y actor).
+ */
+
+import prisma from '../utils/prisma.js';
+import logger from '../utils/logger.js';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+import orderStateValidator from './order-state-validator.service.js';
+import orderHistoryService from './order-history.service.js';
+import orderPaymentsService from './order-payments.service.js';
+import orderNumberService from './order-number.service.js';
+import paymentGatewayService from './payment-gateway.service.js';
+import storeCreditService, { STORE_CREDIT_TYPES } from './store-credit.service.js';
+import cancellationPolicyService, { REFUND_METHODS } from './cancellation-policy.service.js';
+
+// Pedidos sin libro de pagos: estados que implican que se cobró el total
+const PAID_STATUSES = ['paid', 'approved', 'confirmed', 'completed'];
+
+const round = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const formatAmount = (value) => `$${round(value).toLocaleString('es-AR')}`;
+
+class OrderCancellationService {
+  /**
+   * Cobrado del pedido hasta ahora (libro de pagos o, en pedidos viejos, paymentStatus)
+   */
+  async getPaidAmount(order) {
+    const payments = await orderPaymentsService.getPayments(order.id);
+    if (payments.length > 0) {
+      return { paid: orderPaymentsService.summarize(order, payments).paid, payments };
+    }
+    return { paid: PAID_STATUSES.includes(order.paymentStatus) ? round(order.total) : 0, payments };
+  }
+
+  /**
+   * Pago aprobado de MercadoPago del pedido (libro de pagos o transferencia verificada 'MP-')
+   */
+  async findMercadoPagoPayment(order, payments) {
+    const ledgerPayment = payments.find(p => p.tenderType === 'mercadopago' && p.status === 'paid' && p.reference);
+    if (ledgerPayment) {
+      return { paymentId: ledgerPayment.reference, amount: ledgerPayment.amount };
+    }
+
+    const transfer = await prisma.pendingTransfer.findFirst({
+      where: { orderId: order.id, status: 'verified', transferReference: { startsWith: 'MP-' } },
+      orderBy: { createdAt: 'desc' }
+    });
+    if (transfer) {
+      return { paymentId: transfer.transferReference.replace('MP-', ''), amount: transfer.amount };
+    }
+
+    return null;
+  }
+
+  /**
+   * Cancelar un pedido aplicando la política del local
+   * @param {string} orderId
+   * @param {object} options
+   * @param {string} [options.reasonCode] - Motivo de la política (sin motivo = 'other')
+   * @param {string} [options.note] - Detalle libre
+   * @param {object} options.actor - Actor del historial ({ id, name, role, channel })
+   * @param {string} [options.actorType] - customer, staff, driver, system (por defecto, según el rol)
+   * @param {string|null} [options.role] - Rol que valida el ciclo de vida (null para clientes: decide la política)
+   * @param {string[]} [options.handled] - Efectos que resuelve quien llama (ej: su propio aviso al cliente)
+   * @returns {Promise<{ order: object, cancellation: object }>}
+   */
+  async cancelOrder(orderId, { reasonCode = null, note = null, actor, actorType = null, role = null, handled = [] } = {}) {
+    const order = await prisma.order.findUnique({ where: { id: orderId } });
+    if (!order) {
+      throw new AppError(ErrorCodes.ORDER_NOT_FOUND, { message: 'Pedido no encontrado' });
+    }
+    if (order.status === 'cancelled') {
+      throw new AppError(ErrorCodes.ORDER_ALREADY_PROCESSED, { message: 'El pedido ya está cancelado' });
+    }
+
+    const transition = orderStateValidator.validateChange(order, { status: 'cancelled' }, role);
+    if (!transition.valid) {
+      throw new AppError(transition.forbidden ? ErrorCodes.FORBIDDEN : ErrorCodes.VALIDATION_ERROR, { message: transition.error });
+    }
+
+    const type = actorType || cancellationPolicyService.actorTypeForRole(role);
+    const policy = await cancellationPolicyService.getPolicy(order.storeId);
+    const { paid, payments } = await this.getPaidAmount(order);
+    const decision = cancellationPolicyService.evaluate(policy, order, type, reasonCode, paid);
+
+    // Condicionado al estado leído: dos cancelaciones simultáneas no reintegran dos veces
+    const claimed = await prisma.order.updateMany({
+      where: { id: order.id, status: order.status },
+      data: { status: 'cancelled', ...transition.sync }
+    });
+    if (claimed.count === 0) {
+      throw new AppError(ErrorCodes.CONFLICT, { message: 'El pedido cambió de estado, volvé a intentarlo' });
+    }
+
+    await orderHistoryService.logStatusChange(
+      order.id,
+      actor,
+      order.status,
+      'cancelled',
+      note ? `${decision.reason.label}: ${note}` : decision.reason.label
+    );
+    await orderPaymentsService.cancelPendingTenders(order.id);
+
+    const cancellation = await this.settle(order, decision, { note, actor, actorType: type, paid, payments, policy });
+
+    await orderStateValidator.runEffects(order.id, transition.effects, {
+      handled,
+      notify: { reason: decision.reason.label, refund: this.describeRefund(cancellation) }
+    });
+
+    const cancelledOrder = await prisma.order.findUnique({ where: { id: order.id } });
+    return { order: cancelledOrder, cancellation };
+  }
+
+  /**
+   * Registrar una cancelación ya aplicada: stock, cargo y reintegro
+   * La usan cancelOrder y los flujos con su propia transacción (ej: cancelación del repartidor)
+   * @param {object} order - Pedido tal como estaba antes de cancelarse
+   * @param {object} decision - Resultado de cancellationPolicyService.evaluate
+   */
+  async settle(order, decision, { note = null, actor = {}, actorType, paid, payments, policy } = {}) {
+    if (paid === undefined || payments === undefined) {
+      ({ paid, payments } = await this.getPaidAmount(order));
+    }
+    policy = policy || await cancellationPolicyService.getPolicy(order.storeId);
+
+    let restocked = false;
+    if (decision.restock) {
+      try {
+        restocked = await orderStateValidator.restoreStock(order);
+      } catch (error) {
+        logger.error({ orderId: order.id, error: error.message }, 'Error restoring stock for cancelled order');
+      }
+    }
+
+    const refundAmount = round(Math.max(paid - decision.fee, 0));
+    let cancellation = await prisma.orderCancellation.create({
+      data: {
+        orderId: order.id,
+        storeId: order.storeId,
+        reasonCode: decision.reason.code,
+        note,
+        actorType,
+        actorId: actor.id || null,
+        actorName: actor.name || null,
+        channel: actor.channel || null,
+        statusAtCancel: decision.statusAtCancel,
+        fee: decision.fee,
+        paidAmount: round(paid),
+        refundAmount,
+        refundStatus: refundAmount > 0 ? 'pending' : 'none',
+        restocked
+      }
+    });
+
+    if (refundAmount > 0) {
+      const refund = await this.refund(order, refundAmount, payments, policy);
+      cancellation = await prisma.orderCancellation.update({
+        where: { id: cancellation.id },
+        data: refund
+      });
+    }
+
+    logger.info({
+      orderId: order.id,
+      reasonCode: cancellation.reasonCode,
+      actorType,
+      fee: cancellation.fee,
+      refundAmount,
+      refundMethod: cancellation.refundMethod,
+      refundStatus: cancellation.refundStatus,
+      restocked
+    }, 'Order cancelled');
+
+    return cancellation;
+  }
+
+  /**
+   * Reintegrar lo cobrado: MercadoPago si cubre el monto y la política lo permite, si no saldo a favor
+   * @returns {Promise<{ refundMethod: string, refundStatus: string, refundReference: string|null }>}
+   */
+  async refund(order, amount, payments, policy) {
+    if (policy.refundMethod === REFUND_METHODS.ORIGINAL) {
+      const mpPayment = await this.findMercadoPagoPayment(order, payments);
+      if (mpPayment && amount <= mpPayment.amount + 0.01) {
+        try {
+          const refund = await paymentGatewayService.refund(order.storeId, mpPayment.paymentId, amount);
+          const completed = !!refund?.id && refund.status !== 'rejected';
+          return {
+            refundMethod: 'mercadopago',
+            refundStatus: completed ? 'completed' : 'failed',
+            refundReference: refund?.id ? String(refund.id) : null
+          };
+        } catch (error) {
+          logger.error({ orderId: order.id, paymentId: mpPayment.paymentId, error: error.message }, 'Error refunding cancelled order');
+          return { refundMethod: 'mercadopago', refundStatus: 'failed', refundReference: null };
+        }
+      }
+    }
+
+    // Sin teléfono no hay a quién acreditar: lo devuelve el local a mano
+    if (!order.customerPhone) {
+      return { refundMethod: 'manual', refundStatus: 'pending', refundReference: null };
+    }
+
+    const credit = await storeCreditService.grant(order.storeId, order.customerPhone, amount, {
+      type: STORE_CREDIT_TYPES.CANCELLATION_REFUND,
+      orderId: order.id,
+      note: `Cancelación del pedido ${orderNumberService.display(order.orderNumber)}`
+    });
+    return { refundMethod: 'store_credit', refundStatus: 'completed', refundReference: credit.id };
+  }
+
+  /**
+   * Texto del reintegro para el aviso al cliente
+   */
+  describeRefund(cancellation) {
+    const lines = [];
+    if (cancellation.fee > 0) {
+      lines.push(`Se retuvo un cargo de cancelación de ${formatAmount(cancellation.fee)}.`);
+    }
+    if (cancellation.refundAmount > 0) {
+      if (cancellation.refundMethod === 'mercadopago' && cancellation.refundStatus === 'completed') {
+        lines.push(`Te devolvimos ${formatAmount(cancellation.refundAmount)} a tu medio de pago de MercadoPago.`);
+      } else if (cancellation.refundMethod === 'store_credit') {
+        lines.push(`Te acreditamos ${formatAmount(cancellation.refundAmount)} como saldo a favor para tu próximo pedido.`);
+      } else {
+        lines.push(`El local te va a devolver ${formatAmount(cancellation.refundAmount)}.`);
+      }
+    }
+    return lines.length > 0 ? lines.join('\n') : null;
+  }
+
+  /**
+   * Analíticas de cancelaciones por motivo, actor y estado
+   * @param {string} storeId
+   * @param {object} options - { since: Date }
+   */
+  async getStats(storeId, { since } = {}) {
+    const from = since || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+    const [cancellations, cancelledOrders, policy] = await Promise.all([
+      prisma.orderCancellation.findMany({
+        where: { storeId, createdAt: { gte: from } },
+        select: { reasonCode: true, actorType: true, statusAtCancel: true, fee: true, refundAmount: true, refundMethod: true, refundStatus: true }
+      }),
+      prisma.order.count({
+        where: { storeId, status: 'cancelled', updatedAt: { gte: from } }
+      }),
+      cancellationPolicyService.getPolicy(storeId)
+    ]);
+
+    const countBy = (key) => cancellations.reduce((acc, c) => {
+      acc[c[key]] = (acc[c[key]] || 0) + 1;
+      return acc;
+    }, {});
+
+    const labels = Object.fromEntries(policy.reasons.map(reason => [reason.code, reason.label]));
+    const byReason = Object.entries(countBy('reasonCode'))
+      .map(([code, count]) => ({ code, label: labels[code] || code, count }))
+      .sort((a, b) => b.count - a.count);
+
+    return {
+      since: from,
+      total: Math.max(cancelledOrders, cancellations.length),
+      recorded: cancellations.length,
+      // Cancelados por flujos que no registran motivo (ej: vencidos automáticamente)
+      unrecorded: Math.max(cancelledOrders - cancellations.length, 0),
+      byReason,
+      byActor: countBy('actorType'),
+      byStage: countBy('statusAtCancel'),
+      fees: round(cancellations.reduce((sum, c) => sum + c.fee, 0)),
+      refunded: round(cancellations.filter(c => c.refundStatus === 'completed').reduce((sum, c) => sum + c.refundAmount, 0)),
+      pendingRefunds: cancellations.filter(c => ['pending', 'failed'].includes(c.refundStatus)).length
+    };
+  }
+}
+
+export const orderCancellationService = new OrderCancellationService();
+export default orderCancellationService;
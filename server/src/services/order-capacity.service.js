@@ -0,0 +1,236 @@
+/**
+ * Capacidad de cocina por hora
+ * Cuenta la carga de la cocina de cada local (pedidos que entraron en la última hora,
+ * opcionalmente ponderados por el tiempo de cocina de sus productos) contra el límite
+ * de StoreSettings.maxOrdersPerHour, o el del Modo Lluvia si está activo.
+ * Con el local lleno el pedido se rechaza o se programa para el próximo horario con lugar,
+ * y se informa al cliente a partir de qué hora se puede tomar.
+ */
+
+import prisma from '../utils/prisma.js';
+import logger from '../utils/logger.js';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+import { scheduledOrdersService } from './scheduled-orders.service.js';
+
+const WINDOW_MINUTES = 60;
+
+export const OVERFLOW_ACTIONS = ['reject', 'defer'];
+
+export const CAPACITY_ERROR_CODE = 'STORE_AT_CAPACITY';
+
+// Estados que no ocupan la cocina
+const INACTIVE_STATUSES = ['cancelled', 'stock_timeout'];
+
+// Pedidos que ya entraron a la cocina: confirmados en WhatsApp, con pago aprobado o de mesa
+// (los pedidos web sin confirmar todavía no cuentan)
+const COMMITTED_ORDER_FILTER = {
+  OR: [
+    { customerPhone: { not: null } },
+    { paymentStatus: { not: 'pending' } },
+    { tableSessionId: { not: null } }
+  ]
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class OrderCapacityService {
+  /**
+   * Límite vigente del local (null = sin límite)
+   */
+  async getConfig(storeId) {
+    const [settings, peakMode] = await Promise.all([
+      prisma.storeSettings.findUnique({
+        where: { storeId },
+        select: {
+          maxOrdersPerHour: true,
+          capacityOverflowAction: true,
+          capacityWeightByPrepTime: true,
+          capacityStandardPrepMinutes: true
+        }
+      }),
+      prisma.peakDemandMode.findFirst({
+        where: { isActive: true, OR: [{ storeId }, { storeId: null }] },
+        orderBy: { updatedAt: 'desc' },
+        select: { maxOrdersPerHour: true }
+      })
+    ]);
+
+    // En Modo Lluvia manda el límite del modo; 0 o vacío = sin límite
+    const peakLimit = peakMode?.maxOrdersPerHour > 0 ? peakMode.maxOrdersPerHour : null;
+    const storeLimit = settings?.maxOrdersPerHour > 0 ? settings.maxOrdersPerHour : null;
+
+    return {
+      limit: peakLimit ?? storeLimit,
+      source: peakLimit ? 'peak_demand' : storeLimit ? 'store' : null,
+      overflowAction: OVERFLOW_ACTIONS.includes(settings?.capacityOverflowAction) ? settings.capacityOverflowAction : 'reject',
+      weighted: !!settings?.capacityWeightByPrepTime,
+      standardPrepMinutes: settings?.capacityStandardPrepMinutes > 0 ? settings.capacityStandardPrepMinutes : 15
+    };
+  }
+
+  /**
+   * Peso de un pedido: 1, o sus minutos de cocina sobre los de un pedido estándar.
+   * Los productos sin tiempo cargado no suman; si ninguno lo tiene, el pedido pesa 1.
+   * @param {Array<{ productId?: string, product_id?: string, quantity?: number }>} items
+   * @param {Map<string, number>} prepTimes minutos por producto
+   */
+  orderWeight(items, config, prepTimes) {
+    if (!config.weighted) return 1;
+
+    const minutes = (items || []).reduce((sum, item) => {
+      const productId = item.productId || item.product_id;
+      const quantity = Number(item.quantity) || 1;
+      return sum + (prepTimes.get(productId) || 0) * quantity;
+    }, 0);
+
+    if (minutes <= 0) return 1;
+    // Un pedido nunca ocupa más que la capacidad entera (si no, no entraría nunca)
+    return round(Math.min(minutes / config.standardPrepMinutes, config.limit));
+  }
+
+  async getPrepTimes(productIds) {
+    const ids = [...new Set(productIds.filter(Boolean))];
+    if (ids.length === 0) return new Map();
+
+    const products = await prisma.product.findMany({
+      where: { id: { in: ids }, prepTimeMinutes: { not: null } },
+      select: { id: true, prepTimeMinutes: true }
+    });
+    return new Map(products.map(product => [product.id, product.prepTimeMinutes]));
+  }
+
+  /**
+   * Pedidos que entraron a la cocina en la última hora, con su peso
+   * (los programados cuentan desde que se liberaron)
+   */
+  async getLoad(storeId, config, { excludeOrderId = null } = {}) {
+    const since = new Date(Date.now() - WINDOW_MINUTES * 60 * 1000);
+
+    const orders = await prisma.order.findMany({
+      where: {
+        storeId,
+        status: { notIn: INACTIVE_STATUSES },
+        ...(excludeOrderId && { id: { not: excludeOrderId } }),
+        AND: [
+          COMMITTED_ORDER_FILTER,
+          {
+            OR: [
+              { scheduledFor: null, createdAt: { gte: since } },
+              { releasedAt: { gte: since } }
+            ]
+          }
+        ]
+      },
+      select: {
+        id: true,
+        createdAt: true,
+        releasedAt: true,
+        ...(config.weighted && { items: { select: { productId: true, quantity: true } } })
+      }
+    });
+
+    const prepTimes = config.weighted
+      ? await this.getPrepTimes(orders.flatMap(order => order.items.map(item => item.productId)))
+      : new Map();
+
+    return orders
+      .map(order => ({
+        enteredAt: order.releasedAt || order.createdAt,
+        weight: this.orderWeight(order.items, config, prepTimes)
+      }))
+      .sort((a, b) => a.enteredAt - b.enteredAt);
+  }
+
+  /**
+   * ¿Entra un pedido más? Si no, a partir de cuándo (cuando salen de la ventana los más viejos)
+   * @returns {Promise<{ limited, allowed, limit, load, weight, source, overflowAction, nextAvailableAt }>}
+   */
+  async check(storeId, { items = [], excludeOrderId = null } = {}) {
+    if (!storeId) return { limited: false, allowed: true };
+
+    const config = await this.getConfig(storeId);
+    if (!config.limit) return { limited: false, allowed: true };
+
+    const entries = await this.getLoad(storeId, config, { excludeOrderId });
+    const prepTimes = config.weighted
+      ? await this.getPrepTimes(items.map(item => item.productId || item.product_id))
+      : new Map();
+    const weight = this.orderWeight(items, config, prepTimes);
+    const load = round(entries.reduce((sum, entry) => sum + entry.weight, 0));
+
+    const result = {
+      limited: true,
+      allowed: load + weight <= config.limit,
+      limit: config.limit,
+      load,
+      weight,
+      source: config.source,
+      overflowAction: config.overflowAction,
+      nextAvailableAt: null
+    };
+
+    if (!result.allowed) {
+      const excess = load + weight - config.limit;
+      let freed = 0;
+      for (const entry of entries) {
+        freed += entry.weight;
+        if (freed >= excess - 0.001) {
+          result.nextAvailableAt = new Date(entry.enteredAt.getTime() + WINDOW_MINUTES * 60 * 1000);
+          break;
+        }
+      }
+      result.nextAvailableAt = result.nextAvailableAt || new Date(Date.now() + WINDOW_MINUTES * 60 * 1000);
+    }
+
+    return result;
+  }
+
+  /**
+   * Primer horario programable con lugar a partir de la hora indicada (null si no hay)
+   */
+  async findDeferSlot(storeId, notBefore) {
+    const slots = await scheduledOrdersService.getNextAvailableSlots(storeId, 50);
+    const slot = slots.find(s => new Date(s.time).getTime() >= notBefore.getTime());
+    return slot ? new Date(slot.time) : null;
+  }
+
+  /**
+   * Admitir un pedido nuevo: devuelve { deferTo } (null = entra ya) o lanza CONFLICT
+   * con la próxima hora disponible si el local está lleno y no se puede programar
+   */
+  async admit(storeId, { items = [], excludeOrderId = null } = {}) {
+    const result = await this.check(storeId, { items, excludeOrderId });
+    if (result.allowed) return { deferTo: null, check: result };
+
+    if (result.overflowAction === 'defer') {
+      const deferTo = await this.findDeferSlot(storeId, result.nextAvailableAt);
+      if (deferTo) {
+        logger.info({ storeId, load: result.load, limit: result.limit, deferTo }, 'Order deferred: store at capacity');
+        return { deferTo, check: result };
+      }
+    }
+
+    logger.info({ storeId, load: result.load, limit: result.limit, nextAvailableAt: result.nextAvailableAt }, 'Order rejected: store at capacity');
+    throw new AppError(ErrorCodes.CONFLICT, {
+      message: `Estamos con mucha demanda y no podemos tomar más pedidos por ahora. Podés volver a pedir desde las ${this.formatTime(result.nextAvailableAt)}.`,
+      code: CAPACITY_ERROR_CODE,
+      nextAvailableAt: result.nextAvailableAt.toISOString(),
+      nextAvailableLabel: this.formatTime(result.nextAvailableAt)
+    });
+  }
+
+  /**
+   * Hora para mostrar al cliente (ej: "21:40")
+   */
+  formatTime(date) {
+    return new Date(date).toLocaleTimeString('es-AR', {
+      timeZone: 'America/Argentina/Buenos_Aires',
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: false
+    });
+  }
+}
+
+export const orderCapacityService = new OrderCapacityService();
+export default orderCapacityService;
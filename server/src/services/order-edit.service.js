@@ -0,0 +1,728 @@
+/**
+ * Servicio de Edición de Pedidos
+ * Cambios de items y dirección después de creado el pedido: recalcula montos en el
+ * servidor, pide confirmación al cliente por WhatsApp y ajusta el cobro pendiente
+ * (transferencia / MercadoPago) cobrando o devolviendo la diferencia
+ */
+
+import prisma from '../utils/prisma.js';
+import logger from '../utils/logger.js';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+import orderPricingService from './order-pricing.service.js';
+import orderHistoryService, { ORDER_CHANNELS } from './order-history.service.js';
+import orderNumberService from './order-number.service.js';
+import orderStateValidator from './order-state-validator.service.js';
+import paymentGatewayService from './payment-gateway.service.js';
+import orderPaymentsService from './order-payments.service.js';
+
+// Estados en los que el local todavía puede modificar el pedido
+const EDITABLE_STATUSES = ['pending', 'confirmed'];
+
+// Minutos que tiene el cliente para aceptar la modificación
+const CONFIRMATION_MINUTES = parseInt(process.env.ORDER_EDIT_CONFIRMATION_MINUTES || '15', 10);
+
+const CASH_METHODS = ['efectivo', 'cash'];
+const TRANSFER_METHODS = ['transferencia', 'transfer'];
+const MERCADOPAGO_METHODS = ['mercadopago', 'mercado_pago', 'card'];
+const PAID_STATUSES = ['paid', 'approved', 'confirmed', 'completed'];
+
+const round = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const money = (value) => `$${round(value).toLocaleString('es-AR')}`;
+
+// Últimos 10 dígitos del teléfono (el bot guarda JIDs, la web números con formato)
+const phoneKey = (phone) => String(phone || '').split('@')[0].replace(/\D/g, '').slice(-10);
+
+const parseJson = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+class OrderEditService {
+  /**
+   * Proponer una edición del pedido
+   * input: { items?, customerAddress?, customerLat?, customerLng?, reason?, customerConfirmed? }
+   * items: lista completa resultante. Cada entrada referencia un item existente ({ itemId,
+   * quantity?, selectedOptions?, replaceWithProductId? }) o agrega uno nuevo ({ productId,
+   * quantity, selectedOptions }). Los items existentes que no se envían se quitan.
+   */
+  async requestEdit(orderId, input, actor) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: { items: true }
+    });
+
+    if (!order) {
+      throw new AppError(ErrorCodes.ORDER_NOT_FOUND);
+    }
+    this.assertEditable(order);
+
+    await this.expireStaleEdits(orderId);
+    const pendingEdit = await prisma.orderEdit.findFirst({
+      where: { orderId, status: 'pending' }
+    });
+    if (pendingEdit) {
+      throw new AppError(ErrorCodes.CONFLICT, {
+        message: 'El pedido ya tiene una modificación esperando confirmación del cliente',
+        editId: pendingEdit.id
+      });
+    }
+
+    const currentItems = order.items.filter(item => item.stockStatus !== 'removed');
+    const lines = input.items
+      ? await this.buildLines(order, currentItems, input.items)
+      : currentItems.map(item => this.keptLine(item));
+
+    const addressChanged = input.customerAddress !== undefined &&
+      (input.customerAddress || null) !== (order.customerAddress || null);
+    const changes = this.summarizeChanges(currentItems, lines);
+    const itemsChanged = Object.values(changes).some(list => list.length > 0);
+
+    if (!itemsChanged && !addressChanged) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'La modificación no tiene cambios' });
+    }
+
+    // Envío, descuento y propina se mantienen: el cupón ya se consumió al crear el pedido
+    const subtotal = round(lines.reduce((sum, line) => sum + line.subtotal, 0));
+    const deliveryFee = round(order.deliveryFee);
+    const discount = round(Math.min(order.discount || 0, subtotal + deliveryFee));
+    const total = round(Math.max(subtotal + deliveryFee - discount, 0) + (order.tipAmount || 0));
+
+    const requiresConfirmation = Boolean(order.customerPhone) && !input.customerConfirmed;
+
+    const edit = await prisma.orderEdit.create({
+      data: {
+        orderId,
+        status: 'pending',
+        itemChanges: JSON.stringify(changes),
+        newItems: JSON.stringify(lines),
+        previousAddress: order.customerAddress,
+        newAddress: addressChanged ? input.customerAddress || null : order.customerAddress,
+        newLat: addressChanged ? input.customerLat ?? null : order.customerLat,
+        newLng: addressChanged ? input.customerLng ?? null : order.customerLng,
+        previousTotal: order.total,
+        newSubtotal: subtotal,
+        newDiscount: discount,
+        newTotal: total,
+        difference: round(total - order.total),
+        reason: input.reason || null,
+        requestedById: actor?.id || null,
+        requestedByName: actor?.name || null,
+        expiresAt: new Date(Date.now() + CONFIRMATION_MINUTES * 60 * 1000)
+      }
+    });
+
+    logger.info({ orderId, editId: edit.id, difference: edit.difference }, 'Edición de pedido creada');
+
+    if (!requiresConfirmation) {
+      return this.applyEdit(edit.id, actor, input.customerConfirmed ? 'Confirmado por el cliente al local' : 'Pedido sin teléfono de cliente');
+    }
+
+    await orderHistoryService.logChange(
+      orderId,
+      'EDIT_REQUESTED',
+      { total: order.total, customerAddress: order.customerAddress },
+      { editId: edit.id, total, customerAddress: edit.newAddress, changes },
+      actor,
+      edit.reason
+    );
+    await this.notifyCustomer(order, edit);
+
+    return edit;
+  }
+
+  /**
+   * Respuesta del cliente (SÍ / NO por WhatsApp)
+   */
+  async respondToEdit(editId, accepted, actor) {
+    const edit = await prisma.orderEdit.findUnique({ where: { id: editId } });
+
+    if (!edit) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Modificación no encontrada' });
+    }
+    if (edit.status !== 'pending') {
+      throw new AppError(ErrorCodes.ORDER_ALREADY_PROCESSED, { message: 'La modificación ya fue respondida' });
+    }
+    if (edit.expiresAt < new Date()) {
+      await this.closeEdit(edit, 'expired', actor, 'El cliente no respondió a tiempo');
+      throw new AppError(ErrorCodes.CONFLICT, { message: 'La modificación expiró' });
+    }
+
+    if (!accepted) {
+      return this.closeEdit(edit, 'rejected', actor, 'El cliente rechazó la modificación');
+    }
+
+    return this.applyEdit(edit.id, actor, 'Aceptado por el cliente');
+  }
+
+  /**
+   * Retirar una modificación que todavía no respondió el cliente
+   */
+  async cancelEdit(orderId, editId, actor) {
+    const edit = await prisma.orderEdit.findUnique({ where: { id: editId } });
+
+    if (!edit || edit.orderId !== orderId) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Modificación no encontrada' });
+    }
+    if (edit.status !== 'pending') {
+      throw new AppError(ErrorCodes.ORDER_ALREADY_PROCESSED, { message: 'La modificación ya fue respondida' });
+    }
+
+    return this.closeEdit(edit, 'cancelled', actor, 'Modificación retirada por el local');
+  }
+
+  /**
+   * Aplicar la edición: items, totales, dirección, insumos y ajuste de cobro
+   */
+  async applyEdit(editId, actor, reason = null) {
+    const { edit, lines, previousOrder, order } = await prisma.$transaction(async (tx) => {
+      // Reclamar la edición para que no se aplique dos veces
+      const claimed = await tx.orderEdit.updateMany({
+        where: { id: editId, status: 'pending' },
+        data: { status: 'approved', respondedAt: new Date() }
+      });
+      if (claimed.count === 0) {
+        throw new AppError(ErrorCodes.ORDER_ALREADY_PROCESSED, { message: 'La modificación ya fue respondida' });
+      }
+
+      const edit = await tx.orderEdit.findUnique({ where: { id: editId } });
+      const previousOrder = await tx.order.findUnique({
+        where: { id: edit.orderId },
+        include: { items: true }
+      });
+      this.assertEditable(previousOrder);
+
+      const lines = parseJson(edit.newItems, []);
+      const keptIds = lines.filter(line => line.itemId).map(line => line.itemId);
+
+      await tx.orderItem.deleteMany({
+        where: {
+          orderId: edit.orderId,
+          id: { notIn: keptIds }
+        }
+      });
+
+      for (const line of lines) {
+        if (!line.itemId) {
+          await tx.orderItem.create({ data: { orderId: edit.orderId, ...this.itemData(line) } });
+        } else if (line.action !== 'kept') {
+          await tx.orderItem.update({ where: { id: line.itemId }, data: this.itemData(line) });
+        }
+      }
+
+      const breakdown = parseJson(previousOrder.priceBreakdown, {});
+      const order = await tx.order.update({
+        where: { id: edit.orderId },
+        data: {
+          subtotal: edit.newSubtotal,
+          discount: edit.newDiscount,
+          total: edit.newTotal,
+          customerAddress: edit.newAddress,
+          customerLat: edit.newLat,
+          customerLng: edit.newLng,
+          priceBreakdown: JSON.stringify({
+            ...breakdown,
+            items: lines.map(line => ({
+              productId: line.replacedWithId || line.productId,
+              productName: line.replacedWithName || line.productName,
+              quantity: line.quantity,
+              options: line.options,
+              unitPrice: line.unitPrice,
+              subtotal: line.subtotal
+            })),
+            subtotal: edit.newSubtotal,
+            discount: edit.newDiscount,
+            total: edit.newTotal,
+            editId: edit.id
+          })
+        }
+      });
+
+      return { edit, lines, previousOrder, order };
+    });
+
+    const changes = parseJson(edit.itemChanges, {});
+    if (Object.values(changes).some(list => list.length > 0)) {
+      await orderHistoryService.logItemsChange(
+        order.id,
+        actor,
+        previousOrder.items.map(item => this.itemSnapshot(item)),
+        lines.map(line => this.itemSnapshot(line)),
+        reason
+      );
+    }
+    await orderHistoryService.recordUpdate(order.id, previousOrder, {
+      customerAddress: order.customerAddress,
+      subtotal: order.subtotal,
+      discount: order.discount,
+      total: order.total
+    }, actor, reason);
+
+    await orderStateValidator.adjustStockForItems(previousOrder, previousOrder.items, lines);
+
+    const settlement = await this.settlePayment(order, edit);
+    const applied = await prisma.orderEdit.update({
+      where: { id: edit.id },
+      data: settlement
+    });
+
+    logger.info({ orderId: order.id, editId: edit.id, settlement }, 'Edición de pedido aplicada');
+
+    await this.notifyApplied(order, applied);
+    return applied;
+  }
+
+  /**
+   * Ediciones de un pedido (más recientes primero)
+   */
+  async getOrderEdits(orderId) {
+    await this.expireStaleEdits(orderId);
+    const edits = await prisma.orderEdit.findMany({
+      where: { orderId },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return edits.map(edit => ({
+      ...edit,
+      itemChanges: parseJson(edit.itemChanges, {}),
+      newItems: parseJson(edit.newItems, [])
+    }));
+  }
+
+  /**
+   * Edición pendiente de un cliente en un local (para la respuesta por WhatsApp)
+   */
+  async findPendingForPhone(storeId, phone) {
+    const key = phoneKey(phone);
+    if (!key) return null;
+
+    const edits = await prisma.orderEdit.findMany({
+      where: {
+        status: 'pending',
+        expiresAt: { gt: new Date() },
+        order: { storeId }
+      },
+      include: { order: { select: { customerPhone: true } } },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return edits.find(edit => phoneKey(edit.order.customerPhone) === key) || null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  assertEditable(order) {
+    if (!EDITABLE_STATUSES.includes(order.status)) {
+      throw new AppError(ErrorCodes.CONFLICT, {
+        message: `El pedido está en estado "${order.status}" y ya no se puede modificar`
+      });
+    }
+  }
+
+  // Convertir las entradas del request en líneas con precio del servidor
+  async buildLines(order, currentItems, entries) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+        message: 'El pedido debe tener al menos un item. Para quitar todo, cancelá el pedido'
+      });
+    }
+
+    const usedIds = new Set();
+    const lines = [];
+
+    for (let index = 0; index < entries.length; index++) {
+      const entry = entries[index];
+      const itemId = entry.item_id || entry.itemId;
+      const quantity = entry.quantity;
+      const options = entry.selected_options ?? entry.selectedOptions;
+
+      if (!itemId) {
+        const priced = await orderPricingService.priceItem(order.storeId, entry, index);
+        lines.push(this.pricedLine(priced, { action: 'added' }));
+        continue;
+      }
+
+      const item = currentItems.find(i => i.id === itemId);
+      if (!item || usedIds.has(itemId)) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+          message: `Item inválido o repetido: ${itemId}`,
+          item: index
+        });
+      }
+      usedIds.add(itemId);
+
+      const replaceWith = entry.replace_with_product_id || entry.replaceWithProductId;
+      if (replaceWith) {
+        // Reemplazo: se conserva el item original y se completan los campos replacedWith*
+        const priced = await orderPricingService.priceItem(order.storeId, {
+          product_id: replaceWith,
+          quantity: quantity ?? item.quantity,
+          selected_options: options
+        }, index);
+        lines.push({
+          ...this.keptLine(item),
+          action: 'replaced',
+          quantity: priced.quantity,
+          unitPrice: priced.unitPrice,
+          subtotal: priced.subtotal,
+          selectedOptions: JSON.stringify(priced.options),
+          options: priced.options,
+          replacedWithId: priced.productId,
+          replacedWithName: priced.productName,
+          replacedWithPrice: priced.unitPrice
+        });
+        continue;
+      }
+
+      if (options !== undefined) {
+        // Cambio de opciones: se vuelve a calcular el precio del producto
+        const priced = await orderPricingService.priceItem(order.storeId, {
+          product_id: item.replacedWithId || item.productId,
+          product_name: item.replacedWithName || item.productName,
+          quantity: quantity ?? item.quantity,
+          selected_options: options
+        }, index);
+        lines.push({
+          ...this.keptLine(item),
+          action: 'updated',
+          quantity: priced.quantity,
+          unitPrice: priced.unitPrice,
+          subtotal: priced.subtotal,
+          selectedOptions: JSON.stringify(priced.options),
+          options: priced.options,
+          ...(item.replacedWithId && { replacedWithPrice: priced.unitPrice })
+        });
+        continue;
+      }
+
+      const newQuantity = quantity === undefined ? item.quantity : parseInt(quantity, 10);
+      if (!Number.isInteger(newQuantity) || newQuantity <= 0) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+          message: `Cantidad inválida para "${item.productName}"`,
+          item: index
+        });
+      }
+
+      // Solo cantidad: se respeta el precio unitario con el que se vendió
+      lines.push(newQuantity === item.quantity
+        ? this.keptLine(item)
+        : {
+          ...this.keptLine(item),
+          action: 'updated',
+          quantity: newQuantity,
+          subtotal: round(item.unitPrice * newQuantity)
+        });
+    }
+
+    return lines;
+  }
+
+  keptLine(item) {
+    return {
+      action: 'kept',
+      itemId: item.id,
+      productId: item.productId,
+      productName: item.productName,
+      quantity: item.quantity,
+      unitPrice: round(item.unitPrice),
+      subtotal: round(item.subtotal),
+      selectedOptions: item.selectedOptions,
+      options: orderPricingService.parseSelectedOptions(item.selectedOptions),
+      replacedWithId: item.replacedWithId,
+      replacedWithName: item.replacedWithName,
+      replacedWithPrice: item.replacedWithPrice
+    };
+  }
+
+  pricedLine(priced, extra = {}) {
+    return {
+      itemId: null,
+      productId: priced.productId,
+      productName: priced.productName,
+      quantity: priced.quantity,
+      unitPrice: priced.unitPrice,
+      subtotal: priced.subtotal,
+      selectedOptions: JSON.stringify(priced.options),
+      options: priced.options,
+      replacedWithId: null,
+      replacedWithName: null,
+      replacedWithPrice: null,
+      ...extra
+    };
+  }
+
+  itemData(line) {
+    return {
+      productId: line.productId,
+      productName: line.productName,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      subtotal: line.subtotal,
+      selectedOptions: line.selectedOptions,
+      ...(line.replacedWithId && {
+        stockStatus: 'replaced',
+        replacedWithId: line.replacedWithId,
+        replacedWithName: line.replacedWithName,
+        replacedWithPrice: line.replacedWithPrice
+      })
+    };
+  }
+
+  itemSnapshot(item) {
+    return {
+      productName: item.replacedWithName || item.productName,
+      quantity: item.quantity,
+      subtotal: item.subtotal
+    };
+  }
+
+  summarizeChanges(currentItems, lines) {
+    const keptIds = new Set(lines.filter(line => line.itemId).map(line => line.itemId));
+    const describe = (line) => ({
+      itemId: line.itemId || null,
+      productName: line.productName,
+      quantity: line.quantity,
+      subtotal: line.subtotal
+    });
+
+    return {
+      added: lines.filter(line => line.action === 'added').map(describe),
+      removed: currentItems.filter(item => !keptIds.has(item.id)).map(item => describe({ ...item, itemId: item.id })),
+      updated: lines.filter(line => line.action === 'updated').map(describe),
+      replaced: lines.filter(line => line.action === 'replaced').map(line => ({
+        ...describe(line),
+        replacedWithName: line.replacedWithName
+      }))
+    };
+  }
+
+  async closeEdit(edit, status, actor, reason) {
+    const closed = await prisma.orderEdit.update({
+      where: { id: edit.id },
+      data: { status, respondedAt: new Date() }
+    });
+
+    await orderHistoryService.logChange(
+      edit.orderId,
+      status === 'rejected' ? 'EDIT_REJECTED' : 'EDIT_CANCELLED',
+      { editId: edit.id },
+      { status },
+      actor,
+      reason
+    );
+
+    logger.info({ orderId: edit.orderId, editId: edit.id, status }, 'Edición de pedido cerrada');
+    return closed;
+  }
+
+  async expireStaleEdits(orderId) {
+    const stale = await prisma.orderEdit.findMany({
+      where: { orderId, status: 'pending', expiresAt: { lt: new Date() } }
+    });
+
+    for (const edit of stale) {
+      await this.closeEdit(edit, 'expired', { role: 'system', channel: ORDER_CHANNELS.SYSTEM }, 'El cliente no respondió a tiempo');
+    }
+  }
+
+  /**
+   * Ajustar el cobro según el medio de pago
+   * @returns {Promise<{settlementType, settlementStatus, settlementReference}>}
+   */
+  async settlePayment(order, edit) {
+    const difference = round(edit.difference);
+    const none = { settlementType: 'none', settlementStatus: null, settlementReference: null };
+    const method = String(order.paymentMethod || '').toLowerCase();
+
+    // Los pagos pendientes del libro (efectivo del repartidor, link de MP, transferencia
+    // o división de medios) pasan a cubrir el saldo nuevo del pedido
+    const ledger = await orderPaymentsService.rebalancePendingTenders(order.id);
+
+    // Efectivo o sin medio elegido: se cobra el total nuevo al entregar / al pagar
+    if (!difference || !method || CASH_METHODS.includes(method)) {
+      return none;
+    }
+
+    if (TRANSFER_METHODS.includes(method)) {
+      const pendingTransfer = await prisma.pendingTransfer.findFirst({
+        where: { orderId: order.id, status: 'pending' },
+        orderBy: { createdAt: 'desc' }
+      });
+
+      // Transferencia aún no verificada: se actualiza el monto esperado
+      if (pendingTransfer) {
+        // El monto esperado es lo que quedó asignado a la transferencia en el libro de pagos
+        const tender = await prisma.orderPayment.findFirst({
+          where: { pendingTransferId: pendingTransfer.id, status: 'pending' }
+        });
+        const updatedTransfer = await prisma.pendingTransfer.update({
+          where: { id: pendingTransfer.id },
+          data: { amount: tender ? tender.amount : order.total }
+        });
+        await orderPaymentsService.syncPendingTransfer(updatedTransfer);
+        return { ...none, settlementReference: pendingTransfer.id };
+      }
+
+      if (!PAID_STATUSES.includes(order.paymentStatus)) {
+        return none;
+      }
+
+      if (difference > 0) {
+        const transfer = await prisma.pendingTransfer.create({
+          data: {
+            orderId: order.id,
+            storeId: order.storeId,
+            amount: difference,
+            status: 'pending',
+            transferReference: `AJUSTE-${edit.id}`
+          }
+        });
+        await orderPaymentsService.syncPendingTransfer(transfer);
+        return { settlementType: 'charge', settlementStatus: 'pending', settlementReference: transfer.id };
+      }
+
+      // La devolución por transferencia la hace el local manualmente
+      return { settlementType: 'refund', settlementStatus: 'pending', settlementReference: null };
+    }
+
+    if (MERCADOPAGO_METHODS.includes(method)) {
+      try {
+        if (!PAID_STATUSES.includes(order.paymentStatus)) {
+          // Todavía no pagó: nuevo link por el saldo actualizado
+          const link = await this.createPaymentLink(order, ledger?.balance ?? order.total, 'Pedido');
+          return { settlementType: 'charge', settlementStatus: 'pending', settlementReference: link };
+        }
+
+        if (difference > 0) {
+          const link = await this.createPaymentLink(order, difference, 'Ajuste pedido');
+          return { settlementType: 'charge', settlementStatus: 'pending', settlementReference: link };
+        }
+
+        const payment = await prisma.pendingTransfer.findFirst({
+          where: { orderId: order.id, status: 'verified', transferReference: { startsWith: 'MP-' } },
+          orderBy: { createdAt: 'desc' }
+        });
+        if (!payment) {
+          return { settlementType: 'refund', settlementStatus: 'pending', settlementReference: null };
+        }
+
+        const refund = await paymentGatewayService.refund(
+          order.storeId,
+          payment.transferReference.replace('MP-', ''),
+          Math.abs(difference)
+        );
+        return {
+          settlementType: 'refund',
+          settlementStatus: refund?.id ? 'completed' : 'failed',
+          settlementReference: refund?.id ? String(refund.id) : null
+        };
+      } catch (error) {
+        logger.error({ orderId: order.id, editId: edit.id, error: error.message }, 'Error ajustando pago de MercadoPago');
+        return {
+          settlementType: difference > 0 ? 'charge' : 'refund',
+          settlementStatus: 'failed',
+          settlementReference: null
+        };
+      }
+    }
+
+    return none;
+  }
+
+  async createPaymentLink(order, amount, title) {
+    const checkout = await paymentGatewayService.createOrderCheckout(order.storeId, {
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      amount: round(amount),
+      title: `${title} ${orderNumberService.display(order.orderNumber)}`,
+      customerName: order.customerName,
+      customerEmail: null,
+      customerPhone: order.customerPhone ? order.customerPhone.split('@')[0] : null,
+      total: round(amount),
+      deliveryFee: 0
+    });
+
+    return checkout.checkoutUrl;
+  }
+
+  formatChanges(edit) {
+    const changes = parseJson(edit.itemChanges, {});
+    const lines = [];
+
+    (changes.added || []).forEach(item => lines.push(`➕ ${item.quantity}x ${item.productName} (${money(item.subtotal)})`));
+    (changes.removed || []).forEach(item => lines.push(`➖ ${item.quantity}x ${item.productName}`));
+    (changes.updated || []).forEach(item => lines.push(`✏️ ${item.quantity}x ${item.productName} (${money(item.subtotal)})`));
+    (changes.replaced || []).forEach(item => lines.push(`🔄 ${item.productName} → ${item.quantity}x ${item.replacedWithName} (${money(item.subtotal)})`));
+
+    if ((edit.newAddress || null) !== (edit.previousAddress || null)) {
+      lines.push(`📍 Nueva dirección: ${edit.newAddress || 'Sin dirección'}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  async sendWhatsApp(order, message) {
+    if (!order.storeId || !order.customerPhone) return;
+
+    try {
+      const { sendMessageToClient } = await import('./whatsapp-multi.service.js');
+      await sendMessageToClient(order.storeId, order.customerPhone, message);
+    } catch (error) {
+      // No fallar la edición si no se pudo avisar al cliente
+      logger.error({ orderId: order.id, error: error.message }, 'Error enviando WhatsApp de edición');
+    }
+  }
+
+  async notifyCustomer(order, edit) {
+    const orderLabel = orderNumberService.display(order.orderNumber);
+    const difference = round(edit.difference);
+    const differenceText = difference > 0
+      ? `💰 Diferencia a pagar: ${money(difference)}`
+      : difference < 0
+        ? `💰 Te devolvemos: ${money(Math.abs(difference))}`
+        : '💰 El total no cambia';
+
+    const message = `✏️ *MODIFICACIÓN DE TU PEDIDO*
+
+📋 Pedido ${orderLabel}
+${edit.reason ? `\n📝 Motivo: ${edit.reason}\n` : ''}
+${this.formatChanges(edit)}
+
+Total anterior: ${money(edit.previousTotal)}
+*Total nuevo: ${money(edit.newTotal)}*
+${differenceText}
+
+▶️ Escribí "SÍ" para aceptar
+⛔ Escribí "NO" para mantener tu pedido como estaba
+
+⏱️ Tenés ${CONFIRMATION_MINUTES} minutos para responder.`;
+
+    await this.sendWhatsApp(order, message);
+  }
+
+  async notifyApplied(order, edit) {
+    const orderLabel = orderNumberService.display(order.orderNumber);
+    let paymentText = '';
+
+    if (edit.settlementType === 'charge' && edit.settlementStatus === 'pending') {
+      paymentText = edit.settlementReference?.startsWith('http')
+        ? `\n\n💳 Pagá la diferencia acá:\n${edit.settlementReference}`
+        : `\n\n💳 Transferí la diferencia de ${money(edit.difference)} y envianos el comprobante.`;
+    } else if (edit.settlementType === 'refund') {
+      paymentText = edit.settlementStatus === 'completed'
+        ? `\n\n💸 Te devolvimos ${money(Math.abs(edit.difference))} a tu medio de pago.`
+        : `\n\n💸 El local te va a devolver ${money(Math.abs(edit.difference))}.`;
+    }
+
+    await this.sendWhatsApp(order, `✅ *PEDIDO ACTUALIZADO*\n\n📋 Pedido ${orderLabel}\n\n💰 Total: ${money(order.total)}${paymentText}`);
+  }
+}
+
+export const orderEditService = new OrderEditService();
+export default orderEditService;
@@ -1,30 +1,176 @@
 import prisma from '../utils/prisma.js';
 import logger from '../utils/logger.js';
 
+// Canales por los que se modifica un pedido
+export const ORDER_CHANNELS = {
+  ADMIN_PANEL: 'admin_panel',
+  BOT: 'bot',
+  DRIVER_APP: 'driver_app',
+  WEBHOOK: 'webhook',
+  WEB: 'web',
+  TABLE_QR: 'table_qr',
+  SYSTEM: 'system'
+};
+
+const SYSTEM_ACTOR = { id: null, name: null, role: 'system', channel: ORDER_CHANNELS.SYSTEM };
+
+// Campos con tipo de cambio propio; el resto se agrupa en FIELDS_UPDATED
+const TRACKED_FIELDS = {
+  status: 'STATUS_CHANGE',
+  deliveryStatus: 'DELIVERY_STATUS_CHANGE',
+  paymentStatus: 'PAYMENT_STATUS_CHANGE',
+  customerAddress: 'ADDRESS_CHANGE'
+};
+
+const GENERIC_FIELDS = [
+  'customerName', 'customerPhone', 'paymentMethod', 'subtotal', 'deliveryFee',
+  'discount', 'tipAmount', 'total', 'notes', 'deliveryCode', 'refundedAmount'
+];
+
+// Valores que no deben quedar en claro en el historial
+const MASKED_FIELDS = ['deliveryCode'];
+
+// Tipos de cambio que se muestran al cliente en /api/track/:token
+const CUSTOMER_VISIBLE_TYPES = [
+  'ORDER_CREATED', 'STATUS_CHANGE', 'DELIVERY_STATUS_CHANGE',
+  'PAYMENT_STATUS_CHANGE', 'ADDRESS_CHANGE', 'DRIVER_ASSIGNED', 'ITEMS_MODIFIED',
+  'SCHEDULED', 'SCHEDULE_RELEASED'
+];
+
+const STATUS_LABELS = {
+  pending: 'Pendiente',
+  confirmed: 'Confirmado',
+  preparing: 'En preparación',
+  ready: 'Listo',
+  assigned: 'Repartidor asignado',
+  in_transit: 'En camino',
+  delivered: 'Entregado',
+  cancelled: 'Cancelado',
+  stock_issue: 'Revisando stock',
+  stock_timeout: 'Cancelado por falta de stock'
+};
+
+const DELIVERY_STATUS_LABELS = {
+  available: 'Esperando repartidor',
+  accepted: 'Repartidor asignado',
+  picked_up: 'Retirado del local',
+  in_multi_route: 'En ruta de entrega',
+  delivering: 'En camino a tu dirección',
+  delivered: 'Entregado'
+};
+
+const PAYMENT_STATUS_LABELS = {
+  approved: 'Pago aprobado',
+  paid: 'Pago aprobado',
+  confirmed: 'Pago confirmado',
+  completed: 'Pago registrado',
+  partial: 'Pago parcial registrado',
+  failed: 'Pago rechazado',
+  partially_refunded: 'Reembolso parcial',
+  refunded: 'Pago reintegrado'
+};
+
+const parseJson = (value) => {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch {
+    return {};
+  }
+};
+
+const sameValue = (a, b) => {
+  if (a === b) return true;
+  if (a == null || b == null) return a == b;
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) === Number(b);
+  return String(a) === String(b);
+};
+
 class OrderHistoryService {
   /**
-   * Registrar cambio en pedido
+   * Actor de un request: admin (JWT), repartidor (JWT) o sistema
    */
-  async logChange(orderId, userId, changeType, previousValue, newValue, reason = null) {
+  actorFromRequest(req, channel = null) {
+    if (req?.driver) {
+      return {
+        id: req.driver.id,
+        name: req.driver.name || null,
+        role: 'driver',
+        channel: channel || ORDER_CHANNELS.DRIVER_APP
+      };
+    }
+
+    if (req?.user) {
+      return {
+        id: req.user.id,
+        name: req.user.name || req.user.email || null,
+        role: req.user.role || 'admin',
+        channel: channel || ORDER_CHANNELS.ADMIN_PANEL
+      };
+    }
+
+    return { ...SYSTEM_ACTOR, channel: channel || ORDER_CHANNELS.SYSTEM };
+  }
+
+  /**
+   * Registrar cambio en pedido (no interrumpe el flujo si falla)
+   */
+  async logChange(orderId, changeType, previousValue, newValue, actor = SYSTEM_ACTOR, reason = null) {
     try {
       const log = await prisma.orderChangeLog.create({
         data: {
           orderId,
-          userId,
           changeType,
-          previousValue: JSON.stringify(previousValue),
-          newValue: JSON.stringify(newValue),
-          reason,
-          createdAt: new Date()
+          actorId: actor?.id || null,
+          actorName: actor?.name || null,
+          actorRole: actor?.role || 'system',
+          channel: actor?.channel || ORDER_CHANNELS.SYSTEM,
+          previousValue: previousValue == null ? null : JSON.stringify(previousValue),
+          newValue: newValue == null ? null : JSON.stringify(newValue),
+          reason
         }
       });
 
-      logger.info({ orderId, changeType }, 'Cambio registrado');
+      logger.info({ orderId, changeType, channel: log.channel }, 'Cambio registrado');
       return log;
     } catch (error) {
-      logger.error({ error, orderId }, 'Error registrando cambio');
-      throw error;
+      logger.error({ error: error.message, orderId, changeType }, 'Error registrando cambio');
+      return null;
+    }
+  }
+
+  /**
+   * Registrar todos los cambios entre el pedido anterior y los datos aplicados
+   */
+  async recordUpdate(orderId, previousOrder, data, actor = SYSTEM_ACTOR, reason = null) {
+    if (!previousOrder || !data) return [];
+
+    const logs = [];
+
+    for (const [field, changeType] of Object.entries(TRACKED_FIELDS)) {
+      if (data[field] === undefined || sameValue(previousOrder[field], data[field])) continue;
+      logs.push(this.logChange(orderId, changeType, { [field]: previousOrder[field] ?? null }, { [field]: data[field] }, actor, reason));
+    }
+
+    if (data.deliveryPersonId !== undefined && !sameValue(previousOrder.deliveryPersonId, data.deliveryPersonId)) {
+      logs.push(data.deliveryPersonId
+        ? this.logDriverAssignment(orderId, actor, data.deliveryPersonId, actor?.id === data.deliveryPersonId ? actor.name : null)
+        : this.logChange(orderId, 'DRIVER_RELEASED', { driverId: previousOrder.deliveryPersonId }, null, actor, reason));
+    }
+
+    const previousFields = {};
+    const newFields = {};
+    for (const field of GENERIC_FIELDS) {
+      if (data[field] === undefined || sameValue(previousOrder[field], data[field])) continue;
+      const masked = MASKED_FIELDS.includes(field);
+      previousFields[field] = masked && previousOrder[field] ? '****' : (previousOrder[field] ?? null);
+      newFields[field] = masked && data[field] ? '****' : data[field];
     }
+    if (Object.keys(newFields).length > 0) {
+      logs.push(this.logChange(orderId, 'FIELDS_UPDATED', previousFields, newFields, actor, reason));
+    }
+
+    return Promise.all(logs);
   }
 
   /**
@@ -33,21 +179,38 @@ class OrderHistoryService {
   async getOrderChanges(orderId) {
     return prisma.orderChangeLog.findMany({
       where: { orderId },
-      include: { user: { select: { name: true, role: true } } },
-      orderBy: { createdAt: 'desc' }
+      orderBy: { createdAt: 'asc' }
     });
   }
 
+  /**
+   * Registrar creación del pedido
+   */
+  async logOrderCreated(order, actor = SYSTEM_ACTOR) {
+    return this.logChange(
+      order.id,
+      'ORDER_CREATED',
+      null,
+      {
+        orderNumber: order.orderNumber,
+        status: order.status,
+        total: order.total,
+        paymentMethod: order.paymentMethod
+      },
+      actor
+    );
+  }
+
   /**
    * Registrar cambio de estado
    */
-  async logStatusChange(orderId, userId, previousStatus, newStatus, reason = null) {
+  async logStatusChange(orderId, actor, previousStatus, newStatus, reason = null) {
     return this.logChange(
       orderId,
-      userId,
       'STATUS_CHANGE',
       { status: previousStatus },
       { status: newStatus },
+      actor,
       reason
     );
   }
@@ -55,13 +218,13 @@ class OrderHistoryService {
   /**
    * Registrar modificación de items
    */
-  async logItemsChange(orderId, userId, previousItems, newItems, reason = null) {
+  async logItemsChange(orderId, actor, previousItems, newItems, reason = null) {
     return this.logChange(
       orderId,
-      userId,
       'ITEMS_MODIFIED',
       { items: previousItems },
       { items: newItems },
+      actor,
       reason
     );
   }
@@ -69,81 +232,175 @@ class OrderHistoryService {
   /**
    * Registrar cambio de dirección
    */
-  async logAddressChange(orderId, userId, previousAddress, newAddress) {
+  async logAddressChange(orderId, actor, previousAddress, newAddress) {
     return this.logChange(
       orderId,
-      userId,
       'ADDRESS_CHANGE',
-      { address: previousAddress },
-      { address: newAddress }
+      { customerAddress: previousAddress },
+      { customerAddress: newAddress },
+      actor
     );
   }
 
   /**
    * Registrar asignación de repartidor
    */
-  async logDriverAssignment(orderId, userId, driverId, driverName) {
+  async logDriverAssignment(orderId, actor, driverId, driverName) {
     return this.logChange(
       orderId,
-      userId,
       'DRIVER_ASSIGNED',
       null,
-      { driverId, driverName }
+      { driverId, driverName },
+      actor
     );
   }
 
   /**
    * Registrar aplicación de cupón
    */
-  async logCouponApplied(orderId, userId, couponCode, discount) {
+  async logCouponApplied(orderId, actor, couponCode, discount) {
     return this.logChange(
       orderId,
-      userId,
       'COUPON_APPLIED',
       null,
-      { couponCode, discount }
+      { couponCode, discount },
+      actor
     );
   }
 
   /**
-   * Obtener timeline del pedido
+   * Obtener timeline completo del pedido (uso interno: panel, disputas)
    */
   async getOrderTimeline(orderId) {
     const changes = await this.getOrderChanges(orderId);
-    
+
     return changes.map(c => ({
+      id: c.id,
       timestamp: c.createdAt,
       type: c.changeType,
-      user: c.user?.name || 'Sistema',
+      actor: {
+        id: c.actorId,
+        name: c.actorName || (c.actorRole === 'system' ? 'Sistema' : null),
+        role: c.actorRole
+      },
+      channel: c.channel,
       description: this.formatChangeDescription(c),
+      reason: c.reason,
       details: {
-        previous: JSON.parse(c.previousValue || '{}'),
-        new: JSON.parse(c.newValue || '{}')
+        previous: parseJson(c.previousValue),
+        new: parseJson(c.newValue)
       }
     }));
   }
 
+  /**
+   * Timeline apto para el cliente: sin actores, canales ni valores internos
+   */
+  async getCustomerTimeline(orderId) {
+    let changes;
+    try {
+      changes = await prisma.orderChangeLog.findMany({
+        where: { orderId, changeType: { in: CUSTOMER_VISIBLE_TYPES } },
+        orderBy: { createdAt: 'asc' }
+      });
+    } catch (error) {
+      // El tracking no debe fallar por el historial
+      logger.error({ error: error.message, orderId }, 'Error obteniendo timeline del cliente');
+      return [];
+    }
+
+    return changes
+      .map(c => ({
+        timestamp: c.createdAt,
+        type: c.changeType,
+        description: this.formatCustomerDescription(c)
+      }))
+      .filter(entry => entry.description);
+  }
+
   formatChangeDescription(change) {
-    const newVal = JSON.parse(change.newValue || '{}');
-    const prevVal = JSON.parse(change.previousValue || '{}');
+    const newVal = parseJson(change.newValue);
+    const prevVal = parseJson(change.previousValue);
 
     switch (change.changeType) {
+      case 'ORDER_CREATED':
+        return newVal.orderNumber ? `Pedido ${newVal.orderNumber} creado` : 'Pedido creado';
       case 'STATUS_CHANGE':
         return `Estado cambiado de ${prevVal.status} a ${newVal.status}`;
+      case 'DELIVERY_STATUS_CHANGE':
+        return `Estado de entrega cambiado de ${prevVal.deliveryStatus || 'sin asignar'} a ${newVal.deliveryStatus || 'sin asignar'}`;
+      case 'PAYMENT_STATUS_CHANGE':
+        return `Estado de pago cambiado de ${prevVal.paymentStatus} a ${newVal.paymentStatus}`;
       case 'ITEMS_MODIFIED':
         return 'Items del pedido modificados';
       case 'ADDRESS_CHANGE':
         return 'Dirección de entrega actualizada';
       case 'DRIVER_ASSIGNED':
-        return `Repartidor asignado: ${newVal.driverName}`;
+        return `Repartidor asignado: ${newVal.driverName || newVal.driverId}`;
+      case 'DRIVER_RELEASED':
+        return 'Repartidor liberado';
       case 'COUPON_APPLIED':
         return `Cupón aplicado: ${newVal.couponCode} (-$${newVal.discount})`;
+      case 'EDIT_REQUESTED':
+        return 'Modificación enviada al cliente para confirmar';
+      case 'EDIT_REJECTED':
+        return 'El cliente rechazó la modificación';
+      case 'EDIT_CANCELLED':
+        return 'Modificación sin efecto';
+      case 'SCHEDULED':
+        return prevVal.scheduledFor ? 'Pedido reprogramado' : 'Pedido programado';
+      case 'SCHEDULE_RELEASED':
+        return 'Pedido programado liberado a cocina';
+      case 'TABLE_CHANGED':
+        return `Cuenta pasada de la mesa ${prevVal.tableNumber} a la mesa ${newVal.tableNumber}`;
+      case 'HELD_FOR_REVIEW':
+        return `Pedido retenido para revisión (riesgo ${newVal.riskScore})`;
+      case 'REVIEW_APPROVED':
+        return 'Revisión de riesgo aprobada';
+      case 'REFUND_REQUESTED':
+        return `Reembolso solicitado: $${newVal.amount} (${newVal.method})`;
+      case 'REFUND_REJECTED':
+        return `Reembolso rechazado: $${newVal.amount}`;
+      case 'REFUND_COMPLETED':
+        return `Reembolso completado: $${newVal.amount} (${newVal.method})`;
+      case 'REFUND_FAILED':
+        return `Reembolso fallido: $${newVal.amount} (${newVal.method})`;
+      case 'FIELDS_UPDATED':
+        return `Datos actualizados: ${Object.keys(newVal).join(', ')}`;
       default:
         return change.changeType;
     }
   }
+
+  formatCustomerDescription(change) {
+    const newVal = parseJson(change.newValue);
+
+    switch (change.changeType) {
+      case 'ORDER_CREATED':
+        return 'Pedido recibido';
+      case 'STATUS_CHANGE':
+        return STATUS_LABELS[newVal.status] || null;
+      case 'DELIVERY_STATUS_CHANGE':
+        return DELIVERY_STATUS_LABELS[newVal.deliveryStatus] || null;
+      case 'PAYMENT_STATUS_CHANGE':
+        return PAYMENT_STATUS_LABELS[newVal.paymentStatus] || null;
+      case 'ADDRESS_CHANGE':
+        return 'Dirección de entrega actualizada';
+      case 'DRIVER_ASSIGNED':
+        return 'Repartidor asignado';
+      case 'ITEMS_MODIFIED':
+        return 'Pedido modificado';
+      case 'SCHEDULED':
+        return 'Pedido programado';
+      case 'SCHEDULE_RELEASED':
+        return 'En preparación';
+      case 'HELD_FOR_REVIEW':
+        return 'En revisión por el local';
+      default:
+        return null;
+    }
+  }
 }
 
 export const orderHistoryService = new OrderHistoryService();
 export default orderHistoryService;
-
@@ -0,0 +1,185 @@
+/**
+ * Servicio de Numeración de Pedidos
+ * Contador atómico por local con prefijo/formato configurable y reinicio diario opcional
+ */
+
+import crypto from 'crypto';
+import prisma from '../utils/prisma.js';
+import logger from '../utils/logger.js';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+
+// Clave de secuencia para pedidos sin local (bot legacy)
+const GLOBAL_SEQUENCE_KEY = 'global';
+const DEFAULT_FORMAT = '#{SEQ:4}';
+const DEFAULT_PREFIXED_FORMAT = '{PREFIX}-{SEQ:4}';
+const TIME_ZONE = 'America/Argentina/Buenos_Aires';
+// Reintentos del contador ante errores transitorios de la base
+const MAX_SEQUENCE_ATTEMPTS = 3;
+
+class OrderNumberService {
+  /**
+   * Partes de la fecha en hora de Argentina
+   */
+  getDateParts(date = new Date()) {
+    const [year, month, day] = date
+      .toLocaleDateString('en-CA', { timeZone: TIME_ZONE })
+      .split('-');
+    return { year, month, day };
+  }
+
+  /**
+   * Alcance de la secuencia: 'all' o la fecha del día si se reinicia diariamente
+   */
+  getScope(dailyReset, date = new Date()) {
+    if (!dailyReset) return 'all';
+    const { year, month, day } = this.getDateParts(date);
+    return `${year}-${month}-${day}`;
+  }
+
+  /**
+   * Aplicar formato. Tokens: {PREFIX}, {SEQ}, {SEQ:n}, {YYYY}, {YY}, {MM}, {DD}
+   */
+  format(template, { prefix, sequence, date = new Date() }) {
+    const { year, month, day } = this.getDateParts(date);
+    const base = template || (prefix ? DEFAULT_PREFIXED_FORMAT : DEFAULT_FORMAT);
+
+    return base
+      .replace(/\{SEQ(?::(\d+))?\}/g, (_, pad) => String(sequence).padStart(parseInt(pad || '0', 10), '0'))
+      .replace(/\{PREFIX\}/g, prefix || '')
+      .replace(/\{YYYY\}/g, year)
+      .replace(/\{YY\}/g, year.slice(-2))
+      .replace(/\{MM\}/g, month)
+      .replace(/\{DD\}/g, day);
+  }
+
+  /**
+   * Número para mostrar en mensajes y tickets (evita "##0042")
+   */
+  display(orderNumber) {
+    if (!orderNumber) return '';
+    return /^\d/.test(orderNumber) ? `#${orderNumber}` : orderNumber;
+  }
+
+  /**
+   * Valor inicial de una secuencia nueva: continúa la numeración previa del local
+   */
+  async getSeedValue(storeId, scope) {
+    if (scope !== 'all') return 0;
+
+    const lastOrder = await prisma.order.findFirst({
+      where: { storeId: storeId || null },
+      select: { orderNumber: true, sequenceNumber: true },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    if (!lastOrder) return 0;
+    if (lastOrder.sequenceNumber) return lastOrder.sequenceNumber;
+
+    const digits = String(lastOrder.orderNumber || '').match(/(\d+)\D*$/);
+    return digits ? parseInt(digits[1], 10) : 0;
+  }
+
+  /**
+   * Incrementar la secuencia de forma atómica (INSERT ... ON CONFLICT)
+   */
+  async nextSequence(storeId, scope) {
+    const sequenceKey = storeId || GLOBAL_SEQUENCE_KEY;
+
+    const existing = await prisma.orderSequence.findUnique({
+      where: { storeId_scope: { storeId: sequenceKey, scope } },
+      select: { id: true }
+    });
+    const seed = existing ? 0 : await this.getSeedValue(storeId, scope);
+
+    const rows = await prisma.$queryRaw`
+      INSERT INTO order_sequences (id, store_id, scope, last_value, created_at, updated_at)
+      VALUES (${crypto.randomUUID()}, ${sequenceKey}, ${scope}, ${seed + 1}, NOW(), NOW())
+      ON CONFLICT (store_id, scope)
+      DO UPDATE SET last_value = order_sequences.last_value + 1, updated_at = NOW()
+      RETURNING last_value
+    `;
+
+    return Number(rows[0].last_value);
+  }
+
+  /**
+   * Generar el próximo número de pedido de un local
+   * Si el contador falla se reintenta; sin contador el pedido no se crea (nunca se inventa un número)
+   * @returns {Promise<{orderNumber: string, sequenceNumber: number, sequenceScope: string}>}
+   */
+  async generate(storeId) {
+    const settings = storeId
+      ? await prisma.storeSettings.findUnique({
+          where: { storeId },
+          select: { orderNumberPrefix: true, orderNumberFormat: true, orderNumberDailyReset: true }
+        })
+      : null;
+
+    const now = new Date();
+    const scope = this.getScope(settings?.orderNumberDailyReset, now);
+
+    let sequence = null;
+    for (let attempt = 1; sequence === null; attempt++) {
+      try {
+        sequence = await this.nextSequence(storeId, scope);
+      } catch (error) {
+        logger.error({ storeId, scope, attempt, error: error.message }, 'Error incrementing order sequence');
+        if (attempt >= MAX_SEQUENCE_ATTEMPTS) {
+          throw new AppError(ErrorCodes.SERVICE_UNAVAILABLE, {
+            message: 'No se pudo generar el número de pedido, intentá nuevamente'
+          });
+        }
+      }
+    }
+
+    return {
+      orderNumber: this.format(settings?.orderNumberFormat, {
+        prefix: settings?.orderNumberPrefix,
+        sequence,
+        date: now
+      }),
+      sequenceNumber: sequence,
+      sequenceScope: scope
+    };
+  }
+
+  /**
+   * Condiciones para buscar un pedido por su número (acepta "42", "#0042", "ROT-0042")
+   */
+  buildLookupConditions(input) {
+    const raw = String(input || '').trim();
+    if (!raw) return [];
+
+    const conditions = [{ orderNumber: { equals: raw, mode: 'insensitive' } }];
+    if (/^\d+$/.test(raw)) {
+      conditions.push({ orderNumber: `#${raw}` });
+      conditions.push({ sequenceNumber: parseInt(raw, 10) });
+    } else {
+      const digits = raw.match(/(\d+)$/);
+      if (digits && raw.startsWith('#')) {
+        conditions.push({ sequenceNumber: parseInt(digits[1], 10) });
+      }
+    }
+    return conditions;
+  }
+
+  /**
+   * Buscar el pedido más reciente de un local por número
+   */
+  async findByNumber(storeId, input, options = {}) {
+    const conditions = this.buildLookupConditions(input);
+    if (conditions.length === 0) return null;
+
+    return prisma.order.findFirst({
+      where: {
+        ...(storeId && { storeId }),
+        OR: conditions
+      },
+      orderBy: { createdAt: 'desc' },
+      ...options
+    });
+  }
+}
+
+export const orderNumberService = new OrderNumberService();
+export default orderNumberService;
@@ -0,0 +1,474 @@
+/**
+ * Servicio de Pagos del Pedido
+ * Libro de pagos por pedido (efectivo, transferencia, MercadoPago, tarjeta, saldo a favor, gift card) que permite
+ * dividir el cobro en varios medios. El estado de pago del pedido se calcula a partir
+ * de sus pagos (rollup), manteniendo paymentMethod / paymentStatus para compatibilidad
+ */
+
+import prisma from '../utils/prisma.js';
+import logger from '../utils/logger.js';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+import orderHistoryService, { ORDER_CHANNELS } from './order-history.service.js';
+
+export const TENDER_TYPES = {
+  CASH: 'cash',
+  TRANSFER: 'transfer',
+  MERCADOPAGO: 'mercadopago',
+  CARD: 'card',
+  STORE_CREDIT: 'store_credit',
+  GIFT_CARD: 'gift_card'
+};
+
+// Valor de Order.paymentMethod que usan el bot, la web y el panel para cada medio
+const LEGACY_METHODS = {
+  cash: 'efectivo',
+  transfer: 'transferencia',
+  mercadopago: 'mercadopago',
+  card: 'card',
+  store_credit: 'saldo_a_favor',
+  gift_card: 'gift_card'
+};
+
+const METHOD_ALIASES = {
+  efectivo: 'cash',
+  cash: 'cash',
+  transferencia: 'transfer',
+  transfer: 'transfer',
+  mercadopago: 'mercadopago',
+  mercado_pago: 'mercadopago',
+  'mercado pago': 'mercadopago', // Pedidos del bot y la web ("Mercado Pago")
+  card: 'card',
+  tarjeta: 'card',
+  store_credit: 'store_credit',
+  saldo: 'store_credit',
+  saldo_a_favor: 'store_credit',
+  gift_card: 'gift_card',
+  giftcard: 'gift_card'
+};
+
+// Estados de PendingTransfer → estado del pago
+const TRANSFER_STATUS_MAP = {
+  pending: 'pending',
+  approved: 'paid',
+  verified: 'paid',
+  rejected: 'failed'
+};
+
+// Pagos que ya no cuentan para el total del pedido
+const INACTIVE_STATUSES = ['failed', 'cancelled', 'refunded'];
+
+// Estados de pago completo que ya usa el sistema (no se pisan al recalcular)
+const PAID_ALIASES = ['paid', 'approved', 'confirmed'];
+
+// Diferencia máxima (en pesos) que se tolera por redondeos
+const AMOUNT_TOLERANCE = 1;
+
+const round = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+class OrderPaymentsService {
+  /**
+   * Normalizar un medio de pago ('efectivo', 'mercado_pago', ...) a su tipo de pago
+   */
+  normalizeTender(method) {
+    return METHOD_ALIASES[String(method || '').toLowerCase().trim()] || null;
+  }
+
+  /**
+   * Todas las formas en que se guarda un medio en Order.paymentMethod (para filtrar pedidos)
+   * Un medio desconocido se devuelve tal cual
+   */
+  methodAliases(method) {
+    const tender = this.normalizeTender(method);
+    if (!tender) return [String(method || '').trim()];
+    return Object.keys(METHOD_ALIASES).filter(alias => METHOD_ALIASES[alias] === tender);
+  }
+
+  async getPayments(orderId, client = prisma) {
+    return client.orderPayment.findMany({
+      where: { orderId },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * Bloquear el pedido hasta el fin de la transacción: dos pagos simultáneos del mismo pedido
+   * (saldo a favor, gift card) leen el saldo pendiente uno después del otro
+   */
+  async lockOrder(orderId, tx) {
+    await tx.$queryRaw`SELECT id FROM orders WHERE id = ${orderId} FOR UPDATE`;
+  }
+
+  /**
+   * Resumen de pagos: cobrado, pendiente y saldo sin asignar a ningún medio
+   */
+  summarize(order, payments) {
+    const active = payments.filter(p => !INACTIVE_STATUSES.includes(p.status));
+    const paid = round(active.filter(p => p.status === 'paid').reduce((sum, p) => sum + p.amount, 0));
+    const pending = round(active.filter(p => p.status === 'pending').reduce((sum, p) => sum + p.amount, 0));
+
+    return {
+      total: round(order.total),
+      paid,
+      pending,
+      unassigned: round(Math.max(order.total - paid - pending, 0)),
+      balance: round(Math.max(order.total - paid, 0)),
+      tenders: [...new Set(active.map(p => p.tenderType))]
+    };
+  }
+
+  /**
+   * Libro de pagos de un pedido con su resumen
+   */
+  async getLedger(orderId) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { id: true, orderNumber: true, total: true, paymentMethod: true, paymentStatus: true }
+    });
+    if (!order) {
+      throw new AppError(ErrorCodes.ORDER_NOT_FOUND);
+    }
+
+    const payments = await this.getPayments(orderId);
+    return { ...order, payments, summary: this.summarize(order, payments) };
+  }
+
+  /**
+   * Abrir (o actualizar) un pago pendiente de un medio
+   * Si ya hay un pago pendiente del mismo medio se reutiliza; sin monto, toma el saldo sin asignar
+   */
+  async openTender(orderId, tender, actor = null) {
+    const tenderType = this.normalizeTender(tender.tenderType);
+    if (!tenderType) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: `Medio de pago inválido: ${tender.tenderType}` });
+    }
+    // El saldo a favor y las gift cards se descuentan al aplicarlos (ver store-credit / gift-cards), nunca quedan pendientes
+    if (tenderType === TENDER_TYPES.STORE_CREDIT || tenderType === TENDER_TYPES.GIFT_CARD) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+        message: tenderType === TENDER_TYPES.STORE_CREDIT
+          ? 'El saldo a favor se aplica desde la billetera del cliente'
+          : 'La gift card se aplica con su código'
+      });
+    }
+
+    const order = await prisma.order.findUnique({ where: { id: orderId } });
+    if (!order) {
+      throw new AppError(ErrorCodes.ORDER_NOT_FOUND);
+    }
+
+    const payments = await this.getPayments(orderId);
+    const existing = payments.find(p =>
+      p.tenderType === tenderType &&
+      p.status === 'pending' &&
+      (!tender.pendingTransferId || !p.pendingTransferId || p.pendingTransferId === tender.pendingTransferId)
+    );
+
+    const summary = this.summarize(order, payments);
+    const available = round(summary.unassigned + (existing ? existing.amount : 0));
+    const amount = round(tender.amount ?? available);
+
+    if (!(amount > 0)) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El pedido no tiene saldo pendiente de pago' });
+    }
+    if (amount > available + AMOUNT_TOLERANCE) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+        message: `El monto ($${amount}) supera el saldo pendiente del pedido ($${available})`
+      });
+    }
+
+    const data = {
+      amount,
+      ...(tender.reference !== undefined && { reference: tender.reference }),
+      ...(tender.proofImageUrl !== undefined && { proofImageUrl: tender.proofImageUrl }),
+      ...(tender.pendingTransferId !== undefined && { pendingTransferId: tender.pendingTransferId })
+    };
+
+    const payment = existing
+      ? await prisma.orderPayment.update({ where: { id: existing.id }, data })
+      : await prisma.orderPayment.create({
+        data: { orderId, storeId: order.storeId, tenderType, status: 'pending', ...data }
+      });
+
+    logger.info({ orderId, paymentId: payment.id, tenderType, amount }, 'Pago del pedido registrado');
+    await this.rollup(orderId, actor);
+    return payment;
+  }
+
+  /**
+   * Reemplazar los pagos pendientes por una nueva división (ej: cliente cambia de medio en el bot)
+   * tenders: [{ tenderType, amount? }] — a lo sumo uno sin monto, que toma el resto
+   */
+  async splitTender(orderId, tenders, actor = null) {
+    if (!Array.isArray(tenders) || tenders.length === 0) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Indicá al menos un medio de pago' });
+    }
+    if (tenders.filter(t => t.amount == null).length > 1) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Solo un medio de pago puede quedar sin monto' });
+    }
+    if (new Set(tenders.map(t => this.normalizeTender(t.tenderType))).size !== tenders.length) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Cada medio de pago puede usarse una sola vez' });
+    }
+
+    await this.cancelPendingTenders(orderId);
+
+    // Primero los montos fijos, al final el que toma el resto
+    const ordered = [...tenders].sort((a, b) => (a.amount == null) - (b.amount == null));
+    const payments = [];
+    for (const tender of ordered) {
+      payments.push(await this.openTender(orderId, tender, actor));
+    }
+    return payments;
+  }
+
+  /**
+   * Anular los pagos pendientes (el cliente eligió otro medio)
+   */
+  async cancelPendingTenders(orderId) {
+    const { count } = await prisma.orderPayment.updateMany({
+      where: { orderId, status: 'pending' },
+      data: { status: 'cancelled' }
+    });
+    return count;
+  }
+
+  /**
+   * Reajustar los pagos pendientes al saldo actual del pedido (ej: después de editar los items)
+   * La diferencia la absorbe el último pago pendiente; si el saldo baja, se descuenta desde el
+   * último hacia atrás y se anulan los que quedan en cero
+   */
+  async rebalancePendingTenders(orderId, actor = null) {
+    const order = await prisma.order.findUnique({ where: { id: orderId }, select: { id: true, total: true } });
+    if (!order) return null;
+
+    const payments = await this.getPayments(orderId);
+    const pending = payments.filter(p => p.status === 'pending');
+    const summary = this.summarize(order, payments);
+    let difference = round(summary.balance - summary.pending);
+
+    // Sin pagos pendientes (o ya cuadrados) solo se recalcula el estado contra el total nuevo
+    if (pending.length === 0 || Math.abs(difference) < 0.01) {
+      if (payments.length > 0) await this.rollup(orderId, actor);
+      return summary;
+    }
+
+    for (const payment of [...pending].reverse()) {
+      if (!difference) break;
+      const amount = round(Math.max(payment.amount + difference, 0));
+      difference = round(difference - (amount - payment.amount));
+      await prisma.orderPayment.update({
+        where: { id: payment.id },
+        data: amount > 0 ? { amount } : { status: 'cancelled' }
+      });
+    }
+
+    logger.info({ orderId, balance: summary.balance }, 'Pagos pendientes reajustados al saldo del pedido');
+    await this.rollup(orderId, actor);
+    return this.summarize(order, await this.getPayments(orderId));
+  }
+
+  /**
+   * Cambiar el estado de un pago (paid, failed, cancelled, refunded)
+   */
+  async settleTender(paymentId, status, { reference, collectedById } = {}, actor = null, client = prisma) {
+    const payment = await client.orderPayment.update({
+      where: { id: paymentId },
+      data: {
+        status,
+        ...(reference !== undefined && { reference }),
+        ...(collectedById !== undefined && { collectedById }),
+        ...(status === 'paid' && { paidAt: new Date() })
+      }
+    });
+
+    await this.rollup(payment.orderId, actor, client);
+    return payment;
+  }
+
+  /**
+   * Registrar un pago aprobado por un proveedor (MercadoPago / tarjeta)
+   * Idempotente por referencia: el mismo pago notificado dos veces se registra una sola vez
+   * (índice único orderId + tenderType + reference; dos notificaciones simultáneas chocan en P2002)
+   */
+  async recordProviderPayment(orderId, { tenderType, amount = null, reference = null }, actor = null) {
+    const type = this.normalizeTender(tenderType);
+    const payments = await this.getPayments(orderId);
+
+    if (reference && payments.some(p => p.reference === reference && p.status === 'paid')) {
+      return null;
+    }
+
+    let payment;
+    try {
+      const open = payments.find(p => p.tenderType === type && p.status === 'pending');
+      if (open) {
+        payment = await prisma.orderPayment.update({
+          where: { id: open.id },
+          data: {
+            status: 'paid',
+            paidAt: new Date(),
+            ...(amount != null && { amount: round(amount) }),
+            ...(reference && { reference })
+          }
+        });
+      } else {
+        const order = await prisma.order.findUnique({ where: { id: orderId } });
+        if (!order) return null;
+
+        const summary = this.summarize(order, payments);
+        payment = await prisma.orderPayment.create({
+          data: {
+            orderId,
+            storeId: order.storeId,
+            tenderType: type,
+            amount: round(amount ?? summary.balance),
+            status: 'paid',
+            reference,
+            paidAt: new Date()
+          }
+        });
+      }
+    } catch (error) {
+      if (error.code === 'P2002') {
+        logger.info({ orderId, tenderType: type, reference }, 'Pago del proveedor ya registrado');
+        return null;
+      }
+      throw error;
+    }
+
+    await this.rollup(orderId, actor);
+    return payment;
+  }
+
+  /**
+   * Reflejar en el libro un PendingTransfer creado o actualizado (bot / panel)
+   */
+  async syncPendingTransfer(transfer, actor = null) {
+    if (!transfer?.orderId) return null;
+
+    try {
+      const status = TRANSFER_STATUS_MAP[transfer.status] || 'pending';
+      const linked = await prisma.orderPayment.findFirst({
+        where: { pendingTransferId: transfer.id }
+      });
+
+      if (!linked || (linked.status === 'pending' && status === 'pending')) {
+        if (status !== 'pending') return null;
+        return await this.openTender(transfer.orderId, {
+          tenderType: TENDER_TYPES.TRANSFER,
+          amount: transfer.amount || null,
+          reference: transfer.transferReference || null,
+          proofImageUrl: transfer.proofImageUrl || null,
+          pendingTransferId: transfer.id
+        }, actor);
+      }
+
+      if (linked.status === status) return linked;
+      return await this.settleTender(linked.id, status, { reference: transfer.transferReference || undefined }, actor);
+    } catch (error) {
+      // El flujo de transferencias no debe fallar por el libro de pagos
+      logger.error({ transferId: transfer.id, orderId: transfer.orderId, error: error.message }, 'Error sincronizando transferencia con pagos del pedido');
+      return null;
+    }
+  }
+
+  /**
+   * Efectivo que el repartidor debe cobrar al entregar
+   */
+  async getCashDue(order, client = prisma) {
+    const payments = await this.getPayments(order.id, client);
+
+    // Pedidos sin libro de pagos: se cobra el total si el medio es efectivo
+    if (payments.length === 0) {
+      return this.normalizeTender(order.paymentMethod) === TENDER_TYPES.CASH ? round(order.total) : 0;
+    }
+
+    return round(payments
+      .filter(p => p.tenderType === TENDER_TYPES.CASH && p.status === 'pending')
+      .reduce((sum, p) => sum + p.amount, 0));
+  }
+
+  /**
+   * Marcar como cobrado el efectivo del pedido (lo recibió el repartidor)
+   */
+  async collectCash(orderId, driverId, amount, client = prisma) {
+    const actor = { id: driverId, role: 'driver', channel: ORDER_CHANNELS.DRIVER_APP };
+    const pendingCash = await client.orderPayment.findMany({
+      where: { orderId, tenderType: TENDER_TYPES.CASH, status: 'pending' }
+    });
+
+    if (pendingCash.length === 0) {
+      const order = await client.order.findUnique({ where: { id: orderId }, select: { storeId: true } });
+      await client.orderPayment.create({
+        data: {
+          orderId,
+          storeId: order?.storeId || null,
+          tenderType: TENDER_TYPES.CASH,
+          amount: round(amount),
+          status: 'paid',
+          collectedById: driverId,
+          paidAt: new Date()
+        }
+      });
+    } else {
+      await client.orderPayment.updateMany({
+        where: { id: { in: pendingCash.map(p => p.id) } },
+        data: { status: 'paid', collectedById: driverId, paidAt: new Date() }
+      });
+    }
+
+    await this.rollup(orderId, actor, client);
+  }
+
+  /**
+   * Recalcular paymentMethod / paymentStatus del pedido a partir de sus pagos
+   */
+  async rollup(orderId, actor = null, client = prisma) {
+    const order = await client.order.findUnique({
+      where: { id: orderId },
+      select: { id: true, total: true, paymentMethod: true, paymentStatus: true, refundedAmount: true }
+    });
+    if (!order) return null;
+
+    const payments = await this.getPayments(orderId, client);
+    if (payments.length === 0) return order;
+
+    const summary = this.summarize(order, payments);
+
+    let paymentStatus;
+    if (summary.paid >= summary.total - AMOUNT_TOLERANCE) {
+      paymentStatus = PAID_ALIASES.includes(order.paymentStatus) ? order.paymentStatus : 'paid';
+    } else if (summary.paid > 0) {
+      paymentStatus = 'partial';
+    } else if (summary.tenders.length === 0 && payments.every(p => p.status === 'failed')) {
+      paymentStatus = 'failed';
+    } else {
+      paymentStatus = 'pending';
+    }
+
+    // Con reembolsos completados el pedido no vuelve a figurar como cobrado entero (ver refunds.service)
+    if (order.refundedAmount > 0 && summary.paid > 0) {
+      paymentStatus = order.refundedAmount >= summary.paid - AMOUNT_TOLERANCE ? 'refunded' : 'partially_refunded';
+    }
+
+    let paymentMethod = order.paymentMethod;
+    if (summary.tenders.length > 1) {
+      paymentMethod = 'mixto';
+    } else if (summary.tenders.length === 1 && this.normalizeTender(order.paymentMethod) !== summary.tenders[0]) {
+      paymentMethod = LEGACY_METHODS[summary.tenders[0]];
+    }
+
+    if (paymentStatus === order.paymentStatus && paymentMethod === order.paymentMethod) {
+      return order;
+    }
+
+    const updated = await client.order.update({
+      where: { id: orderId },
+      data: { paymentStatus, paymentMethod }
+    });
+    await orderHistoryService.recordUpdate(orderId, order, { paymentStatus, paymentMethod }, actor || undefined);
+
+    return updated;
+  }
+}
+
+export const orderPaymentsService = new OrderPaymentsService();
+export default orderPaymentsService;
@@ -0,0 +1,561 @@
+/**
+ * Servicio de Precios de Pedidos
+ * Recalcula en el servidor los montos de un pedido (productos, opciones,
+ * envío y cupones) para no depender de lo que manda el cliente
+ */
+
+import prisma from '../utils/prisma.js';
+import logger from '../utils/logger.js';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+import tipsService from './tips.service.js';
+
+// Diferencia máxima (en pesos) que se tolera por redondeos del cliente
+const PRICE_TOLERANCE = 1;
+
+// Modos de entrega: envío con repartidor, retiro en el local o mesa del salón
+const FULFILLMENT_TYPES = ['delivery', 'pickup', 'dine_in'];
+
+// dine_in solo entra por una sesión de mesa abierta (tables.service), nunca por el checkout público
+const TABLE_ONLY_FULFILLMENT_TYPES = ['dine_in'];
+
+const round = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const normalizeName = (value) => String(value || '').trim().toLowerCase();
+
+// Niveles de usuario en orden ascendente (mismo criterio que coupon.service)
+const USER_LEVELS = ['bronce', 'plata', 'oro', 'platino'];
+
+const parseJson = (value) => {
+  if (!value) return null;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+// ¿La hora actual cae dentro de la franja { from, to }? (soporta franjas que cruzan medianoche)
+const withinHours = (validHours, now) => {
+  const toMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+  };
+  const current = now.getHours() * 60 + now.getMinutes();
+  const from = toMinutes(validHours.from);
+  const to = toMinutes(validHours.to);
+  return from <= to
+    ? current >= from && current < to
+    : current >= from || current < to;
+};
+
+class OrderPricingService {
+  /**
+   * Modo de manejo de diferencias: 'correct' (usa precios del servidor) o 'reject'
+   */
+  getMode() {
+    return process.env.ORDER_PRICING_MODE === 'reject' ? 'reject' : 'correct';
+  }
+
+  /**
+   * Normalizar selected_options a una lista de { id, name }
+   * Acepta los formatos que generan la web, el admin y el bot
+   */
+  parseSelectedOptions(raw) {
+    if (!raw) return [];
+
+    let parsed = raw;
+    if (typeof raw === 'string') {
+      try {
+        parsed = JSON.parse(raw);
+      } catch (e) {
+        return [];
+      }
+    }
+
+    let entries = [];
+    if (Array.isArray(parsed)) {
+      entries = parsed;
+    } else if (parsed && typeof parsed === 'object') {
+      if (Array.isArray(parsed.selectedOptions)) {
+        entries = parsed.selectedOptions;
+      } else if (Array.isArray(parsed.options)) {
+        entries = parsed.options;
+      } else {
+        Object.values(parsed).forEach(value => {
+          if (Array.isArray(value)) entries.push(...value);
+        });
+      }
+    }
+
+    return entries
+      .map(entry => {
+        if (typeof entry === 'string') {
+          // Formato del bot: "Grandes (+$100)"
+          return { id: null, name: entry.replace(/\s*\(\+\$.*\)\s*$/, '').trim() };
+        }
+        if (entry && typeof entry === 'object') {
+          return {
+            id: entry.id || entry.optionId || entry.option_id || null,
+            name: entry.name || entry.optionName || entry.option_name || ''
+          };
+        }
+        return null;
+      })
+      .filter(entry => entry && (entry.id || entry.name));
+  }
+
+  /**
+   * Resolver el producto de un item (por ID, o por nombre dentro del local)
+   */
+  async resolveProduct(storeId, item) {
+    const productId = item.product_id || item.productId;
+    const include = {
+      productOptionCategories: {
+        include: { options: true }
+      }
+    };
+
+    if (productId) {
+      return prisma.product.findUnique({ where: { id: productId }, include });
+    }
+
+    const productName = item.product_name || item.productName;
+    if (!productName || !storeId) return null;
+
+    return prisma.product.findFirst({
+      where: {
+        storeId,
+        name: { equals: productName.trim(), mode: 'insensitive' }
+      },
+      include
+    });
+  }
+
+  /**
+   * Calcular precio de un item a partir del producto y sus opciones
+   */
+  async priceItem(storeId, item, index) {
+    const label = item.product_name || item.productName || `#${index + 1}`;
+    const quantity = parseInt(item.quantity, 10);
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+        message: `Cantidad inválida para "${label}"`,
+        item: index
+      });
+    }
+
+    const product = await this.resolveProduct(storeId, item);
+    if (!product || (storeId && product.storeId && product.storeId !== storeId)) {
+      throw new AppError(ErrorCodes.PRODUCT_NOT_FOUND, {
+        message: `Producto no encontrado: "${label}"`,
+        item: index
+      });
+    }
+
+    if (!product.isAvailable) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+        message: `El producto "${product.name}" no está disponible`,
+        item: index
+      });
+    }
+
+    const requested = this.parseSelectedOptions(item.selected_options ?? item.selectedOptions);
+    const categories = product.productOptionCategories || [];
+    const allOptions = categories.flatMap(category =>
+      category.options.map(option => ({ ...option, category }))
+    );
+
+    const options = requested.map(entry => {
+      const option = (entry.id && allOptions.find(o => o.id === entry.id)) ||
+        allOptions.find(o => normalizeName(o.name) === normalizeName(entry.name));
+
+      if (!option) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+          message: `La opción "${entry.name || entry.id}" no existe para "${product.name}"`,
+          item: index
+        });
+      }
+      if (!option.isAvailable) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+          message: `La opción "${option.name}" no está disponible`,
+          item: index
+        });
+      }
+      return option;
+    });
+
+    // Validar selecciones mínimas/máximas por categoría
+    for (const category of categories) {
+      const selected = options.filter(o => o.optionCategoryId === category.id).length;
+      if (category.isRequired && selected < Math.max(category.minSelections, 1)) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+          message: `Falta elegir "${category.name}" para "${product.name}"`,
+          item: index
+        });
+      }
+      if (category.maxSelections > 0 && selected > category.maxSelections) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+          message: `Demasiadas opciones en "${category.name}" para "${product.name}"`,
+          item: index
+        });
+      }
+    }
+
+    const basePrice = round(product.price);
+    const optionsTotal = round(options.reduce((sum, o) => sum + Number(o.priceModifier || 0), 0));
+    const unitPrice = round(basePrice + optionsTotal);
+
+    return {
+      productId: product.id,
+      productName: product.name,
+      categoryId: product.categoryId,
+      quantity,
+      basePrice,
+      optionsTotal,
+      unitPrice,
+      subtotal: round(unitPrice * quantity),
+      options: options.map(o => ({
+        id: o.id,
+        name: o.name,
+        category: o.category.name,
+        priceModifier: round(o.priceModifier)
+      }))
+    };
+  }
+
+  /**
+   * Calcular costo de envío según la configuración del local
+   */
+  computeDeliveryFee(settings, fulfillmentType) {
+    if (fulfillmentType !== 'delivery') return 0;
+    return round(settings?.deliveryPrice || 0);
+  }
+
+  /**
+   * Buscar un cupón (Coupon) o código promocional (PromoCode) y calcular su descuento
+   * @param {object} [customer] - Quién usa el código: { customerId (teléfono / @lid), userId }
+   */
+  async resolveDiscount(code, { storeId, subtotal, deliveryFee, items, customer = {} }) {
+    const normalized = String(code).toUpperCase().trim();
+    const now = new Date();
+
+    const coupon = await prisma.coupon.findUnique({ where: { code: normalized } });
+    if (coupon) {
+      if (!coupon.isActive || (coupon.storeId && coupon.storeId !== storeId)) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El cupón no es válido para este local' });
+      }
+      if (coupon.validFrom && coupon.validFrom > now) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El cupón aún no está activo' });
+      }
+      if (coupon.validUntil && coupon.validUntil < now) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El cupón expiró' });
+      }
+      if (coupon.usageLimit && coupon.usageCount >= coupon.usageLimit) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El cupón está agotado' });
+      }
+      if (coupon.minOrderAmount && subtotal < coupon.minOrderAmount) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+          message: `El cupón requiere un mínimo de $${coupon.minOrderAmount}`
+        });
+      }
+      if (coupon.requiredLevel) {
+        const user = customer.userId
+          ? await prisma.user.findUnique({ where: { id: customer.userId }, select: { level: true } })
+          : null;
+        if (USER_LEVELS.indexOf(user?.level || 'bronce') < USER_LEVELS.indexOf(coupon.requiredLevel)) {
+          throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+            message: `El cupón requiere nivel ${coupon.requiredLevel} o superior`
+          });
+        }
+      }
+      if (coupon.userLimit && await this.countCustomerUses('coupon', coupon, customer) >= coupon.userLimit) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Ya usaste este cupón el máximo de veces permitido' });
+      }
+
+      let discount = 0;
+      let freeDelivery = false;
+      if (coupon.discountType === 'percentage') {
+        discount = subtotal * (coupon.discountValue / 100);
+      } else if (coupon.discountType === 'free_delivery') {
+        freeDelivery = true;
+        discount = deliveryFee;
+      } else {
+        discount = coupon.discountValue;
+      }
+      if (coupon.maxDiscount && discount > coupon.maxDiscount) {
+        discount = coupon.maxDiscount;
+      }
+
+      return {
+        source: 'coupon',
+        id: coupon.id,
+        code: coupon.code,
+        type: coupon.discountType,
+        freeDelivery,
+        discount: round(Math.min(discount, subtotal + deliveryFee))
+      };
+    }
+
+    const promoCode = await prisma.promoCode.findUnique({ where: { code: normalized } });
+    if (!promoCode) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Código de descuento no encontrado' });
+    }
+    if (!promoCode.isActive) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El código no está activo' });
+    }
+    if (new Date(promoCode.validFrom) > now || new Date(promoCode.validUntil) < now) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El código no está vigente' });
+    }
+    if (promoCode.maxTotalUses && promoCode.totalUses >= promoCode.maxTotalUses) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El código alcanzó su límite de usos' });
+    }
+    const levelRestriction = parseJson(promoCode.levelRestriction);
+    if (Array.isArray(levelRestriction) && levelRestriction.length > 0) {
+      const loyalty = customer.customerId
+        ? await prisma.customerLoyalty.findUnique({ where: { customerId: customer.customerId } })
+        : null;
+      if (!loyalty || !levelRestriction.includes(loyalty.tier)) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Tu nivel no permite usar este código' });
+      }
+    }
+    const validHours = parseJson(promoCode.validHours);
+    if (validHours?.from && validHours?.to && !withinHours(validHours, now)) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+        message: `El código es válido solo de ${validHours.from} a ${validHours.to}`
+      });
+    }
+    if (promoCode.maxUsesPerCustomer && await this.countCustomerUses('promo_code', promoCode, customer) >= promoCode.maxUsesPerCustomer) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Ya usaste este código el máximo de veces permitido' });
+    }
+
+    let discount = 0;
+    if (promoCode.type === 'discount_percent') {
+      discount = subtotal * (promoCode.value / 100);
+    } else if (promoCode.type === 'discount_fixed') {
+      discount = promoCode.value;
+    } else if (promoCode.type === 'free_product' && promoCode.productId) {
+      const freeItem = items.find(item => item.productId === promoCode.productId);
+      discount = freeItem ? freeItem.unitPrice : 0;
+    }
+
+    return {
+      source: 'promo_code',
+      id: promoCode.id,
+      code: promoCode.code,
+      type: promoCode.type,
+      freeDelivery: false,
+      discount: round(Math.min(discount, subtotal))
+    };
+  }
+
+  /**
+   * Contar cuántas veces el cliente ya usó el cupón o código
+   * Los cupones se cuentan por usuario (UserCoupon) o, sin cuenta, por teléfono en los pedidos
+   * Sin forma de identificar al cliente no se puede controlar el límite, así que se rechaza
+   */
+  async countCustomerUses(source, discount, { customerId, userId } = {}, client = prisma) {
+    if (source === 'coupon') {
+      if (userId) {
+        return client.userCoupon.count({ where: { userId, couponId: discount.id } });
+      }
+      if (customerId) {
+        return client.order.count({
+          where: { customerPhone: customerId, couponCode: discount.code, status: { not: 'cancelled' } }
+        });
+      }
+    } else if (customerId) {
+      return client.promoCodeRedemption.count({ where: { promoCodeId: discount.id, customerId } });
+    }
+    throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Indicá tu teléfono para usar este código de descuento' });
+  }
+
+  /**
+   * Recalcular el pedido completo
+   * @param {object} [tip] - Propina elegida en el checkout: { percent } o { amount } (se suma al total)
+   * @param {object} [customer] - Cliente del pedido ({ customerId, userId }) para los límites por cliente del código
+   * @param {boolean} [tableSession] - true solo cuando el pedido sale de una sesión de mesa (habilita dine_in)
+   * @returns {Promise<{items, subtotal, deliveryFee, discount, tipAmount, tipType, tipPercent, total, fulfillmentType, appliedDiscount}>}
+   */
+  async priceOrder({ storeId, items, fulfillmentType, discountCode, tip = null, customer = {}, tableSession = false }) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El pedido no tiene items' });
+    }
+
+    const settings = storeId
+      ? await prisma.storeSettings.findUnique({ where: { storeId } })
+      : null;
+
+    if (!FULFILLMENT_TYPES.includes(fulfillmentType)) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'fulfillment_type debe ser delivery, pickup o dine_in' });
+    }
+    if (TABLE_ONLY_FULFILLMENT_TYPES.includes(fulfillmentType) && !tableSession) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Los pedidos en mesa se hacen desde el QR de la mesa' });
+    }
+
+    if (fulfillmentType === 'pickup' && settings && !settings.pickupEnabled) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El local no acepta retiro en el local' });
+    }
+    if (fulfillmentType === 'delivery' && settings && (!settings.deliveryEnabled || settings.deliveryTempDisabled)) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El local no está haciendo envíos en este momento' });
+    }
+
+    const pricedItems = [];
+    for (let i = 0; i < items.length; i++) {
+      pricedItems.push(await this.priceItem(storeId, items[i], i));
+    }
+
+    const subtotal = round(pricedItems.reduce((sum, item) => sum + item.subtotal, 0));
+
+    if (settings?.minOrderAmount && subtotal < settings.minOrderAmount) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+        message: `El monto mínimo de pedido es $${settings.minOrderAmount}`
+      });
+    }
+
+    let deliveryFee = this.computeDeliveryFee(settings, fulfillmentType);
+    let appliedDiscount = null;
+    let discount = 0;
+
+    if (discountCode) {
+      appliedDiscount = await this.resolveDiscount(discountCode, {
+        storeId,
+        subtotal,
+        deliveryFee,
+        items: pricedItems,
+        customer
+      });
+      discount = appliedDiscount.discount;
+    }
+
+    const { tipAmount, tipType, tipPercent } = tip
+      ? tipsService.resolveTip(await tipsService.getTipPolicy(storeId), subtotal, tip)
+      : { tipAmount: 0, tipType: null, tipPercent: null };
+
+    const total = round(Math.max(subtotal + deliveryFee - discount, 0) + tipAmount);
+
+    return {
+      items: pricedItems,
+      subtotal,
+      deliveryFee,
+      discount,
+      tipAmount,
+      tipType,
+      tipPercent,
+      total,
+      fulfillmentType,
+      appliedDiscount
+    };
+  }
+
+  /**
+   * Comparar montos enviados por el cliente contra los calculados
+   * Solo se comparan los campos que el cliente envió
+   */
+  findMismatches(pricing, clientTotals, clientItems = []) {
+    const mismatches = [];
+    const check = (field, clientValue, serverValue) => {
+      if (clientValue === undefined || clientValue === null || clientValue === '') return;
+      if (Math.abs(Number(clientValue) - serverValue) > PRICE_TOLERANCE) {
+        mismatches.push({ field, client: Number(clientValue), server: serverValue });
+      }
+    };
+
+    pricing.items.forEach((item, index) => {
+      const clientItem = clientItems[index] || {};
+      check(`items[${index}].unit_price`, clientItem.unit_price ?? clientItem.unitPrice, item.unitPrice);
+      check(`items[${index}].subtotal`, clientItem.subtotal, item.subtotal);
+    });
+    check('subtotal', clientTotals.subtotal, pricing.subtotal);
+    check('delivery_fee', clientTotals.deliveryFee, pricing.deliveryFee);
+    check('tip_amount', clientTotals.tipAmount, pricing.tipAmount);
+    check('total', clientTotals.total, pricing.total);
+
+    return mismatches;
+  }
+
+  /**
+   * Desglose de precios para devolver al cliente / guardar en el pedido
+   */
+  buildBreakdown(pricing, mismatches = []) {
+    return {
+      items: pricing.items.map(item => ({
+        productId: item.productId,
+        productName: item.productName,
+        quantity: item.quantity,
+        basePrice: item.basePrice,
+        options: item.options,
+        unitPrice: item.unitPrice,
+        subtotal: item.subtotal
+      })),
+      subtotal: pricing.subtotal,
+      deliveryFee: pricing.deliveryFee,
+      discount: pricing.discount,
+      discountCode: pricing.appliedDiscount?.code || null,
+      discountSource: pricing.appliedDiscount?.source || null,
+      tipAmount: pricing.tipAmount,
+      tipPercent: pricing.tipPercent,
+      total: pricing.total,
+      fulfillmentType: pricing.fulfillmentType,
+      adjusted: mismatches.length > 0,
+      mismatches
+    };
+  }
+
+  /**
+   * Reservar el uso del cupón o código dentro de la transacción que crea el pedido
+   * El incremento es condicional sobre el límite total, así dos pedidos simultáneos
+   * no pueden pasarse del tope; si se agotó, la transacción (y el pedido) se revierte
+   * @param {object} tx - Cliente de la transacción de Prisma
+   */
+  async claimDiscountUsage(tx, appliedDiscount, { orderId, customerId, userId }) {
+    if (!appliedDiscount) return;
+
+    if (appliedDiscount.source === 'coupon') {
+      const coupon = await tx.coupon.findUnique({ where: { id: appliedDiscount.id } });
+      const { count } = await tx.coupon.updateMany({
+        where: {
+          id: appliedDiscount.id,
+          ...(coupon?.usageLimit ? { usageCount: { lt: coupon.usageLimit } } : {})
+        },
+        data: { usageCount: { increment: 1 } }
+      });
+      if (count === 0) {
+        throw new AppError(ErrorCodes.CONFLICT, { message: 'El cupón está agotado' });
+      }
+      if (userId) {
+        await tx.userCoupon.create({
+          data: { userId, couponId: appliedDiscount.id, orderId }
+        });
+      }
+      // Volver a contar dentro de la transacción (el pedido ya cuenta como uso)
+      if (coupon?.userLimit && await this.countCustomerUses('coupon', coupon, { customerId, userId }, tx) > coupon.userLimit) {
+        throw new AppError(ErrorCodes.CONFLICT, { message: 'Ya usaste este cupón el máximo de veces permitido' });
+      }
+    } else if (appliedDiscount.source === 'promo_code') {
+      const promoCode = await tx.promoCode.findUnique({ where: { id: appliedDiscount.id } });
+      const { count } = await tx.promoCode.updateMany({
+        where: {
+          id: appliedDiscount.id,
+          ...(promoCode?.maxTotalUses ? { totalUses: { lt: promoCode.maxTotalUses } } : {})
+        },
+        data: { totalUses: { increment: 1 } }
+      });
+      if (count === 0) {
+        throw new AppError(ErrorCodes.CONFLICT, { message: 'El código alcanzó su límite de usos' });
+      }
+      await tx.promoCodeRedemption.create({
+        data: { promoCodeId: appliedDiscount.id, customerId, orderId }
+      });
+      if (promoCode?.maxUsesPerCustomer && await this.countCustomerUses('promo_code', promoCode, { customerId }, tx) > promoCode.maxUsesPerCustomer) {
+        throw new AppError(ErrorCodes.CONFLICT, { message: 'Ya usaste este código el máximo de veces permitido' });
+      }
+    }
+
+    logger.info({ orderId, code: appliedDiscount.code, source: appliedDiscount.source }, 'Discount usage claimed');
+  }
+}
+
+export const orderPricingService = new OrderPricingService();
+export default orderPricingService;
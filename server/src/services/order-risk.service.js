@@ -0,0 +1,257 @@
+/**
+ * Puntaje de riesgo de pedidos
+ * Reglas simples que suman puntos por señales de pedidos falsos (efectivo de un número nuevo,
+ * direcciones fuera de zona, antecedentes de cancelaciones, ráfagas de pedidos, spam).
+ * Los pedidos de riesgo alto quedan retenidos hasta que el local los apruebe o rechace
+ * (POST /api/orders/:id/approve | /reject); mientras tanto el bot y los procesos automáticos
+ * no pueden confirmarlos (ver order-state-validator).
+ */
+
+import prisma from '../utils/prisma.js';
+import logger from '../utils/logger.js';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+import orderHistoryService from './order-history.service.js';
+import orderPaymentsService from './order-payments.service.js';
+import geofencingService from './geofencing.service.js';
+import { spamDetectorService } from './spam-detector.service.js';
+
+export const RISK_LEVELS = {
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high'
+};
+
+// Puntaje desde el que el pedido se retiene para revisión manual
+const HOLD_SCORE = parseInt(process.env.ORDER_RISK_HOLD_SCORE || '60', 10);
+const MEDIUM_SCORE = 30;
+
+// Total a partir del cual un pedido en efectivo se considera alto
+const HIGH_CASH_TOTAL = parseFloat(process.env.ORDER_RISK_HIGH_CASH_TOTAL || '30000');
+
+// Ráfaga: pedidos previos del mismo teléfono en la ventana
+const BURST_WINDOW_MINUTES = 30;
+const BURST_ORDERS = 2;
+
+// Cancelaciones en la puerta atribuibles al cliente (ver cancellation-policy.service)
+const NO_SHOW_REASONS = ['customer_absent', 'customer_refused', 'delivery_code_missing', 'wrong_address'];
+
+// Clientes con historial que compensan otras señales
+const TRUSTED_DELIVERED_ORDERS = 3;
+
+const RISK_SYSTEM_ACTOR = { id: null, name: 'Control de riesgo', role: 'system', channel: 'system' };
+
+const parseReasons = (value) => {
+  if (!value) return [];
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return [];
+  }
+};
+
+class OrderRiskService {
+  /**
+   * Calcular el puntaje de un pedido (no guarda nada)
+   * @param {object} order - { id, storeId, customerPhone, customerName, customerAddress, customerLat, customerLng,
+   *   paymentMethod, total, fulfillmentType, notes }
+   * @returns {Promise<{ score: number, level: string, hold: boolean, reasons: Array<{ code: string, points: number, message: string }> }>}
+   */
+  async assess(order) {
+    const reasons = [];
+    const add = (code, points, message) => reasons.push({ code, points, message });
+
+    const phone = order.customerPhone || null;
+    const sameCustomer = { customerPhone: phone, ...(order.storeId && { storeId: order.storeId }), id: { not: order.id } };
+
+    // 1. Teléfono nuevo / historial del cliente
+    let deliveredOrders = 0;
+    if (!phone) {
+      add('missing_phone', 25, 'Pedido sin teléfono de contacto');
+    } else {
+      deliveredOrders = await prisma.order.count({ where: { ...sameCustomer, status: 'delivered' } });
+      if (deliveredOrders === 0) {
+        add('first_time_phone', 20, 'Primer pedido de este teléfono');
+      } else if (deliveredOrders >= TRUSTED_DELIVERED_ORDERS) {
+        add('trusted_customer', -15, `Cliente con ${deliveredOrders} pedidos entregados`);
+      }
+    }
+
+    // 2. Total alto pagando en efectivo
+    const isCash = orderPaymentsService.normalizeTender(order.paymentMethod) === 'cash';
+    if (isCash && order.total >= HIGH_CASH_TOTAL) {
+      add('high_cash_total', deliveredOrders === 0 ? 30 : 15, `Total alto en efectivo ($${Math.round(order.total).toLocaleString('es-AR')})`);
+    }
+
+    // 3. Dirección fuera de las zonas de envío del local
+    if (order.fulfillmentType === 'delivery') {
+      const zoneCheck = await this.checkZones(order);
+      if (zoneCheck === false) {
+        add('outside_zones', 25, 'Dirección fuera de las zonas de envío');
+      }
+      if (order.customerAddress && !/\d/.test(order.customerAddress)) {
+        add('address_without_number', 10, 'Dirección sin altura');
+      }
+    }
+
+    if (phone) {
+      // 4. Antecedentes: no estaba / rechazó en la puerta, cancelaciones propias, strikes de efectivo
+      const [cancellations, customer] = await Promise.all([
+        prisma.orderCancellation.findMany({
+          where: { order: { customerPhone: phone }, orderId: { not: order.id } },
+          select: { reasonCode: true, actorType: true }
+        }),
+        prisma.customer.findUnique({ where: { phone }, select: { cashPaymentStrikes: true } })
+      ]);
+
+      const noShows = Math.max(
+        cancellations.filter(c => NO_SHOW_REASONS.includes(c.reasonCode)).length,
+        customer?.cashPaymentStrikes || 0
+      );
+      if (noShows > 0) {
+        add('prior_no_shows', Math.min(noShows * 25, 50), `${noShows} entrega(s) fallida(s) anteriores`);
+      }
+
+      const customerCancellations = cancellations.filter(c => c.actorType === 'customer').length;
+      if (customerCancellations >= 2) {
+        add('prior_cancellations', Math.min(customerCancellations * 5, 20), `${customerCancellations} pedidos cancelados por el cliente`);
+      }
+
+      // 5. Muchos pedidos del mismo teléfono en poco tiempo
+      const recentOrders = await prisma.order.count({
+        where: { ...sameCustomer, createdAt: { gte: new Date(Date.now() - BURST_WINDOW_MINUTES * 60 * 1000) } }
+      });
+      if (recentOrders >= BURST_ORDERS) {
+        add('order_burst', recentOrders >= BURST_ORDERS * 2 ? 40 : 25, `${recentOrders + 1} pedidos en los últimos ${BURST_WINDOW_MINUTES} minutos`);
+      }
+    }
+
+    // 6. Señales del detector de spam
+    const spam = await spamDetectorService.getOrderSignals(phone, [order.customerName, order.customerAddress, order.notes].filter(Boolean));
+    if (spam.blocked) {
+      add('blocked_phone', 60, 'Teléfono bloqueado por spam');
+    }
+    if (spam.spamPattern) {
+      add('spam_pattern', 20, 'Texto con patrón de spam (nombre, dirección o notas)');
+    }
+    if (spam.messageBurst) {
+      add('message_burst', 15, 'Ráfaga de mensajes desde este teléfono');
+    }
+
+    const score = Math.max(0, Math.min(100, reasons.reduce((sum, reason) => sum + reason.points, 0)));
+    const level = score >= HOLD_SCORE ? RISK_LEVELS.HIGH : score >= MEDIUM_SCORE ? RISK_LEVELS.MEDIUM : RISK_LEVELS.LOW;
+
+    return { score, level, hold: level === RISK_LEVELS.HIGH, reasons };
+  }
+
+  /**
+   * ¿La dirección está dentro de alguna zona de envío?
+   * @returns {Promise<boolean|null>} null si no se puede saber (sin zonas configuradas o sin coordenadas)
+   */
+  async checkZones(order) {
+    if (!order.storeId || order.customerLat == null || order.customerLng == null) return null;
+
+    const settings = await prisma.storeSettings.findUnique({
+      where: { storeId: order.storeId },
+      select: { deliveryZones: true }
+    });
+    const zones = Array.isArray(settings?.deliveryZones) ? settings.deliveryZones : [];
+    if (zones.length === 0) return null;
+
+    return zones.some(zone => geofencingService.pointInPolygon([order.customerLat, order.customerLng], zone.polygon));
+  }
+
+  /**
+   * Calcular y guardar el puntaje de un pedido; si es de riesgo alto y sigue pendiente lo retiene
+   * @param {string} orderId
+   * @param {object} overrides - Datos todavía no guardados (ej: { paymentMethod: 'efectivo' } al elegir el medio)
+   */
+  async evaluateOrder(orderId, overrides = {}) {
+    const order = await prisma.order.findUnique({ where: { id: orderId } });
+    if (!order) return null;
+
+    const assessment = await this.assess({ ...order, ...overrides });
+
+    // Solo se retienen pedidos pendientes que el local todavía no revisó
+    const hold = assessment.hold && order.status === 'pending' && !order.reviewedAt;
+
+    await prisma.order.update({
+      where: { id: order.id },
+      data: {
+        riskScore: assessment.score,
+        riskLevel: assessment.level,
+        riskReasons: JSON.stringify(assessment.reasons),
+        ...(hold && { heldForReview: true })
+      }
+    });
+
+    if (hold && !order.heldForReview) {
+      await orderHistoryService.logChange(
+        order.id,
+        'HELD_FOR_REVIEW',
+        null,
+        { riskScore: assessment.score, riskLevel: assessment.level },
+        RISK_SYSTEM_ACTOR,
+        assessment.reasons.filter(reason => reason.points > 0).map(reason => reason.message).join('; ')
+      );
+      logger.warn({ orderId: order.id, score: assessment.score, reasons: assessment.reasons.map(r => r.code) }, 'Order held for review');
+    }
+
+    return { ...assessment, hold: hold || order.heldForReview };
+  }
+
+  /**
+   * Cambio de estado al aprobarse un pago online: confirma el pedido que sigue pendiente, salvo que esté
+   * retenido (queda pagado y pendiente hasta que el local lo apruebe; si lo rechaza se reintegra al cancelar).
+   * Un pedido que ya avanzó no cambia; el cambio se valida con orderStateValidator (ver payment-gateway.service)
+   */
+  statusOnPayment(order) {
+    return order.status === 'pending' && !order.heldForReview ? { status: 'confirmed' } : {};
+  }
+
+  /**
+   * Liberar un pedido retenido (aprobado o rechazado por el local)
+   */
+  async markReviewed(orderId, actor, approved) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { id: true, heldForReview: true }
+    });
+    if (!order) {
+      throw new AppError(ErrorCodes.ORDER_NOT_FOUND, { message: 'Pedido no encontrado' });
+    }
+    if (!order.heldForReview) return false;
+
+    await prisma.order.update({
+      where: { id: orderId },
+      data: { heldForReview: false, reviewedAt: new Date(), reviewedBy: actor?.id || null }
+    });
+
+    if (approved) {
+      await orderHistoryService.logChange(orderId, 'REVIEW_APPROVED', { heldForReview: true }, { heldForReview: false }, actor);
+    }
+    return true;
+  }
+
+  /**
+   * Pedidos retenidos de un local con los motivos para el operador
+   */
+  async getReviewQueue(storeId) {
+    const orders = await prisma.order.findMany({
+      where: { storeId, heldForReview: true, status: 'pending' },
+      orderBy: { createdAt: 'asc' },
+      include: { items: true }
+    });
+
+    return orders.map(order => this.withReasons(order));
+  }
+
+  /**
+   * Pedido con los motivos de riesgo parseados
+   */
+  withReasons(order) {
+    return { ...order, riskReasons: parseReasons(order.riskReasons) };
+  }
+}
+
+export const orderRiskService = new OrderRiskService();
+export default orderRiskService;
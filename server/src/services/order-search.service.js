@@ -0,0 +1,285 @@
+/**
+ * Búsqueda de pedidos con filtros y paginación por cursor (panel de pedidos)
+ */
+
+import prisma from '../utils/prisma.js';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+import { RELEASED_ORDER_FILTER, PARKED_ORDER_FILTER } from './scheduled-orders.service.js';
+import { orderPaymentsService } from './order-payments.service.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Estados que se cuentan siempre para las pestañas del panel
+const TAB_STATUSES = [
+  'pending', 'confirmed', 'preparing', 'ready', 'assigned',
+  'in_transit', 'delivered', 'cancelled', 'stock_issue', 'stock_timeout'
+];
+
+const ITEM_SELECT = {
+  id: true,
+  productId: true,
+  productName: true,
+  quantity: true,
+  unitPrice: true,
+  subtotal: true,
+  selectedOptions: true
+};
+
+// Lee un parámetro aceptando snake_case o camelCase
+const param = (query, ...names) => {
+  for (const name of names) {
+    if (query[name] !== undefined && query[name] !== '') return query[name];
+  }
+  return undefined;
+};
+
+const list = (value) => {
+  if (value === undefined) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+};
+
+class OrderSearchService {
+  /**
+   * Pedidos visibles en el panel: confirmados en WhatsApp, con pago aprobado o de mesa,
+   * y sin transferencias pendientes de aprobar mientras el pago siga pendiente
+   */
+  visibilityFilter() {
+    return {
+      AND: [
+        {
+          OR: [
+            { customerPhone: { not: null } }, // Tiene teléfono (confirmado en WhatsApp)
+            { paymentStatus: { not: 'pending' } }, // Pago aprobado (aunque no tenga teléfono aún)
+            { tableSessionId: { not: null } } // Pedido de mesa (se cobra al cerrar la cuenta)
+          ]
+        },
+        {
+          OR: [
+            { paymentStatus: { not: 'pending' } }, // Ya aprobado, mostrar siempre
+            {
+              // Si está pendiente, solo mostrar si NO tiene transferencias pendientes
+              AND: [
+                { paymentStatus: 'pending' },
+                { NOT: { pendingTransfers: { some: { status: 'pending' } } } }
+              ]
+            }
+          ]
+        }
+      ]
+    };
+  }
+
+  /**
+   * Construir el where de Prisma a partir de los query params.
+   * Con excludeStatus se omite el filtro de estado (conteos por pestaña).
+   */
+  buildWhere(query = {}, { excludeStatus = false } = {}) {
+    const conditions = [];
+
+    const storeId = param(query, 'storeId', 'store_id');
+    if (storeId) conditions.push({ storeId });
+
+    if (query.all !== 'true') {
+      conditions.push(...this.visibilityFilter().AND);
+    }
+
+    // Pedidos programados: por defecto se ocultan hasta que se liberan a cocina
+    // (scheduled=only los lista, scheduled=include no filtra)
+    const scheduled = param(query, 'scheduled');
+    if (scheduled === 'only') {
+      conditions.push(PARKED_ORDER_FILTER);
+    } else if (scheduled !== 'include' && query.all !== 'true') {
+      conditions.push(RELEASED_ORDER_FILTER);
+    }
+
+    const statuses = list(param(query, 'status'));
+    if (statuses.length > 0 && !excludeStatus) {
+      conditions.push({ status: { in: statuses } });
+    }
+
+    const deliveryStatuses = list(param(query, 'deliveryStatus', 'delivery_status'));
+    if (deliveryStatuses.length > 0) {
+      conditions.push({ deliveryStatus: { in: deliveryStatuses } });
+    }
+
+    const fulfillmentTypes = list(param(query, 'fulfillmentType', 'fulfillment_type'));
+    if (fulfillmentTypes.length > 0) {
+      conditions.push({ fulfillmentType: { in: fulfillmentTypes } });
+    }
+
+    const paymentMethods = list(param(query, 'paymentMethod', 'payment_method'));
+    if (paymentMethods.length > 0) {
+      // El medio se guarda con formatos distintos ("Efectivo", "cash", "Mercado Pago"): se compara por alias y sin mayúsculas
+      const aliases = [...new Set(paymentMethods.flatMap(method => orderPaymentsService.methodAliases(method)))];
+      conditions.push({ OR: aliases.map(alias => ({ paymentMethod: { equals: alias, mode: 'insensitive' } })) });
+    }
+
+    const paymentStatuses = list(param(query, 'paymentStatus', 'payment_status'));
+    if (paymentStatuses.length > 0) {
+      conditions.push({ paymentStatus: { in: paymentStatuses } });
+    }
+
+    const driverId = param(query, 'driverId', 'driver_id', 'deliveryPersonId', 'delivery_person_id');
+    if (driverId === 'none') {
+      conditions.push({ deliveryPersonId: null });
+    } else if (driverId) {
+      conditions.push({ deliveryPersonId: driverId });
+    }
+
+    const from = this.parseDate(param(query, 'from', 'dateFrom', 'date_from'), 'from');
+    const to = this.parseDate(param(query, 'to', 'dateTo', 'date_to'), 'to', true);
+    if (from || to) {
+      conditions.push({ createdAt: { ...(from && { gte: from }), ...(to && { lte: to }) } });
+    }
+
+    const minTotal = this.parseAmount(param(query, 'minTotal', 'min_total'), 'min_total');
+    const maxTotal = this.parseAmount(param(query, 'maxTotal', 'max_total'), 'max_total');
+    if (minTotal !== null || maxTotal !== null) {
+      conditions.push({
+        total: { ...(minTotal !== null && { gte: minTotal }), ...(maxTotal !== null && { lte: maxTotal }) }
+      });
+    }
+
+    const text = param(query, 'q', 'search');
+    if (text) conditions.push(this.textFilter(String(text).trim()));
+
+    return conditions.length > 0 ? { AND: conditions } : {};
+  }
+
+  /**
+   * Búsqueda libre por número de pedido, nombre, teléfono y dirección
+   */
+  textFilter(text) {
+    const or = [
+      { orderNumber: { contains: text.replace(/^#/, ''), mode: 'insensitive' } },
+      { customerName: { contains: text, mode: 'insensitive' } },
+      { customerAddress: { contains: text, mode: 'insensitive' } }
+    ];
+
+    // Los teléfonos se guardan con formatos distintos (JID, +54, espacios)
+    const digits = text.replace(/\D/g, '');
+    or.push({ customerPhone: { contains: digits.length >= 4 ? digits : text } });
+
+    return { OR: or };
+  }
+
+  parseDate(value, name, endOfDay = false) {
+    if (value === undefined) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: `Fecha inválida en ${name}` });
+    }
+    // Una fecha sin hora como límite superior incluye todo ese día
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+      date.setUTCHours(23, 59, 59, 999);
+    }
+    return date;
+  }
+
+  parseAmount(value, name) {
+    if (value === undefined) return null;
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: `Monto inválido en ${name}` });
+    }
+    return amount;
+  }
+
+  parseLimit(value) {
+    if (value === undefined || value === '') return DEFAULT_LIMIT;
+    const limit = parseInt(value, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'limit debe ser un entero positivo' });
+    }
+    return Math.min(limit, MAX_LIMIT);
+  }
+
+  /**
+   * El cursor es opaco para el cliente: fecha de creación + id del último pedido
+   */
+  encodeCursor(order) {
+    return Buffer.from(`${order.createdAt.toISOString()}|${order.id}`).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+    const date = new Date(createdAt);
+    if (!id || Number.isNaN(date.getTime())) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Cursor inválido' });
+    }
+    return { createdAt: date, id };
+  }
+
+  /**
+   * Página de pedidos (más recientes primero) con conteos por estado
+   */
+  async search(query = {}) {
+    const limit = this.parseLimit(query.limit);
+    const where = this.buildWhere(query);
+    const includeItems = param(query, 'includeItems', 'include_items') !== 'false';
+
+    // Paginación por keyset: estable aunque entren pedidos nuevos entre páginas
+    const pageWhere = { AND: [...(where.AND || [])] };
+    if (query.cursor) {
+      const cursor = this.decodeCursor(query.cursor);
+      pageWhere.AND.push({
+        OR: [
+          { createdAt: { lt: cursor.createdAt } },
+          { createdAt: cursor.createdAt, id: { lt: cursor.id } }
+        ]
+      });
+    }
+
+    const [rows, counts] = await Promise.all([
+      prisma.order.findMany({
+        where: pageWhere,
+        ...(includeItems && { include: { items: { select: ITEM_SELECT } } }),
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        take: limit + 1
+      }),
+      this.countByStatus(query)
+    ]);
+
+    const hasMore = rows.length > limit;
+    const orders = hasMore ? rows.slice(0, limit) : rows;
+
+    return {
+      orders,
+      nextCursor: hasMore ? this.encodeCursor(orders[orders.length - 1]) : null,
+      hasMore,
+      counts
+    };
+  }
+
+  /**
+   * Conteos por estado con los mismos filtros (sin el de estado) para las pestañas,
+   * más los pedidos programados que esperan su horario
+   */
+  async countByStatus(query = {}) {
+    const [groups, scheduled] = await Promise.all([
+      prisma.order.groupBy({
+        by: ['status'],
+        where: this.buildWhere(query, { excludeStatus: true }),
+        _count: { _all: true }
+      }),
+      prisma.order.count({
+        where: this.buildWhere({ ...query, scheduled: 'only' }, { excludeStatus: true })
+      })
+    ]);
+
+    const counts = Object.fromEntries(TAB_STATUSES.map(status => [status, 0]));
+    let all = 0;
+    for (const group of groups) {
+      counts[group.status] = group._count._all;
+      all += group._count._all;
+    }
+
+    return { all, ...counts, scheduled };
+  }
+}
+
+export const orderSearchService = new OrderSearchService();
+export default orderSearchService;
@@ -1,9 +1,136 @@
 import { PrismaClient } from '@prisma/client';
+import { balanceService } from './balance.service.js';
+import { deliveryTimeEstimatorService } from './delivery-time-estimator.service.js';
+import { kdsService } from './kds.service.js';
+import { tipsService } from './tips.service.js';
 
 const prisma = new PrismaClient();
 
+// Roles que pueden operar pedidos desde el panel
+const STAFF = ['admin', 'super_admin', 'operator'];
+// 'system' = procesos automáticos (pagos, timeouts), 'bot' = bot de WhatsApp
+const SYSTEM = ['system'];
+const BOT = ['bot'];
+const DRIVER = ['driver'];
+
+// Estados que implican que el pedido ya está en cocina o en reparto
+// (un pedido programado no puede llegar a ellos antes de liberarse)
+const KITCHEN_STATUSES = ['preparing', 'ready', 'assigned', 'in_transit', 'delivered'];
+
+// Estados propios del reparto (los pedidos para retirar o de mesa nunca pasan por ellos)
+const DRIVER_STATUSES = ['assigned', 'in_transit'];
+
+// Valores viejos de Order.status que ya no existen en la máquina de estados
+// (ver migrations/migrate_legacy_picked_up_status.sql); se validan como su equivalente actual
+const LEGACY_STATUSES = {
+  'picked_up': 'in_transit'
+};
+
+// ========== CICLO DE VIDA DEL PEDIDO ==========
+// Definición única de la máquina de estados: status + deliveryStatus.
+// Cada transición declara los roles que pueden ejecutarla, los efectos
+// que dispara y, si corresponde, el deliveryStatus que implica.
+const ORDER_LIFECYCLE = {
+  status: {
+    'pending': {
+      'confirmed': { roles: [...STAFF, ...SYSTEM, ...BOT], effects: ['deduct_stock'] },
+      'preparing': { roles: STAFF, effects: ['deduct_stock'] },
+      'ready': { roles: STAFF, effects: ['deduct_stock', 'notify_pickup_ready'] }, // Aprobación directa desde el panel
+      'stock_issue': { roles: STAFF },
+      'cancelled': { roles: [...STAFF, ...SYSTEM, ...BOT], effects: ['release_driver', 'notify_customer'] }
+    },
+    'confirmed': {
+      'preparing': { roles: STAFF, effects: ['deduct_stock'] },
+      'ready': { roles: STAFF, effects: ['deduct_stock', 'notify_pickup_ready'] },
+      'assigned': { roles: [...STAFF, ...DRIVER], effects: ['deduct_stock'], deliveryStatus: 'accepted', requiresDriver: true },
+      'stock_issue': { roles: STAFF },
+      'cancelled': { roles: [...STAFF, ...SYSTEM], effects: ['release_driver', 'notify_customer'] }
+    },
+    'preparing': {
+      'ready': { roles: STAFF, effects: ['deduct_stock', 'notify_pickup_ready'] },
+      'assigned': { roles: [...STAFF, ...DRIVER], effects: ['deduct_stock'], deliveryStatus: 'accepted', requiresDriver: true },
+      'stock_issue': { roles: STAFF },
+      'cancelled': { roles: STAFF, effects: ['release_driver', 'notify_customer'] }
+    },
+    'ready': {
+      'assigned': { roles: [...STAFF, ...DRIVER], deliveryStatus: 'accepted', requiresDriver: true },
+      'delivered': { roles: STAFF, effects: ['settle_tip', 'notify_customer'] }, // Retiro en local
+      'cancelled': { roles: STAFF, effects: ['release_driver', 'notify_customer'] }
+    },
+    'assigned': {
+      'in_transit': { roles: [...DRIVER, ...STAFF], effects: ['notify_customer'], deliveryStatus: 'picked_up' },
+      'ready': { roles: [...DRIVER, ...STAFF], effects: ['release_driver'], deliveryStatus: 'available' }, // Repartidor libera la tarea
+      'cancelled': { roles: [...STAFF, ...DRIVER], effects: ['release_driver', 'notify_customer'] }
+    },
+    'in_transit': {
+      'delivered': { roles: [...DRIVER, ...STAFF], effects: ['release_driver', 'credit_driver', 'settle_tip', 'notify_customer'], deliveryStatus: 'delivered' },
+      'ready': { roles: [...DRIVER, ...STAFF], effects: ['release_driver'], deliveryStatus: 'available' },
+      'cancelled': { roles: [...STAFF, ...DRIVER], effects: ['release_driver', 'notify_customer'] }
+    },
+    'stock_issue': {
+      'confirmed': { roles: [...STAFF, ...SYSTEM], effects: ['deduct_stock'] },
+      'cancelled': { roles: [...STAFF, ...SYSTEM, ...BOT], effects: ['notify_customer'] },
+      'stock_timeout': { roles: SYSTEM }
+    },
+    'stock_timeout': {
+      'cancelled': { roles: [...STAFF, ...SYSTEM] }
+    },
+    'delivered': {}, // Estado final
+    'cancelled': {} // Estado final
+  },
+
+  // null = pedido sin seguimiento de tareas (flujo legacy), se trata como 'available'
+  deliveryStatus: {
+    'available': {
+      'accepted': { roles: [...DRIVER, ...STAFF] }
+    },
+    'accepted': {
+      'picked_up': { roles: DRIVER },
+      'available': { roles: [...DRIVER, ...STAFF] }
+    },
+    'picked_up': {
+      'in_multi_route': { roles: DRIVER },
+      'delivering': { roles: DRIVER },
+      'delivered': { roles: [...DRIVER, ...STAFF] },
+      'available': { roles: [...DRIVER, ...STAFF] }
+    },
+    'in_multi_route': {
+      'delivering': { roles: DRIVER },
+      'delivered': { roles: DRIVER }
+    },
+    'delivering': {
+      'delivered': { roles: DRIVER }
+    },
+    'delivered': {}
+  },
+
+  // Estados del pedido compatibles con cada deliveryStatus
+  compatibility: {
+    'available': ['pending', 'confirmed', 'preparing', 'ready', 'stock_issue', 'stock_timeout', 'cancelled'],
+    'accepted': ['assigned', 'cancelled'],
+    'picked_up': ['in_transit', 'cancelled'],
+    'in_multi_route': ['in_transit', 'cancelled'],
+    'delivering': ['in_transit', 'cancelled'],
+    'delivered': ['delivered']
+  }
+};
+
+// Derivar tablas simples (estado -> estados siguientes / roles) desde la definición
+const deriveTransitions = (definition) => Object.fromEntries(
+  Object.entries(definition).map(([from, targets]) => [from, Object.keys(targets)])
+);
+
+const deriveRoles = (definition) => Object.fromEntries(
+  Object.entries(definition).map(([from, targets]) => [
+    from,
+    Object.fromEntries(Object.entries(targets).map(([to, rule]) => [to, rule.roles]))
+  ])
+);
+
 // ========== MÁQUINA DE ESTADOS PARA PEDIDOS ==========
 class OrderStateValidator {
+  static LIFECYCLE = ORDER_LIFECYCLE;
+
   // Estados válidos
   static STATES = {
     PENDING: 'pending',
@@ -13,92 +140,180 @@ class OrderStateValidator {
     ASSIGNED: 'assigned',
     IN_TRANSIT: 'in_transit',
     DELIVERED: 'delivered',
-    CANCELLED: 'cancelled'
+    CANCELLED: 'cancelled',
+    STOCK_ISSUE: 'stock_issue',
+    STOCK_TIMEOUT: 'stock_timeout'
   };
 
-  // Transiciones permitidas (usar strings directamente ya que this no está disponible en propiedades estáticas)
-  static ALLOWED_TRANSITIONS = {
-    'pending': ['confirmed', 'cancelled'],
-    'confirmed': ['preparing', 'cancelled'],
-    'preparing': ['ready', 'cancelled'],
-    'ready': ['assigned', 'cancelled'],
-    'assigned': ['in_transit', 'cancelled'],
-    'in_transit': ['delivered', 'cancelled'],
-    'delivered': [], // Estado final, no se puede cambiar
-    'cancelled': [] // Estado final, no se puede cambiar
+  // Estados de la tarea de delivery
+  static DELIVERY_STATES = {
+    AVAILABLE: 'available',
+    ACCEPTED: 'accepted',
+    PICKED_UP: 'picked_up',
+    IN_MULTI_ROUTE: 'in_multi_route',
+    DELIVERING: 'delivering',
+    DELIVERED: 'delivered'
   };
 
-  // Roles permitidos para cada transición
-  static ROLE_PERMISSIONS = {
-    'pending': {
-      'confirmed': ['admin', 'super_admin', 'operator'],
-      'cancelled': ['admin', 'super_admin', 'operator']
-    },
-    'confirmed': {
-      'preparing': ['admin', 'super_admin', 'operator'],
-      'cancelled': ['admin', 'super_admin', 'operator']
-    },
-    'preparing': {
-      'ready': ['admin', 'super_admin', 'operator'],
-      'cancelled': ['admin', 'super_admin', 'operator']
-    },
-    'ready': {
-      'assigned': ['admin', 'super_admin'], // Solo admin puede asignar
-      'cancelled': ['admin', 'super_admin', 'operator']
-    },
-    'assigned': {
-      'in_transit': ['driver'], // Solo repartidor puede cambiar a in_transit
-      'cancelled': ['admin', 'super_admin', 'operator']
-    },
-    'in_transit': {
-      'delivered': ['driver'], // Solo repartidor puede entregar
-      'cancelled': ['admin', 'super_admin', 'operator']
+  // Transiciones permitidas y roles (derivados de LIFECYCLE, se mantienen por compatibilidad)
+  static ALLOWED_TRANSITIONS = deriveTransitions(ORDER_LIFECYCLE.status);
+  static ROLE_PERMISSIONS = deriveRoles(ORDER_LIFECYCLE.status);
+
+  // Validar una transición dentro de una dimensión (status o deliveryStatus)
+  static validateDimension(dimension, label, oldState, newState, userRole = null) {
+    const definition = ORDER_LIFECYCLE[dimension];
+
+    if (!definition[oldState]) {
+      return { valid: false, error: `${label} anterior inválido: ${oldState}` };
     }
-  };
 
-  // Validar si una transición es permitida
-  static validateTransition(oldStatus, newStatus, userRole = null) {
-    // Verificar que el estado anterior existe
-    if (!OrderStateValidator.ALLOWED_TRANSITIONS[oldStatus]) {
+    if (!definition[newState]) {
+      return { valid: false, error: `${label} nuevo inválido: ${newState}` };
+    }
+
+    if (oldState === newState) {
+      return { valid: true, unchanged: true, effects: [] };
+    }
+
+    const rule = definition[oldState][newState];
+    if (!rule) {
+      const allowed = Object.keys(definition[oldState]);
       return {
         valid: false,
-        error: `Estado anterior inválido: ${oldStatus}`
+        error: `Transición no permitida: ${oldState} -> ${newState}. Estados permitidos: ${allowed.join(', ') || 'ninguno'}`
       };
     }
 
-    // Verificar que el estado nuevo existe
-    const validStates = Object.values(OrderStateValidator.STATES);
-    if (!validStates.includes(newStatus)) {
+    if (userRole && !rule.roles.includes(userRole)) {
       return {
         valid: false,
-        error: `Estado nuevo inválido: ${newStatus}`
+        forbidden: true,
+        error: `Rol '${userRole}' no tiene permiso para cambiar de ${oldState} a ${newState}. Roles permitidos: ${rule.roles.join(', ')}`
       };
     }
 
-    // Verificar que la transición está permitida
-    const allowedNextStates = OrderStateValidator.ALLOWED_TRANSITIONS[oldStatus];
-    if (!allowedNextStates.includes(newStatus)) {
+    return { valid: true, rule, effects: rule.effects || [] };
+  }
+
+  // Validar si una transición de status es permitida
+  static validateTransition(oldStatus, newStatus, userRole = null) {
+    return OrderStateValidator.validateDimension('status', 'Estado', oldStatus, newStatus, userRole);
+  }
+
+  // Validar si una transición de deliveryStatus es permitida
+  static validateDeliveryTransition(oldDeliveryStatus, newDeliveryStatus, userRole = null) {
+    return OrderStateValidator.validateDimension(
+      'deliveryStatus',
+      'Estado de entrega',
+      oldDeliveryStatus || OrderStateValidator.DELIVERY_STATES.AVAILABLE,
+      newDeliveryStatus || OrderStateValidator.DELIVERY_STATES.AVAILABLE,
+      userRole
+    );
+  }
+
+  // Verificar que status y deliveryStatus sean coherentes entre sí
+  static checkCompatibility(status, deliveryStatus) {
+    if (!deliveryStatus) return { valid: true };
+
+    const allowedStatuses = ORDER_LIFECYCLE.compatibility[deliveryStatus] || [];
+    if (!allowedStatuses.includes(status)) {
       return {
         valid: false,
-        error: `Transición no permitida: ${oldStatus} -> ${newStatus}. Estados permitidos: ${allowedNextStates.join(', ')}`
+        error: `Estado '${status}' incompatible con estado de entrega '${deliveryStatus}'`
       };
     }
+    return { valid: true };
+  }
+
+  /**
+   * Validar un cambio sobre ambas dimensiones del pedido.
+   * @param {object} order - Pedido actual ({ status, deliveryStatus, deliveryPersonId, scheduledFor?, releasedAt?, fulfillmentType?, heldForReview? })
+   * @param {object} changes - Cambios pedidos ({ status?, deliveryStatus?, deliveryPersonId? })
+   * @param {string|null} userRole - Rol que ejecuta el cambio (null = sin control de rol)
+   * @returns {{ valid: boolean, error?: string, forbidden?: boolean, unchanged?: boolean, effects?: string[], sync?: object }}
+   */
+  validateChange(order, changes = {}, userRole = null) {
+    const currentStatus = LEGACY_STATUSES[order.status] || order.status;
+    const currentDeliveryStatus = order.deliveryStatus || null;
+    const nextStatus = changes.status !== undefined ? changes.status : currentStatus;
+    const explicitDelivery = changes.deliveryStatus !== undefined;
+
+    const effects = [];
+    const sync = {};
+    let impliedDeliveryStatus;
+
+    // 1. Dimensión status (sin cambio de status no se valida, permite editar otros campos)
+    if (nextStatus !== currentStatus) {
+      const statusValidation = OrderStateValidator.validateTransition(currentStatus, nextStatus, userRole);
+      if (!statusValidation.valid) return statusValidation;
+
+      // Pedido retenido por riesgo: solo el local lo confirma (aprobar/rechazar); cancelar siempre se puede
+      if (order.heldForReview && currentStatus === 'pending' && nextStatus !== 'cancelled' && userRole && !STAFF.includes(userRole)) {
+        return { valid: false, forbidden: true, error: 'Pedido retenido para revisión del local' };
+      }
+
+      if (KITCHEN_STATUSES.includes(nextStatus) && order.scheduledFor && !order.releasedAt) {
+        return {
+          valid: false,
+          error: `Pedido programado para ${new Date(order.scheduledFor).toLocaleString('es-AR', { timeZone: 'America/Argentina/Buenos_Aires' })}: se libera a cocina automáticamente`
+        };
+      }
 
-    // Verificar permisos por rol
-    if (userRole) {
-      const rolePermissions = OrderStateValidator.ROLE_PERMISSIONS[oldStatus];
-      if (rolePermissions && rolePermissions[newStatus]) {
-        const allowedRoles = rolePermissions[newStatus];
-        if (!allowedRoles.includes(userRole)) {
-          return {
-            valid: false,
-            error: `Rol '${userRole}' no tiene permiso para cambiar de ${oldStatus} a ${newStatus}. Roles permitidos: ${allowedRoles.join(', ')}`
-          };
+      if (DRIVER_STATUSES.includes(nextStatus) && order.fulfillmentType && order.fulfillmentType !== 'delivery') {
+        return { valid: false, error: 'El pedido no es para envío: no se asigna a un repartidor' };
+      }
+
+      const { rule } = statusValidation;
+      effects.push(...statusValidation.effects);
+      impliedDeliveryStatus = rule.deliveryStatus;
+
+      if (rule.requiresDriver) {
+        const driverId = changes.deliveryPersonId !== undefined ? changes.deliveryPersonId : order.deliveryPersonId;
+        if (!driverId) {
+          return { valid: false, error: 'No se puede asignar un pedido sin repartidor' };
         }
       }
     }
 
-    return { valid: true };
+    // 2. Dimensión deliveryStatus (explícita o implícita por el cambio de status)
+    const nextDeliveryStatus = explicitDelivery
+      ? (changes.deliveryStatus || null)
+      : (impliedDeliveryStatus !== undefined ? impliedDeliveryStatus : currentDeliveryStatus);
+
+    if (nextDeliveryStatus !== currentDeliveryStatus) {
+      // Los pedidos sin seguimiento (null) adoptan el deliveryStatus implícito sin validar el salto
+      if (explicitDelivery || currentDeliveryStatus !== null) {
+        const deliveryValidation = OrderStateValidator.validateDeliveryTransition(
+          currentDeliveryStatus,
+          nextDeliveryStatus,
+          explicitDelivery ? userRole : null
+        );
+        if (!deliveryValidation.valid) return deliveryValidation;
+      }
+      if (!explicitDelivery) sync.deliveryStatus = nextDeliveryStatus;
+    }
+
+    const unchanged = nextStatus === currentStatus && nextDeliveryStatus === currentDeliveryStatus;
+
+    // 3. Coherencia entre ambas dimensiones (solo si algo cambia, no bloquear pedidos viejos)
+    if (!unchanged) {
+      const compatibility = OrderStateValidator.checkCompatibility(nextStatus, nextDeliveryStatus);
+      if (!compatibility.valid) return compatibility;
+    }
+
+    // Todo cambio de estado registra sus tiempos reales y recalcula la ETA (antes de avisar al cliente)
+    // y se publica a las pantallas de cocina
+    if (!unchanged) {
+      effects.unshift('refresh_eta');
+      effects.push('kds_update');
+    }
+
+    return {
+      valid: true,
+      unchanged,
+      effects: [...new Set(effects)],
+      sync
+    };
   }
 
   // Validar estado de pedido antes de actualizar
@@ -106,7 +321,7 @@ class OrderStateValidator {
     try {
       const order = await prisma.order.findUnique({
         where: { id: orderId },
-        select: { status: true }
+        select: { status: true, deliveryStatus: true, deliveryPersonId: true, scheduledFor: true, releasedAt: true, fulfillmentType: true, heldForReview: true }
       });
 
       if (!order) {
@@ -116,74 +331,330 @@ class OrderStateValidator {
         };
       }
 
-      // Validar transición
-      const validation = OrderStateValidator.validateTransition(order.status, newStatus, userRole);
+      return this.validateChange(order, { status: newStatus }, userRole);
+    } catch (error) {
+      return {
+        valid: false,
+        error: `Error validando cambio de estado: ${error.message}`
+      };
+    }
+  }
+
+  // Obtener estados siguientes permitidos
+  getNextAllowedStates(currentStatus, userRole = null) {
+    const targets = ORDER_LIFECYCLE.status[LEGACY_STATUSES[currentStatus] || currentStatus] || {};
+
+    return Object.entries(targets)
+      .filter(([, rule]) => !userRole || rule.roles.includes(userRole))
+      .map(([state]) => state);
+  }
+
+  // ========== EFECTOS DE TRANSICIÓN ==========
 
-      if (!validation.valid) {
-        return validation;
+  /**
+   * Ejecutar los efectos de una transición ya persistida.
+   * Los errores se loguean y no interrumpen el cambio de estado.
+   * @param {string} orderId
+   * @param {string[]} effects - Efectos devueltos por validateChange
+   * @param {object} context - { handled?: string[] (efectos ya resueltos por el endpoint), notify?: object }
+   */
+  async runEffects(orderId, effects = [], context = {}) {
+    const handled = context.handled || [];
+    const pending = effects.filter(effect => !handled.includes(effect));
+    if (pending.length === 0) return;
+
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: {
+        id: true,
+        orderNumber: true,
+        status: true,
+        storeId: true,
+        deliveryPersonId: true,
+        fulfillmentType: true
+      }
+    });
+    if (!order) return;
+
+    for (const effect of pending) {
+      try {
+        switch (effect) {
+          case 'deduct_stock':
+            await this.deductStock(order);
+            break;
+          case 'release_driver':
+            await this.releaseDriver(order);
+            break;
+          case 'credit_driver':
+            await this.creditDriver(order);
+            break;
+          case 'settle_tip':
+            await tipsService.settleOrderTip(order.id);
+            break;
+          case 'notify_customer':
+            await this.notifyCustomer(order, context.notify);
+            break;
+          case 'notify_pickup_ready':
+            await this.notifyPickupReady(order);
+            break;
+          case 'refresh_eta':
+            await deliveryTimeEstimatorService.refreshOrderEta(order.id);
+            break;
+          case 'kds_update':
+            await kdsService.publishOrder(order.id);
+            break;
+          default:
+            console.warn(`⚠️ [ORDER LIFECYCLE] Efecto desconocido: ${effect}`);
+        }
+      } catch (error) {
+        console.error(`❌ [ORDER LIFECYCLE] Error ejecutando efecto ${effect} del pedido ${order.orderNumber}:`, error.message);
       }
+    }
+  }
+
+  // Descontar insumos según las recetas y el stock de los productos (una sola vez por pedido)
+  async deductStock(order) {
+    const claimed = await prisma.order.updateMany({
+      where: { id: order.id, stockDeductedAt: null },
+      data: { stockDeductedAt: new Date() }
+    });
+    if (claimed.count === 0) return;
+
+    const orderItems = await prisma.orderItem.findMany({
+      where: { orderId: order.id },
+      select: { productId: true, replacedWithId: true, quantity: true, unitPrice: true, subtotal: true }
+    });
+
+    const usage = await this.getIngredientUsage(orderItems);
+    await this.applyIngredientUsage(usage);
+    await this.recordProductSales(order, orderItems);
+
+    if (usage.size > 0) {
+      console.log(`📦 [ORDER LIFECYCLE] Insumos descontados para pedido ${order.orderNumber}`);
+    }
+  }
+
+  // Registrar la salida de cada producto en el Kardex (mismo criterio que las ventas del POS)
+  async recordProductSales(order, items) {
+    for (const item of items) {
+      const productId = item.replacedWithId || item.productId;
+      if (!productId) continue;
 
-      // Validaciones adicionales según el estado
-      if (newStatus === OrderStateValidator.STATES.ASSIGNED) {
-        // Verificar que tenga repartidor asignado
-        const orderWithDriver = await prisma.order.findUnique({
-          where: { id: orderId },
-          select: { deliveryPersonId: true }
+      try {
+        const product = await prisma.product.findUnique({
+          where: { id: productId },
+          select: { id: true, stock: true }
         });
+        if (!product || product.stock === null || product.stock === undefined) continue;
 
-        if (!orderWithDriver.deliveryPersonId) {
-          return {
-            valid: false,
-            error: 'No se puede asignar un pedido sin repartidor'
-          };
-        }
+        const previousStock = product.stock;
+        const newStock = Math.max(0, previousStock - item.quantity);
+        await prisma.product.update({
+          where: { id: productId },
+          data: { stock: newStock }
+        });
+
+        await prisma.kardexEntry.create({
+          data: {
+            productId,
+            storeId: order.storeId,
+            type: 'venta',
+            quantity: -item.quantity,
+            previousStock,
+            newStock,
+            unitPrice: item.unitPrice,
+            totalPrice: item.subtotal,
+            reason: 'Venta pedido',
+            reference: order.orderNumber,
+            orderId: order.id
+          }
+        });
+      } catch (error) {
+        console.error(`❌ [ORDER LIFECYCLE] Error registrando venta de producto ${productId}:`, error);
       }
+    }
+  }
+
+  /**
+   * Devolver el stock de un pedido cancelado: insumos de las recetas y productos
+   * (una entrada 'devolucion' en el Kardex por cada 'venta' del pedido).
+   * @returns {Promise<boolean>} false si el pedido no tenía stock descontado
+   */
+  async restoreStock(order) {
+    const released = await prisma.order.updateMany({
+      where: { id: order.id, stockDeductedAt: { not: null } },
+      data: { stockDeductedAt: null }
+    });
+    if (released.count === 0) return false;
+
+    const orderItems = await prisma.orderItem.findMany({
+      where: { orderId: order.id },
+      select: { productId: true, replacedWithId: true, quantity: true }
+    });
 
-      if (newStatus === OrderStateValidator.STATES.DELIVERED) {
-        // Verificar que tenga código de entrega válido
-        const orderWithCode = await prisma.order.findUnique({
-          where: { id: orderId },
-          select: { deliveryCode: true, status: true }
+    const usage = await this.getIngredientUsage(orderItems);
+    const returned = new Map([...usage.entries()].map(([ingredientId, quantity]) => [ingredientId, -quantity]));
+    await this.applyIngredientUsage(returned);
+
+    const sales = await prisma.kardexEntry.findMany({
+      where: { orderId: order.id, type: 'venta' }
+    });
+
+    for (const sale of sales) {
+      // Se devuelve lo que realmente se descontó (el stock nunca baja de 0)
+      const quantity = sale.previousStock - sale.newStock;
+      if (quantity <= 0) continue;
+
+      try {
+        const product = await prisma.product.findUnique({
+          where: { id: sale.productId },
+          select: { id: true, stock: true }
         });
+        if (!product) continue;
 
-        if (orderWithCode.status !== OrderStateValidator.STATES.IN_TRANSIT) {
-          return {
-            valid: false,
-            error: 'Solo se puede entregar un pedido que esté en tránsito'
-          };
-        }
+        const previousStock = product.stock || 0;
+        const newStock = previousStock + quantity;
+        await prisma.product.update({
+          where: { id: product.id },
+          data: { stock: newStock }
+        });
+
+        await prisma.kardexEntry.create({
+          data: {
+            productId: product.id,
+            storeId: order.storeId,
+            type: 'devolucion',
+            quantity,
+            previousStock,
+            newStock,
+            unitPrice: sale.unitPrice,
+            totalPrice: sale.unitPrice != null ? sale.unitPrice * quantity : null,
+            reason: 'Cancelación de pedido',
+            reference: order.orderNumber,
+            orderId: order.id
+          }
+        });
+      } catch (error) {
+        console.error(`❌ [ORDER LIFECYCLE] Error devolviendo stock de producto ${sale.productId}:`, error);
       }
+    }
 
-      return { valid: true };
-    } catch (error) {
-      return {
-        valid: false,
-        error: `Error validando cambio de estado: ${error.message}`
-      };
+    console.log(`📦 [ORDER LIFECYCLE] Stock devuelto por cancelación del pedido ${order.orderNumber}`);
+    return true;
+  }
+
+  // Ajustar insumos de un pedido ya descontado cuando se modifican sus items
+  async adjustStockForItems(order, previousItems, newItems) {
+    if (!order.stockDeductedAt) return;
+
+    const previousUsage = await this.getIngredientUsage(previousItems);
+    const newUsage = await this.getIngredientUsage(newItems);
+
+    const delta = new Map(newUsage);
+    for (const [ingredientId, quantity] of previousUsage.entries()) {
+      delta.set(ingredientId, (delta.get(ingredientId) || 0) - quantity);
     }
+
+    await this.applyIngredientUsage(delta);
+    console.log(`📦 [ORDER LIFECYCLE] Insumos ajustados por edición del pedido ${order.orderNumber}`);
   }
 
-  // Obtener estados siguientes permitidos
-  getNextAllowedStates(currentStatus, userRole = null) {
-    const allowedNextStates = OrderStateValidator.ALLOWED_TRANSITIONS[currentStatus] || [];
-    
-    if (!userRole) {
-      return allowedNextStates;
+  // Acumular los insumos que usan los items (Map<ingredientId, totalQuantity>)
+  async getIngredientUsage(items) {
+    const usage = new Map();
+
+    for (const item of items) {
+      // Si el item fue reemplazado, se usa la receta del producto que se entrega
+      const productId = item.replacedWithId || item.productId;
+      if (!productId) continue;
+
+      const recipe = await prisma.recipe.findUnique({
+        where: { productId }
+      });
+      if (!recipe || !recipe.ingredients) continue;
+
+      // Parsear los ingredientes (puede ser JSON string o objeto)
+      let ingredients;
+      try {
+        ingredients = typeof recipe.ingredients === 'string'
+          ? JSON.parse(recipe.ingredients)
+          : recipe.ingredients;
+      } catch (e) {
+        console.error(`❌ [ORDER LIFECYCLE] Error parseando ingredientes de receta ${recipe.id}:`, e);
+        continue;
+      }
+      if (!Array.isArray(ingredients)) continue;
+
+      for (const ingredient of ingredients) {
+        const ingredientId = ingredient.ingredient_id || ingredient.ingredientId;
+        const quantityPerUnit = parseFloat(ingredient.quantity || 0);
+        if (!ingredientId || isNaN(quantityPerUnit) || quantityPerUnit <= 0) continue;
+
+        const totalQuantity = quantityPerUnit * item.quantity;
+        usage.set(ingredientId, (usage.get(ingredientId) || 0) + totalQuantity);
+      }
     }
 
-    // Filtrar por permisos de rol
-    const rolePermissions = OrderStateValidator.ROLE_PERMISSIONS[currentStatus];
-    if (!rolePermissions) {
-      return allowedNextStates;
+    return usage;
+  }
+
+  // Descontar del stock las cantidades indicadas (las negativas se devuelven al stock)
+  async applyIngredientUsage(usage) {
+    for (const [ingredientId, totalQuantity] of usage.entries()) {
+      if (!totalQuantity) continue;
+
+      try {
+        const ingredient = await prisma.ingredient.findUnique({
+          where: { id: ingredientId }
+        });
+
+        if (!ingredient) {
+          console.warn(`⚠️ [ORDER LIFECYCLE] Insumo ${ingredientId} no encontrado`);
+          continue;
+        }
+
+        const newStock = Math.max(0, (ingredient.currentStock || 0) - totalQuantity);
+        await prisma.ingredient.update({
+          where: { id: ingredientId },
+          data: { currentStock: newStock }
+        });
+
+        console.log(`✅ [ORDER LIFECYCLE] ${totalQuantity > 0 ? 'Descontado' : 'Devuelto'} ${Math.abs(totalQuantity)} ${ingredient.unit} de ${ingredient.name} (stock: ${ingredient.currentStock} → ${newStock})`);
+      } catch (error) {
+        console.error(`❌ [ORDER LIFECYCLE] Error ajustando insumo ${ingredientId}:`, error);
+      }
     }
+  }
 
-    return allowedNextStates.filter(state => {
-      const allowedRoles = rolePermissions[state];
-      return !allowedRoles || allowedRoles.includes(userRole);
+  // Liberar al repartidor que tenga este pedido como actual
+  async releaseDriver(order) {
+    await prisma.deliveryPerson.updateMany({
+      where: { currentOrderId: order.id },
+      data: { currentOrderId: null }
     });
   }
+
+  // Acreditar la entrega al repartidor (balanceService evita duplicados)
+  async creditDriver(order) {
+    if (!order.deliveryPersonId) return;
+    await balanceService.addBalanceForDelivery(order.deliveryPersonId, order.id);
+  }
+
+  // Notificar al cliente por WhatsApp el nuevo estado
+  async notifyCustomer(order, extraInfo = {}) {
+    if (!order.storeId) return;
+    const { notifyOrderStatus } = await import('./whatsapp-multi.service.js');
+    await notifyOrderStatus(order.storeId, order.id, order.status, extraInfo);
+  }
+
+  // Avisar que el pedido está listo para retirar (solo pedidos de retiro en el local)
+  async notifyPickupReady(order) {
+    if (order.fulfillmentType !== 'pickup') return;
+    const { pickupService } = await import('./pickup.service.js');
+    await pickupService.notifyReady(order.id);
+  }
 }
 
 const orderStateValidator = new OrderStateValidator();
-export { orderStateValidator };
-
+export { orderStateValidator, OrderStateValidator };
+export default orderStateValidator;
@@ -0,0 +1,671 @@
+/**
+ * Servicio de pagos online
+ * Checkout, cobros, reembolsos y webhooks de los pedidos y gift cards, independiente del proveedor.
+ * Cada proveedor (payment-providers/*.provider.js) implementa la misma interfaz:
+ *   name, label, shortLabel, tenderType, isAvailable(), owns(id)
+ *   createCheckout(storeId, checkout) -> { checkoutId, checkoutUrl, externalReference }
+ *   getCheckout(storeId, checkoutId)  -> { checkoutId, externalReference, status } | null
+ *   capture(storeId, { token, amount, ... }) -> pago
+ *   getPayment / findPayments / searchPayments -> pagos con la forma de la API de MercadoPago
+ *     (id, status, status_detail, transaction_amount, external_reference, metadata, date_created, ...)
+ *   refund(storeId, paymentId, amount) -> { id, amount, status }
+ *   verifyWebhook({ headers, query, body }) -> { valid, paymentId }
+ * El proveedor de cada local es StoreSettings.paymentProvider (PAYMENT_PROVIDER lo fuerza para todos).
+ * Los pagos y checkouts existentes siguen con el proveedor que los creó (se reconoce por el id).
+ */
+
+import prisma from '../utils/prisma.js';
+import logger from '../utils/logger.js';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+import { orderHistoryService, ORDER_CHANNELS } from './order-history.service.js';
+import { orderPaymentsService } from './order-payments.service.js';
+import { orderRiskService } from './order-risk.service.js';
+import { orderStateValidator } from './order-state-validator.service.js';
+import { mercadoPagoProvider } from './payment-providers/mercadopago.provider.js';
+import { sandboxProvider } from './payment-providers/sandbox.provider.js';
+
+// Prefijo del external_reference de los pagos de gift cards (ver gift-cards.service)
+export const GIFT_CARD_REFERENCE_PREFIX = 'giftcard:';
+
+export const PAYMENT_PROVIDERS = {
+  MERCADOPAGO: 'mercadopago',
+  SANDBOX: 'sandbox'
+};
+
+const DEFAULT_PROVIDER = PAYMENT_PROVIDERS.MERCADOPAGO;
+
+// Los links de pago vencen a las 24 horas
+const CHECKOUT_EXPIRATION_HOURS = 24;
+
+// Estados de cobro de un pedido sin libro de pagos que un intento no aprobado no pisa
+const SETTLED_PAYMENT_STATUSES = ['paid', 'approved', 'confirmed', 'partial', 'refunded', 'partially_refunded'];
+
+class PaymentGatewayService {
+  constructor() {
+    this.providers = new Map(); // name -> proveedor
+    this.registerProvider(mercadoPagoProvider);
+    this.registerProvider(sandboxProvider);
+  }
+
+  /**
+   * Registrar un proveedor (billetera) que implemente la interfaz de arriba
+   */
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Proveedores registrados y si se pueden usar en este servidor
+   */
+  listProviders() {
+    return [...this.providers.values()].map(provider => ({
+      name: provider.name,
+      label: provider.label,
+      available: provider.isAvailable()
+    }));
+  }
+
+  /**
+   * Proveedor por nombre (falla si no existe o no está habilitado)
+   */
+  getProviderByName(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: `Proveedor de pagos desconocido: ${name}` });
+    }
+    if (!provider.isAvailable()) {
+      throw new AppError(ErrorCodes.SERVICE_UNAVAILABLE, { message: `El proveedor de pagos ${provider.label} no está habilitado` });
+    }
+    return provider;
+  }
+
+  /**
+   * Proveedor con el que cobra un local (sin local: el de la cuenta global)
+   */
+  async getProvider(storeId) {
+    let name = process.env.PAYMENT_PROVIDER || null;
+    if (!name && storeId) {
+      const settings = await prisma.storeSettings.findUnique({
+        where: { storeId },
+        select: { paymentProvider: true }
+      });
+      name = settings?.paymentProvider || null;
+    }
+    return this.getProviderByName(name || DEFAULT_PROVIDER);
+  }
+
+  /**
+   * Proveedor dueño de un pago o checkout ya creado (aunque el local haya cambiado de proveedor)
+   */
+  async providerFor(storeId, id) {
+    const owners = [...this.providers.values()].filter(provider => provider.owns(id));
+    const owner = owners.find(provider => provider.name !== DEFAULT_PROVIDER) || owners[0];
+    return owner || this.getProvider(storeId);
+  }
+
+  /**
+   * URL del webhook de un proveedor
+   * Sin local es el webhook de la cuenta global, donde external_reference es el número de pedido
+   */
+  notificationUrl(providerName, storeId = null) {
+    const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+    if (storeId) {
+      return `${baseUrl}/api/webhooks/${providerName}/${storeId}`;
+    }
+    if (providerName === PAYMENT_PROVIDERS.MERCADOPAGO) {
+      return process.env.MERCADOPAGO_WEBHOOK_URL || `${process.env.API_URL || 'https://api.elbuenmenu.site'}/api/payments/mercadopago/webhook`;
+    }
+    return `${baseUrl}/api/payments/${providerName}/webhook`;
+  }
+
+  /**
+   * Crear un link de pago con el proveedor del local
+   * @param {string|null} storeId - sin local se usa la cuenta global
+   * @param {object} checkout - { items: [{ id, title, quantity, unitPrice }], shipmentCost, payer: { name, email, phone },
+   *   backUrls: { success, failure, pending }, externalReference, metadata, statementDescriptor, expiresAt, notificationUrl }
+   * @returns {Promise<{ provider: string, checkoutId: string, checkoutUrl: string, externalReference: string }>}
+   */
+  async createCheckout(storeId, checkout) {
+    const provider = await this.getProvider(storeId);
+    const result = await provider.createCheckout(storeId, {
+      ...checkout,
+      notificationUrl: checkout.notificationUrl || this.notificationUrl(provider.name, storeId)
+    });
+
+    logger.info({ storeId, provider: provider.name, checkoutId: result.checkoutId, externalReference: checkout.externalReference }, 'Payment checkout created');
+    return { provider: provider.name, ...result };
+  }
+
+  /**
+   * Link de pago de un pedido (Checkout Pro en MercadoPago)
+   * Con `amount` se cobra solo esa parte del pedido (pago dividido / ajuste) en un único ítem.
+   * `metadata` vuelve en el pago (ej: group_participant_id para las partes de un pedido grupal)
+   */
+  async createOrderCheckout(storeId, orderData) {
+    const {
+      orderId,
+      orderNumber,
+      items,
+      customerName,
+      customerEmail,
+      customerPhone,
+      total,
+      deliveryFee,
+      tipAmount = 0,
+      amount = null,
+      title = null,
+      metadata = null,
+    } = orderData;
+
+    // Obtener info de la tienda
+    const store = await prisma.store.findUnique({
+      where: { id: storeId },
+    });
+
+    // URLs de retorno
+    const baseUrl = process.env.FRONTEND_URL || 'https://tuapp.com';
+
+    const checkoutItems = amount != null
+      ? [{
+        id: orderId,
+        title: title || `Pedido ${orderNumber}`,
+        quantity: 1,
+        unitPrice: Math.round(Number(amount) * 100) / 100,
+      }]
+      : [
+        ...items.map(item => ({
+          id: item.productId,
+          title: item.productName,
+          quantity: item.quantity,
+          unitPrice: Number(item.unitPrice),
+        })),
+        // La propina se cobra como un ítem más
+        ...(tipAmount > 0 ? [{
+          id: `${orderId}-tip`,
+          title: 'Propina',
+          quantity: 1,
+          unitPrice: Math.round(Number(tipAmount) * 100) / 100,
+        }] : []),
+      ];
+
+    try {
+      const checkout = await this.createCheckout(storeId, {
+        items: checkoutItems,
+        // Envío solo cuando se cobra el pedido completo
+        shipmentCost: amount == null && deliveryFee > 0 ? Number(deliveryFee) : 0,
+        payer: {
+          name: customerName,
+          email: customerEmail || null,
+          phone: customerPhone || null,
+        },
+        backUrls: {
+          success: `${baseUrl}/order/${orderId}/success`,
+          failure: `${baseUrl}/order/${orderId}/failure`,
+          pending: `${baseUrl}/order/${orderId}/pending`,
+        },
+        externalReference: orderId,
+        metadata,
+        statementDescriptor: store?.name || 'Pedido Online',
+        expiresAt: new Date(Date.now() + CHECKOUT_EXPIRATION_HOURS * 60 * 60 * 1000),
+      });
+
+      // Pago pendiente en el libro del pedido por el monto del link
+      const provider = this.providers.get(checkout.provider);
+      await orderPaymentsService.openTender(orderId, {
+        tenderType: provider.tenderType,
+        amount: amount ?? total,
+        reference: checkout.checkoutId,
+      }).catch(error => {
+        logger.warn({ orderId, error: error.details?.message || error.message }, 'Could not register pending online payment');
+      });
+
+      return checkout;
+    } catch (error) {
+      logger.error({
+        storeId,
+        orderId,
+        error: error.details?.message || error.message,
+      }, 'Error creating payment checkout');
+      throw error;
+    }
+  }
+
+  /**
+   * Link de pago para una gift card (compra o recarga desde la web)
+   * external_reference lleva el movimiento pendiente de la gift card (ver gift-cards.service)
+   */
+  async createGiftCardCheckout(storeId, { externalReference, amount, title, payerName = null, payerEmail = null, payerPhone = null }) {
+    const store = await prisma.store.findUnique({ where: { id: storeId } });
+    const baseUrl = process.env.FRONTEND_URL || 'https://tuapp.com';
+
+    return await this.createCheckout(storeId, {
+      items: [{
+        id: externalReference,
+        title,
+        quantity: 1,
+        unitPrice: Math.round(Number(amount) * 100) / 100,
+      }],
+      payer: { name: payerName, email: payerEmail, phone: payerPhone },
+      backUrls: {
+        success: `${baseUrl}/gift-cards/success`,
+        failure: `${baseUrl}/gift-cards/failure`,
+        pending: `${baseUrl}/gift-cards/pending`,
+      },
+      externalReference,
+      statementDescriptor: store?.name || 'Gift card',
+      expiresAt: new Date(Date.now() + CHECKOUT_EXPIRATION_HOURS * 60 * 60 * 1000),
+    });
+  }
+
+  /**
+   * Obtener un checkout creado (preferencia en MercadoPago)
+   */
+  async getCheckout(storeId, checkoutId) {
+    const provider = await this.providerFor(storeId, checkoutId);
+    return await provider.getCheckout(storeId, checkoutId);
+  }
+
+  /**
+   * Cobrar con una tarjeta tokenizada
+   */
+  async capture(storeId, data) {
+    const provider = await this.getProvider(storeId);
+    const payment = await provider.capture(storeId, data);
+    return { ...payment, provider: provider.name };
+  }
+
+  /**
+   * Obtener información de un pago
+   */
+  async getPayment(storeId, paymentId) {
+    const provider = await this.providerFor(storeId, paymentId);
+    const payment = await provider.getPayment(storeId, paymentId);
+    return { ...payment, provider: provider.name };
+  }
+
+  /**
+   * Pagos de un checkout o de una referencia externa
+   */
+  async findPayments(storeId, { checkoutId = null, externalReference = null }) {
+    const provider = checkoutId ? await this.providerFor(storeId, checkoutId) : await this.getProvider(storeId);
+    const payments = await provider.findPayments(storeId, { checkoutId, externalReference });
+    return payments.map(payment => ({ ...payment, provider: provider.name }));
+  }
+
+  /**
+   * Listar pagos del local creados en un rango de fechas (conciliador de pagos)
+   */
+  async searchPayments(storeId, range) {
+    const provider = await this.getProvider(storeId);
+    const payments = await provider.searchPayments(storeId, range);
+    return payments.map(payment => ({ ...payment, provider: provider.name }));
+  }
+
+  /**
+   * Crear reembolso con el proveedor que cobró el pago (sin monto: total)
+   */
+  async refund(storeId, paymentId, amount = null) {
+    const provider = await this.providerFor(storeId, paymentId);
+
+    try {
+      const result = await provider.refund(storeId, paymentId, amount);
+
+      logger.info({
+        storeId,
+        provider: provider.name,
+        paymentId,
+        refundId: result?.id,
+        amount: result?.amount,
+      }, 'Refund created');
+
+      return result;
+    } catch (error) {
+      logger.error({
+        storeId,
+        provider: provider.name,
+        paymentId,
+        error: error.details?.message || error.message,
+      }, 'Error creating refund');
+      throw error;
+    }
+  }
+
+  /**
+   * Pedido al que apunta el external_reference de un pago de la cuenta global
+   * Los links nuevos llevan el id del pedido. Los anteriores llevan el número de pedido, que solo es
+   * único por local: se busca dentro del local y, sin local, solo si un único pedido tiene ese número
+   * @param {string} externalReference
+   * @param {string|null} storeId
+   * @param {object} [query] - select / include de Prisma
+   */
+  async findOrderByReference(externalReference, storeId = null, query = {}) {
+    if (!externalReference) return null;
+
+    const byId = await prisma.order.findUnique({ where: { id: String(externalReference) }, ...query });
+    if (byId) return byId;
+
+    if (storeId) {
+      return prisma.order.findFirst({
+        where: { orderNumber: String(externalReference), storeId },
+        orderBy: { createdAt: 'desc' },
+        ...query
+      });
+    }
+
+    const matches = await prisma.order.findMany({
+      where: { orderNumber: String(externalReference) },
+      take: 2,
+      ...query
+    });
+    if (matches.length > 1) {
+      logger.warn({ externalReference }, 'Payment reference matches orders of several stores, ignoring it');
+      return null;
+    }
+    return matches[0] || null;
+  }
+
+  /**
+   * Validar un aviso de webhook y devolver el id del pago (null si el aviso no es de un pago)
+   * @param {string} providerName - proveedor de la URL del webhook
+   * @param {object} request - { headers, query, body }
+   */
+  parseWebhook(providerName, request) {
+    const provider = this.getProviderByName(providerName);
+    const { valid, paymentId } = provider.verifyWebhook(request);
+    if (!valid) {
+      throw new AppError(ErrorCodes.UNAUTHORIZED, { message: `Firma inválida en el aviso de ${provider.label}` });
+    }
+    return paymentId;
+  }
+
+  /**
+   * Procesar el webhook de un local
+   */
+  async processWebhook(providerName, storeId, request) {
+    const paymentId = this.parseWebhook(providerName, request);
+
+    logger.info({ storeId, provider: providerName, paymentId }, 'Payment webhook received');
+
+    if (!paymentId) {
+      return { processed: false, reason: 'Not a payment notification' };
+    }
+    return await this.processPaymentNotification(storeId, paymentId);
+  }
+
+  /**
+   * Aplicar un pago notificado por el proveedor a su pedido o gift card
+   */
+  async processPaymentNotification(storeId, paymentId) {
+    try {
+      const paymentInfo = await this.getPayment(storeId, paymentId);
+
+      const orderId = paymentInfo.external_reference;
+      const status = paymentInfo.status;
+
+      logger.info({
+        storeId,
+        provider: paymentInfo.provider,
+        paymentId,
+        orderId,
+        status,
+        amount: paymentInfo.transaction_amount,
+      }, 'Payment info retrieved');
+
+      // Compras y recargas de gift cards no son pedidos
+      if (String(orderId || '').startsWith(GIFT_CARD_REFERENCE_PREFIX)) {
+        const { giftCardsService } = await import('./gift-cards.service.js');
+        return await giftCardsService.applyProviderPayment(storeId, paymentInfo);
+      }
+
+      // Obtener pedido completo con información del cliente
+      const order = await prisma.order.findUnique({
+        where: { id: orderId },
+        include: {
+          store: {
+            select: {
+              name: true
+            }
+          }
+        }
+      });
+
+      if (!order) {
+        logger.error({
+          storeId,
+          orderId,
+          paymentId,
+        }, 'Order not found for payment webhook');
+        return { processed: false, reason: 'Order not found' };
+      }
+
+      return await this.applyPaymentStatus(storeId, order, paymentInfo);
+    } catch (error) {
+      logger.error({
+        storeId,
+        paymentId,
+        error: error.details?.message || error.message,
+      }, 'Error processing payment webhook');
+      throw error;
+    }
+  }
+
+  /**
+   * Autor de los cambios que llegan por el webhook de un proveedor (historial)
+   */
+  webhookActor(providerName) {
+    const provider = this.providers.get(providerName) || this.providers.get(DEFAULT_PROVIDER);
+    return { id: null, name: provider.label, role: 'system', channel: ORDER_CHANNELS.WEBHOOK };
+  }
+
+  /**
+   * Texto del pago para el historial del pedido (ej: "Pago MP 123456")
+   */
+  paymentLabel(paymentInfo) {
+    const provider = this.providers.get(paymentInfo.provider) || this.providers.get(DEFAULT_PROVIDER);
+    return `Pago ${provider.shortLabel} ${paymentInfo.id}`;
+  }
+
+  /**
+   * Aplicar al pedido el estado de un pago del proveedor (webhook y conciliador de pagos)
+   * @param {string} storeId
+   * @param {object} order - Pedido completo (con customerPhone, heldForReview, etc.)
+   * @param {object} paymentInfo - Pago con la forma de la API de MercadoPago (ver getPayment)
+   * @param {object} actor - Autor del cambio para el historial
+   */
+  async applyPaymentStatus(storeId, order, paymentInfo, actor = this.webhookActor(paymentInfo.provider)) {
+    const provider = this.providers.get(paymentInfo.provider) || this.providers.get(DEFAULT_PROVIDER);
+    const orderId = order.id;
+    const paymentId = paymentInfo.id;
+    const status = paymentInfo.status;
+    const label = this.paymentLabel(paymentInfo);
+
+    // Parte de un pedido grupal pagada con su propio link: no cambia el estado del pedido
+    if (paymentInfo.metadata?.group_participant_id) {
+      return await this.applyGroupSharePayment(order, paymentInfo, actor);
+    }
+
+    // Actualizar pedido según estado
+    if (status === 'approved') {
+      await this.markOrderPaid(order, { paymentStatus: 'paid' }, actor, label, { handled: ['notify_customer'] });
+      await orderPaymentsService.recordProviderPayment(orderId, {
+        tenderType: provider.tenderType,
+        amount: paymentInfo.transaction_amount,
+        reference: String(paymentId),
+      }, actor);
+
+      // Registrar pago (una sola vez aunque el pago se notifique o concilie de nuevo)
+      const existingTransfer = await prisma.pendingTransfer.findFirst({
+        where: { orderId, transferReference: `MP-${paymentId}` },
+      });
+      if (!existingTransfer) {
+        await prisma.pendingTransfer.create({
+          data: {
+            orderId,
+            storeId,
+            amount: paymentInfo.transaction_amount,
+            status: 'verified',
+            transferReference: `MP-${paymentId}`,
+            verifiedAt: new Date(),
+          },
+        });
+      }
+
+      // Enviar notificación automática al cliente vía WhatsApp
+      if (order.customerPhone && order.customerPhone.trim() !== '') {
+        try {
+          // Importar el servicio de WhatsApp multi-tenant
+          const { notifyOrderStatus } = await import('./whatsapp-multi.service.js');
+
+          const notificationResult = await notifyOrderStatus(
+            storeId,
+            orderId,
+            'payment_approved',
+            {
+              orderNumber: order.orderNumber,
+              total: Number(order.total)
+            }
+          );
+
+          if (notificationResult.success) {
+            logger.info({
+              storeId,
+              orderId,
+              customerPhone: order.customerPhone,
+            }, 'Payment approval notification sent successfully');
+          } else {
+            logger.warn({
+              storeId,
+              orderId,
+              error: notificationResult.error,
+            }, 'Failed to send payment approval notification');
+          }
+        } catch (notifyError) {
+          logger.error({
+            storeId,
+            orderId,
+            error: notifyError.message,
+          }, 'Error sending payment approval notification');
+          // No fallar el procesamiento del pago si falla la notificación
+        }
+      }
+
+      return { processed: true, status: 'approved', orderId };
+    }
+
+    if (['rejected', 'cancelled', 'pending', 'in_process'].includes(status)) {
+      await this.applyUnapprovedPayment(order, paymentInfo, provider, actor, label);
+      return { processed: true, status, orderId };
+    }
+
+    return { processed: false, status };
+  }
+
+  /**
+   * Reflejar un pago no aprobado (rechazado, cancelado o en proceso)
+   * El estado de cobro sale del libro de pagos: un rechazo solo marca fallido el intento pendiente
+   * de ese medio, y un pedido ya cobrado entero nunca vuelve a pendiente o fallido
+   */
+  async applyUnapprovedPayment(order, paymentInfo, provider, actor, label) {
+    const failed = paymentInfo.status === 'rejected' || paymentInfo.status === 'cancelled';
+    const payments = await orderPaymentsService.getPayments(order.id);
+
+    if (payments.length > 0) {
+      const attempt = failed && payments.find(p => p.tenderType === provider.tenderType && p.status === 'pending');
+      if (attempt) {
+        await orderPaymentsService.settleTender(attempt.id, 'failed', {}, actor);
+      } else {
+        await orderPaymentsService.rollup(order.id, actor);
+      }
+      return;
+    }
+
+    // Pedidos sin libro de pagos: se actualiza el estado del pedido salvo que ya esté cobrado
+    const paymentStatus = failed ? 'failed' : 'pending';
+    if (SETTLED_PAYMENT_STATUSES.includes(order.paymentStatus) || order.paymentStatus === paymentStatus) {
+      return;
+    }
+    await prisma.order.update({ where: { id: order.id }, data: { paymentStatus } });
+    await orderHistoryService.recordUpdate(order.id, order, { paymentStatus }, actor, `${label} ${paymentInfo.status}`);
+  }
+
+  /**
+   * Marcar un pedido como cobrado por un pago aprobado del proveedor
+   * Si sigue pendiente se confirma (ver orderRiskService.statusOnPayment) a través del ciclo de vida del pedido,
+   * con sus efectos (descuento de stock, ETA, cocina); si el ciclo de vida no lo permite solo cambia el cobro
+   * @param {object} order - Pedido con los campos del ciclo de vida (status, deliveryStatus, scheduledFor, ...)
+   * @param {object} changes - Cambios del cobro (paymentStatus, paymentMethod)
+   * @param {object} context - Para runEffects (ej: { handled: ['notify_customer'] } si el aviso se manda aparte)
+   */
+  async markOrderPaid(order, changes, actor, label = null, context = {}) {
+    const statusChange = orderRiskService.statusOnPayment(order);
+    const transition = statusChange.status ? orderStateValidator.validateChange(order, statusChange, 'system') : null;
+
+    if (transition && !transition.valid) {
+      logger.warn({ orderId: order.id, status: order.status, error: transition.error }, 'Paid order not confirmed');
+    }
+    const data = {
+      ...changes,
+      ...(transition?.valid && statusChange),
+      ...(transition?.valid && transition.sync),
+    };
+
+    await prisma.order.update({ where: { id: order.id }, data });
+    await orderHistoryService.recordUpdate(order.id, order, data, actor, label);
+    if (transition?.valid) {
+      await orderStateValidator.runEffects(order.id, transition.effects, context);
+    }
+    return data;
+  }
+
+  /**
+   * Aplicar el pago de la parte de un participante de un pedido grupal
+   * Solo se registra la parte en el ledger: el estado de cobro del pedido sale de la suma de las partes
+   * (rollup) y el pedido no se confirma ni se avisa al cliente hasta que lo cobre entero
+   */
+  async applyGroupSharePayment(order, paymentInfo, actor) {
+    const provider = this.providers.get(paymentInfo.provider) || this.providers.get(DEFAULT_PROVIDER);
+    const participantId = paymentInfo.metadata.group_participant_id;
+    const status = paymentInfo.status;
+
+    if (status !== 'approved') {
+      logger.info({ orderId: order.id, participantId, paymentId: paymentInfo.id, status }, 'Group order share payment not approved');
+      return { processed: true, status, orderId: order.id };
+    }
+
+    // recordProviderPayment ya recalcula el estado de cobro del pedido (rollup)
+    await orderPaymentsService.recordProviderPayment(order.id, {
+      tenderType: provider.tenderType,
+      amount: paymentInfo.transaction_amount,
+      reference: String(paymentInfo.id),
+    }, actor);
+
+    const { groupOrdersService } = await import('./group-orders.service.js');
+    await groupOrdersService.markParticipantPaid(participantId, { reference: String(paymentInfo.id) });
+
+    return { processed: true, status, orderId: order.id };
+  }
+
+  /**
+   * Verificar configuración de pagos de una tienda
+   */
+  async verifyStoreConfig(storeId) {
+    try {
+      const provider = await this.getProvider(storeId);
+      return { provider: provider.name, ...(await provider.verifyConfig(storeId)) };
+    } catch (error) {
+      return { configured: false, valid: false, error: error.details?.message || error.message };
+    }
+  }
+
+  /**
+   * Limpiar cache de clientes de los proveedores (sin tienda: cuenta global)
+   */
+  clearClientCache(storeId = null) {
+    for (const provider of this.providers.values()) {
+      provider.clearClientCache(storeId);
+    }
+  }
+}
+
+export const paymentGatewayService = new PaymentGatewayService();
+export default paymentGatewayService;
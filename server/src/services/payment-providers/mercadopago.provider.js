@@ -0,0 +1,348 @@
+/**
+ * Proveedor de pagos: MercadoPago
+ * Adaptador de la API de MercadoPago (Checkout Pro, pagos, reembolsos y webhooks) para payment-gateway.service.
+ * Cada local usa su propio access token (StoreSettings.mercadoPagoToken); sin local se usa la cuenta
+ * global (MERCADOPAGO_ACCESS_TOKEN o la configuración de pagos guardada desde el panel)
+ */
+
+import crypto from 'crypto';
+import { MercadoPagoConfig, Preference, Payment } from 'mercadopago';
+import prisma from '../../utils/prisma.js';
+import logger from '../../utils/logger.js';
+import { AppError, ErrorCodes } from '../../middlewares/error-handler.middleware.js';
+import { TENDER_TYPES } from '../order-payments.service.js';
+
+const API_URL = 'https://api.mercadopago.com';
+const SEARCH_TIMEOUT_MS = 10000;
+
+// Clave de la cuenta global en el cache de clientes
+const GLOBAL_CLIENT = '__global__';
+
+class MercadoPagoProvider {
+  constructor() {
+    this.name = 'mercadopago';
+    this.label = 'Mercado Pago';
+    this.shortLabel = 'MP';
+    this.tenderType = TENDER_TYPES.MERCADOPAGO;
+    this.clients = new Map(); // storeId -> MercadoPagoConfig
+  }
+
+  /**
+   * Siempre disponible (que el local tenga credenciales se valida al usarlo)
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Los ids de pago y de preferencia de MercadoPago no llevan el prefijo de otros proveedores
+   */
+  owns(id) {
+    return /^\d+$/.test(String(id)) || /^\d+-[0-9a-f-]+$/i.test(String(id));
+  }
+
+  /**
+   * Credenciales de la cuenta global: variables de entorno o configuración de pagos del panel
+   */
+  async getGlobalConfig() {
+    if (process.env.MERCADOPAGO_ACCESS_TOKEN) {
+      return {
+        accessToken: process.env.MERCADOPAGO_ACCESS_TOKEN,
+        publicKey: process.env.MERCADOPAGO_PUBLIC_KEY || null
+      };
+    }
+
+    try {
+      const setting = await prisma.setting.findUnique({ where: { key: 'payment_config' } });
+      const config = setting?.value ? JSON.parse(setting.value) : null;
+      if (config?.mercadoPago?.accessToken) {
+        return {
+          accessToken: config.mercadoPago.accessToken,
+          publicKey: config.mercadoPago.publicKey || null
+        };
+      }
+    } catch (error) {
+      logger.warn({ error: error.message }, 'Could not read MercadoPago config from settings');
+    }
+
+    return null;
+  }
+
+  /**
+   * Obtener cliente de MercadoPago para una tienda (sin tienda: cuenta global)
+   */
+  async getClient(storeId) {
+    const key = storeId || GLOBAL_CLIENT;
+    if (this.clients.has(key)) {
+      return this.clients.get(key);
+    }
+
+    let accessToken = null;
+    if (storeId) {
+      const settings = await prisma.storeSettings.findUnique({ where: { storeId } });
+      accessToken = settings?.mercadoPagoToken || null;
+    } else {
+      accessToken = (await this.getGlobalConfig())?.accessToken || null;
+    }
+
+    if (!accessToken) {
+      throw new AppError(ErrorCodes.SERVICE_UNAVAILABLE, {
+        message: storeId ? 'MercadoPago no configurado para esta tienda' : 'Mercado Pago no está configurado'
+      });
+    }
+
+    const client = new MercadoPagoConfig({ accessToken });
+    this.clients.set(key, client);
+    return client;
+  }
+
+  /**
+   * Crear preferencia de pago (Checkout Pro)
+   * @param {object} checkout - ver payment-gateway.service (items, payer, backUrls, externalReference, ...)
+   */
+  async createCheckout(storeId, checkout) {
+    const client = await this.getClient(storeId);
+    const preference = new Preference(client);
+
+    const response = await preference.create({
+      body: {
+        items: checkout.items.map(item => ({
+          id: item.id,
+          title: item.title,
+          quantity: item.quantity,
+          unit_price: item.unitPrice,
+          currency_id: 'ARS'
+        })),
+        ...(checkout.shipmentCost > 0 && {
+          shipments: { cost: checkout.shipmentCost, mode: 'not_specified' }
+        }),
+        ...(checkout.payer && {
+          payer: {
+            name: checkout.payer.name || undefined,
+            email: checkout.payer.email || undefined,
+            phone: checkout.payer.phone ? { number: checkout.payer.phone } : undefined
+          }
+        }),
+        back_urls: checkout.backUrls,
+        auto_return: 'approved',
+        external_reference: checkout.externalReference,
+        ...(checkout.metadata && { metadata: checkout.metadata }),
+        notification_url: checkout.notificationUrl,
+        statement_descriptor: checkout.statementDescriptor,
+        ...(checkout.expiresAt && {
+          expires: true,
+          expiration_date_from: new Date().toISOString(),
+          expiration_date_to: checkout.expiresAt.toISOString()
+        })
+      }
+    });
+
+    if (!response?.id || !(response.init_point || response.sandbox_init_point)) {
+      throw new AppError(ErrorCodes.EXTERNAL_SERVICE_ERROR, { message: 'MercadoPago no devolvió el link de pago' });
+    }
+
+    return {
+      checkoutId: response.id,
+      checkoutUrl: response.init_point || response.sandbox_init_point,
+      externalReference: response.external_reference ?? checkout.externalReference
+    };
+  }
+
+  /**
+   * Obtener una preferencia creada
+   */
+  async getCheckout(storeId, checkoutId) {
+    const client = await this.getClient(storeId);
+    const preference = await new Preference(client).get({ preferenceId: checkoutId });
+    if (!preference) return null;
+
+    return {
+      checkoutId: preference.id,
+      externalReference: preference.external_reference || null,
+      status: preference.status || 'active'
+    };
+  }
+
+  /**
+   * Cobrar con una tarjeta tokenizada (tarjeta guardada)
+   */
+  async capture(storeId, { token, amount, description, paymentMethodId, installments = 1, payerEmail, externalReference }) {
+    const client = await this.getClient(storeId);
+    return await new Payment(client).create({
+      body: {
+        transaction_amount: amount,
+        token,
+        description,
+        installments,
+        payment_method_id: paymentMethodId,
+        payer: { email: payerEmail },
+        external_reference: externalReference
+      }
+    });
+  }
+
+  /**
+   * Obtener información de un pago
+   */
+  async getPayment(storeId, paymentId) {
+    const client = await this.getClient(storeId);
+    return await new Payment(client).get({ id: paymentId });
+  }
+
+  /**
+   * Pagos de una preferencia o de una referencia externa
+   */
+  async findPayments(storeId, { checkoutId = null, externalReference = null }) {
+    const client = await this.getClient(storeId);
+    const params = new URLSearchParams({
+      ...(checkoutId && { preference_id: checkoutId }),
+      ...(externalReference && { external_reference: externalReference })
+    });
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), SEARCH_TIMEOUT_MS);
+    try {
+      const response = await fetch(`${API_URL}/v1/payments/search?${params}`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${client.accessToken}`
+        },
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`Error buscando pagos de MercadoPago: ${response.status} ${response.statusText}`);
+      }
+
+      const result = await response.json();
+      return result.results || [];
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Listar pagos de la cuenta creados en un rango de fechas (conciliador de pagos)
+   * Recorre las páginas de /v1/payments/search hasta `maxPayments`
+   */
+  async searchPayments(storeId, { from, to, maxPayments = 1000 }) {
+    const client = await this.getClient(storeId);
+    const pageSize = 100;
+    const payments = [];
+
+    for (let offset = 0; offset < maxPayments; offset += pageSize) {
+      const params = new URLSearchParams({
+        sort: 'date_created',
+        criteria: 'asc',
+        range: 'date_created',
+        begin_date: from.toISOString(),
+        end_date: to.toISOString(),
+        limit: String(pageSize),
+        offset: String(offset)
+      });
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), SEARCH_TIMEOUT_MS);
+      let result;
+      try {
+        const response = await fetch(`${API_URL}/v1/payments/search?${params}`, {
+          method: 'GET',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${client.accessToken}`
+          },
+          signal: controller.signal
+        });
+
+        if (!response.ok) {
+          throw new Error(`Error listando pagos de MercadoPago: ${response.status} ${response.statusText}`);
+        }
+
+        result = await response.json();
+      } finally {
+        clearTimeout(timeoutId);
+      }
+
+      const page = result.results || [];
+      payments.push(...page);
+
+      if (page.length < pageSize || payments.length >= (result.paging?.total ?? 0)) break;
+    }
+
+    return payments;
+  }
+
+  /**
+   * Crear reembolso (sin monto: total)
+   */
+  async refund(storeId, paymentId, amount = null) {
+    const client = await this.getClient(storeId);
+
+    const response = await fetch(`${API_URL}/v1/payments/${paymentId}/refunds`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${client.accessToken}`
+      },
+      body: JSON.stringify({ payment_id: paymentId, ...(amount && { amount }) })
+    });
+
+    return await response.json();
+  }
+
+  /**
+   * Validar un aviso de MercadoPago y extraer el id del pago
+   * Con MERCADOPAGO_WEBHOOK_SECRET se verifica la firma (header x-signature: "ts=...,v1=...").
+   * MercadoPago manda el id en distintos formatos:
+   * { type: 'payment', data: { id } }, { action: 'payment.created', data: { id } }, ?id=... / ?data.id=..., { id }
+   * @returns {{ valid: boolean, paymentId: string|null }}
+   */
+  verifyWebhook({ headers = {}, query = {}, body = {} }) {
+    const notificationType = body.type || query.type || query.topic || null;
+    if (notificationType && notificationType !== 'payment') {
+      return { valid: true, paymentId: null };
+    }
+
+    const paymentId = body.data?.id || query['data.id'] || query.id || body.id || null;
+
+    const secret = process.env.MERCADOPAGO_WEBHOOK_SECRET;
+    if (secret && paymentId) {
+      const parts = Object.fromEntries(String(headers['x-signature'] || '')
+        .split(',')
+        .map(part => part.trim().split('='))
+        .filter(pair => pair.length === 2));
+      const manifest = `id:${String(paymentId).toLowerCase()};request-id:${headers['x-request-id'] || ''};ts:${parts.ts || ''};`;
+      const expected = crypto.createHmac('sha256', secret).update(manifest).digest('hex');
+
+      if (!parts.v1 || parts.v1.length !== expected.length ||
+          !crypto.timingSafeEqual(Buffer.from(parts.v1), Buffer.from(expected))) {
+        return { valid: false, paymentId: null };
+      }
+    }
+
+    return { valid: true, paymentId: paymentId ? String(paymentId) : null };
+  }
+
+  /**
+   * Verificar configuración de una tienda
+   */
+  async verifyConfig(storeId) {
+    try {
+      await this.getClient(storeId);
+      return { configured: true, valid: true };
+    } catch (error) {
+      return { configured: false, valid: false, error: error.details?.message || error.message };
+    }
+  }
+
+  /**
+   * Limpiar cache de cliente (sin tienda: cuenta global)
+   */
+  clearClientCache(storeId = null) {
+    this.clients.delete(storeId || GLOBAL_CLIENT);
+  }
+}
+
+export const mercadoPagoProvider = new MercadoPagoProvider();
+export default mercadoPagoProvider;
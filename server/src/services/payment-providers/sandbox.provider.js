@@ -0,0 +1,319 @@
+/**
+ * Proveedor de pagos: sandbox local
+ * Simula un proveedor de pagos sin credenciales ni red para probar el checkout de punta a punta:
+ * el link de pago abre una página del propio servidor donde se elige el resultado (aprobado, rechazado,
+ * pendiente o aprobado con demora) y el aviso llega al webhook del proveedor unos segundos después,
+ * firmado como lo haría un proveedor real. Los pagos devuelven la misma forma que la API de MercadoPago.
+ * Checkouts y pagos viven en memoria: se pierden al reiniciar el servidor.
+ * Solo se habilita fuera de producción o con PAYMENT_SANDBOX_ENABLED=true
+ */
+
+import crypto from 'crypto';
+import logger from '../../utils/logger.js';
+import { AppError, ErrorCodes } from '../../middlewares/error-handler.middleware.js';
+import { TENDER_TYPES } from '../order-payments.service.js';
+
+export const SANDBOX_OUTCOMES = {
+  APPROVED: 'approved', // Aprobado en el momento
+  REJECTED: 'rejected', // Rechazado (fondos insuficientes)
+  PENDING: 'pending', // Queda en proceso y no se acredita
+  DELAYED: 'delayed' // Queda en proceso y se aprueba después de la demora
+};
+
+// Prefijo de los ids del sandbox (identifica al proveedor de un pago o checkout)
+const ID_PREFIX = 'sbx_';
+
+// Demora del aviso al webhook (y de la aprobación de los pagos "delayed")
+const WEBHOOK_DELAY_SECONDS = parseInt(process.env.PAYMENT_SANDBOX_WEBHOOK_DELAY_SECONDS || '5', 10);
+const MAX_DELAY_SECONDS = 600;
+
+// Firma de los avisos (header x-sandbox-signature: HMAC-SHA256 del body)
+const WEBHOOK_SECRET = process.env.PAYMENT_SANDBOX_WEBHOOK_SECRET || 'sandbox';
+
+const DEFAULT_OUTCOME = process.env.PAYMENT_SANDBOX_DEFAULT_OUTCOME || SANDBOX_OUTCOMES.APPROVED;
+
+const STATUS_DETAILS = {
+  approved: 'accredited',
+  rejected: 'cc_rejected_insufficient_amount',
+  in_process: 'pending_contingency',
+  refunded: 'refunded'
+};
+
+const round = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const newId = (kind) => `${ID_PREFIX}${kind}_${crypto.randomBytes(8).toString('hex')}`;
+
+class SandboxProvider {
+  constructor() {
+    this.name = 'sandbox';
+    this.label = 'Sandbox';
+    this.shortLabel = 'Sandbox';
+    this.tenderType = TENDER_TYPES.MERCADOPAGO;
+    this.checkouts = new Map(); // checkoutId -> checkout
+    this.payments = new Map(); // paymentId -> pago (forma de la API de MercadoPago)
+  }
+
+  isAvailable() {
+    return process.env.NODE_ENV !== 'production' || process.env.PAYMENT_SANDBOX_ENABLED === 'true';
+  }
+
+  owns(id) {
+    return String(id).startsWith(ID_PREFIX);
+  }
+
+  baseUrl() {
+    return process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  }
+
+  /**
+   * Crear un checkout: el link lleva a la página de simulación del sandbox
+   */
+  async createCheckout(storeId, checkout) {
+    const id = newId('chk');
+    const amount = round(
+      checkout.items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0) + (checkout.shipmentCost || 0)
+    );
+
+    this.checkouts.set(id, {
+      id,
+      storeId: storeId || null,
+      title: checkout.items.length === 1 ? checkout.items[0].title : `${checkout.items.length} ítems`,
+      amount,
+      payer: checkout.payer || null,
+      externalReference: checkout.externalReference,
+      metadata: checkout.metadata || null,
+      backUrls: checkout.backUrls || null,
+      notificationUrl: checkout.notificationUrl || null,
+      expiresAt: checkout.expiresAt || null,
+      createdAt: new Date()
+    });
+
+    logger.info({ storeId, checkoutId: id, amount, externalReference: checkout.externalReference }, 'Sandbox checkout created');
+    return {
+      checkoutId: id,
+      checkoutUrl: `${this.baseUrl()}/api/payments/sandbox/checkout/${id}`,
+      externalReference: checkout.externalReference
+    };
+  }
+
+  async getCheckout(storeId, checkoutId) {
+    const checkout = this.checkouts.get(checkoutId);
+    if (!checkout) return null;
+
+    return {
+      checkoutId: checkout.id,
+      externalReference: checkout.externalReference,
+      status: checkout.expiresAt && checkout.expiresAt < new Date() ? 'expired' : 'active'
+    };
+  }
+
+  /**
+   * Checkout con los datos que muestra la página de simulación
+   */
+  getCheckoutForSimulation(checkoutId) {
+    const checkout = this.checkouts.get(checkoutId);
+    if (!checkout) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Checkout de sandbox no encontrado (los checkouts se pierden al reiniciar el servidor)' });
+    }
+    return checkout;
+  }
+
+  /**
+   * Pagar un checkout con el resultado elegido
+   * @param {object} options - { outcome, delaySeconds, skipWebhook } (skipWebhook simula un aviso perdido)
+   * @returns {{ payment: object, redirectUrl: string|null }}
+   */
+  async simulateCheckout(checkoutId, { outcome = DEFAULT_OUTCOME, delaySeconds = WEBHOOK_DELAY_SECONDS, skipWebhook = false } = {}) {
+    const checkout = this.getCheckoutForSimulation(checkoutId);
+    if (!Object.values(SANDBOX_OUTCOMES).includes(outcome)) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: `Resultado inválido: ${outcome}` });
+    }
+    if (checkout.expiresAt && checkout.expiresAt < new Date()) {
+      throw new AppError(ErrorCodes.CONFLICT, { message: 'El checkout venció' });
+    }
+
+    const delayMs = Math.min(Math.max(parseInt(delaySeconds, 10) || 0, 0), MAX_DELAY_SECONDS) * 1000;
+    const payment = this.createPayment(checkout.storeId, {
+      amount: checkout.amount,
+      outcome,
+      description: checkout.title,
+      externalReference: checkout.externalReference,
+      metadata: checkout.metadata,
+      payerEmail: checkout.payer?.email || null,
+      checkoutId: checkout.id
+    });
+
+    if (outcome === SANDBOX_OUTCOMES.DELAYED) {
+      // Primero llega el aviso "en proceso" y, pasada la demora, la aprobación con su propio aviso
+      setTimeout(() => {
+        this.updatePayment(payment.id, 'approved');
+        if (!skipWebhook) this.dispatchWebhook(checkout.notificationUrl, payment.id);
+      }, delayMs * 2).unref();
+    }
+    if (!skipWebhook) {
+      this.scheduleWebhook(checkout.notificationUrl, payment.id, delayMs);
+    }
+
+    // Como el auto_return de MercadoPago: vuelve a la web con el resultado en la URL
+    const backUrl = checkout.backUrls?.[payment.status === 'approved' ? 'success' : payment.status === 'rejected' ? 'failure' : 'pending'];
+    let redirectUrl = null;
+    if (backUrl) {
+      const url = new URL(backUrl);
+      url.searchParams.set('payment_id', payment.id);
+      url.searchParams.set('status', payment.status);
+      url.searchParams.set('external_reference', checkout.externalReference || '');
+      url.searchParams.set('preference_id', checkout.id);
+      redirectUrl = url.toString();
+    }
+
+    return { payment, redirectUrl };
+  }
+
+  /**
+   * Cobrar con tarjeta tokenizada: el token puede ser un resultado ("rejected", "pending") para forzarlo
+   */
+  async capture(storeId, { token, amount, description, payerEmail, externalReference }) {
+    const outcome = [SANDBOX_OUTCOMES.REJECTED, SANDBOX_OUTCOMES.PENDING].includes(token) ? token : SANDBOX_OUTCOMES.APPROVED;
+    return this.createPayment(storeId, { amount, outcome, description, externalReference, payerEmail });
+  }
+
+  createPayment(storeId, { amount, outcome, description, externalReference, metadata = null, payerEmail = null, checkoutId = null }) {
+    const now = new Date().toISOString();
+    const status = outcome === SANDBOX_OUTCOMES.APPROVED ? 'approved'
+      : outcome === SANDBOX_OUTCOMES.REJECTED ? 'rejected'
+        : 'in_process';
+
+    const payment = {
+      id: newId('pay'),
+      status,
+      status_detail: STATUS_DETAILS[status],
+      transaction_amount: round(amount),
+      transaction_amount_refunded: 0,
+      currency_id: 'ARS',
+      description: description || null,
+      external_reference: externalReference || null,
+      metadata: metadata || {},
+      payer: { email: payerEmail },
+      date_created: now,
+      date_approved: status === 'approved' ? now : null,
+      date_last_updated: now,
+      refunds: [],
+      // Propios del sandbox (para buscar)
+      store_id: storeId || null,
+      preference_id: checkoutId
+    };
+
+    this.payments.set(payment.id, payment);
+    logger.info({ storeId, paymentId: payment.id, status, amount: payment.transaction_amount, externalReference }, 'Sandbox payment created');
+    return { ...payment };
+  }
+
+  updatePayment(paymentId, status) {
+    const payment = this.payments.get(paymentId);
+    if (!payment) return null;
+
+    const now = new Date().toISOString();
+    payment.status = status;
+    payment.status_detail = STATUS_DETAILS[status];
+    payment.date_last_updated = now;
+    if (status === 'approved') payment.date_approved = now;
+    return payment;
+  }
+
+  async getPayment(storeId, paymentId) {
+    const payment = this.payments.get(String(paymentId));
+    if (!payment) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: `Pago de sandbox ${paymentId} no encontrado` });
+    }
+    return { ...payment };
+  }
+
+  async findPayments(storeId, { checkoutId = null, externalReference = null }) {
+    return [...this.payments.values()]
+      .filter(p => (!checkoutId || p.preference_id === checkoutId) &&
+        (!externalReference || p.external_reference === String(externalReference)))
+      .map(p => ({ ...p }));
+  }
+
+  async searchPayments(storeId, { from, to, maxPayments = 1000 }) {
+    return [...this.payments.values()]
+      .filter(p => p.store_id === (storeId || null) &&
+        new Date(p.date_created) >= from && new Date(p.date_created) <= to)
+      .slice(0, maxPayments)
+      .map(p => ({ ...p }));
+  }
+
+  /**
+   * Reembolso total o parcial de un pago aprobado
+   */
+  async refund(storeId, paymentId, amount = null) {
+    const payment = this.payments.get(String(paymentId));
+    if (!payment) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: `Pago de sandbox ${paymentId} no encontrado` });
+    }
+
+    const available = round(payment.transaction_amount - payment.transaction_amount_refunded);
+    const value = round(amount ?? available);
+    if (payment.status !== 'approved' || value <= 0 || value > available + 0.01) {
+      return { id: null, status: 'rejected', message: 'El pago no tiene saldo para reembolsar' };
+    }
+
+    const refund = { id: newId('ref'), payment_id: payment.id, amount: value, status: 'approved', date_created: new Date().toISOString() };
+    payment.refunds.push(refund);
+    payment.transaction_amount_refunded = round(payment.transaction_amount_refunded + value);
+    if (payment.transaction_amount_refunded >= payment.transaction_amount) {
+      this.updatePayment(payment.id, 'refunded');
+    }
+
+    logger.info({ storeId, paymentId, refundId: refund.id, amount: value }, 'Sandbox refund created');
+    return refund;
+  }
+
+  sign(body) {
+    return crypto.createHmac('sha256', WEBHOOK_SECRET).update(JSON.stringify(body)).digest('hex');
+  }
+
+  scheduleWebhook(notificationUrl, paymentId, delayMs) {
+    if (!notificationUrl) return;
+    setTimeout(() => this.dispatchWebhook(notificationUrl, paymentId), delayMs).unref();
+  }
+
+  /**
+   * Avisar al webhook como lo haría el proveedor (POST firmado con el id del pago)
+   */
+  async dispatchWebhook(notificationUrl, paymentId) {
+    if (!notificationUrl) return;
+    const body = { type: 'payment', action: 'payment.updated', data: { id: paymentId } };
+
+    try {
+      const response = await fetch(notificationUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-sandbox-signature': this.sign(body) },
+        body: JSON.stringify(body)
+      });
+      logger.info({ paymentId, notificationUrl, status: response.status }, 'Sandbox webhook dispatched');
+    } catch (error) {
+      logger.warn({ paymentId, notificationUrl, error: error.message }, 'Sandbox webhook failed');
+    }
+  }
+
+  verifyWebhook({ headers = {}, body = {} }) {
+    const signature = String(headers['x-sandbox-signature'] || '');
+    const expected = this.sign(body);
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return { valid: false, paymentId: null };
+    }
+    return { valid: true, paymentId: body.type === 'payment' && body.data?.id ? String(body.data.id) : null };
+  }
+
+  async verifyConfig() {
+    return this.isAvailable()
+      ? { configured: true, valid: true }
+      : { configured: false, valid: false, error: 'El sandbox de pagos no está habilitado en producción' };
+  }
+
+  clearClientCache() {}
+}
+
+export const sandboxProvider = new SandboxProvider();
+export default sandboxProvider;
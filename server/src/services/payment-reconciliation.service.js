@@ -0,0 +1,518 @@
+/**
+ * Conciliación de pagos de MercadoPago (y de los demás proveedores de payment-gateway.service)
+ * Los webhooks (/api/payments/:provider/webhook, /api/webhooks/:provider/:storeId) pueden perder
+ * eventos: cada cierto tiempo se listan los pagos de la cuenta de cada local en una ventana y se cruzan
+ * con sus pedidos. Se corrigen los pedidos con paymentStatus atrasado y quedan para revisión del local
+ * los pagos huérfanos, los cobros dobles y las diferencias de monto (con aviso en el panel).
+ */
+
+import prisma from '../utils/prisma.js';
+import logger from '../utils/logger.js';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+import { ORDER_CHANNELS } from './order-history.service.js';
+import { orderPaymentsService, TENDER_TYPES } from './order-payments.service.js';
+import { orderNumberService } from './order-number.service.js';
+import { paymentGatewayService, GIFT_CARD_REFERENCE_PREFIX, PAYMENT_PROVIDERS } from './payment-gateway.service.js';
+import { giftCardsService } from './gift-cards.service.js';
+
+export const RECONCILIATION_ISSUES = {
+  ORPHAN_PAYMENT: 'orphan_payment', // Pago aprobado que no corresponde a ningún pedido del local
+  DOUBLE_CHARGE: 'double_charge', // Pago aprobado de más sobre un pedido ya cubierto
+  AMOUNT_MISMATCH: 'amount_mismatch' // Lo cobrado no coincide con lo que el pedido esperaba
+};
+
+// Estados con los que el local cierra un problema
+const CLOSING_STATUSES = ['resolved', 'ignored'];
+
+// Cada cuánto corre el conciliador y qué ventana de pagos revisa
+export const RECONCILIATION_INTERVAL_MINUTES = parseInt(process.env.PAYMENT_RECONCILIATION_INTERVAL_MINUTES || '30', 10);
+const WINDOW_HOURS = parseInt(process.env.PAYMENT_RECONCILIATION_WINDOW_HOURS || '48', 10);
+const MAX_WINDOW_HOURS = 24 * 7;
+
+// Pagos muy recientes: se deja tiempo a que llegue el webhook antes de corregir
+const GRACE_MINUTES = 10;
+
+// Diferencia máxima (en pesos) que se tolera por redondeos
+const AMOUNT_TOLERANCE = 1;
+
+const PAID_STATUSES = ['paid', 'approved', 'confirmed'];
+const CLOSED_ORDER_STATUSES = ['cancelled', 'stock_timeout'];
+const INACTIVE_PAYMENT_STATUSES = ['failed', 'cancelled', 'refunded'];
+
+const RECONCILER_ACTOR = { id: null, name: 'Conciliación de pagos', role: 'system', channel: ORDER_CHANNELS.SYSTEM };
+
+const ISSUE_LABELS = {
+  orphan_payment: 'Pago sin pedido',
+  double_charge: 'Cobro doble',
+  amount_mismatch: 'Diferencia de monto'
+};
+
+const round = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+// Monto que efectivamente quedó cobrado (descontando reintegros parciales)
+const netAmount = (payment) => round((payment.transaction_amount || 0) - (payment.transaction_amount_refunded || 0));
+
+const money = (value) => `$${round(value).toLocaleString('es-AR')}`;
+
+class PaymentReconciliationService {
+  constructor() {
+    this.running = false;
+  }
+
+  /**
+   * Conciliar todos los locales con pagos online configurados (job programado)
+   * Los locales con cuenta propia (o con otro proveedor) se concilian contra su cuenta; la cuenta global
+   * de MercadoPago se lista una sola vez y se concilia en cada local que tenga pedidos cobrados con ella
+   */
+  async reconcileAllStores() {
+    if (this.running) return [];
+    this.running = true;
+
+    try {
+      const stores = await prisma.storeSettings.findMany({
+        select: { storeId: true, mercadoPagoToken: true, paymentProvider: true }
+      });
+      const ownAccountStores = stores.filter(settings => !this.usesGlobalAccount(settings)).map(settings => settings.storeId);
+
+      const results = [];
+      for (const storeId of ownAccountStores) {
+        try {
+          results.push(await this.reconcileStore(storeId));
+        } catch (error) {
+          logger.error({ storeId, error: error.message }, 'Error conciliando pagos del local');
+        }
+      }
+
+      const windowEnd = new Date();
+      const windowStart = new Date(windowEnd.getTime() - WINDOW_HOURS * 60 * 60 * 1000);
+      let globalPayments = new Map();
+      try {
+        globalPayments = await this.globalPaymentsByStore(windowStart, windowEnd);
+      } catch (error) {
+        // Sin cuenta global configurada no hay nada que conciliar
+        if (!(error instanceof AppError)) {
+          logger.error({ error: error.message }, 'Error listando pagos de la cuenta global');
+        }
+      }
+
+      for (const [storeId, payments] of globalPayments) {
+        if (ownAccountStores.includes(storeId)) continue;
+        try {
+          results.push(await this.reconcileStore(storeId, { payments, window: { windowStart, windowEnd } }));
+        } catch (error) {
+          logger.error({ storeId, error: error.message }, 'Error conciliando pagos del local');
+        }
+      }
+      return results;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * El local cobra con la cuenta global de MercadoPago (sin access token propio)
+   * @param {object|null} settings - StoreSettings del local (mercadoPagoToken, paymentProvider)
+   */
+  usesGlobalAccount(settings) {
+    const provider = process.env.PAYMENT_PROVIDER || settings?.paymentProvider || PAYMENT_PROVIDERS.MERCADOPAGO;
+    return provider === PAYMENT_PROVIDERS.MERCADOPAGO && !settings?.mercadoPagoToken;
+  }
+
+  /**
+   * Pagos de la cuenta global de MercadoPago en una ventana, agrupados por el local de su pedido
+   * external_reference es el id del pedido; en el checkout viejo es el número de pedido, que se repite
+   * entre locales: gana el pedido más reciente creado antes del pago. Los pagos sin pedido no se pueden
+   * atribuir a un local y solo quedan en el log
+   * @returns {Promise<Map<string, object[]>>} storeId -> pagos
+   */
+  async globalPaymentsByStore(from, to) {
+    const payments = await paymentGatewayService.searchPayments(null, { from, to });
+    const references = [...new Set(payments.map(p => p.external_reference).filter(Boolean).map(String))];
+
+    const orders = references.length === 0 ? [] : await prisma.order.findMany({
+      where: {
+        storeId: { not: null },
+        OR: [{ id: { in: references } }, { orderNumber: { in: references } }]
+      },
+      select: { id: true, orderNumber: true, storeId: true, createdAt: true },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const byId = new Map(orders.map(order => [order.id, order]));
+    const byNumber = new Map(); // orderNumber -> pedidos (del más viejo al más nuevo)
+    for (const order of orders) {
+      if (!byNumber.has(order.orderNumber)) byNumber.set(order.orderNumber, []);
+      byNumber.get(order.orderNumber).push(order);
+    }
+
+    const byStore = new Map();
+    let unmatched = 0;
+    for (const payment of payments) {
+      const reference = payment.external_reference ? String(payment.external_reference) : null;
+      const paidAt = new Date(payment.date_created || to);
+      const order = reference
+        ? byId.get(reference) || (byNumber.get(reference) || []).filter(o => o.createdAt <= paidAt).pop()
+        : null;
+
+      if (!order) {
+        if (payment.status === 'approved') unmatched++;
+        continue;
+      }
+      if (!byStore.has(order.storeId)) byStore.set(order.storeId, []);
+      byStore.get(order.storeId).push(payment);
+    }
+
+    if (unmatched > 0) {
+      logger.warn({ unmatched }, 'Pagos aprobados de la cuenta global sin pedido');
+    }
+    return byStore;
+  }
+
+  /**
+   * Conciliar los pagos de un local en una ventana
+   * @param {string} storeId
+   * @param {object} options - { hours, trigger: 'scheduled' | 'manual' }; payments y window si los pagos
+   *   ya se listaron (cuenta global, ver reconcileAllStores)
+   */
+  async reconcileStore(storeId, { hours = WINDOW_HOURS, trigger = 'scheduled', payments: listedPayments = null, window = null } = {}) {
+    const windowHours = Math.min(Math.max(parseInt(hours, 10) || WINDOW_HOURS, 1), MAX_WINDOW_HOURS);
+    const windowEnd = window?.windowEnd || new Date();
+    const windowStart = window?.windowStart || new Date(windowEnd.getTime() - windowHours * 60 * 60 * 1000);
+
+    const run = await prisma.paymentReconciliationRun.create({
+      data: { storeId, windowStart, windowEnd, trigger }
+    });
+
+    try {
+      let payments = listedPayments;
+      if (!payments) {
+        const settings = await prisma.storeSettings.findUnique({
+          where: { storeId },
+          select: { mercadoPagoToken: true, paymentProvider: true }
+        });
+        payments = this.usesGlobalAccount(settings)
+          ? (await this.globalPaymentsByStore(windowStart, windowEnd)).get(storeId) || []
+          : await paymentGatewayService.searchPayments(storeId, { from: windowStart, to: windowEnd });
+      }
+      const { fixed, issues } = await this.matchPayments(storeId, payments, run.id);
+
+      const finished = await prisma.paymentReconciliationRun.update({
+        where: { id: run.id },
+        data: {
+          status: 'completed',
+          paymentsChecked: payments.length,
+          fixedCount: fixed,
+          issuesCount: issues.length,
+          finishedAt: new Date()
+        }
+      });
+
+      if (issues.length > 0) {
+        await this.alertStore(storeId, issues);
+      }
+      if (fixed > 0 || issues.length > 0) {
+        logger.info({ storeId, runId: run.id, payments: payments.length, fixed, issues: issues.length }, 'Conciliación de pagos con novedades');
+      }
+
+      return finished;
+    } catch (error) {
+      await prisma.paymentReconciliationRun.update({
+        where: { id: run.id },
+        data: { status: 'failed', error: error.message, finishedAt: new Date() }
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Cruzar los pagos del proveedor con los pedidos del local
+   * @returns {Promise<{ fixed: number, issues: object[] }>} pedidos corregidos y problemas nuevos
+   */
+  async matchPayments(storeId, payments, runId = null) {
+    const references = [...new Set(payments.map(p => p.external_reference).filter(Boolean).map(String))];
+
+    // external_reference es el id del pedido; los pagos del checkout viejo usan el número de pedido
+    const orders = references.length === 0 ? [] : await prisma.order.findMany({
+      where: {
+        storeId,
+        OR: [{ id: { in: references } }, { orderNumber: { in: references } }]
+      },
+      include: {
+        cancellation: { select: { fee: true, refundAmount: true, refundMethod: true } },
+        refunds: { where: { method: 'mercadopago', status: 'completed' }, select: { amount: true } }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const byId = new Map(orders.map(order => [order.id, order]));
+    const byNumber = new Map(orders.map(order => [order.orderNumber, order])); // El más reciente gana
+
+    const grouped = new Map(); // orderId -> pagos
+    const issues = [];
+    let fixed = 0;
+
+    for (const payment of payments) {
+      const reference = payment.external_reference ? String(payment.external_reference) : null;
+
+      // Compras y recargas de gift cards: se aplican si el webhook no llegó (idempotente)
+      if (reference?.startsWith(GIFT_CARD_REFERENCE_PREFIX)) {
+        const result = await giftCardsService.applyProviderPayment(storeId, payment).catch(error => {
+          logger.error({ storeId, paymentId: payment.id, error: error.message }, 'Error conciliando pago de gift card');
+          return null;
+        });
+        if (result?.applied) fixed++;
+        continue;
+      }
+
+      const order = reference ? (byId.get(reference) || byNumber.get(reference)) : null;
+
+      if (!order) {
+        if (payment.status === 'approved') {
+          const issue = await this.flag(storeId, runId, RECONCILIATION_ISSUES.ORPHAN_PAYMENT, payment, null, null);
+          if (issue) issues.push(issue);
+        }
+        continue;
+      }
+
+      if (!grouped.has(order.id)) grouped.set(order.id, []);
+      grouped.get(order.id).push(payment);
+    }
+
+    for (const [orderId, orderPayments] of grouped) {
+      const result = await this.reconcileOrder(storeId, byId.get(orderId), orderPayments, runId);
+      fixed += result.fixed;
+      issues.push(...result.issues);
+    }
+
+    return { fixed, issues };
+  }
+
+  /**
+   * Conciliar los pagos de un pedido: aplica los aprobados que faltan, marca los sobrantes
+   * como cobro doble y compara lo cobrado con lo que el pedido esperaba por MercadoPago
+   */
+  async reconcileOrder(storeId, order, payments, runId = null) {
+    const issues = [];
+    let fixed = 0;
+
+    const graceLimit = Date.now() - GRACE_MINUTES * 60 * 1000;
+    const ledger = await orderPaymentsService.getPayments(order.id);
+    const recorded = new Set(ledger.filter(p => p.status === 'paid' && p.reference).map(p => p.reference));
+
+    const expected = this.expectedProviderAmount(order, ledger);
+    const closed = CLOSED_ORDER_STATUSES.includes(order.status);
+    let orderIsPaid = PAID_STATUSES.includes(order.paymentStatus);
+
+    const approved = payments
+      .filter(p => p.status === 'approved')
+      .sort((a, b) => new Date(a.date_approved || a.date_created) - new Date(b.date_approved || b.date_created));
+
+    let covered = 0;
+    let hasExtra = false;
+
+    for (const payment of approved) {
+      const amount = netAmount(payment);
+
+      if (recorded.has(String(payment.id))) {
+        covered += amount;
+        continue;
+      }
+
+      // Ya cubierto por otros pagos: el cliente pagó de más
+      if (covered >= expected - AMOUNT_TOLERANCE && expected > 0) {
+        hasExtra = true;
+        const issue = await this.flag(storeId, runId, RECONCILIATION_ISSUES.DOUBLE_CHARGE, payment, order, expected);
+        if (issue) issues.push(issue);
+        continue;
+      }
+
+      covered += amount;
+
+      // Pedido pagado por otra vía (checkout viejo) o cerrado: no se toca, solo se cuenta
+      if (orderIsPaid || closed) continue;
+      if (new Date(payment.date_approved || payment.date_created).getTime() > graceLimit) continue;
+
+      // Pago aprobado que el webhook no aplicó: se aplica como si hubiera llegado
+      await paymentGatewayService.applyPaymentStatus(storeId, order, payment, RECONCILER_ACTOR);
+      logger.warn({ storeId, orderId: order.id, paymentId: payment.id }, 'Pago aprobado aplicado por conciliación');
+      orderIsPaid = true;
+      fixed++;
+    }
+
+    // Sin pagos aprobados: el pedido sigue esperando un pago que el proveedor rechazó
+    const awaitingProvider = orderPaymentsService.normalizeTender(order.paymentMethod) === TENDER_TYPES.MERCADOPAGO;
+    if (approved.length === 0 && awaitingProvider && !closed && order.paymentStatus === 'pending' && order.status === 'pending') {
+      const latest = [...payments].sort((a, b) => new Date(b.date_created) - new Date(a.date_created))[0];
+      if (latest && ['rejected', 'cancelled'].includes(latest.status) && new Date(latest.date_created).getTime() <= graceLimit) {
+        await paymentGatewayService.applyPaymentStatus(storeId, order, latest, RECONCILER_ACTOR);
+        fixed++;
+      }
+    }
+
+    // Diferencia de monto (si no se explicó por un cobro doble). Cobrar de menos solo es un problema
+    // si el pedido ya avanzó como pagado; mientras sigue pendiente puede faltar otra parte (pedidos grupales)
+    const overpaid = round(covered) - expected > AMOUNT_TOLERANCE;
+    const underpaid = expected - round(covered) > AMOUNT_TOLERANCE && !closed && (orderIsPaid || order.status !== 'pending');
+    if (!hasExtra && approved.length > 0 && (overpaid || underpaid)) {
+      const last = approved[approved.length - 1];
+      const issue = await this.flag(storeId, runId, RECONCILIATION_ISSUES.AMOUNT_MISMATCH, last, order, expected, round(covered));
+      if (issue) issues.push(issue);
+    }
+
+    return { fixed, issues };
+  }
+
+  /**
+   * Lo que el pedido espera cobrar por MercadoPago: el total menos lo asignado a otros medios
+   * y lo ya reembolsado por MercadoPago. En pedidos cancelados, solo el cargo retenido
+   * (más el reintegro si se devolvió por otra vía)
+   */
+  expectedProviderAmount(order, ledger) {
+    const providerRefunds = (order.refunds || []).reduce((sum, refund) => sum + refund.amount, 0);
+
+    if (CLOSED_ORDER_STATUSES.includes(order.status)) {
+      const cancellation = order.cancellation;
+      if (!cancellation) return 0;
+      return round(Math.max((cancellation.refundMethod === 'mercadopago'
+        ? cancellation.fee
+        : cancellation.fee + cancellation.refundAmount) - providerRefunds, 0));
+    }
+
+    const otherTenders = ledger
+      .filter(p => p.tenderType !== TENDER_TYPES.MERCADOPAGO && !INACTIVE_PAYMENT_STATUSES.includes(p.status))
+      .reduce((sum, p) => sum + p.amount, 0);
+
+    return round(Math.max(order.total - otherTenders - providerRefunds, 0));
+  }
+
+  /**
+   * Registrar un problema (una vez por pago y tipo)
+   * @returns {Promise<object|null>} el problema si es nuevo
+   */
+  async flag(storeId, runId, type, payment, order, expectedAmount, paidAmount = null) {
+    const providerPaymentId = String(payment.id);
+    const provider = payment.provider || 'mercadopago';
+
+    const existing = await prisma.paymentReconciliationIssue.findUnique({
+      where: { provider_type_providerPaymentId: { provider, type, providerPaymentId } }
+    });
+    if (existing) return null;
+
+    return await prisma.paymentReconciliationIssue.create({
+      data: {
+        storeId,
+        runId,
+        provider,
+        type,
+        providerPaymentId,
+        orderId: order?.id || null,
+        orderNumber: order?.orderNumber || null,
+        expectedAmount: expectedAmount != null ? round(expectedAmount) : null,
+        paidAmount: paidAmount ?? netAmount(payment),
+        details: {
+          externalReference: payment.external_reference || null,
+          status: payment.status,
+          statusDetail: payment.status_detail || null,
+          dateApproved: payment.date_approved || null,
+          payerEmail: payment.payer?.email || null,
+          description: payment.description || null
+        }
+      }
+    });
+  }
+
+  /**
+   * Avisar al local de los problemas nuevos (notificación del panel)
+   */
+  async alertStore(storeId, issues) {
+    const counts = issues.reduce((acc, issue) => {
+      acc[issue.type] = (acc[issue.type] || 0) + 1;
+      return acc;
+    }, {});
+
+    const summary = Object.entries(counts)
+      .map(([type, count]) => `${ISSUE_LABELS[type] || type}: ${count}`)
+      .join(', ');
+
+    const examples = issues.slice(0, 3).map(issue => {
+      const orderLabel = issue.orderNumber ? ` (pedido ${orderNumberService.display(issue.orderNumber)})` : '';
+      return `Pago ${issue.providerPaymentId} por ${money(issue.paidAmount)}${orderLabel}`;
+    }).join('; ');
+
+    await prisma.systemNotification.create({
+      data: {
+        storeId,
+        type: 'payment_reconciliation',
+        title: 'Pagos de MercadoPago para revisar',
+        message: `${summary}. ${examples}`,
+        severity: counts.double_charge || counts.amount_mismatch ? 'error' : 'warning',
+        metadata: JSON.stringify({ issueIds: issues.map(issue => issue.id) })
+      }
+    }).catch(error => logger.warn({ storeId, error: error.message }, 'No se pudo avisar al local'));
+  }
+
+  /**
+   * Reporte del local: última corrida, historial reciente y problemas
+   * @param {string} storeId
+   * @param {object} options - { status: 'open' | 'resolved' | 'ignored' | 'all' }
+   */
+  async getReport(storeId, { status = 'open' } = {}) {
+    const [runs, issues, openCounts] = await Promise.all([
+      prisma.paymentReconciliationRun.findMany({
+        where: { storeId },
+        orderBy: { startedAt: 'desc' },
+        take: 10
+      }),
+      prisma.paymentReconciliationIssue.findMany({
+        where: { storeId, ...(status !== 'all' && { status }) },
+        orderBy: { createdAt: 'desc' },
+        take: 200
+      }),
+      prisma.paymentReconciliationIssue.groupBy({
+        by: ['type'],
+        where: { storeId, status: 'open' },
+        _count: { _all: true },
+        _sum: { paidAmount: true }
+      })
+    ]);
+
+    return {
+      lastRun: runs[0] || null,
+      runs,
+      summary: Object.values(RECONCILIATION_ISSUES).map(type => {
+        const row = openCounts.find(count => count.type === type);
+        return { type, label: ISSUE_LABELS[type], open: row?._count._all || 0, amount: round(row?._sum.paidAmount) };
+      }),
+      issues
+    };
+  }
+
+  /**
+   * Cerrar un problema (resuelto a mano o ignorado)
+   */
+  async resolveIssue(storeId, issueId, { status, note = null }, actor) {
+    if (!CLOSING_STATUSES.includes(status)) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: `status debe ser uno de: ${CLOSING_STATUSES.join(', ')}` });
+    }
+
+    const issue = await prisma.paymentReconciliationIssue.findFirst({
+      where: { id: issueId, storeId }
+    });
+    if (!issue) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Problema de conciliación no encontrado' });
+    }
+
+    return await prisma.paymentReconciliationIssue.update({
+      where: { id: issueId },
+      data: {
+        status,
+        resolutionNote: note,
+        resolvedBy: actor?.id || null,
+        resolvedAt: new Date()
+      }
+    });
+  }
+}
+
+export const paymentReconciliationService = new PaymentReconciliationService();
+export default paymentReconciliationService;
@@ -0,0 +1,47 @@
+/**
+ * Transferencias pendientes
+ * Aprobar o rechazar una transferencia (panel, PUT /api/pending-transfers/:id, o conciliación bancaria)
+ * actualiza el pago correspondiente en el libro de pagos del pedido. Las transferencias con comprobante
+ * repetido (ver transfer-proofs.service) no se pueden aprobar sin autorización.
+ */
+
+import prisma from '../utils/prisma.js';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+import { orderPaymentsService } from './order-payments.service.js';
+import { orderNumberService } from './order-number.service.js';
+import { transferProofsService } from './transfer-proofs.service.js';
+
+const APPROVED_STATUSES = ['approved', 'verified'];
+
+class PendingTransfersService {
+  /**
+   * Actualizar una transferencia y sincronizar el pago del pedido
+   * @param {string} transferId
+   * @param {object} data - { transferReference, amount, status, proofImageUrl, verifiedAt }
+   * @param {object} actor - quién la actualiza (ver orderHistoryService.actorFromRequest)
+   */
+  async update(transferId, data, actor = null) {
+    // Un comprobante repetido no se aprueba hasta que un admin lo autorice
+    if (APPROVED_STATUSES.includes(data.status)) {
+      const current = await prisma.pendingTransfer.findUnique({ where: { id: transferId } });
+      if (transferProofsService.isBlocked(current)) {
+        throw new AppError(ErrorCodes.CONFLICT, {
+          message: `El comprobante es ${current.duplicateType === 'exact' ? 'idéntico' : 'casi idéntico'} al del pedido ${orderNumberService.display(current.duplicateOfOrderNumber) || current.duplicateOfOrderId}. Autorizalo antes de aprobar la transferencia`
+        });
+      }
+    }
+
+    const transfer = await prisma.pendingTransfer.update({
+      where: { id: transferId },
+      data
+    });
+
+    // Aprobar / rechazar la transferencia actualiza el pago correspondiente del pedido
+    await orderPaymentsService.syncPendingTransfer(transfer, actor);
+
+    return transfer;
+  }
+}
+
+export const pendingTransfersService = new PendingTransfersService();
+export default pendingTransfersService;
@@ -0,0 +1,162 @@
+/**
+ * Retiro en el local (takeaway)
+ * Los pedidos con fulfillmentType 'pickup' no pasan por repartidores ni pagan envío:
+ * al quedar listos se avisa al cliente con su código de retiro, y el código se
+ * verifica en el mostrador antes de entregar.
+ */
+
+import prisma from '../utils/prisma.js';
+import logger from '../utils/logger.js';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+import { deliveryCodeService } from './delivery-code.service.js';
+import { orderHistoryService } from './order-history.service.js';
+import { orderStateValidator } from './order-state-validator.service.js';
+
+// Los intentos de código se guardan por pedido y "repartidor";
+// los del mostrador se registran con esta clave fija
+export const COUNTER_ATTEMPT_KEY = 'counter';
+
+const MAX_CODE_ATTEMPTS = 5;
+
+export const isPickupOrder = (order) => order?.fulfillmentType === 'pickup';
+
+class PickupService {
+  /**
+   * Rechazar el pedido si el local ya tomó el máximo de pedidos para retirar en la última hora
+   */
+  async checkCapacity(storeId) {
+    if (!storeId) return;
+    const settings = await prisma.storeSettings.findUnique({
+      where: { storeId },
+      select: { maxPickupOrdersPerHour: true }
+    });
+    if (!settings?.maxPickupOrdersPerHour) return;
+
+    const taken = await prisma.order.count({
+      where: {
+        storeId,
+        fulfillmentType: 'pickup',
+        status: { notIn: ['cancelled', 'stock_timeout'] },
+        createdAt: { gte: new Date(Date.now() - 60 * 60 * 1000) }
+      }
+    });
+
+    if (taken >= settings.maxPickupOrdersPerHour) {
+      throw new AppError(ErrorCodes.CONFLICT, {
+        message: 'El local alcanzó el máximo de pedidos para retirar por ahora. Probá de nuevo en unos minutos.'
+      });
+    }
+  }
+
+  /**
+   * Código de retiro del pedido (se genera al crearlo; los pedidos viejos lo reciben acá)
+   */
+  async ensureCode(order) {
+    if (order.deliveryCode) return order.deliveryCode;
+
+    const code = deliveryCodeService.generateDeliveryCode();
+    await prisma.order.update({
+      where: { id: order.id },
+      data: { deliveryCode: code }
+    });
+    return code;
+  }
+
+  /**
+   * Avisar al cliente por WhatsApp que el pedido está listo para retirar
+   */
+  async notifyReady(orderId) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { id: true, storeId: true, fulfillmentType: true, deliveryCode: true }
+    });
+
+    if (!order) {
+      throw new AppError(ErrorCodes.ORDER_NOT_FOUND);
+    }
+    if (!isPickupOrder(order)) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El pedido no es para retirar en el local' });
+    }
+    if (!order.storeId) {
+      return { success: false, error: 'El pedido no tiene local asociado' };
+    }
+
+    await this.ensureCode(order);
+
+    const { notifyOrderStatus } = await import('./whatsapp-multi.service.js');
+    return notifyOrderStatus(order.storeId, order.id, 'ready');
+  }
+
+  /**
+   * Verificar el código que muestra el cliente en el mostrador y entregar el pedido
+   * @returns {Promise<{ order, attempts }>}
+   */
+  async verifyAndHandOver(orderId, code, actor) {
+    if (!code || !String(code).trim()) {
+      throw new AppError(ErrorCodes.MISSING_FIELD, { message: 'El código de retiro es requerido' });
+    }
+
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: {
+        id: true,
+        orderNumber: true,
+        status: true,
+        deliveryStatus: true,
+        deliveryPersonId: true,
+        fulfillmentType: true,
+        deliveryCode: true,
+        scheduledFor: true,
+        releasedAt: true
+      }
+    });
+
+    if (!order) {
+      throw new AppError(ErrorCodes.ORDER_NOT_FOUND);
+    }
+    if (!isPickupOrder(order)) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El pedido no es para retirar en el local' });
+    }
+
+    const transition = orderStateValidator.validateChange(order, { status: 'delivered' }, actor?.role || null);
+    if (!transition.valid) {
+      throw new AppError(transition.forbidden ? ErrorCodes.FORBIDDEN : ErrorCodes.CONFLICT, { message: transition.error });
+    }
+
+    let validation;
+    try {
+      validation = await deliveryCodeService.validateDeliveryCode(
+        String(code),
+        order.deliveryCode,
+        order.id,
+        COUNTER_ATTEMPT_KEY
+      );
+    } catch (error) {
+      // Sin código asignado o demasiados intentos
+      throw new AppError(ErrorCodes.CONFLICT, { message: error.message });
+    }
+
+    if (!validation.valid) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+        message: 'Código de retiro incorrecto',
+        attempts: validation.attempts,
+        remaining: Math.max(0, MAX_CODE_ATTEMPTS - validation.attempts)
+      });
+    }
+
+    const data = { status: 'delivered', ...transition.sync };
+    const updated = await prisma.order.update({
+      where: { id: order.id },
+      data
+    });
+
+    await orderHistoryService.recordUpdate(order.id, order, data, actor, 'Retiro en el local verificado con código');
+    await orderStateValidator.runEffects(order.id, transition.effects);
+
+    logger.info({ orderId: order.id, attempts: validation.attempts }, 'Pickup order handed over');
+    return { order: updated, attempts: validation.attempts };
+  }
+}
+
+export const pickupService = new PickupService();
+export default pickupService;
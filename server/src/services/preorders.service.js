@@ -161,6 +161,7 @@ class PreordersService {
         orderNumber: preorder.orderNumber.replace('PRE-', 'ORD-'),
         subtotal: preorder.subtotal,
         deliveryFee: preorder.deliveryFee,
+        fulfillmentType: preorder.deliveryType === 'pickup' ? 'pickup' : 'delivery',
         total: preorder.total,
         deliveryAddress: preorder.deliveryAddress,
         paymentMethod: preorder.paymentMethod,
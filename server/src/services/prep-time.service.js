@@ -1,280 +1,172 @@
 /**
- * Calculadora de Tiempo de Preparación Inteligente
+ * Tiempos reales de preparación y reparto
+ * Aprende de cada pedido entregado cuánto tarda el local en cada etapa
+ * (cocina, espera del repartidor y viaje) con un promedio móvil exponencial.
+ * El estimador de ETA (delivery-time-estimator.service) usa estos promedios.
  */
 
 import prisma from '../utils/prisma.js';
 import logger from '../utils/logger.js';
 
-class PrepTimeService {
-  /**
-   * Calcular tiempo estimado para un pedido
-   */
-  async calculatePrepTime(storeId, items, options = {}) {
-    const { includeDelivery = true, deliveryDistance = 0 } = options;
-
-    // Obtener configuración de la tienda
-    const config = await this.getStoreConfig(storeId);
+// Etapas que se aprenden: prep (confirmado -> listo), dispatch (listo -> retirado), ride (retirado -> entregado)
+export const TIMING_PHASES = ['prep', 'dispatch', 'ride'];
 
-    // Tiempo base de preparación
-    let prepTime = config.basePrepTime;
+// Muestras mínimas para confiar en un promedio aprendido
+export const MIN_SAMPLES = 5;
 
-    // Sumar tiempo por cada item
-    for (const item of items) {
-      const productTime = await this.getProductPrepTime(item.productId, item.quantity);
-      prepTime += productTime;
-    }
-
-    // Ajustar por carga actual
-    const loadFactor = await this.getCurrentLoadFactor(storeId);
-    prepTime = Math.ceil(prepTime * loadFactor);
+// Peso de cada pedido nuevo en el promedio móvil
+const ALPHA = 0.2;
 
-    // Ajustar por hora del día
-    const hourFactor = this.getHourFactor();
-    prepTime = Math.ceil(prepTime * hourFactor);
-
-    // Tiempo de delivery
-    let deliveryTime = 0;
-    if (includeDelivery && deliveryDistance > 0) {
-      deliveryTime = this.calculateDeliveryTime(deliveryDistance, config);
-    }
+// Duraciones fuera de rango (pedidos que quedaron abiertos, aprobaciones directas) no se aprenden
+const MIN_SAMPLE_MINUTES = 1;
+const MAX_SAMPLE_MINUTES = 180;
 
-    const totalTime = prepTime + deliveryTime;
+const minutesBetween = (from, to) => (new Date(to).getTime() - new Date(from).getTime()) / 60000;
 
-    return {
-      prepTime,
-      deliveryTime,
-      totalTime,
-      range: {
-        min: Math.max(config.minPrepTime, totalTime - 5),
-        max: totalTime + 10,
-      },
-      factors: {
-        load: loadFactor,
-        hour: hourFactor,
-        items: items.length,
-      },
-    };
-  }
+const round = (value) => Math.round(value * 10) / 10;
 
+class PrepTimeService {
   /**
-   * Obtener configuración de tiempos de la tienda
+   * Momento en que el pedido entra a la cocina: liberación del programado, confirmación o creación
    */
-  async getStoreConfig(storeId) {
-    const settings = await prisma.storeSettings.findUnique({ where: { storeId } });
-
-    const defaults = {
-      basePrepTime: 10, // minutos base
-      minPrepTime: 15,
-      maxPrepTime: 60,
-      deliverySpeedKmPerMin: 0.5, // 30 km/h aprox
-      deliveryBaseTime: 5,
-      maxConcurrentOrders: 10,
-    };
-
-    if (!settings?.prepTimeConfig) return defaults;
-
-    try {
-      return { ...defaults, ...JSON.parse(settings.prepTimeConfig) };
-    } catch {
-      return defaults;
-    }
+  getKitchenStart(order) {
+    return order.releasedAt || order.confirmedAt || order.createdAt;
   }
 
   /**
-   * Obtener tiempo de preparación de un producto
+   * Duración real de cada etapa de un pedido (null si falta algún timestamp)
    */
-  async getProductPrepTime(productId, quantity) {
-    const product = await prisma.product.findUnique({
-      where: { id: productId },
-      select: { prepTime: true, category: { select: { prepTime: true } } },
-    });
-
-    // Tiempo del producto o de la categoría o default
-    const baseTime = product?.prepTime || product?.category?.prepTime || 3;
-
-    // El tiempo no escala linealmente con la cantidad
-    // 1 item = 100%, 2 items = 150%, 3+ items = 175%
-    const quantityFactor = quantity === 1 ? 1 : quantity === 2 ? 1.5 : 1.75;
+  getPhaseDurations(order) {
+    // Si nadie lo marcó listo, el retiro del repartidor es la cota de la cocina
+    const kitchenEnd = order.readyAt || order.pickedUpAt;
+    const isDelivery = order.fulfillmentType === 'delivery';
 
-    return Math.ceil(baseTime * quantityFactor);
+    return {
+      prep: kitchenEnd ? minutesBetween(this.getKitchenStart(order), kitchenEnd) : null,
+      dispatch: isDelivery && order.readyAt && order.pickedUpAt ? minutesBetween(order.readyAt, order.pickedUpAt) : null,
+      ride: isDelivery && order.pickedUpAt && order.deliveredAt ? minutesBetween(order.pickedUpAt, order.deliveredAt) : null
+    };
   }
 
   /**
-   * Calcular factor de carga actual
+   * Aprender de un pedido entregado (se llama una vez, al pasar a delivered)
+   * @returns {Promise<object|null>} minutos aprendidos por etapa
    */
-  async getCurrentLoadFactor(storeId) {
-    const config = await this.getStoreConfig(storeId);
-
-    // Contar pedidos activos
-    const activeOrders = await prisma.order.count({
-      where: {
-        storeId,
-        status: { in: ['pending', 'confirmed', 'preparing'] },
-      },
+  async learnFromCompletedOrder(orderId) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: {
+        id: true,
+        storeId: true,
+        status: true,
+        fulfillmentType: true,
+        createdAt: true,
+        confirmedAt: true,
+        releasedAt: true,
+        readyAt: true,
+        pickedUpAt: true,
+        deliveredAt: true
+      }
     });
 
-    // Factor: 1.0 si hay pocos pedidos, hasta 2.0 si está al máximo
-    const loadRatio = activeOrders / config.maxConcurrentOrders;
-    return Math.min(2, 1 + loadRatio * 0.5);
-  }
-
-  /**
-   * Factor según hora del día
-   */
-  getHourFactor() {
-    const hour = new Date().getHours();
+    if (!order?.storeId || order.status !== 'delivered') return null;
 
-    // Horas pico: 12-14 y 20-22
-    if ((hour >= 12 && hour <= 14) || (hour >= 20 && hour <= 22)) {
-      return 1.3;
+    const learned = {};
+    for (const [phase, minutes] of Object.entries(this.getPhaseDurations(order))) {
+      if (minutes === null || minutes < MIN_SAMPLE_MINUTES || minutes > MAX_SAMPLE_MINUTES) continue;
+      await this.recordSample(order.storeId, phase, minutes);
+      learned[phase] = round(minutes);
     }
 
-    // Horas tranquilas
-    if (hour < 11 || (hour > 15 && hour < 19) || hour > 23) {
-      return 0.9;
+    if (Object.keys(learned).length > 0) {
+      logger.info({ orderId, storeId: order.storeId, learned }, 'Learned from completed order');
     }
-
-    return 1.0;
-  }
-
-  /**
-   * Calcular tiempo de delivery
-   */
-  calculateDeliveryTime(distanceKm, config) {
-    const travelTime = Math.ceil(distanceKm / config.deliverySpeedKmPerMin);
-    return config.deliveryBaseTime + travelTime;
+    return learned;
   }
 
   /**
-   * Actualizar tiempo real de un pedido
+   * Sumar una muestra al promedio de la etapa
    */
-  async updateOrderEstimate(orderId) {
-    const order = await prisma.order.findUnique({
-      where: { id: orderId },
-      include: { items: true },
+  async recordSample(storeId, phase, minutes) {
+    const current = await prisma.storeTimingStat.findUnique({
+      where: { storeId_phase: { storeId, phase } },
+      select: { avgMinutes: true }
     });
+    const avgMinutes = this.calculateMovingAverage(current?.avgMinutes, minutes);
 
-    if (!order) return null;
-
-    const estimate = await this.calculatePrepTime(
-      order.storeId,
-      order.items.map(i => ({ productId: i.productId, quantity: i.quantity })),
-      { includeDelivery: !!order.customerAddress }
-    );
-
-    await prisma.order.update({
-      where: { id: orderId },
-      data: {
-        estimatedPrepTime: estimate.prepTime,
-        estimatedDeliveryTime: estimate.deliveryTime,
-        estimatedReadyAt: new Date(Date.now() + estimate.prepTime * 60000),
-      },
+    return prisma.storeTimingStat.upsert({
+      where: { storeId_phase: { storeId, phase } },
+      create: { storeId, phase, avgMinutes, samples: 1 },
+      update: { avgMinutes, samples: { increment: 1 } }
     });
-
-    return estimate;
   }
 
   /**
-   * Aprender de pedidos completados
+   * Promedio móvil exponencial (la primera muestra es el promedio inicial)
    */
-  async learnFromCompletedOrder(orderId) {
-    const order = await prisma.order.findUnique({
-      where: { id: orderId },
-      include: { items: true },
-    });
-
-    if (!order || !order.prepStartedAt || !order.prepCompletedAt) return;
-
-    const actualPrepTime = Math.round(
-      (new Date(order.prepCompletedAt).getTime() - new Date(order.prepStartedAt).getTime()) / 60000
-    );
-
-    // Actualizar tiempo promedio de cada producto
-    for (const item of order.items) {
-      await prisma.product.update({
-        where: { id: item.productId },
-        data: {
-          avgPrepTime: {
-            // Promedio móvil
-            set: await this.calculateMovingAverage(item.productId, actualPrepTime / order.items.length),
-          },
-        },
-      });
-    }
-
-    logger.info({ orderId, actualPrepTime }, 'Learned from completed order');
+  calculateMovingAverage(currentAvg, newTime) {
+    if (currentAvg === null || currentAvg === undefined) return newTime;
+    return currentAvg * (1 - ALPHA) + newTime * ALPHA;
   }
 
   /**
-   * Calcular promedio móvil
+   * Promedios aprendidos del local por etapa (solo los que ya tienen muestras suficientes)
+   * @returns {Promise<{ prep?: number, dispatch?: number, ride?: number }>}
    */
-  async calculateMovingAverage(productId, newTime) {
-    const product = await prisma.product.findUnique({
-      where: { id: productId },
-      select: { avgPrepTime: true, prepTimeCount: true },
+  async getLearnedTimes(storeId) {
+    const stats = await prisma.storeTimingStat.findMany({
+      where: { storeId, samples: { gte: MIN_SAMPLES } },
+      select: { phase: true, avgMinutes: true }
     });
-
-    const currentAvg = product?.avgPrepTime || newTime;
-    const count = (product?.prepTimeCount || 0) + 1;
-
-    // Promedio móvil exponencial
-    const alpha = 0.2;
-    return Math.round(currentAvg * (1 - alpha) + newTime * alpha);
+    return Object.fromEntries(stats.map(stat => [stat.phase, stat.avgMinutes]));
   }
 
   /**
-   * Obtener estadísticas de tiempos
+   * Estadísticas de tiempos reales: promedio de los últimos días y promedio aprendido por etapa
    */
   async getTimeStats(storeId, days = 7) {
     const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
 
-    const orders = await prisma.order.findMany({
-      where: {
-        storeId,
-        status: 'delivered',
-        createdAt: { gte: startDate },
-        prepStartedAt: { not: null },
-        prepCompletedAt: { not: null },
-      },
-      select: {
-        estimatedPrepTime: true,
-        prepStartedAt: true,
-        prepCompletedAt: true,
-        createdAt: true,
-      },
-    });
-
-    if (orders.length === 0) {
-      return { avgPrepTime: 0, accuracy: 0, samples: 0 };
-    }
-
-    let totalActual = 0;
-    let totalEstimated = 0;
-    let accurateCount = 0;
-
+    const [orders, stats] = await Promise.all([
+      prisma.order.findMany({
+        where: { storeId, status: 'delivered', deliveredAt: { gte: startDate } },
+        select: {
+          fulfillmentType: true,
+          createdAt: true,
+          confirmedAt: true,
+          releasedAt: true,
+          readyAt: true,
+          pickedUpAt: true,
+          deliveredAt: true
+        }
+      }),
+      prisma.storeTimingStat.findMany({ where: { storeId } })
+    ]);
+
+    const totals = Object.fromEntries(TIMING_PHASES.map(phase => [phase, { sum: 0, samples: 0 }]));
     for (const order of orders) {
-      const actual = Math.round(
-        (new Date(order.prepCompletedAt).getTime() - new Date(order.prepStartedAt).getTime()) / 60000
-      );
-      totalActual += actual;
-      totalEstimated += order.estimatedPrepTime || 0;
-
-      // Consideramos "preciso" si está dentro del 20%
-      if (order.estimatedPrepTime) {
-        const diff = Math.abs(actual - order.estimatedPrepTime) / order.estimatedPrepTime;
-        if (diff <= 0.2) accurateCount++;
+      for (const [phase, minutes] of Object.entries(this.getPhaseDurations(order))) {
+        if (minutes === null || minutes < MIN_SAMPLE_MINUTES || minutes > MAX_SAMPLE_MINUTES) continue;
+        totals[phase].sum += minutes;
+        totals[phase].samples++;
       }
     }
 
     return {
-      avgPrepTime: Math.round(totalActual / orders.length),
-      avgEstimated: Math.round(totalEstimated / orders.length),
-      accuracy: Math.round((accurateCount / orders.length) * 100),
-      samples: orders.length,
+      days,
+      phases: Object.fromEntries(TIMING_PHASES.map(phase => {
+        const stat = stats.find(s => s.phase === phase);
+        return [phase, {
+          avgMinutes: totals[phase].samples > 0 ? round(totals[phase].sum / totals[phase].samples) : null,
+          samples: totals[phase].samples,
+          learnedMinutes: stat ? round(stat.avgMinutes) : null,
+          learnedSamples: stat?.samples || 0,
+          inUse: (stat?.samples || 0) >= MIN_SAMPLES
+        }];
+      }))
     };
   }
 }
 
 export const prepTimeService = new PrepTimeService();
 export default prepTimeService;
-
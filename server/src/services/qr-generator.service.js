@@ -10,10 +10,13 @@ class QRGeneratorService {
    * Generar QR para mesa
    */
   async generateTableQR(storeId, tableId, tableNumber, options = {}) {
-    const { format = 'dataURL', size = 300, color = '#000000', logo = null } = options;
+    const { format = 'dataURL', size = 300, color = '#000000', logo = null, qrCode = null } = options;
 
     const baseUrl = process.env.FRONTEND_URL || 'https://tuapp.com';
-    const url = `${baseUrl}/menu/${storeId}?table=${tableNumber}&tid=${tableId}`;
+    // Con el código QR de la mesa el comensal abre (o se une a) la cuenta de la mesa
+    const url = qrCode
+      ? `${baseUrl}/menu/${storeId}?table=${tableNumber}&qr=${qrCode}`
+      : `${baseUrl}/menu/${storeId}?table=${tableNumber}&tid=${tableId}`;
 
     const qrOptions = {
       errorCorrectionLevel: 'H',
@@ -125,7 +128,7 @@ class QRGeneratorService {
     const results = [];
 
     for (const table of tables) {
-      const qr = await this.generateTableQR(storeId, table.id, table.number, options);
+      const qr = await this.generateTableQR(storeId, table.id, table.number, { ...options, qrCode: table.qrCode });
       results.push({
         ...qr,
         tableName: table.name,
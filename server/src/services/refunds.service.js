@@ -1,167 +1,551 @@
+/**
+ * Reembolsos de pedidos
+ * Totales, por monto o por ítems (con cantidades parciales). Los que pide un administrador se
+ * aprueban solos; los de operadores y los de faltantes de stock esperan aprobación. Se ejecutan
+ * por MercadoPago (reembolso sobre el pago original), como saldo a favor o en efectivo (el local
+ * confirma la devolución). Al completarse actualizan refundedAmount / paymentStatus del pedido.
+ */
+
 import prisma from '../utils/prisma.js';
 import logger from '../utils/logger.js';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+import orderHistoryService, { ORDER_CHANNELS } from './order-history.service.js';
+import orderNumberService from './order-number.service.js';
+import paymentGatewayService from './payment-gateway.service.js';
+import orderCancellationService from './order-cancellation.service.js';
+import storeCreditService, { STORE_CREDIT_TYPES } from './store-credit.service.js';
+
+export const REFUND_STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  REJECTED: 'rejected',
+  FAILED: 'failed'
+};
+
+export const REFUND_METHODS = {
+  MERCADOPAGO: 'mercadopago',
+  CASH: 'cash',
+  STORE_CREDIT: 'store_credit'
+};
+
+export const REFUND_SOURCES = {
+  STAFF: 'staff',
+  STOCK_ISSUE: 'stock_issue'
+};
+
+// Roles cuyos pedidos de reembolso no necesitan otra aprobación
+const APPROVER_ROLES = ['admin', 'super_admin'];
+
+// Reembolsos que todavía comprometen dinero del pedido
+const OPEN_STATUSES = ['pending', 'approved', 'processing', 'failed'];
+
+// Diferencia máxima (en pesos) que se tolera por redondeos
+const AMOUNT_TOLERANCE = 1;
+
+const round = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const formatAmount = (value) => `$${round(value).toLocaleString('es-AR')}`;
+
+const SYSTEM_ACTOR = { id: null, name: 'Reembolsos', role: 'system', channel: ORDER_CHANNELS.SYSTEM };
 
 class RefundsService {
   /**
-   * Solicitar reembolso
+   * Cuánto se puede reembolsar todavía de un pedido
+   * Lo cobrado menos lo ya reembolsado, los reembolsos en curso y el reintegro de la cancelación
    */
-  async requestRefund(orderId, customerId, reason, items = null) {
-    try {
-      const order = await prisma.order.findUnique({
-        where: { id: orderId },
-        include: { items: true }
-      });
+  async getRefundable(order) {
+    const [{ paid, payments }, openRefunds, cancellation] = await Promise.all([
+      orderCancellationService.getPaidAmount(order),
+      prisma.refund.findMany({
+        where: { orderId: order.id, status: { in: OPEN_STATUSES } },
+        select: { amount: true }
+      }),
+      prisma.orderCancellation.findUnique({
+        where: { orderId: order.id },
+        select: { refundAmount: true, refundStatus: true }
+      })
+    ]);
 
-      if (!order) throw new Error('Pedido no encontrado');
-      if (order.customerId !== customerId) throw new Error('No autorizado');
-
-      const refundAmount = items 
-        ? this.calculatePartialRefund(order, items)
-        : order.total;
-
-      const refund = await prisma.refund.create({
-        data: {
-          orderId,
-          customerId,
-          amount: refundAmount,
-          reason,
-          items: items ? JSON.stringify(items) : null,
-          status: 'PENDING',
-          requestedAt: new Date()
-        }
-      });
+    const inFlight = openRefunds.reduce((sum, refund) => sum + refund.amount, 0);
+    const cancellationRefund = cancellation && cancellation.refundStatus !== 'none' ? cancellation.refundAmount : 0;
 
-      logger.info({ refundId: refund.id, orderId, amount: refundAmount }, 'Reembolso solicitado');
-      return refund;
-    } catch (error) {
-      logger.error({ error, orderId }, 'Error solicitando reembolso');
-      throw error;
+    return {
+      paid: round(paid),
+      refunded: round(order.refundedAmount),
+      inFlight: round(inFlight),
+      refundable: round(Math.max(paid - order.refundedAmount - inFlight - cancellationRefund, 0)),
+      payments
+    };
+  }
+
+  /**
+   * Monto de los ítems a reembolsar (cantidades parciales permitidas)
+   * @param {object} order - Pedido con items
+   * @param {Array<{ orderItemId: string, quantity?: number }>} items
+   * @returns {Promise<{ amount: number, items: object[] }>}
+   */
+  async calculatePartialRefund(order, items) {
+    // Unidades ya reembolsadas (o en curso) por ítem
+    const previous = await prisma.refund.findMany({
+      where: { orderId: order.id, status: { not: REFUND_STATUSES.REJECTED } },
+      select: { items: true }
+    });
+    const alreadyRefunded = {};
+    for (const refund of previous) {
+      for (const item of refund.items || []) {
+        alreadyRefunded[item.orderItemId] = (alreadyRefunded[item.orderItemId] || 0) + item.quantity;
+      }
     }
+
+    const lines = items.map(requested => {
+      const orderItemId = requested.orderItemId || requested.order_item_id || requested.itemId;
+      const item = order.items.find(i => i.id === orderItemId);
+      if (!item) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: `El ítem ${orderItemId} no es de este pedido` });
+      }
+      if (item.stockStatus === 'removed') {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: `${item.productName} ya se quitó del pedido` });
+      }
+
+      const quantity = parseInt(requested.quantity ?? item.quantity, 10);
+      const available = item.quantity - (alreadyRefunded[item.id] || 0);
+      if (!(quantity > 0) || quantity > available) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+          message: `Se pueden reembolsar hasta ${available} unidad(es) de ${item.productName}`
+        });
+      }
+
+      // El subtotal del ítem incluye sus opciones
+      const unitPrice = round(item.subtotal / item.quantity);
+      return { orderItemId: item.id, productName: item.productName, quantity, unitPrice, amount: round(unitPrice * quantity) };
+    });
+
+    return { amount: round(lines.reduce((sum, line) => sum + line.amount, 0)), items: lines };
   }
 
   /**
-   * Aprobar reembolso
+   * Medio por defecto: MercadoPago si se pagó por ahí, si no saldo a favor (o efectivo sin teléfono)
    */
-  async approveRefund(refundId, approvedBy, notes = null) {
-    try {
-      const refund = await prisma.refund.update({
-        where: { id: refundId },
-        data: {
-          status: 'APPROVED',
-          approvedBy,
-          approvedAt: new Date(),
-          notes
-        }
-      });
+  defaultMethod(order, mpPayment) {
+    if (mpPayment) return REFUND_METHODS.MERCADOPAGO;
+    if (order.customerPhone && order.storeId) return REFUND_METHODS.STORE_CREDIT;
+    return REFUND_METHODS.CASH;
+  }
+
+  /**
+   * Pedir un reembolso
+   * @param {string} orderId
+   * @param {object} data - { items?: [{ orderItemId, quantity }], amount?, reason, method?, notes?, source?, stockIssueId? }
+   *   Sin items ni amount se reembolsa todo lo que queda
+   * @param {object} actor - { id, name, role, channel }
+   * @returns {Promise<object>} el reembolso (ya ejecutado si lo pidió un administrador)
+   */
+  async requestRefund(orderId, data, actor = SYSTEM_ACTOR) {
+    const {
+      items = null,
+      amount = null,
+      reason,
+      method = null,
+      notes = null,
+      source = REFUND_SOURCES.STAFF,
+      stockIssueId = null
+    } = data;
 
-      // Actualizar estado del pedido
-      await prisma.order.update({
-        where: { id: refund.orderId },
-        data: { status: 'REFUNDED' }
+    if (!reason || !String(reason).trim()) {
+      throw new AppError(ErrorCodes.MISSING_FIELD, { message: 'Indicá el motivo del reembolso' });
+    }
+    if (method && !Object.values(REFUND_METHODS).includes(method)) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: `method debe ser uno de: ${Object.values(REFUND_METHODS).join(', ')}` });
+    }
+
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: { items: true }
+    });
+    if (!order) {
+      throw new AppError(ErrorCodes.ORDER_NOT_FOUND, { message: 'Pedido no encontrado' });
+    }
+
+    const { refundable, payments } = await this.getRefundable(order);
+
+    let refundAmount;
+    let refundItems = null;
+    if (Array.isArray(items) && items.length > 0) {
+      ({ amount: refundAmount, items: refundItems } = await this.calculatePartialRefund(order, items));
+    } else if (amount != null) {
+      refundAmount = round(amount);
+    } else {
+      refundAmount = refundable;
+    }
+
+    if (!(refundAmount > 0)) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'No hay nada cobrado para reembolsar en este pedido' });
+    }
+    if (refundAmount > refundable + AMOUNT_TOLERANCE) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+        message: `El reembolso (${formatAmount(refundAmount)}) supera lo que queda por reembolsar (${formatAmount(refundable)})`
       });
+    }
+    refundAmount = Math.min(refundAmount, refundable);
 
-      logger.info({ refundId }, 'Reembolso aprobado');
-      return refund;
-    } catch (error) {
-      logger.error({ error, refundId }, 'Error aprobando reembolso');
-      throw error;
+    const mpPayment = await orderCancellationService.findMercadoPagoPayment(order, payments);
+    const refundMethod = method || this.defaultMethod(order, mpPayment);
+    if (refundMethod === REFUND_METHODS.MERCADOPAGO && !mpPayment) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El pedido no tiene un pago de MercadoPago para reembolsar' });
     }
+    if (refundMethod === REFUND_METHODS.STORE_CREDIT && !order.customerPhone) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El pedido no tiene teléfono para acreditar saldo a favor' });
+    }
+
+    const refund = await prisma.refund.create({
+      data: {
+        orderId: order.id,
+        storeId: order.storeId,
+        customerPhone: order.customerPhone || null,
+        amount: refundAmount,
+        ...(refundItems && { items: refundItems }),
+        reason: String(reason).trim(),
+        source,
+        stockIssueId,
+        method: refundMethod,
+        notes,
+        requestedBy: actor?.id || null,
+        requestedByName: actor?.name || null
+      }
+    });
+
+    await orderHistoryService.logChange(
+      order.id,
+      'REFUND_REQUESTED',
+      null,
+      { refundId: refund.id, amount: refund.amount, method: refund.method, items: refundItems?.map(i => `${i.quantity}x ${i.productName}`) },
+      actor,
+      refund.reason
+    );
+    logger.info({ refundId: refund.id, orderId, amount: refund.amount, method: refund.method, source }, 'Reembolso solicitado');
+
+    if (APPROVER_ROLES.includes(actor?.role)) {
+      return await this.approveRefund(refund.id, actor);
+    }
+    return refund;
   }
 
   /**
-   * Rechazar reembolso
+   * Reembolso por un faltante de stock (queda pendiente de aprobación)
+   * @returns {Promise<object|null>} null si el pedido no tenía nada cobrado (ej: efectivo)
    */
-  async rejectRefund(refundId, rejectedBy, reason) {
-    try {
-      const refund = await prisma.refund.update({
-        where: { id: refundId },
-        data: {
-          status: 'REJECTED',
-          rejectedBy,
-          rejectedAt: new Date(),
-          rejectionReason: reason
-        }
-      });
+  async requestStockIssueRefund(stockIssue, amount, reason, actor = SYSTEM_ACTOR) {
+    const order = await prisma.order.findUnique({ where: { id: stockIssue.orderId } });
+    if (!order) return null;
 
-      logger.info({ refundId }, 'Reembolso rechazado');
-      return refund;
-    } catch (error) {
-      logger.error({ error, refundId }, 'Error rechazando reembolso');
-      throw error;
+    const { refundable } = await this.getRefundable(order);
+    const refundAmount = round(Math.min(amount, refundable));
+    if (!(refundAmount > 0)) return null;
+
+    const refund = await this.requestRefund(stockIssue.orderId, {
+      amount: refundAmount,
+      reason,
+      source: REFUND_SOURCES.STOCK_ISSUE,
+      stockIssueId: stockIssue.id
+    }, actor);
+
+    await prisma.stockIssue.update({
+      where: { id: stockIssue.id },
+      data: { refundRequired: true, refundAmount: refund.amount, refundStatus: 'pending' }
+    });
+    return refund;
+  }
+
+  /**
+   * Aprobar un reembolso; MercadoPago y saldo a favor se ejecutan en el momento,
+   * el efectivo queda aprobado hasta que el local confirme que lo devolvió (processRefund)
+   */
+  async approveRefund(refundId, actor, notes = null) {
+    const refund = await this.getRefundOrFail(refundId);
+    if (refund.status !== REFUND_STATUSES.PENDING) {
+      throw new AppError(ErrorCodes.ORDER_ALREADY_PROCESSED, { message: 'El reembolso ya fue revisado' });
+    }
+
+    const approved = await prisma.refund.update({
+      where: { id: refundId },
+      data: {
+        status: REFUND_STATUSES.APPROVED,
+        approvedBy: actor?.id || null,
+        approvedAt: new Date(),
+        ...(notes && { notes })
+      }
+    });
+    logger.info({ refundId, approvedBy: actor?.id }, 'Reembolso aprobado');
+
+    if (approved.method === REFUND_METHODS.CASH) {
+      return approved;
     }
+    return await this.processRefund(refundId, actor);
   }
 
   /**
-   * Procesar reembolso (ejecutar pago)
+   * Rechazar un reembolso pendiente (o descartar uno que falló al ejecutarse)
    */
-  async processRefund(refundId) {
+  async rejectRefund(refundId, actor, reason = null) {
+    const refund = await this.getRefundOrFail(refundId);
+    if (![REFUND_STATUSES.PENDING, REFUND_STATUSES.FAILED].includes(refund.status)) {
+      throw new AppError(ErrorCodes.ORDER_ALREADY_PROCESSED, { message: 'El reembolso ya fue revisado' });
+    }
+
+    const rejected = await prisma.refund.update({
+      where: { id: refundId },
+      data: {
+        status: REFUND_STATUSES.REJECTED,
+        rejectedBy: actor?.id || null,
+        rejectedAt: new Date(),
+        rejectionReason: reason
+      }
+    });
+
+    await orderHistoryService.logChange(refund.orderId, 'REFUND_REJECTED', null, { refundId, amount: refund.amount }, actor, reason);
+    if (refund.stockIssueId) {
+      await prisma.stockIssue.update({ where: { id: refund.stockIssueId }, data: { refundStatus: 'rejected' } });
+    }
+
+    logger.info({ refundId }, 'Reembolso rechazado');
+    return rejected;
+  }
+
+  /**
+   * Ejecutar un reembolso aprobado (o reintentar uno fallido)
+   * Para efectivo, es la confirmación del local de que devolvió el dinero
+   */
+  async processRefund(refundId, actor = SYSTEM_ACTOR) {
+    // Un solo proceso lo ejecuta: dos clics seguidos no reembolsan dos veces
+    const claimed = await prisma.refund.updateMany({
+      where: { id: refundId, status: { in: [REFUND_STATUSES.APPROVED, REFUND_STATUSES.FAILED] } },
+      data: { status: REFUND_STATUSES.PROCESSING, error: null }
+    });
+    if (claimed.count === 0) {
+      const current = await this.getRefundOrFail(refundId);
+      throw new AppError(ErrorCodes.CONFLICT, { message: `El reembolso está ${current.status} y no se puede ejecutar` });
+    }
+
+    const refund = await prisma.refund.findUnique({ where: { id: refundId }, include: { order: true } });
+
+    let providerReference = null;
     try {
-      const refund = await prisma.refund.findUnique({
+      providerReference = await this.execute(refund, actor);
+    } catch (error) {
+      logger.error({ refundId, orderId: refund.orderId, method: refund.method, error: error.message }, 'Error ejecutando reembolso');
+      const failed = await prisma.refund.update({
         where: { id: refundId },
-        include: { order: true }
+        data: { status: REFUND_STATUSES.FAILED, error: error.details?.message || error.message }
       });
+      await orderHistoryService.logChange(refund.orderId, 'REFUND_FAILED', null, { refundId, amount: refund.amount, method: refund.method }, actor, failed.error);
+      return failed;
+    }
 
-      if (refund.status !== 'APPROVED') {
-        throw new Error('Reembolso no aprobado');
+    const completed = await prisma.refund.update({
+      where: { id: refundId },
+      data: {
+        status: REFUND_STATUSES.COMPLETED,
+        providerReference,
+        processedBy: actor?.id || null,
+        processedAt: new Date()
       }
+    });
 
-      // Aquí iría la integración con el procesador de pagos
-      // Por ahora solo marcamos como procesado
+    await this.applyToOrder(refund.order, completed, actor);
+    if (refund.stockIssueId) {
+      await prisma.stockIssue.update({ where: { id: refund.stockIssueId }, data: { refundStatus: 'completed' } });
+    }
+    await this.notifyCustomer(refund.order, completed);
 
-      const processed = await prisma.refund.update({
-        where: { id: refundId },
-        data: {
-          status: 'PROCESSED',
-          processedAt: new Date()
-        }
+    logger.info({ refundId, orderId: refund.orderId, amount: refund.amount, method: refund.method }, 'Reembolso completado');
+    return completed;
+  }
+
+  /**
+   * Mover el dinero según el medio
+   * @returns {Promise<string|null>} referencia del reembolso (MercadoPago) o del saldo a favor
+   */
+  async execute(refund, actor = null) {
+    const { order } = refund;
+
+    if (refund.method === REFUND_METHODS.MERCADOPAGO) {
+      const { payments } = await orderCancellationService.getPaidAmount(order);
+      const mpPayment = await orderCancellationService.findMercadoPagoPayment(order, payments);
+      if (!mpPayment) {
+        throw new Error('El pedido no tiene un pago de MercadoPago para reembolsar');
+      }
+
+      const result = await paymentGatewayService.refund(order.storeId, mpPayment.paymentId, refund.amount);
+      if (!result?.id || result.status === 'rejected') {
+        throw new Error(result?.message || 'MercadoPago rechazó el reembolso');
+      }
+      return String(result.id);
+    }
+
+    if (refund.method === REFUND_METHODS.STORE_CREDIT) {
+      // Los faltantes de stock quedan como compensación en el libro de saldo a favor
+      const fromStockIssue = refund.source === REFUND_SOURCES.STOCK_ISSUE;
+      const transaction = await storeCreditService.grant(order.storeId, order.customerPhone, refund.amount, {
+        type: fromStockIssue ? STORE_CREDIT_TYPES.STOCK_COMPENSATION : STORE_CREDIT_TYPES.REFUND,
+        orderId: order.id,
+        reference: fromStockIssue ? refund.stockIssueId : refund.id,
+        note: `${fromStockIssue ? 'Faltante en el pedido' : 'Reembolso del pedido'} ${orderNumberService.display(order.orderNumber)}`,
+        actor
       });
+      return transaction.id;
+    }
 
-      logger.info({ refundId }, 'Reembolso procesado');
-      return processed;
+    // Efectivo: lo devolvió el local
+    return null;
+  }
+
+  /**
+   * Reflejar el reembolso en el pedido: refundedAmount y paymentStatus (reintegro parcial o total)
+   */
+  async applyToOrder(order, refund, actor) {
+    const current = await prisma.order.findUnique({ where: { id: order.id } });
+    const { paid } = await orderCancellationService.getPaidAmount(current);
+
+    const refundedAmount = round(current.refundedAmount + refund.amount);
+    const paymentStatus = refundedAmount >= paid - AMOUNT_TOLERANCE ? 'refunded' : 'partially_refunded';
+
+    await prisma.order.update({
+      where: { id: order.id },
+      data: { refundedAmount, paymentStatus }
+    });
+    await orderHistoryService.recordUpdate(order.id, current, { refundedAmount, paymentStatus }, actor, `Reembolso ${refund.method} ${formatAmount(refund.amount)}`);
+    await orderHistoryService.logChange(
+      order.id,
+      'REFUND_COMPLETED',
+      null,
+      { refundId: refund.id, amount: refund.amount, method: refund.method },
+      actor,
+      refund.reason
+    );
+  }
+
+  /**
+   * Avisar al cliente por WhatsApp
+   */
+  async notifyCustomer(order, refund) {
+    if (!order.customerPhone || !order.storeId) return;
+
+    const orderLabel = orderNumberService.display(order.orderNumber);
+    const detail = {
+      mercadopago: `Te devolvimos ${formatAmount(refund.amount)} a tu medio de pago de MercadoPago. Puede tardar unos días en verse reflejado.`,
+      store_credit: `Te acreditamos ${formatAmount(refund.amount)} como saldo a favor para tu próximo pedido.`,
+      cash: `Te devolvimos ${formatAmount(refund.amount)} en efectivo.`
+    }[refund.method];
+
+    try {
+      const { sendMessageToClient } = await import('./whatsapp-multi.service.js');
+      await sendMessageToClient(
+        order.storeId,
+        order.customerPhone,
+        `💸 *REEMBOLSO*\n\n📋 Pedido ${orderLabel}\n\n${detail}\n\nMotivo: ${refund.reason}`
+      );
     } catch (error) {
-      logger.error({ error, refundId }, 'Error procesando reembolso');
-      throw error;
+      logger.warn({ orderId: order.id, refundId: refund.id, error: error.message }, 'No se pudo avisar al cliente del reembolso');
+    }
+  }
+
+  async getRefundOrFail(refundId) {
+    const refund = await prisma.refund.findUnique({ where: { id: refundId } });
+    if (!refund) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Reembolso no encontrado' });
     }
+    return refund;
   }
 
   /**
-   * Obtener reembolsos pendientes
+   * Reembolsos de un pedido con lo que queda por reembolsar
    */
-  async getPendingRefunds(storeId) {
-    return prisma.refund.findMany({
-      where: {
-        order: { storeId },
-        status: 'PENDING'
-      },
-      include: {
-        order: true,
-        customer: true
-      },
-      orderBy: { requestedAt: 'asc' }
-    });
+  async getOrderRefunds(orderId) {
+    const order = await prisma.order.findUnique({ where: { id: orderId } });
+    if (!order) {
+      throw new AppError(ErrorCodes.ORDER_NOT_FOUND, { message: 'Pedido no encontrado' });
+    }
+
+    const [refunds, { paid, refunded, inFlight, refundable }] = await Promise.all([
+      prisma.refund.findMany({ where: { orderId }, orderBy: { createdAt: 'desc' } }),
+      this.getRefundable(order)
+    ]);
+    return { orderId, paid, refunded, inFlight, refundable, refunds };
   }
 
   /**
-   * Calcular reembolso parcial
+   * Reembolsos de un local (por defecto, los que esperan aprobación)
    */
-  calculatePartialRefund(order, itemIds) {
-    const itemsToRefund = order.items.filter(i => itemIds.includes(i.id));
-    return itemsToRefund.reduce((sum, item) => sum + (item.quantity * item.unitPrice), 0);
+  async getStoreRefunds(storeId, { status = REFUND_STATUSES.PENDING } = {}) {
+    return prisma.refund.findMany({
+      where: { storeId, ...(status !== 'all' && { status }) },
+      include: { order: { select: { id: true, orderNumber: true, customerName: true, total: true, paymentMethod: true, paymentStatus: true } } },
+      orderBy: { createdAt: status === REFUND_STATUSES.PENDING ? 'asc' : 'desc' },
+      take: 200
+    });
+  }
+
+  async getPendingRefunds(storeId) {
+    return this.getStoreRefunds(storeId, { status: REFUND_STATUSES.PENDING });
   }
 
   /**
-   * Historial de reembolsos
+   * Historial de reembolsos de un local en un período
    */
   async getRefundHistory(storeId, startDate, endDate) {
     return prisma.refund.findMany({
-      where: {
-        order: { storeId },
-        requestedAt: { gte: startDate, lte: endDate }
-      },
-      include: { order: true, customer: true },
-      orderBy: { requestedAt: 'desc' }
+      where: { storeId, createdAt: { gte: startDate, lte: endDate } },
+      include: { order: { select: { id: true, orderNumber: true, customerName: true, total: true } } },
+      orderBy: { createdAt: 'desc' }
     });
   }
+
+  /**
+   * Reporte de reembolsos de un local en un período: totales por estado, medio y origen,
+   * pendientes de aprobación y productos más reembolsados
+   */
+  async getReport(storeId, { from, to }) {
+    const refunds = await prisma.refund.findMany({
+      where: { storeId, createdAt: { gte: from, lte: to } },
+      select: { amount: true, status: true, method: true, source: true, items: true }
+    });
+
+    const completed = refunds.filter(r => r.status === REFUND_STATUSES.COMPLETED);
+    const sumBy = (list, key) => list.reduce((acc, refund) => {
+      const bucket = acc[refund[key]] || (acc[refund[key]] = { count: 0, amount: 0 });
+      bucket.count++;
+      bucket.amount = round(bucket.amount + refund.amount);
+      return acc;
+    }, {});
+
+    const products = {};
+    for (const refund of completed) {
+      for (const item of refund.items || []) {
+        const row = products[item.productName] || (products[item.productName] = { productName: item.productName, quantity: 0, amount: 0 });
+        row.quantity += item.quantity;
+        row.amount = round(row.amount + item.amount);
+      }
+    }
+
+    const pending = refunds.filter(r => r.status === REFUND_STATUSES.PENDING);
+    const failed = refunds.filter(r => r.status === REFUND_STATUSES.FAILED);
+
+    return {
+      from,
+      to,
+      count: refunds.length,
+      refunded: round(completed.reduce((sum, refund) => sum + refund.amount, 0)),
+      partial: completed.filter(r => Array.isArray(r.items) && r.items.length > 0).length,
+      pendingApproval: { count: pending.length, amount: round(pending.reduce((sum, refund) => sum + refund.amount, 0)) },
+      failed: { count: failed.length, amount: round(failed.reduce((sum, refund) => sum + refund.amount, 0)) },
+      byStatus: sumBy(refunds, 'status'),
+      byMethod: sumBy(completed, 'method'),
+      bySource: sumBy(completed, 'source'),
+      topProducts: Object.values(products).sort((a, b) => b.amount - a.amount).slice(0, 10)
+    };
+  }
 }
 
 export const refundsService = new RefundsService();
@@ -0,0 +1,226 @@
+/**
+ * Repetir pedido
+ * Arma un carrito nuevo a partir de un pedido anterior, revalidando cada ítem
+ * contra el menú actual: productos que ya no están, precios que cambiaron y
+ * opciones que se quitaron quedan marcados para que el cliente confirme el
+ * carrito recotizado antes de crear el pedido (POST /api/orders).
+ */
+
+import prisma from '../utils/prisma.js';
+import logger from '../utils/logger.js';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+import { orderPricingService } from './order-pricing.service.js';
+
+// Diferencia mínima (en pesos) para avisar un cambio de precio
+const PRICE_CHANGE_THRESHOLD = 0.01;
+
+// Marcas de revalidación de cada ítem
+export const REORDER_FLAGS = {
+  UNAVAILABLE: 'unavailable',
+  PRICE_CHANGED: 'price_changed',
+  OPTION_REMOVED: 'option_removed',
+  INVALID: 'invalid'
+};
+
+const round = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const normalizeName = (value) => String(value || '').trim().toLowerCase();
+
+class ReorderService {
+  /**
+   * Verificar que quien pide repetir sea el dueño del pedido
+   * (teléfono/JID de WhatsApp, usuario logueado o token de seguimiento)
+   */
+  isOwner(order, { customerPhone, userId, trackingToken } = {}) {
+    if (customerPhone && order.customerPhone && customerPhone === order.customerPhone) return true;
+    if (userId && order.userId && userId === order.userId) return true;
+    if (trackingToken && order.trackingToken && trackingToken === order.trackingToken) return true;
+    return false;
+  }
+
+  /**
+   * Producto actual de un ítem: por ID y, si se eliminó, por nombre dentro del local
+   */
+  async findCurrentProduct(storeId, item) {
+    let product = item.productId
+      ? await orderPricingService.resolveProduct(storeId, { productId: item.productId })
+      : null;
+
+    if (!product) {
+      product = await orderPricingService.resolveProduct(storeId, { productName: item.productName });
+    }
+
+    if (product && storeId && product.storeId && product.storeId !== storeId) return null;
+    return product;
+  }
+
+  /**
+   * Revalidar un ítem del pedido anterior contra el menú actual
+   * @returns {Promise<{ line?: object, unavailable?: object }>}
+   */
+  async rebuildItem(storeId, item, index) {
+    const product = await this.findCurrentProduct(storeId, item);
+
+    if (!product || !product.isAvailable) {
+      return {
+        unavailable: {
+          productId: item.productId,
+          productName: item.productName,
+          quantity: item.quantity,
+          flag: REORDER_FLAGS.UNAVAILABLE,
+          reason: product ? 'No disponible por ahora' : 'Ya no está en el menú'
+        }
+      };
+    }
+
+    // Conservar solo las opciones que siguen existiendo y están disponibles
+    const allOptions = (product.productOptionCategories || []).flatMap(category => category.options);
+    const keptOptions = [];
+    const removedOptions = [];
+    for (const entry of orderPricingService.parseSelectedOptions(item.selectedOptions)) {
+      const option = (entry.id && allOptions.find(o => o.id === entry.id)) ||
+        allOptions.find(o => normalizeName(o.name) === normalizeName(entry.name));
+
+      if (option && option.isAvailable) {
+        keptOptions.push(option);
+      } else {
+        removedOptions.push(option?.name || entry.name || entry.id);
+      }
+    }
+
+    const cartItem = {
+      productId: product.id,
+      productName: product.name,
+      quantity: item.quantity,
+      selectedOptions: {
+        options: keptOptions.map(o => ({ id: o.id, name: o.name, price: round(o.priceModifier) }))
+      }
+    };
+
+    let priced;
+    try {
+      priced = await orderPricingService.priceItem(storeId, cartItem, index);
+    } catch (error) {
+      // Ej: una categoría de opciones pasó a ser obligatoria o cambiaron sus límites
+      if (!(error instanceof AppError)) throw error;
+      return {
+        unavailable: {
+          productId: product.id,
+          productName: product.name,
+          quantity: item.quantity,
+          flag: REORDER_FLAGS.INVALID,
+          reason: error.details?.message || error.message
+        }
+      };
+    }
+
+    const previousUnitPrice = round(item.unitPrice);
+    const flags = [];
+    if (Math.abs(priced.unitPrice - previousUnitPrice) > PRICE_CHANGE_THRESHOLD) {
+      flags.push(REORDER_FLAGS.PRICE_CHANGED);
+    }
+    if (removedOptions.length > 0) {
+      flags.push(REORDER_FLAGS.OPTION_REMOVED);
+    }
+
+    return {
+      line: {
+        ...cartItem,
+        unitPrice: priced.unitPrice,
+        subtotal: priced.subtotal,
+        previousUnitPrice,
+        flags,
+        removedOptions
+      }
+    };
+  }
+
+  /**
+   * Armar el carrito recotizado de un pedido anterior
+   * No crea nada: el cliente confirma enviando `items` a POST /api/orders
+   * @param {string} orderId - Pedido a repetir
+   * @param {object} owner - { customerPhone, userId, trackingToken } de quien lo pide
+   */
+  async buildReorder(orderId, owner = {}) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: { items: true }
+    });
+
+    if (!order || !this.isOwner(order, owner)) {
+      throw new AppError(ErrorCodes.ORDER_NOT_FOUND, { message: 'Pedido no encontrado' });
+    }
+    if (!order.items.length) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El pedido no tiene productos para repetir' });
+    }
+
+    const items = [];
+    const unavailable = [];
+    for (let i = 0; i < order.items.length; i++) {
+      const { line, unavailable: missing } = await this.rebuildItem(order.storeId, order.items[i], i);
+      if (line) items.push(line);
+      if (missing) unavailable.push(missing);
+    }
+
+    // Las mesas del salón no se repiten como mesa: se ofrece retirar en el local
+    const fulfillmentType = order.fulfillmentType === 'dine_in' ? 'pickup' : order.fulfillmentType;
+
+    // Totales con las reglas actuales del local (envío, mínimo de compra, modos habilitados)
+    let pricing = null;
+    let blockingReason = null;
+    if (items.length === 0) {
+      blockingReason = 'Ninguno de los productos del pedido está disponible';
+    } else {
+      try {
+        pricing = await orderPricingService.priceOrder({
+          storeId: order.storeId,
+          items,
+          fulfillmentType
+        });
+      } catch (error) {
+        if (!(error instanceof AppError)) throw error;
+        blockingReason = error.details?.message || error.message;
+      }
+    }
+
+    const previousSubtotal = round(order.subtotal);
+    const subtotal = pricing ? pricing.subtotal : round(items.reduce((sum, item) => sum + item.subtotal, 0));
+
+    const reorder = {
+      sourceOrder: {
+        id: order.id,
+        orderNumber: order.orderNumber,
+        createdAt: order.createdAt,
+        total: order.total
+      },
+      storeId: order.storeId,
+      fulfillmentType,
+      customer: {
+        name: order.customerName,
+        phone: order.customerPhone,
+        address: fulfillmentType === 'delivery' ? order.customerAddress : null
+      },
+      items,
+      unavailable,
+      subtotal,
+      deliveryFee: pricing ? pricing.deliveryFee : null,
+      total: pricing ? pricing.total : null,
+      previousSubtotal,
+      hasChanges: unavailable.length > 0 || items.some(item => item.flags.length > 0),
+      canConfirm: !!pricing,
+      blockingReason
+    };
+
+    logger.info({
+      orderId,
+      items: items.length,
+      unavailable: unavailable.length,
+      canConfirm: reorder.canConfirm
+    }, 'Reorder cart built');
+
+    return reorder;
+  }
+}
+
+export const reorderService = new ReorderService();
+export default reorderService;
@@ -1,208 +1,430 @@
 /**
  * Sistema de Pedidos Programados
+ * El cliente elige un horario futuro dentro del horario del local; el pedido queda
+ * estacionado (scheduledFor sin releasedAt) hasta la anticipación configurada y
+ * después se libera a cocina con aviso al cliente y al local.
  */
 
 import prisma from '../utils/prisma.js';
 import logger from '../utils/logger.js';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+import { orderHistoryService, ORDER_CHANNELS } from './order-history.service.js';
+import { orderNumberService } from './order-number.service.js';
+import { deliveryTimeEstimatorService } from './delivery-time-estimator.service.js';
+import { kdsService } from './kds.service.js';
+
+const TIME_ZONE = 'America/Argentina/Buenos_Aires';
+
+// Valores por defecto si el local no los configuró
+const DEFAULTS = {
+  slotMinutes: 30,
+  slotCapacity: 5,
+  leadMinutes: 45,
+  minAdvanceMinutes: 60,
+  maxDaysAhead: 7
+};
+
+// Estados que no ocupan lugar en un horario
+const INACTIVE_STATUSES = ['cancelled', 'stock_timeout'];
+
+// Anticipación máxima que puede configurar un local (acota la búsqueda de pedidos a liberar)
+const MAX_LEAD_MINUTES = 24 * 60;
+
+const SYSTEM_ACTOR = { id: null, name: 'Pedidos programados', role: 'system', channel: ORDER_CHANNELS.SYSTEM };
+
+// Pedidos que ya pueden verse en cocina / repartidores (no programados o ya liberados)
+export const RELEASED_ORDER_FILTER = {
+  OR: [{ scheduledFor: null }, { releasedAt: { not: null } }]
+};
+
+// Pedidos programados que todavía esperan su horario
+export const PARKED_ORDER_FILTER = {
+  scheduledFor: { not: null },
+  releasedAt: null
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
 
 class ScheduledOrdersService {
+  constructor() {
+    this.running = false;
+  }
+
   /**
-   * Crear pedido programado
+   * Fecha/hora local de Argentina de un instante
    */
-  async createScheduledOrder(orderData, scheduledFor) {
-    const scheduledDate = new Date(scheduledFor);
-    const now = new Date();
+  getLocalParts(date = new Date()) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: TIME_ZONE,
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', weekday: 'long', hourCycle: 'h23'
+      }).formatToParts(date).map(p => [p.type, p.value])
+    );
 
-    // Validar que sea al menos 1 hora en el futuro
-    if (scheduledDate.getTime() - now.getTime() < 60 * 60 * 1000) {
-      throw new Error('El pedido debe programarse con al menos 1 hora de anticipación');
-    }
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      time: `${parts.hour}:${parts.minute}`,
+      day: parts.weekday.toLowerCase()
+    };
+  }
 
-    // Validar horario de tienda
-    const store = await prisma.store.findUnique({ where: { id: orderData.storeId } });
-    if (!this.isWithinStoreHours(store, scheduledDate)) {
-      throw new Error('El horario seleccionado está fuera del horario de la tienda');
-    }
+  /**
+   * Instante UTC de una fecha (YYYY-MM-DD) y minutos desde medianoche en hora de Argentina
+   */
+  toInstant(date, minutes) {
+    const utcGuess = new Date(`${date}T00:00:00Z`).getTime() + minutes * 60 * 1000;
+    const local = this.getLocalParts(new Date(utcGuess));
+    const localMs = new Date(`${local.date}T${local.time}:00Z`).getTime();
+    return new Date(utcGuess - (localMs - utcGuess));
+  }
 
-    const order = await prisma.order.create({
-      data: {
-        ...orderData,
-        status: 'scheduled',
-        scheduledFor: scheduledDate,
-        isScheduled: true,
-      },
+  /**
+   * Etiqueta para mostrar al cliente (ej: "sáb 14-06, 21:30")
+   */
+  formatSlot(date) {
+    return new Date(date).toLocaleString('es-AR', {
+      timeZone: TIME_ZONE,
+      weekday: 'short', day: '2-digit', month: '2-digit',
+      hour: '2-digit', minute: '2-digit', hour12: false
     });
+  }
+
+  /**
+   * Configuración de pedidos programados del local
+   */
+  async getConfig(storeId) {
+    const settings = storeId
+      ? await prisma.storeSettings.findUnique({ where: { storeId } })
+      : null;
 
-    logger.info({ orderId: order.id, scheduledFor: scheduledDate }, 'Scheduled order created');
-    return order;
+    let hours = {};
+    try {
+      hours = settings?.hours ? JSON.parse(settings.hours) : {};
+    } catch {
+      hours = {};
+    }
+
+    return {
+      enabled: !!settings?.acceptScheduledOrders,
+      hours,
+      slotMinutes: settings?.scheduledSlotMinutes || DEFAULTS.slotMinutes,
+      slotCapacity: settings?.scheduledSlotCapacity ?? DEFAULTS.slotCapacity,
+      leadMinutes: settings?.scheduledLeadMinutes ?? DEFAULTS.leadMinutes,
+      minAdvanceMinutes: settings?.scheduledMinAdvanceMinutes ?? DEFAULTS.minAdvanceMinutes,
+      maxDaysAhead: settings?.scheduledMaxDaysAhead ?? DEFAULTS.maxDaysAhead
+    };
   }
 
   /**
-   * Verificar horario de tienda
+   * Ventana de atención de un día ({ start, end } en minutos desde medianoche, o null si cierra).
+   * Un cierre anterior a la apertura se interpreta como pasada la medianoche.
    */
-  isWithinStoreHours(store, date) {
-    // Simplificado - en producción verificar horarios reales
-    const hour = date.getHours();
-    return hour >= 10 && hour <= 22;
+  getDayWindow(config, date) {
+    const day = this.getLocalParts(this.toInstant(date, 12 * 60)).day;
+    const dayHours = config.hours?.[day];
+    if (!dayHours || dayHours.enabled === false || !dayHours.open || !dayHours.close) return null;
+
+    const start = toMinutes(dayHours.open);
+    let end = toMinutes(dayHours.close);
+    if (end <= start) end += 24 * 60;
+    return { start, end };
   }
 
   /**
-   * Obtener slots disponibles para programar
+   * Pedidos programados por horario (Map<timestamp del inicio del slot, cantidad>)
    */
-  async getAvailableSlots(storeId, date) {
-    const targetDate = new Date(date);
-    targetDate.setHours(0, 0, 0, 0);
-    
-    const endOfDay = new Date(targetDate);
-    endOfDay.setHours(23, 59, 59, 999);
-
-    // Obtener pedidos ya programados
-    const scheduledOrders = await prisma.order.count({
+  async countBySlot(storeId, from, to, slotMinutes, excludeOrderId = null) {
+    const orders = await prisma.order.findMany({
       where: {
         storeId,
-        isScheduled: true,
-        scheduledFor: { gte: targetDate, lte: endOfDay },
-        status: { not: 'cancelled' },
+        scheduledFor: { gte: from, lt: to },
+        status: { notIn: INACTIVE_STATUSES },
+        ...(excludeOrderId && { id: { not: excludeOrderId } })
       },
+      select: { scheduledFor: true }
     });
 
-    // Generar slots (cada 30 min, de 10:00 a 22:00)
+    const slotMs = slotMinutes * 60 * 1000;
+    const counts = new Map();
+    for (const order of orders) {
+      const key = from.getTime() + Math.floor((order.scheduledFor.getTime() - from.getTime()) / slotMs) * slotMs;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return counts;
+  }
+
+  /**
+   * Horarios disponibles de un día (YYYY-MM-DD, hora de Argentina)
+   */
+  async getAvailableSlots(storeId, date, config = null) {
+    config = config || await this.getConfig(storeId);
+    if (!config.enabled) return { date, enabled: false, slots: [] };
+
+    const window = this.getDayWindow(config, date);
+    if (!window) return { date, enabled: true, slots: [] };
+
+    const now = Date.now();
+    const earliest = now + config.minAdvanceMinutes * 60 * 1000;
+    const latest = now + config.maxDaysAhead * 24 * 60 * 60 * 1000;
+    const dayStart = this.toInstant(date, window.start);
+    const dayEnd = this.toInstant(date, window.end);
+    const counts = await this.countBySlot(storeId, dayStart, dayEnd, config.slotMinutes);
+
     const slots = [];
-    const now = new Date();
-    
-    for (let hour = 10; hour < 22; hour++) {
-      for (let min = 0; min < 60; min += 30) {
-        const slotTime = new Date(targetDate);
-        slotTime.setHours(hour, min, 0, 0);
-
-        // Solo slots futuros (al menos 1 hora)
-        if (slotTime.getTime() > now.getTime() + 60 * 60 * 1000) {
-          slots.push({
-            time: slotTime.toISOString(),
-            label: `${hour.toString().padStart(2, '0')}:${min.toString().padStart(2, '0')}`,
-            available: true, // En producción calcular capacidad real
-          });
-        }
-      }
+    for (let minutes = window.start; minutes + config.slotMinutes <= window.end; minutes += config.slotMinutes) {
+      const start = this.toInstant(date, minutes);
+      if (start.getTime() < earliest || start.getTime() > latest) continue;
+
+      const taken = counts.get(start.getTime()) || 0;
+      const remaining = Math.max(0, config.slotCapacity - taken);
+      slots.push({
+        time: start.toISOString(),
+        label: `${pad(Math.floor(minutes / 60) % 24)}:${pad(minutes % 60)}`,
+        capacity: config.slotCapacity,
+        remaining,
+        available: remaining > 0
+      });
     }
 
-    return { date: targetDate, slots, totalScheduled: scheduledOrders };
+    return { date, enabled: true, slotMinutes: config.slotMinutes, slots };
   }
 
   /**
-   * Procesar pedidos programados (ejecutar periódicamente)
+   * Próximos horarios con lugar (para ofrecer en WhatsApp)
    */
-  async processScheduledOrders() {
-    const now = new Date();
-    const prepTime = 30 * 60 * 1000; // 30 min antes
+  async getNextAvailableSlots(storeId, limit = 9) {
+    const config = await this.getConfig(storeId);
+    if (!config.enabled) return [];
 
-    const ordersToProcess = await prisma.order.findMany({
-      where: {
-        isScheduled: true,
-        status: 'scheduled',
-        scheduledFor: { lte: new Date(now.getTime() + prepTime) },
-      },
-    });
+    const result = [];
+    const today = this.getLocalParts().date;
+    for (let offset = 0; offset <= config.maxDaysAhead && result.length < limit; offset++) {
+      const date = this.getLocalParts(this.toInstant(today, 12 * 60 + offset * 24 * 60)).date;
+      const { slots } = await this.getAvailableSlots(storeId, date, config);
+      result.push(...slots.filter(slot => slot.available));
+    }
 
-    for (const order of ordersToProcess) {
-      try {
-        await prisma.order.update({
-          where: { id: order.id },
-          data: { status: 'pending' },
-        });
-        logger.info({ orderId: order.id }, 'Scheduled order activated');
-      } catch (error) {
-        logger.error({ orderId: order.id, error: error.message }, 'Failed to activate order');
+    return result.slice(0, limit);
+  }
+
+  /**
+   * Validar el horario elegido: local habilitado, dentro del horario y con lugar.
+   * Devuelve el inicio del slot normalizado.
+   */
+  async validateSlot(storeId, scheduledFor, { excludeOrderId = null } = {}) {
+    if (!storeId) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Los pedidos programados requieren un local' });
+    }
+
+    const requested = new Date(scheduledFor);
+    if (Number.isNaN(requested.getTime())) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Horario programado inválido' });
+    }
+
+    const config = await this.getConfig(storeId);
+    if (!config.enabled) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El local no acepta pedidos programados' });
+    }
+
+    const now = Date.now();
+    if (requested.getTime() < now + config.minAdvanceMinutes * 60 * 1000) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+        message: `El pedido debe programarse con al menos ${config.minAdvanceMinutes} minutos de anticipación`
+      });
+    }
+    if (requested.getTime() > now + config.maxDaysAhead * 24 * 60 * 60 * 1000) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+        message: `Solo se puede programar hasta ${config.maxDaysAhead} días antes`
+      });
+    }
+
+    // El horario puede pertenecer a la jornada del día anterior si el local cierra pasada la medianoche
+    const local = this.getLocalParts(requested);
+    const previousDate = this.getLocalParts(this.toInstant(local.date, -12 * 60)).date;
+    const candidates = [
+      { date: local.date, minutes: toMinutes(local.time) },
+      { date: previousDate, minutes: toMinutes(local.time) + 24 * 60 }
+    ];
+
+    for (const { date, minutes } of candidates) {
+      const window = this.getDayWindow(config, date);
+      if (!window || minutes < window.start || minutes + config.slotMinutes > window.end) continue;
+
+      const slotMinutes = window.start + Math.floor((minutes - window.start) / config.slotMinutes) * config.slotMinutes;
+      const slotStart = this.toInstant(date, slotMinutes);
+      const slotEnd = new Date(slotStart.getTime() + config.slotMinutes * 60 * 1000);
+      const counts = await this.countBySlot(storeId, slotStart, slotEnd, config.slotMinutes, excludeOrderId);
+
+      if ((counts.get(slotStart.getTime()) || 0) >= config.slotCapacity) {
+        throw new AppError(ErrorCodes.CONFLICT, { message: 'El horario elegido ya no tiene lugar, elegí otro' });
       }
+      return slotStart;
     }
 
-    return { processed: ordersToProcess.length };
+    throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El horario elegido está fuera del horario del local' });
   }
 
   /**
-   * Cancelar pedido programado
+   * ¿El pedido sigue esperando su horario?
    */
-  async cancelScheduledOrder(orderId, reason) {
+  isParked(order) {
+    return !!order?.scheduledFor && !order.releasedAt;
+  }
+
+  /**
+   * Programar (o reprogramar) un pedido existente
+   */
+  async scheduleOrder(orderId, scheduledFor, actor = SYSTEM_ACTOR) {
     const order = await prisma.order.findUnique({ where: { id: orderId } });
+    if (!order) throw new AppError(ErrorCodes.ORDER_NOT_FOUND);
 
-    if (!order || order.status !== 'scheduled') {
-      throw new Error('Pedido no encontrado o no es programado');
+    if (order.scheduledFor && order.releasedAt) {
+      throw new AppError(ErrorCodes.ORDER_ALREADY_PROCESSED, { message: 'El pedido ya se liberó a cocina' });
+    }
+    if (!order.scheduledFor && !['pending', 'confirmed'].includes(order.status)) {
+      throw new AppError(ErrorCodes.ORDER_ALREADY_PROCESSED, { message: 'El pedido ya está en preparación' });
     }
 
-    await prisma.order.update({
+    const slot = await this.validateSlot(order.storeId, scheduledFor, { excludeOrderId: order.id });
+    const updated = await prisma.order.update({
       where: { id: orderId },
-      data: { status: 'cancelled', cancelReason: reason },
+      // El horario nuevo reemplaza la hora prometida al cliente
+      data: { scheduledFor: slot, releasedAt: null, promisedDeliveryAt: null }
     });
 
-    logger.info({ orderId, reason }, 'Scheduled order cancelled');
-    return { success: true };
+    await orderHistoryService.logChange(
+      orderId,
+      'SCHEDULED',
+      { scheduledFor: order.scheduledFor },
+      { scheduledFor: slot },
+      actor
+    );
+
+    const withEta = await deliveryTimeEstimatorService.refreshOrderEta(orderId)
+      .catch(error => logger.warn({ orderId, error: error.message }, 'No se pudo recalcular la ETA'));
+
+    logger.info({ orderId, scheduledFor: slot }, 'Order scheduled');
+    return withEta || updated;
   }
 
   /**
-   * Modificar horario de pedido programado
+   * Liberar a cocina los pedidos cuyo horario entra en la anticipación del local
+   * (ejecutar periódicamente)
    */
-  async rescheduleOrder(orderId, newScheduledFor) {
-    const order = await prisma.order.findUnique({ where: { id: orderId } });
+  async processScheduledOrders() {
+    // Una sola corrida a la vez (una liberación lenta no se solapa con la del minuto siguiente)
+    if (this.running) return null;
+    this.running = true;
 
-    if (!order || order.status !== 'scheduled') {
-      throw new Error('Pedido no encontrado o no es programado');
-    }
+    try {
+      const now = Date.now();
 
-    const newDate = new Date(newScheduledFor);
-    const now = new Date();
+      const candidates = await prisma.order.findMany({
+        where: {
+          ...PARKED_ORDER_FILTER,
+          scheduledFor: { lte: new Date(now + MAX_LEAD_MINUTES * 60 * 1000) },
+          status: { notIn: [...INACTIVE_STATUSES, 'delivered'] }
+        },
+        orderBy: { scheduledFor: 'asc' }
+      });
 
-    if (newDate.getTime() - now.getTime() < 60 * 60 * 1000) {
-      throw new Error('Debe reprogramar con al menos 1 hora de anticipación');
-    }
+      const configs = new Map();
+      let released = 0;
 
-    await prisma.order.update({
-      where: { id: orderId },
-      data: { scheduledFor: newDate },
-    });
+      for (const order of candidates) {
+        if (!configs.has(order.storeId)) {
+          configs.set(order.storeId, await this.getConfig(order.storeId));
+        }
+        const { leadMinutes } = configs.get(order.storeId);
+        if (order.scheduledFor.getTime() - leadMinutes * 60 * 1000 > now) continue;
+
+        try {
+          if (await this.releaseOrder(order)) released++;
+        } catch (error) {
+          logger.error({ orderId: order.id, error: error.message }, 'Failed to release scheduled order');
+        }
+      }
 
-    logger.info({ orderId, newScheduledFor: newDate }, 'Order rescheduled');
-    return { success: true, scheduledFor: newDate };
+      if (released > 0) {
+        logger.info({ released }, 'Scheduled orders released');
+      }
+      return { processed: candidates.length, released };
+    } finally {
+      this.running = false;
+    }
   }
 
   /**
-   * Obtener pedidos programados de un cliente
+   * Liberar un pedido a cocina y avisar al cliente y al local
    */
-  async getCustomerScheduledOrders(customerId) {
-    return prisma.order.findMany({
-      where: {
-        customerId,
-        isScheduled: true,
-        status: 'scheduled',
-        scheduledFor: { gte: new Date() },
-      },
-      orderBy: { scheduledFor: 'asc' },
-      include: { items: true },
+  async releaseOrder(order, actor = SYSTEM_ACTOR) {
+    // Solo un proceso libera el pedido
+    const claimed = await prisma.order.updateMany({
+      where: { id: order.id, releasedAt: null },
+      data: { releasedAt: new Date() }
     });
+    if (claimed.count === 0) return false;
+
+    await orderHistoryService.logChange(order.id, 'SCHEDULE_RELEASED', null, { scheduledFor: order.scheduledFor }, actor);
+    await deliveryTimeEstimatorService.refreshOrderEta(order.id)
+      .catch(error => logger.warn({ orderId: order.id, error: error.message }, 'No se pudo recalcular la ETA'));
+    await kdsService.publishOrder(order.id)
+      .catch(error => logger.warn({ orderId: order.id, error: error.message }, 'No se pudo avisar a la cocina'));
+
+    const slotLabel = this.formatSlot(order.scheduledFor);
+    const orderLabel = orderNumberService.display(order.orderNumber);
+
+    if (order.storeId) {
+      await prisma.systemNotification.create({
+        data: {
+          storeId: order.storeId,
+          type: 'scheduled_order',
+          title: `Pedido programado ${orderLabel}`,
+          message: `El pedido ${orderLabel} de ${order.customerName} es para ${slotLabel}. Ya podés prepararlo.`,
+          severity: 'warning',
+          metadata: JSON.stringify({ orderId: order.id, scheduledFor: order.scheduledFor })
+        }
+      }).catch(error => logger.warn({ orderId: order.id, error: error.message }, 'No se pudo avisar al local'));
+    }
+
+    if (order.customerPhone && order.storeId) {
+      try {
+        const { sendMessageToClient } = await import('./whatsapp-multi.service.js');
+        await sendMessageToClient(
+          order.storeId,
+          order.customerPhone,
+          `⏰ *PEDIDO PROGRAMADO*\n\n📋 Pedido ${orderLabel}\n\n👨‍🍳 Ya empezamos a preparar tu pedido para ${slotLabel}.\n\n¡Gracias por elegirnos! ❤️`
+        );
+      } catch (error) {
+        logger.warn({ orderId: order.id, error: error.message }, 'No se pudo avisar al cliente');
+      }
+    }
+
+    logger.info({ orderId: order.id, scheduledFor: order.scheduledFor }, 'Scheduled order released');
+    return true;
   }
 
   /**
-   * Obtener pedidos programados de una tienda
+   * Pedidos programados de un local que todavía no se liberaron
    */
-  async getStoreScheduledOrders(storeId, date) {
-    const targetDate = new Date(date);
-    targetDate.setHours(0, 0, 0, 0);
-    
-    const endOfDay = new Date(targetDate);
-    endOfDay.setHours(23, 59, 59, 999);
-
+  async getStoreScheduledOrders(storeId) {
     return prisma.order.findMany({
       where: {
         storeId,
-        isScheduled: true,
-        scheduledFor: { gte: targetDate, lte: endOfDay },
-        status: { not: 'cancelled' },
+        ...PARKED_ORDER_FILTER,
+        status: { notIn: INACTIVE_STATUSES }
       },
       orderBy: { scheduledFor: 'asc' },
-      include: { items: true, customer: true },
+      include: { items: true }
     });
   }
 }
 
 export const scheduledOrdersService = new ScheduledOrdersService();
 export default scheduledOrdersService;
-
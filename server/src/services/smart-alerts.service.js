@@ -4,6 +4,7 @@
 
 import prisma from '../utils/prisma.js';
 import logger from '../utils/logger.js';
+import { orderCancellationService } from './order-cancellation.service.js';
 
 class SmartAlertsService {
   ALERT_TYPES = {
@@ -70,7 +71,7 @@ class SmartAlertsService {
       [this.ALERT_TYPES.LOW_SALES]: `Ventas ${data.percentBelow}% por debajo del promedio`,
       [this.ALERT_TYPES.NEGATIVE_REVIEW]: `Rating: ${data.rating}/5 - "${data.comment?.substring(0, 50)}..."`,
       [this.ALERT_TYPES.LONG_WAIT_TIME]: `Tiempo promedio: ${data.avgMinutes} min (normal: ${data.expectedMinutes} min)`,
-      [this.ALERT_TYPES.CANCELLED_ORDERS]: `${data.cancelledCount} cancelaciones en las últimas ${data.hours} horas`,
+      [this.ALERT_TYPES.CANCELLED_ORDERS]: `${data.cancelledCount} cancelaciones en las últimas ${data.hours} horas${data.topReasons?.length ? ` (principal: ${data.topReasons[0].label})` : ''}`,
       [this.ALERT_TYPES.PEAK_HOUR]: `Prepárate: ${data.expectedOrders} pedidos esperados`,
       [this.ALERT_TYPES.GOAL_ACHIEVED]: `¡Felicidades! ${data.goalName} completado`,
       [this.ALERT_TYPES.GOAL_AT_RISK]: `${data.goalName}: ${data.progress}% completado, quedan ${data.daysLeft} días`,
@@ -231,14 +232,16 @@ class SmartAlertsService {
   async checkCancellations(storeId) {
     const threeHoursAgo = new Date(Date.now() - 3 * 60 * 60 * 1000);
     
-    const cancelled = await prisma.order.count({
-      where: { storeId, status: 'cancelled', updatedAt: { gte: threeHoursAgo } },
-    });
+    const stats = await orderCancellationService.getStats(storeId, { since: threeHoursAgo });
+    const cancelled = stats.total;
 
     if (cancelled >= 3) {
       return this.createAlert(storeId, this.ALERT_TYPES.CANCELLED_ORDERS, {
         cancelledCount: cancelled,
         hours: 3,
+        topReasons: stats.byReason.slice(0, 3),
+        byActor: stats.byActor,
+        pendingRefunds: stats.pendingRefunds,
       }, cancelled >= 5 ? this.SEVERITY.HIGH : this.SEVERITY.MEDIUM);
     }
     return null;
@@ -29,7 +29,10 @@ class SpamDetectorService {
       return false;
     }
 
-    return this.config.spamPatterns.some(pattern => pattern.test(messageText));
+    return this.config.spamPatterns.some(pattern => {
+      pattern.lastIndex = 0; // Los patrones con /g guardan la posición entre llamadas
+      return pattern.test(messageText);
+    });
   }
 
   // Detectar mensajes repetidos
@@ -210,6 +213,19 @@ class SpamDetectorService {
     return { isSpam: false };
   }
 
+  // Señales de spam para el puntaje de riesgo de un pedido (solo consulta, no registra mensajes)
+  async getOrderSignals(phone, texts = []) {
+    const now = Date.now();
+    const recentMessages = (this.messageHistory.get(`rate:hour:${phone}`) || [])
+      .filter(timestamp => now - timestamp < 60 * 60 * 1000);
+
+    return {
+      blocked: phone ? await this.isPhoneBlocked(phone) : false,
+      spamPattern: texts.some(text => this.detectSpamPattern(text)),
+      messageBurst: recentMessages.length >= this.config.maxMessagesPerHour
+    };
+  }
+
   // Limpiar historial expirado
   cleanupExpiredHistory() {
     const now = Date.now();
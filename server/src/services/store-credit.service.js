@@ -0,0 +1,455 @@
+/**
+ * Saldo a favor del cliente por local (billetera)
+ * Libro en partida doble: cada movimiento tiene un asiento en la billetera del cliente y otro en la
+ * cuenta que lo origina (reembolsos, compensaciones, referidos, gift cards, pagos de pedidos, ajustes),
+ * y entre los dos suman cero. La billetera guarda el saldo actual para consumirlo sin carreras.
+ * Se acredita por reembolsos, cancelaciones, faltantes de stock, quejas, referidos y gift cards,
+ * y se usa como medio de pago en la web, el bot y el POS.
+ */
+
+import prisma from '../utils/prisma.js';
+import logger from '../utils/logger.js';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+import orderPaymentsService, { TENDER_TYPES } from './order-payments.service.js';
+import orderNumberService from './order-number.service.js';
+
+export const STORE_CREDIT_TYPES = {
+  CANCELLATION_REFUND: 'cancellation_refund',
+  REFUND: 'refund',
+  STOCK_COMPENSATION: 'stock_compensation',
+  COMPLAINT_COMPENSATION: 'complaint_compensation',
+  REFERRAL_REWARD: 'referral_reward',
+  GIFT_CARD: 'gift_card',
+  PAYMENT: 'payment',
+  PAYMENT_REVERSAL: 'payment_reversal',
+  REDEMPTION: 'redemption',
+  ADJUSTMENT: 'adjustment'
+};
+
+export const STORE_CREDIT_ACCOUNTS = {
+  CUSTOMER_WALLET: 'customer_wallet',
+  REFUNDS: 'refunds',
+  COMPENSATIONS: 'compensations',
+  REFERRALS: 'referrals',
+  GIFT_CARDS: 'gift_cards',
+  ORDER_PAYMENTS: 'order_payments',
+  ADJUSTMENTS: 'adjustments'
+};
+
+// Cuenta de contrapartida de cada tipo de movimiento
+const COUNTERPART_ACCOUNTS = {
+  cancellation_refund: STORE_CREDIT_ACCOUNTS.REFUNDS,
+  refund: STORE_CREDIT_ACCOUNTS.REFUNDS,
+  stock_compensation: STORE_CREDIT_ACCOUNTS.COMPENSATIONS,
+  complaint_compensation: STORE_CREDIT_ACCOUNTS.COMPENSATIONS,
+  referral_reward: STORE_CREDIT_ACCOUNTS.REFERRALS,
+  gift_card: STORE_CREDIT_ACCOUNTS.GIFT_CARDS,
+  payment: STORE_CREDIT_ACCOUNTS.ORDER_PAYMENTS,
+  payment_reversal: STORE_CREDIT_ACCOUNTS.ORDER_PAYMENTS,
+  redemption: STORE_CREDIT_ACCOUNTS.ORDER_PAYMENTS,
+  adjustment: STORE_CREDIT_ACCOUNTS.ADJUSTMENTS
+};
+
+// Tipos que solo suman saldo (los consumos van por spend)
+const CREDIT_TYPES = [
+  STORE_CREDIT_TYPES.CANCELLATION_REFUND,
+  STORE_CREDIT_TYPES.REFUND,
+  STORE_CREDIT_TYPES.STOCK_COMPENSATION,
+  STORE_CREDIT_TYPES.COMPLAINT_COMPENSATION,
+  STORE_CREDIT_TYPES.REFERRAL_REWARD,
+  STORE_CREDIT_TYPES.GIFT_CARD,
+  STORE_CREDIT_TYPES.PAYMENT_REVERSAL,
+  STORE_CREDIT_TYPES.ADJUSTMENT
+];
+
+// Texto de cada tipo para el cliente (bot, web) y el panel
+const TYPE_LABELS = {
+  cancellation_refund: 'Reintegro por cancelación',
+  refund: 'Reembolso',
+  stock_compensation: 'Compensación por faltante',
+  complaint_compensation: 'Compensación por reclamo',
+  referral_reward: 'Premio por invitar',
+  gift_card: 'Gift card',
+  payment: 'Pago con saldo',
+  payment_reversal: 'Devolución de pago con saldo',
+  redemption: 'Pago con saldo',
+  adjustment: 'Ajuste del local'
+};
+
+const round = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+// Mismo cliente con o sin sufijo de WhatsApp, espacios o guiones (web, bot y POS)
+const normalizePhone = (phone) => String(phone || '').split('@')[0].replace(/\D/g, '');
+
+// JID @lid de WhatsApp (no es un teléfono; ej: "180375909310641@lid")
+const isLid = (phone) => String(phone || '').endsWith('@lid');
+
+class StoreCreditService {
+  normalizePhone(phone) {
+    return normalizePhone(phone);
+  }
+
+  /**
+   * Teléfono de la billetera: los pedidos del bot pueden guardar el JID @lid del cliente en lugar
+   * del teléfono; si ya se sabe a qué teléfono corresponde (Customer.whatsappLid) se usa ese
+   */
+  async resolvePhone(customerPhone) {
+    if (!isLid(customerPhone)) return normalizePhone(customerPhone);
+
+    const customer = await prisma.customer.findUnique({
+      where: { whatsappLid: `${normalizePhone(customerPhone)}@lid` },
+      select: { phone: true }
+    });
+    return normalizePhone(customer?.phone || customerPhone);
+  }
+
+  /**
+   * Registrar a qué teléfono corresponde un JID @lid (lo informa WhatsApp en los mensajes)
+   * El saldo que haya quedado en billeteras del @lid pasa a la billetera del teléfono
+   */
+  async linkWhatsappLid(lid, phone) {
+    const lidPhone = normalizePhone(lid);
+    const realPhone = normalizePhone(phone);
+    if (!isLid(lid) || !lidPhone || !realPhone || lidPhone === realPhone) return false;
+
+    const whatsappLid = `${lidPhone}@lid`;
+    const existing = await prisma.customer.findUnique({ where: { whatsappLid }, select: { phone: true } });
+    if (existing && normalizePhone(existing.phone) === realPhone) return false;
+
+    await prisma.customer.updateMany({ where: { whatsappLid }, data: { whatsappLid: null } });
+    await prisma.customer.upsert({
+      where: { phone: realPhone },
+      create: { phone: realPhone, whatsappLid },
+      update: { whatsappLid }
+    });
+
+    const wallets = await prisma.storeCreditWallet.findMany({
+      where: { customerPhone: lidPhone, balance: { gt: 0 } }
+    });
+    for (const wallet of wallets) {
+      const amount = round(wallet.balance);
+      const note = 'Unificación con el teléfono de WhatsApp del cliente';
+      await this.post(wallet.storeId, lidPhone, -amount, { type: STORE_CREDIT_TYPES.ADJUSTMENT, note });
+      await this.post(wallet.storeId, realPhone, amount, { type: STORE_CREDIT_TYPES.ADJUSTMENT, note });
+    }
+
+    logger.info({ whatsappLid, phone: realPhone, mergedWallets: wallets.length }, 'WhatsApp LID linked to phone');
+    return true;
+  }
+
+  describeType(type) {
+    return TYPE_LABELS[type] || type;
+  }
+
+  /**
+   * Acreditar saldo a favor
+   * @param {object} options - { type, orderId, reference, note, actor }
+   */
+  async grant(storeId, customerPhone, amount, { type = STORE_CREDIT_TYPES.ADJUSTMENT, orderId = null, reference = null, note = null, actor = null } = {}) {
+    if (!CREDIT_TYPES.includes(type)) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: `Tipo de acreditación inválido: ${type}` });
+    }
+    if (!(amount > 0)) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El monto a acreditar debe ser mayor a 0' });
+    }
+
+    return this.post(storeId, customerPhone, round(amount), { type, orderId, reference, note, actor });
+  }
+
+  /**
+   * Consumir saldo a favor (falla si el cliente no tiene saldo suficiente)
+   * @param {object} options - { type, orderId, reference, note, actor }
+   */
+  async spend(storeId, customerPhone, amount, { type = STORE_CREDIT_TYPES.PAYMENT, orderId = null, reference = null, note = null, actor = null, tx = null } = {}) {
+    if (!(amount > 0)) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El monto a usar debe ser mayor a 0' });
+    }
+
+    return this.post(storeId, customerPhone, -round(amount), { type, orderId, reference, note, actor, tx });
+  }
+
+  /**
+   * Ajuste manual del local (positivo acredita, negativo descuenta)
+   */
+  async adjust(storeId, customerPhone, amount, note, actor = null) {
+    const value = round(amount);
+    if (!value) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El ajuste debe ser distinto de 0' });
+    }
+    if (!note) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Indicá el motivo del ajuste' });
+    }
+
+    return this.post(storeId, customerPhone, value, { type: STORE_CREDIT_TYPES.ADJUSTMENT, note, actor });
+  }
+
+  /**
+   * Registrar un movimiento: actualiza la billetera y crea los dos asientos en una transacción
+   * Los consumos descuentan solo si el saldo alcanza (condición en el update, sin carreras)
+   * @param {object} [tx] - Transacción en curso del llamador (ej: payOrder); sin ella se abre una
+   */
+  async post(storeId, customerPhone, amount, { type, orderId = null, reference = null, note = null, actor = null, tx: outerTx = null }) {
+    const phone = await this.resolvePhone(customerPhone);
+    if (!storeId || !phone) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El saldo a favor necesita local y teléfono del cliente' });
+    }
+
+    const run = async (tx) => {
+      const wallet = await this.ensureWallet(storeId, phone, tx);
+
+      if (amount < 0) {
+        const { count } = await tx.storeCreditWallet.updateMany({
+          where: { id: wallet.id, balance: { gte: -amount - 0.001 } },
+          data: { balance: { increment: amount } }
+        });
+        if (count === 0) {
+          throw new AppError(ErrorCodes.CONFLICT, {
+            message: `Saldo a favor insuficiente (disponible: $${round(wallet.balance)})`
+          });
+        }
+      } else {
+        await tx.storeCreditWallet.update({
+          where: { id: wallet.id },
+          data: { balance: { increment: amount } }
+        });
+      }
+
+      const { balance } = await tx.storeCreditWallet.findUnique({ where: { id: wallet.id }, select: { balance: true } });
+      const entry = { storeId, customerPhone: phone, type, orderId, note };
+
+      return tx.storeCreditTransaction.create({
+        data: {
+          storeId,
+          customerPhone: phone,
+          type,
+          amount,
+          balanceAfter: round(balance),
+          orderId,
+          reference,
+          note,
+          actorId: actor?.id || null,
+          actorName: actor?.name || null,
+          entries: {
+            create: [
+              { ...entry, account: STORE_CREDIT_ACCOUNTS.CUSTOMER_WALLET, amount },
+              { ...entry, account: COUNTERPART_ACCOUNTS[type] || STORE_CREDIT_ACCOUNTS.ADJUSTMENTS, amount: -amount }
+            ]
+          }
+        }
+      });
+    };
+    const transaction = outerTx ? await run(outerTx) : await prisma.$transaction(run);
+
+    logger.info({ storeId, customerPhone: phone, amount, type, orderId, balance: transaction.balanceAfter }, 'Store credit movement');
+    return transaction;
+  }
+
+  /**
+   * Billetera del cliente; la primera vez toma el saldo de los asientos anteriores a las billeteras
+   */
+  async ensureWallet(storeId, phone, client = prisma) {
+    const existing = await client.storeCreditWallet.findUnique({
+      where: { storeId_customerPhone: { storeId, customerPhone: phone } }
+    });
+    if (existing) return existing;
+
+    const legacy = await client.storeCreditEntry.aggregate({
+      where: { storeId, customerPhone: phone, transactionId: null },
+      _sum: { amount: true }
+    });
+
+    return client.storeCreditWallet.upsert({
+      where: { storeId_customerPhone: { storeId, customerPhone: phone } },
+      create: { storeId, customerPhone: phone, balance: round(legacy._sum.amount) },
+      update: {}
+    });
+  }
+
+  /**
+   * Saldo disponible y últimos movimientos de un cliente
+   */
+  async getBalance(storeId, customerPhone) {
+    const phone = await this.resolvePhone(customerPhone);
+    const [wallet, transactions] = await Promise.all([
+      prisma.storeCreditWallet.findUnique({
+        where: { storeId_customerPhone: { storeId, customerPhone: phone } }
+      }),
+      prisma.storeCreditTransaction.findMany({
+        where: { storeId, customerPhone: phone },
+        orderBy: { createdAt: 'desc' },
+        take: 20
+      })
+    ]);
+
+    // Clientes que solo tienen asientos anteriores a las billeteras
+    const balance = wallet
+      ? wallet.balance
+      : (await prisma.storeCreditEntry.aggregate({
+        where: { storeId, customerPhone: phone, transactionId: null },
+        _sum: { amount: true }
+      }))._sum.amount;
+
+    return {
+      customerPhone: phone,
+      balance: round(balance),
+      transactions: transactions.map(t => ({ ...t, label: this.describeType(t.type) }))
+    };
+  }
+
+  /**
+   * Historial completo de movimientos con sus asientos
+   */
+  async getHistory(storeId, customerPhone, { limit = 50, offset = 0 } = {}) {
+    const phone = await this.resolvePhone(customerPhone);
+    const where = { storeId, customerPhone: phone };
+
+    const [total, transactions, legacyEntries, { balance }] = await Promise.all([
+      prisma.storeCreditTransaction.count({ where }),
+      prisma.storeCreditTransaction.findMany({
+        where,
+        include: { entries: { select: { account: true, amount: true } } },
+        orderBy: { createdAt: 'desc' },
+        take: Math.min(limit, 200),
+        skip: offset
+      }),
+      prisma.storeCreditEntry.findMany({
+        where: { ...where, transactionId: null },
+        orderBy: { createdAt: 'desc' }
+      }),
+      this.getBalance(storeId, phone)
+    ]);
+
+    return {
+      customerPhone: phone,
+      balance,
+      total,
+      transactions: transactions.map(t => ({ ...t, label: this.describeType(t.type) })),
+      legacyEntries
+    };
+  }
+
+  /**
+   * Billeteras del local con saldo (lo que el local le debe a sus clientes)
+   */
+  async getStoreWallets(storeId, { minBalance = 0.01 } = {}) {
+    const wallets = await prisma.storeCreditWallet.findMany({
+      where: { storeId, balance: { gte: minBalance } },
+      orderBy: { balance: 'desc' }
+    });
+
+    return {
+      wallets,
+      customers: wallets.length,
+      totalBalance: round(wallets.reduce((sum, w) => sum + w.balance, 0))
+    };
+  }
+
+  /**
+   * Pagar (parte de) un pedido con el saldo a favor del cliente
+   * Sin monto usa todo el saldo que alcance para el pendiente del pedido
+   */
+  async payOrder(orderId, amount = null, actor = null) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { id: true, storeId: true, customerPhone: true, orderNumber: true, total: true, status: true }
+    });
+    if (!order) {
+      throw new AppError(ErrorCodes.ORDER_NOT_FOUND);
+    }
+    if (!order.storeId || !order.customerPhone) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El pedido no tiene local o teléfono del cliente' });
+    }
+    if (['cancelled', 'delivered'].includes(order.status)) {
+      throw new AppError(ErrorCodes.CONFLICT, { message: 'El pedido ya está cerrado' });
+    }
+
+    const phone = await this.resolvePhone(order.customerPhone);
+
+    // Saldo pendiente, débito de la billetera y pago del pedido en una sola transacción
+    const { payment, transaction, value, due } = await prisma.$transaction(async (tx) => {
+      await orderPaymentsService.lockOrder(orderId, tx);
+
+      const payments = await orderPaymentsService.getPayments(orderId, tx);
+      const due = orderPaymentsService.summarize(order, payments).balance;
+      const wallet = await this.ensureWallet(order.storeId, phone, tx);
+      const value = round(amount ?? Math.min(wallet.balance, due));
+
+      if (!(value > 0)) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'No hay saldo a favor para usar en este pedido' });
+      }
+      if (value > due) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+          message: `El monto ($${value}) supera lo que falta pagar del pedido ($${due})`
+        });
+      }
+
+      const transaction = await this.spend(order.storeId, phone, value, {
+        type: STORE_CREDIT_TYPES.PAYMENT,
+        orderId,
+        note: `Pago del pedido ${orderNumberService.display(order.orderNumber)}`,
+        actor,
+        tx
+      });
+
+      const payment = await tx.orderPayment.create({
+        data: {
+          orderId,
+          storeId: order.storeId,
+          tenderType: TENDER_TYPES.STORE_CREDIT,
+          amount: value,
+          status: 'paid',
+          reference: transaction.id,
+          paidAt: new Date()
+        }
+      });
+
+      return { payment, transaction, value, due };
+    });
+
+    await orderPaymentsService.rollup(orderId, actor);
+
+    return { payment, transaction, amount: value, remaining: round(due - value), balance: transaction.balanceAfter };
+  }
+
+  /**
+   * Devolver a la billetera lo pagado con saldo en un pedido que no siguió (ej: el cliente abandonó el pago)
+   * Cada pago se reclama con un update condicionado para no devolverlo dos veces
+   */
+  async releaseOrderCredit(orderId, actor = null, note = null) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { id: true, storeId: true, customerPhone: true, orderNumber: true }
+    });
+    if (!order?.customerPhone) return 0;
+
+    const payments = await prisma.orderPayment.findMany({
+      where: { orderId, tenderType: TENDER_TYPES.STORE_CREDIT, status: 'paid' }
+    });
+
+    let released = 0;
+    for (const payment of payments) {
+      const { count } = await prisma.orderPayment.updateMany({
+        where: { id: payment.id, status: 'paid' },
+        data: { status: 'cancelled' }
+      });
+      if (count === 0) continue;
+
+      await this.grant(order.storeId, order.customerPhone, payment.amount, {
+        type: STORE_CREDIT_TYPES.PAYMENT_REVERSAL,
+        orderId,
+        reference: payment.reference,
+        note: note || `Devolución del saldo usado en el pedido ${orderNumberService.display(order.orderNumber)}`,
+        actor
+      });
+      released = round(released + payment.amount);
+    }
+
+    if (released > 0) {
+      await orderPaymentsService.rollup(orderId, actor);
+    }
+    return released;
+  }
+}
+
+export const storeCreditService = new StoreCreditService();
+export default storeCreditService;
@@ -1,9 +1,45 @@
 /**
  * Sistema de Gestión de Mesas
+ * Cada mesa tiene un QR; al escanearlo se abre (o se une a) la cuenta de la mesa,
+ * y los comensales suman rondas de pedidos (dine_in) que la cocina ve con el número de mesa.
+ * Al final se pide la cuenta, se divide y el personal la cierra registrando los pagos.
  */
 
+import crypto from 'crypto';
 import prisma from '../utils/prisma.js';
 import logger from '../utils/logger.js';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+import { orderHistoryService, ORDER_CHANNELS } from './order-history.service.js';
+import { orderNumberService } from './order-number.service.js';
+import { orderPricingService } from './order-pricing.service.js';
+import { orderPaymentsService } from './order-payments.service.js';
+import { orderStateValidator } from './order-state-validator.service.js';
+
+// Cuentas que siguen abiertas en la mesa
+const ACTIVE_SESSION_STATUSES = ['open', 'bill_requested'];
+
+// Rondas que todavía están en cocina (no se puede cerrar la cuenta)
+const KITCHEN_PENDING_STATUSES = ['pending', 'confirmed', 'preparing', 'stock_issue'];
+
+// Rondas que no se cobran
+const VOID_STATUSES = ['cancelled', 'stock_timeout'];
+
+const SPLIT_MODES = ['single', 'equal', 'by_diner'];
+
+// Diferencia máxima (en pesos) que se tolera por redondeos
+const AMOUNT_TOLERANCE = 1;
+
+const round = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const generateToken = () => crypto.randomBytes(16).toString('hex');
+
+// Los comensales piden desde el QR de la mesa
+const dinerActor = (name) => ({
+  id: null,
+  name: name || null,
+  role: 'customer',
+  channel: ORDER_CHANNELS.TABLE_QR
+});
 
 class TablesService {
   TABLE_STATUS = {
@@ -13,11 +49,22 @@ class TablesService {
     CLEANING: 'cleaning',
   };
 
+  SESSION_STATUS = {
+    OPEN: 'open',
+    BILL_REQUESTED: 'bill_requested',
+    CLOSED: 'closed',
+    MERGED: 'merged',
+  };
+
   /**
    * Crear mesa
    */
   async createTable(storeId, tableData) {
-    const { number, capacity, zone = 'main', position = null } = tableData;
+    const { number, name = null, capacity = 4, zone = 'main', position = null } = tableData;
+
+    if (!Number.isInteger(number) || number < 1) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El número de mesa debe ser un entero positivo' });
+    }
 
     // Verificar que no exista mesa con ese número
     const existing = await prisma.table.findFirst({
@@ -25,18 +72,19 @@ class TablesService {
     });
 
     if (existing) {
-      throw new Error(`Ya existe la mesa ${number}`);
+      throw new AppError(ErrorCodes.DUPLICATE_ENTRY, { message: `Ya existe la mesa ${number}` });
     }
 
     const table = await prisma.table.create({
       data: {
         storeId,
         number,
+        name,
         capacity,
         zone,
         position: position ? JSON.stringify(position) : null,
         status: this.TABLE_STATUS.AVAILABLE,
-        qrCode: this.generateQRCode(storeId, number),
+        qrCode: this.generateQRCode(),
       },
     });
 
@@ -45,11 +93,45 @@ class TablesService {
   }
 
   /**
-   * Generar código QR único
+   * Generar código QR único (no se deriva del número para que no se pueda adivinar)
    */
-  generateQRCode(storeId, tableNumber) {
-    const timestamp = Date.now().toString(36);
-    return `${storeId}-T${tableNumber}-${timestamp}`;
+  generateQRCode() {
+    return generateToken();
+  }
+
+  /**
+   * Actualizar datos de la mesa (nombre, capacidad, zona, posición)
+   */
+  async updateTable(tableId, tableData) {
+    const data = {};
+    if (tableData.name !== undefined) data.name = tableData.name || null;
+    if (tableData.capacity !== undefined) data.capacity = tableData.capacity;
+    if (tableData.zone !== undefined) data.zone = tableData.zone || 'main';
+    if (tableData.position !== undefined) data.position = tableData.position ? JSON.stringify(tableData.position) : null;
+
+    return prisma.table.update({ where: { id: tableId }, data });
+  }
+
+  /**
+   * Eliminar mesa (solo si no tiene una cuenta abierta)
+   */
+  async deleteTable(tableId) {
+    const session = await this.getActiveSession(tableId);
+    if (session) {
+      throw new AppError(ErrorCodes.CONFLICT, { message: 'La mesa tiene una cuenta abierta' });
+    }
+    await prisma.table.delete({ where: { id: tableId } });
+    logger.info({ tableId }, 'Table deleted');
+  }
+
+  /**
+   * Invalidar el QR impreso (ej: alguien se lo llevó) y generar uno nuevo
+   */
+  async regenerateQRCode(tableId) {
+    return prisma.table.update({
+      where: { id: tableId },
+      data: { qrCode: this.generateQRCode() },
+    });
   }
 
   /**
@@ -60,8 +142,13 @@ class TablesService {
       where: { storeId },
       orderBy: [{ zone: 'asc' }, { number: 'asc' }],
       include: {
-        currentOrder: {
-          select: { id: true, orderNumber: true, total: true, status: true },
+        sessions: {
+          where: { status: { in: ACTIVE_SESSION_STATUSES } },
+          include: {
+            orders: {
+              select: { id: true, orderNumber: true, total: true, status: true, customerName: true },
+            },
+          },
         },
       },
     });
@@ -72,12 +159,18 @@ class TablesService {
    */
   async updateTableStatus(tableId, status) {
     if (!Object.values(this.TABLE_STATUS).includes(status)) {
-      throw new Error('Estado de mesa inválido');
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Estado de mesa inválido' });
+    }
+    if (status !== this.TABLE_STATUS.OCCUPIED && await this.getActiveSession(tableId)) {
+      throw new AppError(ErrorCodes.CONFLICT, { message: 'La mesa tiene una cuenta abierta' });
     }
 
     const table = await prisma.table.update({
       where: { id: tableId },
-      data: { status, updatedAt: new Date() },
+      data: {
+        status,
+        occupiedAt: status === this.TABLE_STATUS.OCCUPIED ? new Date() : null,
+      },
     });
 
     logger.info({ tableId, status }, 'Table status updated');
@@ -85,27 +178,21 @@ class TablesService {
   }
 
   /**
-   * Ocupar mesa con pedido
+   * Ocupar mesa (solo un proceso la toma; false si ya estaba ocupada)
    */
-  async occupyTable(tableId, orderId) {
-    const table = await prisma.table.findUnique({ where: { id: tableId } });
-
-    if (!table) throw new Error('Mesa no encontrada');
-    if (table.status === this.TABLE_STATUS.OCCUPIED) {
-      throw new Error('La mesa ya está ocupada');
-    }
-
-    await prisma.table.update({
-      where: { id: tableId },
+  async occupyTable(tableId) {
+    const claimed = await prisma.table.updateMany({
+      where: { id: tableId, status: { not: this.TABLE_STATUS.OCCUPIED } },
       data: {
         status: this.TABLE_STATUS.OCCUPIED,
-        currentOrderId: orderId,
         occupiedAt: new Date(),
       },
     });
 
-    logger.info({ tableId, orderId }, 'Table occupied');
-    return { success: true };
+    if (claimed.count > 0) {
+      logger.info({ tableId }, 'Table occupied');
+    }
+    return claimed.count > 0;
   }
 
   /**
@@ -116,17 +203,16 @@ class TablesService {
       where: { id: tableId },
       data: {
         status: this.TABLE_STATUS.CLEANING,
-        currentOrderId: null,
         occupiedAt: null,
       },
     });
 
-    // Después de 5 min, marcar como disponible
+    // Después de 5 min, marcar como disponible (si nadie volvió a sentarse)
     setTimeout(async () => {
-      await prisma.table.update({
-        where: { id: tableId },
+      await prisma.table.updateMany({
+        where: { id: tableId, status: this.TABLE_STATUS.CLEANING },
         data: { status: this.TABLE_STATUS.AVAILABLE },
-      });
+      }).catch(error => logger.warn({ tableId, error: error.message }, 'No se pudo liberar la mesa'));
     }, 5 * 60 * 1000);
 
     logger.info({ tableId }, 'Table released');
@@ -143,6 +229,428 @@ class TablesService {
     });
   }
 
+  // ========== CUENTAS DE MESA ==========
+
+  /**
+   * Cuenta abierta de una mesa (o null)
+   */
+  async getActiveSession(tableId) {
+    return prisma.tableSession.findFirst({
+      where: { tableId, status: { in: ACTIVE_SESSION_STATUSES } },
+      orderBy: { openedAt: 'desc' },
+    });
+  }
+
+  /**
+   * Abrir la cuenta de la mesa desde el QR, o unirse a la que ya está abierta
+   */
+  async openSession(qrCode, { guests = null } = {}) {
+    const table = await this.getTableByQR(qrCode);
+    if (!table) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Mesa no encontrada' });
+    }
+
+    const existing = await this.getActiveSession(table.id);
+    if (existing) {
+      return { table, session: existing, joined: true };
+    }
+
+    await this.occupyTable(table.id);
+
+    // Si otro comensal abrió la cuenta al mismo tiempo, unirse a esa
+    const concurrent = await this.getActiveSession(table.id);
+    if (concurrent) {
+      return { table, session: concurrent, joined: true };
+    }
+
+    const session = await prisma.tableSession.create({
+      data: {
+        storeId: table.storeId,
+        tableId: table.id,
+        joinToken: generateToken(),
+        guests: Number.isInteger(guests) && guests > 0 ? guests : null,
+      },
+    });
+
+    logger.info({ tableId: table.id, sessionId: session.id }, 'Table session opened');
+    return { table, session, joined: false };
+  }
+
+  /**
+   * Cuenta por token de comensal (con la mesa y las rondas)
+   */
+  async getSessionByToken(joinToken) {
+    const session = await prisma.tableSession.findUnique({
+      where: { joinToken },
+      include: { table: true, orders: { include: { items: true }, orderBy: { createdAt: 'asc' } } },
+    });
+    if (!session) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Cuenta de mesa no encontrada' });
+    }
+    return session;
+  }
+
+  /**
+   * Cuenta por id (panel)
+   */
+  async getSession(sessionId) {
+    const session = await prisma.tableSession.findUnique({
+      where: { id: sessionId },
+      include: { table: true, orders: { include: { items: true }, orderBy: { createdAt: 'asc' } } },
+    });
+    if (!session) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Cuenta de mesa no encontrada' });
+    }
+    return session;
+  }
+
+  assertActive(session) {
+    if (!ACTIVE_SESSION_STATUSES.includes(session.status)) {
+      throw new AppError(ErrorCodes.CONFLICT, { message: 'La cuenta de la mesa ya está cerrada' });
+    }
+  }
+
+  /**
+   * Sumar una ronda a la cuenta: se crea un pedido dine_in que va directo a cocina
+   * @param {string} joinToken
+   * @param {{ dinerName?: string, items: Array, notes?: string }} round
+   */
+  async addRound(joinToken, { dinerName = null, items, notes = null }) {
+    const session = await this.getSessionByToken(joinToken);
+    this.assertActive(session);
+    if (session.status === this.SESSION_STATUS.BILL_REQUESTED) {
+      throw new AppError(ErrorCodes.CONFLICT, { message: 'Ya se pidió la cuenta de esta mesa. Llamá al mozo para agregar algo más.' });
+    }
+
+    const pricing = await orderPricingService.priceOrder({
+      storeId: session.storeId,
+      items,
+      fulfillmentType: 'dine_in',
+      discountCode: null,
+      tableSession: true,
+    });
+
+    const { orderNumber, sequenceNumber, sequenceScope } = await orderNumberService.generate(session.storeId);
+    const tableLabel = session.table.name || `Mesa ${session.table.number}`;
+
+    const order = await prisma.order.create({
+      data: {
+        storeId: session.storeId,
+        orderNumber,
+        sequenceNumber,
+        sequenceScope,
+        customerName: dinerName ? `${dinerName} (${tableLabel})` : tableLabel,
+        status: 'confirmed',
+        paymentStatus: 'pending',
+        fulfillmentType: 'dine_in',
+        tableSessionId: session.id,
+        tableNumber: session.table.number,
+        subtotal: pricing.subtotal,
+        deliveryFee: 0,
+        discount: pricing.discount,
+        total: pricing.total,
+        priceBreakdown: JSON.stringify(orderPricingService.buildBreakdown(pricing)),
+        notes,
+        items: {
+          create: pricing.items.map((item, index) => ({
+            productId: item.productId,
+            productName: item.productName,
+            quantity: item.quantity,
+            unitPrice: item.unitPrice,
+            subtotal: item.subtotal,
+            selectedOptions: typeof (items[index].selected_options ?? items[index].selectedOptions) === 'string'
+              ? (items[index].selected_options ?? items[index].selectedOptions)
+              : JSON.stringify(items[index].selected_options || items[index].selectedOptions || {}),
+          })),
+        },
+      },
+      include: { items: true },
+    });
+
+    await orderHistoryService.logOrderCreated(order, dinerActor(dinerName));
+    await orderStateValidator.runEffects(order.id, ['refresh_eta', 'deduct_stock', 'kds_update']);
+
+    logger.info({ sessionId: session.id, orderId: order.id, tableNumber: session.table.number }, 'Table round added');
+    return order;
+  }
+
+  /**
+   * Cuenta de la mesa: rondas, totales por comensal y saldo a cobrar
+   */
+  async getBill(session) {
+    const rounds = session.orders.filter(order => !VOID_STATUSES.includes(order.status));
+
+    const billedRounds = [];
+    for (const order of rounds) {
+      const payments = await orderPaymentsService.getPayments(order.id);
+      billedRounds.push({ order, summary: orderPaymentsService.summarize(order, payments) });
+    }
+
+    const byDiner = new Map();
+    for (const { order } of billedRounds) {
+      const diner = order.customerName || 'Mesa';
+      byDiner.set(diner, round((byDiner.get(diner) || 0) + order.total));
+    }
+
+    const total = round(billedRounds.reduce((sum, { summary }) => sum + summary.total, 0));
+    const paid = round(billedRounds.reduce((sum, { summary }) => sum + summary.paid, 0));
+
+    let split = null;
+    if (session.billSplit) {
+      try {
+        split = JSON.parse(session.billSplit);
+      } catch {
+        split = null;
+      }
+    }
+
+    return {
+      sessionId: session.id,
+      status: session.status,
+      tableNumber: session.table?.number ?? null,
+      tableName: session.table?.name ?? null,
+      rounds: billedRounds.map(({ order, summary }) => ({
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        dinerName: order.customerName,
+        status: order.status,
+        total: summary.total,
+        paid: summary.paid,
+        items: (order.items || []).map(item => ({
+          productName: item.productName,
+          quantity: item.quantity,
+          subtotal: item.subtotal,
+        })),
+      })),
+      byDiner: [...byDiner.entries()].map(([name, amount]) => ({ name, total: amount })),
+      total,
+      paid,
+      balance: round(Math.max(total - paid, 0)),
+      split,
+      parts: this.computeSplit(round(Math.max(total - paid, 0)), [...byDiner.entries()], split),
+    };
+  }
+
+  /**
+   * Montos de cada parte según cómo se pidió dividir la cuenta
+   */
+  computeSplit(balance, dinerTotals, split) {
+    if (!split || split.mode === 'single') {
+      return [{ label: 'Total', amount: balance }];
+    }
+
+    if (split.mode === 'equal') {
+      const parts = split.parts;
+      const share = Math.floor((balance / parts) * 100) / 100;
+      // La última parte absorbe los centavos del redondeo
+      return Array.from({ length: parts }, (_, index) => ({
+        label: `Parte ${index + 1}`,
+        amount: index === parts - 1 ? round(balance - share * (parts - 1)) : share,
+      }));
+    }
+
+    return dinerTotals.map(([name, amount]) => ({ label: name, amount }));
+  }
+
+  /**
+   * El comensal pide la cuenta (y cómo dividirla); se avisa al local
+   */
+  async requestBill(joinToken, { mode = 'single', parts = null } = {}) {
+    if (!SPLIT_MODES.includes(mode)) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: `Modo de división inválido. Opciones: ${SPLIT_MODES.join(', ')}` });
+    }
+    if (mode === 'equal' && (!Number.isInteger(parts) || parts < 2 || parts > 50)) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Para dividir en partes iguales indicá entre 2 y 50 partes' });
+    }
+
+    const session = await this.getSessionByToken(joinToken);
+    this.assertActive(session);
+
+    const billSplit = JSON.stringify(mode === 'equal' ? { mode, parts } : { mode });
+    const updated = await prisma.tableSession.update({
+      where: { id: session.id },
+      data: {
+        status: this.SESSION_STATUS.BILL_REQUESTED,
+        billSplit,
+        billRequestedAt: session.billRequestedAt || new Date(),
+      },
+      include: { table: true, orders: { include: { items: true }, orderBy: { createdAt: 'asc' } } },
+    });
+
+    const tableLabel = updated.table.name || `Mesa ${updated.table.number}`;
+    await prisma.systemNotification.create({
+      data: {
+        storeId: updated.storeId,
+        type: 'table_bill',
+        title: `${tableLabel} pidió la cuenta`,
+        message: mode === 'equal'
+          ? `${tableLabel} quiere la cuenta dividida en ${parts} partes iguales.`
+          : mode === 'by_diner'
+            ? `${tableLabel} quiere la cuenta dividida por comensal.`
+            : `${tableLabel} quiere la cuenta.`,
+        severity: 'info',
+        metadata: JSON.stringify({ sessionId: updated.id, tableId: updated.tableId }),
+      },
+    }).catch(error => logger.warn({ sessionId: updated.id, error: error.message }, 'No se pudo avisar al local'));
+
+    logger.info({ sessionId: updated.id, mode }, 'Table bill requested');
+    return this.getBill(updated);
+  }
+
+  /**
+   * Pasar la cuenta a otra mesa libre (los comensales se cambian de mesa)
+   */
+  async transferSession(sessionId, targetTableId, actor) {
+    const session = await this.getSession(sessionId);
+    this.assertActive(session);
+
+    const target = await prisma.table.findUnique({ where: { id: targetTableId } });
+    if (!target || target.storeId !== session.storeId) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Mesa de destino no encontrada' });
+    }
+    if (target.id === session.tableId) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'La cuenta ya está en esa mesa' });
+    }
+    if (await this.getActiveSession(target.id)) {
+      throw new AppError(ErrorCodes.CONFLICT, { message: 'La mesa de destino tiene una cuenta abierta. Uní las cuentas en su lugar.' });
+    }
+
+    await prisma.$transaction([
+      prisma.tableSession.update({ where: { id: session.id }, data: { tableId: target.id } }),
+      prisma.order.updateMany({ where: { tableSessionId: session.id }, data: { tableNumber: target.number } }),
+      prisma.table.update({
+        where: { id: target.id },
+        data: { status: this.TABLE_STATUS.OCCUPIED, occupiedAt: session.table.occupiedAt || new Date() },
+      }),
+    ]);
+
+    await this.logTableChange(session.orders, session.table.number, target.number, actor, 'Cuenta transferida de mesa');
+    await this.releaseTable(session.tableId);
+
+    logger.info({ sessionId, from: session.tableId, to: target.id }, 'Table session transferred');
+    return this.getSession(session.id);
+  }
+
+  /**
+   * Unir la cuenta de una mesa a la de otra (las rondas pasan a la cuenta de destino)
+   */
+  async mergeSessions(sourceSessionId, targetSessionId, actor) {
+    if (sourceSessionId === targetSessionId) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'No se puede unir una cuenta consigo misma' });
+    }
+
+    const source = await this.getSession(sourceSessionId);
+    const target = await this.getSession(targetSessionId);
+    this.assertActive(source);
+    this.assertActive(target);
+    if (source.storeId !== target.storeId) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Las cuentas son de locales distintos' });
+    }
+
+    await prisma.$transaction([
+      prisma.order.updateMany({
+        where: { tableSessionId: source.id },
+        data: { tableSessionId: target.id, tableNumber: target.table.number },
+      }),
+      prisma.tableSession.update({
+        where: { id: source.id },
+        data: { status: this.SESSION_STATUS.MERGED, mergedIntoId: target.id, closedAt: new Date() },
+      }),
+    ]);
+
+    await this.logTableChange(source.orders, source.table.number, target.table.number, actor, 'Cuentas de mesa unidas');
+    await this.releaseTable(source.tableId);
+
+    logger.info({ sourceSessionId, targetSessionId }, 'Table sessions merged');
+    return this.getSession(target.id);
+  }
+
+  async logTableChange(orders, fromNumber, toNumber, actor, reason) {
+    await Promise.all(orders.map(order => orderHistoryService.logChange(
+      order.id,
+      'TABLE_CHANGED',
+      { tableNumber: fromNumber },
+      { tableNumber: toNumber },
+      actor,
+      reason
+    )));
+  }
+
+  /**
+   * Cerrar la cuenta: registra los pagos, marca las rondas como entregadas y libera la mesa
+   * @param {string} sessionId
+   * @param {Array<{ tenderType: string, amount: number, reference?: string }>} tenders
+   */
+  async closeSession(sessionId, tenders, actor) {
+    const session = await this.getSession(sessionId);
+    this.assertActive(session);
+
+    const rounds = session.orders.filter(order => !VOID_STATUSES.includes(order.status));
+    const inKitchen = rounds.filter(order => KITCHEN_PENDING_STATUSES.includes(order.status));
+    if (inKitchen.length > 0) {
+      throw new AppError(ErrorCodes.CONFLICT, {
+        message: `Hay pedidos de la mesa sin servir: ${inKitchen.map(order => orderNumberService.display(order.orderNumber)).join(', ')}`
+      });
+    }
+
+    const bill = await this.getBill(session);
+    const normalized = (Array.isArray(tenders) ? tenders : []).map(tender => ({
+      tenderType: orderPaymentsService.normalizeTender(tender.tenderType),
+      amount: round(tender.amount),
+      reference: tender.reference || null,
+    }));
+
+    if (bill.balance > 0) {
+      if (normalized.length === 0 || normalized.some(tender => !tender.tenderType || !(tender.amount > 0))) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Indicá los medios de pago y montos con los que se cobró la cuenta' });
+      }
+      const collected = round(normalized.reduce((sum, tender) => sum + tender.amount, 0));
+      if (collected < bill.balance - AMOUNT_TOLERANCE) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+          message: `Los pagos ($${collected}) no cubren el saldo de la cuenta ($${bill.balance})`
+        });
+      }
+    }
+
+    // Repartir los pagos entre las rondas con saldo, en orden
+    const queue = normalized.map(tender => ({ ...tender }));
+    for (const billed of bill.rounds) {
+      let due = round(billed.total - billed.paid);
+      while (due > 0 && queue.length > 0) {
+        const tender = queue[0];
+        const amount = round(Math.min(due, tender.amount));
+        await orderPaymentsService.recordProviderPayment(billed.orderId, {
+          tenderType: tender.tenderType,
+          amount,
+          reference: tender.reference,
+        }, actor);
+        due = round(due - amount);
+        tender.amount = round(tender.amount - amount);
+        if (tender.amount <= 0) queue.shift();
+      }
+    }
+
+    // Las rondas listas se dan por servidas
+    for (const order of rounds.filter(order => order.status === 'ready')) {
+      const transition = orderStateValidator.validateChange(order, { status: 'delivered' }, actor?.role || null);
+      if (!transition.valid) continue;
+
+      const data = { status: 'delivered', ...transition.sync };
+      await prisma.order.update({ where: { id: order.id }, data });
+      await orderHistoryService.recordUpdate(order.id, order, data, actor, 'Cuenta de mesa cerrada');
+      await orderStateValidator.runEffects(order.id, transition.effects);
+    }
+
+    await prisma.tableSession.update({
+      where: { id: session.id },
+      data: { status: this.SESSION_STATUS.CLOSED, closedAt: new Date() },
+    });
+    await this.releaseTable(session.tableId);
+
+    logger.info({ sessionId, total: bill.total }, 'Table session closed');
+    return this.getBill(await this.getSession(session.id));
+  }
+
   /**
    * Reservar mesa
    */
@@ -178,7 +686,7 @@ class TablesService {
   async getDayReservations(storeId, date) {
     const startOfDay = new Date(date);
     startOfDay.setHours(0, 0, 0, 0);
-    
+
     const endOfDay = new Date(date);
     endOfDay.setHours(23, 59, 59, 999);
 
@@ -204,14 +712,29 @@ class TablesService {
       if (!zones[table.zone]) {
         zones[table.zone] = [];
       }
+
+      const session = table.sessions[0] || null;
+      const rounds = session ? session.orders.filter(order => !VOID_STATUSES.includes(order.status)) : [];
+
       zones[table.zone].push({
         id: table.id,
         number: table.number,
+        name: table.name,
         capacity: table.capacity,
         status: table.status,
+        qrCode: table.qrCode,
         position: table.position ? JSON.parse(table.position) : null,
-        currentOrder: table.currentOrder,
-        occupiedMinutes: table.occupiedAt 
+        currentSession: session && {
+          id: session.id,
+          status: session.status,
+          guests: session.guests,
+          openedAt: session.openedAt,
+          billRequestedAt: session.billRequestedAt,
+          rounds: rounds.length,
+          roundsInKitchen: rounds.filter(order => KITCHEN_PENDING_STATUSES.includes(order.status)).length,
+          total: round(rounds.reduce((sum, order) => sum + order.total, 0)),
+        },
+        occupiedMinutes: table.occupiedAt
           ? Math.floor((Date.now() - new Date(table.occupiedAt).getTime()) / 60000)
           : null,
       });
@@ -235,8 +758,8 @@ class TablesService {
       totalCapacity: tables.reduce((sum, t) => sum + t.capacity, 0),
     };
 
-    stats.occupancyRate = stats.total > 0 
-      ? Math.round((stats.occupied / stats.total) * 100) 
+    stats.occupancyRate = stats.total > 0
+      ? Math.round((stats.occupied / stats.total) * 100)
       : 0;
 
     return stats;
@@ -1,4 +1,5 @@
 import logger from '../utils/logger.js';
+import { orderNumberService } from './order-number.service.js';
 
 /**
  * Servicio de integración con impresoras térmicas ESC/POS
@@ -56,7 +57,7 @@ class ThermalPrinterService {
     data += commands.BOLD_ON;
     data += '*** COCINA ***\n';
     data += commands.NORMAL_SIZE;
-    data += `PEDIDO #${order.orderNumber}\n`;
+    data += `PEDIDO ${orderNumberService.display(order.orderNumber)}\n`;
     data += order.type === 'DELIVERY' ? 'DELIVERY\n' : 'RETIRO\n';
     data += commands.BOLD_OFF;
     data += '--------------------------------\n';
@@ -107,7 +108,7 @@ class ThermalPrinterService {
     data += commands.DOUBLE_HEIGHT;
     data += '*** DELIVERY ***\n';
     data += commands.NORMAL_SIZE;
-    data += `PEDIDO #${order.orderNumber}\n`;
+    data += `PEDIDO ${orderNumberService.display(order.orderNumber)}\n`;
     data += commands.BOLD_OFF;
     data += '================================\n';
 
@@ -158,7 +159,7 @@ class ThermalPrinterService {
     data += `${store.address}\n`;
     data += `Tel: ${store.phone}\n`;
     data += '================================\n';
-    data += `Pedido #${order.orderNumber}\n`;
+    data += `Pedido ${orderNumberService.display(order.orderNumber)}\n`;
     data += new Date(order.createdAt).toLocaleString() + '\n';
     data += '--------------------------------\n';
 
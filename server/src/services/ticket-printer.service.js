@@ -1,5 +1,6 @@
 import prisma from '../utils/prisma.js';
 import logger from '../utils/logger.js';
+import { orderNumberService } from './order-number.service.js';
 
 class TicketPrinterService {
   /**
@@ -154,7 +155,7 @@ class TicketPrinterService {
 
     if (ticket.type === 'KITCHEN') {
       lines.push(center('*** COCINA ***'));
-      lines.push(center(`PEDIDO #${ticket.orderNumber}`));
+      lines.push(center(`PEDIDO ${orderNumberService.display(ticket.orderNumber)}`));
       lines.push(center(ticket.orderType === 'DELIVERY' ? 'DELIVERY' : 'RETIRO'));
       lines.push(separator);
       
@@ -177,7 +178,7 @@ class TicketPrinterService {
 
     if (ticket.type === 'DELIVERY') {
       lines.push(center('*** DELIVERY ***'));
-      lines.push(center(`PEDIDO #${ticket.orderNumber}`));
+      lines.push(center(`PEDIDO ${orderNumberService.display(ticket.orderNumber)}`));
       lines.push(separator);
       lines.push(`Cliente: ${ticket.customer.name}`);
       lines.push(`Tel: ${ticket.customer.phone}`);
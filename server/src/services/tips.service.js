@@ -1,9 +1,35 @@
 /**
  * Sistema de Propinas Inteligente
+ * El cliente elige la propina en el checkout (web, bot o MercadoPago) como porcentaje del
+ * subtotal o monto fijo; se suma al total del pedido y al entregarse se acredita al
+ * repartidor (balance.service) o al pozo de cocina (kitchen-tips.service) según la política
+ * del local (StoreSettings.tipPolicy).
  */
 
 import prisma from '../utils/prisma.js';
 import logger from '../utils/logger.js';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+import { balanceService } from './balance.service.js';
+import orderHistoryService from './order-history.service.js';
+import kitchenTipsService from './kitchen-tips.service.js';
+
+// A quién va la propina: repartidor, pozo de cocina o dividida (kitchenPercent a cocina)
+export const TIP_RECIPIENTS = {
+  DRIVER: 'driver',
+  KITCHEN: 'kitchen',
+  SPLIT: 'split'
+};
+
+export const DEFAULT_TIP_POLICY = {
+  enabled: true,
+  percentages: [10, 15, 20],
+  allowCustomAmount: true,
+  maxPercent: 50, // Tope de la propina sobre el subtotal (evita errores de tipeo)
+  recipient: TIP_RECIPIENTS.DRIVER,
+  kitchenPercent: 0
+};
+
+const round = (value) => Math.round(Number(value || 0) * 100) / 100;
 
 class TipsService {
   /**
@@ -27,32 +53,146 @@ class TipsService {
   }
 
   /**
-   * Agregar propina a orden
+   * Política de propinas del local (la configurada combinada con la predeterminada)
    */
-  async addTipToOrder(orderId, tipAmount, tipType = 'percentage', tipPercent = null) {
+  async getTipPolicy(storeId) {
+    const settings = storeId
+      ? await prisma.storeSettings.findUnique({ where: { storeId }, select: { tipPolicy: true } })
+      : null;
+    const custom = settings?.tipPolicy && typeof settings.tipPolicy === 'object' ? settings.tipPolicy : {};
+    return { ...DEFAULT_TIP_POLICY, ...custom };
+  }
+
+  /**
+   * Opciones de propina para mostrar en el checkout
+   */
+  async getCheckoutOptions(storeId, subtotal) {
+    const policy = await this.getTipPolicy(storeId);
+    return {
+      enabled: policy.enabled,
+      allowCustomAmount: policy.allowCustomAmount,
+      options: policy.enabled
+        ? policy.percentages.map(percent => ({ percent, amount: round(subtotal * percent / 100) }))
+        : []
+    };
+  }
+
+  /**
+   * Calcular la propina pedida por el cliente
+   * @param {object} policy - Política del local (getTipPolicy)
+   * @param {number} subtotal - Base de los porcentajes (productos, sin envío)
+   * @param {object} input - { percent } o { amount } (sin propina: ambos vacíos o 0)
+   * @returns {{ tipAmount: number, tipType: string|null, tipPercent: number|null }}
+   */
+  resolveTip(policy, subtotal, { percent = null, amount = null } = {}) {
+    const hasPercent = percent !== null && percent !== undefined && percent !== '' && Number(percent) !== 0;
+    const hasAmount = amount !== null && amount !== undefined && amount !== '' && Number(amount) !== 0;
+    if (!hasPercent && !hasAmount) {
+      return { tipAmount: 0, tipType: null, tipPercent: null };
+    }
+
+    if (!policy.enabled) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El local no acepta propinas' });
+    }
+
+    let tipAmount;
+    let tipPercent = null;
+    if (hasPercent) {
+      tipPercent = Number(percent);
+      if (!Number.isFinite(tipPercent) || tipPercent < 0) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'tip_percent debe ser un número positivo' });
+      }
+      tipAmount = round(subtotal * tipPercent / 100);
+    } else {
+      if (!policy.allowCustomAmount) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'El local solo acepta propinas por porcentaje' });
+      }
+      tipAmount = round(amount);
+      if (!Number.isFinite(tipAmount) || tipAmount < 0) {
+        throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'tip_amount debe ser un número positivo' });
+      }
+    }
+
+    const maxTip = round(subtotal * policy.maxPercent / 100);
+    if (tipAmount > maxTip) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+        message: `La propina no puede superar el ${policy.maxPercent}% del pedido ($${maxTip.toLocaleString('es-AR')})`
+      });
+    }
+
+    return { tipAmount, tipType: hasPercent ? 'percentage' : 'fixed', tipPercent };
+  }
+
+  /**
+   * Agregar o cambiar la propina de un pedido antes de pagarlo (bot)
+   * @param {string} orderId
+   * @param {object} input - { percent } o { amount }
+   * @param {object} actor - Actor del historial
+   */
+  async addTipToOrder(orderId, input, actor) {
     const order = await prisma.order.findUnique({ where: { id: orderId } });
-    if (!order) throw new Error('Orden no encontrada');
-
-    const tip = await prisma.tip.create({
-      data: {
-        orderId,
-        amount: tipAmount,
-        tipType,
-        tipPercent,
-        status: 'pending',
-      },
+    if (!order) {
+      throw new AppError(ErrorCodes.ORDER_NOT_FOUND, { message: 'Pedido no encontrado' });
+    }
+    if (order.status !== 'pending' || order.paymentStatus !== 'pending') {
+      throw new AppError(ErrorCodes.CONFLICT, { message: 'La propina solo se puede cambiar antes de pagar el pedido' });
+    }
+
+    const policy = await this.getTipPolicy(order.storeId);
+    const tip = this.resolveTip(policy, order.subtotal, input);
+    const data = {
+      ...tip,
+      total: round(order.total - (order.tipAmount || 0) + tip.tipAmount)
+    };
+
+    const updated = await prisma.order.update({ where: { id: orderId }, data });
+    await orderHistoryService.recordUpdate(orderId, order, data, actor);
+
+    logger.info({ orderId, tipAmount: tip.tipAmount, tipType: tip.tipType }, 'Tip added to order');
+    return updated;
+  }
+
+  /**
+   * Acreditar la propina de un pedido entregado (una sola vez por pedido)
+   * Repartidor: saldo y liquidación pendiente del local; sin repartidor (retiro, mesa) va al pozo de cocina
+   */
+  async settleOrderTip(orderId) {
+    const claimed = await prisma.order.updateMany({
+      where: { id: orderId, tipSettledAt: null, tipAmount: { gt: 0 } },
+      data: { tipSettledAt: new Date() }
     });
+    if (claimed.count === 0) return null;
 
-    await prisma.order.update({
+    const order = await prisma.order.findUnique({
       where: { id: orderId },
-      data: {
-        tipAmount,
-        total: order.total + tipAmount,
-      },
+      select: { id: true, storeId: true, tipAmount: true, deliveryPersonId: true, fulfillmentType: true }
     });
+    const policy = await this.getTipPolicy(order.storeId);
+
+    const driverId = order.fulfillmentType === 'delivery' ? order.deliveryPersonId : null;
+    let kitchenShare = order.tipAmount;
+    if (driverId && policy.recipient === TIP_RECIPIENTS.DRIVER) {
+      kitchenShare = 0;
+    } else if (driverId && policy.recipient === TIP_RECIPIENTS.SPLIT) {
+      kitchenShare = round(order.tipAmount * Number(policy.kitchenPercent || 0) / 100);
+    }
+    const driverShare = round(order.tipAmount - kitchenShare);
 
-    logger.info({ orderId, tipAmount }, 'Tip added to order');
-    return tip;
+    try {
+      if (driverShare > 0) {
+        await balanceService.addTipForDelivery(driverId, order.id, driverShare, order.storeId);
+      }
+      if (kitchenShare > 0) {
+        await kitchenTipsService.recordTip(order.id, kitchenShare);
+      }
+    } catch (error) {
+      // Se libera para reintentar (ej: desde el panel)
+      await prisma.order.update({ where: { id: order.id }, data: { tipSettledAt: null } });
+      throw error;
+    }
+
+    logger.info({ orderId, driverId, driverShare, kitchenShare }, 'Order tip settled');
+    return { driverId, driverShare, kitchenShare };
   }
 
   /**
@@ -198,98 +338,90 @@ class TipsService {
   }
 
   /**
-   * Reporte de propinas de tienda
+   * Reporte de propinas del local: cobradas, acreditadas a repartidores y pozo de cocina
    */
-  async getStoreTipReport(storeId, month, year) {
-    const startDate = new Date(year, month - 1, 1);
-    const endDate = new Date(year, month, 0, 23, 59, 59);
-
-    const [tips, distributions] = await Promise.all([
-      prisma.tip.findMany({
-        where: {
-          order: { storeId },
-          createdAt: { gte: startDate, lte: endDate },
-        },
+  async getStoreTipReport(storeId, { since } = {}) {
+    const from = since || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+    const [orders, driverTips, kitchenTips] = await Promise.all([
+      prisma.order.findMany({
+        where: { storeId, status: 'delivered', createdAt: { gte: from } },
+        select: { tipAmount: true }
       }),
-      prisma.tipDistribution.findMany({
-        where: {
-          storeId,
-          date: { gte: startDate, lte: endDate },
-        },
-        include: { employee: { select: { name: true, role: true } } },
+      prisma.driverBalanceTransaction.findMany({
+        where: { type: 'tip', order: { storeId }, createdAt: { gte: from } },
+        select: { driverId: true, amount: true, driver: { select: { name: true } } }
       }),
+      prisma.kitchenTip.findMany({
+        where: { storeId, createdAt: { gte: from } },
+        select: { amount: true, status: true }
+      })
     ]);
 
-    const totalCollected = tips.reduce((sum, t) => sum + t.amount, 0);
-    const totalDistributed = distributions.reduce((sum, d) => sum + d.amount, 0);
-
-    // Agrupar por empleado
-    const byEmployee = {};
-    distributions.forEach(d => {
-      if (!byEmployee[d.employeeId]) {
-        byEmployee[d.employeeId] = {
-          name: d.employee.name,
-          role: d.employee.role,
-          total: 0,
-          days: 0,
-        };
-      }
-      byEmployee[d.employeeId].total += d.amount;
-      byEmployee[d.employeeId].days++;
-    });
+    const withTip = orders.filter(order => order.tipAmount > 0);
+    const totalCollected = round(withTip.reduce((sum, order) => sum + order.tipAmount, 0));
+
+    const byDriver = Object.values(driverTips.reduce((acc, tip) => {
+      acc[tip.driverId] = acc[tip.driverId] || { driverId: tip.driverId, name: tip.driver?.name || 'Desconocido', total: 0, orders: 0 };
+      acc[tip.driverId].total = round(acc[tip.driverId].total + tip.amount);
+      acc[tip.driverId].orders++;
+      return acc;
+    }, {})).sort((a, b) => b.total - a.total);
 
     return {
-      period: `${month}/${year}`,
+      since: from,
       totalCollected,
-      totalDistributed,
-      avgTipPerOrder: tips.length > 0 ? Math.round(totalCollected / tips.length) : 0,
-      tipRate: tips.length > 0 ? Math.round((tips.filter(t => t.amount > 0).length / tips.length) * 100) : 0,
-      byEmployee: Object.values(byEmployee).sort((a, b) => b.total - a.total),
+      ordersWithTip: withTip.length,
+      tipRate: orders.length > 0 ? Math.round((withTip.length / orders.length) * 100) : 0,
+      avgTip: withTip.length > 0 ? round(totalCollected / withTip.length) : 0,
+      drivers: round(driverTips.reduce((sum, tip) => sum + tip.amount, 0)),
+      kitchenPool: round(kitchenTips.reduce((sum, tip) => sum + tip.amount, 0)),
+      kitchenPoolPending: round(kitchenTips.filter(tip => tip.status === 'pending').reduce((sum, tip) => sum + tip.amount, 0)),
+      byDriver
     };
   }
 
   /**
-   * Configurar opciones de propina de tienda
+   * Configurar la política de propinas del local (acepta cambios parciales)
    */
-  async setStoreTipSettings(storeId, settings) {
-    const {
-      enabled,
-      defaultPercentages,
-      allowCustomAmount,
-      suggestOnCheckout,
-      distributionMethod,
-      distributionSchedule,
-    } = settings;
-
-    await prisma.storeTipSettings.upsert({
+  async updateTipPolicy(storeId, input = {}) {
+    const current = await this.getTipPolicy(storeId);
+    const policy = {
+      enabled: input.enabled !== undefined ? input.enabled === true || input.enabled === 'true' : current.enabled,
+      percentages: input.percentages ?? current.percentages,
+      allowCustomAmount: (input.allowCustomAmount ?? input.allow_custom_amount) !== undefined
+        ? !!(input.allowCustomAmount ?? input.allow_custom_amount)
+        : current.allowCustomAmount,
+      maxPercent: Number(input.maxPercent ?? input.max_percent ?? current.maxPercent),
+      recipient: input.recipient || current.recipient,
+      kitchenPercent: Number(input.kitchenPercent ?? input.kitchen_percent ?? current.kitchenPercent)
+    };
+
+    if (!Array.isArray(policy.percentages) || policy.percentages.length === 0 ||
+      policy.percentages.some(percent => !Number.isFinite(Number(percent)) || Number(percent) <= 0 || Number(percent) > policy.maxPercent)) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: `percentages debe ser una lista de porcentajes entre 0 y ${policy.maxPercent}` });
+    }
+    policy.percentages = policy.percentages.map(Number);
+
+    if (!Number.isFinite(policy.maxPercent) || policy.maxPercent <= 0 || policy.maxPercent > 100) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'max_percent debe estar entre 1 y 100' });
+    }
+    if (!Object.values(TIP_RECIPIENTS).includes(policy.recipient)) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, {
+        message: `recipient inválido. Valores permitidos: ${Object.values(TIP_RECIPIENTS).join(', ')}`
+      });
+    }
+    if (!Number.isFinite(policy.kitchenPercent) || policy.kitchenPercent < 0 || policy.kitchenPercent > 100) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'kitchen_percent debe estar entre 0 y 100' });
+    }
+
+    await prisma.storeSettings.upsert({
       where: { storeId },
-      update: {
-        enabled,
-        defaultPercentages,
-        allowCustomAmount,
-        suggestOnCheckout,
-        distributionMethod,
-        distributionSchedule,
-      },
-      create: {
-        storeId,
-        enabled: enabled ?? true,
-        defaultPercentages: defaultPercentages || [15, 20, 25],
-        allowCustomAmount: allowCustomAmount ?? true,
-        suggestOnCheckout: suggestOnCheckout ?? true,
-        distributionMethod: distributionMethod || 'equal',
-        distributionSchedule: distributionSchedule || 'daily',
-      },
+      update: { tipPolicy: policy },
+      create: { storeId, tipPolicy: policy }
     });
 
-    return { success: true };
-  }
-
-  /**
-   * Obtener configuración de propinas
-   */
-  async getStoreTipSettings(storeId) {
-    return prisma.storeTipSettings.findUnique({ where: { storeId } });
+    return policy;
   }
 }
 
@@ -0,0 +1,249 @@
+/**
+ * Comprobantes de transferencia repetidos
+ * Cada comprobante que guarda el bot se hashea dos veces: SHA-256 del archivo (reenvío idéntico) y
+ * hash perceptual (la misma captura recomprimida por WhatsApp, recortada o con otro tamaño).
+ * Si coincide con un comprobante anterior del local, la transferencia queda marcada con el pedido
+ * original y no se puede aprobar hasta que un admin lo autorice.
+ */
+
+import crypto from 'crypto';
+import sharp from 'sharp';
+import prisma from '../utils/prisma.js';
+import logger from '../utils/logger.js';
+import { AppError, ErrorCodes } from '../middlewares/error-handler.middleware.js';
+import { orderHistoryService } from './order-history.service.js';
+import { orderNumberService } from './order-number.service.js';
+
+export const DUPLICATE_PROOF_TYPES = {
+  EXACT: 'exact', // El mismo archivo
+  NEAR: 'near' // La misma imagen con otra compresión, tamaño o recorte leve
+};
+
+// Bits distintos (de 64) hasta los que dos comprobantes se consideran la misma imagen.
+// Las capturas de una misma app bancaria comparten diseño: un umbral alto marcaría transferencias legítimas
+const NEAR_DUPLICATE_DISTANCE = parseInt(process.env.TRANSFER_PROOF_NEAR_DISTANCE || '4', 10);
+
+// Comprobantes anteriores contra los que se compara el hash perceptual (el idéntico se busca en todo el historial)
+const NEAR_DUPLICATE_MONTHS = parseInt(process.env.TRANSFER_PROOF_NEAR_MONTHS || '6', 10);
+const NEAR_DUPLICATE_MAX_CANDIDATES = 5000;
+
+const HASH_SIZE = 32; // La imagen se reduce a 32x32 antes de la DCT
+const LOW_FREQUENCIES = 8; // Se usan las 8x8 frecuencias más bajas (64 bits)
+
+// Tabla de cosenos de la DCT (se calcula una vez)
+const DCT_COSINES = Array.from({ length: LOW_FREQUENCIES }, (_, u) =>
+  Array.from({ length: HASH_SIZE }, (__, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * HASH_SIZE)))
+);
+
+const BIT_COUNTS = Array.from({ length: 16 }, (_, n) => n.toString(2).split('1').length - 1);
+
+class TransferProofsService {
+  /**
+   * Hash perceptual (pHash): DCT de la imagen en grises a 32x32; cada bit indica si la frecuencia
+   * está por encima de la mediana. Imágenes visualmente iguales dan hashes a pocos bits de distancia
+   * @returns {Promise<string>} 16 caracteres hex
+   */
+  async perceptualHash(buffer) {
+    const pixels = await sharp(buffer)
+      .rotate()
+      .greyscale()
+      .resize(HASH_SIZE, HASH_SIZE, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    const coefficients = [];
+    for (let u = 0; u < LOW_FREQUENCIES; u++) {
+      for (let v = 0; v < LOW_FREQUENCIES; v++) {
+        let sum = 0;
+        for (let x = 0; x < HASH_SIZE; x++) {
+          for (let y = 0; y < HASH_SIZE; y++) {
+            sum += pixels[y * HASH_SIZE + x] * DCT_COSINES[u][x] * DCT_COSINES[v][y];
+          }
+        }
+        coefficients.push(sum);
+      }
+    }
+
+    // La componente continua (brillo promedio) no entra en la mediana
+    const sorted = coefficients.slice(1).sort((a, b) => a - b);
+    const median = (sorted[31] + sorted[32]) / 2;
+
+    let hex = '';
+    for (let i = 0; i < coefficients.length; i += 4) {
+      let nibble = 0;
+      for (let bit = 0; bit < 4; bit++) {
+        nibble = (nibble << 1) | (coefficients[i + bit] > median ? 1 : 0);
+      }
+      hex += nibble.toString(16);
+    }
+    return hex;
+  }
+
+  /**
+   * Bits distintos entre dos hashes hex del mismo largo
+   */
+  distance(a, b) {
+    let bits = 0;
+    for (let i = 0; i < a.length; i++) {
+      bits += BIT_COUNTS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+    }
+    return bits;
+  }
+
+  /**
+   * Hashear el comprobante de una transferencia y compararlo con los anteriores del local
+   * @returns {Promise<object>} la transferencia actualizada (con duplicateType si es repetido)
+   */
+  async fingerprint(transfer, buffer) {
+    const proofSha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const proofPhash = await this.perceptualHash(buffer).catch(error => {
+      // Sin hash perceptual se sigue detectando el reenvío idéntico
+      logger.warn({ transferId: transfer.id, error: error.message }, 'No se pudo calcular el hash perceptual del comprobante');
+      return null;
+    });
+
+    const match = await this.findEarlierProof(transfer, { proofSha256, proofPhash });
+
+    const updated = await prisma.pendingTransfer.update({
+      where: { id: transfer.id },
+      data: {
+        proofSha256,
+        proofPhash,
+        ...(match && {
+          duplicateType: match.type,
+          duplicateDistance: match.distance,
+          duplicateOfId: match.transfer.id,
+          duplicateOfOrderId: match.transfer.orderId,
+          duplicateOfOrderNumber: match.transfer.order?.orderNumber || null
+        })
+      }
+    });
+
+    if (match) {
+      await this.flagDuplicate(updated, match);
+    }
+    return updated;
+  }
+
+  /**
+   * Comprobante anterior del local igual (mismo archivo) o casi igual (hash perceptual cercano)
+   * Ante varios, el idéntico y si no el más parecido; a igual distancia el más viejo.
+   * El casi igual se busca en los últimos NEAR_DUPLICATE_MONTHS meses (hasta NEAR_DUPLICATE_MAX_CANDIDATES)
+   */
+  async findEarlierProof(transfer, { proofSha256, proofPhash }) {
+    const select = { id: true, orderId: true, proofPhash: true, createdAt: true, order: { select: { orderNumber: true } } };
+
+    const exact = await prisma.pendingTransfer.findFirst({
+      where: { storeId: transfer.storeId, proofSha256, id: { not: transfer.id }, orderId: { not: transfer.orderId } },
+      orderBy: { createdAt: 'asc' },
+      select
+    });
+    if (exact) {
+      return { type: DUPLICATE_PROOF_TYPES.EXACT, distance: 0, transfer: exact };
+    }
+    if (!proofPhash) return null;
+
+    const since = new Date();
+    since.setMonth(since.getMonth() - NEAR_DUPLICATE_MONTHS);
+
+    const previous = await prisma.pendingTransfer.findMany({
+      where: {
+        storeId: transfer.storeId,
+        proofPhash: { not: null },
+        createdAt: { gte: since },
+        id: { not: transfer.id },
+        orderId: { not: transfer.orderId }
+      },
+      orderBy: { createdAt: 'desc' },
+      take: NEAR_DUPLICATE_MAX_CANDIDATES,
+      select
+    });
+
+    let best = null;
+    for (const candidate of previous) {
+      const distance = this.distance(proofPhash, candidate.proofPhash);
+      // Del más nuevo al más viejo: a igual distancia queda el más viejo
+      if (distance <= NEAR_DUPLICATE_DISTANCE && (!best || distance <= best.distance)) {
+        best = { type: DUPLICATE_PROOF_TYPES.NEAR, distance, transfer: candidate };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Dejar constancia en el historial del pedido y avisar al local (notificación del panel)
+   */
+  async flagDuplicate(transfer, match) {
+    const earlierOrder = orderNumberService.display(match.transfer.order?.orderNumber) || match.transfer.orderId;
+    const label = match.type === DUPLICATE_PROOF_TYPES.EXACT ? 'idéntico' : 'casi idéntico';
+
+    logger.warn({ transferId: transfer.id, orderId: transfer.orderId, duplicateOfId: match.transfer.id, type: match.type, distance: match.distance }, 'Comprobante de transferencia repetido');
+
+    await orderHistoryService.logChange(
+      transfer.orderId,
+      'DUPLICATE_PROOF_FLAGGED',
+      null,
+      { duplicateProof: match.type, duplicateOfOrderId: match.transfer.orderId },
+      undefined,
+      `Comprobante ${label} al del pedido ${earlierOrder}`
+    );
+
+    const order = await prisma.order.findUnique({ where: { id: transfer.orderId }, select: { orderNumber: true } });
+    await prisma.systemNotification.create({
+      data: {
+        storeId: transfer.storeId,
+        type: 'duplicate_transfer_proof',
+        title: 'Comprobante de transferencia repetido',
+        message: `El comprobante del pedido ${orderNumberService.display(order?.orderNumber)} es ${label} al del pedido ${earlierOrder}. La transferencia no se puede aprobar hasta que un admin lo revise.`,
+        severity: 'error',
+        metadata: JSON.stringify({ transferId: transfer.id, duplicateOfId: match.transfer.id, duplicateOfOrderId: match.transfer.orderId })
+      }
+    }).catch(error => logger.warn({ storeId: transfer.storeId, error: error.message }, 'No se pudo avisar al local'));
+  }
+
+  /**
+   * ¿La transferencia tiene un comprobante repetido sin autorizar?
+   */
+  isBlocked(transfer) {
+    return !!transfer?.duplicateType && !transfer.duplicateOverrideAt;
+  }
+
+  /**
+   * Autorizar una transferencia marcada como repetida (queda registrado quién y por qué)
+   */
+  async override(transferId, note, actor) {
+    const transfer = await prisma.pendingTransfer.findUnique({ where: { id: transferId } });
+    if (!transfer) {
+      throw new AppError(ErrorCodes.NOT_FOUND, { message: 'Transferencia no encontrada' });
+    }
+    if (!transfer.duplicateType) {
+      throw new AppError(ErrorCodes.CONFLICT, { message: 'La transferencia no está marcada como comprobante repetido' });
+    }
+    if (!note || !String(note).trim()) {
+      throw new AppError(ErrorCodes.VALIDATION_ERROR, { message: 'Indicá el motivo para autorizar el comprobante' });
+    }
+
+    const updated = await prisma.pendingTransfer.update({
+      where: { id: transferId },
+      data: {
+        duplicateOverrideBy: actor?.name || actor?.id || null,
+        duplicateOverrideAt: new Date(),
+        duplicateOverrideNote: String(note).trim()
+      }
+    });
+
+    await orderHistoryService.logChange(
+      transfer.orderId,
+      'DUPLICATE_PROOF_OVERRIDE',
+      { duplicateProof: transfer.duplicateType },
+      { duplicateProof: 'override' },
+      actor,
+      `Comprobante repetido autorizado: ${updated.duplicateOverrideNote}`
+    );
+
+    return updated;
+  }
+}
+
+export const transferProofsService = new TransferProofsService();
+export default transferProofsService;
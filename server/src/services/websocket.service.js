@@ -1,16 +1,32 @@
 /**
  * WebSocket Service para notificaciones en tiempo real
- * Soporta múltiples tiendas (storeId)
+ * Soporta múltiples tiendas (storeId) y canales por tienda (ej: ?channel=kds para las
+ * pantallas de cocina), así varias pantallas del mismo local quedan sincronizadas.
+ * La conexión requiere el token del admin (?token=...): el rol y el local salen del token
  */
 
 import { WebSocketServer } from 'ws';
 import logger from '../utils/logger.js';
+import { adminAuthService } from './auth.service.js';
 
 class WebSocketService {
   constructor() {
     this.wss = null;
     this.clients = new Map(); // storeId -> Set<ws>
     this.adminClients = new Set(); // Superadmins (ven todo)
+    this.channels = new Map(); // "storeId:canal" -> Set<ws>
+  }
+
+  channelKey(storeId, channel) {
+    return `${storeId}:${channel}`;
+  }
+
+  /**
+   * Un admin de tienda solo se suscribe a su local; el superadmin (o un admin sin local) a cualquiera
+   */
+  canAccessStore(user, storeId) {
+    if (user.role === 'super_admin' || !user.storeId) return true;
+    return !!storeId && user.storeId === storeId;
   }
 
   /**
@@ -22,17 +38,40 @@ class WebSocketService {
       path: '/ws'
     });
 
-    this.wss.on('connection', (ws, req) => {
+    this.wss.on('connection', async (ws, req) => {
       const url = new URL(req.url, `http://${req.headers.host}`);
-      const storeId = url.searchParams.get('storeId');
-      const role = url.searchParams.get('role');
       const token = url.searchParams.get('token');
+      const channel = url.searchParams.get('channel');
+
+      // Rol y local salen del token del admin, nunca de la query
+      let user;
+      try {
+        if (!token) throw new Error('Token no proporcionado');
+        user = await adminAuthService.verifyAccessToken(token);
+      } catch (error) {
+        logger.warn({ error: error.message }, 'WebSocket rechazado: token inválido');
+        ws.close(1008, 'No autorizado');
+        return;
+      }
+
+      const storeId = url.searchParams.get('storeId') || user.storeId || null;
+      if (!this.canAccessStore(user, storeId)) {
+        logger.warn({ userId: user.id, storeId }, 'WebSocket rechazado: local no autorizado');
+        ws.close(1008, 'No autorizado');
+        return;
+      }
 
-      // TODO: Validar token JWT aquí
-      
-      if (role === 'super_admin') {
+      const isAdminFeed = user.role === 'super_admin' && !storeId;
+      if (isAdminFeed) {
         this.adminClients.add(ws);
-        logger.info({ role }, 'SuperAdmin conectado a WebSocket');
+        logger.info({ userId: user.id }, 'SuperAdmin conectado a WebSocket');
+      } else if (storeId && channel) {
+        const key = this.channelKey(storeId, channel);
+        if (!this.channels.has(key)) {
+          this.channels.set(key, new Set());
+        }
+        this.channels.get(key).add(ws);
+        logger.info({ storeId, channel }, 'Pantalla conectada a canal WebSocket');
       } else if (storeId) {
         if (!this.clients.has(storeId)) {
           this.clients.set(storeId, new Set());
@@ -42,8 +81,10 @@ class WebSocketService {
       }
 
       ws.on('close', () => {
-        if (role === 'super_admin') {
+        if (isAdminFeed) {
           this.adminClients.delete(ws);
+        } else if (storeId && channel) {
+          this.channels.get(this.channelKey(storeId, channel))?.delete(ws);
         } else if (storeId && this.clients.has(storeId)) {
           this.clients.get(storeId).delete(ws);
         }
@@ -54,7 +95,7 @@ class WebSocketService {
       });
 
       // Enviar mensaje de bienvenida
-      ws.send(JSON.stringify({ type: 'connected', storeId }));
+      ws.send(JSON.stringify({ type: 'connected', storeId, channel }));
     });
 
     logger.info('WebSocket server iniciado en /ws');
@@ -83,6 +124,21 @@ class WebSocketService {
     });
   }
 
+  /**
+   * Enviar mensaje a las pantallas suscriptas a un canal de la tienda
+   */
+  sendToChannel(storeId, channel, event, data) {
+    const subscribers = this.channels.get(this.channelKey(storeId, channel));
+    if (!subscribers || subscribers.size === 0) return;
+
+    const message = JSON.stringify({ type: event, data, storeId, channel, timestamp: new Date().toISOString() });
+    subscribers.forEach(ws => {
+      if (ws.readyState === 1) { // OPEN
+        ws.send(message);
+      }
+    });
+  }
+
   /**
    * Notificar nuevo pedido
    */
@@ -17,12 +17,29 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { PrismaClient } from '@prisma/client';
-import mercadoPagoService from './mercadopago.service.js';
+import paymentGatewayService from './payment-gateway.service.js';
+import orderNumberService from './order-number.service.js';
+import orderStateValidator from './order-state-validator.service.js';
+import orderHistoryService, { ORDER_CHANNELS } from './order-history.service.js';
+import orderEditService from './order-edit.service.js';
+import orderPaymentsService from './order-payments.service.js';
+import scheduledOrdersService from './scheduled-orders.service.js';
+import orderCapacityService, { CAPACITY_ERROR_CODE } from './order-capacity.service.js';
+import deliveryTimeEstimatorService from './delivery-time-estimator.service.js';
+import orderRiskService from './order-risk.service.js';
+import tipsService from './tips.service.js';
+import storeCreditService from './store-credit.service.js';
+import giftCardsService from './gift-cards.service.js';
+import transferProofsService from './transfer-proofs.service.js';
+import { AppError } from '../middlewares/error-handler.middleware.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const prisma = new PrismaClient();
+
+// Autor de los cambios que hace el bot sobre los pedidos (historial)
+const BOT_ACTOR = { id: null, name: 'Bot WhatsApp', role: 'bot', channel: ORDER_CHANNELS.BOT };
 const STORE_FRONT_URL = process.env.STORE_FRONT_URL || 'https://elbuenmenu.site';
 const API_URL = process.env.API_URL || 'https://api.elbuenmenu.site/api';
 
@@ -38,6 +55,7 @@ if (!fs.existsSync(SESSIONS_DIR)) {
 // ALMACÉN GLOBAL POR TIENDA
 // ---------------------------------------------------------------------------
 const activeSessions = new Map();      // storeId -> { socket, storeId, createdAt }
+const linkedLids = new Set();          // JIDs @lid ya vinculados con su teléfono (ver storeCreditService.linkWhatsappLid)
 const pendingQRs = new Map();          // storeId -> { qr, timestamp, expires }
 const userSessionsPerStore = new Map(); // storeId -> Map(userId -> session)
 const storeConfigs = new Map();        // storeId -> { store, settings }
@@ -124,6 +142,9 @@ function getUserSession(storeId, jid) {
       waitingForConfirmation: false,
       waitingForAddress: false,
       paymentMethod: null,
+      splitCashAmount: null, // Pago dividido: parte en efectivo
+      transferAmount: null, // Monto a transferir si no es el total del pedido
+      scheduleOptions: null, // Horarios ofrecidos al programar el pedido
       deliveryAddress: null,
       currentOrder: null,
       lastActivity: Date.now()
@@ -354,6 +375,17 @@ export async function startWhatsAppSession(storeId) {
         }
 
         const from = message.key.remoteJid;
+
+        // Chats @lid: WhatsApp informa el teléfono del cliente para unificar su saldo a favor
+        const phoneJid = message.key.senderPn || message.key.remoteJidAlt;
+        if (from?.endsWith('@lid') && phoneJid && !linkedLids.has(from)) {
+          linkedLids.add(from);
+          storeCreditService.linkWhatsappLid(from, phoneJid).catch(error => {
+            linkedLids.delete(from);
+            console.error(`[WhatsApp] [${storeId}] Error vinculando @lid con el teléfono:`, error.message);
+          });
+        }
+
         addBotLog(storeId, 'info', `Mensaje recibido de ${from}`, { 
           messageId: message.key.id,
           messageType: Object.keys(message.message || {})[0] 
@@ -409,7 +441,7 @@ async function handleMessage(storeId, socket, from, msg, config) {
   // =========================================================================
   // DETECTAR PEDIDO ENTRANTE (desde checkout web) - PRIORIDAD MÁXIMA
   // =========================================================================
-  const orderMatch = messageText.match(/pedido.*(?:es|:)\s*#*(\d+)\s*[-–]\s*(\d+)/i);
+  const orderMatch = messageText.match(/pedido.*(?:es|:)\s*#*([a-z0-9]+(?:-\d+)?)\s*[-–]\s*(\d+)/i);
   if (orderMatch) {
     const orderNum = orderMatch[1];
     const orderCode = orderMatch[2];
@@ -417,16 +449,11 @@ async function handleMessage(storeId, socket, from, msg, config) {
     
     // Buscar el pedido en la base de datos
     try {
+      // El código único es global; el número de pedido solo es único por local y período
       const order = await prisma.order.findFirst({
-        where: {
-          storeId: storeId,
-          OR: [
-            { orderNumber: orderNum },
-            { uniqueCode: orderCode }
-          ]
-        },
+        where: { storeId: storeId, uniqueCode: orderCode },
         include: { items: true }
-      });
+      }) || await orderNumberService.findByNumber(storeId, orderNum, { include: { items: true } });
 
       if (order) {
         userSession.currentOrder = {
@@ -436,10 +463,12 @@ async function handleMessage(storeId, socket, from, msg, config) {
           total: order.total,
           subtotal: order.subtotal,
           deliveryFee: order.deliveryFee,
+          tipAmount: order.tipAmount || 0,
           items: order.items,
           customerName: order.customerName,
           customerAddress: order.customerAddress,
-          deliveryType: order.deliveryFee > 0 ? 'delivery' : 'pickup'
+          deliveryType: order.fulfillmentType,
+          scheduledFor: order.scheduledFor
         };
         
         // Mostrar resumen completo del pedido con detalles
@@ -471,13 +500,21 @@ async function handleMessage(storeId, socket, from, msg, config) {
           return itemText;
         }).join('\n');
 
-        const deliveryInfo = order.deliveryFee > 0 
-          ? `📍 Dirección de envío: ${order.customerAddress || 'No especificada'}`
-          : `📍 Dirección de retiro: ${order.customerAddress || 'Local'} (depende el método de envío)`;
+        const deliveryInfo = order.fulfillmentType === 'pickup'
+          ? `🏪 Retirás en el local${settings?.address ? `: ${settings.address}` : ''}`
+          : `📍 Dirección de envío: ${order.customerAddress || 'No especificada'}`;
+
+        // Pedido programado desde la web, o invitación a programarlo si el local lo permite
+        let scheduleInfo = '';
+        if (order.scheduledFor) {
+          scheduleInfo = `\n📅 *Programado para: ${scheduledOrdersService.formatSlot(order.scheduledFor)}*\n`;
+        } else if (settings?.acceptScheduledOrders) {
+          scheduleInfo = `\n📅 Escribí "PROGRAMAR" si lo querés para más tarde\n`;
+        }
 
         const orderSummary = `✅ *¡Pedido encontrado con éxito!*
 
-🆔 Código: #${order.orderNumber}
+🆔 Código: ${orderNumberService.display(order.orderNumber)}
 
 👤 Cliente: ${order.customerName || 'No especificado'}
 
@@ -488,7 +525,7 @@ ${deliveryInfo}
 ${itemsList}
 
 💰 *Total a pagar: $${order.total.toLocaleString('es-AR')}*
-
+${scheduleInfo}
 ¿Está todo correcto? ¿Deseás avanzar con el pago?
 
 ▶️ Escribí "SÍ" para continuar
@@ -500,30 +537,88 @@ ${itemsList}
         userSession.step = 'waiting_order_confirmation';
       } else {
         await socket.sendMessage(from, { 
-          text: `✅ *PEDIDO RECIBIDO*\n\n📋 Pedido: #${orderNum}\n🔐 Código: ${orderCode}\n\n⏳ Estamos procesando tu pedido.\n\n¡Gracias por elegirnos! ❤️` 
+          text: `✅ *PEDIDO RECIBIDO*\n\n📋 Pedido: ${orderNumberService.display(orderNum)}\n🔐 Código: ${orderCode}\n\n⏳ Estamos procesando tu pedido.\n\n¡Gracias por elegirnos! ❤️` 
         });
       }
     } catch (err) {
       console.error(`[WhatsApp] [${storeId}] Error buscando pedido:`, err);
       await socket.sendMessage(from, { 
-        text: `✅ *PEDIDO RECIBIDO*\n\n📋 Pedido: #${orderNum}\n🔐 Código: ${orderCode}\n\n⏳ Estamos procesando tu pedido.\n\n¡Gracias por elegirnos! ❤️` 
+        text: `✅ *PEDIDO RECIBIDO*\n\n📋 Pedido: ${orderNumberService.display(orderNum)}\n🔐 Código: ${orderCode}\n\n⏳ Estamos procesando tu pedido.\n\n¡Gracias por elegirnos! ❤️` 
       });
     }
     return;
   }
 
+  // =========================================================================
+  // CONFIRMACIÓN DE MODIFICACIÓN DEL PEDIDO (SÍ/NO)
+  // =========================================================================
+  const isYes = ['sí', 'si', 'yes', 'ok', 'confirmar', 'acepto'].includes(lowerText);
+  const isNo = ['no', 'rechazo'].includes(lowerText);
+  if (isYes || isNo) {
+    const pendingEdit = await orderEditService.findPendingForPhone(storeId, from).catch(err => {
+      console.error(`[WhatsApp] [${storeId}] Error buscando modificación pendiente:`, err);
+      return null;
+    });
+
+    if (pendingEdit) {
+      console.log(`[WhatsApp] [${storeId}] ✏️ Respuesta a modificación ${pendingEdit.id}: ${isYes ? 'SÍ' : 'NO'}`);
+      try {
+        await orderEditService.respondToEdit(pendingEdit.id, isYes, {
+          id: null,
+          name: null,
+          role: 'customer',
+          channel: ORDER_CHANNELS.BOT
+        });
+        if (isNo) {
+          await socket.sendMessage(from, { text: `👌 Listo, tu pedido sigue como estaba.
+
+Si tenés dudas, contactanos.` });
+        }
+        // Si aceptó, el servicio envía el resumen con el total y el ajuste de pago
+      } catch (err) {
+        console.error(`[WhatsApp] [${storeId}] Error respondiendo modificación:`, err.message);
+        await socket.sendMessage(from, {
+          text: `⚠️ No pudimos aplicar la modificación: ${err.details?.message || err.message}
+
+El local se va a comunicar con vos.`
+        });
+      }
+      return;
+    }
+  }
+
   // =========================================================================
   // CONFIRMACIÓN DE PEDIDO (SÍ/NO)
   // =========================================================================
+  if (userSession.step === 'waiting_order_confirmation' && lowerText === 'programar' && settings?.acceptScheduledOrders) {
+    await showScheduleOptions(storeId, socket, from, userSession);
+    return;
+  }
+
+  if (userSession.step === 'choose_schedule_slot') {
+    await handleScheduleSelection(storeId, socket, from, lowerText, userSession, settings);
+    return;
+  }
+
+  if (userSession.step === 'choose_tip') {
+    await handleTipSelection(storeId, socket, from, lowerText, userSession, settings);
+    return;
+  }
+
+  if (userSession.step === 'use_store_credit') {
+    await handleStoreCreditSelection(storeId, socket, from, lowerText, userSession, settings);
+    return;
+  }
+
   if (userSession.step === 'waiting_order_confirmation') {
     if (lowerText === 'sí' || lowerText === 'si' || lowerText === 'yes' || lowerText === 'ok' || lowerText === 'confirmar') {
-      // Cliente confirmó, mostrar opciones de pago
-      userSession.step = 'checkout_payment';
-      userSession.waitingForPayment = true;
-      await socket.sendMessage(from, { 
-        text: `✅ *¡Perfecto! Tu pedido está confirmado.*\n\n💳 *MÉTODO DE PAGO*\n\nElegí cómo querés pagar:` 
-      });
-      await showPaymentOptions(storeId, socket, from, userSession, settings);
+      // Con la cocina llena no se toma "lo antes posible": se programa o se informa desde cuándo se puede
+      if (!(await admitOrderCapacity(storeId, socket, from, userSession, settings))) {
+        return;
+      }
+
+      // Cliente confirmó: propina (si el local la acepta) y opciones de pago
+      await startCheckout(storeId, socket, from, userSession, settings, `✅ *¡Perfecto! Tu pedido está confirmado.*`);
     } else if (lowerText === 'no' || lowerText === 'cancelar' || lowerText === 'cancel') {
       // Cliente canceló
       userSession.currentOrder = null;
@@ -542,6 +637,11 @@ ${itemsList}
   // =========================================================================
   // SI ESTÁ EN FLUJO DE PAGO
   // =========================================================================
+  if (userSession.step === 'split_cash_amount' || userSession.step === 'split_second_tender') {
+    await handleSplitPayment(storeId, socket, from, lowerText, userSession, settings);
+    return;
+  }
+
   if (userSession.waitingForPayment) {
     await handlePaymentSelection(storeId, socket, from, lowerText, userSession, settings);
     return;
@@ -552,6 +652,7 @@ ${itemsList}
       await handleTransferProof(storeId, socket, from, msg, userSession, settings);
     } else if (lowerText === '09') {
       userSession.waitingForTransferProof = false;
+      userSession.transferAmount = null;
       userSession.waitingForPayment = true;
       await showPaymentOptions(storeId, socket, from, userSession, settings);
     } else {
@@ -619,6 +720,14 @@ ${itemsList}
     return;
   }
 
+  // =========================================================================
+  // SALDO A FAVOR (4)
+  // =========================================================================
+  if (lowerText === '4' || lowerText === 'saldo' || lowerText === 'mi saldo') {
+    await showStoreCreditBalance(storeId, socket, from);
+    return;
+  }
+
   // =========================================================================
   // HORARIOS (8)
   // =========================================================================
@@ -651,9 +760,10 @@ ${itemsList}
   // =========================================================================
   // CÓDIGO DE PEDIDO (si está esperando)
   // =========================================================================
-  if (userSession.step === 'waiting_order_code' && /^\d{4}$/.test(lowerText)) {
+  if (userSession.step === 'waiting_order_code' && /^#?[a-z0-9]*-?\d+$/i.test(lowerText)) {
     try {
-      const order = await prisma.order.findFirst({
+      // Primero por código de 4 dígitos, si no por número de pedido del local (ej: ROT-0042)
+      const order = (/^\d{4}$/.test(lowerText) && await prisma.order.findFirst({
         where: {
           storeId: storeId,
           OR: [
@@ -662,7 +772,7 @@ ${itemsList}
           ]
         },
         orderBy: { createdAt: 'desc' }
-      });
+      })) || await orderNumberService.findByNumber(storeId, messageText);
 
       if (order) {
         const statusMap = {
@@ -676,7 +786,7 @@ ${itemsList}
         };
         
         await socket.sendMessage(from, { 
-          text: `📋 *PEDIDO #${order.orderNumber}*\n\n📍 Estado: ${statusMap[order.status] || order.status}\n💰 Total: $${order.total?.toLocaleString('es-AR')}\n📅 Fecha: ${new Date(order.createdAt).toLocaleDateString('es-AR')}` 
+          text: `📋 *PEDIDO ${orderNumberService.display(order.orderNumber)}*\n\n📍 Estado: ${statusMap[order.status] || order.status}\n💰 Total: $${order.total?.toLocaleString('es-AR')}\n📅 Fecha: ${new Date(order.createdAt).toLocaleDateString('es-AR')}` 
         });
       } else {
         await socket.sendMessage(from, { 
@@ -708,6 +818,7 @@ async function showMainMenu(storeId, socket, from, storeName, storeUrl) {
 1️⃣ Hacer pedido / Ver menú 📋
 2️⃣ Consultar un Pedido 🔍
 3️⃣ Mi Link de Invitación 🔗
+4️⃣ Mi Saldo a Favor 💰
 8️⃣ Ver Horarios 🕒
 
 💡 Podés responder con el número o la palabra clave.
@@ -754,10 +865,16 @@ async function showPaymentOptions(storeId, socket, from, userSession, settings)
     optionNumber++;
   }
   
+  // Pago dividido: parte en efectivo y el resto por otro medio
+  if (parsedSettings?.cashEnabled !== false && (mercadoPagoActive || parsedSettings?.transferEnabled !== false)) {
+    options.push(`${optionNumber}️⃣ Dividir el pago (efectivo + otro medio)`);
+    optionNumber++;
+  }
+  
   options.push(`${optionNumber}️⃣ Cancelar pago`);
   
   await socket.sendMessage(from, { 
-    text: `${options.join('\n')}\n\nEscribí el número de la opción.` 
+    text: `${options.join('\n')}\n\nEscribí el número de la opción.\n\n🎁 ¿Tenés una gift card? Escribí su código.` 
   });
 }
 
@@ -776,19 +893,39 @@ async function handlePaymentSelection(storeId, socket, from, body, userSession,
     }
   }
   
+  // Código de gift card (XXXX-XXXX-XXXX-XXXX) en lugar de una opción
+  if (GIFT_CARD_CODE_PATTERN.test(body.trim())) {
+    await handleGiftCardCode(storeId, socket, from, body.trim(), userSession, settings);
+    return;
+  }
+  
   // Verificar múltiples campos posibles para Mercado Pago
   const mercadoPagoActive = (parsedSettings?.mercadoPagoEnabled === true || parsedSettings?.mercadoPagoEnabled === 'true') && 
                              (parsedSettings?.mercadoPagoLink || parsedSettings?.mercadoPagoPublicKey || parsedSettings?.mercadoPagoAccessToken);
   const transferEnabled = parsedSettings?.transferEnabled !== false;
   const cashEnabled = parsedSettings?.cashEnabled !== false;
+  const splitEnabled = cashEnabled && (mercadoPagoActive || transferEnabled);
   
   let cancelOptionNumber = 1;
   if (mercadoPagoActive) cancelOptionNumber++;
   if (transferEnabled) cancelOptionNumber++;
   if (cashEnabled) cancelOptionNumber++;
+  if (splitEnabled) cancelOptionNumber++;
   
   // Cancelar
   if (body === cancelOptionNumber.toString() || body.includes('cancelar') || body.includes('cancel')) {
+    // El saldo a favor ya aplicado vuelve a la billetera del cliente
+    if (userSession.currentOrder?.storeCreditApplied) {
+      await storeCreditService.releaseOrderCredit(userSession.currentOrder.id, BOT_ACTOR).catch(error => {
+        console.error(`[WhatsApp] [${storeId}] Error devolviendo saldo a favor:`, error.message);
+      });
+    }
+    // Lo pagado con gift card vuelve a la tarjeta
+    if (userSession.currentOrder?.giftCardApplied) {
+      await giftCardsService.releaseOrderPayments(userSession.currentOrder.id, BOT_ACTOR).catch(error => {
+        console.error(`[WhatsApp] [${storeId}] Error devolviendo pago con gift card:`, error.message);
+      });
+    }
     userSession.waitingForPayment = false;
     userSession.currentOrder = null;
     userSession.step = 'welcome';
@@ -796,6 +933,27 @@ async function handlePaymentSelection(storeId, socket, from, body, userSession,
     return;
   }
   
+  // Pago dividido (la opción anterior a Cancelar)
+  if (splitEnabled && (body === (cancelOptionNumber - 1).toString() || body.includes('dividir'))) {
+    if (!userSession.currentOrder?.id || !amountDue(userSession.currentOrder)) {
+      await socket.sendMessage(from, { text: `⚠️ No encontramos el pedido para dividir el pago.\n\nEscribí "hola" para ver opciones.` });
+      return;
+    }
+    
+    userSession.waitingForPayment = false;
+    userSession.step = 'split_cash_amount';
+    await socket.sendMessage(from, { 
+      text: `💵 *PAGO DIVIDIDO*
+
+💰 ${userSession.currentOrder.storeCreditApplied || userSession.currentOrder.giftCardApplied ? 'Resta pagar' : 'Total del pedido'}: $${amountDue(userSession.currentOrder).toLocaleString('es-AR')}
+
+¿Cuánto vas a pagar en *efectivo*? Escribí solo el monto (ej: 5000).
+
+🔄 Escribí "09" si querés cambiar el método de pago.` 
+    });
+    return;
+  }
+  
   // Mercado Pago (1 si está activo)
   if (mercadoPagoActive && (body === '1' || body.includes('mercado'))) {
     userSession.paymentMethod = 'mercadopago';
@@ -814,8 +972,11 @@ async function handlePaymentSelection(storeId, socket, from, body, userSession,
         });
         
         if (order) {
-          // Generar preferencia de pago automáticamente
-          const preference = await mercadoPagoService.createPreference(storeId, {
+          // El pago completo por MercadoPago reemplaza cualquier medio elegido antes
+          await orderPaymentsService.cancelPendingTenders(order.id);
+          
+          // Generar el link de pago automáticamente (registra el pago pendiente del pedido)
+          const checkout = await paymentGatewayService.createOrderCheckout(storeId, {
             orderId: order.id,
             orderNumber: order.orderNumber,
             items: order.items.map(item => ({
@@ -828,7 +989,12 @@ async function handlePaymentSelection(storeId, socket, from, body, userSession,
             customerEmail: null, // WhatsApp no proporciona email
             customerPhone: from.split('@')[0], // Extraer número del JID
             total: Number(order.total),
-            deliveryFee: Number(order.deliveryFee || 0)
+            deliveryFee: Number(order.deliveryFee || 0),
+            tipAmount: Number(order.tipAmount || 0),
+            ...(userSession.currentOrder.storeCreditApplied && {
+              amount: amountDue(userSession.currentOrder),
+              title: `Pedido ${orderNumberService.display(order.orderNumber)} (resto)`
+            })
           });
           
           // Guardar el link de pago en el pedido
@@ -839,8 +1005,12 @@ async function handlePaymentSelection(storeId, socket, from, body, userSession,
               paymentStatus: 'pending'
             }
           });
+          await orderHistoryService.recordUpdate(order.id, order, {
+            paymentMethod: 'mercadopago',
+            paymentStatus: 'pending'
+          }, BOT_ACTOR);
           
-          const paymentLink = preference.initPoint || preference.sandboxInitPoint;
+          const paymentLink = checkout.checkoutUrl;
           
           await socket.sendMessage(from, { 
             text: `💳 *MERCADO PAGO*
@@ -852,7 +1022,7 @@ ${paymentLink}
 
 ✅ Una vez que completes el pago, te notificaremos automáticamente.
 
-💰 Total a pagar: $${order.total.toLocaleString('es-AR')}
+💰 Total a pagar: $${amountDue(userSession.currentOrder).toLocaleString('es-AR')}
 
 🔄 Escribí "09" si querés cambiar el método de pago.` 
           });
@@ -904,6 +1074,11 @@ ${mpLink}
     userSession.paymentMethod = 'transferencia';
     userSession.waitingForPayment = false;
     userSession.waitingForTransferProof = true;
+    userSession.transferAmount = null;
+    
+    if (userSession.currentOrder?.id) {
+      await recordBotTenders(storeId, userSession.currentOrder.id, [{ tenderType: 'transfer' }]);
+    }
     
     const alias = parsedSettings?.transferAlias || 'No configurado';
     const cvu = parsedSettings?.transferCvu || '';
@@ -914,7 +1089,7 @@ ${mpLink}
     if (cvu) transferInfo += `💳 CVU: ${cvu}\n`;
     if (titular) transferInfo += `👤 Titular: ${titular}\n`;
     if (userSession.currentOrder?.total) {
-      transferInfo += `\n💰 *Total a transferir: $${userSession.currentOrder.total.toLocaleString('es-AR')}*\n`;
+      transferInfo += `\n💰 *Total a transferir: $${amountDue(userSession.currentOrder).toLocaleString('es-AR')}*\n`;
     }
     transferInfo += `\n📸 Una vez que transfieras, enviá una foto del comprobante acá.\n\n🔄 Escribí "09" si querés cambiar el método de pago.`;
     
@@ -933,22 +1108,71 @@ ${mpLink}
     userSession.step = 'welcome';
     
     // Actualizar pedido en BD
+    let confirmedOrder = null;
+    let heldForReview = false;
     if (userSession.currentOrder?.id) {
       try {
+        // El efectivo cambia el puntaje de riesgo (ej: total alto): se recalcula antes de confirmar
+        try {
+          await orderRiskService.evaluateOrder(userSession.currentOrder.id, { paymentMethod: 'efectivo' });
+        } catch (riskError) {
+          console.error(`[WhatsApp] [${storeId}] Error calculando riesgo del pedido:`, riskError.message);
+        }
+
+        const currentOrder = await prisma.order.findUnique({
+          where: { id: userSession.currentOrder.id },
+          select: { status: true, deliveryStatus: true, deliveryPersonId: true, paymentMethod: true, paymentStatus: true, heldForReview: true }
+        });
+        heldForReview = !!currentOrder?.heldForReview && currentOrder.status === 'pending';
+        
+        // Confirmar solo si el ciclo de vida lo permite (ej: no reabrir un pedido cancelado)
+        const transition = currentOrder
+          ? orderStateValidator.validateChange(currentOrder, { status: 'confirmed' }, 'bot')
+          : { valid: false, error: 'Pedido no encontrado' };
+        if (!transition.valid) {
+          console.warn(`[WhatsApp] [${storeId}] No se confirma el pedido ${userSession.currentOrder.id}: ${transition.error}`);
+        }
+        
+        const cashData = {
+          paymentMethod: 'efectivo',
+          paymentStatus: 'pending',
+          ...(transition.valid && { status: 'confirmed', ...transition.sync })
+        };
         await prisma.order.update({
           where: { id: userSession.currentOrder.id },
-          data: { 
-            paymentMethod: 'efectivo',
-            paymentStatus: 'pending',
-            status: 'confirmed'
-          }
+          data: cashData
+        });
+        await orderHistoryService.recordUpdate(userSession.currentOrder.id, currentOrder, cashData, BOT_ACTOR);
+        await recordBotTenders(storeId, userSession.currentOrder.id, [{ tenderType: 'cash' }]);
+        
+        if (transition.valid) {
+          await orderStateValidator.runEffects(userSession.currentOrder.id, transition.effects);
+        }
+        
+        // ETA recalculada al confirmar (es la que se le promete al cliente)
+        confirmedOrder = await prisma.order.findUnique({
+          where: { id: userSession.currentOrder.id },
+          select: { status: true, fulfillmentType: true, estimatedDeliveryAt: true, estimatedReadyAt: true, etaUpdatedAt: true }
         });
       } catch (error) {
         console.error(`[WhatsApp] [${storeId}] Error actualizando pedido:`, error);
       }
     }
     
-    const isPickup = userSession.currentOrder?.deliveryFee === 0;
+    const isPickup = userSession.currentOrder?.deliveryType === 'pickup';
+    
+    // Pedido retenido por riesgo: el local lo revisa y el cliente recibe la confirmación al aprobarse
+    if (heldForReview) {
+      await socket.sendMessage(from, {
+        text: `🔎 *PEDIDO EN REVISIÓN*
+
+Recibimos tu pedido con pago en efectivo. El local lo está revisando y te avisamos por acá apenas lo confirme.
+
+${userSession.currentOrder?.total ? `💰 Total a pagar: $${amountDue(userSession.currentOrder).toLocaleString('es-AR')}` : ''}`
+      });
+      userSession.currentOrder = null;
+      return;
+    }
     
     await socket.sendMessage(from, { 
       text: `💵 *PAGO EN EFECTIVO*
@@ -957,9 +1181,9 @@ ${mpLink}
 
 ${isPickup ? '🏪 Pagás al retirar en el local.' : '🚚 Pagás al recibir tu pedido.'}
 
-${userSession.currentOrder?.total ? `💰 Total a pagar: $${userSession.currentOrder.total.toLocaleString('es-AR')}` : ''}
+${userSession.currentOrder?.total ? `💰 Total a pagar: $${amountDue(userSession.currentOrder).toLocaleString('es-AR')}` : ''}
 
-⏱️ Tiempo estimado: 30-45 minutos
+${userSession.currentOrder?.scheduledFor ? `📅 Programado para: ${scheduledOrdersService.formatSlot(userSession.currentOrder.scheduledFor)}` : `⏱️ Tiempo estimado: ${formatEta({ fulfillmentType: userSession.currentOrder?.deliveryType, ...confirmedOrder }, parsedSettings)}`}
 
 📱 Te avisamos cuando esté ${isPickup ? 'listo para retirar' : 'en camino'}.
 
@@ -985,6 +1209,10 @@ ${userSession.currentOrder?.total ? `💰 Total a pagar: $${userSession.currentO
     errorOptions.push(`${errorOptionNum}️⃣ Efectivo`);
     errorOptionNum++;
   }
+  if (splitEnabled) {
+    errorOptions.push(`${errorOptionNum}️⃣ Dividir el pago (efectivo + otro medio)`);
+    errorOptionNum++;
+  }
   errorOptions.push(`${errorOptionNum}️⃣ Cancelar pago`);
   
   await socket.sendMessage(from, { 
@@ -992,6 +1220,554 @@ ${userSession.currentOrder?.total ? `💰 Total a pagar: $${userSession.currentO
   });
 }
 
+// ---------------------------------------------------------------------------
+// PROGRAMAR PEDIDO (elegir horario futuro)
+// ---------------------------------------------------------------------------
+async function showScheduleOptions(storeId, socket, from, userSession) {
+  const slots = await scheduledOrdersService.getNextAvailableSlots(storeId).catch(error => {
+    console.error(`[WhatsApp] [${storeId}] Error obteniendo horarios programables:`, error.message);
+    return [];
+  });
+  
+  if (slots.length === 0) {
+    userSession.step = 'waiting_order_confirmation';
+    await socket.sendMessage(from, { 
+      text: `😕 No hay horarios disponibles para programar en este momento.\n\n▶️ Escribí "SÍ" para recibirlo lo antes posible\n⛔ Escribí "NO" para cancelar` 
+    });
+    return;
+  }
+  
+  userSession.scheduleOptions = slots;
+  userSession.step = 'choose_schedule_slot';
+  
+  const options = slots.map((slot, index) => `${index + 1}️⃣ ${scheduledOrdersService.formatSlot(slot.time)}`);
+  await socket.sendMessage(from, { 
+    text: `📅 *PROGRAMAR PEDIDO*\n\nElegí el horario:\n\n${options.join('\n')}\n\n0️⃣ Lo quiero lo antes posible\n\nEscribí el número de la opción.` 
+  });
+}
+
+async function handleScheduleSelection(storeId, socket, from, body, userSession, settings) {
+  const slots = userSession.scheduleOptions || [];
+  
+  // Volver a la confirmación sin programar
+  if (body === '0' || body.includes('ahora')) {
+    userSession.scheduleOptions = null;
+    userSession.step = 'waiting_order_confirmation';
+    await socket.sendMessage(from, { 
+      text: `👍 Listo, lo preparamos lo antes posible.\n\n▶️ Escribí "SÍ" para continuar con el pago\n⛔ Escribí "NO" para cancelar` 
+    });
+    return;
+  }
+  
+  const slot = slots[parseInt(body, 10) - 1];
+  if (!slot || !userSession.currentOrder?.id) {
+    await socket.sendMessage(from, { 
+      text: `❓ No entendí tu respuesta.\n\nEscribí el número del horario o "0" para recibirlo lo antes posible.` 
+    });
+    return;
+  }
+  
+  try {
+    const order = await scheduledOrdersService.scheduleOrder(userSession.currentOrder.id, slot.time, BOT_ACTOR);
+    userSession.currentOrder.scheduledFor = order.scheduledFor;
+  } catch (error) {
+    if (error instanceof AppError) {
+      // El horario se ocupó mientras el cliente elegía: ofrecer los que quedan
+      await socket.sendMessage(from, { text: `⚠️ ${error.details?.message || error.message}` });
+      await showScheduleOptions(storeId, socket, from, userSession);
+      return;
+    }
+    console.error(`[WhatsApp] [${storeId}] Error programando pedido:`, error);
+    await socket.sendMessage(from, { text: `⚠️ No pudimos programar el pedido. Intentá de nuevo en unos minutos.` });
+    return;
+  }
+  
+  userSession.scheduleOptions = null;
+  await startCheckout(
+    storeId, socket, from, userSession, settings,
+    `📅 *Pedido programado para ${scheduledOrdersService.formatSlot(userSession.currentOrder.scheduledFor)}*`
+  );
+}
+
+// ---------------------------------------------------------------------------
+// PROPINA (se ofrece antes de elegir el medio de pago si el local la acepta)
+// ---------------------------------------------------------------------------
+async function startCheckout(storeId, socket, from, userSession, settings, heading) {
+  const order = userSession.currentOrder;
+  const tipOptions = order?.id && !order.tipAmount
+    ? await tipsService.getCheckoutOptions(storeId, order.subtotal || 0).catch(error => {
+      console.error(`[WhatsApp] [${storeId}] Error obteniendo opciones de propina:`, error.message);
+      return null;
+    })
+    : null;
+
+  if (!tipOptions?.enabled || tipOptions.options.length === 0) {
+    await showCheckoutPayment(storeId, socket, from, userSession, settings, heading);
+    return;
+  }
+
+  userSession.tipOptions = tipOptions;
+  userSession.step = 'choose_tip';
+  const options = tipOptions.options.map((option, index) =>
+    `${index + 1}️⃣ ${option.percent}% ($${option.amount.toLocaleString('es-AR')})`
+  );
+  await socket.sendMessage(from, {
+    text: `${heading}\n\n💝 *¿QUERÉS DEJAR PROPINA?*\n\n${options.join('\n')}\n0️⃣ Sin propina${tipOptions.allowCustomAmount ? '\n\n✍️ También podés escribir otro monto (ej: $500)' : ''}\n\nEscribí el número de la opción.`
+  });
+}
+
+async function handleTipSelection(storeId, socket, from, body, userSession, settings) {
+  const tipOptions = userSession.tipOptions || { options: [] };
+  const order = userSession.currentOrder;
+
+  let input = null;
+  if (body === '0' || body.includes('sin propina') || body === 'no') {
+    input = {};
+  } else if (/^\d+$/.test(body) && tipOptions.options[parseInt(body, 10) - 1]) {
+    input = { percent: tipOptions.options[parseInt(body, 10) - 1].percent };
+  } else if (tipOptions.allowCustomAmount) {
+    const amount = parseFloat(body.replace(/[$\s.]/g, '').replace(',', '.'));
+    if (amount > 0) input = { amount };
+  }
+
+  if (!input || !order?.id) {
+    await socket.sendMessage(from, {
+      text: `❓ No entendí tu respuesta.\n\nEscribí el número de la opción${tipOptions.allowCustomAmount ? ' o un monto (ej: $500)' : ''}, o "0" para seguir sin propina.`
+    });
+    return;
+  }
+
+  if (input.percent || input.amount) {
+    try {
+      const updated = await tipsService.addTipToOrder(order.id, input, BOT_ACTOR);
+      order.tipAmount = updated.tipAmount;
+      order.total = updated.total;
+    } catch (error) {
+      if (error instanceof AppError) {
+        await socket.sendMessage(from, { text: `⚠️ ${error.details?.message || error.message}\n\nElegí otra opción o escribí "0" para seguir sin propina.` });
+        return;
+      }
+      console.error(`[WhatsApp] [${storeId}] Error agregando propina:`, error);
+    }
+  }
+
+  userSession.tipOptions = null;
+  const heading = order.tipAmount > 0
+    ? `💝 ¡Gracias! Sumamos $${order.tipAmount.toLocaleString('es-AR')} de propina.\n\n💰 *Total a pagar: $${order.total.toLocaleString('es-AR')}*`
+    : `👍 Listo, seguimos sin propina.`;
+  await showCheckoutPayment(storeId, socket, from, userSession, settings, heading);
+}
+
+async function showCheckoutPayment(storeId, socket, from, userSession, settings, heading) {
+  // Con saldo a favor en el local se ofrece usarlo antes de elegir el medio de pago
+  const order = userSession.currentOrder;
+  if (order?.id && !order.storeCreditOffered) {
+    order.storeCreditOffered = true;
+    const { balance } = await storeCreditService.getBalance(storeId, from).catch(error => {
+      console.error(`[WhatsApp] [${storeId}] Error obteniendo saldo a favor:`, error.message);
+      return { balance: 0 };
+    });
+
+    if (balance > 0) {
+      const usable = Math.min(balance, amountDue(order));
+      userSession.step = 'use_store_credit';
+      userSession.waitingForPayment = false;
+      await socket.sendMessage(from, {
+        text: `${heading}\n\n💰 *SALDO A FAVOR*\n\nTenés $${balance.toLocaleString('es-AR')} de saldo a favor.\n\n1️⃣ Usar $${usable.toLocaleString('es-AR')} en este pedido\n2️⃣ No usarlo ahora\n\nEscribí el número de la opción.`
+      });
+      return;
+    }
+  }
+
+  await showPaymentStep(storeId, socket, from, userSession, settings, heading);
+}
+
+async function showPaymentStep(storeId, socket, from, userSession, settings, heading) {
+  userSession.step = 'checkout_payment';
+  userSession.waitingForPayment = true;
+  await socket.sendMessage(from, { 
+    text: `${heading}\n\n💳 *MÉTODO DE PAGO*\n\nElegí cómo querés pagar:` 
+  });
+  await showPaymentOptions(storeId, socket, from, userSession, settings);
+}
+
+// ---------------------------------------------------------------------------
+// SALDO A FAVOR (billetera del cliente en el local)
+// ---------------------------------------------------------------------------
+
+// Lo que falta pagar del pedido de la sesión (el total menos el saldo a favor y las gift cards aplicados)
+function amountDue(order) {
+  return order?.amountDue ?? order?.total ?? 0;
+}
+
+async function showStoreCreditBalance(storeId, socket, from) {
+  try {
+    const { balance, transactions } = await storeCreditService.getBalance(storeId, from);
+    if (balance <= 0 && transactions.length === 0) {
+      await socket.sendMessage(from, { text: `💰 *MI SALDO A FAVOR*\n\nPor ahora no tenés saldo a favor en este local.` });
+      return;
+    }
+
+    const movements = transactions.slice(0, 5).map(t =>
+      `${t.amount > 0 ? '➕' : '➖'} $${Math.abs(t.amount).toLocaleString('es-AR')} · ${t.label} (${new Date(t.createdAt).toLocaleDateString('es-AR')})`
+    );
+    await socket.sendMessage(from, {
+      text: `💰 *MI SALDO A FAVOR*\n\nSaldo disponible: *$${balance.toLocaleString('es-AR')}*${movements.length > 0 ? `\n\n🧾 Últimos movimientos:\n${movements.join('\n')}` : ''}\n\n💡 Podés usarlo como medio de pago en tu próximo pedido.`
+    });
+  } catch (error) {
+    console.error(`[WhatsApp] [${storeId}] Error consultando saldo a favor:`, error.message);
+    await socket.sendMessage(from, { text: `⚠️ No pudimos consultar tu saldo en este momento. Intentá de nuevo en unos minutos.` });
+  }
+}
+
+async function handleStoreCreditSelection(storeId, socket, from, body, userSession, settings) {
+  const order = userSession.currentOrder;
+
+  if (body === '2' || body === 'no') {
+    await showPaymentStep(storeId, socket, from, userSession, settings, `👍 Listo, guardamos tu saldo para otra vez.`);
+    return;
+  }
+
+  if (!['1', 'si', 'sí', 'usar'].includes(body) || !order?.id) {
+    await socket.sendMessage(from, {
+      text: `❓ No entendí tu respuesta.\n\n1️⃣ Usar el saldo a favor en este pedido\n2️⃣ No usarlo ahora`
+    });
+    return;
+  }
+
+  try {
+    const result = await storeCreditService.payOrder(order.id, null, BOT_ACTOR);
+    order.storeCreditApplied = result.amount;
+    order.amountDue = result.remaining;
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      console.error(`[WhatsApp] [${storeId}] Error aplicando saldo a favor:`, error);
+    }
+    await showPaymentStep(storeId, socket, from, userSession, settings,
+      `⚠️ ${error instanceof AppError ? error.details?.message || error.message : 'No pudimos usar tu saldo a favor.'}`);
+    return;
+  }
+
+  if (order.amountDue <= 0) {
+    await confirmStoreCreditOrder(storeId, socket, from, userSession, settings);
+    return;
+  }
+
+  await showPaymentStep(storeId, socket, from, userSession, settings,
+    `✅ Usamos $${order.storeCreditApplied.toLocaleString('es-AR')} de tu saldo a favor.\n\n💰 *Resta pagar: $${order.amountDue.toLocaleString('es-AR')}*`);
+}
+
+// ---------------------------------------------------------------------------
+// GIFT CARDS (el cliente escribe el código en el paso de pago)
+// ---------------------------------------------------------------------------
+
+const GIFT_CARD_CODE_PATTERN = /^[a-z0-9]{4}-?[a-z0-9]{4}-?[a-z0-9]{4}-?[a-z0-9]{4}$/i;
+
+async function handleGiftCardCode(storeId, socket, from, code, userSession, settings) {
+  const order = userSession.currentOrder;
+  if (!order?.id || !amountDue(order)) {
+    await socket.sendMessage(from, { text: `⚠️ No encontramos el pedido para pagar con la gift card.\n\nEscribí "hola" para ver opciones.` });
+    return;
+  }
+
+  try {
+    const result = await giftCardsService.payOrder(order.id, code, null, BOT_ACTOR);
+    order.giftCardApplied = Math.round(((order.giftCardApplied || 0) + result.amount) * 100) / 100;
+    order.amountDue = result.remaining;
+
+    if (order.amountDue <= 0) {
+      await confirmStoreCreditOrder(storeId, socket, from, userSession, settings);
+      return;
+    }
+
+    await showPaymentStep(storeId, socket, from, userSession, settings,
+      `🎁 Usamos $${result.amount.toLocaleString('es-AR')} de tu gift card${result.balance > 0 ? ` (le quedan $${result.balance.toLocaleString('es-AR')})` : ''}.\n\n💰 *Resta pagar: $${order.amountDue.toLocaleString('es-AR')}*`);
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      console.error(`[WhatsApp] [${storeId}] Error aplicando gift card:`, error);
+    }
+    await socket.sendMessage(from, {
+      text: `⚠️ ${error instanceof AppError ? error.details?.message || error.message : 'No pudimos usar la gift card.'}\n\nRevisá el código o elegí otro medio de pago.`
+    });
+  }
+}
+
+// Pedido pagado completo con saldo a favor y/o gift card: se confirma igual que un pedido en efectivo
+async function confirmStoreCreditOrder(storeId, socket, from, userSession, settings) {
+  const order = userSession.currentOrder;
+  const paidWith = order.storeCreditApplied && order.giftCardApplied
+    ? 'saldo a favor y gift card'
+    : order.storeCreditApplied ? 'saldo a favor' : 'gift card';
+  userSession.step = 'welcome';
+  userSession.waitingForPayment = false;
+  userSession.currentOrder = null;
+
+  let confirmedOrder = null;
+  let heldForReview = false;
+  try {
+    const currentOrder = await prisma.order.findUnique({
+      where: { id: order.id },
+      select: { status: true, deliveryStatus: true, deliveryPersonId: true, paymentMethod: true, paymentStatus: true, heldForReview: true }
+    });
+    heldForReview = !!currentOrder?.heldForReview && currentOrder.status === 'pending';
+
+    const transition = currentOrder
+      ? orderStateValidator.validateChange(currentOrder, { status: 'confirmed' }, 'bot')
+      : { valid: false, error: 'Pedido no encontrado' };
+    if (transition.valid) {
+      const data = { status: 'confirmed', ...transition.sync };
+      await prisma.order.update({ where: { id: order.id }, data });
+      await orderHistoryService.recordUpdate(order.id, currentOrder, data, BOT_ACTOR);
+      await orderStateValidator.runEffects(order.id, transition.effects);
+    } else {
+      console.warn(`[WhatsApp] [${storeId}] No se confirma el pedido ${order.id}: ${transition.error}`);
+    }
+
+    confirmedOrder = await prisma.order.findUnique({
+      where: { id: order.id },
+      select: { status: true, fulfillmentType: true, estimatedDeliveryAt: true, estimatedReadyAt: true, etaUpdatedAt: true }
+    });
+  } catch (error) {
+    console.error(`[WhatsApp] [${storeId}] Error confirmando pedido pagado con saldo:`, error);
+  }
+
+  if (heldForReview) {
+    await socket.sendMessage(from, {
+      text: `🔎 *PEDIDO EN REVISIÓN*\n\nRecibimos tu pedido pagado con ${paidWith}. El local lo está revisando y te avisamos por acá apenas lo confirme.`
+    });
+    return;
+  }
+
+  const isPickup = order.deliveryType === 'pickup';
+  await socket.sendMessage(from, {
+    text: `${order.storeCreditApplied ? '💰' : '🎁'} *PAGADO CON ${paidWith.toUpperCase()}*\n\n✅ Tu pedido está confirmado y pago.\n\n${order.scheduledFor ? `📅 Programado para: ${scheduledOrdersService.formatSlot(order.scheduledFor)}` : `⏱️ Tiempo estimado: ${formatEta({ fulfillmentType: order.deliveryType, ...confirmedOrder }, settings)}`}\n\n📱 Te avisamos cuando esté ${isPickup ? 'listo para retirar' : 'en camino'}.\n\n¡Gracias por tu pedido! ❤️`
+  });
+}
+
+// ---------------------------------------------------------------------------
+// CAPACIDAD DE COCINA (pedidos por hora)
+// Devuelve true si el pedido puede seguir al pago (entra ya o quedó programado)
+// ---------------------------------------------------------------------------
+async function admitOrderCapacity(storeId, socket, from, userSession, settings) {
+  const order = userSession.currentOrder;
+  if (!order?.id || order.scheduledFor) return true;
+
+  try {
+    const { deferTo } = await orderCapacityService.admit(storeId, {
+      items: order.items || [],
+      excludeOrderId: order.id
+    });
+    if (!deferTo) return true;
+
+    const scheduled = await scheduledOrdersService.scheduleOrder(order.id, deferTo, BOT_ACTOR);
+    order.scheduledFor = scheduled.scheduledFor;
+    await socket.sendMessage(from, {
+      text: `⏳ *Estamos con mucha demanda*\n\nPara que llegue bien, programamos tu pedido para el próximo horario disponible:\n📅 *${scheduledOrdersService.formatSlot(scheduled.scheduledFor)}*`
+    });
+    return true;
+  } catch (error) {
+    if (error instanceof AppError && error.details?.code === CAPACITY_ERROR_CODE) {
+      userSession.step = 'waiting_order_confirmation';
+      const retryOption = settings?.acceptScheduledOrders
+        ? '📅 Escribí "PROGRAMAR" para elegir un horario'
+        : '▶️ Escribí "SÍ" más tarde para volver a intentar';
+      await socket.sendMessage(from, {
+        text: `⏳ *Estamos con mucha demanda*\n\nEn este momento no podemos tomar más pedidos para ya.\n🕐 Podemos tomarlo desde las *${error.details.nextAvailableLabel}*.\n\n${retryOption}\n⛔ Escribí "NO" para cancelar`
+      });
+      return false;
+    }
+    // Un error al calcular la capacidad no frena el pedido
+    console.error(`[WhatsApp] [${storeId}] Error verificando capacidad:`, error);
+    return true;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// TIEMPO ESTIMADO DEL PEDIDO (ETA calculada; sin ETA, la ventana configurada por local)
+// ---------------------------------------------------------------------------
+function formatEta(order, settings) {
+  const eta = deliveryTimeEstimatorService.describeEta(order);
+  if (eta && eta.minutesRemaining > 0) {
+    const when = order.fulfillmentType === 'pickup' ? 'listo para retirar' : 'llega';
+    return `${eta.minutesRemaining} minutos aprox. (${when} cerca de las ${eta.label})`;
+  }
+  if (order?.fulfillmentType === 'pickup') {
+    return `${settings?.pickupTimeMin ?? 15}-${settings?.pickupTimeMax ?? 25} minutos`;
+  }
+  return `${settings?.deliveryTimeMin ?? 30}-${settings?.deliveryTimeMax ?? 45} minutos`;
+}
+
+// ---------------------------------------------------------------------------
+// REGISTRAR MEDIOS DE PAGO DEL PEDIDO (no interrumpe el flujo si falla)
+// ---------------------------------------------------------------------------
+async function recordBotTenders(storeId, orderId, tenders) {
+  try {
+    return await orderPaymentsService.splitTender(orderId, tenders, BOT_ACTOR);
+  } catch (error) {
+    console.error(`[WhatsApp] [${storeId}] Error registrando medios de pago del pedido ${orderId}:`, error.message);
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// MANEJAR PAGO DIVIDIDO (efectivo + MercadoPago o transferencia)
+// ---------------------------------------------------------------------------
+async function handleSplitPayment(storeId, socket, from, body, userSession, settings) {
+  let parsedSettings = settings;
+  if (typeof settings === 'string') {
+    try {
+      parsedSettings = JSON.parse(settings);
+    } catch (e) {
+      parsedSettings = settings;
+    }
+  }
+  
+  const mercadoPagoActive = (parsedSettings?.mercadoPagoEnabled === true || parsedSettings?.mercadoPagoEnabled === 'true') && 
+                             (parsedSettings?.mercadoPagoLink || parsedSettings?.mercadoPagoPublicKey || parsedSettings?.mercadoPagoAccessToken);
+  const transferEnabled = parsedSettings?.transferEnabled !== false;
+  const order = userSession.currentOrder;
+  
+  // Volver a elegir método de pago
+  if (body === '09' || !order?.id) {
+    userSession.step = 'checkout_payment';
+    userSession.splitCashAmount = null;
+    userSession.waitingForPayment = true;
+    await showPaymentOptions(storeId, socket, from, userSession, settings);
+    return;
+  }
+  
+  if (userSession.step === 'split_cash_amount') {
+    const amount = parseFloat(body.replace(/[$\s.]/g, '').replace(',', '.'));
+    
+    if (!amount || amount <= 0 || amount >= amountDue(order)) {
+      await socket.sendMessage(from, { 
+        text: `❓ El monto en efectivo tiene que ser mayor a $0 y menor al total ($${amountDue(order).toLocaleString('es-AR')}).\n\nEscribí solo el número (ej: 5000).\n\n🔄 Escribí "09" si querés cambiar el método de pago.` 
+      });
+      return;
+    }
+    
+    userSession.splitCashAmount = amount;
+    
+    // Con un solo medio disponible para el resto no hace falta preguntar
+    if (mercadoPagoActive && transferEnabled) {
+      userSession.step = 'split_second_tender';
+      await socket.sendMessage(from, { 
+        text: `💵 Efectivo: $${amount.toLocaleString('es-AR')}\n💰 Resto: $${(amountDue(order) - amount).toLocaleString('es-AR')}\n\n¿Cómo querés pagar el resto?\n\n1️⃣ Mercado Pago\n2️⃣ Transferencia (CVU)\n\n🔄 Escribí "09" si querés cambiar el método de pago.` 
+      });
+      return;
+    }
+    
+    await completeSplitPayment(storeId, socket, from, mercadoPagoActive ? 'mercadopago' : 'transfer', userSession, parsedSettings);
+    return;
+  }
+  
+  // Segundo medio de pago
+  if (body === '1' || body.includes('mercado')) {
+    await completeSplitPayment(storeId, socket, from, 'mercadopago', userSession, parsedSettings);
+  } else if (body === '2' || body.includes('transfer')) {
+    await completeSplitPayment(storeId, socket, from, 'transfer', userSession, parsedSettings);
+  } else {
+    await socket.sendMessage(from, { 
+      text: `❓ No entendí tu respuesta.\n\nEscribí el número de la opción:\n1️⃣ Mercado Pago\n2️⃣ Transferencia (CVU)` 
+    });
+  }
+}
+
+async function completeSplitPayment(storeId, socket, from, secondTender, userSession, parsedSettings) {
+  const order = userSession.currentOrder;
+  const cashAmount = userSession.splitCashAmount;
+  const remaining = Math.round((amountDue(order) - cashAmount) * 100) / 100;
+  const cashLine = `💵 Efectivo al ${order.deliveryType === 'pickup' ? 'retirar' : 'recibir'}: $${cashAmount.toLocaleString('es-AR')}`;
+  
+  userSession.step = 'welcome';
+  userSession.splitCashAmount = null;
+  
+  if (secondTender === 'mercadopago') {
+    userSession.paymentMethod = 'mixto';
+    
+    try {
+      const fullOrder = await prisma.order.findUnique({
+        where: { id: order.id },
+        include: { items: true }
+      });
+      if (!fullOrder) throw new Error('Pedido no encontrado');
+      
+      // Los pagos pendientes anteriores se reemplazan por la nueva división
+      await orderPaymentsService.cancelPendingTenders(order.id);
+      
+      const checkout = await paymentGatewayService.createOrderCheckout(storeId, {
+        orderId: fullOrder.id,
+        orderNumber: fullOrder.orderNumber,
+        items: fullOrder.items.map(item => ({
+          productId: item.productId || item.id,
+          productName: item.productName,
+          quantity: item.quantity,
+          unitPrice: Number(item.unitPrice)
+        })),
+        customerName: fullOrder.customerName,
+        customerEmail: null,
+        customerPhone: from.split('@')[0],
+        total: Number(fullOrder.total),
+        deliveryFee: Number(fullOrder.deliveryFee || 0),
+        amount: remaining,
+        title: `Pedido ${orderNumberService.display(fullOrder.orderNumber)} (resto)`
+      });
+      
+      await recordBotTenders(storeId, order.id, [
+        { tenderType: 'cash', amount: cashAmount },
+        { tenderType: 'mercadopago', amount: remaining, reference: checkout.checkoutId }
+      ]);
+      
+      const paymentLink = checkout.checkoutUrl;
+      await socket.sendMessage(from, { 
+        text: `💳 *PAGO DIVIDIDO*
+
+${cashLine}
+💳 Mercado Pago: $${remaining.toLocaleString('es-AR')}
+
+🔗 Link de pago:
+${paymentLink}
+
+✅ Una vez que completes el pago, te notificaremos automáticamente.` 
+      });
+      
+      console.log(`[WhatsApp] [${storeId}] ✅ Pago dividido (efectivo + MercadoPago) para pedido ${fullOrder.orderNumber}`);
+    } catch (error) {
+      console.error(`[WhatsApp] [${storeId}] ❌ Error generando pago dividido:`, error);
+      userSession.step = 'checkout_payment';
+      userSession.waitingForPayment = true;
+      await socket.sendMessage(from, { 
+        text: `⚠️ No pudimos generar el link de pago para dividir el pago. Elegí otro método:` 
+      });
+      await showPaymentOptions(storeId, socket, from, userSession, parsedSettings);
+    }
+    return;
+  }
+  
+  // Efectivo + transferencia: se espera el comprobante por el resto
+  userSession.paymentMethod = 'mixto';
+  userSession.waitingForTransferProof = true;
+  userSession.transferAmount = remaining;
+  
+  await recordBotTenders(storeId, order.id, [
+    { tenderType: 'cash', amount: cashAmount },
+    { tenderType: 'transfer', amount: remaining }
+  ]);
+  
+  const alias = parsedSettings?.transferAlias || 'No configurado';
+  const cvu = parsedSettings?.transferCvu || '';
+  const titular = parsedSettings?.transferTitular || '';
+  
+  let transferInfo = `🏦 *PAGO DIVIDIDO*\n\n${cashLine}\n\n`;
+  transferInfo += `📝 Alias: *${alias}*\n`;
+  if (cvu) transferInfo += `💳 CVU: ${cvu}\n`;
+  if (titular) transferInfo += `👤 Titular: ${titular}\n`;
+  transferInfo += `\n💰 *Total a transferir: $${remaining.toLocaleString('es-AR')}*\n`;
+  transferInfo += `\n📸 Una vez que transfieras, enviá una foto del comprobante acá.\n\n🔄 Escribí "09" si querés cambiar el método de pago.`;
+  
+  await socket.sendMessage(from, { text: transferInfo });
+}
+
 // ---------------------------------------------------------------------------
 // MANEJAR COMPROBANTE DE TRANSFERENCIA
 // ---------------------------------------------------------------------------
@@ -999,6 +1775,7 @@ async function handleTransferProof(storeId, socket, from, message, userSession,
   console.log(`[WhatsApp] [${storeId}] 📸 Comprobante recibido de ${from.split('@')[0]}`);
   
   let proofImageUrl = null;
+  let proofBuffer = null;
   
   // Descargar y guardar imagen
   try {
@@ -1022,6 +1799,7 @@ async function handleTransferProof(storeId, socket, from, message, userSession,
         const filePath = path.join(proofDir, fileName);
         fs.writeFileSync(filePath, stream);
         proofImageUrl = `/api/proofs/${fileName}`;
+        proofBuffer = stream;
         console.log(`[WhatsApp] [${storeId}] 📂 Ruta de guardado: ${filePath}`);
         console.log(`[WhatsApp] [${storeId}] ✅ Comprobante guardado: ${proofImageUrl}`);
       }
@@ -1033,25 +1811,42 @@ async function handleTransferProof(storeId, socket, from, message, userSession,
   // Actualizar pedido en BD
   if (userSession.currentOrder?.id) {
     try {
-      await prisma.order.update({
+      const previousOrder = await prisma.order.findUnique({
         where: { id: userSession.currentOrder.id },
-        data: { 
+        select: { paymentMethod: true, paymentStatus: true, customerPhone: true }
+      });
+      // En un pago dividido el estado del pago lo calcula el ledger del pedido
+      const transferData = userSession.paymentMethod === 'mixto'
+        ? { customerPhone: from }
+        : {
           paymentMethod: userSession.paymentMethod || 'transferencia',
           paymentStatus: 'pending',
           customerPhone: from
-        }
+        };
+      await prisma.order.update({
+        where: { id: userSession.currentOrder.id },
+        data: transferData
       });
+      await orderHistoryService.recordUpdate(userSession.currentOrder.id, previousOrder, transferData, BOT_ACTOR, 'Comprobante de transferencia recibido');
       
       // Crear registro de transferencia pendiente
-      await prisma.pendingTransfer.create({
+      const transfer = await prisma.pendingTransfer.create({
         data: {
           orderId: userSession.currentOrder.id,
           storeId: storeId,
-          amount: userSession.currentOrder.total || 0,
+          amount: userSession.transferAmount || amountDue(userSession.currentOrder),
           status: 'pending',
           proofImageUrl: proofImageUrl
         }
       });
+      await orderPaymentsService.syncPendingTransfer(transfer, BOT_ACTOR);
+      
+      // Comparar con los comprobantes anteriores del local (reenvío de una captura vieja)
+      if (proofBuffer) {
+        await transferProofsService.fingerprint(transfer, proofBuffer).catch(error => {
+          console.error(`[WhatsApp] [${storeId}] Error comparando comprobante:`, error.message);
+        });
+      }
       
       console.log(`[WhatsApp] [${storeId}] ✅ Transferencia pendiente creada`);
     } catch (error) {
@@ -1064,6 +1859,7 @@ async function handleTransferProof(storeId, socket, from, message, userSession,
   userSession.waitingForPayment = false;
   userSession.currentOrder = null;
   userSession.paymentMethod = null;
+  userSession.transferAmount = null;
   userSession.step = 'welcome';
   
   await socket.sendMessage(from, { 
@@ -1123,34 +1919,37 @@ export async function notifyOrderStatus(storeId, orderId, status, extraInfo = {}
     }
     
     const storeName = order.store?.name || 'Nuestro local';
+    const orderLabel = orderNumberService.display(order.orderNumber);
+    const storeSettings = await prisma.storeSettings.findUnique({ where: { storeId: order.storeId || storeId } });
+    const eta = formatEta(order, storeSettings);
     let message = '';
     
     switch (status) {
       case 'confirmed':
-        message = `✅ *PEDIDO CONFIRMADO*\n\n📋 Pedido #${order.orderNumber}\n\n🍳 Tu pedido está siendo preparado.\n\n⏱️ Tiempo estimado: 30-45 minutos\n\n¡Gracias por tu compra! ❤️`;
+        message = `✅ *PEDIDO CONFIRMADO*\n\n📋 Pedido ${orderLabel}\n\n🍳 Tu pedido está siendo preparado.\n\n⏱️ Tiempo estimado: ${eta}\n\n¡Gracias por tu compra! ❤️`;
         break;
       case 'preparing':
-        message = `👨‍🍳 *EN PREPARACIÓN*\n\n📋 Pedido #${order.orderNumber}\n\nTu pedido está siendo preparado con mucho cariño.\n\n⏱️ Pronto estará listo.`;
+        message = `👨‍🍳 *EN PREPARACIÓN*\n\n📋 Pedido ${orderLabel}\n\nTu pedido está siendo preparado con mucho cariño.\n\n⏱️ Pronto estará listo.`;
         break;
       case 'ready':
-        message = order.deliveryFee > 0 
-          ? `📦 *PEDIDO LISTO*\n\n📋 Pedido #${order.orderNumber}\n\nTu pedido está listo y pronto saldrá a delivery.\n\n🚚 Te avisamos cuando esté en camino.`
-          : `📦 *PEDIDO LISTO PARA RETIRAR*\n\n📋 Pedido #${order.orderNumber}\n\n🏪 Ya podés pasar a retirarlo por ${storeName}.\n\n🔐 Código: ${order.deliveryCode || order.uniqueCode}`;
+        message = order.fulfillmentType === 'pickup'
+          ? `📦 *PEDIDO LISTO PARA RETIRAR*\n\n📋 Pedido ${orderLabel}\n\n🏪 Ya podés pasar a retirarlo por ${storeName}.${storeSettings?.address ? `\n📍 ${storeSettings.address}` : ''}\n\n🔐 Código de retiro: *${order.deliveryCode || order.uniqueCode}*\n\nMostralo en el mostrador para recibir tu pedido.`
+          : `📦 *PEDIDO LISTO*\n\n📋 Pedido ${orderLabel}\n\nTu pedido está listo y pronto saldrá a delivery.\n\n🚚 Te avisamos cuando esté en camino.`;
         break;
       case 'in_transit':
-        message = `🚚 *EN CAMINO*\n\n📋 Pedido #${order.orderNumber}\n\nTu pedido está en camino.\n\n📍 Dirección: ${order.customerAddress || 'No especificada'}\n\n🔐 Código de entrega: ${order.deliveryCode || order.uniqueCode}\n\n${extraInfo.trackingUrl ? `📍 Seguí tu pedido: ${extraInfo.trackingUrl}` : ''}`;
+        message = `🚚 *EN CAMINO*\n\n📋 Pedido ${orderLabel}\n\nTu pedido está en camino.\n\n📍 Dirección: ${order.customerAddress || 'No especificada'}\n\n🔐 Código de entrega: ${order.deliveryCode || order.uniqueCode}\n\n${extraInfo.trackingUrl ? `📍 Seguí tu pedido: ${extraInfo.trackingUrl}` : ''}`;
         break;
       case 'delivered':
-        message = `✅ *ENTREGADO*\n\n📋 Pedido #${order.orderNumber}\n\n¡Tu pedido fue entregado!\n\n⭐ Esperamos que lo disfrutes.\n\n¡Gracias por elegirnos! ❤️`;
+        message = `✅ *ENTREGADO*\n\n📋 Pedido ${orderLabel}\n\n${order.fulfillmentType === 'pickup' ? '¡Retiraste tu pedido!' : '¡Tu pedido fue entregado!'}\n\n⭐ Esperamos que lo disfrutes.\n\n¡Gracias por elegirnos! ❤️`;
         break;
       case 'cancelled':
-        message = `❌ *PEDIDO CANCELADO*\n\n📋 Pedido #${order.orderNumber}\n\nTu pedido fue cancelado.\n\n${extraInfo.reason ? `📝 Motivo: ${extraInfo.reason}` : ''}\n\nSi tenés dudas, contactanos.`;
+        message = `❌ *PEDIDO CANCELADO*\n\n📋 Pedido ${orderLabel}\n\nTu pedido fue cancelado.\n\n${extraInfo.reason ? `📝 Motivo: ${extraInfo.reason}` : ''}${extraInfo.refund ? `\n\n💸 ${extraInfo.refund}` : ''}\n\nSi tenés dudas, contactanos.`;
         break;
       case 'payment_approved':
-        message = `✅ *PAGO APROBADO*\n\n📋 Pedido #${order.orderNumber}\n\n💰 Tu pago fue verificado correctamente.\n\n🍳 Tu pedido está en preparación.\n\n⏱️ Tiempo estimado: 30-45 minutos\n\n¡Gracias! ❤️`;
+        message = `✅ *PAGO APROBADO*\n\n📋 Pedido ${orderLabel}\n\n💰 Tu pago fue verificado correctamente.\n\n🍳 Tu pedido está en preparación.\n\n⏱️ Tiempo estimado: ${eta}\n\n¡Gracias! ❤️`;
         break;
       default:
-        message = `📋 *ACTUALIZACIÓN DE PEDIDO*\n\nPedido #${order.orderNumber}\n\nEstado: ${status}`;
+        message = `📋 *ACTUALIZACIÓN DE PEDIDO*\n\nPedido ${orderLabel}\n\nEstado: ${status}`;
     }
     
     console.log(`[WhatsApp] [${storeId}] 📤 Enviando mensaje a ${order.customerPhone}`);
@@ -220,13 +220,124 @@ export const ordersApi = {
     const query = params?.storeId ? `?storeId=${params.storeId}` : '';
     return request(`/orders${query}`);
   },
+  // Búsqueda paginada: devuelve { orders, next_cursor, has_more, counts }
+  search: (params: Record<string, string | undefined> = {}) => {
+    const query = new URLSearchParams({ paginate: 'true' });
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') query.set(key, value);
+    });
+    return request(`/orders?${query.toString()}`);
+  },
   getById: (id: string) => request(`/orders/${id}`),
+  // Pedidos programados: horarios con lugar (fecha YYYY-MM-DD) y reprogramación
+  getScheduledSlots: (storeId: string, date?: string) =>
+    request(`/stores/${storeId}/scheduled-slots${date ? `?date=${date}` : ''}`),
+  schedule: (id: string, scheduledFor: string) =>
+    request(`/orders/${id}/schedule`, { method: 'PUT', body: JSON.stringify({ scheduled_for: scheduledFor }) }),
+  // Retiro en el local: reenviar aviso de "listo para retirar" y entregar verificando el código
+  sendPickupReadyNotice: (id: string) => request(`/orders/${id}/pickup-ready-notice`, { method: 'POST' }),
+  pickup: (id: string, code: string) =>
+    request(`/orders/${id}/pickup`, { method: 'POST', body: JSON.stringify({ pickup_code: code }) }),
   create: (data: any) => request('/orders', { method: 'POST', body: JSON.stringify(data) }),
   update: (id: string, data: any) => request(`/orders/${id}`, { method: 'PUT', body: JSON.stringify(data) }),
   delete: (id: string) => request(`/orders/${id}`, { method: 'DELETE' }),
   approve: (id: string) => request(`/orders/${id}/approve`, { method: 'POST' }),
-  reject: (id: string, reason?: string) => request(`/orders/${id}/reject`, { method: 'POST', body: JSON.stringify({ reason }) }),
-  cancel: (id: string) => request(`/orders/${id}/cancel`, { method: 'POST' }),
+  reject: (id: string, reason?: string, reasonCode?: string) => request(`/orders/${id}/reject`, { method: 'POST', body: JSON.stringify({ reason, reason_code: reasonCode }) }),
+  // Cancelar con la política del local: motivo (reason_code), cargo, reintegro y stock.
+  // Sin sesión del panel, el cliente se identifica con customer_phone, user_id o tracking_token.
+  cancel: (id: string, data: { reason_code?: string; note?: string; customer_phone?: string; user_id?: string; tracking_token?: string } = {}) =>
+    request(`/orders/${id}/cancel`, { method: 'POST', body: JSON.stringify(data) }),
+  // Repetir pedido: devuelve el carrito recotizado (ítems no disponibles, precios y opciones marcados).
+  // Para confirmarlo se envían sus `items` a create().
+  reorder: (id: string, owner: { customer_phone?: string; user_id?: string; tracking_token?: string }) =>
+    request(`/orders/${id}/reorder`, { method: 'POST', body: JSON.stringify(owner) }),
+  // Reembolsos: totales (sin items ni amount), por monto o por ítems con cantidades parciales
+  getRefunds: (id: string) => request(`/orders/${id}/refunds`),
+  requestRefund: (id: string, data: {
+    reason: string;
+    items?: { order_item_id: string; quantity?: number }[];
+    amount?: number;
+    method?: 'mercadopago' | 'cash' | 'store_credit';
+    notes?: string;
+  }) => request(`/orders/${id}/refunds`, { method: 'POST', body: JSON.stringify(data) }),
+};
+
+// Reembolsos: aprobación, ejecución (efectivo entregado / reintento) y reporte por período
+export const refundsApi = {
+  getByStore: (storeId: string, status = 'pending') => request(`/stores/${storeId}/refunds?status=${status}`),
+  approve: (id: string, notes?: string) =>
+    request(`/refunds/${id}/approve`, { method: 'POST', body: JSON.stringify({ notes }) }),
+  reject: (id: string, reason?: string) =>
+    request(`/refunds/${id}/reject`, { method: 'POST', body: JSON.stringify({ reason }) }),
+  process: (id: string) => request(`/refunds/${id}/process`, { method: 'POST' }),
+  getReport: (storeId: string, from?: string, to?: string) => {
+    const query = new URLSearchParams();
+    if (from) query.set('from', from);
+    if (to) query.set('to', to);
+    return request(`/stores/${storeId}/refunds-report?${query.toString()}`);
+  },
+};
+
+// Saldo a favor: billeteras de clientes (panel) y la del cliente logueado en la web (token de usuario)
+export const storeCreditApi = {
+  getWallets: (storeId: string) => request(`/stores/${storeId}/store-credit`),
+  getCustomer: (storeId: string, phone: string) =>
+    request(`/stores/${storeId}/store-credit/${encodeURIComponent(phone)}`),
+  adjust: (storeId: string, phone: string, amount: number, note: string) =>
+    request(`/stores/${storeId}/store-credit/${encodeURIComponent(phone)}/adjust`, { method: 'POST', body: JSON.stringify({ amount, note }) }),
+  payOrder: (orderId: string, amount?: number) =>
+    request(`/orders/${orderId}/store-credit`, { method: 'POST', body: JSON.stringify({ amount }) }),
+  getMine: (storeId: string, userToken: string) =>
+    request(`/users/me/store-credit/${storeId}`, { headers: { Authorization: `Bearer ${userToken}` } }),
+  applyToMyOrder: (storeId: string, orderId: string, userToken: string, amount?: number) =>
+    request(`/users/me/store-credit/${storeId}/apply`, {
+      method: 'POST',
+      body: JSON.stringify({ orderId, amount }),
+      headers: { Authorization: `Bearer ${userToken}` },
+    }),
+};
+
+// Gift cards
+export const giftCardsApi = {
+  getDesigns: (storeId: string) => request(`/stores/${storeId}/gift-cards/designs`),
+  purchase: (storeId: string, data: any) =>
+    request(`/stores/${storeId}/gift-cards/purchase`, { method: 'POST', body: JSON.stringify(data) }),
+  requestReload: (storeId: string, code: string, amount: number, payer?: any) =>
+    request(`/stores/${storeId}/gift-cards/reload`, { method: 'POST', body: JSON.stringify({ code, amount, ...payer }) }),
+  verify: (storeId: string, code: string) =>
+    request(`/stores/${storeId}/gift-cards/verify`, { method: 'POST', body: JSON.stringify({ code }) }),
+  payOrder: (orderId: string, code: string, amount?: number) =>
+    request(`/orders/${orderId}/gift-card`, { method: 'POST', body: JSON.stringify({ code, amount }) }),
+  getAll: (storeId: string, params?: { status?: string; startDate?: string; endDate?: string }) => {
+    const query = new URLSearchParams();
+    if (params?.status) query.set('status', params.status);
+    if (params?.startDate) query.set('start_date', params.startDate);
+    if (params?.endDate) query.set('end_date', params.endDate);
+    const qs = query.toString();
+    return request(`/stores/${storeId}/gift-cards${qs ? `?${qs}` : ''}`);
+  },
+  sell: (storeId: string, data: any) =>
+    request(`/stores/${storeId}/gift-cards`, { method: 'POST', body: JSON.stringify(data) }),
+  getHistory: (storeId: string, code: string) =>
+    request(`/stores/${storeId}/gift-cards/${encodeURIComponent(code)}/history`),
+  reload: (storeId: string, code: string, amount: number, paymentMethod?: string) =>
+    request(`/stores/${storeId}/gift-cards/${encodeURIComponent(code)}/reload`, { method: 'POST', body: JSON.stringify({ amount, paymentMethod }) }),
+  resend: (storeId: string, giftCardId: string) =>
+    request(`/stores/${storeId}/gift-cards/${giftCardId}/resend`, { method: 'POST' }),
+  cancel: (storeId: string, giftCardId: string, reason: string, customerPhone?: string) =>
+    request(`/stores/${storeId}/gift-cards/${giftCardId}/cancel`, { method: 'POST', body: JSON.stringify({ reason, customerPhone }) }),
+  getAllDesigns: (storeId: string) => request(`/stores/${storeId}/gift-cards/designs/all`),
+  createDesign: (storeId: string, data: any) =>
+    request(`/stores/${storeId}/gift-cards/designs`, { method: 'POST', body: JSON.stringify(data) }),
+  updateDesign: (storeId: string, designId: string, data: any) =>
+    request(`/stores/${storeId}/gift-cards/designs/${designId}`, { method: 'PUT', body: JSON.stringify(data) }),
+  getLiability: (storeId: string, params?: { from?: string; to?: string }) => {
+    const query = new URLSearchParams();
+    if (params?.from) query.set('from', params.from);
+    if (params?.to) query.set('to', params.to);
+    const qs = query.toString();
+    return request(`/stores/${storeId}/gift-cards/liability${qs ? `?${qs}` : ''}`);
+  },
 };
 
 // Mensajes del Bot
@@ -252,6 +363,23 @@ export const transfersApi = {
     return request(url);
   },
   update: (id: string, data: any) => request(`/pending-transfers/${id}`, { method: 'PUT', body: JSON.stringify(data) }),
+  // Autorizar una transferencia con comprobante repetido (requiere motivo)
+  overrideDuplicate: (id: string, note: string) =>
+    request(`/pending-transfers/${id}/duplicate-override`, { method: 'POST', body: JSON.stringify({ note }) }),
+};
+
+// Conciliación bancaria: extractos (CSV / OFX) cruzados con las transferencias pendientes
+export const bankStatementsApi = {
+  getPresets: (storeId: string) => request(`/stores/${storeId}/bank-statements/presets`),
+  getImports: (storeId: string) => request(`/stores/${storeId}/bank-statements`),
+  getImport: (storeId: string, importId: string) => request(`/stores/${storeId}/bank-statements/${importId}`),
+  upload: (storeId: string, data: { content: string; fileName?: string; preset?: string; mapping?: Record<string, string> }) =>
+    request(`/stores/${storeId}/bank-statements`, { method: 'POST', body: JSON.stringify(data) }),
+  getReviewQueue: (storeId: string, status?: 'needs_review' | 'unmatched' | 'ignored') =>
+    request(`/stores/${storeId}/bank-statements/review${status ? `?status=${status}` : ''}`),
+  rematch: (storeId: string) => request(`/stores/${storeId}/bank-statements/rematch`, { method: 'POST' }),
+  resolveLine: (storeId: string, lineId: string, action: 'approve' | 'ignore' | 'reopen', pendingTransferId?: string) =>
+    request(`/stores/${storeId}/bank-statement-lines/${lineId}/resolve`, { method: 'POST', body: JSON.stringify({ action, pendingTransferId }) }),
 };
 
 // Repartidores
@@ -299,6 +427,28 @@ export const customersApi = {
 export const storesApi = {
   getAll: () => request('/stores'),
   getById: (id: string) => request(`/stores/${id}`),
+  // ¿El local toma pedidos ahora? (capacidad por hora; si no, desde qué hora)
+  getCapacity: (id: string) => request(`/stores/${id}/capacity`),
+  // Política de cancelación (motivos por actor, quién cancela en cada estado, cargos) y sus estadísticas
+  getCancellationPolicy: (id: string, actor?: string) =>
+    request(`/stores/${id}/cancellation-policy${actor ? `?actor=${actor}` : ''}`),
+  updateCancellationPolicy: (id: string, policy: any) =>
+    request(`/stores/${id}/cancellation-policy`, { method: 'PUT', body: JSON.stringify(policy) }),
+  getCancellationStats: (id: string, days = 7) => request(`/stores/${id}/cancellation-stats?days=${days}`),
+  getOrdersOnHold: (id: string) => request(`/stores/${id}/orders-on-hold`),
+  // Propinas: opciones del checkout (tip_percent / tip_amount al crear el pedido), política y reporte
+  getTipOptions: (id: string, subtotal: number) => request(`/stores/${id}/tip-options?subtotal=${subtotal}`),
+  getTipPolicy: (id: string) => request(`/stores/${id}/tip-policy`),
+  updateTipPolicy: (id: string, policy: any) =>
+    request(`/stores/${id}/tip-policy`, { method: 'PUT', body: JSON.stringify(policy) }),
+  getTipsReport: (id: string, days = 30) => request(`/stores/${id}/tips-report?days=${days}`),
+  // Conciliación de pagos de MercadoPago: reporte, corrida manual y cierre de problemas
+  getPaymentReconciliation: (id: string, status: 'open' | 'resolved' | 'ignored' | 'all' = 'open') =>
+    request(`/stores/${id}/payment-reconciliation?status=${status}`),
+  runPaymentReconciliation: (id: string, hours?: number) =>
+    request(`/stores/${id}/payment-reconciliation/run`, { method: 'POST', body: JSON.stringify({ hours }) }),
+  resolveReconciliationIssue: (id: string, issueId: string, status: 'resolved' | 'ignored', note?: string) =>
+    request(`/stores/${id}/payment-reconciliation/issues/${issueId}`, { method: 'PATCH', body: JSON.stringify({ status, note }) }),
   create: (data: any) => request('/stores', { method: 'POST', body: JSON.stringify(data) }),
   update: (id: string, data: any) => request(`/stores/${id}`, { method: 'PUT', body: JSON.stringify(data) }),
   delete: (id: string) => request(`/stores/${id}`, { method: 'DELETE' }),
@@ -313,6 +463,73 @@ export const storeCategoriesApi = {
   delete: (id: string) => request(`/store-categories/${id}`, { method: 'DELETE' }),
 };
 
+// Mesas (consumo en el local)
+export const tablesApi = {
+  getMap: (storeId: string) => request(`/tables?storeId=${storeId}`),
+  create: (data: { storeId: string; number: number; name?: string; capacity?: number; zone?: string }) =>
+    request('/tables', { method: 'POST', body: JSON.stringify(data) }),
+  update: (id: string, data: any) => request(`/tables/${id}`, { method: 'PUT', body: JSON.stringify(data) }),
+  delete: (id: string) => request(`/tables/${id}`, { method: 'DELETE' }),
+  getQR: (id: string, regenerate = false) => request(`/tables/${id}/qr${regenerate ? '?regenerate=true' : ''}`),
+  getSession: (sessionId: string) => request(`/tables/sessions/${sessionId}/detail`),
+  transfer: (sessionId: string, targetTableId: string) =>
+    request(`/tables/sessions/${sessionId}/transfer`, { method: 'POST', body: JSON.stringify({ target_table_id: targetTableId }) }),
+  merge: (sessionId: string, targetSessionId: string) =>
+    request(`/tables/sessions/${sessionId}/merge`, { method: 'POST', body: JSON.stringify({ target_session_id: targetSessionId }) }),
+  close: (sessionId: string, tenders: Array<{ tender_type: string; amount: number; reference?: string }>) =>
+    request(`/tables/sessions/${sessionId}/close`, { method: 'POST', body: JSON.stringify({ tenders }) }),
+};
+
+// Pantalla de cocina (KDS)
+export const kdsApi = {
+  getStations: (storeId: string) => request(`/kds/stations?storeId=${storeId}`),
+  createStation: (data: { storeId: string; name: string; color?: string; is_default?: boolean }) =>
+    request('/kds/stations', { method: 'POST', body: JSON.stringify(data) }),
+  updateStation: (id: string, data: any) => request(`/kds/stations/${id}`, { method: 'PUT', body: JSON.stringify(data) }),
+  deleteStation: (id: string) => request(`/kds/stations/${id}`, { method: 'DELETE' }),
+  assignCategory: (categoryId: string, stationId: string | null) =>
+    request(`/kds/categories/${categoryId}/station`, { method: 'PUT', body: JSON.stringify({ station_id: stationId }) }),
+  getTickets: (storeId: string, stationId?: string) =>
+    request(`/kds/tickets?storeId=${storeId}${stationId ? `&stationId=${stationId}` : ''}`),
+  bumpItem: (itemId: string, done = true) =>
+    request(`/kds/items/${itemId}/bump`, { method: 'POST', body: JSON.stringify({ done }) }),
+  bumpOrder: (orderId: string, stationId?: string) =>
+    request(`/kds/orders/${orderId}/bump`, { method: 'POST', body: JSON.stringify({ station_id: stationId || null }) }),
+  // WebSocket del canal de cocina del local (mismo host que la API, autenticado con el token del admin)
+  socketUrl: (storeId: string) =>
+    `${API_URL.replace(/^http/, 'ws').replace(/\/api$/, '')}/ws?storeId=${encodeURIComponent(storeId)}&channel=kds&token=${encodeURIComponent(localStorage.getItem('adminToken') || '')}`,
+};
+
+// Pedidos grupales (el organizador usa host_token; cada participante, su token)
+export const groupOrdersApi = {
+  create: (data: {
+    store_id: string;
+    host_name: string;
+    host_phone?: string;
+    name?: string;
+    deadline?: string;
+    max_participants?: number;
+    fulfillment_type?: 'delivery' | 'pickup';
+    delivery_address?: string;
+    delivery_fee_split?: 'equal' | 'host';
+    notes?: string;
+  }) => request('/group-orders', { method: 'POST', body: JSON.stringify(data) }),
+  get: (code: string, tokens: { token?: string; host_token?: string } = {}) => {
+    const query = new URLSearchParams(Object.entries(tokens).filter(([, value]) => !!value) as [string, string][]);
+    return request(`/group-orders/${code}${query.toString() ? `?${query.toString()}` : ''}`);
+  },
+  join: (code: string, data: { name: string; phone?: string }) =>
+    request(`/group-orders/${code}/join`, { method: 'POST', body: JSON.stringify(data) }),
+  setItems: (code: string, token: string, items: any[]) =>
+    request(`/group-orders/${code}/items`, { method: 'PUT', body: JSON.stringify({ token, items }) }),
+  leave: (code: string, token: string) =>
+    request(`/group-orders/${code}/leave`, { method: 'POST', body: JSON.stringify({ token }) }),
+  submit: (code: string, hostToken: string, options: { payment_links?: boolean; payment_method?: string } = {}) =>
+    request(`/group-orders/${code}/submit`, { method: 'POST', body: JSON.stringify({ host_token: hostToken, ...options }) }),
+  cancel: (code: string, hostToken: string, reason?: string) =>
+    request(`/group-orders/${code}/cancel`, { method: 'POST', body: JSON.stringify({ host_token: hostToken, reason }) }),
+};
+
 // Admin
 export const adminApi = {
   clearAll: () => request('/admin/clear-all', { method: 'POST' }),
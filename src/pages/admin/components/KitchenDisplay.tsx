@@ -0,0 +1,362 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { kdsApi } from '../../../lib/api';
+
+interface KitchenStation {
+  id: string;
+  name: string;
+  color: string | null;
+  isDefault: boolean;
+  isActive: boolean;
+}
+
+interface StationCategory {
+  id: string;
+  name: string;
+  stationId: string | null;
+}
+
+interface TicketItem {
+  id: string;
+  productName: string;
+  quantity: number;
+  selectedOptions: string | null;
+  stationId: string | null;
+  doneAt: string | null;
+}
+
+interface Ticket {
+  orderId: string;
+  orderNumber: string;
+  status: 'confirmed' | 'preparing';
+  fulfillmentType: 'delivery' | 'pickup' | 'dine_in';
+  tableNumber: number | null;
+  customerName: string;
+  notes: string | null;
+  priority: boolean;
+  enteredAt: string;
+  estimatedReadyAt: string | null;
+  items: TicketItem[];
+}
+
+// Respaldo por si se corta el WebSocket
+const REFRESH_INTERVAL_MS = 30000;
+// Los cronómetros se actualizan solos
+const CLOCK_INTERVAL_MS = 15000;
+const RECONNECT_DELAY_MS = 5000;
+
+const FULFILLMENT_LABELS: Record<Ticket['fulfillmentType'], string> = {
+  delivery: '🛵 Envío',
+  pickup: '🏪 Retira',
+  dine_in: '🍽️ Mesa',
+};
+
+// Opciones elegidas del producto (JSON guardado en el ítem)
+const formatOptions = (selectedOptions: string | null) => {
+  if (!selectedOptions) return '';
+  try {
+    const parsed = JSON.parse(selectedOptions);
+    const values = Array.isArray(parsed) ? parsed : Object.values(parsed).flat();
+    return values
+      .map((option: any) => (typeof option === 'string' ? option : option?.name || option?.optionName || ''))
+      .filter(Boolean)
+      .join(', ');
+  } catch {
+    return '';
+  }
+};
+
+const minutesSince = (date: string, now: number) => Math.max(0, Math.floor((now - new Date(date).getTime()) / 60000));
+
+export default function KitchenDisplay() {
+  const storeId = localStorage.getItem('adminStoreId') || '';
+  const [stations, setStations] = useState<KitchenStation[]>([]);
+  const [categories, setCategories] = useState<StationCategory[]>([]);
+  const [stationId, setStationId] = useState<string>(() => localStorage.getItem('kdsStationId') || '');
+  const [tickets, setTickets] = useState<Ticket[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [connected, setConnected] = useState(false);
+  const [showConfig, setShowConfig] = useState(false);
+  const [now, setNow] = useState(Date.now());
+  const socketRef = useRef<WebSocket | null>(null);
+
+  const loadStations = useCallback(async () => {
+    if (!storeId) return;
+    try {
+      const data = await kdsApi.getStations(storeId);
+      setStations(data.stations || []);
+      setCategories(data.categories || []);
+    } catch (error) {
+      console.error('Error loading kitchen stations:', error);
+    }
+  }, [storeId]);
+
+  const loadTickets = useCallback(async () => {
+    if (!storeId) return;
+    try {
+      const data = await kdsApi.getTickets(storeId, stationId || undefined);
+      setTickets(data.tickets || []);
+    } catch (error) {
+      console.error('Error loading kitchen tickets:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [storeId, stationId]);
+
+  useEffect(() => {
+    loadStations();
+  }, [loadStations]);
+
+  useEffect(() => {
+    loadTickets();
+    const interval = setInterval(loadTickets, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [loadTickets]);
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), CLOCK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Canal de cocina del local: cualquier cambio recarga las comandas de esta pantalla
+  useEffect(() => {
+    if (!storeId) return;
+    let closed = false;
+    let reconnectTimer: ReturnType<typeof setTimeout> | undefined;
+
+    const connect = () => {
+      const socket = new WebSocket(kdsApi.socketUrl(storeId));
+      socketRef.current = socket;
+      socket.onopen = () => setConnected(true);
+      socket.onmessage = (event) => {
+        try {
+          const message = JSON.parse(event.data);
+          if (message.type === 'KDS_STATIONS_UPDATED') loadStations();
+          if (message.type === 'KDS_UPDATE' || message.type === 'KDS_STATIONS_UPDATED') loadTickets();
+        } catch {
+          // Mensaje inválido, se ignora
+        }
+      };
+      socket.onclose = () => {
+        setConnected(false);
+        if (!closed) reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+      };
+    };
+
+    connect();
+    return () => {
+      closed = true;
+      if (reconnectTimer) clearTimeout(reconnectTimer);
+      socketRef.current?.close();
+    };
+  }, [storeId, loadStations, loadTickets]);
+
+  const selectStation = (id: string) => {
+    setStationId(id);
+    localStorage.setItem('kdsStationId', id);
+  };
+
+  const runAction = async (action: () => Promise<unknown>) => {
+    try {
+      await action();
+      await loadTickets();
+    } catch (error: any) {
+      alert(error.message || 'No se pudo completar la acción');
+    }
+  };
+
+  const handleCreateStation = async () => {
+    const name = prompt('Nombre de la estación (ej: Parrilla, Freidora, Barra):');
+    if (!name?.trim()) return;
+    const isDefault = stations.length === 0 || confirm('¿Recibe los productos de categorías sin estación?');
+    await runAction(() => kdsApi.createStation({ storeId, name: name.trim(), is_default: isDefault }));
+    await loadStations();
+  };
+
+  const handleDeleteStation = async (station: KitchenStation) => {
+    if (!confirm(`¿Eliminar la estación ${station.name}? Sus categorías pasan a la estación por defecto.`)) return;
+    await runAction(() => kdsApi.deleteStation(station.id));
+    if (stationId === station.id) selectStation('');
+    await loadStations();
+  };
+
+  const handleSetDefault = async (station: KitchenStation) => {
+    await runAction(() => kdsApi.updateStation(station.id, { is_default: true }));
+    await loadStations();
+  };
+
+  const handleAssignCategory = async (categoryId: string, value: string) => {
+    await runAction(() => kdsApi.assignCategory(categoryId, value || null));
+    await loadStations();
+  };
+
+  const stationName = (id: string | null) => stations.find(station => station.id === id)?.name || 'Sin estación';
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-slate-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <h2 className="text-xl font-bold text-slate-800">Cocina</h2>
+          <p className="text-sm text-slate-500 mt-1">
+            {tickets.length} comanda(s) ·{' '}
+            <span className={connected ? 'text-green-600' : 'text-orange-600'}>
+              {connected ? 'En vivo' : 'Reconectando...'}
+            </span>
+          </p>
+        </div>
+        <button
+          onClick={() => setShowConfig(!showConfig)}
+          className="px-4 py-2 bg-slate-100 text-slate-700 rounded-xl font-semibold hover:bg-slate-200 transition-all"
+        >
+          <i className="ri-settings-3-line mr-2"></i>
+          Estaciones
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => selectStation('')}
+          className={`px-3 py-1.5 rounded-lg text-sm font-semibold ${!stationId ? 'bg-slate-800 text-white' : 'bg-slate-100 text-slate-600'}`}
+        >
+          Todas
+        </button>
+        {stations.filter(station => station.isActive).map(station => (
+          <button
+            key={station.id}
+            onClick={() => selectStation(station.id)}
+            className={`px-3 py-1.5 rounded-lg text-sm font-semibold ${stationId === station.id ? 'bg-slate-800 text-white' : 'bg-slate-100 text-slate-600'}`}
+          >
+            {station.name}
+          </button>
+        ))}
+      </div>
+
+      {showConfig && (
+        <div className="bg-white border border-slate-200 rounded-xl p-4 space-y-4">
+          <div className="flex items-center justify-between">
+            <h3 className="font-semibold text-slate-700">Estaciones</h3>
+            <button onClick={handleCreateStation} className="px-3 py-1.5 bg-blue-500 text-white rounded-lg text-sm font-semibold">
+              <i className="ri-add-line mr-1"></i> Nueva
+            </button>
+          </div>
+          <div className="space-y-2">
+            {stations.map(station => (
+              <div key={station.id} className="flex items-center justify-between text-sm">
+                <span className="font-medium">
+                  {station.name}
+                  {station.isDefault && <span className="ml-2 text-xs text-slate-500">(por defecto)</span>}
+                </span>
+                <div className="flex gap-2">
+                  {!station.isDefault && (
+                    <button onClick={() => handleSetDefault(station)} className="px-2 py-1 bg-slate-100 rounded text-xs">
+                      Por defecto
+                    </button>
+                  )}
+                  <button onClick={() => handleDeleteStation(station)} className="px-2 py-1 bg-red-50 text-red-600 rounded text-xs">
+                    <i className="ri-delete-bin-line"></i>
+                  </button>
+                </div>
+              </div>
+            ))}
+            {stations.length === 0 && <p className="text-sm text-slate-500">Creá estaciones para repartir los ítems por sector.</p>}
+          </div>
+
+          {stations.length > 0 && (
+            <div>
+              <h3 className="font-semibold text-slate-700 mb-2">Categorías</h3>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {categories.map(category => (
+                  <label key={category.id} className="flex items-center justify-between gap-2 text-sm">
+                    <span>{category.name}</span>
+                    <select
+                      value={category.stationId || ''}
+                      onChange={e => handleAssignCategory(category.id, e.target.value)}
+                      className="px-2 py-1 border border-slate-300 rounded-lg text-sm"
+                    >
+                      <option value="">Estación por defecto</option>
+                      {stations.map(station => (
+                        <option key={station.id} value={station.id}>{station.name}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {tickets.length === 0 && (
+        <div className="text-center py-12 text-slate-500">
+          <i className="ri-fire-line text-4xl mb-2 block"></i>
+          No hay comandas pendientes{stationId ? ` en ${stationName(stationId)}` : ''}.
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-3">
+        {tickets.map(ticket => {
+          const elapsed = minutesSince(ticket.enteredAt, now);
+          const late = !!ticket.estimatedReadyAt && new Date(ticket.estimatedReadyAt).getTime() < now;
+          const allDone = ticket.items.every(item => item.doneAt);
+
+          return (
+            <div
+              key={ticket.orderId}
+              className={`flex flex-col border-2 rounded-xl bg-white ${late ? 'border-red-400' : ticket.priority ? 'border-amber-400' : 'border-slate-200'}`}
+            >
+              <div className={`flex items-center justify-between px-3 py-2 rounded-t-lg ${late ? 'bg-red-50' : 'bg-slate-50'}`}>
+                <div>
+                  <div className="font-bold text-slate-800">
+                    #{ticket.orderNumber}
+                    {ticket.priority && <span className="ml-2 px-2 py-0.5 text-xs font-bold bg-amber-400 text-white rounded-full">PRIORIDAD</span>}
+                  </div>
+                  <div className="text-xs text-slate-500">
+                    {FULFILLMENT_LABELS[ticket.fulfillmentType] || ticket.fulfillmentType}
+                    {ticket.tableNumber ? ` ${ticket.tableNumber}` : ''} · {ticket.customerName}
+                  </div>
+                </div>
+                <div className={`text-lg font-bold ${late ? 'text-red-600' : 'text-slate-700'}`}>{elapsed}'</div>
+              </div>
+
+              <div className="flex-1 p-3 space-y-1">
+                {ticket.items.map(item => {
+                  const options = formatOptions(item.selectedOptions);
+                  return (
+                    <button
+                      key={item.id}
+                      onClick={() => runAction(() => kdsApi.bumpItem(item.id, !item.doneAt))}
+                      className={`w-full text-left px-2 py-1.5 rounded-lg text-sm transition-all ${item.doneAt ? 'bg-green-50 text-green-700 line-through' : 'hover:bg-slate-100'}`}
+                    >
+                      <span className="font-semibold">{item.quantity}x</span> {item.productName}
+                      {!stationId && <span className="ml-1 text-xs text-slate-400">({stationName(item.stationId)})</span>}
+                      {options && <div className="text-xs text-slate-500">{options}</div>}
+                    </button>
+                  );
+                })}
+                {ticket.notes && (
+                  <div className="mt-2 px-2 py-1 bg-yellow-50 text-yellow-800 text-xs rounded-lg">📝 {ticket.notes}</div>
+                )}
+              </div>
+
+              <button
+                onClick={() => runAction(() => kdsApi.bumpOrder(ticket.orderId, stationId || undefined))}
+                disabled={allDone}
+                className="m-3 mt-0 px-3 py-2 bg-gradient-to-r from-green-500 to-emerald-500 text-white rounded-lg font-semibold disabled:opacity-50"
+              >
+                <i className="ri-check-double-line mr-1"></i>
+                {stationId ? 'Listo en esta estación' : 'Comanda lista'}
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
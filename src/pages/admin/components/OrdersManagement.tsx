@@ -11,6 +11,8 @@ interface Order {
   payment_status: string;
   total: number;
   delivery_fee?: number;
+  fulfillment_type?: 'delivery' | 'pickup' | 'dine_in';
+  table_number?: number | null;
   status: string;
   created_at: string;
   items: OrderItem[];
@@ -19,6 +21,12 @@ interface Order {
   delivery_code?: string;
 }
 
+// Retiro en el local (los pedidos de la API vieja se normalizan en loadOrders)
+const isPickupOrder = (order: Order) => order.fulfillment_type === 'pickup';
+
+// Consumo en el local: ronda de una cuenta de mesa (sin teléfono, se cobra al cerrar la mesa)
+const isTableOrder = (order: Order) => order.fulfillment_type === 'dine_in';
+
 interface OrderItem {
   id: string;
   product_name: string;
@@ -28,6 +36,45 @@ interface OrderItem {
   selected_options?: string;
 }
 
+// Pedidos por página de la búsqueda del servidor (GET /orders paginado, máximo 200)
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Estados de la API para cada pestaña
+const STATUS_BY_FILTER = {
+  pending: 'pending,confirmed',
+  cancelled: 'cancelled',
+  completed: 'delivered',
+} as const;
+
+const normalizeOrder = (order: any): Order => ({
+  id: order.id,
+  order_number: order.order_number || order.orderNumber,
+  customer_name: order.customer_name || order.customerName,
+  customer_phone: order.customer_phone || order.customerPhone,
+  customer_address: order.customer_address || order.customerAddress,
+  payment_method: order.payment_method || order.paymentMethod,
+  payment_status: order.payment_status || order.paymentStatus,
+  total: order.total || order.total_amount,
+  delivery_fee: order.delivery_fee || order.deliveryFee || 0,
+  fulfillment_type: order.fulfillment_type || order.fulfillmentType ||
+    ((order.delivery_fee || order.deliveryFee || 0) > 0 ? 'delivery' : 'pickup'),
+  table_number: order.table_number ?? order.tableNumber ?? null,
+  status: order.status,
+  created_at: order.created_at || order.createdAt,
+  notes: order.notes,
+  items: (order.items || []).map((it: any) => ({
+    id: it.id,
+    product_name: it.product_name || it.productName,
+    quantity: it.quantity,
+    subtotal: it.subtotal,
+    unit_price: it.unit_price || it.unitPrice,
+    selected_options: it.selected_options || it.selectedOptions,
+  })),
+  delivery_person_id: order.delivery_person_id || order.deliveryPersonId,
+  delivery_code: order.delivery_code || order.deliveryCode,
+});
+
 interface DeliveryPerson {
   id: string;
   name: string;
@@ -91,7 +138,7 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
   const [pendingTransfers, setPendingTransfers] = useState<any[]>([]);
   const [loading, setLoading] = useState(true);
   const [activeFilter, setActiveFilter] = useState<'pending' | 'cancelled' | 'completed'>('pending');
-  const [deliveryType, setDeliveryType] = useState<'delivery' | 'pickup'>('delivery'); // Nueva sección: DOMICILIO o RETIRO
+  const [deliveryType, setDeliveryType] = useState<'delivery' | 'pickup' | 'dine_in'>('delivery'); // Secciones: DOMICILIO, RETIRO o MESAS
   const [selectedOrder, setSelectedOrder] = useState<Order | null>(null);
   const [showRejectModal, setShowRejectModal] = useState(false);
   const [rejectReason, setRejectReason] = useState('');
@@ -104,14 +151,52 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
   const [dateRange, setDateRange] = useState<'today' | 'week' | 'month' | 'all'>('all');
   const [sortBy, setSortBy] = useState<'newest' | 'oldest' | 'amount_high' | 'amount_low'>('newest');
   const [showAdvancedFilters, setShowAdvancedFilters] = useState(false);
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [statusCounts, setStatusCounts] = useState<Record<string, number>>({});
   
   // Estados para notificaciones en tiempo real
   const [pendingDeliveryCount, setPendingDeliveryCount] = useState(0);
   const [pendingPickupCount, setPendingPickupCount] = useState(0);
   const [notificationAnimation, setNotificationAnimation] = useState<'delivery' | 'pickup' | null>(null);
-  const previousOrdersRef = useRef<Order[]>([]);
+  const previousOrdersRef = useRef<Order[] | null>(null); // null hasta la primera carga (no avisar por los pedidos existentes)
   const audioContextRef = useRef<AudioContext | null>(null);
 
+  // La búsqueda se manda al servidor cuando se deja de escribir
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm.trim()), 400);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  // Filtros que resuelve el servidor; sobre la página cargada solo se aplican las reglas de visibilidad y el orden
+  const searchParams = useMemo(() => {
+    let from: string | undefined;
+    if (dateRange !== 'all') {
+      const date = new Date();
+      if (dateRange === 'today') {
+        date.setHours(0, 0, 0, 0);
+      } else {
+        date.setDate(date.getDate() - (dateRange === 'week' ? 7 : 30));
+      }
+      from = date.toISOString();
+    }
+
+    return {
+      storeId: storeId || undefined,
+      status: STATUS_BY_FILTER[activeFilter],
+      fulfillment_type: deliveryType,
+      payment_method: paymentMethodFilter !== 'all' ? paymentMethodFilter : undefined,
+      from,
+      q: debouncedSearch || undefined,
+    };
+  }, [storeId, activeFilter, deliveryType, paymentMethodFilter, dateRange, debouncedSearch]);
+
+  // El polling usa siempre los filtros y la cantidad de pedidos cargados actuales
+  const searchParamsRef = useRef(searchParams);
+  searchParamsRef.current = searchParams;
+  const loadedCountRef = useRef(0);
+
   const showToast = useCallback((message: string, type: 'success' | 'error' | 'info' = 'info') => {
     setToast({ message, type });
   }, []);
@@ -158,8 +243,12 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
     }
   };
 
+  // Cada cambio de filtros vuelve a la primera página
   useEffect(() => {
     loadOrders();
+  }, [searchParams]);
+
+  useEffect(() => {
     loadDeliveryPersons();
     loadPendingTransfers();
     loadStoreName();
@@ -171,6 +260,7 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
     
     const poll = () => {
       loadOrders(true);
+      loadPendingAlerts();
       loadPendingTransfers();
       
       // Adaptar intervalo: si no hay pedidos por varios ciclos, reducir frecuencia
@@ -198,6 +288,7 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
     // Polling más rápido inicial (primeros 30 segundos cada 3 segundos)
     const fastInitialInterval = setInterval(() => {
       loadOrders(true);
+      loadPendingAlerts();
       loadPendingTransfers();
     }, 3000);
     
@@ -223,47 +314,59 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
     }
   };
 
+  // Página de pedidos con los filtros actuales (en el polling se recargan todos los ya mostrados)
   const loadOrders = async (silent: boolean = false) => {
     try {
       if (!silent) setLoading(true);
-      const data = await ordersApi.getAll(storeId ? { storeId } : undefined);
-      
-      const normalized = (data || []).map((order: any) => {
-        const normalizedOrder = {
-          id: order.id,
-          order_number: order.order_number || order.orderNumber,
-          customer_name: order.customer_name || order.customerName,
-          customer_phone: order.customer_phone || order.customerPhone,
-          customer_address: order.customer_address || order.customerAddress,
-          payment_method: order.payment_method || order.paymentMethod,
-          payment_status: order.payment_status || order.paymentStatus,
-          total: order.total || order.total_amount,
-          delivery_fee: order.delivery_fee || order.deliveryFee || 0,
-        status: order.status,
-        created_at: order.created_at || order.createdAt,
-        notes: order.notes,
-        items: (order.items || []).map((it: any) => ({
-          id: it.id,
-          product_name: it.product_name || it.productName,
-          quantity: it.quantity,
-          subtotal: it.subtotal,
-          unit_price: it.unit_price || it.unitPrice,
-          selected_options: it.selected_options || it.selectedOptions,
-        })),
-        delivery_person_id: order.delivery_person_id || order.deliveryPersonId,
-        delivery_code: order.delivery_code || order.deliveryCode,
-      };
-      
-      // Pedido cargado
-      
-      return normalizedOrder;
-    });
+      const limit = silent ? Math.min(Math.max(loadedCountRef.current, PAGE_SIZE), MAX_PAGE_SIZE) : PAGE_SIZE;
+      const data = await ordersApi.search({ ...searchParamsRef.current, limit: String(limit) });
+      const page = (data?.orders || []).map(normalizeOrder);
+
+      loadedCountRef.current = page.length;
+      setOrders(page);
+      setNextCursor(data?.has_more ? data.next_cursor : null);
+      setStatusCounts(data?.counts || {});
+    } catch (error) {
+      console.error('Error loading orders:', error);
+      if (!silent) {
+        showToast('Error al cargar pedidos', 'error');
+      }
+    } finally {
+      if (!silent) setLoading(false);
+    }
+  };
 
-      const sortedOrders = normalized.sort((a, b) => new Date(b.created_at).getTime() - new Date(a.created_at).getTime());
-      setOrders(sortedOrders);
+  // Siguiente página (paginación por cursor)
+  const loadMoreOrders = async () => {
+    if (!nextCursor) return;
+    setLoadingMore(true);
+    try {
+      const data = await ordersApi.search({ ...searchParamsRef.current, limit: String(PAGE_SIZE), cursor: nextCursor });
+      const page = (data?.orders || []).map(normalizeOrder);
+
+      setOrders(prev => {
+        const loadedIds = new Set(prev.map(o => o.id));
+        const merged = [...prev, ...page.filter(o => !loadedIds.has(o.id))];
+        loadedCountRef.current = merged.length;
+        return merged;
+      });
+      setNextCursor(data?.has_more ? data.next_cursor : null);
+    } catch (error) {
+      console.error('Error loading more orders:', error);
+      showToast('Error al cargar más pedidos', 'error');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Pedidos pendientes de todas las secciones: avisos de pedidos nuevos y contadores de DOMICILIO / RETIRO
+  const loadPendingAlerts = async () => {
+    try {
+      const data = await ordersApi.search({ storeId: storeId || undefined, status: 'pending', limit: String(MAX_PAGE_SIZE) });
+      const sortedOrders: Order[] = (data?.orders || []).map(normalizeOrder);
       
       // Detectar nuevos pedidos y actualizar contadores (MEJORADO)
-      if (silent && previousOrdersRef.current.length > 0) {
+      if (previousOrdersRef.current) {
         const previousOrderIds = new Set(previousOrdersRef.current.map(o => o.id));
         
         // Solo detectar nuevos pedidos que fueron confirmados en WhatsApp Y tienen método de pago confirmado
@@ -322,8 +425,9 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
         
         if (newOrders.length > 0) {
           // Contar nuevos pedidos por tipo
-          const newDelivery = newOrders.filter(o => (o.delivery_fee || 0) > 0).length;
-          const newPickup = newOrders.filter(o => (o.delivery_fee || 0) === 0).length;
+          const newDelivery = newOrders.filter(o => !isPickupOrder(o) && !isTableOrder(o)).length;
+          const newPickup = newOrders.filter(o => isPickupOrder(o)).length;
+          const newTable = newOrders.filter(o => isTableOrder(o)).length;
           
           if (newDelivery > 0) {
             setNotificationAnimation('delivery');
@@ -335,13 +439,16 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
             playNotificationSound();
             setTimeout(() => setNotificationAnimation(null), 1000);
           }
+          if (newTable > 0 && newDelivery === 0 && newPickup === 0) {
+            playNotificationSound();
+          }
         }
       }
       
       // Actualizar contadores de pedidos pendientes
       // Solo contar pedidos confirmados en WhatsApp Y con método de pago confirmado
       const pendingDelivery = sortedOrders.filter(o => {
-        if (o.status !== 'pending' || (o.delivery_fee || 0) === 0) return false;
+        if (o.status !== 'pending' || isPickupOrder(o) || isTableOrder(o)) return false;
         const hasPhone = o.customer_phone && o.customer_phone.trim() !== '';
         if (!hasPhone) return false;
         
@@ -356,7 +463,7 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
       }).length;
       
       const pendingPickup = sortedOrders.filter(o => {
-        if (o.status !== 'pending' || (o.delivery_fee || 0) > 0) return false;
+        if (o.status !== 'pending' || !isPickupOrder(o)) return false;
         const hasPhone = o.customer_phone && o.customer_phone.trim() !== '';
         if (!hasPhone) return false;
         
@@ -376,12 +483,7 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
       // Guardar estado actual para la próxima comparación
       previousOrdersRef.current = sortedOrders;
     } catch (error) {
-      console.error('Error loading orders:', error);
-      if (!silent) {
-        showToast('Error al cargar pedidos', 'error');
-      }
-    } finally {
-      if (!silent) setLoading(false);
+      console.error('Error loading pending orders:', error);
     }
   };
 
@@ -395,7 +497,7 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
   };
 
   // Aprobar pedido (pasa directamente a repartidores solo si es DOMICILIO)
-  // Para RETIRO: cambia a 'ready' y notifica al cliente que está listo
+  // Para RETIRO: cambia a 'ready' y el servidor avisa al cliente con su código de retiro
   const handleApprove = async (orderId: string) => {
     setActionLoading(orderId);
     try {
@@ -405,80 +507,16 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
         return;
       }
 
-      const isDelivery = (order.delivery_fee || 0) > 0;
-      
-      if (isDelivery) {
-        // Pedido a domicilio: marcarlo como 'ready' para repartidores
-        await ordersApi.update(orderId, { status: 'ready' });
+      await ordersApi.update(orderId, { status: 'ready' });
+
+      if (isTableOrder(order)) {
+        showToast(`Pedido listo para servir en la mesa ${order.table_number ?? ''}`, 'success');
+      } else if (!isPickupOrder(order)) {
         showToast('Pedido aprobado y disponible para repartidores', 'success');
+      } else if (order.customer_phone) {
+        showToast('Pedido listo: avisamos al cliente por WhatsApp', 'success');
       } else {
-        // Pedido de retiro: generar código de entrega y marcarlo como 'ready'
-        // Generar código de 4 dígitos
-        const deliveryCode = Math.floor(1000 + Math.random() * 9000).toString();
-        
-        // Actualizar pedido con estado 'ready' y código de entrega
-        const updatedOrder = await ordersApi.update(orderId, { 
-          status: 'ready',
-          delivery_code: deliveryCode
-        });
-        
-        // Actualizar el pedido en el estado local para que el código aparezca inmediatamente
-        setOrders(prevOrders => prevOrders.map(o => 
-          o.id === orderId 
-            ? { ...o, status: 'ready', delivery_code: deliveryCode }
-            : o
-        ));
-        
-        // Enviar notificación al cliente
-        if (order.customer_phone) {
-          try {
-            // Obtener dirección de retiro (por defecto Av. RIVADAVIA 2911)
-            const pickupAddress = order.customer_address || 'Av. RIVADAVIA 2911';
-            
-            // Mensaje de notificación
-            const message = `✅ ¡Tu pedido está listo para ser retirado!\n\n📦 Pedido: ${order.order_number}\n📍 ${pickupAddress}\n\n🆔 El código estará en tu ticket impreso.\n\nPodés pasar a retirarlo cuando gustes.\n\n¡Gracias por tu compra! ❤️`;
-
-            // Enviar notificación al cliente vía endpoint del backend
-            const API_URL = import.meta.env.VITE_API_URL || 'https://api.elbuenmenu.site/api';
-            const notifyUrl = `${API_URL}/orders/${order.id}/notify`;
-            const token = localStorage.getItem('adminToken');
-            const response = await fetch(notifyUrl, {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-                'Authorization': token ? `Bearer ${token}` : ''
-              },
-              body: JSON.stringify({
-                customerPhone: order.customer_phone,
-                orderNumber: order.order_number,
-                message
-              })
-            });
-
-            // Verificar si la respuesta es HTML
-            const responseText = await response.text();
-            if (responseText.trim().startsWith('<!doctype') || responseText.trim().startsWith('<!DOCTYPE') || responseText.trim().startsWith('<html')) {
-              throw new Error('El servidor devolvió HTML en lugar de JSON');
-            }
-
-            if (!response.ok) {
-              let errorData: any;
-              try {
-                errorData = JSON.parse(responseText);
-              } catch {
-                errorData = { error: responseText.substring(0, 200) };
-              }
-              throw new Error(errorData.error || errorData.message || 'Error al enviar notificación');
-            }
-
-            showToast('Pedido listo y cliente notificado', 'success');
-          } catch (notifyError: any) {
-            console.error('Error notificando cliente:', notifyError);
-            showToast('Pedido listo, pero error al notificar cliente', 'error');
-          }
-        } else {
-          showToast('Pedido listo (sin teléfono para notificar)', 'info');
-        }
+        showToast('Pedido listo (sin teléfono para notificar)', 'info');
       }
       
       await loadOrders(true);
@@ -489,7 +527,7 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
     }
   };
 
-  // Notificar pedido listo para retiro
+  // Notificar pedido listo para retiro (si ya estaba listo, reenvía el aviso)
   const handleNotifyPickupReady = async (order: Order) => {
     setActionLoading(order.id);
     try {
@@ -498,96 +536,11 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
         return;
       }
 
-      // Construir URL del webhook del bot de forma robusta
-      let webhookUrl = import.meta.env.VITE_BOT_WEBHOOK_URL;
-      
-      // Si no hay variable específica, intentar construir desde VITE_API_URL
-      if (!webhookUrl || webhookUrl.trim() === '') {
-        const apiUrl = (import.meta.env.VITE_API_URL || '').trim();
-        
-        if (apiUrl) {
-          // Remover /api del final si existe
-          webhookUrl = apiUrl.replace(/\/api\/?$/, '');
-          
-          // Validar que la URL tenga protocolo válido
-          if (!webhookUrl.match(/^https?:\/\//)) {
-            // Si no tiene protocolo, agregar https://
-            webhookUrl = webhookUrl.replace(/^\/+/, ''); // Remover slashes al inicio
-            webhookUrl = `https://${webhookUrl}`;
-          }
-        }
-      }
-      
-      // Fallback a URL por defecto si aún no hay URL válida
-      if (!webhookUrl || webhookUrl.trim() === '' || !webhookUrl.match(/^https?:\/\/[^\/]+/)) {
-        // En desarrollo, usar localhost:3001, en producción usar el dominio
-        if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-          webhookUrl = 'http://localhost:3001';
-        } else {
-          webhookUrl = 'https://elbuenmenu.site';
-        }
-      }
-      
-      // Asegurar que la URL no termine con /
-      webhookUrl = webhookUrl.replace(/\/+$/, '');
-      
-      // Validación final: asegurar que la URL sea válida
-      if (!webhookUrl.match(/^https?:\/\/[^\/\s]+/)) {
-        webhookUrl = 'https://elbuenmenu.site';
-      }
-      
-      // Obtener dirección de retiro (por defecto Av. RIVADAVIA 2911)
-      const pickupAddress = order.customer_address || 'Av. RIVADAVIA 2911';
-      
-      // Mensaje de notificación con dirección y código
-      const message = `✅ ¡Tu pedido está listo para ser retirado!\n\n📦 Pedido: ${order.order_number}\n📍 ${pickupAddress}\n\n🆔 Código: ${order.order_number}\n\nPodés pasar a retirarlo cuando gustes.\n\n¡Gracias por tu compra! ❤️`;
-
-      // Enviar notificación al cliente vía endpoint del backend
-      const API_URL = import.meta.env.VITE_API_URL || 'https://api.elbuenmenu.site/api';
-      const notifyUrl = `${API_URL}/orders/${order.id}/notify`;
-      const token = localStorage.getItem('adminToken');
-      const response = await fetch(notifyUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': token ? `Bearer ${token}` : ''
-        },
-        body: JSON.stringify({
-          customerPhone: order.customer_phone,
-          orderNumber: order.order_number,
-          message
-        })
-      });
-
-      // Obtener el texto de la respuesta primero
-      const responseText = await response.text();
-      
-      // Verificar si la respuesta es HTML (error común cuando la URL está mal)
-      if (responseText.trim().startsWith('<!doctype') || responseText.trim().startsWith('<!DOCTYPE') || responseText.trim().startsWith('<html')) {
-        console.error('❌ [NOTIFICACIÓN WEB] El servidor devolvió HTML en lugar de JSON.');
-        console.error('❌ [NOTIFICACIÓN WEB] URL intentada:', notifyUrl);
-        throw new Error(`El servidor devolvió HTML en lugar de JSON. URL: ${notifyUrl}. Verifica que el bot esté corriendo y la URL sea correcta.`);
-      }
-
-      if (!response.ok) {
-        let errorData: any;
-        try {
-          errorData = JSON.parse(responseText);
-        } catch {
-          errorData = { error: responseText.substring(0, 200) };
-        }
-        throw new Error(errorData.error || errorData.message || 'Error al enviar notificación');
-      }
-      
-      // Verificar que la respuesta sea JSON válido
-      try {
-        JSON.parse(responseText);
-      } catch {
-        throw new Error(`La respuesta del servidor no es JSON válido: ${responseText.substring(0, 200)}`);
+      if (order.status === 'ready') {
+        await ordersApi.sendPickupReadyNotice(order.id);
+      } else {
+        await ordersApi.update(order.id, { status: 'ready' });
       }
-
-      // Cambiar estado a 'ready' (listo para retiro)
-      await ordersApi.update(order.id, { status: 'ready' });
       
       showToast('Notificación enviada al cliente', 'success');
       await loadOrders(true);
@@ -599,6 +552,23 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
     }
   };
 
+  // Entregar pedido de retiro en el mostrador (el cliente muestra su código)
+  const handlePickupHandOver = async (order: Order) => {
+    const code = prompt(`Código de retiro del pedido ${order.order_number}:`);
+    if (!code || !code.trim()) return;
+
+    setActionLoading(order.id);
+    try {
+      await ordersApi.pickup(order.id, code.trim());
+      showToast('Pedido entregado', 'success');
+      await loadOrders(true);
+    } catch (error: any) {
+      showToast(error.message || 'Código de retiro incorrecto', 'error');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
   // Rechazar pedido
   const handleReject = async (orderId: string, reason?: string) => {
     setActionLoading(orderId);
@@ -774,6 +744,7 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
   <div class="header">
     <h1>${storeName.toUpperCase()}</h1>
     <div class="order-number">PEDIDO #${order.order_number}</div>
+    ${isTableOrder(order) && order.table_number != null ? `<div class="order-number">MESA ${order.table_number}</div>` : ''}
     <p>${new Date(order.created_at).toLocaleString('es-AR', {
       day: '2-digit',
       month: '2-digit',
@@ -897,7 +868,7 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
   })()}
 
   ${(() => {
-    const isPickup = (order.delivery_fee || 0) === 0;
+    const isPickup = isPickupOrder(order);
     const hasDeliveryCode = order.delivery_code && order.delivery_code.trim() !== '';
     
     if (isPickup && hasDeliveryCode) {
@@ -951,15 +922,18 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
     filtered = filtered.filter(order => !ordersWithPendingTransfer.has(order.id));
     // Después de filtrar transferencias
     
-    // Filtrar por tipo de entrega: DOMICILIO (delivery_fee > 0) o RETIRO (delivery_fee = 0)
+    // Filtrar por tipo de entrega: DOMICILIO, RETIRO o MESAS (fulfillment_type)
     if (deliveryType === 'delivery') {
       // Solo pedidos a domicilio
-      filtered = filtered.filter(order => (order.delivery_fee || 0) > 0);
+      filtered = filtered.filter(order => !isPickupOrder(order) && !isTableOrder(order));
       // Filtrado por DOMICILIO
     } else if (deliveryType === 'pickup') {
       // Solo pedidos para retiro
-      filtered = filtered.filter(order => (order.delivery_fee || 0) === 0);
+      filtered = filtered.filter(order => isPickupOrder(order));
       // Filtrado por RETIRO
+    } else if (deliveryType === 'dine_in') {
+      // Solo rondas de mesas
+      filtered = filtered.filter(order => isTableOrder(order));
     }
     
     // Filtrar por estado simplificado: PENDIENTES - CANCELADAS - COMPLETADAS
@@ -976,6 +950,11 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
           // Pedido excluido: status inválido
           return false;
         }
+
+        // Las rondas de mesa no pasan por WhatsApp: se cobran al cerrar la cuenta
+        if (isTableOrder(order)) {
+          return true;
+        }
         
         // Verificar si el pedido fue confirmado en WhatsApp (tiene customer_phone)
         const hasPhone = order.customer_phone && order.customer_phone.trim() !== '';
@@ -1036,7 +1015,7 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
         
         // Para Efectivo: mostrar directamente (el pago se hace al recibir/retirar)
         if (isEfectivo) {
-          const isPickup = (order.delivery_fee || 0) === 0;
+          const isPickup = isPickupOrder(order);
           if (isPickup) {
             // Pedido incluido: retiro con efectivo
           } else {
@@ -1060,52 +1039,7 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
       );
     }
     
-    // Filtrar por método de pago
-    if (paymentMethodFilter !== 'all') {
-      filtered = filtered.filter(order => {
-        const method = (order.payment_method || '').toLowerCase();
-        if (paymentMethodFilter === 'mercadopago') {
-          return method.includes('mercadopago') || method.includes('mercado pago');
-        }
-        if (paymentMethodFilter === 'transferencia') {
-          return method.includes('transferencia') || method.includes('transfer');
-        }
-        if (paymentMethodFilter === 'efectivo') {
-          return method.includes('efectivo') || method.includes('cash');
-        }
-        return true;
-      });
-    }
-    
-    // Filtrar por rango de fechas
-    if (dateRange !== 'all') {
-      const now = new Date();
-      filtered = filtered.filter(order => {
-        const orderDate = new Date(order.created_at);
-        if (dateRange === 'today') {
-          return orderDate.toDateString() === now.toDateString();
-        }
-        if (dateRange === 'week') {
-          const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-          return orderDate >= weekAgo;
-        }
-        if (dateRange === 'month') {
-          const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-          return orderDate >= monthAgo;
-        }
-        return true;
-      });
-    }
-    
-    // Filtrar por búsqueda
-    if (searchTerm) {
-      const term = searchTerm.toLowerCase();
-      filtered = filtered.filter(order => 
-        order.order_number.toLowerCase().includes(term) ||
-        order.customer_name.toLowerCase().includes(term) ||
-        order.customer_phone.includes(term)
-      );
-    }
+    // Método de pago, fechas y búsqueda los filtra el servidor (searchParams)
     
     // Ordenar
     const sorted = [...filtered].sort((a, b) => {
@@ -1125,53 +1059,14 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
     });
     
     return sorted;
-  }, [orders, activeFilter, deliveryType, searchTerm, paymentMethodFilter, dateRange, sortBy, pendingTransfers]);
+  }, [orders, activeFilter, deliveryType, sortBy, pendingTransfers]);
 
-  // Estadísticas - usar la misma lógica de filtrado que filteredOrders pero sin búsqueda ni fechas
-  const stats = useMemo(() => {
-    // Obtener IDs de pedidos con transferencias pendientes
-    const ordersWithPendingTransfer = new Set(
-      pendingTransfers
-        .filter(t => t.status === 'pending')
-        .map(t => t.order_id)
-    );
-    
-    // Aplicar los mismos filtros que filteredOrders pero sin searchTerm y dateRange
-    let filteredForStats = orders.filter(order => {
-      // Excluir pedidos con transferencias pendientes
-      if (ordersWithPendingTransfer.has(order.id)) return false;
-      
-      // Solo pedidos confirmados (con customer_phone y método de pago válido)
-      const hasPhone = order.customer_phone && order.customer_phone.trim() !== '';
-      if (!hasPhone) return false;
-      
-      // Verificar método de pago
-      const paymentMethod = (order.payment_method || '').trim();
-      const paymentMethodLower = paymentMethod.toLowerCase();
-      const validPaymentMethods = ['mercadopago', 'mercado pago', 'transferencia', 'efectivo', 'cash', 'transfer'];
-      const isPaymentMethodPending = paymentMethod === '' || 
-                                     paymentMethod === 'null' ||
-                                     paymentMethodLower.includes('pendiente') ||
-                                     (!validPaymentMethods.some(valid => paymentMethodLower.includes(valid)));
-      
-      if (isPaymentMethodPending) return false;
-      
-      // Verificar estado de pago para Mercado Pago
-      const paymentStatus = (order.payment_status || '').toLowerCase();
-      const isMercadoPago = paymentMethodLower.includes('mercadopago') || paymentMethodLower.includes('mercado pago');
-      if (isMercadoPago && paymentStatus !== 'approved' && paymentStatus !== 'completed') {
-        return false;
-      }
-      
-      return true;
-    });
-    
-    return {
-      pending: filteredForStats.filter(o => o.status === 'pending' || o.status === 'confirmed').length,
-      cancelled: filteredForStats.filter(o => o.status === 'cancelled').length,
-      completed: filteredForStats.filter(o => o.status === 'delivered').length,
-    };
-  }, [orders, pendingTransfers]);
+  // Estadísticas por pestaña: conteos del servidor con los filtros actuales
+  const stats = useMemo(() => ({
+    pending: (statusCounts.pending || 0) + (statusCounts.confirmed || 0),
+    cancelled: statusCounts.cancelled || 0,
+    completed: statusCounts.delivered || 0,
+  }), [statusCounts]);
 
   const getStatusColor = (status: string, paymentStatus?: string) => {
     if (status === 'cancelled') return 'bg-red-100 text-red-800 border-red-300';
@@ -1223,10 +1118,10 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
   };
 
   const canNotifyPickup = (order: Order) => {
-    // Solo se puede notificar si es pedido de retiro, está en preparación y NO está completado
-    const isPickup = (order.delivery_fee || 0) === 0;
+    // Solo se puede notificar si es pedido de retiro, está en preparación o listo y NO está completado
+    const isPickup = isPickupOrder(order);
     const isCompleted = order.status === 'delivered' || order.status === 'completed' || order.status === 'cancelled';
-    const isInPreparation = order.status === 'preparing' || order.status === 'confirmed';
+    const isInPreparation = order.status === 'preparing' || order.status === 'confirmed' || order.status === 'ready';
     return isPickup && isInPreparation && !isCompleted;
   };
 
@@ -1334,7 +1229,7 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
 
       {/* Selector de tipo de pedido - Minimalista */}
       <div className="bg-white border border-gray-200 rounded-lg p-2 mb-3">
-        <div className="grid grid-cols-2 gap-2">
+        <div className="grid grid-cols-3 gap-2">
           {/* DOMICILIO */}
           <button
             onClick={() => setDeliveryType('delivery')}
@@ -1370,6 +1265,19 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
               </span>
             )}
           </button>
+
+          {/* MESAS */}
+          <button
+            onClick={() => setDeliveryType('dine_in')}
+            className={`relative px-3 py-2 text-xs font-medium transition-all rounded border flex items-center justify-center gap-1.5 ${
+              deliveryType === 'dine_in'
+                ? 'bg-black text-white border-black'
+                : 'bg-white text-gray-700 border-gray-200 hover:border-gray-300'
+            }`}
+          >
+            <span className="text-sm">🍽️</span>
+            <span>Mesas</span>
+          </button>
         </div>
       </div>
       
@@ -1630,7 +1538,12 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
                       <i className="ri-shopping-bag-3-line text-white text-xs"></i>
                     </div>
                     <div>
-                      <h3 className="font-bold text-sm leading-tight">{order.order_number}</h3>
+                      <h3 className="font-bold text-sm leading-tight">
+                        {order.order_number}
+                        {isTableOrder(order) && order.table_number != null && (
+                          <span className="ml-1.5 px-1.5 py-0.5 bg-white text-orange-600 rounded text-[10px] font-bold">MESA {order.table_number}</span>
+                        )}
+                      </h3>
                       <p className="text-white/80 text-[10px] leading-tight">
                         {new Date(order.created_at).toLocaleString('es-AR', { 
                           day: '2-digit', 
@@ -1818,7 +1731,7 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
                       
                       {/* Botón Aprobar/Pedido Listo */}
                       {(() => {
-                        const isPickup = (order.delivery_fee || 0) === 0;
+                        const isPickup = isPickupOrder(order) || isTableOrder(order);
                         const buttonText = isPickup ? 'LISTO' : 'APROBAR';
                         
                         return (
@@ -1881,6 +1794,18 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
                           </>
                         )}
                       </button>
+
+                      {/* Botón Entregar en mostrador (verifica el código de retiro) */}
+                      {order.status === 'ready' && (
+                        <button
+                          onClick={() => handlePickupHandOver(order)}
+                          disabled={actionLoading === order.id}
+                          className="group relative w-full overflow-hidden bg-green-600 hover:bg-green-700 text-white font-bold py-1.5 px-3 rounded text-xs transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-1.5"
+                        >
+                          <i className="ri-store-2-line text-sm"></i>
+                          <span>ENTREGAR</span>
+                        </button>
+                      )}
                     </div>
                   )}
 
@@ -1891,6 +1816,26 @@ export default function OrdersManagement({ storeId }: OrdersManagementProps = {}
         </div>
       )}
 
+      {/* Paginación: siguiente página de la búsqueda */}
+      {nextCursor && (
+        <div className="flex justify-center mt-4">
+          <button
+            onClick={loadMoreOrders}
+            disabled={loadingMore}
+            className="px-4 py-2 text-xs font-bold bg-white text-gray-700 rounded border border-gray-300 hover:bg-gray-50 transition disabled:opacity-50 flex items-center gap-2"
+          >
+            {loadingMore ? (
+              <>
+                <div className="w-3 h-3 border-2 border-gray-500 border-t-transparent rounded-full animate-spin"></div>
+                <span>Cargando...</span>
+              </>
+            ) : (
+              <span>Cargar más pedidos</span>
+            )}
+          </button>
+        </div>
+      )}
+
       {/* Modal de detalles del pedido - Ultra Premium */}
       {selectedOrder && (
         <div className="fixed inset-0 bg-black/70 backdrop-blur-md flex items-center justify-center p-4 z-[9999] animate-fadeIn">
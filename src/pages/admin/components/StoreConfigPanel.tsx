@@ -51,6 +51,9 @@ interface StoreSettings {
   promotionsEnabled: boolean;
   minOrderAmount: number;
   maxOrdersPerHour: number;
+  capacityOverflowAction: 'reject' | 'defer';
+  capacityWeightByPrepTime: boolean;
+  capacityStandardPrepMinutes: number;
 }
 
 const DAYS = [
@@ -118,6 +121,9 @@ const defaultSettings: StoreSettings = {
   promotionsEnabled: true,
   minOrderAmount: 0,
   maxOrdersPerHour: 0,
+  capacityOverflowAction: 'reject',
+  capacityWeightByPrepTime: false,
+  capacityStandardPrepMinutes: 15,
 };
 
 interface Props {
@@ -975,6 +981,46 @@ export default function StoreConfigPanel({ storeId }: Props) {
                 />
               </div>
             </div>
+
+            {settings.maxOrdersPerHour > 0 && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Con la cocina llena</label>
+                  <select
+                    value={settings.capacityOverflowAction}
+                    onChange={(e) => updateSettings({ capacityOverflowAction: e.target.value as 'reject' | 'defer' })}
+                    className="w-full px-4 py-2.5 border border-gray-300 rounded-xl focus:ring-2 focus:ring-[#FF3366] focus:border-[#FF3366]"
+                  >
+                    <option value="reject">Rechazar e informar desde qué hora se puede pedir</option>
+                    <option value="defer">Programar para el próximo horario con lugar</option>
+                  </select>
+                  {settings.capacityOverflowAction === 'defer' && !settings.acceptScheduledOrders && (
+                    <p className="text-xs text-amber-600 mt-1">Activá los pedidos programados para poder programarlos.</p>
+                  )}
+                </div>
+
+                <div>
+                  <label className="flex items-center gap-2 text-sm font-medium text-gray-700 mb-1">
+                    <input
+                      type="checkbox"
+                      checked={settings.capacityWeightByPrepTime}
+                      onChange={(e) => updateSettings({ capacityWeightByPrepTime: e.target.checked })}
+                      className="w-4 h-4 text-[#FF3366] rounded focus:ring-[#FF3366]"
+                    />
+                    Ponderar por tiempo de cocina
+                  </label>
+                  <input
+                    type="number"
+                    value={settings.capacityStandardPrepMinutes}
+                    onChange={(e) => updateSettings({ capacityStandardPrepMinutes: parseInt(e.target.value) || 15 })}
+                    disabled={!settings.capacityWeightByPrepTime}
+                    className="w-full px-4 py-2.5 border border-gray-300 rounded-xl focus:ring-2 focus:ring-[#FF3366] focus:border-[#FF3366] disabled:bg-gray-100"
+                    min="1"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Minutos de cocina de un pedido estándar (cuenta como 1 pedido)</p>
+                </div>
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -0,0 +1,390 @@
+import { useState, useEffect, useCallback } from 'react';
+import { tablesApi } from '../../../lib/api';
+
+interface TableSessionSummary {
+  id: string;
+  status: 'open' | 'bill_requested';
+  guests: number | null;
+  openedAt: string;
+  billRequestedAt: string | null;
+  rounds: number;
+  roundsInKitchen: number;
+  total: number;
+}
+
+interface TableItem {
+  id: string;
+  number: number;
+  name: string | null;
+  capacity: number;
+  status: 'available' | 'occupied' | 'reserved' | 'cleaning';
+  currentSession: TableSessionSummary | null;
+  occupiedMinutes: number | null;
+}
+
+interface TableStats {
+  total: number;
+  available: number;
+  occupied: number;
+  occupancyRate: number;
+}
+
+interface Bill {
+  sessionId: string;
+  tableNumber: number;
+  rounds: Array<{ orderId: string; orderNumber: string; dinerName: string; status: string; total: number; paid: number }>;
+  byDiner: Array<{ name: string; total: number }>;
+  total: number;
+  paid: number;
+  balance: number;
+  split: { mode: string; parts?: number } | null;
+  parts: Array<{ label: string; amount: number }>;
+}
+
+// El mapa se refresca solo para ver mesas nuevas, rondas y pedidos de cuenta
+const REFRESH_INTERVAL_MS = 15000;
+
+const STATUS_STYLES: Record<TableItem['status'], string> = {
+  available: 'bg-green-50 border-green-300 text-green-800',
+  occupied: 'bg-orange-50 border-orange-300 text-orange-800',
+  reserved: 'bg-blue-50 border-blue-300 text-blue-800',
+  cleaning: 'bg-slate-100 border-slate-300 text-slate-600',
+};
+
+const STATUS_LABELS: Record<TableItem['status'], string> = {
+  available: 'Libre',
+  occupied: 'Ocupada',
+  reserved: 'Reservada',
+  cleaning: 'Limpieza',
+};
+
+const TENDER_OPTIONS = [
+  { value: 'cash', label: 'Efectivo' },
+  { value: 'card', label: 'Tarjeta' },
+  { value: 'mercadopago', label: 'Mercado Pago' },
+  { value: 'transfer', label: 'Transferencia' },
+];
+
+const formatMoney = (amount: number) => `$${Math.round(amount).toLocaleString('es-AR')}`;
+
+const tableLabel = (table: { number: number; name: string | null }) => table.name || `Mesa ${table.number}`;
+
+export default function TablesManagement() {
+  const storeId = localStorage.getItem('adminStoreId') || '';
+  const [zones, setZones] = useState<Record<string, TableItem[]>>({});
+  const [stats, setStats] = useState<TableStats | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState<TableItem | null>(null);
+  const [bill, setBill] = useState<Bill | null>(null);
+  const [tenders, setTenders] = useState<Array<{ tender_type: string; amount: number }>>([]);
+  const [working, setWorking] = useState(false);
+
+  const loadTables = useCallback(async () => {
+    if (!storeId) return;
+    try {
+      const data = await tablesApi.getMap(storeId);
+      setZones(data.zones || {});
+      setStats(data.stats || null);
+    } catch (error) {
+      console.error('Error loading tables:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [storeId]);
+
+  useEffect(() => {
+    loadTables();
+    const interval = setInterval(loadTables, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [loadTables]);
+
+  const allTables = Object.values(zones).flat();
+
+  const openTable = async (table: TableItem) => {
+    setSelected(table);
+    setBill(null);
+    if (!table.currentSession) return;
+    try {
+      const data: Bill = await tablesApi.getSession(table.currentSession.id);
+      setBill(data);
+      setTenders([{ tender_type: 'cash', amount: data.balance }]);
+    } catch (error: any) {
+      alert(error.message || 'Error al cargar la cuenta');
+    }
+  };
+
+  const closeModal = () => {
+    setSelected(null);
+    setBill(null);
+    setTenders([]);
+  };
+
+  const runAction = async (action: () => Promise<unknown>) => {
+    setWorking(true);
+    try {
+      await action();
+      closeModal();
+      await loadTables();
+    } catch (error: any) {
+      alert(error.message || 'No se pudo completar la acción');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    const number = parseInt(prompt('Número de mesa:') || '', 10);
+    if (!Number.isInteger(number) || number < 1) return;
+    const capacity = parseInt(prompt('Cantidad de lugares:', '4') || '4', 10);
+    const zone = prompt('Zona (ej: salón, terraza):', 'main') || 'main';
+    await runAction(() => tablesApi.create({ storeId, number, capacity, zone }));
+  };
+
+  const handleTransfer = async (targetTableId: string) => {
+    if (!bill) return;
+    await runAction(() => tablesApi.transfer(bill.sessionId, targetTableId));
+  };
+
+  const handleMerge = async (targetSessionId: string) => {
+    if (!bill) return;
+    if (!confirm('¿Unir esta cuenta a la de la otra mesa? Las rondas pasan a esa cuenta.')) return;
+    await runAction(() => tablesApi.merge(bill.sessionId, targetSessionId));
+  };
+
+  const handleClose = async () => {
+    if (!bill) return;
+    const collected = tenders.reduce((sum, tender) => sum + (Number(tender.amount) || 0), 0);
+    if (bill.balance > 0 && collected + 1 < bill.balance) {
+      alert(`Los pagos (${formatMoney(collected)}) no cubren el saldo (${formatMoney(bill.balance)})`);
+      return;
+    }
+    await runAction(() => tablesApi.close(bill.sessionId, bill.balance > 0 ? tenders : []));
+  };
+
+  const handleShowQR = async (table: TableItem, regenerate = false) => {
+    if (regenerate && !confirm('El QR impreso actual dejará de funcionar. ¿Generar uno nuevo?')) return;
+    try {
+      const qr = await tablesApi.getQR(table.id, regenerate);
+      const win = window.open('', '_blank');
+      win?.document.write(`<div style="text-align:center;font-family:sans-serif"><h2>${tableLabel(table)}</h2><img src="${qr.qr}" /><p>${qr.url}</p></div>`);
+    } catch (error: any) {
+      alert(error.message || 'Error al generar el QR');
+    }
+  };
+
+  const handleDelete = async (table: TableItem) => {
+    if (!confirm(`¿Eliminar ${tableLabel(table)}?`)) return;
+    await runAction(() => tablesApi.delete(table.id));
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-slate-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-xl font-bold text-slate-800">Mesas</h2>
+          {stats && (
+            <p className="text-sm text-slate-500 mt-1">
+              {stats.occupied} de {stats.total} ocupadas ({stats.occupancyRate}%)
+            </p>
+          )}
+        </div>
+        <button
+          onClick={handleCreate}
+          className="px-4 py-2 bg-gradient-to-r from-blue-500 to-indigo-500 text-white rounded-xl font-semibold hover:shadow-lg transition-all"
+        >
+          <i className="ri-add-line mr-2"></i>
+          Nueva Mesa
+        </button>
+      </div>
+
+      {allTables.length === 0 && (
+        <div className="text-center py-12 text-slate-500">
+          <i className="ri-restaurant-line text-4xl mb-2 block"></i>
+          Todavía no hay mesas. Creá una para imprimir su QR.
+        </div>
+      )}
+
+      {Object.entries(zones).map(([zone, tables]) => (
+        <div key={zone}>
+          <h3 className="text-sm font-semibold text-slate-600 uppercase mb-2">{zone === 'main' ? 'Salón' : zone}</h3>
+          <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-3">
+            {tables.map(table => (
+              <button
+                key={table.id}
+                onClick={() => openTable(table)}
+                className={`relative text-left p-3 border-2 rounded-xl transition-all hover:shadow-md ${STATUS_STYLES[table.status]}`}
+              >
+                {table.currentSession?.status === 'bill_requested' && (
+                  <span className="absolute top-2 right-2 px-2 py-0.5 text-xs font-bold bg-red-500 text-white rounded-full animate-pulse">
+                    Cuenta
+                  </span>
+                )}
+                <div className="font-bold text-lg">{tableLabel(table)}</div>
+                <div className="text-xs">{STATUS_LABELS[table.status]} · {table.capacity} lugares</div>
+                {table.currentSession && (
+                  <div className="mt-2 text-xs space-y-0.5">
+                    <div>{table.currentSession.rounds} ronda(s) · {formatMoney(table.currentSession.total)}</div>
+                    {table.currentSession.roundsInKitchen > 0 && (
+                      <div className="font-semibold">{table.currentSession.roundsInKitchen} en cocina</div>
+                    )}
+                    {table.occupiedMinutes !== null && <div>{table.occupiedMinutes} min</div>}
+                  </div>
+                )}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      {selected && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={closeModal}>
+          <div className="bg-white rounded-2xl p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto" onClick={e => e.stopPropagation()}>
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-bold text-slate-800">{tableLabel(selected)}</h3>
+              <button onClick={closeModal} className="text-slate-400 hover:text-slate-600">
+                <i className="ri-close-line text-xl"></i>
+              </button>
+            </div>
+
+            {!selected.currentSession && (
+              <div className="space-y-2">
+                <p className="text-sm text-slate-500">La mesa no tiene una cuenta abierta.</p>
+                <div className="flex gap-2">
+                  <button onClick={() => handleShowQR(selected)} className="flex-1 px-3 py-2 bg-slate-100 rounded-lg text-sm font-semibold">
+                    <i className="ri-qr-code-line mr-1"></i> Ver QR
+                  </button>
+                  <button onClick={() => handleShowQR(selected, true)} className="flex-1 px-3 py-2 bg-slate-100 rounded-lg text-sm font-semibold">
+                    <i className="ri-refresh-line mr-1"></i> Nuevo QR
+                  </button>
+                  <button onClick={() => handleDelete(selected)} disabled={working} className="px-3 py-2 bg-red-50 text-red-600 rounded-lg text-sm font-semibold">
+                    <i className="ri-delete-bin-line"></i>
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {selected.currentSession && !bill && (
+              <div className="flex justify-center py-6">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-slate-600"></div>
+              </div>
+            )}
+
+            {bill && (
+              <div className="space-y-4">
+                <div className="space-y-1">
+                  {bill.rounds.map(roundItem => (
+                    <div key={roundItem.orderId} className="flex justify-between text-sm">
+                      <span>#{roundItem.orderNumber} · {roundItem.dinerName}</span>
+                      <span className="text-slate-600">{roundItem.status} · {formatMoney(roundItem.total)}</span>
+                    </div>
+                  ))}
+                  <div className="flex justify-between font-bold border-t pt-2">
+                    <span>Total</span>
+                    <span>{formatMoney(bill.total)}</span>
+                  </div>
+                  {bill.paid > 0 && (
+                    <div className="flex justify-between text-sm text-green-700">
+                      <span>Pagado</span>
+                      <span>{formatMoney(bill.paid)}</span>
+                    </div>
+                  )}
+                </div>
+
+                {bill.split && bill.split.mode !== 'single' && (
+                  <div className="bg-amber-50 rounded-lg p-3 text-sm">
+                    <div className="font-semibold mb-1">
+                      {bill.split.mode === 'equal' ? `Dividir en ${bill.split.parts} partes iguales` : 'Dividir por comensal'}
+                    </div>
+                    {bill.parts.map(part => (
+                      <div key={part.label} className="flex justify-between">
+                        <span>{part.label}</span>
+                        <span>{formatMoney(part.amount)}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {bill.balance > 0 && (
+                  <div className="space-y-2">
+                    <div className="text-sm font-semibold text-slate-700">Cobro ({formatMoney(bill.balance)})</div>
+                    {tenders.map((tender, index) => (
+                      <div key={index} className="flex gap-2">
+                        <select
+                          value={tender.tender_type}
+                          onChange={e => setTenders(tenders.map((t, i) => i === index ? { ...t, tender_type: e.target.value } : t))}
+                          className="flex-1 px-2 py-1 border rounded-lg text-sm"
+                        >
+                          {TENDER_OPTIONS.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="number"
+                          value={tender.amount}
+                          onChange={e => setTenders(tenders.map((t, i) => i === index ? { ...t, amount: Number(e.target.value) } : t))}
+                          className="w-28 px-2 py-1 border rounded-lg text-sm"
+                        />
+                        {tenders.length > 1 && (
+                          <button onClick={() => setTenders(tenders.filter((_, i) => i !== index))} className="text-red-500">
+                            <i className="ri-close-line"></i>
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                    <button
+                      onClick={() => setTenders([...tenders, { tender_type: 'cash', amount: 0 }])}
+                      className="text-xs text-blue-600 font-semibold"
+                    >
+                      + Agregar medio de pago
+                    </button>
+                  </div>
+                )}
+
+                <button
+                  onClick={handleClose}
+                  disabled={working}
+                  className="w-full px-4 py-2 bg-green-600 text-white rounded-xl font-semibold disabled:opacity-50"
+                >
+                  Cerrar cuenta y liberar mesa
+                </button>
+
+                <div className="grid grid-cols-2 gap-2">
+                  <select
+                    defaultValue=""
+                    disabled={working}
+                    onChange={e => e.target.value && handleTransfer(e.target.value)}
+                    className="px-2 py-2 border rounded-lg text-sm"
+                  >
+                    <option value="">Pasar a mesa...</option>
+                    {allTables.filter(t => !t.currentSession && t.id !== selected.id).map(t => (
+                      <option key={t.id} value={t.id}>{tableLabel(t)}</option>
+                    ))}
+                  </select>
+                  <select
+                    defaultValue=""
+                    disabled={working}
+                    onChange={e => e.target.value && handleMerge(e.target.value)}
+                    className="px-2 py-2 border rounded-lg text-sm"
+                  >
+                    <option value="">Unir con mesa...</option>
+                    {allTables.filter(t => t.currentSession && t.id !== selected.id).map(t => (
+                      <option key={t.id} value={t.currentSession!.id}>{tableLabel(t)}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
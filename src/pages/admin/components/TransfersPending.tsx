@@ -18,8 +18,16 @@ interface Transfer {
   created_at: string;
   updated_at?: string;
   verified_at?: string;
+  // Comprobante repetido (mismo archivo o misma imagen que el de otro pedido)
+  duplicate_type?: 'exact' | 'near' | null;
+  duplicate_of_order_id?: string | null;
+  duplicate_of_order_number?: string | null;
+  duplicate_override_at?: string | null;
+  duplicate_override_note?: string | null;
 }
 
+const isDuplicateBlocked = (transfer: Transfer) => !!transfer.duplicate_type && !transfer.duplicate_override_at;
+
 interface TransfersPendingProps {
   storeId?: string | null;
 }
@@ -274,9 +282,25 @@ export default function TransfersPending({ storeId }: TransfersPendingProps = {}
       
       alert('✅ Transferencia aprobada exitosamente. El cliente ha sido notificado.');
       
-    } catch (error) {
+    } catch (error: any) {
       console.error('Error al aprobar transferencia:', error);
-      alert('❌ Error al aprobar transferencia');
+      alert(`❌ Error al aprobar transferencia${error?.message ? `: ${error.message}` : ''}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleOverrideDuplicate = async (transfer: Transfer) => {
+    const note = prompt('Motivo para autorizar el comprobante repetido:');
+    if (!note || !note.trim()) return;
+
+    try {
+      setIsLoading(true);
+      await transfersApi.overrideDuplicate(transfer.id, note.trim());
+      await loadTransfers();
+    } catch (error: any) {
+      console.error('Error al autorizar comprobante:', error);
+      alert(`❌ Error al autorizar comprobante${error?.message ? `: ${error.message}` : ''}`);
     } finally {
       setIsLoading(false);
     }
@@ -410,6 +434,33 @@ export default function TransfersPending({ storeId }: TransfersPendingProps = {}
                   </div>
                 </div>
 
+                {/* Comprobante repetido */}
+                {transfer.duplicate_type && (
+                  <div className={`mb-8 p-6 rounded-2xl border-4 ${isDuplicateBlocked(transfer) ? 'bg-red-50 border-red-300' : 'bg-gray-50 border-gray-200'}`}>
+                    <p className="text-xl font-bold text-red-700 mb-2 flex items-center space-x-2">
+                      <i className="ri-file-copy-line"></i>
+                      <span>
+                        COMPROBANTE {transfer.duplicate_type === 'exact' ? 'IDÉNTICO' : 'CASI IDÉNTICO'} AL DEL PEDIDO{' '}
+                        {transfer.duplicate_of_order_number || `#${(transfer.duplicate_of_order_id || '').slice(0, 8)}`}
+                      </span>
+                    </p>
+                    {isDuplicateBlocked(transfer) ? (
+                      <div className="flex items-center justify-between gap-4">
+                        <p className="text-lg text-gray-700">Revisá que no sea un comprobante reutilizado antes de aprobar.</p>
+                        <button
+                          onClick={() => handleOverrideDuplicate(transfer)}
+                          disabled={isLoading}
+                          className="bg-red-600 hover:bg-red-700 text-white font-bold py-3 px-6 rounded-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Autorizar
+                        </button>
+                      </div>
+                    ) : (
+                      <p className="text-lg text-gray-700">Autorizado: {transfer.duplicate_override_note}</p>
+                    )}
+                  </div>
+                )}
+
                 {/* Comprobante - GRANDE Y CLARO */}
                 {transfer.proof_image_url ? (
                   <div className="mb-8 p-6 bg-gray-50 border-4 border-gray-300 rounded-3xl">
@@ -525,7 +576,7 @@ export default function TransfersPending({ storeId }: TransfersPendingProps = {}
                 <div className="flex flex-col space-y-4 pt-6 border-t-4 border-gray-200">
                   <button
                     onClick={() => handleApprove(transfer)}
-                    disabled={isLoading}
+                    disabled={isLoading || isDuplicateBlocked(transfer)}
                     className="w-full bg-gradient-to-r from-green-500 to-green-600 hover:from-green-600 hover:to-green-700 text-white font-bold py-5 px-6 rounded-2xl transition-all shadow-xl hover:shadow-2xl transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none text-2xl flex items-center justify-center space-x-4"
                   >
                     <span className="text-4xl">✅</span>
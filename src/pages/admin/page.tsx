@@ -24,6 +24,8 @@ import CouponsManagement from './components/CouponsManagement';
 import ReviewsManagement from './components/ReviewsManagement';
 import AdvancedAnalytics from './components/AdvancedAnalytics';
 import DeliveryZonesManagement from './components/DeliveryZonesManagement';
+import TablesManagement from './components/TablesManagement';
+import KitchenDisplay from './components/KitchenDisplay';
 import LoyaltyManagement from './components/LoyaltyManagement';
 import AdvancedInventory from './components/AdvancedInventory';
 import SmartAlerts from './components/SmartAlerts';
@@ -395,6 +397,8 @@ export default function AdminPage() {
         case 'coupons': return <CouponsManagement />;
         case 'reviews': return <ReviewsManagement />;
         case 'delivery-zones': return <DeliveryZonesManagement />;
+        case 'tables': return <TablesManagement />;
+        case 'kds': return <KitchenDisplay />;
         case 'analytics': return <AdvancedAnalytics />;
         case 'loyalty': return <LoyaltyManagement />;
         case 'inventory': return <AdvancedInventory />;
@@ -504,6 +508,8 @@ export default function AdminPage() {
                   { id: 'coupons', icon: 'ri-coupon-3-line', label: 'Cupones' },
                   { id: 'reviews', icon: 'ri-star-line', label: 'Reseñas' },
                   { id: 'delivery-zones', icon: 'ri-map-pin-range-line', label: 'Zonas' },
+                  { id: 'tables', icon: 'ri-restaurant-line', label: 'Mesas' },
+                  { id: 'kds', icon: 'ri-restaurant-2-line', label: 'Cocina' },
                   { id: 'analytics', icon: 'ri-line-chart-line', label: 'Analytics' },
                   { id: 'loyalty', icon: 'ri-vip-crown-line', label: 'Fidelidad' },
                   { id: 'inventory', icon: 'ri-store-2-line', label: 'Inventario' },
@@ -1630,6 +1630,28 @@ async function handleOrderConfirmation(from, body, userSession) {
         if (body === 'si' || body === 'sí' || body === 'yes' || body === 'confirmo' || body === 'ok') {
             logger.info(`✅ Pedido confirmado por ${from}`);
             
+            // Pedido repetido: se crea con el carrito recotizado y sigue como un pedido web
+            if (userSession.pendingReorder) {
+                try {
+                    await createReorderedOrder(from, userSession);
+                } catch (error) {
+                    logger.error('❌ Error al crear pedido repetido:', error);
+                    userSession.pendingReorder = null;
+                    userSession.waitingForConfirmation = false;
+                    userSession.step = 'welcome';
+                    
+                    const capacity = parseCapacityError(error);
+                    if (capacity) {
+                        await sendMessage(from, `⏳ *Estamos con mucha demanda*\n\nEn este momento no podemos tomar más pedidos.\n🕐 Podés volver a pedir desde las *${capacity.next_available_label}*.\n\n¡Gracias por tu paciencia! ❤️`);
+                    } else if (/^HTTP 409/.test(error.message || '')) {
+                        await sendMessage(from, `⚠️ Los precios cambiaron mientras confirmabas.\n\n🔁 Escribí "repetir" de nuevo para ver el carrito actualizado.`);
+                    } else {
+                        await sendMessage(from, '❌ No pudimos crear tu pedido. Por favor, intentá nuevamente.');
+                    }
+                    return;
+                }
+            }
+            
             // Si el pedido viene de la web (tiene orderId), ya tiene dirección, ir directo a pago
             if (userSession.pendingOrder?.orderId) {
                 userSession.waitingForConfirmation = false;
@@ -1658,6 +1680,7 @@ Por favor, enviá tu dirección completa para el delivery:
             logger.info(`❌ Pedido cancelado por ${from}`);
             
             userSession.pendingOrder = null;
+            userSession.pendingReorder = null;
             userSession.waitingForConfirmation = false;
             userSession.step = 'welcome';
             
@@ -1868,11 +1891,11 @@ async function handleTransferProof(from, message, userSession) {
                             
                             // Obtener información del pedido para detectar si es retiro
                             let isPickup = false;
+                            let etaText = formatEstimatedTime(null);
                             try {
                                 const order = await apiRequest(`/orders/${orderId}`);
-                                isPickup = order?.delivery_fee === 0 || 
-                                           order?.delivery_fee === null || 
-                                           (order?.notes && order.notes.toUpperCase().includes('RETIRO'));
+                                etaText = formatEstimatedTime(order);
+                                isPickup = isPickupOrder(order);
                             } catch (error) {
                                 logger.debug('⚠️ No se pudo obtener información del pedido para detectar tipo:', error.message);
                             }
@@ -1888,7 +1911,7 @@ async function handleTransferProof(from, message, userSession) {
 
 🍳 Tu pedido está en preparación.
 
-⏱️ Tiempo estimado: 30-45 minutos
+⏱️ Tiempo estimado: ${etaText}
 
 ${notificationMessage}
 
@@ -2357,11 +2380,10 @@ Escribe "09" si querés cambiar el método de pago.`;
                     maximumFractionDigits: 0
                 }).format(orderTotal);
                 
-                // Detectar si es pedido de retiro
-                const isPickup = orderResult?.delivery_fee === 0 || 
-                                orderResult?.delivery_fee === null || 
-                                (orderResult?.notes && orderResult.notes.toUpperCase().includes('RETIRO')) ||
-                                (userSession.pendingOrder?.notes && userSession.pendingOrder.notes.toUpperCase().includes('RETIRO'));
+                // Detectar si es pedido de retiro (al crear el pedido solo se recibe el id)
+                const isPickup = orderResult && typeof orderResult === 'object'
+                    ? isPickupOrder(orderResult)
+                    : userSession.fulfillmentType === 'pickup';
                 
                 // Mensaje según tipo de pedido
                 const notificationMessage = isPickup 
@@ -2377,7 +2399,7 @@ Escribe "09" si querés cambiar el método de pago.`;
 
 🍳 Tu pedido está en preparación.
 
-⏱️ Tiempo estimado: 30-45 minutos
+⏱️ Tiempo estimado: ${formatEstimatedTime(orderResult)}
 
 ${notificationMessage}
 
@@ -3478,6 +3500,7 @@ async function handleMessage(message) {
                 step: 'welcome',
                 lastActivity: now,
                 pendingOrder: null,
+                pendingReorder: null, // Carrito recotizado de "repetir pedido" esperando confirmación
                 paymentMethod: null,
                 waitingForConfirmation: false,
                 waitingForPayment: false,
@@ -3517,6 +3540,7 @@ async function handleMessage(message) {
             !messageText.includes(`PEDIDO - ${storeConfig?.name || 'El Buen Menú'}`)) {
             userSession.step = 'welcome';
             userSession.pendingOrder = null;
+            userSession.pendingReorder = null;
             userSession.paymentMethod = null;
             userSession.waitingForConfirmation = false;
             userSession.waitingForPayment = false;
@@ -3733,12 +3757,20 @@ async function handleMessage(message) {
             return;
         }
         
+        // 7. REPETIR UN PEDIDO ANTERIOR ("repetir #0001", o "repetir" para el último entregado)
+        if (body === 'repetir' || body === '/repetir' || body.startsWith('repetir ') || body.startsWith('/repetir ')) {
+            const orderCode = body.replace(/^\/?repetir\s*(pedido)?/, '').trim() || null;
+            await handleReorder(from, customerJid, orderCode, userSession);
+            return;
+        }
+        
         // 7. MENSAJES DE INICIO (saludos y menú)
         if (isGreetingMessage(body) || body === '' || body.includes('inicio') || body.includes('menu principal') || body.includes('menú principal') || body.includes('menu') || body.includes('menú')) {
             await showMainMenu(from, customerJid);
             userSession.step = 'welcome';
             // Resetear sesión
             userSession.pendingOrder = null;
+            userSession.pendingReorder = null;
             userSession.paymentMethod = null;
             userSession.waitingForConfirmation = false;
             userSession.waitingForPayment = false;
@@ -4115,17 +4147,9 @@ async function handleWebOrderConfirmed(from, messageText, userSession) {
         logger.info(`💰 [ORDER CONFIRM] Total desde BD: $${finalTotal}, deliveryFee: $${order.delivery_fee || 0}`);
         
         // Detectar si es retiro o delivery
-        // Verificar en notes primero (más confiable) - buscar "RETIRO EN LOCAL" o "RETIRO"
-        const notesUpper = (order.notes || '').toUpperCase();
-        const isPickup = notesUpper.includes('RETIRO EN LOCAL') || 
-                        notesUpper.includes('RETIRO') ||
-                        // También verificar si la dirección coincide exactamente con la dirección de retiro
-                        (order.customer_address && (
-                            order.customer_address.trim() === 'Av. RIVADAVIA 2911' ||
-                            order.customer_address.includes('RIVADAVIA 2911')
-                        ));
-        
-        logger.info(`🔍 Detección de retiro - notes: "${order.notes}", address: "${order.customer_address}", isPickup: ${isPickup}`);
+        const isPickup = isPickupOrder(order);
+        
+        logger.info(`🔍 Detección de retiro - fulfillment_type: "${order.fulfillment_type}", address: "${order.customer_address}", isPickup: ${isPickup}`);
         
         // Formatear dirección según el tipo
         let addressLine = '';
@@ -4276,12 +4300,13 @@ async function createOrderInDatabase(from, userSession) {
         
         // Extraer información del pedido web
         const orderText = userSession.pendingOrder?.originalMessage || '';
-        const orderTotal = userSession.pendingOrder?.total || 0;
         
-        // Usar la dirección proporcionada por el usuario
-        const deliveryAddress = userSession.deliveryAddress || 'Dirección no especificada';
+        // Retiro en el local si el pedido web lo indica; si no, envío a la dirección del cliente
+        const isPickup = orderText.toUpperCase().includes('RETIRO');
+        const deliveryAddress = isPickup ? null : (userSession.deliveryAddress || 'Dirección no especificada');
         
         // Parsear items del pedido desde el mensaje original
+        // Los precios del mensaje no se envían: la API los recalcula desde el menú del local
         let itemsArray = [];
         if (orderText.includes('DETALLE DEL PEDIDO:')) {
             const lines = orderText.split('\n');
@@ -4298,11 +4323,10 @@ async function createOrderInDatabase(from, userSession) {
                     
                     const itemMatch = trimmedLine.match(/^•\s*(\d+)x\s+(.+?)\s-\s\$\s*([\d.,]+)/);
                     if (itemMatch) {
-                        const [, quantity, name, price] = itemMatch;
+                        const [, quantity, name] = itemMatch;
                         currentItem = {
                             product_name: name.trim(),
                             quantity: parseInt(quantity),
-                            product_price: parseFloat(price.replace(/[.,]/g, '')),
                             notes: []
                         };
                     }
@@ -4314,7 +4338,6 @@ async function createOrderInDatabase(from, userSession) {
                         if (extraMatch) {
                             const [, extraName, extraPrice] = extraMatch;
                             currentItem.notes.push(`${extraName.trim()} (+$${extraPrice})`);
-                            currentItem.product_price += parseFloat(extraPrice.replace(/[.,]/g, ''));
                         }
                     }
                 }
@@ -4326,35 +4349,27 @@ async function createOrderInDatabase(from, userSession) {
             }
         }
         
-        // Si no se pudieron parsear items, crear uno genérico
+        // Sin items reconocibles no se crea el pedido (la API no puede calcular un total)
         if (itemsArray.length === 0) {
-            itemsArray = [{
-                product_name: 'Pedido desde WhatsApp',
-                quantity: 1,
-                product_price: orderTotal,
-                notes: ['Pedido procesado desde bot']
-            }];
+            throw new Error('No se pudieron leer los productos del pedido');
         }
         
         // Crear el pedido principal con la estructura que espera la API local
+        // Subtotal, envío y total los calcula la API (precios del menú y envío del local)
         const orderData = {
             customer_name: 'Cliente WhatsApp',
             customer_phone: customerJid, // Usar JID directamente
             customer_address: deliveryAddress,
+            fulfillment_type: isPickup ? 'pickup' : 'delivery',
             status: 'pending', // SIEMPRE 'pending' inicialmente, independientemente del método de pago
             payment_method: userSession.paymentMethod === 'transfer' ? 'Transferencia' : 
                            userSession.paymentMethod === 'mercadopago' ? 'Mercado Pago' : 'Efectivo',
             payment_status: userSession.paymentMethod === 'cash' ? 'completed' : 'pending', // Para efectivo, payment_status = 'completed' (pago se hará al recibir)
-            subtotal: parseFloat(orderTotal),
-            delivery_fee: 0,
-            total: parseFloat(orderTotal),
             store_id: STORE_ID, // Agregar storeId al crear el pedido
             notes: `Pedido desde WhatsApp Bot\n\nDetalle original:\n${orderText}`,
             items: itemsArray.map(item => ({
                 product_name: item.product_name,
                 quantity: item.quantity,
-                unit_price: item.product_price,
-                subtotal: item.product_price * item.quantity,
                 selected_options: JSON.stringify(item.notes || [])
             }))
         };
@@ -4377,6 +4392,13 @@ async function createOrderInDatabase(from, userSession) {
         
         logger.info(`✅ Pedido creado con ID: ${orderId} y número: ${finalOrderCode}`);
         
+        // El total válido es el que calculó la API
+        const orderTotal = parseFloat(createdOrder.total) || 0;
+        userSession.fulfillmentType = createdOrder.fulfillment_type || orderData.fulfillment_type;
+        if (userSession.pendingOrder) {
+            userSession.pendingOrder.total = orderTotal;
+        }
+        
         userSession.orderCode = finalOrderCode;
         logger.info(`🎉 Pedido ${finalOrderCode} creado completamente en base de datos`);
         
@@ -4385,14 +4407,14 @@ async function createOrderInDatabase(from, userSession) {
         
 🆔 Código: ${finalOrderCode}
 📱 Cliente: ${customerJid}
-📍 Dirección: ${deliveryAddress}
+📍 ${isPickup ? 'Retiro en el local' : `Dirección: ${deliveryAddress}`}
 💰 Total: $${orderTotal.toLocaleString()}
 💳 Pago: ${orderData.payment_method}
 📋 Estado: ${orderData.status}
         
 🍽️ Productos:
-${itemsArray.map(item => 
-    `• ${item.quantity}x ${item.product_name} - $${(item.product_price * item.quantity).toLocaleString()}${item.notes.length > 0 ? `\n  └ ${item.notes.join(', ')}` : ''}`
+${(createdOrder.items || []).map((item, index) => 
+    `• ${item.quantity}x ${item.product_name} - $${parseFloat(item.subtotal || 0).toLocaleString()}${itemsArray[index]?.notes.length > 0 ? `\n  └ ${itemsArray[index].notes.join(', ')}` : ''}`
 ).join('\n')}
         
 📊 Revisar panel de administración para gestionar el pedido.`;
@@ -4407,6 +4429,13 @@ ${itemsArray.map(item =>
     } catch (error) {
         logger.error('❌ Error al crear pedido en base de datos:', error);
         
+        // Local lleno: avisar desde qué hora se puede pedir
+        const capacity = parseCapacityError(error);
+        if (capacity) {
+            await sendMessage(from, `⏳ *Estamos con mucha demanda*\n\nEn este momento no podemos tomar más pedidos.\n🕐 Podés volver a pedir desde las *${capacity.next_available_label}*.\n\n¡Gracias por tu paciencia! ❤️`);
+            throw error;
+        }
+        
         // Enviar mensaje de error al usuario
         await sendMessage(from, '❌ Hubo un error al procesar tu pedido. Por favor, contactanos directamente al 348-720-7406.');
         
@@ -4414,6 +4443,40 @@ ${itemsArray.map(item =>
     }
 }
 
+// Respuesta 409 de la API cuando el local alcanzó su capacidad por hora
+function parseCapacityError(error) {
+    const match = /^HTTP 409: (.*)$/s.exec(error?.message || '');
+    if (!match) return null;
+    try {
+        const body = JSON.parse(match[1]);
+        return body.code === 'STORE_AT_CAPACITY' && body.next_available_label ? body : null;
+    } catch {
+        return null;
+    }
+}
+
+// Retiro en el local: la API informa fulfillment_type; los pedidos viejos se detectan por las notas o la dirección del local
+function isPickupOrder(order) {
+    if (order?.fulfillment_type) return order.fulfillment_type === 'pickup';
+    const notesUpper = (order?.notes || '').toUpperCase();
+    return notesUpper.includes('RETIRO') || (order?.customer_address || '').includes('RIVADAVIA 2911');
+}
+
+// ETA calculada por la API para el pedido (sin ETA, el tiempo estándar)
+function formatEstimatedTime(order) {
+    const eta = order?.estimated_delivery_at ? new Date(order.estimated_delivery_at) : null;
+    const minutes = eta ? Math.round((eta.getTime() - Date.now()) / 60000) : 0;
+    if (minutes <= 0) return '30-45 minutos';
+
+    const label = eta.toLocaleTimeString('es-AR', {
+        timeZone: 'America/Argentina/Buenos_Aires',
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: false
+    });
+    return `${minutes} minutos aprox. (cerca de las ${label})`;
+}
+
 // ---------------------------------------------------------------------------
 // UPDATE WEB ORDER PAYMENT
 // ---------------------------------------------------------------------------
@@ -4434,7 +4497,8 @@ async function updateWebOrderPayment(from, userSession, paymentMethod) {
 
         logger.info(`📱 Actualizando pedido ${orderId} con JID: ${customerJid}`);
 
-        // Actualizar el pedido en la base de datos (incluyendo el JID SIEMPRE y el total recalculado)
+        // Actualizar el pedido en la base de datos (incluyendo el JID SIEMPRE)
+        // Los montos no se tocan: el total lo calculó la API al crear el pedido
         const updateData = {
             customer_phone: customerJid, // Guardar JID directamente
             payment_method: paymentMethod,
@@ -4442,13 +4506,6 @@ async function updateWebOrderPayment(from, userSession, paymentMethod) {
             status: orderStatus
         };
         
-        // Si hay un total recalculado en la sesión, incluirlo
-        if (userSession.pendingOrder?.total) {
-            updateData.total = userSession.pendingOrder.total;
-            updateData.subtotal = userSession.pendingOrder.total; // Asumir que subtotal = total si no hay delivery fee
-            logger.info(`💰 [UPDATE ORDER] Actualizando total a: $${userSession.pendingOrder.total}`);
-        }
-        
         logger.info(`📝 Datos de actualización:`, JSON.stringify(updateData, null, 2));
         
         const updateResult = await apiRequest(`/orders/${orderId}`, {
@@ -4573,6 +4630,7 @@ async function handleUserOrders(from, customerJid, userSession) {
         }
         
         message += `\n💡 Para consultar el estado de un pedido específico, enviá su código (ej: #0001)`;
+        message += `\n🔁 Para volver a pedir lo mismo, escribí "repetir" y el código (ej: repetir #0001)`;
         
         await sendMessage(from, message);
         userSession.step = 'welcome';
@@ -4584,6 +4642,143 @@ async function handleUserOrders(from, customerJid, userSession) {
     }
 }
 
+// ---------------------------------------------------------------------------
+// HANDLE REORDER (repetir un pedido anterior)
+// ---------------------------------------------------------------------------
+// Formatear las opciones de un ítem del carrito recotizado
+function formatReorderOptions(item) {
+    const options = item.selected_options?.options || [];
+    return options.map((opt) => {
+        const optPrice = opt.price || 0;
+        return optPrice > 0
+            ? `\n↳ Extra: ${opt.name} (+$${optPrice.toLocaleString()})`
+            : `\n↳ Extra: ${opt.name}`;
+    }).join('');
+}
+
+async function handleReorder(from, customerJid, orderCode, userSession) {
+    try {
+        logger.info(`🔁 Repetir pedido ${orderCode || '(último)'} para ${customerJid}`);
+        
+        const allOrders = await apiRequest(`/orders?storeId=${STORE_ID}&all=true`);
+        const userOrders = allOrders
+            .filter(order => order.customer_phone === customerJid)
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+        
+        // Sin código se repite el último pedido entregado
+        const normalizeCode = (code) => String(code || '').replace(/#/g, '').trim().toLowerCase();
+        const sourceOrder = orderCode
+            ? userOrders.find(order => normalizeCode(order.order_number) === normalizeCode(orderCode))
+            : userOrders.find(order => order.status === 'delivered');
+        
+        if (!sourceOrder) {
+            await sendMessage(from, orderCode
+                ? `❌ No encontramos el pedido ${orderCode} entre tus pedidos.\n\n💡 Escribí "mis pedidos" para ver tus códigos.`
+                : `📭 No tenés pedidos entregados para repetir.\n\n💡 Escribí "mis pedidos" para ver tus pedidos.`);
+            userSession.step = 'welcome';
+            return;
+        }
+        
+        const reorder = await apiRequest(`/orders/${sourceOrder.id}/reorder`, {
+            method: 'POST',
+            body: JSON.stringify({ customer_phone: customerJid })
+        });
+        
+        const itemsText = reorder.items.map((item) => {
+            let text = `• ${item.quantity}x ${item.product_name}${formatReorderOptions(item)}`;
+            if (item.flags.includes('price_changed')) {
+                text += `\n⚠️ Precio actualizado: $${item.previous_unit_price.toLocaleString()} → $${item.unit_price.toLocaleString()}`;
+            }
+            if (item.flags.includes('option_removed')) {
+                text += `\n⚠️ Ya no se ofrece: ${item.removed_options.join(', ')}`;
+            }
+            return text;
+        }).join('\n\n');
+        
+        const unavailableText = reorder.unavailable.map((item) =>
+            `• ${item.quantity}x ${item.product_name} - ${item.reason}`
+        ).join('\n');
+        
+        let message = `🔁 *REPETIR PEDIDO ${reorder.source_order.order_number}*\n\n`;
+        if (itemsText) {
+            message += `📋 *Tu carrito:*\n\n${itemsText}\n\n`;
+        }
+        if (unavailableText) {
+            message += `❌ *No disponibles (no se agregan):*\n${unavailableText}\n\n`;
+        }
+        
+        if (!reorder.can_confirm) {
+            message += `⛔ No podemos repetir este pedido: ${reorder.blocking_reason}\n\n💡 Escribí "menú" para armar un pedido nuevo.`;
+            await sendMessage(from, message);
+            userSession.step = 'welcome';
+            return;
+        }
+        
+        if (reorder.delivery_fee > 0) {
+            message += `🛵 *Envío:* $${reorder.delivery_fee.toLocaleString()}\n`;
+        }
+        message += `💰 *Total a pagar:* $${reorder.total.toLocaleString()}\n\n`;
+        if (reorder.has_changes) {
+            message += `⚠️ Hubo cambios desde tu último pedido, revisalos antes de confirmar.\n\n`;
+        }
+        message += `▶️ Escribí "SÍ" para confirmar\n⛔ Escribí "NO" para cancelar`;
+        
+        userSession.pendingReorder = reorder;
+        userSession.waitingForConfirmation = true;
+        userSession.step = 'confirm_reorder';
+        
+        await sendMessage(from, message);
+        
+    } catch (error) {
+        logger.error('❌ Error al repetir pedido:', error);
+        await sendMessage(from, '❌ No pudimos repetir tu pedido. Por favor, intentá nuevamente o escribí "menú" para hacer uno nuevo.');
+        userSession.pendingReorder = null;
+        userSession.step = 'welcome';
+    }
+}
+
+// Crear el pedido con el carrito recotizado que confirmó el cliente
+async function createReorderedOrder(from, userSession) {
+    const reorder = userSession.pendingReorder;
+    
+    const createdOrder = await apiRequest('/orders', {
+        method: 'POST',
+        body: JSON.stringify({
+            store_id: reorder.store_id,
+            customer_name: reorder.customer.name,
+            customer_phone: reorder.customer.phone,
+            customer_address: reorder.customer.address,
+            fulfillment_type: reorder.fulfillment_type,
+            status: 'pending',
+            items: reorder.items.map(item => ({
+                product_id: item.product_id,
+                product_name: item.product_name,
+                quantity: item.quantity,
+                unit_price: item.unit_price,
+                subtotal: item.subtotal,
+                selected_options: item.selected_options
+            })),
+            subtotal: reorder.subtotal,
+            delivery_fee: reorder.delivery_fee,
+            total: reorder.total,
+            notes: `Repetición del pedido ${reorder.source_order.order_number}`
+        })
+    });
+    
+    logger.info(`✅ Pedido ${createdOrder.order_number} creado repitiendo ${reorder.source_order.order_number}`);
+    
+    userSession.pendingReorder = null;
+    userSession.pendingOrder = {
+        orderId: createdOrder.id,
+        orderCode: createdOrder.order_number,
+        total: createdOrder.total,
+        items: createdOrder.items || [],
+        processedAt: Date.now()
+    };
+    
+    return createdOrder;
+}
+
 // ---------------------------------------------------------------------------
 // GET ORDER STATUS MESSAGE
 // ---------------------------------------------------------------------------
@@ -4612,15 +4807,7 @@ function getOrderStatusMessage(order) {
     const statusText = statusTexts[order.status] || 'Desconocido';
     
     // Detectar si es retiro o delivery
-    // Verificar en notes primero (más confiable) - buscar "RETIRO EN LOCAL" o "RETIRO"
-    const notesUpper = (order.notes || '').toUpperCase();
-    const isPickup = notesUpper.includes('RETIRO EN LOCAL') || 
-                    notesUpper.includes('RETIRO') ||
-                    // También verificar si la dirección coincide exactamente con la dirección de retiro
-                    (order.customer_address && (
-                        order.customer_address.trim() === 'Av. RIVADAVIA 2911' ||
-                        order.customer_address.includes('RIVADAVIA 2911')
-                    ));
+    const isPickup = isPickupOrder(order);
     
     // Formatear dirección según el tipo
     let addressLine = '';